@@ -2,4 +2,4 @@
 
 import { printLegacyCliWarning } from './_legacy-warning.mjs';
 
-printLegacyCliWarning('release-canary', 'Planned replacement: `sch context sync --mode canary` (see docs/operations/cli-backlog.md).');
+printLegacyCliWarning('release-canary', 'Use `sch context sync --mode canary` to stage a candidate build (see docs/operations/cli.md).');
@@ -2,4 +2,4 @@
 
 import { printLegacyCliWarning } from './_legacy-warning.mjs';
 
-printLegacyCliWarning('release-promote', 'Release workflows will migrate to `sch context sync --mode promote` during Sprint 02.');
+printLegacyCliWarning('release-promote', 'Use `sch context sync --mode promote` to publish a verified canary build.');
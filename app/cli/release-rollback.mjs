@@ -2,4 +2,4 @@
 
 import { printLegacyCliWarning } from './_legacy-warning.mjs';
 
-printLegacyCliWarning('release-rollback', 'Rollback automation will surface under `sch context purge` once safeguards land.');
+printLegacyCliWarning('release-rollback', 'Use `sch context purge --registry-cache --resync` to discard promoted context and rebuild from manifests.');
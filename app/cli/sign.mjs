@@ -2,4 +2,4 @@
 
 import { printLegacyCliWarning } from './_legacy-warning.mjs';
 
-printLegacyCliWarning('sign', 'Signature workflows are being reworked for `sch context` commands (tracked as SCH-CLI-006).');
+printLegacyCliWarning('sign', 'Use `sch context sign <file>` with keys from `sch keys generate`.');
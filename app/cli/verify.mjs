@@ -2,4 +2,4 @@
 
 import { printLegacyCliWarning } from './_legacy-warning.mjs';
 
-printLegacyCliWarning('verify', 'Use `sch protocol validate` until dedicated verification flows return (SCH-CLI-007).');
+printLegacyCliWarning('verify', 'Use `sch context verify <envelope>` to check DSSE/JWS signatures against the keyring.');
@@ -2,4 +2,4 @@
 
 import { printLegacyCliWarning } from './_legacy-warning.mjs';
 
-printLegacyCliWarning('wsap', 'Workspace agent preflight moves to `sch context sync --mode wsap` after backlog item SCH-CLI-008 completes.');
+printLegacyCliWarning('wsap', 'Use `sch context sync --mode wsap` to rebuild workspace artifacts.');
@@ -0,0 +1,216 @@
+#!/usr/bin/env node
+
+/**
+ * Guarded purge for `sch context purge`.
+ *
+ * Lists the exact files and registry/vector rows behind the selected targets, asks for
+ * confirmation (unless `--yes`), deletes them through the retention GC deleter and can
+ * chain straight into `sch context sync` to rebuild.
+ */
+
+import inquirer from 'inquirer';
+import process from 'node:process';
+
+import { createConsole } from '../../src/cli/ux/console.js';
+import { executeContextPurge, planContextPurge } from '../../src/context/purge.js';
+import { syncContext } from '../../src/context/sync.js';
+import { CatalogCliError } from './catalog-shared.js';
+import { contextSyncCommand } from './context-sync.js';
+
+const PURGE_FLAGS = {
+  graphs: 'graphs',
+  embeddings: 'embeddings',
+  diagrams: 'diagrams',
+  perfLogs: 'perf-logs',
+  registryCache: 'registry-cache'
+};
+
+function formatBytes(bytes) {
+  if (!bytes) return '0 B';
+  const units = ['B', 'KB', 'MB', 'GB'];
+  const exponent = Math.min(Math.floor(Math.log(bytes) / Math.log(1024)), units.length - 1);
+  const value = bytes / 1024 ** exponent;
+  return `${value.toFixed(value >= 10 || exponent === 0 ? 0 : 1)} ${units[exponent]}`;
+}
+
+function selectedTargets(options) {
+  if (options.targets) {
+    return options.targets;
+  }
+  return Object.entries(PURGE_FLAGS)
+    .filter(([flag]) => options[flag])
+    .map(([, target]) => target);
+}
+
+function describePlan(plan) {
+  const lines = [];
+  for (const target of plan.targets) {
+    const files = plan.files.filter((file) => file.target === target);
+    const rows = plan.rows.filter((row) => row.target === target);
+    lines.push(`${target}: ${files.length} file(s)${rows.length > 0 ? `, ${rows.reduce((total, row) => total + row.count, 0)} row(s)` : ''}`);
+    for (const file of files) {
+      lines.push(`  file ${file.path} (${formatBytes(file.sizeBytes)})`);
+    }
+    for (const row of rows) {
+      const location = row.table ? `${row.path}#${row.table}` : row.path;
+      lines.push(`  rows ${location}: ${row.error ? `unreadable (${row.error})` : row.count}`);
+      for (const urn of row.urns ?? []) {
+        lines.push(`    ${urn}`);
+      }
+    }
+  }
+  lines.push(...plan.notes);
+  return lines;
+}
+
+function toJsonPlan({ policy, ...rest }) {
+  return rest;
+}
+
+async function confirmPurge(plan, options) {
+  if (options.yes) {
+    return true;
+  }
+  if (!process.stdin.isTTY) {
+    throw new CatalogCliError('Refusing to purge without confirmation in a non-interactive session.', {
+      details: ['Re-run with --yes to confirm, or --dry-run to preview.']
+    });
+  }
+  const { proceed } = await inquirer.prompt([
+    {
+      type: 'confirm',
+      name: 'proceed',
+      message: `Delete ${plan.files.length} file(s) (${formatBytes(plan.candidateBytes)}) for ${plan.targets.join(', ')}?`,
+      default: false
+    }
+  ]);
+  return proceed;
+}
+
+/**
+ * Execute a guarded context purge.
+ *
+ * @param {Object} options
+ * @param {string} options.workspace - Workspace root.
+ * @param {boolean} [options.graphs] - Purge catalog graph caches.
+ * @param {boolean} [options.embeddings] - Purge local vector stores.
+ * @param {boolean} [options.diagrams] - Purge generated diagrams.
+ * @param {boolean} [options.perfLogs] - Purge perf artifacts/logs covered by the retention config.
+ * @param {boolean} [options.registryCache] - Purge registry SQLite databases and sync state.
+ * @param {boolean} [options.dryRun=false] - List what would be removed without deleting.
+ * @param {boolean} [options.yes=false] - Skip the confirmation prompt.
+ * @param {boolean} [options.resync=false] - Run `sch context sync` after purging.
+ * @param {boolean} [options.json=false] - Emit the machine-readable plan/summary.
+ * @returns {Promise<Object|null>} Purge plan (dry run), purge summary, or null when cancelled.
+ */
+export async function contextPurgeCommand(options = {}) {
+  const consoleUi = createConsole();
+  const purgeOptions = {
+    workspace: options.workspace,
+    targets: selectedTargets(options),
+    manifests: options.manifests,
+    db: options.db,
+    lancedb: options.lancedb,
+    collection: options.collection,
+    vectorDriver: options.vectorDriver,
+    qdrantUrl: options.qdrantUrl,
+    qdrantApiKey: options.qdrantApiKey,
+    graph: options.graph,
+    retentionConfig: options.retentionConfig
+  };
+
+  let plan;
+  try {
+    plan = await planContextPurge(purgeOptions);
+  } catch (error) {
+    throw new CatalogCliError('Unable to plan context purge.', {
+      cause: error,
+      details: [error.message ?? String(error)]
+    });
+  }
+
+  if (options.dryRun) {
+    if (options.json) {
+      console.log(JSON.stringify(toJsonPlan(plan), null, 2));
+    } else {
+      consoleUi.info('Dry run: context purge would remove:');
+      describePlan(plan).forEach((line) => console.log(`  ${line}`));
+    }
+    return toJsonPlan(plan);
+  }
+
+  if (plan.files.length === 0) {
+    const summary = toJsonPlan({ ...plan, dryRun: false, removed: [], removedBytes: 0 });
+    if (options.json) {
+      console.log(JSON.stringify(summary, null, 2));
+    } else {
+      consoleUi.info('Nothing to purge for the selected targets.');
+      plan.notes.forEach((line) => console.log(`  ${line}`));
+    }
+    return summary;
+  }
+
+  if (!options.json) {
+    consoleUi.warn('Context purge will remove:', describePlan(plan));
+  }
+
+  if (!(await confirmPurge(plan, options))) {
+    consoleUi.info('Context purge cancelled.');
+    return null;
+  }
+
+  const summary = await executeContextPurge(plan, purgeOptions);
+  if (summary.errors.length > 0) {
+    process.exitCode = 1;
+  }
+
+  if (options.json && !options.resync) {
+    console.log(JSON.stringify(summary, null, 2));
+    return summary;
+  }
+
+  if (!options.json) {
+    const lines = [
+      `Removed ${summary.removed.length} file(s), reclaimed ${formatBytes(summary.removedBytes)}`,
+      ...summary.errors
+    ];
+    if (summary.errors.length > 0) {
+      consoleUi.warn('Context purge completed with errors.', lines);
+    } else {
+      consoleUi.success('Context purge completed.', lines);
+    }
+  }
+
+  if (options.resync) {
+    const syncOptions = {
+      workspace: options.workspace,
+      manifests: options.manifests,
+      db: options.db,
+      lancedb: options.lancedb,
+      collection: options.collection,
+      graph: options.graph,
+      vectorDriver: options.vectorDriver,
+      qdrantUrl: options.qdrantUrl,
+      qdrantApiKey: options.qdrantApiKey
+    };
+    if (options.json) {
+      // Fold the sync summary into a single JSON document instead of printing twice.
+      summary.sync = await syncContext({
+        ...syncOptions,
+        logger: { info() {}, warn: (message) => console.error(message) }
+      });
+      if (summary.sync.failed.length > 0) {
+        process.exitCode = 1;
+      }
+      console.log(JSON.stringify(summary, null, 2));
+    } else {
+      summary.sync = await contextSyncCommand(syncOptions);
+    }
+  }
+
+  return summary;
+}
+
+export default {
+  contextPurgeCommand
+};
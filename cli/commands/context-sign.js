@@ -0,0 +1,77 @@
+#!/usr/bin/env node
+
+/**
+ * Artifact signing for `sch context sign`.
+ *
+ * Signs a file with the current keyring signing key (or `--keyid`) and writes
+ * either a DSSE envelope (any payload, e.g. provenance statements for the
+ * registry) or an identity-access.signing.v1 JWS envelope (JSON payloads).
+ */
+
+import { readFile, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+
+import { createConsole } from '../../src/cli/ux/console.js';
+import { signWithKeyring } from '../../packages/runtime/security/envelope-signing.mjs';
+import { loadKeyring } from '../../packages/runtime/security/keyring.mjs';
+import { CatalogCliError } from './catalog-shared.js';
+import { resolveKeyringPath } from './keys.js';
+
+/**
+ * Sign a file.
+ *
+ * @param {string} file - File to sign.
+ * @param {Object} options
+ * @param {string} [options.keyring] - Keyring file.
+ * @param {string} [options.keyid] - Signing key (defaults to the newest active key).
+ * @param {'dsse'|'jws'} [options.format='dsse'] - Envelope format.
+ * @param {string} [options.payloadType='application/json'] - DSSE payload type.
+ * @param {string} [options.out] - Envelope path (defaults to `<file>.<format>.json`).
+ * @param {boolean} [options.json=false] - Print a JSON summary.
+ * @returns {Promise<Object>} Summary with the envelope path, format and keyid.
+ */
+export async function contextSignCommand(file, options = {}) {
+  const consoleUi = createConsole();
+  const format = options.format ?? 'dsse';
+  const inputPath = path.resolve(file);
+
+  let bytes;
+  try {
+    bytes = await readFile(inputPath);
+  } catch (error) {
+    throw new CatalogCliError(`Unable to read ${file}.`, { cause: error, details: [error.message] });
+  }
+
+  const keyringPath = resolveKeyringPath(options);
+  let signed;
+  try {
+    const keyring = await loadKeyring(keyringPath);
+    signed = await signWithKeyring(bytes, {
+      keyring,
+      keyringPath,
+      keyid: options.keyid,
+      format,
+      payloadType: options.payloadType
+    });
+  } catch (error) {
+    throw new CatalogCliError(`Unable to sign ${file}.`, {
+      cause: error,
+      details: [error.message ?? String(error)]
+    });
+  }
+
+  const outPath = path.resolve(options.out ?? `${inputPath}.${format}.json`);
+  await writeFile(outPath, `${JSON.stringify(signed.envelope, null, 2)}\n`, 'utf8');
+
+  const summary = { file: inputPath, envelope: outPath, format, keyid: signed.key.keyid, alg: signed.key.alg };
+  if (options.json) {
+    console.log(JSON.stringify(summary, null, 2));
+  } else {
+    consoleUi.success(`Signed ${file} with ${signed.key.keyid}.`, [`format: ${format}`, `envelope: ${outPath}`]);
+  }
+  return summary;
+}
+
+export default {
+  contextSignCommand
+};
@@ -0,0 +1,182 @@
+#!/usr/bin/env node
+
+/**
+ * Context inventory report for `sch context status`.
+ *
+ * Summarises the workspace manifests and the derived stores built from them
+ * (registry SQLite, vector index, catalog graph) and flags drift between them.
+ */
+
+import Table from 'cli-table3';
+import chalk from 'chalk';
+
+import { createConsole } from '../../src/cli/ux/console.js';
+import { collectContextInventory } from '../../src/context/inventory.js';
+import { CatalogCliError } from './catalog-shared.js';
+
+const DRIFT_LABELS = {
+  missingFromRegistry: 'Manifests missing from registry',
+  digestMismatches: 'Registry digest mismatches',
+  missingEmbeddings: 'Registry entries without embeddings',
+  staleEmbeddings: 'Embeddings older than registry entry',
+  orphanedEmbeddings: 'Embeddings without registry entry',
+  graphMissingManifests: 'Manifests missing from catalog graph',
+  orphanedInRegistry: 'Registry-only entries (not on disk)'
+};
+
+function describeStore(present, error) {
+  if (error) return chalk.red('error');
+  return present ? chalk.green('present') : chalk.yellow('missing');
+}
+
+function renderStoresTable(report) {
+  const { manifests, registry, vectors, graph } = report.stores;
+  const table = new Table({
+    head: [
+      chalk.cyan('Store'),
+      chalk.cyan('State'),
+      chalk.cyan('Count'),
+      chalk.cyan('Last sync'),
+      chalk.cyan('Location')
+    ],
+    wordWrap: true
+  });
+
+  table.push(
+    ['Manifests', describeStore(manifests.present), manifests.count, manifests.lastModified ?? '—', manifests.path],
+    ['Registry (SQLite)', describeStore(registry.present, registry.error), registry.count, registry.lastUpdated ?? '—', registry.path],
+    [
+      `Vectors (${vectors.mode ?? vectors.driver})`,
+      describeStore(vectors.present, vectors.error),
+      vectors.count,
+      vectors.lastModified ?? '—',
+      vectors.path
+    ],
+    [
+      'Catalog graph',
+      describeStore(graph.present, graph.error),
+      `${graph.nodeCount} nodes / ${graph.edgeCount} edges`,
+      graph.generatedAt ?? '—',
+      graph.path
+    ]
+  );
+
+  return table.toString();
+}
+
+function formatDrift(drift) {
+  const lines = [];
+  for (const [key, label] of Object.entries(DRIFT_LABELS)) {
+    const entries = drift[key] ?? [];
+    if (entries.length === 0) continue;
+    const urns = entries.map((entry) => (typeof entry === 'string' ? entry : entry.urn));
+    const sample = urns.slice(0, 3).join(', ');
+    const suffix = urns.length > 3 ? `, …and ${urns.length - 3} more` : '';
+    lines.push(`${label}: ${urns.length} (${sample}${suffix})`);
+  }
+  if (drift.graphStale && (drift.graphMissingManifests ?? []).length === 0) {
+    lines.push('Catalog graph is older than the newest manifest.');
+  }
+  return lines;
+}
+
+/**
+ * Strip per-entry listings that are only needed for drift computation.
+ */
+function toJsonReport(report) {
+  const { manifests, registry, vectors, graph } = report.stores;
+  return {
+    workspace: report.workspace,
+    generatedAt: report.generatedAt,
+    inSync: report.inSync,
+    stores: {
+      manifests: {
+        path: manifests.path,
+        present: manifests.present,
+        count: manifests.count,
+        lastModified: manifests.lastModified,
+        skipped: manifests.skipped
+      },
+      registry: {
+        path: registry.path,
+        present: registry.present,
+        count: registry.count,
+        lastUpdated: registry.lastUpdated,
+        ...(registry.error ? { error: registry.error } : {})
+      },
+      vectors: {
+        driver: vectors.driver,
+        mode: vectors.mode,
+        path: vectors.path,
+        collection: vectors.collection,
+        present: vectors.present,
+        count: vectors.count,
+        lastModified: vectors.lastModified,
+        ...(vectors.error ? { error: vectors.error } : {})
+      },
+      graph: {
+        path: graph.path,
+        present: graph.present,
+        nodeCount: graph.nodeCount,
+        edgeCount: graph.edgeCount,
+        generatedAt: graph.generatedAt,
+        ...(graph.error ? { error: graph.error } : {})
+      }
+    },
+    drift: report.drift
+  };
+}
+
+/**
+ * Execute the context inventory report.
+ *
+ * @param {Object} options
+ * @param {string} options.workspace - Workspace root.
+ * @param {boolean} [options.json=false] - Emit JSON instead of the table report.
+ * @returns {Promise<Object>} Inventory report.
+ */
+export async function contextStatusCommand(options = {}) {
+  const consoleUi = createConsole();
+
+  let report;
+  try {
+    report = await collectContextInventory({
+      workspace: options.workspace,
+      manifests: options.manifests,
+      db: options.db,
+      lancedb: options.lancedb,
+      collection: options.collection,
+      vectorDriver: options.vectorDriver,
+      qdrantUrl: options.qdrantUrl,
+      qdrantApiKey: options.qdrantApiKey,
+      graph: options.graph
+    });
+  } catch (error) {
+    throw new CatalogCliError('Unable to inspect workspace context.', {
+      cause: error,
+      details: [error.message ?? String(error)]
+    });
+  }
+
+  const jsonReport = toJsonReport(report);
+
+  if (options.json) {
+    console.log(JSON.stringify(jsonReport, null, 2));
+    return jsonReport;
+  }
+
+  console.log(renderStoresTable(report));
+
+  const driftLines = formatDrift(report.drift);
+  if (report.inSync) {
+    consoleUi.success('Workspace context is in sync.', driftLines);
+  } else {
+    consoleUi.warn('Workspace context has drifted. Run `sch context sync` to rebuild derived artifacts.', driftLines);
+  }
+
+  return jsonReport;
+}
+
+export default {
+  contextStatusCommand
+};
@@ -0,0 +1,123 @@
+#!/usr/bin/env node
+
+/**
+ * Context sync command for `sch context sync`.
+ *
+ * Rebuilds registry/vector entries, the catalog graph, the Draw.io diagram and
+ * GOVERNANCE.md from workspace manifests, skipping outputs whose inputs are unchanged.
+ */
+
+import { createConsole } from '../../src/cli/ux/console.js';
+import { syncContext } from '../../src/context/sync.js';
+import { CatalogCliError } from './catalog-shared.js';
+
+function formatTargetLine(target, result) {
+  switch (result.status) {
+    case 'rebuilt': {
+      const extras = [];
+      if (Array.isArray(result.upserts)) extras.push(`${result.upserts.length} upserted`);
+      if (Array.isArray(result.removals) && result.removals.length > 0) extras.push(`${result.removals.length} removed`);
+      if (result.nodeCount !== undefined) extras.push(`${result.nodeCount} nodes`);
+      if (result.output) extras.push(result.output);
+      return `${target}: rebuilt (${extras.join(', ')}) in ${result.durationMs}ms`;
+    }
+    case 'planned':
+      return `${target}: would rebuild${result.output ? ` → ${result.output}` : ''}`;
+    case 'skipped':
+      return `${target}: skipped (${result.reason})`;
+    case 'failed':
+      return `${target}: failed — ${result.error}`;
+    default:
+      return `${target}: ${result.status}`;
+  }
+}
+
+/**
+ * Execute an incremental context sync.
+ *
+ * @param {Object} options
+ * @param {string} options.workspace - Workspace root.
+ * @param {string} [options.mode='wsap'] - Sync mode: wsap|canary|promote.
+ * @param {string} [options.targets] - Comma-separated subset of targets.
+ * @param {boolean} [options.force=false] - Rebuild every target regardless of digests.
+ * @param {boolean} [options.dryRun=false] - Report the plan without writing.
+ * @param {boolean} [options.json=false] - Emit the machine-readable summary.
+ * @returns {Promise<Object>} Sync summary.
+ */
+export async function contextSyncCommand(options = {}) {
+  const consoleUi = createConsole();
+  const outputJson = Boolean(options.json);
+  const spinner = outputJson
+    ? null
+    : consoleUi.spinner(`Synchronising workspace context (${options.mode ?? 'wsap'})...`);
+
+  if (spinner) {
+    spinner.start();
+  }
+
+  // Keep registry loader progress off stdout so --json output stays parseable.
+  const logger = outputJson
+    ? { info() {}, warn: (message) => console.error(message) }
+    : consoleUi;
+
+  let summary;
+  try {
+    summary = await syncContext({
+      workspace: options.workspace,
+      mode: options.mode,
+      targets: options.targets,
+      force: Boolean(options.force),
+      dryRun: Boolean(options.dryRun),
+      manifests: options.manifests,
+      vectorDriver: options.vectorDriver,
+      qdrantUrl: options.qdrantUrl,
+      qdrantApiKey: options.qdrantApiKey,
+      logger
+    });
+  } catch (error) {
+    if (spinner) {
+      spinner.fail('Context sync failed.');
+    }
+    throw new CatalogCliError('Unable to synchronise workspace context.', {
+      cause: error,
+      details: [error.message ?? String(error)]
+    });
+  }
+
+  if (summary.failed.length > 0) {
+    process.exitCode = 1;
+  }
+
+  if (outputJson) {
+    console.log(JSON.stringify(summary, null, 2));
+    return summary;
+  }
+
+  const { manifests } = summary;
+  const lines = [
+    `Mode: ${summary.mode}${summary.dryRun ? ' (dry run)' : ''}`,
+    `Manifests: ${manifests.total} (added ${manifests.added.length}, changed ${manifests.changed.length}, removed ${manifests.removed.length})`,
+    ...Object.entries(summary.targets).map(([target, result]) => formatTargetLine(target, result))
+  ];
+  if (summary.promotedFrom) {
+    lines.push(`Promoted canary synced at ${summary.promotedFrom.syncedAt}`);
+  }
+
+  if (summary.failed.length > 0) {
+    if (spinner) {
+      spinner.fail(`Context sync completed with ${summary.failed.length} failed target(s).`);
+    }
+    consoleUi.warn('Context sync summary:', lines);
+  } else {
+    if (spinner) {
+      spinner.succeed('Context sync completed.');
+    }
+    consoleUi.success('Context sync summary:', lines);
+  }
+
+  return summary;
+}
+
+export default {
+  contextSyncCommand
+};
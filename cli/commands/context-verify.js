@@ -0,0 +1,84 @@
+#!/usr/bin/env node
+
+/**
+ * Envelope verification for `sch context verify`.
+ *
+ * Verifies a DSSE or identity-access.signing.v1 JWS envelope against the keys
+ * in the local keyring, rejecting signatures from revoked or expired keys, and
+ * optionally checks that the signed payload matches a file on disk.
+ */
+
+import { readFile } from 'node:fs/promises';
+import path from 'node:path';
+import process from 'node:process';
+
+import { createConsole } from '../../src/cli/ux/console.js';
+import { detectEnvelopeFormat, verifyWithKeyring } from '../../packages/runtime/security/envelope-signing.mjs';
+import { loadKeyring } from '../../packages/runtime/security/keyring.mjs';
+import { CatalogCliError } from './catalog-shared.js';
+import { resolveKeyringPath } from './keys.js';
+
+async function readInput(file, label) {
+  try {
+    return await readFile(path.resolve(file));
+  } catch (error) {
+    throw new CatalogCliError(`Unable to read ${label} ${file}.`, { cause: error, details: [error.message] });
+  }
+}
+
+/**
+ * Verify a signature envelope.
+ *
+ * @param {string} envelopeFile - DSSE or JWS envelope.
+ * @param {Object} options
+ * @param {string} [options.keyring] - Keyring file.
+ * @param {string} [options.payload] - File the signed payload must match.
+ * @param {boolean} [options.json=false] - Print a JSON result.
+ * @returns {Promise<Object>} `{ valid, format, keyid, reason }`; sets a non-zero exit code when invalid.
+ */
+export async function contextVerifyCommand(envelopeFile, options = {}) {
+  const consoleUi = createConsole();
+
+  const raw = await readInput(envelopeFile, 'envelope');
+  let envelope;
+  try {
+    envelope = JSON.parse(raw.toString('utf8'));
+  } catch (error) {
+    throw new CatalogCliError(`Envelope ${envelopeFile} is not valid JSON.`, { cause: error, details: [error.message] });
+  }
+  if (!detectEnvelopeFormat(envelope)) {
+    throw new CatalogCliError(`Unrecognised envelope format: ${envelopeFile}`, {
+      details: ['Expected a DSSE envelope (payloadType, signatures) or a JWS envelope (spec, protected).']
+    });
+  }
+
+  const payload = options.payload ? await readInput(options.payload, 'payload') : undefined;
+  const keyringPath = resolveKeyringPath(options);
+  let keyring;
+  try {
+    keyring = await loadKeyring(keyringPath);
+  } catch (error) {
+    throw new CatalogCliError('Unable to read keyring.', { cause: error, details: [error.message] });
+  }
+
+  const result = { envelope: path.resolve(envelopeFile), ...verifyWithKeyring(envelope, keyring, { payload }) };
+  if (!result.valid) {
+    process.exitCode = 1;
+  }
+
+  if (options.json) {
+    console.log(JSON.stringify(result, null, 2));
+  } else if (result.valid) {
+    consoleUi.success(`Signature verified (${result.format}, key ${result.keyid}).`);
+  } else {
+    consoleUi.error(`Signature verification failed: ${result.reason}.`, [
+      result.keyid ? `keyid: ${result.keyid}` : '',
+      ...(result.errors ?? [])
+    ]);
+  }
+  return result;
+}
+
+export default {
+  contextVerifyCommand
+};
@@ -0,0 +1,252 @@
+#!/usr/bin/env node
+
+/**
+ * Signing key management for `sch keys`.
+ *
+ * Generates, lists, rotates and revokes the keys in the local keyring used by
+ * `sch context sign` and, through `PROVENANCE_KEYRING_PATH`, by the registry's
+ * provenance verifier.
+ */
+
+import Table from 'cli-table3';
+import chalk from 'chalk';
+import path from 'node:path';
+import process from 'node:process';
+
+import { createConsole } from '../../src/cli/ux/console.js';
+import {
+  DEFAULT_KEYRING_PATH,
+  generateKey,
+  listKeys,
+  loadKeyring,
+  revokeKey,
+  rotateKey
+} from '../../packages/runtime/security/keyring.mjs';
+import { CatalogCliError } from './catalog-shared.js';
+
+const STATE_COLOURS = {
+  active: chalk.green,
+  expired: chalk.yellow,
+  revoked: chalk.red
+};
+
+/**
+ * Keyring location: `--keyring`, then `PROVENANCE_KEYRING_PATH`, then
+ * `var/keys/keyring.json` under the workspace.
+ *
+ * @param {{ keyring?: string, workspace?: string }} options
+ * @returns {string}
+ */
+export function resolveKeyringPath(options = {}) {
+  const keyringPath = options.keyring ?? process.env.PROVENANCE_KEYRING_PATH ?? DEFAULT_KEYRING_PATH;
+  return path.resolve(options.workspace ?? process.cwd(), keyringPath);
+}
+
+function parseDays(value, label) {
+  if (value === undefined || value === null) return undefined;
+  const days = Number(value);
+  if (!Number.isFinite(days) || days < 0) {
+    throw new CatalogCliError(`Invalid ${label}: ${value}`, {
+      details: ['Expected a number of days.']
+    });
+  }
+  return days;
+}
+
+function toJsonKey(entry) {
+  return {
+    keyid: entry.keyid,
+    alg: entry.alg,
+    state: entry.state,
+    status: entry.status,
+    createdAt: entry.createdAt,
+    expiresAt: entry.expiresAt ?? null,
+    revokedAt: entry.revokedAt ?? null,
+    revocationReason: entry.revocationReason ?? null,
+    rotatedTo: entry.rotatedTo ?? null,
+    fingerprint: entry.fingerprint,
+    hasPrivateKey: Boolean(entry.privateKeyPath)
+  };
+}
+
+function describeKey(entry) {
+  return [
+    `keyid: ${entry.keyid}`,
+    `algorithm: ${entry.alg}`,
+    `fingerprint: sha256:${entry.fingerprint}`,
+    `expires: ${entry.expiresAt ?? 'never'}`
+  ];
+}
+
+async function runKeyringOperation(message, operation) {
+  try {
+    return await operation();
+  } catch (error) {
+    if (error instanceof CatalogCliError) throw error;
+    throw new CatalogCliError(message, {
+      cause: error,
+      details: [error.message ?? String(error)]
+    });
+  }
+}
+
+/**
+ * Generate a new signing key.
+ *
+ * @param {Object} options
+ * @param {string} [options.keyring] - Keyring file.
+ * @param {string} [options.alg='Ed25519'] - Ed25519 or ES256.
+ * @param {string} [options.keyid] - Key identifier (derived from the fingerprint when omitted).
+ * @param {string|number} [options.expiresIn] - Days until the key expires.
+ * @param {boolean} [options.json=false]
+ * @returns {Promise<Object>} The new key.
+ */
+export async function keysGenerateCommand(options = {}) {
+  const consoleUi = createConsole();
+  const keyringPath = resolveKeyringPath(options);
+  const expiresInDays = parseDays(options.expiresIn, 'expiry');
+
+  const entry = await runKeyringOperation('Unable to generate signing key.', () =>
+    generateKey(keyringPath, { alg: options.alg, keyid: options.keyid, expiresInDays })
+  );
+  const result = toJsonKey({ ...entry, state: 'active' });
+
+  if (options.json) {
+    console.log(JSON.stringify({ keyring: keyringPath, key: result }, null, 2));
+  } else {
+    consoleUi.success(`Generated signing key ${entry.keyid}.`, [...describeKey(entry), `keyring: ${keyringPath}`]);
+  }
+  return result;
+}
+
+/**
+ * List the keys in the keyring, newest first.
+ *
+ * @param {Object} options
+ * @param {string} [options.keyring] - Keyring file.
+ * @param {boolean} [options.json=false]
+ * @returns {Promise<Object[]>}
+ */
+export async function keysListCommand(options = {}) {
+  const consoleUi = createConsole();
+  const keyringPath = resolveKeyringPath(options);
+
+  const keyring = await runKeyringOperation('Unable to read keyring.', () => loadKeyring(keyringPath));
+  const keys = listKeys(keyring).map(toJsonKey);
+
+  if (options.json) {
+    console.log(JSON.stringify({ keyring: keyringPath, keys }, null, 2));
+    return keys;
+  }
+
+  if (keys.length === 0) {
+    consoleUi.info(`Keyring ${keyringPath} has no keys.`, ['Run `sch keys generate` to create one.']);
+    return keys;
+  }
+
+  const table = new Table({
+    head: [
+      chalk.cyan('Key ID'),
+      chalk.cyan('Algorithm'),
+      chalk.cyan('State'),
+      chalk.cyan('Created'),
+      chalk.cyan('Expires'),
+      chalk.cyan('Signing')
+    ],
+    wordWrap: true
+  });
+  for (const key of keys) {
+    table.push([
+      key.keyid,
+      key.alg,
+      STATE_COLOURS[key.state](key.state),
+      key.createdAt,
+      key.expiresAt ?? '—',
+      key.hasPrivateKey ? 'yes' : 'no'
+    ]);
+  }
+  console.log(table.toString());
+  return keys;
+}
+
+/**
+ * Issue a replacement for the current signing key and expire the old one
+ * after an overlap window.
+ *
+ * @param {Object} options
+ * @param {string} [options.keyring] - Keyring file.
+ * @param {string} [options.from] - Key to rotate (defaults to the current signing key).
+ * @param {string} [options.alg] - Algorithm for the new key (defaults to the old key's).
+ * @param {string} [options.keyid] - Identifier for the new key.
+ * @param {string|number} [options.expiresIn] - Days until the new key expires.
+ * @param {string|number} [options.overlap] - Days the old key keeps verifying.
+ * @param {boolean} [options.json=false]
+ * @returns {Promise<{ key: Object, previous: Object }>}
+ */
+export async function keysRotateCommand(options = {}) {
+  const consoleUi = createConsole();
+  const keyringPath = resolveKeyringPath(options);
+  const expiresInDays = parseDays(options.expiresIn, 'expiry');
+  const overlapDays = parseDays(options.overlap, 'overlap');
+
+  const { key, previous } = await runKeyringOperation('Unable to rotate signing key.', () =>
+    rotateKey(keyringPath, {
+      from: options.from,
+      alg: options.alg,
+      keyid: options.keyid,
+      expiresInDays,
+      overlapDays
+    })
+  );
+  const result = {
+    key: toJsonKey({ ...key, state: 'active' }),
+    previous: toJsonKey(listKeys({ keys: [previous] })[0])
+  };
+
+  if (options.json) {
+    console.log(JSON.stringify({ keyring: keyringPath, ...result }, null, 2));
+  } else {
+    consoleUi.success(`Rotated ${previous.keyid} to ${key.keyid}.`, [
+      ...describeKey(key),
+      `${previous.keyid} stops verifying at ${previous.expiresAt}.`
+    ]);
+  }
+  return result;
+}
+
+/**
+ * Revoke a key so it no longer signs or verifies.
+ *
+ * @param {string} keyid - Key to revoke.
+ * @param {Object} options
+ * @param {string} [options.keyring] - Keyring file.
+ * @param {string} [options.reason] - Recorded revocation reason.
+ * @param {boolean} [options.json=false]
+ * @returns {Promise<Object>} The revoked key.
+ */
+export async function keysRevokeCommand(keyid, options = {}) {
+  const consoleUi = createConsole();
+  const keyringPath = resolveKeyringPath(options);
+
+  const entry = await runKeyringOperation(`Unable to revoke key ${keyid}.`, () =>
+    revokeKey(keyringPath, keyid, { reason: options.reason })
+  );
+  const result = toJsonKey({ ...entry, state: 'revoked' });
+
+  if (options.json) {
+    console.log(JSON.stringify({ keyring: keyringPath, key: result }, null, 2));
+  } else {
+    consoleUi.warn(`Revoked key ${keyid}.`, [
+      options.reason ? `reason: ${options.reason}` : '',
+      'Registries started with this keyring reject its signatures after a restart.'
+    ]);
+  }
+  return result;
+}
+
+export default {
+  keysGenerateCommand,
+  keysListCommand,
+  keysRotateCommand,
+  keysRevokeCommand
+};
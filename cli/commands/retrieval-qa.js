@@ -0,0 +1,190 @@
+#!/usr/bin/env node
+
+/**
+ * Retrieval QA harness for `sch retrieval qa`.
+ *
+ * Runs a curated query dataset through the tool hub search service, scores the ranked
+ * URNs (recall@k, MRR, nDCG@k) and diffs the result against a stored baseline report.
+ */
+
+import path from 'node:path';
+
+import Table from 'cli-table3';
+import chalk from 'chalk';
+
+import { createConsole } from '../../src/cli/ux/console.js';
+import {
+  DEFAULT_REGRESSION_TOLERANCE,
+  defaultBaselinePath,
+  diffQaReports,
+  loadQaDataset,
+  readQaReport,
+  resolveQaDatasetPath,
+  runRetrievalQa,
+  writeQaReport
+} from '../../src/retrieval/qa.js';
+import { ToolHubSearchService } from '../../packages/runtime/services/tool-hub/search-service.js';
+import { CatalogCliError } from './catalog-shared.js';
+
+function formatMetric(value) {
+  return typeof value === 'number' ? value.toFixed(3) : '—';
+}
+
+function formatDelta(entry) {
+  const text = `${entry.delta >= 0 ? '+' : ''}${entry.delta.toFixed(3)}`;
+  if (entry.status === 'regressed') return chalk.red(text);
+  if (entry.status === 'improved') return chalk.green(text);
+  return chalk.gray(text);
+}
+
+function renderMetricsTable(report, diff) {
+  const head = [chalk.cyan('Metric'), chalk.cyan('Value')];
+  if (diff) {
+    head.push(chalk.cyan('Baseline'), chalk.cyan('Δ'));
+  }
+  const table = new Table({ head });
+  const byMetric = new Map((diff?.metrics ?? []).map((entry) => [entry.metric, entry]));
+
+  const rows = [['mrr', report.aggregate.mrr]];
+  for (const k of report.cutoffs) rows.push([`recall@${k}`, report.aggregate.recall[k]]);
+  for (const k of report.cutoffs) rows.push([`ndcg@${k}`, report.aggregate.ndcg[k]]);
+
+  for (const [metric, value] of rows) {
+    const row = [metric, formatMetric(value)];
+    if (diff) {
+      const entry = byMetric.get(metric);
+      row.push(entry ? formatMetric(entry.baseline) : '—', entry ? formatDelta(entry) : '—');
+    }
+    table.push(row);
+  }
+  return table.toString();
+}
+
+function describeMisses(report) {
+  const lines = [];
+  for (const entry of report.queries) {
+    if (entry.error) {
+      lines.push(`${entry.id}: search failed — ${entry.error}`);
+    } else if (entry.firstRelevantRank === null) {
+      lines.push(`${entry.id}: no relevant tool in top ${report.limit}`);
+    }
+  }
+  return lines;
+}
+
+function describeQueryDiff(diff) {
+  return diff.queries.map((entry) => {
+    if (entry.status === 'added' || entry.status === 'removed') {
+      return `${entry.id}: ${entry.status} since baseline`;
+    }
+    const before = entry.baselineRank ?? 'miss';
+    const after = entry.currentRank ?? 'miss';
+    return `${entry.id}: ${entry.status} (first relevant rank ${before} → ${after})`;
+  });
+}
+
+function createSearchService(workspace) {
+  return new ToolHubSearchService({
+    workspace,
+    dbPath: path.join(workspace, 'var', 'registry.sqlite'),
+    lanceDbPath: path.join(workspace, 'data', 'lancedb'),
+    logger: { info() {}, debug() {}, warn: (...args) => console.error(...args) }
+  });
+}
+
+/**
+ * Execute the retrieval QA harness.
+ *
+ * @param {Object} options
+ * @param {string} options.workspace - Workspace root.
+ * @param {string} [options.dataset='default'] - Dataset name or JSON path.
+ * @param {string} [options.output] - Write the full QA report to this file.
+ * @param {string} [options.baseline] - Baseline report to diff against (defaults next to the dataset).
+ * @param {boolean} [options.updateBaseline=false] - Store this run as the new baseline.
+ * @param {string} [options.k] - Comma-separated cutoffs overriding the dataset's.
+ * @param {number} [options.limit] - Results requested per query.
+ * @param {number} [options.tolerance] - Allowed absolute drop before a metric counts as regressed.
+ * @param {boolean} [options.json=false] - Emit `{ report, diff }` as JSON.
+ * @param {Function} [options.searchServiceFactory] - Override search service construction (tests).
+ * @returns {Promise<{ report: Object, diff: Object|null }>}
+ */
+export async function retrievalQaCommand(options = {}) {
+  const consoleUi = createConsole();
+  const workspace = options.workspace ? path.resolve(options.workspace) : process.cwd();
+  const datasetPath = resolveQaDatasetPath(options.dataset ?? 'default', workspace);
+  const baselinePath = options.baseline
+    ? path.resolve(workspace, options.baseline)
+    : defaultBaselinePath(datasetPath);
+  const tolerance = options.tolerance !== undefined ? Number(options.tolerance) : DEFAULT_REGRESSION_TOLERANCE;
+
+  let report;
+  let searchService;
+  try {
+    const dataset = await loadQaDataset(datasetPath);
+    searchService = typeof options.searchServiceFactory === 'function'
+      ? await options.searchServiceFactory({ workspace })
+      : createSearchService(workspace);
+    report = await runRetrievalQa({
+      dataset,
+      searchService,
+      cutoffs: options.k,
+      limit: options.limit !== undefined ? Number(options.limit) : undefined,
+      datasetPath: path.relative(workspace, datasetPath).split(path.sep).join('/')
+    });
+  } catch (error) {
+    throw new CatalogCliError('Retrieval QA run failed.', {
+      cause: error,
+      details: [error.message ?? String(error)]
+    });
+  } finally {
+    await searchService?.shutdown?.();
+  }
+
+  const baseline = options.updateBaseline ? null : await readQaReport(baselinePath);
+  const diff = baseline ? diffQaReports(baseline, report, { tolerance }) : null;
+
+  if (options.output) {
+    await writeQaReport(path.resolve(workspace, options.output), { ...report, ...(diff ? { diff } : {}) });
+  }
+  if (options.updateBaseline) {
+    await writeQaReport(baselinePath, report);
+  }
+  if (diff?.regressed) {
+    process.exitCode = 1;
+  }
+
+  if (options.json) {
+    console.log(JSON.stringify({ report, diff }, null, 2));
+    return { report, diff };
+  }
+
+  console.log(renderMetricsTable(report, diff));
+
+  const misses = describeMisses(report);
+  if (misses.length > 0) {
+    consoleUi.warn(`${misses.length} of ${report.queries.length} queries missed:`, misses);
+  }
+
+  if (options.updateBaseline) {
+    consoleUi.success(`Baseline updated: ${baselinePath}`);
+  } else if (!diff) {
+    consoleUi.info(`No baseline at ${baselinePath}; re-run with --update-baseline to record one.`);
+  } else if (diff.regressed) {
+    consoleUi.error(
+      `Retrieval regressed against baseline (${diff.regressions.map((entry) => entry.metric).join(', ')}).`,
+      describeQueryDiff(diff)
+    );
+  } else {
+    consoleUi.success('Retrieval QA matches or beats the baseline.', describeQueryDiff(diff));
+  }
+
+  if (options.output) {
+    consoleUi.info(`Report written to ${path.resolve(workspace, options.output)}`);
+  }
+
+  return { report, diff };
+}
+
+export default {
+  retrievalQaCommand
+};
@@ -17,11 +17,14 @@ program
   .enablePositionalOptions();
 
 registerProtocolCommands(program);
+registerDiscoverCommand(program);
 registerRegistryCommands(program);
 registerSearchCommand(program);
 registerPerfCommands(program);
 registerContextCommands(program);
+registerKeysCommands(program);
 registerRetrievalCommands(program);
+registerWorkflowCommands(program);
 registerEventCommands(program);
 
 program
@@ -33,6 +36,41 @@ program
 
 program.parseAsync(process.argv).catch(handleCliError);
 
+function registerDiscoverCommand(root) {
+  root
+    .command('discover [source]')
+    .description('Discover contracts from specs, schemas and databases as draft protocol manifests')
+    .option('--type <type>', 'Manifest type (api|data|event|auto); auto lets importer detect() decide', 'auto')
+    .option('--importer <id>', 'Use this importer instead of auto-detection')
+    .option('--workspace <path>', 'Workspace root (workspace importers come from app/config/importers.config.json)', process.cwd())
+    .option('--output <dir>', 'Output directory', 'artifacts')
+    .option('--format <format>', 'Output format (json|yaml)', 'json')
+    .option('--list-importers', 'List built-in and workspace importers in detection order', false)
+    .option('--json', 'Emit JSON for --list-importers', false)
+    .action(async (source, options, command) => {
+      const { discoverCommand, listImportersCommand } = await import('../packages/runtime/cli/commands/discover.js');
+
+      if (options.listImporters) {
+        await listImportersCommand({
+          workspace: options.workspace,
+          json: Boolean(options.json)
+        });
+        return;
+      }
+
+      if (!source) {
+        command.error('error: missing required argument \'source\' (or pass --list-importers)');
+      }
+
+      await discoverCommand(options.type, source, {
+        importer: options.importer,
+        workspace: options.workspace,
+        output: options.output,
+        format: options.format
+      });
+    });
+}
+
 function registerPerfCommands(root) {
   const perf = root
     .command('perf')
@@ -272,29 +310,239 @@ function registerContextCommands(root) {
     .command('context')
     .description('Workspace context management utilities');
 
-  context
-    .command('status')
-    .description('Inspect context state for the active workspace (stub)')
-    .option('--workspace <path>', 'Workspace root', process.cwd())
-    .action((options) => {
-      printStubbedCommandNotice('context status', 'Track context inventory and state transitions (CLI backlog item SCH-CLI-001).', options.workspace);
+  configureContextStatusOptions(
+    context
+      .command('status')
+      .description('Report manifest, registry, vector index and graph cache state with drift flags')
+  ).action(async (options) => {
+    const { contextStatusCommand } = await import('./commands/context-status.js');
+    await contextStatusCommand({
+      workspace: options.workspace,
+      manifests: options.manifests,
+      db: options.db,
+      lancedb: options.lancedb,
+      collection: options.collection,
+      vectorDriver: options.vectorDriver,
+      qdrantUrl: options.qdrantUrl,
+      qdrantApiKey: options.qdrantApiKey,
+      graph: options.graph,
+      json: Boolean(options.json)
     });
+  });
 
-  context
-    .command('sync')
-    .description('Synchronise local context cache with registry sources (stub)')
-    .option('--workspace <path>', 'Workspace root', process.cwd())
-    .action((options) => {
-      printStubbedCommandNotice('context sync', 'Implement context cache sync workflow (CLI backlog item SCH-CLI-004).', options.workspace);
+  configureContextSyncOptions(
+    context
+      .command('sync')
+      .description('Regenerate registry, vector, graph, diagram and governance artifacts from changed manifests')
+  ).action(async (options) => {
+    const { contextSyncCommand } = await import('./commands/context-sync.js');
+    await contextSyncCommand({
+      workspace: options.workspace,
+      mode: options.mode,
+      targets: options.targets,
+      manifests: options.manifests,
+      vectorDriver: options.vectorDriver,
+      qdrantUrl: options.qdrantUrl,
+      qdrantApiKey: options.qdrantApiKey,
+      force: Boolean(options.force),
+      dryRun: Boolean(options.dryRun),
+      json: Boolean(options.json)
     });
+  });
 
-  context
-    .command('purge')
-    .description('Clear cached context artifacts for a clean workspace state (stub)')
-    .option('--workspace <path>', 'Workspace root', process.cwd())
-    .action((options) => {
-      printStubbedCommandNotice('context purge', 'Add targeted purge once context storage contract lands (CLI backlog item SCH-CLI-005).', options.workspace);
+  configureContextPurgeOptions(
+    context
+      .command('purge')
+      .description('Remove selected derived context artifacts after listing exactly what will be deleted')
+  ).action(async (options) => {
+    const { contextPurgeCommand } = await import('./commands/context-purge.js');
+    await contextPurgeCommand({
+      workspace: options.workspace,
+      graphs: Boolean(options.graphs),
+      embeddings: Boolean(options.embeddings),
+      diagrams: Boolean(options.diagrams),
+      perfLogs: Boolean(options.perfLogs),
+      registryCache: Boolean(options.registryCache),
+      manifests: options.manifests,
+      db: options.db,
+      lancedb: options.lancedb,
+      collection: options.collection,
+      vectorDriver: options.vectorDriver,
+      qdrantUrl: options.qdrantUrl,
+      qdrantApiKey: options.qdrantApiKey,
+      graph: options.graph,
+      retentionConfig: options.retentionConfig,
+      dryRun: Boolean(options.dryRun),
+      yes: Boolean(options.yes),
+      resync: Boolean(options.resync),
+      json: Boolean(options.json)
+    });
+  });
+
+  configureKeyringOption(
+    context
+      .command('sign <file>')
+      .description('Sign a file with the keyring signing key, writing a DSSE or JWS envelope')
+      .option('--format <format>', 'Envelope format (dsse|jws)', 'dsse')
+      .option('--payload-type <type>', 'DSSE payload type', 'application/json')
+      .option('--keyid <id>', 'Signing key (defaults to the newest active key)')
+      .option('--out <path>', 'Envelope output path (defaults to <file>.<format>.json)')
+  ).action(async (file, options) => {
+    const { contextSignCommand } = await import('./commands/context-sign.js');
+    await contextSignCommand(file, {
+      keyring: options.keyring,
+      format: options.format,
+      payloadType: options.payloadType,
+      keyid: options.keyid,
+      out: options.out,
+      json: Boolean(options.json)
+    });
+  });
+
+  configureKeyringOption(
+    context
+      .command('verify <envelope>')
+      .description('Verify a DSSE or JWS envelope against the keyring, rejecting revoked and expired keys')
+      .option('--payload <file>', 'File the signed payload must match')
+  ).action(async (envelope, options) => {
+    const { contextVerifyCommand } = await import('./commands/context-verify.js');
+    await contextVerifyCommand(envelope, {
+      keyring: options.keyring,
+      payload: options.payload,
+      json: Boolean(options.json)
+    });
+  });
+}
+
+function registerKeysCommands(root) {
+  const keys = root
+    .command('keys')
+    .description('Manage the signing keyring used by `sch context sign` and registry provenance checks');
+
+  const loadKeysCommands = () => import('./commands/keys.js');
+
+  configureKeyringOption(
+    keys
+      .command('generate')
+      .description('Generate a signing key and add it to the keyring')
+      .option('--alg <algorithm>', 'Key algorithm (Ed25519|ES256)', 'Ed25519')
+      .option('--keyid <id>', 'Key identifier (derived from the key fingerprint when omitted)')
+      .option('--expires-in <days>', 'Days until the key expires')
+  ).action(async (options) => {
+    const { keysGenerateCommand } = await loadKeysCommands();
+    await keysGenerateCommand({
+      keyring: options.keyring,
+      alg: options.alg,
+      keyid: options.keyid,
+      expiresIn: options.expiresIn,
+      json: Boolean(options.json)
+    });
+  });
+
+  configureKeyringOption(
+    keys
+      .command('list')
+      .description('List keyring keys with their state (active|expired|revoked)')
+  ).action(async (options) => {
+    const { keysListCommand } = await loadKeysCommands();
+    await keysListCommand({
+      keyring: options.keyring,
+      json: Boolean(options.json)
+    });
+  });
+
+  configureKeyringOption(
+    keys
+      .command('rotate')
+      .description('Issue a new signing key and expire the current one after an overlap window')
+      .option('--from <id>', 'Key to rotate (defaults to the current signing key)')
+      .option('--alg <algorithm>', 'Algorithm for the new key (defaults to the rotated key\'s)')
+      .option('--keyid <id>', 'Identifier for the new key')
+      .option('--expires-in <days>', 'Days until the new key expires')
+      .option('--overlap <days>', 'Days the rotated key keeps verifying', '7')
+  ).action(async (options) => {
+    const { keysRotateCommand } = await loadKeysCommands();
+    await keysRotateCommand({
+      keyring: options.keyring,
+      from: options.from,
+      alg: options.alg,
+      keyid: options.keyid,
+      expiresIn: options.expiresIn,
+      overlap: options.overlap,
+      json: Boolean(options.json)
+    });
+  });
+
+  configureKeyringOption(
+    keys
+      .command('revoke <keyid>')
+      .description('Revoke a key so it no longer signs or verifies')
+      .option('--reason <text>', 'Revocation reason recorded in the keyring')
+  ).action(async (keyid, options) => {
+    const { keysRevokeCommand } = await loadKeysCommands();
+    await keysRevokeCommand(keyid, {
+      keyring: options.keyring,
+      reason: options.reason,
+      json: Boolean(options.json)
     });
+  });
+}
+
+function configureKeyringOption(command) {
+  return command
+    .option('--keyring <path>', 'Keyring file (defaults to PROVENANCE_KEYRING_PATH or var/keys/keyring.json)')
+    .option('--json', 'Emit JSON instead of human-readable output', false);
+}
+
+function configureContextStatusOptions(command) {
+  return command
+    .option('--workspace <path>', 'Workspace root', process.cwd())
+    .option('--manifests <path>', 'Directory containing cached manifests', 'artifacts/protocols')
+    .option('--db <path>', 'Path to SQLite registry database', 'var/registry.sqlite')
+    .option('--lancedb <path>', 'Directory for LanceDB vector store', 'data/lancedb')
+    .option('--collection <name>', 'Vector collection name', 'protocol_registry_vectors')
+    .option('--vector-driver <driver>', 'Vector store driver (lancedb|qdrant)', process.env.SEMANTEXT_VECTOR_DRIVER || 'lancedb')
+    .option('--qdrant-url <url>', 'Qdrant base URL when using qdrant driver', process.env.SEMANTEXT_QDRANT_URL || undefined)
+    .option('--qdrant-api-key <key>', 'Qdrant API key when using qdrant driver', process.env.SEMANTEXT_QDRANT_API_KEY || undefined)
+    .option('--graph <path>', 'Catalog graph cache file', 'artifacts/catalog-graph.json')
+    .option('--json', 'Emit JSON report instead of table output', false);
+}
+
+function configureContextSyncOptions(command) {
+  return command
+    .option('--workspace <path>', 'Workspace root', process.cwd())
+    .option('--mode <mode>', 'Sync mode: wsap (live) | canary (staged) | promote (publish canary)', 'wsap')
+    .option('--targets <list>', 'Comma-separated targets: registry,graph,diagram,governance')
+    .option('--manifests <path>', 'Directory containing cached manifests', 'artifacts/protocols')
+    .option('--vector-driver <driver>', 'Vector store driver (lancedb|qdrant)', process.env.SEMANTEXT_VECTOR_DRIVER || 'lancedb')
+    .option('--qdrant-url <url>', 'Qdrant base URL when using qdrant driver', process.env.SEMANTEXT_QDRANT_URL || undefined)
+    .option('--qdrant-api-key <key>', 'Qdrant API key when using qdrant driver', process.env.SEMANTEXT_QDRANT_API_KEY || undefined)
+    .option('--force', 'Rebuild every target even when digests are unchanged', false)
+    .option('--dry-run', 'Report what would be rebuilt without writing', false)
+    .option('--json', 'Emit JSON summary instead of human-readable output', false);
+}
+
+function configureContextPurgeOptions(command) {
+  return command
+    .option('--workspace <path>', 'Workspace root', process.cwd())
+    .option('--graphs', 'Purge catalog graph caches (live and canary)', false)
+    .option('--embeddings', 'Purge local vector stores (LanceDB tables and Qdrant fallback files)', false)
+    .option('--diagrams', 'Purge generated Draw.io diagrams', false)
+    .option('--perf-logs', 'Purge perf artifacts and logs listed in the retention config', false)
+    .option('--registry-cache', 'Purge registry SQLite databases and sync state', false)
+    .option('--manifests <path>', 'Directory containing cached manifests', 'artifacts/protocols')
+    .option('--db <path>', 'Path to SQLite registry database', 'var/registry.sqlite')
+    .option('--lancedb <path>', 'Directory for LanceDB vector store', 'data/lancedb')
+    .option('--collection <name>', 'Vector collection name', 'protocol_registry_vectors')
+    .option('--vector-driver <driver>', 'Vector store driver (lancedb|qdrant)', process.env.SEMANTEXT_VECTOR_DRIVER || 'lancedb')
+    .option('--qdrant-url <url>', 'Qdrant base URL when using qdrant driver', process.env.SEMANTEXT_QDRANT_URL || undefined)
+    .option('--qdrant-api-key <key>', 'Qdrant API key when using qdrant driver', process.env.SEMANTEXT_QDRANT_API_KEY || undefined)
+    .option('--graph <path>', 'Catalog graph cache file', 'artifacts/catalog-graph.json')
+    .option('--retention-config <path>', 'Retention config used for --perf-logs', 'app/config/retention.json')
+    .option('--dry-run', 'List files and rows that would be removed without deleting', false)
+    .option('--yes', 'Skip the confirmation prompt', false)
+    .option('--resync', 'Run `sch context sync` after purging', false)
+    .option('--json', 'Emit JSON plan/summary instead of human-readable output', false);
 }
 
 function registerRetrievalCommands(root) {
@@ -304,18 +552,142 @@ function registerRetrievalCommands(root) {
 
   retrieval
     .command('qa')
-    .description('Run retrieval QA harness against curated datasets (stub)')
+    .description('Score search quality (recall@k, MRR, nDCG) on a curated dataset and diff against a baseline')
     .option('--workspace <path>', 'Workspace root', process.cwd())
-    .option('--dataset <name>', 'Dataset identifier for QA baseline', 'default')
-    .option('--output <file>', 'Optional output file for QA findings')
-    .action((options) => {
-      printStubbedCommandNotice(
-        'retrieval qa',
-        `Wire retrieval QA harness for dataset "${options.dataset}" (CLI backlog item SCH-CLI-010).`,
-        options.workspace,
-        options.output
-      );
+    .option('--dataset <name>', 'Dataset name (app/config/retrieval-qa/<name>.json) or path', 'default')
+    .option('--output <file>', 'Write the full QA report (and baseline diff) to a file')
+    .option('--baseline <file>', 'Baseline report to diff against (defaults to <dataset>.baseline.json)')
+    .option('--update-baseline', 'Store this run as the new baseline', false)
+    .option('--k <list>', 'Comma-separated cutoffs overriding the dataset (e.g. 1,3,5,10)')
+    .option('-l, --limit <number>', 'Results requested per query (defaults to the largest cutoff)')
+    .option('--tolerance <number>', 'Allowed absolute metric drop before flagging a regression', '0.01')
+    .option('--json', 'Emit JSON report and diff instead of table output', false)
+    .action(async (options) => {
+      const { retrievalQaCommand } = await import('./commands/retrieval-qa.js');
+      await retrievalQaCommand({
+        workspace: options.workspace,
+        dataset: options.dataset,
+        output: options.output,
+        baseline: options.baseline,
+        updateBaseline: Boolean(options.updateBaseline),
+        k: options.k,
+        limit: options.limit,
+        tolerance: options.tolerance,
+        json: Boolean(options.json)
+      });
+    });
+}
+
+function registerWorkflowCommands(root) {
+  const workflow = root
+    .command('workflow')
+    .description('Validate, run and resume workflow definitions');
+
+  const loadWorkflowCommands = () => import('../packages/runtime/cli/commands/workflow.js');
+  const finish = (result) => {
+    if (!result?.success) {
+      process.exitCode = 1;
+    }
+  };
+
+  workflow
+    .command('validate <workflow-file>')
+    .description('Validate a workflow definition against the workflow schema')
+    .action(async (workflowFile) => {
+      const { validateWorkflow } = await loadWorkflowCommands();
+      finish(await validateWorkflow(workflowFile));
+    });
+
+  workflow
+    .command('simulate <workflow-file>')
+    .description('Dry-run a workflow without calling any adapters')
+    .option('--inputs <json>', 'Workflow inputs as a JSON object')
+    .option('--workflow-dir <path>', 'Extra directory searched for subworkflows by URN')
+    .option('--verbose', 'Show per-step results', false)
+    .option('--trace', 'Print every execution event', false)
+    .action(async (workflowFile, options) => {
+      const { simulateWorkflow } = await loadWorkflowCommands();
+      finish(await simulateWorkflow(workflowFile, {
+        inputs: options.inputs,
+        workflowDir: options.workflowDir,
+        verbose: Boolean(options.verbose),
+        trace: Boolean(options.trace)
+      }));
     });
+
+  workflow
+    .command('examples')
+    .description('List the example workflows')
+    .action(async () => {
+      const { listExamples } = await loadWorkflowCommands();
+      finish(await listExamples());
+    });
+
+  configureWorkflowJournalOptions(
+    workflow
+      .command('run <workflow-file>')
+      .description('Run a workflow with the runtime adapters, journaling each step so it can be resumed')
+      .option('--inputs <json>', 'Workflow inputs as a JSON object')
+      .option('--execution-id <id>', 'Execution identifier (generated when omitted)')
+      .option('--workflow-dir <path>', 'Extra directory searched for subworkflows by URN')
+  ).action(async (workflowFile, options) => {
+    const { runWorkflow } = await loadWorkflowCommands();
+    finish(await runWorkflow(workflowFile, {
+      inputs: options.inputs,
+      executionId: options.executionId,
+      workflowDir: options.workflowDir,
+      journalDir: options.journalDir,
+      json: Boolean(options.json)
+    }));
+  });
+
+  configureWorkflowJournalOptions(
+    workflow
+      .command('resume <execution-id>')
+      .description('Resume a failed or interrupted execution from its last completed step')
+      .option('--workflow-dir <path>', 'Directory searched for subworkflows by URN')
+  ).action(async (executionId, options) => {
+    const { resumeWorkflow } = await loadWorkflowCommands();
+    finish(await resumeWorkflow(executionId, {
+      workflowDir: options.workflowDir,
+      journalDir: options.journalDir,
+      json: Boolean(options.json)
+    }));
+  });
+
+  configureWorkflowJournalOptions(
+    workflow
+      .command('list')
+      .description('List journaled workflow executions, most recent first')
+      .option('--state <state>', 'Only executions in this state (running|failed|compensating|compensated|completed)')
+      .option('--workflow <id>', 'Only executions of this workflow ID')
+  ).action(async (options) => {
+    const { listExecutions } = await loadWorkflowCommands();
+    finish(await listExecutions({
+      state: options.state,
+      workflow: options.workflow,
+      journalDir: options.journalDir,
+      json: Boolean(options.json)
+    }));
+  });
+
+  configureWorkflowJournalOptions(
+    workflow
+      .command('inspect <execution-id>')
+      .description('Show the step states, compensation progress and transition timeline of an execution')
+  ).action(async (executionId, options) => {
+    const { inspectExecution } = await loadWorkflowCommands();
+    finish(await inspectExecution(executionId, {
+      journalDir: options.journalDir,
+      json: Boolean(options.json)
+    }));
+  });
+}
+
+function configureWorkflowJournalOptions(command) {
+  return command
+    .option('--journal-dir <path>', 'Execution journal directory', process.env.SEMANTEXT_WORKFLOW_JOURNAL_DIR || 'var/workflows/executions')
+    .option('--json', 'Emit JSON instead of human-readable output', false);
 }
 
 function registerEventCommands(root) {
@@ -363,23 +735,6 @@ function registerLegacyAlias(root, legacyName, preferredCommand, configure, acti
   });
 }
 
-function printStubbedCommandNotice(command, followUp, workspace, output) {
-  const contextLines = [];
-  if (workspace) {
-    contextLines.push(`Workspace: ${workspace}`);
-  }
-  if (output) {
-    contextLines.push(`Output: ${output}`);
-  }
-
-  console.log(`[stub] The "${command}" command is not yet implemented for the SCH MVP.`);
-  console.log(`       ${followUp}`);
-  if (contextLines.length > 0) {
-    console.log(`       Context → ${contextLines.join(' | ')}`);
-  }
-  console.log('       Track progress in docs/operations/cli-backlog.md.');
-}
-
 function handleCliError(error) {
   if (!error) {
     process.exit(1);
@@ -0,0 +1,319 @@
+/**
+ * MCP Streamable HTTP Transport
+ *
+ * Serves the same tools, resources and prompts as the stdio shim over HTTP so one warm
+ * server process can be shared:
+ * - POST /mcp carries JSON-RPC requests (single or batched)
+ * - GET /mcp opens a Server-Sent Events stream for server notifications
+ * - DELETE /mcp ends the session
+ *
+ * `initialize` issues a session id in the Mcp-Session-Id header; every later
+ * request must echo it. Resource subscriptions belong to the session, and
+ * server notifications (resource updates, list changes) are pushed to the
+ * session's SSE streams. Requests are authenticated with the registry's
+ * X-API-Key middleware, and the metrics endpoint is mounted alongside.
+ */
+
+import express from 'express';
+import { randomUUID } from 'crypto';
+import { createMCPServer } from './shim.js';
+import { createApiKeyMiddleware } from '../../registry/api-key.mjs';
+
+export const MCP_HTTP_PATH = '/mcp';
+export const SESSION_HEADER = 'Mcp-Session-Id';
+export const DEFAULT_SESSION_TTL_MS = 30 * 60 * 1000;
+const HEARTBEAT_INTERVAL_MS = 15000;
+const LOCAL_HOSTNAMES = new Set(['localhost', '127.0.0.1', '::1', '[::1]']);
+
+const rpcError = (code, message, id = null) => ({
+  jsonrpc: '2.0',
+  error: { code, message },
+  id
+});
+
+const isRequest = (message) => typeof message.method === 'string' && message.id !== undefined && message.id !== null;
+
+const isValidMessage = (message) =>
+  Boolean(message) &&
+  typeof message === 'object' &&
+  !Array.isArray(message) &&
+  message.jsonrpc === '2.0' &&
+  (typeof message.method === 'string' || 'result' in message || 'error' in message);
+
+/**
+ * Creates an HTTP-based MCP server
+ * @param {Object} config - Server configuration
+ * @param {string} config.name - Server name
+ * @param {Array} config.tools - Tool definitions
+ * @param {Array} config.resources - Resource definitions
+ * @param {Array} [config.prompts] - Prompt definitions
+ * @param {string} config.apiKey - Key required in the X-API-Key header
+ * @param {Object} [config.metricsEndpoint] - MetricsEndpoint served at its `metricsPath`
+ * @param {number} [config.sessionTtlMs=1800000] - Idle time before a session expires
+ * @param {string[]} [config.allowedOrigins] - Browser origins accepted besides localhost
+ * @param {Object} [config.logger] - Structured logger
+ * @returns {Object} Server instance
+ */
+export function createHttpServer(config) {
+  const {
+    apiKey,
+    metricsEndpoint = null,
+    sessionTtlMs = DEFAULT_SESSION_TTL_MS,
+    allowedOrigins = [],
+    logger: providedLogger = null,
+    jsonLimit = '1mb'
+  } = config;
+
+  if (!apiKey) {
+    throw new Error('MCP HTTP transport requires an API key (MCP_API_KEY or REGISTRY_API_KEY).');
+  }
+
+  const logger = providedLogger ? providedLogger.child('http-server') : null;
+  const mcp = createMCPServer({ ...config, logger: providedLogger, loggerName: 'http-server' });
+  const sessions = new Map();
+  const requireApiKey = createApiKeyMiddleware(apiKey);
+  const origins = new Set(allowedOrigins);
+
+  const app = express();
+  app.disable('x-powered-by');
+
+  // Reject cross-site browser requests (DNS rebinding protection)
+  app.use((request, response, next) => {
+    const origin = request.headers.origin;
+    if (typeof origin === 'string' && !origins.has(origin)) {
+      let hostname = null;
+      try {
+        hostname = new URL(origin).hostname.toLowerCase();
+      } catch {}
+      if (!LOCAL_HOSTNAMES.has(hostname)) {
+        return response.status(403).json({ error: 'forbidden', message: `Origin not allowed: ${origin}` });
+      }
+    }
+    return next();
+  });
+
+  app.use(express.json({ limit: jsonLimit }));
+
+  const closeSession = (session) => {
+    for (const stream of session.streams) {
+      stream.end();
+    }
+    session.streams.clear();
+    sessions.delete(session.id);
+    mcp.closeSession(session.id);
+  };
+
+  const sessionFor = (request, response) => {
+    const sessionId = request.get(SESSION_HEADER);
+    if (!sessionId) {
+      response.status(400).json(rpcError(-32000, `Missing ${SESSION_HEADER} header`));
+      return null;
+    }
+    const session = sessions.get(sessionId);
+    if (!session) {
+      response.status(404).json(rpcError(-32001, `Session not found: ${sessionId}`));
+      return null;
+    }
+    session.lastSeenAt = Date.now();
+    return session;
+  };
+
+  const dispatch = async (message, session) => {
+    try {
+      return await mcp.handleRequest(message, { sessionId: session.id });
+    } catch (error) {
+      logger?.error('Error handling request', { error, requestId: message.id });
+      return rpcError(-32603, error.message, message.id);
+    }
+  };
+
+  app.post(MCP_HTTP_PATH, requireApiKey, async (request, response) => {
+    const batch = Array.isArray(request.body);
+    const messages = batch ? request.body : [request.body];
+    if (messages.length === 0 || !messages.every(isValidMessage)) {
+      return response.status(400).json(rpcError(-32600, 'Invalid JSON-RPC request'));
+    }
+
+    let session;
+    if (messages.some((message) => message.method === 'initialize')) {
+      if (messages.length > 1) {
+        return response.status(400).json(rpcError(-32600, 'initialize must not be batched'));
+      }
+      session = {
+        id: randomUUID(),
+        createdAt: Date.now(),
+        lastSeenAt: Date.now(),
+        protocolVersion: null,
+        streams: new Set()
+      };
+    } else {
+      session = sessionFor(request, response);
+      if (!session) {
+        return undefined;
+      }
+    }
+
+    const requests = messages.filter(isRequest);
+    if (requests.length === 0) {
+      // Notifications and client responses are acknowledged without a body
+      return response.status(202).end();
+    }
+
+    const replies = [];
+    for (const message of requests) {
+      // eslint-disable-next-line no-await-in-loop
+      replies.push(await dispatch(message, session));
+    }
+
+    if (!sessions.has(session.id)) {
+      if (replies[0].error) {
+        return response.status(400).json(replies[0]);
+      }
+      session.protocolVersion = replies[0].result?.protocolVersion ?? null;
+      sessions.set(session.id, session);
+      logger?.info('Session initialized', { sessionId: session.id, protocolVersion: session.protocolVersion });
+    }
+
+    response.setHeader(SESSION_HEADER, session.id);
+    return response.json(batch ? replies : replies[0]);
+  });
+
+  app.get(MCP_HTTP_PATH, requireApiKey, (request, response) => {
+    if (!request.accepts('text/event-stream')) {
+      return response.status(406).json(rpcError(-32000, 'GET requires Accept: text/event-stream'));
+    }
+    const session = sessionFor(request, response);
+    if (!session) {
+      return undefined;
+    }
+
+    response.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+      [SESSION_HEADER]: session.id
+    });
+    response.write(': connected\n\n');
+    session.streams.add(response);
+
+    const heartbeat = setInterval(() => response.write(': heartbeat\n\n'), HEARTBEAT_INTERVAL_MS);
+    heartbeat.unref?.();
+    request.on('close', () => {
+      clearInterval(heartbeat);
+      session.streams.delete(response);
+      session.lastSeenAt = Date.now();
+    });
+    return undefined;
+  });
+
+  app.delete(MCP_HTTP_PATH, requireApiKey, (request, response) => {
+    const session = sessionFor(request, response);
+    if (!session) {
+      return undefined;
+    }
+    closeSession(session);
+    logger?.info('Session closed', { sessionId: session.id });
+    return response.status(204).end();
+  });
+
+  if (metricsEndpoint) {
+    app.get(metricsEndpoint.metricsPath, requireApiKey, (request, response) => {
+      metricsEndpoint.serveMetrics(response);
+    });
+  }
+
+  // Malformed JSON bodies map to the JSON-RPC parse error
+  app.use((error, request, response, next) => {
+    if (error?.type === 'entity.parse.failed') {
+      return response.status(400).json(rpcError(-32700, `Malformed JSON request: ${error.message}`));
+    }
+    if (error?.type === 'entity.too.large') {
+      return response.status(413).json(rpcError(-32600, 'Request body too large'));
+    }
+    /* istanbul ignore next -- defensive fallback */
+    return next(error);
+  });
+
+  const sweep = setInterval(() => {
+    const cutoff = Date.now() - sessionTtlMs;
+    for (const session of sessions.values()) {
+      if (session.streams.size === 0 && session.lastSeenAt < cutoff) {
+        closeSession(session);
+        logger?.debug('Session expired', { sessionId: session.id });
+      }
+    }
+  }, Math.min(sessionTtlMs, 60000));
+  sweep.unref?.();
+
+  let httpServer = null;
+
+  /**
+   * Push a JSON-RPC notification to the open SSE streams of one session, or of every session
+   * @param {Object} message - JSON-RPC notification
+   * @param {string} [sessionId]
+   * @returns {number} Number of streams written to
+   */
+  const notify = (message, sessionId) => {
+    const targets = sessionId ? [sessions.get(sessionId)].filter(Boolean) : Array.from(sessions.values());
+    const frame = `event: message\ndata: ${JSON.stringify(message)}\n\n`;
+    let delivered = 0;
+    for (const session of targets) {
+      for (const stream of session.streams) {
+        stream.write(frame);
+        delivered += 1;
+      }
+    }
+    return delivered;
+  };
+
+  const forwardNotification = ({ message, sessionIds }) => {
+    if (sessionIds) {
+      sessionIds.forEach((sessionId) => notify(message, sessionId));
+    } else {
+      notify(message);
+    }
+  };
+  mcp.on('notification', forwardNotification);
+
+  return {
+    app,
+    mcp,
+    sessions,
+
+    /**
+     * Start listening
+     * @param {Object} [options]
+     * @param {number} [options.port=0]
+     * @param {string} [options.host='127.0.0.1']
+     * @returns {Promise<{url: string, port: number, host: string}>}
+     */
+    listen({ port = 0, host = '127.0.0.1' } = {}) {
+      return new Promise((resolve, reject) => {
+        httpServer = app
+          .listen(port, host, () => {
+            const address = httpServer.address();
+            const urlHost = address.family === 'IPv6' ? `[${address.address}]` : address.address;
+            resolve({ url: `http://${urlHost}:${address.port}${MCP_HTTP_PATH}`, port: address.port, host: address.address });
+          })
+          .on('error', reject);
+      });
+    },
+
+    notify,
+
+    async close() {
+      clearInterval(sweep);
+      mcp.off('notification', forwardNotification);
+      for (const session of Array.from(sessions.values())) {
+        closeSession(session);
+      }
+      if (httpServer) {
+        const closed = new Promise((resolve) => httpServer.close(() => resolve()));
+        // Long-lived SSE and keep-alive sockets would otherwise hold the server open
+        httpServer.closeAllConnections?.();
+        await closed;
+        httpServer = null;
+      }
+    }
+  };
+}
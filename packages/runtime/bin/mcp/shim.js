@@ -8,6 +8,8 @@
 import { EventEmitter } from 'events';
 import readline from 'readline';
 
+export const STDIO_SESSION = 'stdio';
+
 const isWhitespace = (char) =>
   char === ' ' || char === '\t' || char === '\n' || char === '\r' || char === '\f' || char === '\v';
 
@@ -392,22 +394,28 @@ const buildMalformedJsonErrorPayload = (rawLine, parseError) => {
 };
 
 /**
- * Creates a stdio-based MCP server
+ * Creates an MCP server. `listen()` serves it over stdio; other transports
+ * feed JSON-RPC requests to `handleRequest()` directly.
  * @param {Object} config - Server configuration
  * @param {string} config.name - Server name
  * @param {Array} config.tools - Tool definitions
  * @param {Array} config.resources - Resource definitions
+ * @param {Array} [config.prompts] - Prompt definitions (`{ name, description, arguments, get(args) }`)
+ * @param {string} [config.loggerName='mcp-server'] - Child logger name
  * @returns {Object} Server instance
  */
-export function createStdioServer(config) {
-  const { name, tools = [], resources = [], logger: providedLogger = null } = config;
-  const logger = providedLogger ? providedLogger.child('stdio-server') : null;
+export function createMCPServer(config) {
+  const { name, tools = [], resources = [], prompts = [], logger: providedLogger = null, loggerName = 'mcp-server' } = config;
+  const logger = providedLogger ? providedLogger.child(loggerName) : null;
   
   class MCPServer extends EventEmitter {
     constructor() {
       super();
       this.tools = new Map();
       this.resources = new Map();
+      this.prompts = new Map();
+      // Resource URI -> ids of the sessions subscribed to it
+      this.subscriptions = new Map();
       
       // Register tools
       tools.forEach(tool => {
@@ -418,6 +426,78 @@ export function createStdioServer(config) {
       resources.forEach(resource => {
         this.resources.set(resource.uriTemplate, resource);
       });
+      
+      // Register prompts
+      prompts.forEach(prompt => {
+        this.prompts.set(prompt.name, prompt);
+      });
+    }
+    
+    /**
+     * Find the resource whose URI template matches `uri`; the last template
+     * parameter may span path segments (e.g. `file://{relpath}`)
+     */
+    matchResource(uri) {
+      for (const [template, resource] of this.resources) {
+        const regex = template
+          .replace(/[.*+?^$()|[\]\\]/g, '\\$&')
+          .replace(/{(\w+)}$/, '(?<$1>.+)')
+          .replace(/{(\w+)}/g, '(?<$1>[^/]+)');
+        const match = uri.match(new RegExp(`^${regex}$`));
+        if (match) {
+          return { resource, params: match.groups || {} };
+        }
+      }
+      return null;
+    }
+    
+    /**
+     * Add or replace a tool at runtime and tell clients the tool list changed
+     */
+    registerTool(tool) {
+      this.tools.set(tool.name, tool);
+      this.notify({ jsonrpc: '2.0', method: 'notifications/tools/list_changed' });
+    }
+    
+    unregisterTool(toolName) {
+      if (this.tools.delete(toolName)) {
+        this.notify({ jsonrpc: '2.0', method: 'notifications/tools/list_changed' });
+      }
+    }
+    
+    /**
+     * Notify the sessions subscribed to `uri`, or to a parent of it (directory subscriptions)
+     * @returns {number} Number of sessions notified
+     */
+    notifyResourceUpdated(uri) {
+      const sessionIds = new Set();
+      for (const [subscribed, subscribers] of this.subscriptions) {
+        if (uri === subscribed || uri.startsWith(subscribed.endsWith('/') ? subscribed : `${subscribed}/`)) {
+          subscribers.forEach(sessionId => sessionIds.add(sessionId));
+        }
+      }
+      if (sessionIds.size > 0) {
+        this.notify({ jsonrpc: '2.0', method: 'notifications/resources/updated', params: { uri } }, Array.from(sessionIds));
+      }
+      return sessionIds.size;
+    }
+    
+    /**
+     * Emit a server notification for the transport to deliver
+     * @param {Object} message - JSON-RPC notification
+     * @param {string[]} [sessionIds] - Target sessions; all sessions when omitted
+     */
+    notify(message, sessionIds = null) {
+      this.emit('notification', { message, sessionIds });
+    }
+    
+    closeSession(sessionId) {
+      for (const [uri, subscribers] of this.subscriptions) {
+        subscribers.delete(sessionId);
+        if (subscribers.size === 0) {
+          this.subscriptions.delete(uri);
+        }
+      }
     }
     
     listen() {
@@ -427,6 +507,14 @@ export function createStdioServer(config) {
         terminal: false
       });
       
+      this.on('notification', ({ message }) => {
+        try {
+          process.stdout.write(JSON.stringify(message) + '\n');
+        } catch (writeError) {
+          logger?.warn('Failed to write notification', { error: writeError, method: message.method });
+        }
+      });
+      
       rl.on('line', async (line) => {
         // Skip empty lines
         if (!line.trim()) {
@@ -504,7 +592,13 @@ export function createStdioServer(config) {
       process.stdin.resume();
     }
     
-    async handleRequest(request) {
+    /**
+     * Handle one JSON-RPC request
+     * @param {Object} request - JSON-RPC request
+     * @param {Object} [context]
+     * @param {string} [context.sessionId='stdio'] - Session that owns any subscriptions made
+     */
+    async handleRequest(request, { sessionId = STDIO_SESSION } = {}) {
       const { method, params, id } = request;
       
       switch (method) {
@@ -518,8 +612,9 @@ export function createStdioServer(config) {
                 version: '1.0.0'
               },
               capabilities: {
-                tools: this.tools.size > 0 ? {} : undefined,
-                resources: this.resources.size > 0 ? {} : undefined
+                tools: this.tools.size > 0 ? { listChanged: true } : undefined,
+                resources: this.resources.size > 0 ? { subscribe: true } : undefined,
+                prompts: this.prompts.size > 0 ? {} : undefined
               },
               instructions: 'System Protocols MCP server ready.'
             },
@@ -595,19 +690,9 @@ export function createStdioServer(config) {
           
         case 'resources/read':
           const uri = params.uri;
-          let matchedResource = null;
-          let extractedParams = {};
-          
-          // Find matching resource template
-          for (const [template, resource] of this.resources) {
-            const regex = template.replace(/{(\w+)}/g, '(?<$1>[^/]+)');
-            const match = uri.match(new RegExp(`^${regex}$`));
-            if (match) {
-              matchedResource = resource;
-              extractedParams = match.groups || {};
-              break;
-            }
-          }
+          const matched = this.matchResource(uri);
+          const matchedResource = matched?.resource;
+          const extractedParams = matched?.params;
           
           if (!matchedResource) {
             return {
@@ -646,18 +731,87 @@ export function createStdioServer(config) {
             };
           }
           
-        default:
-          // Handle prompts/list specially since it's a common request
-          if (method === 'prompts/list') {
+        case 'resources/subscribe':
+        case 'resources/unsubscribe': {
+          const subscriptionUri = params?.uri;
+          
+          if (typeof subscriptionUri !== 'string' || !this.matchResource(subscriptionUri)) {
             return {
               jsonrpc: '2.0',
-              result: {
-                prompts: []
+              error: {
+                code: -32602,
+                message: `Resource not found: ${subscriptionUri}`
+              },
+              id
+            };
+          }
+          
+          if (method === 'resources/subscribe') {
+            if (!this.subscriptions.has(subscriptionUri)) {
+              this.subscriptions.set(subscriptionUri, new Set());
+            }
+            this.subscriptions.get(subscriptionUri).add(sessionId);
+          } else {
+            this.subscriptions.get(subscriptionUri)?.delete(sessionId);
+            if (this.subscriptions.get(subscriptionUri)?.size === 0) {
+              this.subscriptions.delete(subscriptionUri);
+            }
+          }
+          logger?.debug(`Resource ${method === 'resources/subscribe' ? 'subscribed' : 'unsubscribed'}`, { uri: subscriptionUri, sessionId });
+          
+          return {
+            jsonrpc: '2.0',
+            result: {},
+            id
+          };
+        }
+          
+        case 'prompts/list':
+          return {
+            jsonrpc: '2.0',
+            result: {
+              prompts: Array.from(this.prompts.values()).map(prompt => ({
+                name: prompt.name,
+                description: prompt.description || '',
+                arguments: prompt.arguments || []
+              }))
+            },
+            id
+          };
+          
+        case 'prompts/get':
+          const prompt = this.prompts.get(params?.name);
+          
+          if (!prompt) {
+            return {
+              jsonrpc: '2.0',
+              error: {
+                code: -32602,
+                message: `Prompt not found: ${params?.name}`
+              },
+              id
+            };
+          }
+          
+          try {
+            const result = await prompt.get(params.arguments || {});
+            return {
+              jsonrpc: '2.0',
+              result,
+              id
+            };
+          } catch (error) {
+            return {
+              jsonrpc: '2.0',
+              error: {
+                code: error.code === -32602 ? -32602 : -32603,
+                message: error.message
               },
               id
             };
           }
           
+        default:
           return {
             jsonrpc: '2.0',
             error: {
@@ -673,6 +827,18 @@ export function createStdioServer(config) {
   return new MCPServer();
 }
 
+/**
+ * Creates a stdio-based MCP server
+ * @param {Object} config - Server configuration
+ * @param {string} config.name - Server name
+ * @param {Array} config.tools - Tool definitions
+ * @param {Array} config.resources - Resource definitions
+ * @returns {Object} Server instance
+ */
+export function createStdioServer(config) {
+  return createMCPServer({ ...config, loggerName: 'stdio-server' });
+}
+
 export const __testUtils = {
   extractRequestId,
   recoverPartialRequestContext,
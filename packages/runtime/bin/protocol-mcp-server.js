@@ -5,6 +5,9 @@
  * 
  * Wraps the protocol discovery tooling as an MCP server
  * for use with Claude/Cursor or other MCP clients.
+ *
+ * Usage: protocol-mcp-server [--transport stdio|http] [--port 3100] [--host 127.0.0.1]
+ * The HTTP transport requires MCP_API_KEY (or REGISTRY_API_KEY) for X-API-Key auth.
  */
 
 import fs from 'fs/promises';
@@ -12,11 +15,14 @@ import path from 'path';
 import { fileURLToPath } from 'url';
 import { createRequire } from 'module';
 import { createStdioServer } from './mcp/shim.js';
+import { createHttpServer } from './mcp/http-transport.js';
+import { resolveApiKey } from '../registry/api-key.mjs';
 import { performance } from 'perf_hooks';
 import { randomUUID } from 'crypto';
 
 // Import ES modules
 import { runTool, runWorkflow } from '../src/agents/runtime.js';
+import { parseAgentUrn } from '../runtime/urn-types.js';
 // NOTE: Avoid importing graph/validation modules at startup to keep ESM/CJS
 // interop issues from blocking the server. Load them lazily inside handlers
 // that need them.
@@ -25,6 +31,12 @@ import { runTool, runWorkflow } from '../src/agents/runtime.js';
 import { PerformanceOptimizer } from '../services/mcp-server/performance-optimizations.js';
 import { createMetricsEndpoint } from '../services/mcp-server/metrics-endpoint.js';
 import { createStructuredLogger } from '../services/mcp-server/logger.js';
+import { createResourceWatcher } from '../services/mcp-server/resource-watcher.js';
+import {
+  DEFAULT_PROMPT_CATALOG,
+  loadPromptCatalog,
+  createPromptDefinitions
+} from '../services/mcp-server/prompt-catalog.js';
 import { ToolHubSearchService } from '../services/tool-hub/search-service.js';
 import { ToolHubActivationService } from '../services/tool-hub/activation-service.js';
 import { RedisEventPublisher } from '../events/event-publisher.js';
@@ -40,6 +52,55 @@ const { PostgresImporter } = require('../importers/postgres/importer.js');
 // Implementations use real importers/validators/graph
 
 const ROOT = process.env.PROTOCOL_ROOT || process.cwd();
+const DEFAULT_HTTP_PORT = 3100;
+
+function parseTransportOptions(argv = process.argv.slice(2)) {
+  const options = {
+    transport: process.env.MCP_TRANSPORT || 'stdio',
+    port: process.env.MCP_HTTP_PORT || String(DEFAULT_HTTP_PORT),
+    host: process.env.MCP_HTTP_HOST || '127.0.0.1'
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const [flag, inlineValue] = argv[i].split('=', 2);
+    const value = () => inlineValue ?? argv[++i];
+    switch (flag) {
+      case '--transport':
+        options.transport = value();
+        break;
+      case '--port':
+        options.port = value();
+        break;
+      case '--host':
+        options.host = value();
+        break;
+      default:
+        break;
+    }
+  }
+
+  options.transport = String(options.transport || '').trim().toLowerCase();
+  if (!['stdio', 'http'].includes(options.transport)) {
+    throw new Error(`Unknown transport "${options.transport}" (expected stdio or http)`);
+  }
+  const port = Number.parseInt(options.port, 10);
+  if (!Number.isInteger(port) || port < 0 || port > 65535) {
+    throw new Error(`Invalid --port value: ${options.port}`);
+  }
+  options.port = port;
+  return options;
+}
+
+let transportOptions = null;
+try {
+  transportOptions = parseTransportOptions();
+} catch (error) {
+  process.stderr.write(`${error.message}\n`);
+  process.exitCode = 1;
+}
+let httpServer = null;
+let mcpServer = null;
+let resourceWatcher = null;
 
 // Initialize structured logging
 const logger = createStructuredLogger({
@@ -161,6 +222,57 @@ const safe = (p) => {
   return abs;
 };
 
+const readManifest = async (manifestPath) => {
+  const fullPath = safe(manifestPath);
+  return { fullPath, manifest: JSON.parse(await fs.readFile(fullPath, 'utf8')) };
+};
+
+// Lazy-load the graph builder only when review or diff context is requested
+const loadManifestGraph = async (dir) => {
+  const graphModule = await import('../workflow/graph-builder.js');
+  const { loadManifestsFromDirectory, buildGraph } = graphModule.default ?? graphModule;
+  const entries = await loadManifestsFromDirectory(dir);
+  return buildGraph(entries.filter(e => e.manifest)).graph;
+};
+
+// Cross-validate a manifest against its sibling manifests (protocol_review)
+const reviewManifest = async (manifestPath) => {
+  const { fullPath, manifest } = await readManifest(manifestPath);
+  const validatorModule = await import('../../protocols/validation/cross-validator.js');
+  const { CrossValidator } = validatorModule.default ?? validatorModule;
+
+  const graph = await loadManifestGraph(path.dirname(fullPath));
+  const result = new CrossValidator(graph).validate(manifest);
+  return {
+    valid: result.valid,
+    totalIssues: result.totalIssues,
+    issues: result.issues,
+    manifest_path: fullPath
+  };
+};
+
+// Diff two manifest versions, score breaking changes and optionally suggest a migration
+const compareManifests = async (oldPath, newPath, { includeMigration = false } = {}) => {
+  const previous = await readManifest(oldPath);
+  const next = await readManifest(newPath);
+  const [{ DiffEngine }, { BreakingChangeDetector }, { MigrationSuggester }] = await Promise.all([
+    import('../../protocols/diff/engine.js'),
+    import('../../protocols/diff/breaking-detector.js'),
+    import('../../protocols/diff/migration-suggester.js')
+  ]);
+
+  const diff = new DiffEngine().diff(previous.manifest, next.manifest);
+  const graph = await loadManifestGraph(path.dirname(next.fullPath));
+  const breaking = new BreakingChangeDetector(graph).detectBreakingChanges(diff, next.manifest.metadata?.urn);
+  return {
+    old_manifest_path: previous.fullPath,
+    new_manifest_path: next.fullPath,
+    diff,
+    breaking,
+    migration: includeMigration ? new MigrationSuggester().generateMigrationGuide(diff, breaking) : null
+  };
+};
+
 const SENSITIVE_QUERY_KEYS = new Set(['password', 'pass', 'pwd', 'secret', 'access_token', 'auth', 'key']);
 
 function sanitizeConnectionString(connectionString) {
@@ -827,7 +939,8 @@ const tools = [
 
         return {
           success: true,
-          ...response
+          ...response,
+          mcp_tool: registerActivatedTool(response)
         };
       } catch (error) {
         toolLogger.error('tool_hub.activate failed', {
@@ -901,30 +1014,7 @@ const tools = [
     },
     handler: async ({ manifest_path }) => {
       try {
-        const fullPath = safe(manifest_path);
-        const raw = await fs.readFile(fullPath, 'utf8');
-        const manifest = JSON.parse(raw);
-
-        // Lazy-load validation and graph only when requested
-        const graphModule = await import('../workflow/graph-builder.js');
-        const { loadManifestsFromDirectory, buildGraph } = graphModule.default ?? graphModule;
-        const validatorModule = await import('../../protocols/validation/cross-validator.js');
-        const { CrossValidator } = validatorModule.default ?? validatorModule;
-
-        const dir = path.dirname(fullPath);
-        const entries = await loadManifestsFromDirectory(dir);
-        const valid = entries.filter(e => e.manifest);
-        const { graph } = buildGraph(valid);
-
-        const validator = new CrossValidator(graph);
-        const result = validator.validate(manifest);
-        return {
-          success: true,
-          valid: result.valid,
-          totalIssues: result.totalIssues,
-          issues: result.issues,
-          manifest_path: fullPath
-        };
+        return { success: true, ...(await reviewManifest(manifest_path)) };
       } catch (error) {
         return {
           success: false,
@@ -1044,24 +1134,25 @@ const tools = [
   
   {
     name: 'agent_run',
-    description: 'UNSUPPORTED (501) – agent execution surfaces are disabled in Sprint 21 builds.',
+    description: 'Run a tool on an agent resolved by URN, over the A2A or MCP transport its manifest declares (circuit breaker + retries)',
     inputSchema: {
       type: 'object',
       properties: {
         agent_urn: { type: 'string' },
         tool: { type: 'string' },
-        args: { type: 'object' }
+        args: { type: 'object' },
+        transport: { type: 'string', enum: ['a2a', 'mcp'] }
       },
       required: ['agent_urn', 'tool']
     },
-    handler: withPerformanceTracking('agent_run', 'mcp', async ({ agent_urn, tool, args }) => {
-      return runTool({ agentUrn: agent_urn, tool, args: args || {}, root: ROOT });
+    handler: withPerformanceTracking('agent_run', 'mcp', async ({ agent_urn, tool, args, transport }) => {
+      return runTool({ agentUrn: agent_urn, tool, args: args || {}, transport, root: ROOT });
     })
   },
   
   {
     name: 'workflow_run',
-    description: 'UNSUPPORTED (501) – workflow execution is disabled in Sprint 21 builds.',
+    description: 'Validate and execute a workflow-library definition (JSON/YAML) with the http/event/tool adapters; requires IAM execute_workflow on the path',
     inputSchema: {
       type: 'object',
       properties: {
@@ -1231,13 +1322,114 @@ const resources = [
   }
 ];
 
-// Create and start the MCP server
-const server = createStdioServer({
+// Prompt definitions: the built-in catalog plus any listed in MCP_PROMPT_CATALOG
+const promptLogger = logger.child('prompts');
+const promptProviders = {
+  manifest: async ({ manifest_path }) => (await readManifest(manifest_path)).manifest,
+  review: async ({ manifest_path }) => reviewManifest(manifest_path),
+  diff: async ({ old_manifest_path, new_manifest_path }) => {
+    const { diff, breaking } = await compareManifests(old_manifest_path, new_manifest_path);
+    return { summary: diff.summary, changes: diff.changes, breaking };
+  },
+  migration: async ({ old_manifest_path, new_manifest_path }) =>
+    (await compareManifests(old_manifest_path, new_manifest_path, { includeMigration: true })).migration
+};
+
+const promptCatalogPaths = [
+  DEFAULT_PROMPT_CATALOG,
+  ...(process.env.MCP_PROMPT_CATALOG || '')
+    .split(path.delimiter)
+    .map((entry) => entry.trim())
+    .filter(Boolean)
+    .map((entry) => path.resolve(ROOT, entry))
+];
+
+let prompts = [];
+try {
+  const catalog = await loadPromptCatalog(promptCatalogPaths, {
+    onError: (error, catalogPath) => promptLogger.error('Skipping invalid prompt catalog', { error, catalogPath })
+  });
+  prompts = createPromptDefinitions(catalog, promptProviders);
+  promptLogger.debug('Loaded prompts', { count: prompts.length, catalogs: promptCatalogPaths });
+} catch (error) {
+  promptLogger.error('Failed to load prompt catalog', { error });
+}
+
+// Activated tool-hub tools join the MCP tool list (clients get notifications/tools/list_changed).
+// Only agent tools are registered: calls dispatch through runTool to the agent named by the
+// activation (or its manifest's `agent.urn`) with the entrypoint as the tool name. Activations
+// without a dispatchable agent tool are not registered; built-in tool names are never replaced.
+function registerActivatedTool(activation) {
+  const manifest = activation.manifest ?? {};
+  const agentUrn = [manifest.agent?.urn, manifest.agent_urn, activation.urn].find((urn) => {
+    if (typeof urn !== 'string') {
+      return false;
+    }
+    try {
+      parseAgentUrn(urn);
+      return true;
+    } catch {
+      return false;
+    }
+  });
+  const tool = activation.metadata?.entrypoint;
+  const slug = String(activation.metadata?.name || activation.tool_id || activation.urn)
+    .toLowerCase()
+    .replace(/[^a-z0-9_-]+/g, '_')
+    .replace(/^_+|_+$/g, '');
+  const name = `tool_hub.${slug}`;
+  if (!mcpServer || !agentUrn || !tool || !slug || tools.some((existing) => existing.name === name)) {
+    return null;
+  }
+
+  const inputSchema = [manifest.inputSchema, manifest.input_schema, manifest.activation?.inputSchema]
+    .find((schema) => schema && typeof schema === 'object') ?? { type: 'object', additionalProperties: true };
+  mcpServer.registerTool({
+    name,
+    description: activation.metadata?.summary || `Activated tool ${tool} on ${agentUrn}`,
+    inputSchema,
+    handler: withPerformanceTracking(name, 'mcp', async (args) => {
+      return runTool({ agentUrn, tool, args: args || {}, root: ROOT });
+    })
+  });
+  toolLogger.info('Registered activated tool', { name, urn: activation.urn, agentUrn, tool });
+  return name;
+}
+
+// File-watch targets for resource subscriptions; alias URIs are notified alongside file://<path>
+const MANIFEST_DIR = process.env.MCP_MANIFEST_DIR || path.join('artifacts', 'protocols');
+const RESOURCE_ALIASES = {
+  'artifacts/index.json': 'catalog://index',
+  'artifacts/GOVERNANCE.md': 'docs://governance'
+};
+
+function startResourceWatcher(server) {
+  const watcher = createResourceWatcher({
+    root: ROOT,
+    paths: [
+      { path: 'artifacts/index.json' },
+      { path: 'artifacts/GOVERNANCE.md' },
+      { path: MANIFEST_DIR, recursive: true }
+    ],
+    logger: logger.child('resource-watcher')
+  });
+  watcher.on('change', ({ path: relpath }) => {
+    server.notifyResourceUpdated(`file://${relpath}`);
+    if (RESOURCE_ALIASES[relpath]) {
+      server.notifyResourceUpdated(RESOURCE_ALIASES[relpath]);
+    }
+  });
+  watcher.start();
+  return watcher;
+}
+
+const serverConfig = {
   name: 'system-protocols-mcp',
   tools,
   resources,
+  prompts,
   logger
-});
+};
 
 // Cleanup utilities
 function cleanup() {
@@ -1285,6 +1477,18 @@ function cleanup() {
     }
   }
 
+  if (resourceWatcher) {
+    resourceWatcher.close();
+    resourceWatcher = null;
+  }
+
+  if (httpServer) {
+    httpServer.close().catch((error) => {
+      shutdownLogger.error('Failed to close HTTP transport', { error });
+    });
+    httpServer = null;
+  }
+
   if (toolHubSearchService?.shutdown) {
     try {
       const result = toolHubSearchService.shutdown();
@@ -1377,13 +1581,47 @@ process.once('SIGTERM', () => {
 });
 
 // Log performance metrics on startup
-lifecycleLogger.info('MCP Server starting with performance optimizations enabled', {
-  targets: {
-    discoveryP95: '1s',
-    mcpP95: '3s',
-    heap: '100MB'
-  }
-});
+if (transportOptions) {
+  lifecycleLogger.info('MCP Server starting with performance optimizations enabled', {
+    targets: {
+      discoveryP95: '1s',
+      mcpP95: '3s',
+      heap: '100MB'
+    }
+  });
+}
 
-// Start server
-server.listen();
+// Start server (nothing to start when the command line was rejected)
+if (!transportOptions) {
+  // Stop the metrics timers so the process exits with the exitCode set above
+  cleanup();
+} else if (transportOptions.transport === 'http') {
+  try {
+    httpServer = createHttpServer({
+      ...serverConfig,
+      apiKey: resolveApiKey(process.env.MCP_API_KEY),
+      metricsEndpoint
+    });
+  } catch (error) {
+    lifecycleLogger.fatal('Failed to create HTTP transport', { error });
+    requestShutdown({ reason: 'http_transport_config', exitCode: 1 });
+  }
+  if (httpServer) {
+    mcpServer = httpServer.mcp;
+    resourceWatcher = startResourceWatcher(mcpServer);
+    httpServer
+      .listen({ port: transportOptions.port, host: transportOptions.host })
+      .then(({ url }) => {
+        lifecycleLogger.info('MCP HTTP transport listening', { url, metricsPath: metricsEndpoint.metricsPath });
+        process.stderr.write(`[mcp] HTTP transport listening on ${url}\n`);
+      })
+      .catch((error) => {
+        lifecycleLogger.fatal('Failed to start HTTP transport', { error, port: transportOptions.port });
+        requestShutdown({ reason: 'http_transport_listen', exitCode: 1 });
+      });
+  }
+} else {
+  mcpServer = createStdioServer(serverConfig);
+  resourceWatcher = startResourceWatcher(mcpServer);
+  mcpServer.listen();
+}
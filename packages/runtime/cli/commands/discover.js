@@ -2,87 +2,66 @@
  * Discover Command
  *
  * Discovers contracts and converts them to protocol manifests.
- * Supports OpenAPI specs (URLs and files) and database connections.
+ * Importers come from the importer registry: built-ins (OpenAPI/AsyncAPI specs,
+ * GraphQL schemas, Protobuf files, databases) plus workspace importers listed
+ * in app/config/importers.config.json.
  */
 
 import fs from 'fs-extra';
 import path from 'path';
-import { OpenAPIImporter } from '../../importers/openapi/importer.js';
-import { PostgresImporter } from '../../importers/postgres/importer.js';
-import { importAsyncAPI } from '../../importers/asyncapi/importer.js';
+import chalk from 'chalk';
+import {
+  createBuiltinRegistry,
+  createSourceContext,
+  loadImporterRegistry,
+  IMPORTERS_CONFIG_PATH
+} from '../../importers/registry.mjs';
 import { createSpinner } from '../utils/progress.js';
-import { formatOutput, prettyPrintSummary, printSuccess, printError } from '../utils/output.js';
+import { formatOutput, prettyPrintSummary, printSuccess, printError, printWarning } from '../utils/output.js';
 import { isCI } from '../utils/detect-ci.js';
 
 const SUPPORTED_TYPES = new Set(['api', 'data', 'event', 'auto']);
-const MANIFEST_TYPE_BY_SOURCE = {
-  postgres: 'data',
-  mysql: 'data',
-  openapi: 'api',
-  'openapi-url': 'api',
-  asyncapi: 'event',
-  'asyncapi-url': 'event'
-};
+const builtinRegistry = createBuiltinRegistry();
 
 /**
- * Detect source type from source string
+ * Detect source type by asking each registered importer's detect()
  *
  * @param {string} source - Source path, URL, or connection string
- * @returns {string} Detected type: 'postgres', 'mysql', 'openapi', 'openapi-url'
- * @throws {Error} If type cannot be detected
+ * @param {Object} [options]
+ * @param {ImporterRegistry} [options.registry] - Importer registry (built-ins by default)
+ * @param {string} [options.type] - Requested contract type; matching importers are tried first
+ * @returns {Promise<string>} Importer id, e.g. 'postgres', 'openapi-url', 'graphql', 'protobuf'
+ * @throws {Error} If no importer accepts the source
  */
-function detectSourceType(source) {
+async function detectSourceType(source, options = {}) {
   if (!source) {
     throw new Error('Source is required for discovery');
   }
 
-  if (source.startsWith('postgresql://') || source.startsWith('postgres://')) {
-    return 'postgres';
-  }
-  if (source.startsWith('mysql://')) {
-    return 'mysql';
-  }
-  if (source.startsWith('http://') || source.startsWith('https://')) {
-    // Check if it's likely an AsyncAPI spec by looking for 'asyncapi' in URL
-    if (source.includes('asyncapi')) {
-      return 'asyncapi-url';
-    }
-    return 'openapi-url';
-  }
-  if (source.match(/\.(json|yaml|yml)$/i)) {
-    // Try to detect AsyncAPI by reading file for 'asyncapi' keyword
-    try {
-      const content = fs.readFileSync(source, 'utf-8');
-      if (content.includes('asyncapi:') || content.includes('"asyncapi"')) {
-        return 'asyncapi';
-      }
-    } catch (error) {
-      // If file read fails, fall through to default detection
-    }
-    return 'openapi';
+  const registry = options.registry || builtinRegistry;
+  const definition = await registry.detect(source, { manifestType: options.type });
+  if (definition) {
+    return definition.id;
   }
 
-  throw new Error(
-    `Could not detect source type. Supported formats:\n` +
-    '  - PostgreSQL: postgresql://...\n' +
-    '  - MySQL: mysql://...\n' +
-    '  - OpenAPI file: ./spec.json, ./spec.yaml\n' +
-    '  - OpenAPI URL: https://...\n' +
-    '  - AsyncAPI file: ./asyncapi.yaml\n' +
-    '  - AsyncAPI URL: https://...asyncapi...'
-  );
+  const supported = registry.list()
+    .filter(importer => importer.sources.length > 0)
+    .map(importer => `  - ${importer.name}: ${importer.sources.join(', ')}`);
+  throw new Error(`Could not detect source type. Supported formats:\n${supported.join('\n')}`);
 }
 
 /**
  * Determine manifest type from provided contract type and detected source
  *
  * @param {string} type - Contract type (api, data, event, auto)
- * @param {string} sourceType - Detected source type
+ * @param {string} sourceType - Detected source type (importer id)
+ * @param {ImporterRegistry} [registry] - Importer registry (built-ins by default)
  * @returns {string} Manifest type for filename
  */
-function determineManifestType(type, sourceType) {
+function determineManifestType(type, sourceType, registry = builtinRegistry) {
   const normalizedType = (type || '').toLowerCase();
-  const inferredType = MANIFEST_TYPE_BY_SOURCE[sourceType] || 'contract';
+  const manifestTypes = registry.get(sourceType)?.manifestTypes || [];
+  const inferredType = manifestTypes[0] || 'contract';
 
   if (!normalizedType || normalizedType === 'auto') {
     return inferredType;
@@ -92,12 +71,19 @@ function determineManifestType(type, sourceType) {
     throw new Error(`Unsupported contract type: ${type}`);
   }
 
-  // Event discovery now supported via AsyncAPI
-  if (normalizedType === 'event' && !['asyncapi', 'asyncapi-url'].includes(sourceType)) {
-    throw new Error('Event discovery requires AsyncAPI specification');
+  if (manifestTypes.includes(normalizedType)) {
+    return normalizedType;
+  }
+
+  // Event discovery needs an importer that produces event manifests
+  if (normalizedType === 'event') {
+    const eventSources = registry.list()
+      .filter(importer => importer.manifestTypes.includes('event') && !importer.id.startsWith('asyncapi'))
+      .map(importer => importer.name);
+    throw new Error(`Event discovery requires AsyncAPI specification or another event source (${eventSources.join(', ')})`);
   }
 
-  if (inferredType !== 'contract' && inferredType !== normalizedType) {
+  if (inferredType !== 'contract') {
     throw new Error(`Type mismatch: source detected as ${inferredType} but '${type}' was provided`);
   }
 
@@ -166,61 +152,42 @@ function augmentProvenance(manifest, source) {
 }
 
 /**
- * Execute importer based on detected source type
+ * Run a registered importer and check its output with validate()
  *
- * @param {string} sourceType - Detected source type
+ * @param {string} sourceType - Importer id from detectSourceType()
  * @param {string} source - Source path, URL, or connection string
- * @param {Object} spinner - Spinner instance for progress updates
+ * @param {Object} [context]
+ * @param {Object} [context.spinner] - Spinner instance for progress updates
+ * @param {string} [context.manifestType] - Manifest type to produce (api, data, event)
+ * @param {ImporterRegistry} [context.registry] - Importer registry (built-ins by default)
  * @returns {Promise<Object>} Imported manifest
  */
-async function runImporter(sourceType, source, spinner) {
-  switch (sourceType) {
-    case 'postgres': {
-      if (spinner) spinner.text = 'Introspecting PostgreSQL schema...';
-      const pgImporter = new PostgresImporter();
-      return pgImporter.import(source);
+async function runImporter(sourceType, source, context = {}) {
+  const registry = context.registry || builtinRegistry;
+  const importer = registry.create(sourceType);
+  const manifest = await importer.import(createSourceContext(source, {
+    manifestType: context.manifestType,
+    spinner: context.spinner
+  }));
+
+  if (manifest?.metadata?.status !== 'error' && typeof importer.validate === 'function') {
+    const validation = await importer.validate(manifest);
+    if (validation && !validation.valid) {
+      printWarning(`${sourceType} importer validation: ${(validation.errors || []).join('; ')}`);
     }
-    case 'mysql':
-      throw new Error('MySQL support is not yet implemented');
-    case 'openapi':
-    case 'openapi-url': {
-      if (spinner) spinner.text = 'Parsing OpenAPI specification...';
-      const apiImporter = new OpenAPIImporter();
-      return apiImporter.import(source);
-    }
-    case 'asyncapi':
-    case 'asyncapi-url': {
-      if (spinner) spinner.text = 'Importing AsyncAPI specification...';
-      const result = await importAsyncAPI(source, { timeout: 30000 });
-
-      // Return first manifest (or combined if multiple channels)
-      // For now, return first manifest to match OpenAPI/Postgres behavior
-      if (result.manifests.length === 0) {
-        throw new Error('No event channels found in AsyncAPI specification');
-      }
-
-      // If multiple manifests, merge metadata
-      const primaryManifest = result.manifests[0];
-      primaryManifest.metadata = {
-        ...primaryManifest.metadata,
-        channel_count: result.metadata.channel_count,
-        message_count: result.metadata.message_count,
-        parse_time_ms: result.metadata.parse_time_ms
-      };
-
-      return primaryManifest;
-    }
-    default:
-      throw new Error(`Unsupported source type: ${sourceType}`);
   }
+
+  return manifest;
 }
 
 /**
  * Discover command handler
  *
- * @param {string} type - Contract type (api, data, event)
+ * @param {string} type - Contract type (api, data, event, auto)
  * @param {string} source - Source path, URL, or connection string
  * @param {Object} options - Command options
+ * @param {string} [options.importer] - Importer id to use instead of detection
+ * @param {string} [options.workspace] - Workspace root for app/config/importers.config.json
  */
 async function discoverCommand(type, source, options = {}) {
   const format = normalizeFormat(options.format);
@@ -228,8 +195,26 @@ async function discoverCommand(type, source, options = {}) {
   let spinner;
 
   try {
-    const sourceType = detectSourceType(source);
-    const manifestType = determineManifestType(type, sourceType);
+    const registry = options.registry || await loadImporterRegistry({ workspace: options.workspace });
+
+    let sourceType;
+    try {
+      if (options.importer) {
+        if (!registry.has(options.importer)) {
+          throw new Error(`Unknown importer: ${options.importer} (see --list-importers)`);
+        }
+        if (!source) {
+          throw new Error('Source is required for discovery');
+        }
+        sourceType = options.importer;
+      } else {
+        sourceType = await detectSourceType(source, { registry, type });
+      }
+    } finally {
+      // After detection, so importers whose detect() threw are reported too
+      reportRegistryErrors(registry);
+    }
+    const manifestType = determineManifestType(type, sourceType, registry);
 
     spinner = createSpinner('Discovering contracts...');
     if (spinner && typeof spinner.start === 'function') {
@@ -237,7 +222,7 @@ async function discoverCommand(type, source, options = {}) {
     }
 
     const importerFn = typeof options.runImporter === 'function' ? options.runImporter : runImporter;
-    const manifest = await importerFn(sourceType, source, spinner);
+    const manifest = await importerFn(sourceType, source, { spinner, manifestType, registry });
 
     augmentProvenance(manifest, source);
 
@@ -275,8 +260,66 @@ async function discoverCommand(type, source, options = {}) {
   }
 }
 
+/**
+ * List built-in and workspace importers in detection order
+ *
+ * @param {Object} options - Command options
+ * @param {string} [options.workspace] - Workspace root for app/config/importers.config.json
+ * @param {boolean} [options.json] - Emit JSON instead of a table
+ * @returns {Promise<Array<Object>>} Importer summaries
+ */
+async function listImportersCommand(options = {}) {
+  const registry = options.registry || await loadImporterRegistry({ workspace: options.workspace });
+  const importers = registry.list().map(importer => ({
+    id: importer.id,
+    name: importer.name,
+    manifestTypes: importer.manifestTypes,
+    priority: importer.priority,
+    origin: importer.origin,
+    module: importer.module,
+    sources: importer.sources
+  }));
+
+  if (options.json) {
+    console.log(JSON.stringify({ importers, errors: registry.errors }, null, 2));
+    return importers;
+  }
+
+  console.log(chalk.bold(`\nImporters (${importers.length}, detection order)\n`));
+  const idWidth = Math.max(...importers.map(importer => importer.id.length), 2);
+  const typeWidth = Math.max(...importers.map(importer => importer.manifestTypes.join(',').length), 5);
+  for (const importer of importers) {
+    const origin = importer.origin === 'builtin' ? 'builtin' : `${importer.origin}: ${importer.module}`;
+    console.log(
+      `  ${chalk.cyan(importer.id.padEnd(idWidth))}  ${importer.manifestTypes.join(',').padEnd(typeWidth)}  ` +
+      `${String(importer.priority).padStart(3)}  ${importer.name} ${chalk.gray(`(${origin})`)}`
+    );
+    if (importer.sources.length > 0) {
+      console.log(chalk.gray(`  ${' '.repeat(idWidth)}  ${importer.sources.join(', ')}`));
+    }
+  }
+  console.log(chalk.gray(`\nWorkspace importers are listed in ${IMPORTERS_CONFIG_PATH}\n`));
+
+  reportRegistryErrors(registry);
+  return importers;
+}
+
+/**
+ * Warn about workspace importers that failed to load or detect
+ *
+ * @param {ImporterRegistry} registry - Importer registry
+ */
+function reportRegistryErrors(registry) {
+  for (const error of registry.errors) {
+    printWarning(error.importer
+      ? `Importer ${error.importer} unavailable: ${error.message}`
+      : error.message);
+  }
+}
+
 export {
   discoverCommand,
+  listImportersCommand,
   detectSourceType,
   determineManifestType,
   generateOutputFilename,
@@ -8,6 +8,13 @@ import path from 'path';
 import chalk from 'chalk';
 import WorkflowValidator from '../../workflow-library/validator.js';
 import { WorkflowExecutor, ExecutionState } from '../../workflow-library/executor.js';
+import { WorkflowJournal } from '../../workflow-library/journal.js';
+import {
+  createWorkflowResolver,
+  loadWorkflowDefinition,
+  runWorkflowDefinition,
+  resumeWorkflowExecution
+} from '../../workflow-library/runner.js';
 
 /**
  * Validate a workflow definition
@@ -86,7 +93,10 @@ export async function simulateWorkflow(workflowPath, options = {}) {
     const inputs = options.inputs ? JSON.parse(options.inputs) : {};
 
     // Create executor
-    const executor = new WorkflowExecutor({ dryRun: true });
+    const executor = new WorkflowExecutor({
+      dryRun: true,
+      resolveWorkflow: createWorkflowResolver({ directories: workflowDirectories(workflowPath, options) })
+    });
 
     // Track events
     const events = [];
@@ -149,6 +159,32 @@ export async function simulateWorkflow(workflowPath, options = {}) {
       events.push({ type: 'conditional:default', ...event });
     });
 
+    executor.on('loop:start', (event) => {
+      const size = event.items !== undefined ? `${event.items} items` : `max ${event.maxIterations} iterations`;
+      console.log(chalk.cyan(`  ⟳ ${event.type} loop: ${size}`));
+      events.push({ type: 'loop:start', ...event });
+    });
+
+    executor.on('loop:complete', (event) => {
+      console.log(chalk.green(`  ✓ Loop completed after ${event.iterations} iteration(s)`));
+      events.push({ type: 'loop:complete', ...event });
+    });
+
+    executor.on('wait:start', (event) => {
+      console.log(chalk.cyan(`  ⏸ Waiting for ${event.event ? `event ${event.event}` : `${event.durationMs}ms`}`));
+      events.push({ type: 'wait:start', ...event });
+    });
+
+    executor.on('subworkflow:start', (event) => {
+      console.log(chalk.cyan(`  ⤷ Subworkflow: ${event.urn}`));
+      events.push({ type: 'subworkflow:start', ...event });
+    });
+
+    executor.on('subworkflow:complete', (event) => {
+      console.log(chalk.green(`  ✓ Subworkflow ${event.urn} completed (${event.duration}ms)`));
+      events.push({ type: 'subworkflow:complete', ...event });
+    });
+
     executor.on('compensation:start', (event) => {
       console.log(chalk.magenta(`  ↶ Starting compensation (${event.stackSize} steps)`));
       events.push({ type: 'compensation:start', ...event });
@@ -290,6 +326,237 @@ export async function listExamples(options = {}) {
   }
 }
 
+const STATE_COLORS = {
+  completed: chalk.green,
+  compensated: chalk.magenta,
+  compensating: chalk.magenta,
+  failed: chalk.red,
+  running: chalk.cyan
+};
+
+function colorState(state) {
+  return (STATE_COLORS[state] || chalk.gray)(state);
+}
+
+/**
+ * Directories searched for subworkflows: the workflow's own directory plus --workflow-dir
+ */
+function workflowDirectories(workflowPath, options) {
+  const directories = workflowPath ? [path.dirname(path.resolve(workflowPath))] : [];
+  if (options.workflowDir) {
+    directories.push(path.resolve(options.workflowDir));
+  }
+  return directories;
+}
+
+function formatTime(timestamp) {
+  return timestamp ? new Date(timestamp).toISOString() : 'N/A';
+}
+
+function printRunSummary(summary, title) {
+  console.log(chalk.blue(`\n━━━ ${title} ━━━\n`));
+  console.log(chalk.gray(`  Execution ID: ${summary.executionId}`));
+  console.log(chalk.gray(`  Workflow ID: ${summary.workflowId}`));
+  console.log(chalk.gray(`  State: ${colorState(summary.state)}`));
+  console.log(chalk.gray(`  Duration: ${summary.durationMs}ms`));
+
+  for (const step of summary.steps) {
+    const replayed = summary.replayed?.includes(step.stepId);
+    const symbol = step.status === 'completed' ? '✓' : step.status === 'skipped' ? '⊘' : '✗';
+    const color = step.status === 'completed' ? chalk.green : step.status === 'skipped' ? chalk.yellow : chalk.red;
+    console.log(color(`  ${symbol} ${step.stepId}: ${step.status}${replayed ? ' (replayed)' : ` (${step.durationMs}ms)`}`));
+    if (step.error) {
+      console.log(chalk.gray(`     ${step.error.message}`));
+    }
+  }
+
+  if (summary.compensation.triggered) {
+    console.log(chalk.magenta(`  ↶ Compensated: ${summary.compensation.steps.map((step) => step.stepId).join(', ') || 'none'}`));
+  }
+
+  if (summary.error) {
+    console.log(chalk.red(`\n✗ ${summary.error.message}`));
+  }
+
+  if (summary.state === ExecutionState.FAILED || summary.state === ExecutionState.COMPENSATING) {
+    console.log(chalk.gray(`\n  Resume with: sch workflow resume ${summary.executionId}`));
+  }
+  console.log();
+}
+
+/**
+ * Run a workflow with the runtime adapters, journaling every step transition
+ */
+export async function runWorkflow(workflowPath, options = {}) {
+  try {
+    const workflow = await loadWorkflowDefinition(path.resolve(workflowPath));
+    const inputs = options.inputs ? JSON.parse(options.inputs) : {};
+    const journal = new WorkflowJournal({ directory: options.journalDir });
+
+    if (!options.json) {
+      console.log(chalk.blue(`\n▶ Running workflow: ${workflowPath}\n`));
+    }
+
+    const summary = await runWorkflowDefinition(workflow, {
+      inputs,
+      journal,
+      executionId: options.executionId,
+      resolveWorkflow: createWorkflowResolver({ directories: workflowDirectories(workflowPath, options) })
+    });
+
+    if (options.json) {
+      console.log(JSON.stringify(summary, null, 2));
+    } else if (!summary.valid) {
+      console.log(chalk.red(`✗ Validation failed with ${summary.errors.length} error(s)\n`));
+      summary.errors.forEach((error, i) => {
+        console.log(chalk.red(`  ${i + 1}. ${error.path || '/'}`));
+        console.log(chalk.gray(`     ${error.message}`));
+      });
+    } else {
+      printRunSummary(summary, 'Run Summary');
+    }
+
+    return { success: summary.valid && summary.state === ExecutionState.COMPLETED, summary };
+  } catch (error) {
+    console.error(chalk.red(`\n✗ Error running workflow:`));
+    console.error(chalk.red(`  ${error.message}`));
+    return { success: false };
+  }
+}
+
+/**
+ * Resume a journaled execution from its last completed step
+ */
+export async function resumeWorkflow(executionId, options = {}) {
+  try {
+    const journal = new WorkflowJournal({ directory: options.journalDir });
+
+    if (!options.json) {
+      console.log(chalk.blue(`\n↻ Resuming execution: ${executionId}\n`));
+    }
+
+    const summary = await resumeWorkflowExecution(executionId, {
+      journal,
+      resolveWorkflow: createWorkflowResolver({ directories: workflowDirectories(null, options) })
+    });
+
+    if (options.json) {
+      console.log(JSON.stringify(summary, null, 2));
+    } else {
+      console.log(chalk.gray(`  Resumed from: ${summary.resumedFrom}`));
+      console.log(chalk.gray(`  Replayed steps: ${summary.replayed.length}`));
+      printRunSummary(summary, 'Resume Summary');
+    }
+
+    return {
+      success: summary.state === ExecutionState.COMPLETED || summary.state === ExecutionState.COMPENSATED,
+      summary
+    };
+  } catch (error) {
+    console.error(chalk.red(`\n✗ Error resuming execution:`));
+    console.error(chalk.red(`  ${error.message}`));
+    return { success: false };
+  }
+}
+
+/**
+ * List journaled executions
+ */
+export async function listExecutions(options = {}) {
+  try {
+    const journal = new WorkflowJournal({ directory: options.journalDir });
+    const executions = await journal.list({ state: options.state, workflowId: options.workflow });
+
+    if (options.json) {
+      console.log(JSON.stringify(executions, null, 2));
+      return { success: true, executions };
+    }
+
+    console.log(chalk.blue(`\n📒 Workflow Executions (${executions.length}):\n`));
+    if (executions.length === 0) {
+      console.log(chalk.gray(`  No executions journaled in ${journal.directory}\n`));
+      return { success: true, executions };
+    }
+
+    for (const execution of executions) {
+      console.log(chalk.cyan(`  • ${execution.executionId}`) + chalk.gray(` [${colorState(execution.state)}]`));
+      console.log(chalk.gray(`    Workflow: ${execution.workflowId}`));
+      console.log(chalk.gray(`    Updated: ${formatTime(execution.updatedAt)}`));
+      console.log(chalk.gray(`    Completed steps: ${execution.completedSteps} (last: ${execution.lastCompletedStep || 'none'})`));
+      if (execution.failedSteps.length > 0) {
+        console.log(chalk.gray(`    Failed steps: ${execution.failedSteps.join(', ')}`));
+      }
+      if (execution.pendingCompensations > 0) {
+        console.log(chalk.gray(`    Pending compensations: ${execution.pendingCompensations}`));
+      }
+      if (execution.resumes > 0) {
+        console.log(chalk.gray(`    Resumes: ${execution.resumes}`));
+      }
+      console.log();
+    }
+
+    return { success: true, executions };
+  } catch (error) {
+    console.error(chalk.red(`\n✗ Error listing executions:`));
+    console.error(chalk.red(`  ${error.message}`));
+    return { success: false };
+  }
+}
+
+/**
+ * Show the replayed state and transition timeline of one execution
+ */
+export async function inspectExecution(executionId, options = {}) {
+  try {
+    const journal = new WorkflowJournal({ directory: options.journalDir });
+    const entries = await journal.read(executionId);
+    const record = await journal.load(executionId);
+
+    if (options.json) {
+      console.log(JSON.stringify({ ...record, entries }, null, 2));
+      return { success: true, record, entries };
+    }
+
+    console.log(chalk.blue(`\n🔎 Execution: ${executionId}\n`));
+    console.log(chalk.gray(`  Workflow: ${record.workflowId}`));
+    console.log(chalk.gray(`  State: ${colorState(record.state)}`));
+    console.log(chalk.gray(`  Started: ${formatTime(record.startedAt)}`));
+    console.log(chalk.gray(`  Updated: ${formatTime(record.updatedAt)}`));
+    console.log(chalk.gray(`  Resumes: ${record.resumes}`));
+    if (record.error) {
+      console.log(chalk.red(`  Error: ${record.error.message}`));
+    }
+
+    console.log(chalk.blue('\n━━━ Steps ━━━\n'));
+    for (const step of Object.values(record.steps)) {
+      console.log(chalk.gray(`  ${step.stepId}: ${colorState(step.status)} (attempts: ${step.attempts})`));
+      if (step.error) {
+        console.log(chalk.gray(`     ${step.error.message}`));
+      }
+    }
+
+    if (record.compensation.policy) {
+      console.log(chalk.blue('\n━━━ Compensation ━━━\n'));
+      console.log(chalk.gray(`  Policy: ${record.compensation.policy}`));
+      console.log(chalk.gray(`  Done: ${record.compensation.done.join(', ') || 'none'}`));
+      console.log(chalk.gray(`  Pending: ${record.compensation.pending.join(', ') || 'none'}`));
+    }
+
+    console.log(chalk.blue('\n━━━ Timeline ━━━\n'));
+    entries.forEach((entry, i) => {
+      const subject = entry.stepId ? ` ${entry.stepId}` : '';
+      console.log(chalk.gray(`  ${i + 1}. ${formatTime(entry.timestamp)} ${entry.type}${subject}`));
+    });
+    console.log();
+
+    return { success: true, record, entries };
+  } catch (error) {
+    console.error(chalk.red(`\n✗ Error inspecting execution:`));
+    console.error(chalk.red(`  ${error.message}`));
+    return { success: false };
+  }
+}
+
 /**
  * Main workflow command handler
  */
@@ -304,12 +571,28 @@ export async function workflowCommand(subcommand, workflowPath, options) {
     case 'examples':
       return await listExamples(options);
 
+    case 'run':
+      return await runWorkflow(workflowPath, options);
+
+    case 'resume':
+      return await resumeWorkflow(workflowPath, options);
+
+    case 'list':
+      return await listExecutions(options);
+
+    case 'inspect':
+      return await inspectExecution(workflowPath, options);
+
     default:
       console.error(chalk.red(`\n✗ Unknown subcommand: ${subcommand}`));
       console.log(chalk.gray('\nAvailable subcommands:'));
       console.log(chalk.gray('  validate <workflow-file>  - Validate workflow definition'));
       console.log(chalk.gray('  simulate <workflow-file>  - Simulate workflow execution'));
       console.log(chalk.gray('  examples                  - List example workflows'));
+      console.log(chalk.gray('  run <workflow-file>       - Run workflow with a resumable journal'));
+      console.log(chalk.gray('  resume <execution-id>     - Resume a failed or interrupted execution'));
+      console.log(chalk.gray('  list                      - List journaled executions'));
+      console.log(chalk.gray('  inspect <execution-id>    - Show an execution\'s steps and timeline'));
       return { success: false };
   }
 }
@@ -136,6 +136,7 @@ export class ProtocolScaffolder {
       name: config.name || protocol,
       protocol,
       className: `${className}`,
+      importerId: filename,
       type: config.type || 'api',
       timestamp: new Date().toISOString()
     };
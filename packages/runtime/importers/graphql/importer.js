@@ -0,0 +1,664 @@
+/*
+ * GraphQL Importer
+ * Converts GraphQL schemas (SDL files or introspection results) to API Protocol
+ * manifests, and subscriptions to Event Protocol manifests
+ *
+ * Features:
+ * - SDL (.graphql/.gql/.graphqls) and introspection JSON input
+ * - Queries, mutations and subscriptions as API endpoints (POST /graphql)
+ * - Subscriptions as Event Protocol channels with semantic event URNs
+ * - Object, interface, input, enum and union types as JSON schemas
+ * - PII detection shared with the AsyncAPI importer (plus @pii directives)
+ * - Relay connection pagination detection
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { performance } = require('perf_hooks');
+const { parseSdl, fromIntrospection, unwrapTypeRef, printTypeRef } = require('./schema-parser');
+const { generateEventURN } = require('../asyncapi/urn-generator');
+const { detectEventPII } = require('../asyncapi/pii-detector');
+
+const OPERATION_TYPES = [
+  ['query', 'queryType'],
+  ['mutation', 'mutationType'],
+  ['subscription', 'subscriptionType']
+];
+
+// Built-in and common custom scalars
+const SCALAR_SCHEMAS = {
+  String: { type: 'string' },
+  ID: { type: 'string' },
+  Int: { type: 'integer', format: 'int32' },
+  Float: { type: 'number' },
+  Boolean: { type: 'boolean' },
+  Date: { type: 'string', format: 'date' },
+  DateTime: { type: 'string', format: 'date-time' },
+  Time: { type: 'string', format: 'time' },
+  Email: { type: 'string', format: 'email' },
+  EmailAddress: { type: 'string', format: 'email' },
+  URL: { type: 'string', format: 'uri' },
+  URI: { type: 'string', format: 'uri' },
+  UUID: { type: 'string', format: 'uuid' },
+  BigInt: { type: 'integer', format: 'int64' },
+  Long: { type: 'integer', format: 'int64' },
+  Decimal: { type: 'string', format: 'decimal' },
+  JSON: {},
+  JSONObject: { type: 'object' }
+};
+
+const PII_DIRECTIVES = new Set(['pii', 'sensitive', 'personal']);
+const CURSOR_ARGS = { cursor: ['after', 'before'], limit: ['first', 'last'] };
+const PAGE_ARGS = { page: ['page', 'offset', 'skip'], limit: ['limit', 'pageSize', 'perPage', 'take'] };
+
+// Inline expansion depth for event payloads (nested types beyond this become $refs)
+const MAX_INLINE_DEPTH = 4;
+
+/**
+ * GraphQL to API / Event Protocol Importer
+ */
+class GraphQLImporter {
+  constructor(options = {}) {
+    this.options = {
+      strictMode: false,           // If true, fail on malformed schemas
+      generateURNs: true,          // Auto-generate service, endpoint and event URNs
+      inferPatterns: true,         // Enable pagination detection
+      detectPII: true,             // Annotate PII fields in schemas
+      endpointPath: '/graphql',    // HTTP path of the GraphQL endpoint
+      serviceName: null,           // Defaults to the schema file name
+      version: null,               // GraphQL schemas carry no version
+      ...options
+    };
+  }
+
+  /**
+   * Import a schema as an API Protocol manifest
+   * @param {string|object} source - SDL/introspection file path, SDL text, or introspection object
+   * @returns {Promise<object>} API Protocol manifest (draft status)
+   */
+  async import(source) {
+    try {
+      const loaded = await this._loadSchema(source);
+      const manifest = await this._convertToManifest(loaded);
+      const importedAt = new Date().toISOString();
+
+      manifest.metadata = {
+        ...(manifest.metadata || {}),
+        status: 'draft',
+        source: {
+          type: 'graphql',
+          format: loaded.format,
+          imported_at: importedAt,
+          input_type: loaded.inputType,
+          ...(typeof source === 'string' && loaded.inputType === 'file' && { reference: source })
+        }
+      };
+
+      manifest.provenance = {
+        importer: 'GraphQLImporter',
+        importer_version: '0.1.0',
+        imported_at: importedAt,
+        spec_hash: loaded.hash,
+        source: loaded.inputType === 'file' ? source : null,
+        source_type: typeof source
+      };
+
+      return manifest;
+    } catch (error) {
+      if (this.options.strictMode) {
+        throw error;
+      }
+      // Graceful fallback: return partial manifest with error details
+      return this._createErrorManifest(source, error);
+    }
+  }
+
+  /**
+   * Import subscriptions as Event Protocol manifests (one per subscription field)
+   * @param {string|object} source - SDL/introspection file path, SDL text, or introspection object
+   * @returns {Promise<{manifests: Array, metadata: Object}>}
+   */
+  async importEvents(source) {
+    const start = performance.now();
+    const loaded = await this._loadSchema(source);
+    const types = indexTypes(loaded.schema);
+    const subscriptionType = types.get(loaded.schema.subscriptionType);
+
+    const manifests = [];
+    for (const field of subscriptionType?.fields || []) {
+      manifests.push(await this._createEventManifest(field, loaded, types));
+    }
+
+    return {
+      manifests,
+      metadata: {
+        source_url: loaded.inputType === 'file' ? source : null,
+        source_format: loaded.format,
+        parse_time_ms: loaded.parseTime,
+        total_time_ms: performance.now() - start,
+        channel_count: manifests.length,
+        message_count: manifests.length
+      }
+    };
+  }
+
+  /**
+   * Read and parse the schema source
+   * @private
+   */
+  async _loadSchema(source) {
+    let content = source;
+    let inputType = 'object';
+    let title = this.options.serviceName;
+
+    if (typeof source === 'string') {
+      // Paths never contain braces or newlines; SDL text always does
+      if (/[{\n]/.test(source)) {
+        inputType = 'string';
+      } else {
+        inputType = 'file';
+        content = await fs.promises.readFile(source, 'utf8');
+        title = title || path.basename(source).replace(/\.(graphqls?|gql|json)$/i, '').replace(/\.schema$/i, '');
+      }
+    } else if (!source || typeof source !== 'object') {
+      throw new Error('GraphQL source must be a file path, SDL string, or introspection result');
+    }
+
+    const parseStart = performance.now();
+    let schema;
+    let format;
+    if (typeof content === 'string' && !/^\s*[{[]/.test(content)) {
+      format = 'sdl';
+      schema = parseSdl(content);
+    } else {
+      format = 'introspection';
+      let result = content;
+      if (typeof content === 'string') {
+        try {
+          result = JSON.parse(content);
+        } catch (error) {
+          throw new Error(`Invalid GraphQL introspection JSON: ${error.message}`);
+        }
+      }
+      if (Array.isArray(result?.errors) && result.errors.length > 0 && !result.data) {
+        throw new Error(`Introspection result contains errors: ${result.errors.map(e => e.message).join(', ')}`);
+      }
+      schema = fromIntrospection(result);
+    }
+    const parseTime = performance.now() - parseStart;
+
+    if (!schema.queryType && !schema.mutationType && !schema.subscriptionType) {
+      throw new Error('GraphQL schema defines no query, mutation or subscription root type');
+    }
+
+    const serialized = typeof content === 'string' ? content : JSON.stringify(content);
+    return {
+      schema,
+      format,
+      inputType,
+      title: title || 'graphql-api',
+      version: this.options.version || '1.0.0',
+      hash: crypto.createHash('sha256').update(serialized).digest('hex').substring(0, 16),
+      parseTime
+    };
+  }
+
+  /**
+   * Convert the schema model to an API Protocol manifest
+   * @private
+   */
+  async _convertToManifest(loaded) {
+    const { schema } = loaded;
+    const types = indexTypes(schema);
+    const service = this._extractService(loaded);
+
+    const manifest = {
+      service,
+      interface: {
+        endpoints: this._extractEndpoints(loaded, types, service)
+      },
+      validation: {
+        schemas: await this._extractSchemas(schema, types)
+      },
+      metadata: {
+        graphql: {
+          query_type: schema.queryType,
+          mutation_type: schema.mutationType,
+          subscription_type: schema.subscriptionType,
+          type_count: schema.types.filter(type => type.kind !== 'SCALAR').length
+        }
+      }
+    };
+
+    if (Object.keys(manifest.validation.schemas).length === 0) {
+      delete manifest.validation;
+    }
+
+    return manifest;
+  }
+
+  /**
+   * Extract service identity
+   * @private
+   */
+  _extractService(loaded) {
+    const service = {
+      name: loaded.title,
+      version: loaded.version
+    };
+
+    if (this.options.generateURNs) {
+      const version = this._normalizeVersionForUrn(service.version);
+      const baseUrn = `urn:proto:api:${this._slugify(service.name)}/service`;
+      service.urn = version ? `${baseUrn}@${version}` : baseUrn;
+    }
+
+    if (loaded.schema.description) {
+      service.description = loaded.schema.description;
+    }
+
+    return service;
+  }
+
+  /**
+   * One endpoint per root operation field
+   * @private
+   */
+  _extractEndpoints(loaded, types, service) {
+    const endpoints = [];
+
+    for (const [operation, rootKey] of OPERATION_TYPES) {
+      const rootType = types.get(loaded.schema[rootKey]);
+      if (!rootType) continue;
+
+      for (const field of rootType.fields || []) {
+        const endpoint = {
+          method: 'POST',
+          path: this.options.endpointPath,
+          operationId: field.name,
+          ...(field.description && { summary: field.description.split('\n')[0] }),
+          ...(field.description && field.description.includes('\n') && { description: field.description }),
+          graphql: {
+            operation,
+            field: field.name,
+            returns: printTypeRef(field.type)
+          }
+        };
+
+        if (this.options.generateURNs) {
+          endpoint.urn = this._generateEndpointURN(service, operation, field.name);
+          if (operation === 'subscription') {
+            endpoint.event_urn = generateEventURN(
+              eventChannel(field),
+              eventDocument(loaded)
+            );
+          }
+        }
+
+        // Arguments travel as GraphQL variables in the request body
+        if (field.args.length > 0) {
+          endpoint.request = {
+            contentType: 'application/json',
+            required: field.args.some(arg => arg.type?.kind === 'NON_NULL' && arg.defaultValue === null),
+            schema: this._argumentsSchema(field.args, types)
+          };
+        }
+
+        endpoint.responses = [{
+          status: 200,
+          schema: this._typeRefSchema(field.type, types, inlineContext(false))
+        }];
+
+        if (this.options.inferPatterns) {
+          const pagination = detectPagination(field);
+          if (pagination) endpoint.pagination = pagination;
+        }
+
+        if (field.isDeprecated) {
+          endpoint.deprecated = true;
+          endpoint.deprecation_reason = field.deprecationReason;
+        }
+
+        endpoints.push(endpoint);
+      }
+    }
+
+    return endpoints;
+  }
+
+  /**
+   * Named object, interface, input, enum and union types as JSON schemas
+   * (root operation types are already described by the endpoints)
+   * @private
+   */
+  async _extractSchemas(schema, types) {
+    const schemas = {};
+    const rootTypes = new Set(OPERATION_TYPES.map(([, rootKey]) => schema[rootKey]));
+
+    for (const type of types.values()) {
+      if (type.kind === 'SCALAR' || rootTypes.has(type.name)) continue;
+      schemas[type.name] = this._namedTypeSchema(type, types, inlineContext(false));
+
+      if (this.options.detectPII && type.kind !== 'ENUM' && type.kind !== 'UNION') {
+        await this._annotatePII(type.name, schemas[type.name]);
+      }
+    }
+
+    return schemas;
+  }
+
+  /**
+   * Mark PII properties with `x-pii` using the event PII detector
+   * @private
+   */
+  async _annotatePII(typeName, schema) {
+    const detections = await detectEventPII(
+      [{ payload: () => schema }],
+      { id: () => typeName }
+    );
+
+    for (const detection of detections) {
+      const property = detection.path.replace(/\[\]$/, '');
+      if (!schema.properties?.[property]) continue;
+      schema.properties[property]['x-pii'] = {
+        category: detection.category,
+        confidence: Number(detection.confidence.toFixed(2)),
+        tier: detection.tier
+      };
+    }
+  }
+
+  /**
+   * JSON schema for a type reference (lists unwrapped to arrays)
+   * @private
+   */
+  _typeRefSchema(ref, types, context) {
+    const { name, list } = unwrapTypeRef(ref);
+    const type = types.get(name);
+    let schema;
+
+    if (!type || type.kind === 'SCALAR') {
+      schema = { ...(SCALAR_SCHEMAS[name] || { type: 'string', 'x-graphql-scalar': name }) };
+    } else if (type.kind === 'ENUM' || (context.inline && context.depth < MAX_INLINE_DEPTH && !context.seen.has(name))) {
+      schema = this._namedTypeSchema(type, types, context);
+    } else {
+      schema = { $ref: `#/validation/schemas/${name}` };
+    }
+
+    return list ? { type: 'array', items: schema } : schema;
+  }
+
+  /**
+   * JSON schema for a named (non-scalar) type
+   * @private
+   */
+  _namedTypeSchema(type, types, context) {
+    if (type.kind === 'ENUM') {
+      return {
+        type: 'string',
+        enum: type.enumValues.map(value => value.name),
+        ...(type.description && { description: type.description })
+      };
+    }
+
+    const nested = {
+      inline: context.inline,
+      depth: context.depth + 1,
+      seen: new Set([...context.seen, type.name])
+    };
+
+    if (type.kind === 'UNION') {
+      return {
+        oneOf: type.possibleTypes.map(name => this._typeRefSchema({ name }, types, nested)),
+        ...(type.description && { description: type.description })
+      };
+    }
+
+    const fields = type.kind === 'INPUT_OBJECT' ? type.inputFields : type.fields;
+    const schema = this._fieldsSchema(fields || [], types, nested);
+    if (type.description) schema.description = type.description;
+    if (type.interfaces.length > 0) schema['x-graphql-implements'] = [...type.interfaces];
+    if (type.kind !== 'OBJECT') schema['x-graphql-kind'] = type.kind.toLowerCase();
+    return schema;
+  }
+
+  /**
+   * Object schema for fields, input fields or arguments
+   * @private
+   */
+  _fieldsSchema(fields, types, context) {
+    const properties = {};
+    const required = [];
+
+    for (const field of fields) {
+      const property = this._typeRefSchema(field.type, types, context);
+      if (field.description) property.description = field.description;
+      if (field.isDeprecated) property.deprecated = true;
+      if (field.defaultValue !== null && field.defaultValue !== undefined) {
+        property['x-graphql-default'] = field.defaultValue;
+      }
+      if ((field.directives || []).some(directive => PII_DIRECTIVES.has(directive.name))) {
+        property['x-pii'] = true;
+      }
+
+      properties[field.name] = property;
+      if (field.type?.kind === 'NON_NULL' && (field.defaultValue === null || field.defaultValue === undefined)) {
+        required.push(field.name);
+      }
+    }
+
+    return {
+      type: 'object',
+      properties,
+      ...(required.length > 0 && { required })
+    };
+  }
+
+  /**
+   * Request schema for field arguments (GraphQL variables)
+   * @private
+   */
+  _argumentsSchema(args, types) {
+    return this._fieldsSchema(args, types, inlineContext(false));
+  }
+
+  /**
+   * Build an Event Protocol manifest for a subscription field
+   * @private
+   */
+  async _createEventManifest(field, loaded, types) {
+    const channel = eventChannel(field);
+    const payload = this._typeRefSchema(field.type, types, inlineContext(true));
+    const piiFields = this.options.detectPII
+      ? await detectEventPII([{ payload: () => payload }], channel)
+      : [];
+
+    return {
+      protocol: 'event-protocol/v1',
+      urn: generateEventURN(channel, eventDocument(loaded)),
+      event: {
+        name: field.name,
+        version: loaded.version,
+        lifecycle: { status: field.isDeprecated ? 'deprecated' : 'active' }
+      },
+      semantics: {
+        purpose: field.description || `GraphQL subscription: ${field.name}`,
+        category: 'event'
+      },
+      schema: {
+        format: 'json-schema',
+        payload,
+        fields: piiFields.map(f => ({
+          name: f.path,
+          type: f.type || 'unknown',
+          required: f.required || false,
+          pii: true,
+          confidence: f.confidence,
+          tier: f.tier,
+          category: f.category,
+          description: f.description
+        })),
+        compatibility: { policy: 'backward' }
+      },
+      delivery: {
+        contract: {
+          transport: 'graphql-subscription',
+          topic: field.name,
+          endpoint: this.options.endpointPath,
+          ...(field.args.length > 0 && { filters: this._argumentsSchema(field.args, types) }),
+          confidence: 1.0,
+          source: 'graphql_schema'
+        }
+      },
+      governance: {
+        policy: {
+          classification: piiFields.length > 0 ? 'pii' : 'internal',
+          legal_basis: piiFields.length > 0 ? 'gdpr' : undefined
+        }
+      },
+      metadata: {
+        source_type: 'graphql',
+        source_format: loaded.format,
+        source_title: loaded.title,
+        source_hash: loaded.hash,
+        channel: channel.id(),
+        imported_at: new Date().toISOString(),
+        importer_version: '0.1.0'
+      }
+    };
+  }
+
+  /**
+   * Generate a stable URN for an operation field
+   * @private
+   */
+  _generateEndpointURN(service, operation, fieldName) {
+    const version = this._normalizeVersionForUrn(service?.version);
+    const baseUrn = `urn:proto:api.endpoint:${this._slugify(service?.name || 'api')}/op/${operation}.${this._slugify(fieldName)}`;
+    return version ? `${baseUrn}@${version}` : baseUrn;
+  }
+
+  /**
+   * Normalize version string for URN usage (semver only)
+   * @private
+   */
+  _normalizeVersionForUrn(version) {
+    if (!version || typeof version !== 'string') {
+      return null;
+    }
+
+    const normalized = version.trim().replace(/^v/i, '');
+    return /^\d+\.\d+\.\d+$/.test(normalized) ? normalized : null;
+  }
+
+  /**
+   * Create error manifest for failed imports
+   * @private
+   */
+  _createErrorManifest(source, error) {
+    return {
+      service: {
+        name: 'import-failed',
+        version: '0.0.0'
+      },
+      interface: {
+        endpoints: []
+      },
+      metadata: {
+        status: 'error',
+        error: {
+          message: error.message,
+          source: typeof source === 'string' && !/[{\n]/.test(source) ? source : typeof source,
+          timestamp: new Date().toISOString()
+        }
+      }
+    };
+  }
+
+  /**
+   * Slugify string for URN generation
+   * @private
+   */
+  _slugify(str) {
+    return str
+      .replace(/([a-z0-9])([A-Z])/g, '$1-$2')
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/^-+|-+$/g, '');
+  }
+}
+
+/**
+ * Cursor (Relay connection) or page/offset pagination from field arguments
+ * @private
+ */
+function detectPagination(field) {
+  const argNames = new Set(field.args.map(arg => arg.name));
+  const returnType = unwrapTypeRef(field.type).name || '';
+  const pick = candidates => candidates.find(name => argNames.has(name));
+
+  const cursor = pick(CURSOR_ARGS.cursor);
+  if (cursor || /Connection$/.test(returnType)) {
+    const limit = pick(CURSOR_ARGS.limit);
+    if (!cursor && !limit) return null;
+    return {
+      style: 'cursor',
+      params: { ...(cursor && { cursor }), ...(limit && { limit }) }
+    };
+  }
+
+  const page = pick(PAGE_ARGS.page);
+  if (page) {
+    const limit = pick(PAGE_ARGS.limit);
+    return {
+      style: 'page',
+      params: { page, ...(limit && { limit }) }
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Channel adapter for the AsyncAPI URN generator and PII detector. Multi-word
+ * subscription names get a generic `events/` prefix so the schema title stays
+ * the URN domain (orderStatusChanged -> events/order-status-changed).
+ * @private
+ */
+function eventChannel(field) {
+  const words = field.name
+    .replace(/([a-z0-9])([A-Z])/g, '$1-$2')
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(Boolean);
+  const id = words.length > 1 ? `events/${words.join('-')}` : (words[0] || field.name);
+
+  return {
+    id: () => id,
+    description: () => field.description || null
+  };
+}
+
+/**
+ * Document adapter for the AsyncAPI URN generator
+ * @private
+ */
+function eventDocument(loaded) {
+  return {
+    info: () => ({
+      title: () => loaded.title,
+      version: () => loaded.version
+    })
+  };
+}
+
+function indexTypes(schema) {
+  return new Map(schema.types.map(type => [type.name, type]));
+}
+
+function inlineContext(inline) {
+  return { inline, depth: 0, seen: new Set() };
+}
+
+module.exports = { GraphQLImporter };
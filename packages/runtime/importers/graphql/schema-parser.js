@@ -0,0 +1,596 @@
+/*
+ * GraphQL Schema Parser
+ * Reads SDL documents and introspection results into one schema model,
+ * without depending on the graphql package
+ *
+ * Features:
+ * - Type system SDL (schema, scalar, type, interface, union, enum, input, extend)
+ * - Descriptions, including block strings
+ * - Directive capture (@deprecated and custom markers such as @pii)
+ * - Introspection results ({ data: { __schema } } or { __schema })
+ *
+ * The model follows the introspection shape so both inputs import the same way:
+ *   { queryType, mutationType, subscriptionType, types: [{ kind, name, description,
+ *     fields, inputFields, interfaces, possibleTypes, enumValues, directives }] }
+ * Type references are `{ kind: 'NON_NULL' | 'LIST', ofType }` or `{ name }`.
+ */
+
+const PUNCTUATORS = new Set(['!', '$', '&', '(', ')', ':', '=', '@', '[', ']', '{', '|', '}']);
+const BUILT_IN_SCALARS = ['String', 'Int', 'Float', 'Boolean', 'ID'];
+const DEFAULT_DEPRECATION_REASON = 'No longer supported';
+const KIND_BY_KEYWORD = {
+  scalar: 'SCALAR',
+  type: 'OBJECT',
+  interface: 'INTERFACE',
+  union: 'UNION',
+  enum: 'ENUM',
+  input: 'INPUT_OBJECT'
+};
+
+/**
+ * Parse a GraphQL SDL document
+ * @param {string} sdl - Schema definition language source
+ * @returns {object} Schema model
+ * @throws {Error} On syntax errors (with line number) or executable definitions
+ */
+function parseSdl(sdl) {
+  const parser = new SdlParser(String(sdl || ''));
+  return parser.parseDocument();
+}
+
+/**
+ * Convert an introspection query result to the schema model
+ * @param {object} result - `{ data: { __schema } }` or `{ __schema }`
+ * @returns {object} Schema model
+ * @throws {Error} If `__schema` is missing
+ */
+function fromIntrospection(result) {
+  const schema = result?.data?.__schema || result?.__schema;
+  if (!schema || !Array.isArray(schema.types)) {
+    throw new Error('Not a GraphQL introspection result: missing __schema.types');
+  }
+
+  const convertRef = ref => {
+    if (!ref) return null;
+    if (ref.kind === 'NON_NULL' || ref.kind === 'LIST') {
+      return { kind: ref.kind, ofType: convertRef(ref.ofType) };
+    }
+    return { name: ref.name };
+  };
+  const convertArg = arg => ({
+    name: arg.name,
+    description: arg.description || null,
+    type: convertRef(arg.type),
+    defaultValue: arg.defaultValue ?? null,
+    directives: []
+  });
+  const convertField = field => ({
+    name: field.name,
+    description: field.description || null,
+    args: (field.args || []).map(convertArg),
+    type: convertRef(field.type),
+    isDeprecated: Boolean(field.isDeprecated),
+    deprecationReason: field.deprecationReason || null,
+    directives: []
+  });
+
+  return {
+    description: schema.description || null,
+    queryType: schema.queryType?.name || null,
+    mutationType: schema.mutationType?.name || null,
+    subscriptionType: schema.subscriptionType?.name || null,
+    types: schema.types
+      .filter(type => !type.name.startsWith('__'))
+      .map(type => ({
+        kind: type.kind,
+        name: type.name,
+        description: type.description || null,
+        fields: type.fields ? type.fields.map(convertField) : null,
+        inputFields: type.inputFields ? type.inputFields.map(convertArg) : null,
+        interfaces: (type.interfaces || []).map(ref => ref.name),
+        possibleTypes: (type.possibleTypes || []).map(ref => ref.name),
+        enumValues: type.enumValues
+          ? type.enumValues.map(value => ({
+            name: value.name,
+            description: value.description || null,
+            isDeprecated: Boolean(value.isDeprecated),
+            deprecationReason: value.deprecationReason || null
+          }))
+          : null,
+        directives: []
+      }))
+  };
+}
+
+/**
+ * Unwrap a type reference into its named type and modifiers
+ * @param {object} ref - Type reference
+ * @returns {{name: string, required: boolean, list: boolean, itemRequired: boolean}}
+ */
+function unwrapTypeRef(ref) {
+  const info = { name: null, required: false, list: false, itemRequired: false };
+  let current = ref;
+
+  if (current?.kind === 'NON_NULL') {
+    info.required = true;
+    current = current.ofType;
+  }
+  if (current?.kind === 'LIST') {
+    info.list = true;
+    current = current.ofType;
+    if (current?.kind === 'NON_NULL') {
+      info.itemRequired = true;
+      current = current.ofType;
+    }
+  }
+  // Nested lists collapse to their innermost named type
+  while (current?.kind === 'LIST' || current?.kind === 'NON_NULL') {
+    current = current.ofType;
+  }
+
+  info.name = current?.name || null;
+  return info;
+}
+
+/**
+ * Print a type reference in SDL notation (e.g. `[Order!]!`)
+ * @param {object} ref - Type reference
+ * @returns {string}
+ */
+function printTypeRef(ref) {
+  if (!ref) return '';
+  if (ref.kind === 'NON_NULL') return `${printTypeRef(ref.ofType)}!`;
+  if (ref.kind === 'LIST') return `[${printTypeRef(ref.ofType)}]`;
+  return ref.name;
+}
+
+/**
+ * Recursive-descent parser over the SDL token stream
+ * @private
+ */
+class SdlParser {
+  constructor(source) {
+    this.source = source;
+    this.tokens = tokenize(source);
+    this.pos = 0;
+    this.schema = { description: null, queryType: null, mutationType: null, subscriptionType: null };
+    this.types = new Map();
+  }
+
+  parseDocument() {
+    let sawSchemaDefinition = false;
+
+    while (!this.peek('eof')) {
+      const description = this.parseDescription();
+      const token = this.peek();
+
+      if (token.kind === 'punct' && token.value === '{') {
+        this.fail(token, 'Executable definitions (operations) are not supported in schema files');
+      }
+      if (token.kind !== 'name') {
+        this.fail(token, `Unexpected ${describe(token)}`);
+      }
+
+      const keyword = token.value;
+      if (keyword === 'extend') {
+        this.advance();
+        const target = this.expectName();
+        if (target === 'schema') {
+          this.parseSchemaDefinition();
+        } else if (KIND_BY_KEYWORD[target]) {
+          this.parseTypeDefinition(target, null, true);
+        } else {
+          this.fail(token, `Cannot extend "${target}"`);
+        }
+      } else if (keyword === 'schema') {
+        this.advance();
+        sawSchemaDefinition = true;
+        if (description) this.schema.description = description;
+        this.parseSchemaDefinition();
+      } else if (keyword === 'directive') {
+        this.advance();
+        this.skipDirectiveDefinition();
+      } else if (KIND_BY_KEYWORD[keyword]) {
+        this.advance();
+        this.parseTypeDefinition(keyword, description, false);
+      } else if (['query', 'mutation', 'subscription', 'fragment'].includes(keyword)) {
+        this.fail(token, 'Executable definitions (operations) are not supported in schema files');
+      } else {
+        this.fail(token, `Unknown definition "${keyword}"`);
+      }
+    }
+
+    // Without a schema block the conventional root type names apply
+    if (!sawSchemaDefinition) {
+      for (const [operation, typeName] of [['queryType', 'Query'], ['mutationType', 'Mutation'], ['subscriptionType', 'Subscription']]) {
+        if (!this.schema[operation] && this.types.has(typeName)) {
+          this.schema[operation] = typeName;
+        }
+      }
+    }
+
+    for (const name of BUILT_IN_SCALARS) {
+      if (!this.types.has(name)) {
+        this.types.set(name, createType('SCALAR', name, null));
+      }
+    }
+
+    return { ...this.schema, types: Array.from(this.types.values()) };
+  }
+
+  parseSchemaDefinition() {
+    this.parseDirectives();
+    this.expectPunct('{');
+    while (!this.skipPunct('}')) {
+      const operation = this.expectName();
+      this.expectPunct(':');
+      const typeName = this.expectName();
+      if (!['query', 'mutation', 'subscription'].includes(operation)) {
+        this.fail(this.previous(), `Unknown root operation "${operation}"`);
+      }
+      this.schema[`${operation}Type`] = typeName;
+    }
+  }
+
+  parseTypeDefinition(keyword, description, isExtension) {
+    const kind = KIND_BY_KEYWORD[keyword];
+    const name = this.expectName();
+
+    let type = this.types.get(name);
+    if (!type) {
+      type = createType(kind, name, description);
+      this.types.set(name, type);
+    } else if (!isExtension) {
+      this.fail(this.previous(), `Type "${name}" is defined more than once`);
+    } else if (type.kind !== kind) {
+      this.fail(this.previous(), `Cannot extend ${type.kind.toLowerCase()} "${name}" as ${keyword}`);
+    }
+
+    if (kind === 'OBJECT' || kind === 'INTERFACE') {
+      if (this.skipName('implements')) {
+        this.skipPunct('&');
+        do {
+          type.interfaces.push(this.expectName());
+        } while (this.skipPunct('&'));
+      }
+      type.directives.push(...this.parseDirectives());
+      if (this.skipPunct('{')) {
+        while (!this.skipPunct('}')) {
+          type.fields.push(this.parseField());
+        }
+      }
+    } else if (kind === 'INPUT_OBJECT') {
+      type.directives.push(...this.parseDirectives());
+      if (this.skipPunct('{')) {
+        while (!this.skipPunct('}')) {
+          type.inputFields.push(this.parseInputValue());
+        }
+      }
+    } else if (kind === 'UNION') {
+      type.directives.push(...this.parseDirectives());
+      if (this.skipPunct('=')) {
+        this.skipPunct('|');
+        do {
+          type.possibleTypes.push(this.expectName());
+        } while (this.skipPunct('|'));
+      }
+    } else if (kind === 'ENUM') {
+      type.directives.push(...this.parseDirectives());
+      if (this.skipPunct('{')) {
+        while (!this.skipPunct('}')) {
+          const valueDescription = this.parseDescription();
+          const valueName = this.expectName();
+          const directives = this.parseDirectives();
+          type.enumValues.push({
+            name: valueName,
+            description: valueDescription,
+            ...deprecationOf(directives)
+          });
+        }
+      }
+    } else {
+      type.directives.push(...this.parseDirectives());
+    }
+  }
+
+  parseField() {
+    const description = this.parseDescription();
+    const name = this.expectName();
+    const args = [];
+    if (this.skipPunct('(')) {
+      while (!this.skipPunct(')')) {
+        args.push(this.parseInputValue());
+      }
+    }
+    this.expectPunct(':');
+    const type = this.parseTypeRef();
+    const directives = this.parseDirectives();
+
+    return { name, description, args, type, ...deprecationOf(directives), directives };
+  }
+
+  parseInputValue() {
+    const description = this.parseDescription();
+    const name = this.expectName();
+    this.expectPunct(':');
+    const type = this.parseTypeRef();
+
+    let defaultValue = null;
+    if (this.skipPunct('=')) {
+      const start = this.peek().start;
+      this.parseValue();
+      defaultValue = this.source.slice(start, this.previous().end);
+    }
+
+    return { name, description, type, defaultValue, directives: this.parseDirectives() };
+  }
+
+  parseTypeRef() {
+    let ref;
+    if (this.skipPunct('[')) {
+      ref = { kind: 'LIST', ofType: this.parseTypeRef() };
+      this.expectPunct(']');
+    } else {
+      ref = { name: this.expectName() };
+    }
+    return this.skipPunct('!') ? { kind: 'NON_NULL', ofType: ref } : ref;
+  }
+
+  parseDirectives() {
+    const directives = [];
+    while (this.skipPunct('@')) {
+      const name = this.expectName();
+      const args = {};
+      if (this.skipPunct('(')) {
+        while (!this.skipPunct(')')) {
+          const argName = this.expectName();
+          this.expectPunct(':');
+          args[argName] = this.parseValue();
+        }
+      }
+      directives.push({ name, args });
+    }
+    return directives;
+  }
+
+  parseValue() {
+    const token = this.advance();
+    if (token.kind === 'string') return token.value;
+    if (token.kind === 'number') return Number(token.value);
+    if (token.kind === 'name') {
+      if (token.value === 'true') return true;
+      if (token.value === 'false') return false;
+      if (token.value === 'null') return null;
+      return token.value; // enum value
+    }
+    if (token.kind === 'punct' && token.value === '[') {
+      const list = [];
+      while (!this.skipPunct(']')) list.push(this.parseValue());
+      return list;
+    }
+    if (token.kind === 'punct' && token.value === '{') {
+      const object = {};
+      while (!this.skipPunct('}')) {
+        const key = this.expectName();
+        this.expectPunct(':');
+        object[key] = this.parseValue();
+      }
+      return object;
+    }
+    return this.fail(token, `Unexpected ${describe(token)} in value`);
+  }
+
+  skipDirectiveDefinition() {
+    this.expectPunct('@');
+    this.expectName();
+    if (this.skipPunct('(')) {
+      while (!this.skipPunct(')')) this.parseInputValue();
+    }
+    this.skipName('repeatable');
+    if (!this.skipName('on')) this.fail(this.peek(), 'Expected "on" in directive definition');
+    this.skipPunct('|');
+    do {
+      this.expectName();
+    } while (this.skipPunct('|'));
+  }
+
+  parseDescription() {
+    return this.peek('string') ? this.advance().value : null;
+  }
+
+  peek(kind) {
+    const token = this.tokens[this.pos];
+    return kind ? token.kind === kind : token;
+  }
+
+  previous() {
+    return this.tokens[this.pos - 1];
+  }
+
+  advance() {
+    const token = this.tokens[this.pos];
+    if (token.kind === 'eof') this.fail(token, 'Unexpected end of document');
+    this.pos++;
+    return token;
+  }
+
+  expectName() {
+    const token = this.peek();
+    if (token.kind !== 'name') this.fail(token, `Expected name, found ${describe(token)}`);
+    return this.advance().value;
+  }
+
+  expectPunct(value) {
+    if (!this.skipPunct(value)) this.fail(this.peek(), `Expected "${value}", found ${describe(this.peek())}`);
+  }
+
+  skipPunct(value) {
+    const token = this.peek();
+    if (token.kind === 'punct' && token.value === value) {
+      this.pos++;
+      return true;
+    }
+    return false;
+  }
+
+  skipName(value) {
+    const token = this.peek();
+    if (token.kind === 'name' && token.value === value) {
+      this.pos++;
+      return true;
+    }
+    return false;
+  }
+
+  fail(token, message) {
+    throw new Error(`GraphQL syntax error (line ${token.line}): ${message}`);
+  }
+}
+
+/**
+ * Split SDL source into tokens (commas and comments are insignificant)
+ * @private
+ */
+function tokenize(source) {
+  const tokens = [];
+  let i = 0;
+  let line = 1;
+
+  const push = (kind, value, start) => tokens.push({ kind, value, start, end: i, line });
+
+  while (i < source.length) {
+    const ch = source[i];
+    const start = i;
+
+    if (ch === '\n') {
+      line++;
+      i++;
+    } else if (/[\s,\uFEFF]/.test(ch)) {
+      i++;
+    } else if (ch === '#') {
+      while (i < source.length && source[i] !== '\n') i++;
+    } else if (source.startsWith('"""', i)) {
+      const close = findBlockStringEnd(source, i + 3);
+      if (close < 0) throw new Error(`GraphQL syntax error (line ${line}): Unterminated block string`);
+      const raw = source.slice(i + 3, close).replace(/\\"""/g, '"""');
+      i = close + 3;
+      push('string', blockStringValue(raw), start);
+      line += (raw.match(/\n/g) || []).length;
+    } else if (ch === '"') {
+      i++;
+      let value = '';
+      while (i < source.length && source[i] !== '"') {
+        if (source[i] === '\n') throw new Error(`GraphQL syntax error (line ${line}): Unterminated string`);
+        if (source[i] === '\\') {
+          const escaped = source[i + 1];
+          if (escaped === 'u') {
+            value += String.fromCharCode(parseInt(source.slice(i + 2, i + 6), 16));
+            i += 6;
+            continue;
+          }
+          value += { n: '\n', t: '\t', r: '\r', b: '\b', f: '\f' }[escaped] ?? escaped;
+          i += 2;
+          continue;
+        }
+        value += source[i++];
+      }
+      if (i >= source.length) throw new Error(`GraphQL syntax error (line ${line}): Unterminated string`);
+      i++;
+      push('string', value, start);
+    } else if (source.startsWith('...', i)) {
+      i += 3;
+      push('punct', '...', start);
+    } else if (PUNCTUATORS.has(ch)) {
+      i++;
+      push('punct', ch, start);
+    } else if (/[_A-Za-z]/.test(ch)) {
+      while (i < source.length && /[_0-9A-Za-z]/.test(source[i])) i++;
+      push('name', source.slice(start, i), start);
+    } else if (/[-0-9]/.test(ch)) {
+      const match = /^-?\d+(\.\d+)?([eE][+-]?\d+)?/.exec(source.slice(i));
+      if (!match) throw new Error(`GraphQL syntax error (line ${line}): Invalid number`);
+      i += match[0].length;
+      push('number', match[0], start);
+    } else {
+      throw new Error(`GraphQL syntax error (line ${line}): Unexpected character "${ch}"`);
+    }
+  }
+
+  tokens.push({ kind: 'eof', value: null, start: i, end: i, line });
+  return tokens;
+}
+
+/**
+ * Index of the closing `"""`, skipping escaped `\"""`
+ * @private
+ */
+function findBlockStringEnd(source, from) {
+  let index = source.indexOf('"""', from);
+  while (index > 0 && source[index - 1] === '\\') {
+    index = source.indexOf('"""', index + 3);
+  }
+  return index;
+}
+
+/**
+ * Block string value: common indentation and blank edge lines removed
+ * @private
+ */
+function blockStringValue(raw) {
+  const lines = raw.split(/\r\n|\r|\n/);
+
+  let commonIndent = null;
+  for (const lineText of lines.slice(1)) {
+    const indent = lineText.length - lineText.trimStart().length;
+    if (indent < lineText.length && (commonIndent === null || indent < commonIndent)) {
+      commonIndent = indent;
+    }
+  }
+  if (commonIndent) {
+    for (let i = 1; i < lines.length; i++) lines[i] = lines[i].slice(commonIndent);
+  }
+
+  while (lines.length && !lines[0].trim()) lines.shift();
+  while (lines.length && !lines[lines.length - 1].trim()) lines.pop();
+  return lines.join('\n');
+}
+
+/**
+ * @deprecated directive to introspection-style deprecation fields
+ * @private
+ */
+function deprecationOf(directives) {
+  const deprecated = directives.find(directive => directive.name === 'deprecated');
+  return {
+    isDeprecated: Boolean(deprecated),
+    deprecationReason: deprecated ? (deprecated.args.reason ?? DEFAULT_DEPRECATION_REASON) : null
+  };
+}
+
+function createType(kind, name, description) {
+  return {
+    kind,
+    name,
+    description: description || null,
+    fields: kind === 'OBJECT' || kind === 'INTERFACE' ? [] : null,
+    inputFields: kind === 'INPUT_OBJECT' ? [] : null,
+    interfaces: [],
+    possibleTypes: [],
+    enumValues: kind === 'ENUM' ? [] : null,
+    directives: []
+  };
+}
+
+function describe(token) {
+  if (token.kind === 'eof') return 'end of document';
+  if (token.kind === 'string') return 'string';
+  return `"${token.value}"`;
+}
+
+module.exports = {
+  parseSdl,
+  fromIntrospection,
+  unwrapTypeRef,
+  printTypeRef,
+  BUILT_IN_SCALARS
+};
@@ -0,0 +1,189 @@
+/*
+ * MySQL / MariaDB Database Importer
+ * Converts MySQL and MariaDB schemas to Data Protocol manifests
+ *
+ * Features:
+ * - Live connections (mysql:// and mariadb://) via the optional mysql2 driver
+ * - Offline mysqldump / DDL files parsed without a database
+ * - Views imported as datasets with FROM/JOIN lineage
+ * - PII detection with community/org/project override rules
+ * - Relationship extraction from foreign keys
+ * - URN generation for tables and columns
+ * - Draft manifest with provenance
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { MySQLSchemaIntrospector } = require('./schema-introspect');
+const { DdlIntrospector } = require('../sql/ddl-introspector');
+const { SqlCatalogImporter } = require('../sql/catalog-importer');
+
+const CONNECTION_PATTERN = /^(mysql|mariadb):\/\//i;
+
+/**
+ * MySQL / MariaDB to Data Protocol Importer
+ */
+class MySQLImporter extends SqlCatalogImporter {
+  constructor(options = {}) {
+    super({
+      readOnly: true,              // Use read-only transaction
+      connectionTimeout: 30000,    // 30 second timeout
+      statementTimeout: 5000,      // 5 second per-query timeout
+      ...options
+    });
+    this.sourceType = 'mysql';
+  }
+
+  /**
+   * Whether a source is a live connection string (vs. a dump file)
+   * @param {string} source - Connection string or file path
+   * @returns {boolean}
+   */
+  static isConnectionString(source) {
+    return CONNECTION_PATTERN.test(String(source || ''));
+  }
+
+  /**
+   * Open a mysql:// / mariadb:// connection or parse a .sql dump
+   * @private
+   */
+  async _open(source) {
+    if (MySQLImporter.isConnectionString(source)) {
+      const client = await this._connect(source);
+      const database = this._extractDatabaseName(source);
+      return {
+        introspector: new MySQLSchemaIntrospector(client),
+        context: {
+          kind: 'connection',
+          database,
+          // Live imports stay within the connected database
+          schema: database,
+          platform: /^mariadb:/i.test(source) ? 'mariadb' : 'mysql',
+          hash: this._hashConnectionString(source)
+        },
+        close: () => client.end()
+      };
+    }
+
+    // Dumps without USE/CREATE DATABASE are named after the file
+    const sql = await fs.promises.readFile(source, 'utf8');
+    const defaultSchema = path.basename(source, path.extname(source));
+    const introspector = DdlIntrospector.fromSql(sql, { defaultSchema });
+    return {
+      introspector,
+      context: {
+        kind: 'dump',
+        database: introspector.catalog.database || defaultSchema,
+        platform: /^--\s*MariaDB dump/im.test(sql.slice(0, 512)) ? 'mariadb' : 'mysql',
+        hash: this._hashContent(sql),
+        file: path.resolve(source)
+      }
+    };
+  }
+
+  /**
+   * Connect with timeout and read-only settings. mysql2 is an optional
+   * dependency: dump files import without it.
+   * @private
+   */
+  async _connect(connectionString) {
+    let mysql;
+    try {
+      mysql = require('mysql2/promise');
+    } catch (error) {
+      throw new Error(
+        'Live MySQL/MariaDB discovery requires the "mysql2" package (npm install mysql2). ' +
+        'Import a mysqldump .sql file instead to work offline.'
+      );
+    }
+
+    const connection = await mysql.createConnection({
+      uri: connectionString.replace(/^mariadb:/i, 'mysql:'),
+      connectTimeout: this.options.connectionTimeout
+    });
+
+    // Per-query timeout: MySQL uses milliseconds, MariaDB uses seconds
+    try {
+      await connection.query(`SET SESSION max_execution_time = ${Number(this.options.statementTimeout)}`);
+    } catch (_) {
+      await connection.query(`SET SESSION max_statement_time = ${Number(this.options.statementTimeout) / 1000}`).catch(() => {});
+    }
+
+    // Set read-only transaction if enabled
+    if (this.options.readOnly) {
+      await connection.query('START TRANSACTION READ ONLY');
+    }
+
+    return {
+      query: async (sql, params) => {
+        const [rows] = await connection.query(sql, params);
+        return { rows };
+      },
+      end: () => connection.end()
+    };
+  }
+
+  /**
+   * Map MySQL types to Data Protocol types
+   * @private
+   */
+  _mapType(dataType, columnType) {
+    const fullType = String(columnType || '').toLowerCase();
+    if (/^tinyint\(1\)/.test(fullType) || /^bit\(1\)/.test(fullType)) {
+      return 'boolean';
+    }
+
+    const typeMap = {
+      'bool': 'boolean',
+      'boolean': 'boolean',
+      'tinyint': 'short',
+      'smallint': 'short',
+      'mediumint': 'integer',
+      'int': 'integer',
+      'integer': 'integer',
+      'bigint': 'long',
+      'year': 'integer',
+      'decimal': 'decimal',
+      'numeric': 'decimal',
+      'float': 'float',
+      'double': 'double',
+      'double precision': 'double',
+      'real': 'double',
+      'char': 'string',
+      'varchar': 'string',
+      'tinytext': 'string',
+      'text': 'string',
+      'mediumtext': 'string',
+      'longtext': 'string',
+      'enum': 'string',
+      'set': 'string',
+      'json': 'json',
+      'date': 'date',
+      'datetime': 'timestamp',
+      'timestamp': 'timestamp',
+      'time': 'time',
+      'bit': 'bytes',
+      'binary': 'bytes',
+      'varbinary': 'bytes',
+      'tinyblob': 'bytes',
+      'blob': 'bytes',
+      'mediumblob': 'bytes',
+      'longblob': 'bytes'
+    };
+
+    const key = String(dataType || '').toLowerCase();
+    return typeMap[key] || key || 'unknown';
+  }
+
+  /**
+   * Database name for connections, file name for dumps
+   * @private
+   */
+  _describeSource(source) {
+    return MySQLImporter.isConnectionString(source)
+      ? this._extractDatabaseName(source)
+      : super._describeSource(source);
+  }
+}
+
+module.exports = { MySQLImporter };
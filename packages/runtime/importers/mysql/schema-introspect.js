@@ -0,0 +1,301 @@
+/*
+ * MySQL / MariaDB Schema Introspection
+ * Queries information_schema to extract tables, views, columns, constraints, and relationships
+ *
+ * Features:
+ * - Row shapes match the Postgres introspector (table_schema, column_name, ...)
+ * - Foreign key and index discovery
+ * - View definitions with FROM/JOIN lineage
+ * - Sample data extraction for pattern detection
+ */
+
+const { analyzeSelect, tokenizeStatements } = require('../sql/ddl-parser');
+
+const SYSTEM_SCHEMAS = ['mysql', 'information_schema', 'performance_schema', 'sys'];
+
+/**
+ * Schema introspection for MySQL and MariaDB databases
+ */
+class MySQLSchemaIntrospector {
+  /**
+   * @param {object} client - Connection exposing `query(sql, params) -> { rows }`
+   */
+  constructor(client) {
+    this.client = client;
+  }
+
+  /**
+   * Get all base tables (excluding system schemas)
+   * @param {string} [schema] - Restrict to one schema (database)
+   * @returns {Promise<Array>} Table metadata
+   */
+  async getTables(schema = null) {
+    const query = `
+      SELECT
+        t.table_schema AS table_schema,
+        t.table_name AS table_name,
+        (COALESCE(t.data_length, 0) + COALESCE(t.index_length, 0)) AS size_bytes,
+        t.table_rows AS estimated_rows,
+        NULLIF(t.table_comment, '') AS table_comment
+      FROM information_schema.tables t
+      WHERE t.table_type = 'BASE TABLE'
+        AND t.table_schema NOT IN (${SYSTEM_SCHEMAS.map(() => '?').join(', ')})
+        ${schema ? 'AND t.table_schema = ?' : ''}
+      ORDER BY t.table_schema, t.table_name;
+    `;
+
+    const result = await this.client.query(query, schema ? [...SYSTEM_SCHEMAS, schema] : SYSTEM_SCHEMAS);
+    return result.rows.map(row => ({
+      ...row,
+      size_bytes: toNumber(row.size_bytes),
+      estimated_rows: toNumber(row.estimated_rows)
+    }));
+  }
+
+  /**
+   * Get all views (excluding system schemas)
+   * @param {string} [schema] - Restrict to one schema (database)
+   * @returns {Promise<Array>} View metadata with FROM/JOIN sources
+   */
+  async getViews(schema = null) {
+    const query = `
+      SELECT
+        v.table_schema AS table_schema,
+        v.table_name AS table_name,
+        v.view_definition AS view_definition
+      FROM information_schema.views v
+      WHERE v.table_schema NOT IN (${SYSTEM_SCHEMAS.map(() => '?').join(', ')})
+        ${schema ? 'AND v.table_schema = ?' : ''}
+      ORDER BY v.table_schema, v.table_name;
+    `;
+
+    const result = await this.client.query(query, schema ? [...SYSTEM_SCHEMAS, schema] : SYSTEM_SCHEMAS);
+    return result.rows.map(row => {
+      const [tokens = []] = tokenizeStatements(row.view_definition || '');
+      return {
+        ...row,
+        sources: analyzeSelect(tokens).sources.map(source => ({
+          schema: source.schema ?? row.table_schema,
+          table: source.name
+        }))
+      };
+    });
+  }
+
+  /**
+   * Get columns for a table or view
+   * @param {string} schema - Schema name
+   * @param {string} table - Table name
+   * @returns {Promise<Array>} Column metadata
+   */
+  async getColumns(schema, table) {
+    const query = `
+      SELECT
+        c.table_schema AS table_schema,
+        c.table_name AS table_name,
+        c.column_name AS column_name,
+        c.ordinal_position AS ordinal_position,
+        c.is_nullable AS is_nullable,
+        c.data_type AS data_type,
+        c.column_type AS udt_name,
+        c.character_maximum_length AS character_maximum_length,
+        c.numeric_precision AS numeric_precision,
+        c.numeric_scale AS numeric_scale,
+        c.column_default AS column_default,
+        NULLIF(c.column_comment, '') AS column_comment,
+        (c.extra LIKE '%auto_increment%') AS is_auto_increment
+      FROM information_schema.columns c
+      WHERE c.table_schema = ?
+        AND c.table_name = ?
+      ORDER BY c.ordinal_position;
+    `;
+
+    const result = await this.client.query(query, [schema, table]);
+    return result.rows.map(row => ({
+      ...row,
+      data_type: row.data_type ? String(row.data_type).toLowerCase() : row.data_type,
+      udt_name: row.udt_name ? String(row.udt_name).toLowerCase() : row.udt_name,
+      character_maximum_length: toNumber(row.character_maximum_length),
+      is_auto_increment: Boolean(Number(row.is_auto_increment))
+    }));
+  }
+
+  /**
+   * Get primary key columns for a table
+   * @param {string} schema - Schema name
+   * @param {string} table - Table name
+   * @returns {Promise<Array<string>>} Primary key column names
+   */
+  async getPrimaryKey(schema, table) {
+    const query = `
+      SELECT k.column_name AS column_name
+      FROM information_schema.key_column_usage k
+      WHERE k.table_schema = ?
+        AND k.table_name = ?
+        AND k.constraint_name = 'PRIMARY'
+      ORDER BY k.ordinal_position;
+    `;
+
+    const result = await this.client.query(query, [schema, table]);
+    return result.rows.map(row => row.column_name);
+  }
+
+  /**
+   * Get foreign key relationships
+   * @param {string} schema - Schema name
+   * @param {string} table - Table name
+   * @returns {Promise<Array>} Foreign key metadata
+   */
+  async getForeignKeys(schema, table) {
+    const query = `
+      SELECT
+        k.column_name AS column_name,
+        k.referenced_table_schema AS foreign_table_schema,
+        k.referenced_table_name AS foreign_table_name,
+        k.referenced_column_name AS foreign_column_name,
+        k.constraint_name AS constraint_name
+      FROM information_schema.key_column_usage k
+      WHERE k.table_schema = ?
+        AND k.table_name = ?
+        AND k.referenced_table_name IS NOT NULL
+      ORDER BY k.constraint_name, k.ordinal_position;
+    `;
+
+    const result = await this.client.query(query, [schema, table]);
+    return result.rows;
+  }
+
+  /**
+   * Get unique constraints
+   * @param {string} schema - Schema name
+   * @param {string} table - Table name
+   * @returns {Promise<Array>} Unique constraints
+   */
+  async getUniqueConstraints(schema, table) {
+    const query = `
+      SELECT
+        tc.constraint_name AS constraint_name,
+        GROUP_CONCAT(k.column_name ORDER BY k.ordinal_position SEPARATOR ',') AS columns
+      FROM information_schema.table_constraints tc
+      JOIN information_schema.key_column_usage k
+        ON k.constraint_schema = tc.constraint_schema
+        AND k.constraint_name = tc.constraint_name
+        AND k.table_name = tc.table_name
+      WHERE tc.table_schema = ?
+        AND tc.table_name = ?
+        AND tc.constraint_type = 'UNIQUE'
+      GROUP BY tc.constraint_name;
+    `;
+
+    const result = await this.client.query(query, [schema, table]);
+    return result.rows.map(row => ({
+      constraint_name: row.constraint_name,
+      columns: splitList(row.columns)
+    }));
+  }
+
+  /**
+   * Get indexes (excluding the primary key)
+   * @param {string} schema - Schema name
+   * @param {string} table - Table name
+   * @returns {Promise<Array>} Index metadata
+   */
+  async getIndexes(schema, table) {
+    const query = `
+      SELECT
+        s.index_name AS index_name,
+        GROUP_CONCAT(s.column_name ORDER BY s.seq_in_index SEPARATOR ',') AS columns,
+        MIN(s.non_unique) AS non_unique,
+        MIN(s.index_type) AS index_type
+      FROM information_schema.statistics s
+      WHERE s.table_schema = ?
+        AND s.table_name = ?
+        AND s.index_name <> 'PRIMARY'
+      GROUP BY s.index_name
+      ORDER BY s.index_name;
+    `;
+
+    const result = await this.client.query(query, [schema, table]);
+    return result.rows.map(row => ({
+      index_name: row.index_name,
+      columns: splitList(row.columns),
+      is_unique: Number(row.non_unique) === 0,
+      is_primary: false,
+      index_type: row.index_type ? String(row.index_type).toLowerCase() : 'btree'
+    }));
+  }
+
+  /**
+   * Sample data from table
+   * @param {string} schema - Schema name
+   * @param {string} table - Table name
+   * @param {number} estimatedRows - Estimated row count
+   * @param {Array<string>} columns - Columns to sample
+   * @returns {Promise<Array>} Sample rows
+   */
+  async sampleData(schema, table, estimatedRows, columns) {
+    // Adaptive sample size; MySQL has no TABLESAMPLE, so read the first rows
+    let sampleSize = 100;
+    if (estimatedRows >= 100000) {
+      sampleSize = 1000;
+    } else if (estimatedRows >= 1000) {
+      sampleSize = 500;
+    }
+
+    const columnList = columns.map(quoteIdentifier).join(', ');
+    const query = `
+      SELECT ${columnList}
+      FROM ${quoteIdentifier(schema)}.${quoteIdentifier(table)}
+      LIMIT ${sampleSize};
+    `;
+
+    const result = await this.client.query(query);
+    return result.rows;
+  }
+
+  /**
+   * Get all schemas (databases), excluding system schemas
+   * @returns {Promise<Array<string>>} Schema names
+   */
+  async getSchemas() {
+    const query = `
+      SELECT schema_name AS schema_name
+      FROM information_schema.schemata
+      WHERE schema_name NOT IN (${SYSTEM_SCHEMAS.map(() => '?').join(', ')})
+      ORDER BY schema_name;
+    `;
+
+    const result = await this.client.query(query, SYSTEM_SCHEMAS);
+    return result.rows.map(row => row.schema_name);
+  }
+
+  /**
+   * Test connection
+   * @returns {Promise<boolean>} True if connected
+   */
+  async testConnection() {
+    try {
+      await this.client.query('SELECT 1');
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+}
+
+function quoteIdentifier(name) {
+  return `\`${String(name).replace(/`/g, '``')}\``;
+}
+
+function splitList(value) {
+  if (Array.isArray(value)) return value;
+  return value ? String(value).split(',') : [];
+}
+
+function toNumber(value) {
+  if (value === null || value === undefined) return null;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+}
+
+module.exports = { MySQLSchemaIntrospector };
@@ -6,7 +6,7 @@
  */
 
 const { detectPII: baseDetectPII, batchDetectPII: baseBatchDetectPII } = require('./pii-detector');
-const { OverrideEngine } = require('../../core/overrides');
+const { OverrideEngine } = require('../../../protocols/core/overrides');
 
 /**
  * Enhanced PII detection with overrides
@@ -122,16 +122,17 @@ function batchDetectPIIWithOverrides(columns, samplesByColumn, options = {}) {
 }
 
 /**
- * Create an override engine for Postgres imports
+ * Create an override engine for database imports (Postgres, MySQL)
  * @param {string} projectRoot - Project root directory
  * @returns {OverrideEngine} Override engine instance
  */
-function createPostgresOverrideEngine(projectRoot) {
+function createOverrideEngine(projectRoot) {
   return new OverrideEngine(projectRoot);
 }
 
 module.exports = {
   detectPIIWithOverrides,
   batchDetectPIIWithOverrides,
-  createPostgresOverrideEngine
+  createOverrideEngine,
+  createPostgresOverrideEngine: createOverrideEngine
 };
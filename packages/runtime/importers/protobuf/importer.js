@@ -0,0 +1,729 @@
+/*
+ * Protobuf / gRPC Importer
+ * Converts .proto files (or a directory of them) to API Protocol manifests,
+ * and topic-annotated messages to Event Protocol manifests
+ *
+ * Features:
+ * - Services and RPCs as API endpoints with streaming modes
+ * - Messages and enums as JSON schemas (proto3 JSON mapping)
+ * - Imports resolved across the directory, include paths and parent directories
+ * - google.api.http bindings preserved on endpoints
+ * - Kafka / Pub/Sub topic options as Event Protocol channels
+ * - PII detection shared with the AsyncAPI importer (plus pii/sensitive options)
+ * - detect / import / validate for auto-detection (BaseImporter contract)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { loadProtoSchema, SCALAR_TYPES } = require('./proto-loader');
+const { generateEventURN, sanitizeDomain } = require('../asyncapi/urn-generator');
+const { detectEventPII } = require('../asyncapi/pii-detector');
+
+// proto3 JSON mapping (64-bit integers are strings on the wire)
+const SCALAR_SCHEMAS = {
+  double: { type: 'number', format: 'double' },
+  float: { type: 'number', format: 'float' },
+  int32: { type: 'integer', format: 'int32' },
+  sint32: { type: 'integer', format: 'int32' },
+  sfixed32: { type: 'integer', format: 'int32' },
+  uint32: { type: 'integer', format: 'uint32' },
+  fixed32: { type: 'integer', format: 'uint32' },
+  int64: { type: 'string', format: 'int64' },
+  sint64: { type: 'string', format: 'int64' },
+  sfixed64: { type: 'string', format: 'int64' },
+  uint64: { type: 'string', format: 'uint64' },
+  fixed64: { type: 'string', format: 'uint64' },
+  bool: { type: 'boolean' },
+  string: { type: 'string' },
+  bytes: { type: 'string', format: 'byte' }
+};
+
+const WELL_KNOWN_SCHEMAS = {
+  'google.protobuf.Timestamp': { type: 'string', format: 'date-time' },
+  'google.protobuf.Duration': { type: 'string', format: 'duration' },
+  'google.protobuf.Empty': { type: 'object' },
+  'google.protobuf.Struct': { type: 'object' },
+  'google.protobuf.Value': {},
+  'google.protobuf.ListValue': { type: 'array' },
+  'google.protobuf.NullValue': { type: 'null' },
+  'google.protobuf.FieldMask': { type: 'string' },
+  'google.protobuf.Any': { type: 'object', properties: { '@type': { type: 'string' } } },
+  'google.protobuf.StringValue': { type: 'string' },
+  'google.protobuf.BytesValue': { type: 'string', format: 'byte' },
+  'google.protobuf.BoolValue': { type: 'boolean' },
+  'google.protobuf.DoubleValue': { type: 'number', format: 'double' },
+  'google.protobuf.FloatValue': { type: 'number', format: 'float' },
+  'google.protobuf.Int32Value': { type: 'integer', format: 'int32' },
+  'google.protobuf.UInt32Value': { type: 'integer', format: 'uint32' },
+  'google.protobuf.Int64Value': { type: 'string', format: 'int64' },
+  'google.protobuf.UInt64Value': { type: 'string', format: 'uint64' }
+};
+
+const STREAMING_MODES = ['unary', 'server', 'client', 'bidirectional'];
+const HTTP_RULE_METHODS = ['get', 'put', 'post', 'delete', 'patch'];
+const PII_OPTION_PATTERN = /(^|\.)(pii|sensitive|personal|debug_redact)$/i;
+const TOPIC_OPTION_PATTERN = /(^|[._])topics?$|(^|[._])topic[._]name$/i;
+const PROTO_SYNTAX_PATTERN = /^\s*(syntax|edition)\s*=\s*["'](proto[23]|\d{4})["']/m;
+
+// Inline expansion depth for event payloads (nested messages beyond this become $refs)
+const MAX_INLINE_DEPTH = 4;
+
+/**
+ * Protobuf to API / Event Protocol Importer
+ */
+class ProtobufImporter {
+  constructor(options = {}) {
+    this.options = {
+      strictMode: false,           // If true, fail on malformed or unresolvable protos
+      generateURNs: true,          // Auto-generate service, endpoint and event URNs
+      detectPII: true,             // Annotate PII fields in schemas
+      includePaths: [],            // Extra import roots (like protoc -I)
+      serviceName: null,           // Defaults to the single service or the package
+      version: null,               // Defaults to the package version suffix (v1 -> 1.0.0)
+      ...options
+    };
+  }
+
+  /**
+   * Detect .proto files, directories containing them, or proto source text
+   * @param {string|Object} context - Path, or `{ path, content }`
+   * @returns {Promise<boolean>}
+   */
+  async detect(context) {
+    const { source, content } = normalizeContext(context);
+
+    if (typeof content === 'string') {
+      return PROTO_SYNTAX_PATTERN.test(content);
+    }
+    if (!source) return false;
+    if (/\.proto$/i.test(source)) return true;
+
+    try {
+      const stat = await fs.promises.stat(source);
+      return stat.isDirectory() && await containsProtoFiles(source);
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Import services and messages as an API Protocol manifest
+   * @param {string|Object} context - .proto file or directory, or `{ path, includePaths }`
+   * @returns {Promise<Object>} API Protocol manifest (draft status)
+   */
+  async import(context) {
+    const { source, includePaths } = normalizeContext(context);
+
+    try {
+      const schema = await this._loadSchema(source, includePaths);
+      const service = this._extractService(schema, source);
+      const schemas = await this._extractSchemas(schema);
+      const importedAt = new Date().toISOString();
+
+      const manifest = {
+        service,
+        interface: {
+          endpoints: this._extractEndpoints(schema, service)
+        },
+        validation: { schemas },
+        metadata: {
+          status: 'draft',
+          source: {
+            type: 'protobuf',
+            imported_at: importedAt,
+            reference: source,
+            files: schema.files.filter(file => file.entry).map(file => file.relativePath)
+          },
+          protobuf: {
+            packages: unique(schema.files.filter(file => file.entry).map(file => file.package).filter(Boolean)),
+            services: schema.services.map(s => s.fullName),
+            topics: this._collectTopics(schema).map(topic => topic.topic)
+          },
+          ...(schema.warnings.length > 0 && { warnings: schema.warnings })
+        },
+        provenance: {
+          importer: 'ProtobufImporter',
+          importer_version: '0.1.0',
+          imported_at: importedAt,
+          spec_hash: schema.hash,
+          source
+        }
+      };
+
+      if (Object.keys(schemas).length === 0) {
+        delete manifest.validation;
+      }
+
+      return manifest;
+    } catch (error) {
+      if (this.options.strictMode) {
+        throw error;
+      }
+      // Graceful fallback: return partial manifest with error details
+      return this._createErrorManifest(source, error);
+    }
+  }
+
+  /**
+   * Import topic-annotated messages and RPCs as Event Protocol manifests
+   * @param {string|Object} context - .proto file or directory, or `{ path, includePaths }`
+   * @returns {Promise<{manifests: Array, metadata: Object}>}
+   */
+  async importEvents(context) {
+    const { source, includePaths } = normalizeContext(context);
+    const schema = await this._loadSchema(source, includePaths);
+    const service = this._extractService(schema, source);
+
+    const manifests = [];
+    for (const topic of this._collectTopics(schema)) {
+      manifests.push(await this._createEventManifest(topic, schema, service));
+    }
+
+    return {
+      manifests,
+      metadata: {
+        source_url: source,
+        channel_count: manifests.length,
+        message_count: unique(manifests.map(m => m.schema.message)).length,
+        ...(schema.warnings.length > 0 && { warnings: schema.warnings })
+      }
+    };
+  }
+
+  /**
+   * Validate an imported API or Event manifest
+   * @param {Object} manifest - Manifest returned by import() or importEvents()
+   * @returns {Promise<{valid: boolean, errors: Array<string>}>}
+   */
+  async validate(manifest) {
+    const errors = [];
+
+    if (manifest?.metadata?.status === 'error') {
+      errors.push(`Import failed: ${manifest.metadata.error?.message || 'unknown error'}`);
+    } else if (manifest?.protocol === 'event-protocol/v1') {
+      if (!manifest.urn) errors.push('urn is required');
+      if (!manifest.delivery?.contract?.topic) errors.push('delivery.contract.topic is required');
+      if (!manifest.schema?.payload) errors.push('schema.payload is required');
+    } else {
+      if (!manifest?.service?.name) errors.push('service.name is required');
+      const endpoints = manifest?.interface?.endpoints || [];
+      if (endpoints.length === 0) errors.push('at least one endpoint required');
+
+      const schemas = manifest?.validation?.schemas || {};
+      endpoints.forEach((endpoint, index) => {
+        if (!STREAMING_MODES.includes(endpoint.grpc?.streaming)) {
+          errors.push(`interface.endpoints.${index}.grpc.streaming must be one of ${STREAMING_MODES.join(', ')}`);
+        }
+        for (const schema of [endpoint.request?.schema, ...(endpoint.responses || []).map(r => r.schema)]) {
+          const ref = schema?.$ref || schema?.items?.$ref;
+          if (ref && !schemas[ref.replace('#/validation/schemas/', '')]) {
+            errors.push(`interface.endpoints.${index} references missing schema ${ref}`);
+          }
+        }
+      });
+    }
+
+    return { valid: errors.length === 0, errors };
+  }
+
+  /**
+   * Load protos and apply strict-mode checks
+   * @private
+   */
+  async _loadSchema(source, includePaths) {
+    if (!source) {
+      throw new Error('Protobuf source must be a .proto file or directory');
+    }
+
+    const schema = await loadProtoSchema(source, {
+      includePaths: [...this.options.includePaths, ...(includePaths || [])]
+    });
+
+    if (this.options.strictMode && schema.warnings.length > 0) {
+      throw new Error(`Unresolved protobuf references: ${schema.warnings.join('; ')}`);
+    }
+    return schema;
+  }
+
+  /**
+   * Extract service identity
+   * @private
+   */
+  _extractService(schema, source) {
+    const packages = unique(schema.files.filter(file => file.entry).map(file => file.package).filter(Boolean));
+    const name = this.options.serviceName
+      || (schema.services.length === 1 ? schema.services[0].fullName : null)
+      || (packages.length === 1 ? packages[0] : null)
+      || path.basename(source, '.proto');
+    const packageVersion = /(?:^|\.)v(\d+)(?:(?:alpha|beta)\d*)?(?:\.|$)/.exec(packages[0] || '');
+
+    const service = {
+      name,
+      version: this.options.version || (packageVersion ? `${packageVersion[1]}.0.0` : '1.0.0')
+    };
+
+    if (this.options.generateURNs) {
+      const version = normalizeVersionForUrn(service.version);
+      const baseUrn = `urn:proto:api:${slugify(service.name)}/service`;
+      service.urn = version ? `${baseUrn}@${version}` : baseUrn;
+    }
+
+    if (schema.services.length === 1 && schema.services[0].comment) {
+      service.description = schema.services[0].comment;
+    }
+
+    return service;
+  }
+
+  /**
+   * One endpoint per RPC
+   * @private
+   */
+  _extractEndpoints(schema, service) {
+    const endpoints = [];
+    const topicsByMethod = groupBy(this._collectTopics(schema).filter(t => t.method), t => t.method);
+
+    for (const grpcService of schema.services) {
+      for (const method of grpcService.methods) {
+        const methodPath = `${grpcService.fullName}.${method.name}`;
+        const streaming = streamingMode(method);
+        const endpoint = {
+          method: 'POST',
+          path: `/${grpcService.fullName}/${method.name}`,
+          operationId: `${grpcService.name}.${method.name}`,
+          ...(method.comment && { summary: method.comment.split('\n')[0] }),
+          ...(method.comment && method.comment.includes('\n') && { description: method.comment }),
+          grpc: {
+            service: grpcService.fullName,
+            method: method.name,
+            streaming,
+            request_type: method.resolvedRequestType || method.requestType,
+            response_type: method.resolvedResponseType || method.responseType
+          }
+        };
+
+        if (this.options.generateURNs) {
+          endpoint.urn = this._generateEndpointURN(service, grpcService.name, method.name);
+        }
+
+        endpoint.request = {
+          contentType: 'application/grpc',
+          required: true,
+          schema: streamSchema(this._typeSchema(method.resolvedRequestType, method.requestType), method.requestStream)
+        };
+        endpoint.responses = [{
+          status: 200,
+          schema: streamSchema(this._typeSchema(method.resolvedResponseType, method.responseType), method.responseStream)
+        }];
+
+        const http = httpBinding(method.options['google.api.http']);
+        if (http) endpoint.http = http;
+
+        if (method.options.deprecated === true || grpcService.options.deprecated === true) {
+          endpoint.deprecated = true;
+        }
+
+        const topics = topicsByMethod.get(methodPath);
+        if (topics && this.options.generateURNs) {
+          endpoint.event_urns = topics.map(topic => this._eventURN(topic, service));
+        }
+
+        endpoints.push(endpoint);
+      }
+    }
+
+    return endpoints;
+  }
+
+  /**
+   * Messages and enums (from every loaded file) as JSON schemas
+   * @private
+   */
+  async _extractSchemas(schema) {
+    const schemas = {};
+    const context = { types: schema.types, inline: false, depth: 0, seen: new Set() };
+
+    for (const [fullName, type] of schema.types) {
+      schemas[fullName] = this._namedSchema(type, context);
+      if (this.options.detectPII && type.kind === 'message') {
+        await this._annotatePII(type.definition.name, schemas[fullName]);
+      }
+    }
+
+    return schemas;
+  }
+
+  /**
+   * Mark PII properties with `x-pii` using the event PII detector
+   * @private
+   */
+  async _annotatePII(messageName, schema) {
+    const detections = await detectEventPII(
+      [{ payload: () => schema }],
+      { id: () => messageName }
+    );
+
+    for (const detection of detections) {
+      const property = detection.path.replace(/\[\]$/, '');
+      if (!schema.properties?.[property]) continue;
+      schema.properties[property]['x-pii'] = {
+        category: detection.category,
+        confidence: Number(detection.confidence.toFixed(2)),
+        tier: detection.tier
+      };
+    }
+  }
+
+  /**
+   * Schema for a message or enum definition
+   * @private
+   */
+  _namedSchema(type, context) {
+    const { definition } = type;
+    if (type.kind === 'enum') {
+      return {
+        type: 'string',
+        enum: definition.values.map(value => value.name),
+        ...(definition.comment && { description: definition.comment })
+      };
+    }
+
+    const nested = { ...context, depth: context.depth + 1, seen: new Set([...context.seen, definition.fullName]) };
+    const properties = {};
+    const required = [];
+
+    for (const field of definition.fields) {
+      const property = this._fieldSchema(field, nested);
+      if (field.comment) property.description = field.comment;
+      if (field.options.deprecated === true) property.deprecated = true;
+      if (field.oneof) property['x-oneof'] = field.oneof;
+      if (Object.entries(field.options).some(([name, value]) => PII_OPTION_PATTERN.test(name) && value)) {
+        property['x-pii'] = true;
+      }
+      property['x-proto-number'] = field.number;
+
+      properties[field.name] = property;
+      if (field.label === 'required') required.push(field.name);
+    }
+
+    return {
+      type: 'object',
+      ...(definition.comment && { description: definition.comment }),
+      properties,
+      ...(required.length > 0 && { required })
+    };
+  }
+
+  /**
+   * Schema for a field (repeated -> array, map -> object)
+   * @private
+   */
+  _fieldSchema(field, context) {
+    if (field.map) {
+      return { type: 'object', additionalProperties: this._typeSchema(field.resolvedType, field.map.valueType, context) };
+    }
+    const schema = this._typeSchema(field.resolvedType, field.type, context);
+    return field.label === 'repeated' ? { type: 'array', items: schema } : schema;
+  }
+
+  /**
+   * Schema for a scalar, well-known or named type reference
+   * @private
+   */
+  _typeSchema(resolvedType, rawType, context = null) {
+    if (SCALAR_TYPES.has(rawType)) return { ...SCALAR_SCHEMAS[rawType] };
+    if (WELL_KNOWN_SCHEMAS[resolvedType]) return structuredClone(WELL_KNOWN_SCHEMAS[resolvedType]);
+    if (!resolvedType) return { 'x-proto-type': rawType };
+
+    const type = context?.types.get(resolvedType);
+    if (type && (type.kind === 'enum' || (context.inline && context.depth < MAX_INLINE_DEPTH && !context.seen.has(resolvedType)))) {
+      return this._namedSchema(type, context);
+    }
+    return { $ref: `#/validation/schemas/${resolvedType}` };
+  }
+
+  /**
+   * Topic annotations on messages and RPCs
+   * @private
+   */
+  _collectTopics(schema) {
+    const topics = [];
+    const seen = new Set();
+    const add = (entry) => {
+      if (seen.has(entry.topic)) return;
+      seen.add(entry.topic);
+      topics.push(entry);
+    };
+
+    for (const file of schema.files) {
+      if (!file.entry) continue;
+      for (const message of file.messages) {
+        for (const annotation of findTopicOptions(message.options)) {
+          add({ ...annotation, message: message.fullName, comment: message.comment, file: file.relativePath, package: file.package });
+        }
+      }
+      for (const grpcService of file.services) {
+        for (const method of grpcService.methods) {
+          // Topics on an RPC carry its request message (publish / consume handlers)
+          for (const annotation of findTopicOptions(method.options)) {
+            add({
+              ...annotation,
+              message: method.resolvedRequestType || method.requestType,
+              method: `${grpcService.fullName}.${method.name}`,
+              comment: method.comment,
+              deprecated: method.options.deprecated === true,
+              file: file.relativePath,
+              package: file.package
+            });
+          }
+        }
+      }
+    }
+
+    return topics;
+  }
+
+  /**
+   * Build an Event Protocol manifest for a topic annotation
+   * @private
+   */
+  async _createEventManifest(topic, schema, service) {
+    const channel = topicChannel(topic);
+    const payload = this._typeSchema(topic.message, topic.message, {
+      types: schema.types,
+      inline: true,
+      depth: 0,
+      seen: new Set()
+    });
+    const piiFields = this.options.detectPII
+      ? await detectEventPII([{ payload: () => payload }], channel)
+      : [];
+    const messageType = schema.types.get(topic.message);
+
+    return {
+      protocol: 'event-protocol/v1',
+      urn: this._eventURN(topic, service),
+      event: {
+        name: topic.topic,
+        version: service.version,
+        lifecycle: { status: topic.deprecated || messageType?.definition.options.deprecated === true ? 'deprecated' : 'active' }
+      },
+      semantics: {
+        purpose: topic.comment || `Protobuf message ${topic.message} on ${topic.topic}`,
+        category: 'event'
+      },
+      schema: {
+        format: 'protobuf',
+        message: topic.message,
+        payload,
+        fields: piiFields.map(f => ({
+          name: f.path,
+          type: f.type || 'unknown',
+          required: f.required || false,
+          pii: true,
+          confidence: f.confidence,
+          tier: f.tier,
+          category: f.category,
+          description: f.description
+        })),
+        compatibility: { policy: 'backward' }
+      },
+      delivery: {
+        contract: {
+          transport: topic.transport,
+          topic: topic.topic,
+          confidence: topic.transport === 'unknown' ? 0.5 : 0.95,
+          source: 'proto_option',
+          option: topic.option
+        }
+      },
+      governance: {
+        policy: {
+          classification: piiFields.length > 0 ? 'pii' : 'internal',
+          legal_basis: piiFields.length > 0 ? 'gdpr' : undefined
+        }
+      },
+      metadata: {
+        source_type: 'protobuf',
+        source_title: service.name,
+        source_hash: schema.hash,
+        proto_file: topic.file,
+        ...(topic.method && { rpc: topic.method }),
+        imported_at: new Date().toISOString(),
+        importer_version: '0.1.0'
+      }
+    };
+  }
+
+  /**
+   * Semantic event URN from the AsyncAPI URN generator (package as domain)
+   * @private
+   */
+  _eventURN(topic, service) {
+    const title = (topic.package || service.name).replace(/\./g, '-');
+    return generateEventURN(topicChannel(topic), {
+      info: () => ({ title: () => title, version: () => service.version })
+    });
+  }
+
+  /**
+   * Generate a stable URN for an RPC
+   * @private
+   */
+  _generateEndpointURN(service, serviceName, methodName) {
+    const version = normalizeVersionForUrn(service?.version);
+    const baseUrn = `urn:proto:api.endpoint:${slugify(service?.name || 'api')}/op/${slugify(serviceName)}.${slugify(methodName)}`;
+    return version ? `${baseUrn}@${version}` : baseUrn;
+  }
+
+  /**
+   * Create error manifest for failed imports
+   * @private
+   */
+  _createErrorManifest(source, error) {
+    return {
+      service: {
+        name: 'import-failed',
+        version: '0.0.0'
+      },
+      interface: {
+        endpoints: []
+      },
+      metadata: {
+        status: 'error',
+        error: {
+          message: error.message,
+          source: source || 'unknown',
+          timestamp: new Date().toISOString()
+        }
+      }
+    };
+  }
+}
+
+/**
+ * Topic annotations in an options object. Matches options named `*.topic`,
+ * `*.topics` or `*.topic.name`, and aggregates with a `topic` key, e.g.
+ *   option (kafka.topic) = "orders.created";
+ *   option (events.channel) = { topic: "orders.created" transport: "kafka" };
+ * @private
+ */
+function findTopicOptions(options) {
+  const annotations = [];
+
+  for (const [option, value] of Object.entries(options || {})) {
+    const values = Array.isArray(value) ? value : [value];
+    for (const item of values) {
+      if (typeof item === 'string' && TOPIC_OPTION_PATTERN.test(option)) {
+        annotations.push({ option, topic: item, transport: transportFor(option) });
+      } else if (item && typeof item === 'object') {
+        const topic = typeof item.topic === 'string' ? item.topic
+          : (TOPIC_OPTION_PATTERN.test(option) && typeof item.name === 'string' ? item.name : null);
+        if (topic) {
+          annotations.push({ option, topic, transport: transportFor(option, item) });
+        }
+      }
+    }
+  }
+
+  return annotations;
+}
+
+function transportFor(option, aggregate = {}) {
+  const hint = `${option} ${aggregate.transport || aggregate.broker || ''}`.toLowerCase();
+  if (hint.includes('kafka')) return 'kafka';
+  if (/pub_?sub/.test(hint)) return 'pubsub';
+  return aggregate.transport ? String(aggregate.transport).toLowerCase() : 'unknown';
+}
+
+/**
+ * Channel adapter for the AsyncAPI URN generator and PII detector
+ * (Pub/Sub resource names reduce to the topic id)
+ * @private
+ */
+function topicChannel(topic) {
+  const id = topic.topic.replace(/^projects\/[^/]+\/topics\//, '');
+  return {
+    id: () => id,
+    description: () => topic.comment || null
+  };
+}
+
+/**
+ * google.api.http rule to `{ method, path, body }`
+ * @private
+ */
+function httpBinding(rule) {
+  if (!rule || typeof rule !== 'object') return null;
+  const method = HTTP_RULE_METHODS.find(name => typeof rule[name] === 'string');
+  if (method) {
+    return { method: method.toUpperCase(), path: rule[method], ...(rule.body && { body: rule.body }) };
+  }
+  if (rule.custom?.kind && rule.custom?.path) {
+    return { method: String(rule.custom.kind).toUpperCase(), path: rule.custom.path, ...(rule.body && { body: rule.body }) };
+  }
+  return null;
+}
+
+function streamingMode(method) {
+  if (method.requestStream && method.responseStream) return 'bidirectional';
+  if (method.requestStream) return 'client';
+  if (method.responseStream) return 'server';
+  return 'unary';
+}
+
+function streamSchema(schema, stream) {
+  return stream ? { type: 'array', items: schema, 'x-stream': true } : schema;
+}
+
+function normalizeContext(context) {
+  if (typeof context === 'string') return { source: context };
+  return {
+    source: context?.path || context?.source || context?.file || null,
+    content: context?.content,
+    includePaths: context?.includePaths
+  };
+}
+
+async function containsProtoFiles(dir, depth = 0) {
+  const entries = await fs.promises.readdir(dir, { withFileTypes: true });
+  if (entries.some(entry => entry.isFile() && entry.name.endsWith('.proto'))) return true;
+  if (depth >= 3) return false;
+
+  for (const entry of entries) {
+    if (entry.isDirectory() && !['node_modules', '.git'].includes(entry.name)
+      && await containsProtoFiles(path.join(dir, entry.name), depth + 1)) {
+      return true;
+    }
+  }
+  return false;
+}
+
+function normalizeVersionForUrn(version) {
+  if (!version || typeof version !== 'string') {
+    return null;
+  }
+
+  const normalized = version.trim().replace(/^v/i, '');
+  return /^\d+\.\d+\.\d+$/.test(normalized) ? normalized : null;
+}
+
+function slugify(str) {
+  return sanitizeDomain(String(str).replace(/([a-z0-9])([A-Z])/g, '$1-$2').replace(/[._]/g, '-'));
+}
+
+function groupBy(items, keyFn) {
+  const groups = new Map();
+  for (const item of items) {
+    const key = keyFn(item);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(item);
+  }
+  return groups;
+}
+
+function unique(values) {
+  return Array.from(new Set(values));
+}
+
+module.exports = { ProtobufImporter };
@@ -0,0 +1,206 @@
+/*
+ * Protocol Buffers Loader
+ * Loads a .proto file or a directory of them, follows imports and resolves
+ * message/enum references to fully-qualified names
+ *
+ * Features:
+ * - Import lookup on the source root, include paths and the importing file's directories
+ * - google/protobuf/* well-known types and google/api/* annotations without vendored copies
+ * - Protobuf scoping rules for relative type names
+ * - Unresolved imports and types reported as warnings, not failures
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { parseProto } = require('./proto-parser');
+
+const SCALAR_TYPES = new Set([
+  'double', 'float', 'int32', 'int64', 'uint32', 'uint64', 'sint32', 'sint64',
+  'fixed32', 'fixed64', 'sfixed32', 'sfixed64', 'bool', 'string', 'bytes'
+]);
+
+const WELL_KNOWN_TYPES = new Set([
+  'google.protobuf.Any', 'google.protobuf.Duration', 'google.protobuf.Empty',
+  'google.protobuf.FieldMask', 'google.protobuf.ListValue', 'google.protobuf.NullValue',
+  'google.protobuf.Struct', 'google.protobuf.Timestamp', 'google.protobuf.Value',
+  'google.protobuf.BoolValue', 'google.protobuf.BytesValue', 'google.protobuf.DoubleValue',
+  'google.protobuf.FloatValue', 'google.protobuf.Int32Value', 'google.protobuf.Int64Value',
+  'google.protobuf.StringValue', 'google.protobuf.UInt32Value', 'google.protobuf.UInt64Value'
+]);
+
+// Imports that only contribute well-known types or options
+const BUNDLED_IMPORT_PREFIXES = ['google/protobuf/', 'google/api/'];
+
+const SKIPPED_DIRECTORIES = new Set(['node_modules', '.git']);
+
+/**
+ * Load a .proto file or directory with its imports
+ * @param {string} source - .proto file or directory
+ * @param {object} [options]
+ * @param {Array<string>} [options.includePaths] - Extra import roots (like protoc -I)
+ * @returns {Promise<object>} `{ root, files, types, services, hash, warnings }`
+ * @throws {Error} If the source is missing or contains no .proto files
+ */
+async function loadProtoSchema(source, options = {}) {
+  const absolute = path.resolve(String(source || ''));
+  let stat;
+  try {
+    stat = await fs.promises.stat(absolute);
+  } catch (error) {
+    throw new Error(`Protobuf source not found: ${source}`);
+  }
+
+  const root = stat.isDirectory() ? absolute : path.dirname(absolute);
+  const entries = stat.isDirectory() ? await findProtoFiles(root) : [absolute];
+  if (entries.length === 0) {
+    throw new Error(`No .proto files found in ${source}`);
+  }
+
+  const includePaths = [root, ...(options.includePaths || []).map(dir => path.resolve(dir))];
+  const files = new Map();
+  const warnings = [];
+  const queue = [...entries];
+
+  while (queue.length > 0) {
+    const file = queue.shift();
+    if (files.has(file)) continue;
+
+    const relativePath = path.relative(root, file) || path.basename(file);
+    const content = await fs.promises.readFile(file, 'utf8');
+    const parsed = parseProto(content, { file: relativePath });
+    parsed.path = file;
+    parsed.relativePath = relativePath;
+    parsed.entry = entries.includes(file);
+    parsed.content = content;
+    files.set(file, parsed);
+
+    for (const entry of parsed.imports) {
+      entry.resolved = resolveImport(entry.path, file, includePaths);
+      if (entry.resolved) {
+        queue.push(entry.resolved);
+      } else if (!BUNDLED_IMPORT_PREFIXES.some(prefix => entry.path.startsWith(prefix))) {
+        warnings.push(`Import "${entry.path}" not found (imported by ${relativePath})`);
+      }
+    }
+  }
+
+  const types = new Map();
+  for (const file of files.values()) {
+    for (const [kind, definitions] of [['message', file.messages], ['enum', file.enums]]) {
+      for (const definition of definitions) {
+        if (types.has(definition.fullName)) {
+          warnings.push(`Type ${definition.fullName} is defined in both ${types.get(definition.fullName).file} and ${file.relativePath}`);
+          continue;
+        }
+        types.set(definition.fullName, { kind, definition, file: file.relativePath, package: file.package });
+      }
+    }
+  }
+
+  const resolve = (ref, scope, where) => {
+    const resolved = resolveTypeName(ref, scope, types);
+    if (!resolved) warnings.push(`Type "${ref}" not found (referenced by ${where})`);
+    return resolved;
+  };
+
+  for (const file of files.values()) {
+    for (const message of file.messages) {
+      for (const field of message.fields) {
+        const typeName = field.map ? field.map.valueType : field.type;
+        field.resolvedType = SCALAR_TYPES.has(typeName)
+          ? null
+          : resolve(typeName, message.fullName, `${message.fullName}.${field.name}`);
+      }
+    }
+    for (const service of file.services) {
+      for (const method of service.methods) {
+        const where = `${service.fullName}.${method.name}`;
+        method.resolvedRequestType = resolve(method.requestType, file.package, where);
+        method.resolvedResponseType = resolve(method.responseType, file.package, where);
+      }
+    }
+  }
+
+  const ordered = Array.from(files.values()).sort((a, b) => a.relativePath.localeCompare(b.relativePath));
+  const hash = crypto.createHash('sha256');
+  for (const file of ordered) {
+    hash.update(file.relativePath).update(file.content);
+    delete file.content;
+  }
+
+  return {
+    root,
+    files: ordered,
+    types,
+    services: ordered.filter(file => file.entry).flatMap(file => file.services),
+    hash: hash.digest('hex').substring(0, 16),
+    warnings
+  };
+}
+
+/**
+ * Resolve a type reference using protobuf scoping: innermost scope first,
+ * then each enclosing package; a leading dot means fully qualified
+ * @param {string} ref - Type name as written
+ * @param {string} scope - Enclosing message or package full name
+ * @param {Map} types - Registered types by full name
+ * @returns {string|null} Fully-qualified type name
+ */
+function resolveTypeName(ref, scope, types) {
+  const known = name => types.has(name) || WELL_KNOWN_TYPES.has(name);
+  if (ref.startsWith('.')) {
+    return known(ref.slice(1)) ? ref.slice(1) : null;
+  }
+
+  const parts = scope ? scope.split('.') : [];
+  for (let i = parts.length; i >= 0; i--) {
+    const candidate = [...parts.slice(0, i), ref].join('.');
+    if (known(candidate)) return candidate;
+  }
+  return null;
+}
+
+/**
+ * All .proto files under a directory, sorted
+ * @private
+ */
+async function findProtoFiles(dir) {
+  const found = [];
+  const entries = await fs.promises.readdir(dir, { withFileTypes: true });
+  for (const entry of entries) {
+    const full = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      if (!SKIPPED_DIRECTORIES.has(entry.name)) found.push(...await findProtoFiles(full));
+    } else if (entry.name.endsWith('.proto')) {
+      found.push(full);
+    }
+  }
+  return found.sort();
+}
+
+/**
+ * Locate an import on the include paths, then next to the importing file and
+ * in each directory above it (imports are usually rooted at the proto tree)
+ * @private
+ */
+function resolveImport(importPath, fromFile, includePaths) {
+  const directories = [...includePaths];
+  for (let dir = path.dirname(fromFile); ; dir = path.dirname(dir)) {
+    directories.push(dir);
+    if (path.dirname(dir) === dir) break;
+  }
+
+  for (const dir of directories) {
+    const candidate = path.resolve(dir, importPath);
+    if (fs.existsSync(candidate)) return candidate;
+  }
+  return null;
+}
+
+module.exports = {
+  loadProtoSchema,
+  resolveTypeName,
+  SCALAR_TYPES,
+  WELL_KNOWN_TYPES
+};
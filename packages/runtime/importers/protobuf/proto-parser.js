@@ -0,0 +1,614 @@
+/*
+ * Protocol Buffers Parser
+ * Parses .proto files (proto2, proto3 and editions syntax) without protobufjs
+ *
+ * Features:
+ * - Packages, imports, file/message/field/service/rpc options
+ * - Nested messages and enums, oneofs, maps, proto2 groups
+ * - Aggregate (text-format) option values such as google.api.http rules
+ * - Leading and trailing comments kept as descriptions
+ *
+ * Output (one file):
+ *   { syntax, package, imports: [{ path, kind }], options,
+ *     messages: [{ name, fullName, comment, fields, oneofs, options }],
+ *     enums: [{ name, fullName, comment, values, options }],
+ *     services: [{ name, fullName, comment, options, methods }] }
+ * Nested types are flattened into `messages`/`enums` with dotted full names.
+ */
+
+const PUNCTUATION = new Set(['=', ';', '{', '}', '[', ']', '(', ')', '<', '>', ',', ':', '/', '-', '+']);
+
+/**
+ * Parse one .proto file
+ * @param {string} source - File contents
+ * @param {object} [options]
+ * @param {string} [options.file] - File name for error messages
+ * @returns {object} Parsed file
+ * @throws {Error} On syntax errors (with file and line)
+ */
+function parseProto(source, options = {}) {
+  return new ProtoParser(String(source || ''), options.file || '<input>').parseFile();
+}
+
+/**
+ * Recursive-descent parser over the .proto token stream
+ * @private
+ */
+class ProtoParser {
+  constructor(source, file) {
+    this.file = file;
+    this.tokens = tokenize(source, file);
+    this.pos = 0;
+    this.result = {
+      syntax: 'proto2',
+      package: null,
+      imports: [],
+      options: {},
+      messages: [],
+      enums: [],
+      services: []
+    };
+  }
+
+  parseFile() {
+    while (!this.peek('eof')) {
+      if (this.skip(';')) continue;
+      const keyword = this.expectIdent();
+
+      switch (keyword) {
+        case 'syntax':
+        case 'edition':
+          this.expect('=');
+          this.result.syntax = keyword === 'edition' ? `edition-${this.expectString()}` : this.expectString();
+          this.expect(';');
+          break;
+        case 'package':
+          this.result.package = this.expectIdent();
+          this.expect(';');
+          break;
+        case 'import': {
+          let kind = 'default';
+          if (this.peekValue('public') || this.peekValue('weak')) kind = this.advance().value;
+          this.result.imports.push({ path: this.expectString(), kind });
+          this.expect(';');
+          break;
+        }
+        case 'option':
+          this.parseOptionStatement(this.result.options);
+          break;
+        case 'message':
+          this.parseMessage(this.result.package, this.previous().comment);
+          break;
+        case 'enum':
+          this.parseEnum(this.result.package, this.previous().comment);
+          break;
+        case 'service':
+          this.parseService(this.previous().comment);
+          break;
+        case 'extend':
+          this.skipExtend();
+          break;
+        default:
+          this.fail(this.previous(), `Unexpected "${keyword}"`);
+      }
+    }
+    return this.result;
+  }
+
+  parseMessage(scope, comment) {
+    const name = this.expectIdent();
+    const message = {
+      name,
+      fullName: qualify(scope, name),
+      comment: comment || null,
+      fields: [],
+      oneofs: [],
+      options: {}
+    };
+    this.result.messages.push(message);
+    this.expect('{');
+    this.parseMessageBody(message);
+    return message;
+  }
+
+  parseMessageBody(message, oneof = null) {
+    while (!this.skip('}')) {
+      if (this.skip(';')) continue;
+      const token = this.peek();
+      const word = token.kind === 'ident' ? token.value : null;
+
+      if (word === 'option') {
+        this.advance();
+        this.parseOptionStatement(oneof ? oneof.options : message.options);
+      } else if (word === 'reserved' || word === 'extensions') {
+        this.skipStatement();
+      } else if (!oneof && word === 'message' && this.peekIdentAt(1)) {
+        this.advance();
+        this.parseMessage(message.fullName, token.comment);
+      } else if (!oneof && word === 'enum' && this.peekIdentAt(1)) {
+        this.advance();
+        this.parseEnum(message.fullName, token.comment);
+      } else if (!oneof && word === 'extend' && this.peekIdentAt(1)) {
+        this.advance();
+        this.skipExtend();
+      } else if (!oneof && word === 'oneof' && this.peekIdentAt(1)) {
+        this.advance();
+        const group = { name: this.expectIdent(), options: {}, comment: token.comment || null };
+        message.oneofs.push(group);
+        this.expect('{');
+        this.parseMessageBody(message, group);
+      } else {
+        message.fields.push(this.parseField(message, oneof));
+      }
+    }
+  }
+
+  parseField(message, oneof) {
+    const start = this.peek();
+    let label = null;
+    if (!oneof && ['repeated', 'optional', 'required'].includes(start.value) && this.peekIdentAt(1)) {
+      label = this.advance().value;
+    }
+
+    let type;
+    let map = null;
+    if (this.peekValue('map') && this.peekAt(1).value === '<') {
+      this.advance();
+      this.expect('<');
+      const keyType = this.expectIdent();
+      this.expect(',');
+      const valueType = this.expectIdent();
+      this.expect('>');
+      type = 'map';
+      map = { keyType, valueType };
+    } else {
+      type = this.expectIdent();
+    }
+
+    // proto2 groups declare a nested message and a field in one statement
+    if (type === 'group') {
+      const groupName = this.expectIdent();
+      this.expect('=');
+      const number = this.expectInteger();
+      const options = this.peekValue('[') ? this.parseFieldOptions() : {};
+      const nested = {
+        name: groupName,
+        fullName: qualify(message.fullName, groupName),
+        comment: start.comment || null,
+        fields: [],
+        oneofs: [],
+        options: {}
+      };
+      this.result.messages.push(nested);
+      this.expect('{');
+      this.parseMessageBody(nested);
+      return createField(groupName.toLowerCase(), number, groupName, label, null, oneof, options, start.comment);
+    }
+
+    const name = this.expectIdent();
+    this.expect('=');
+    const number = this.expectInteger();
+    const options = this.peekValue('[') ? this.parseFieldOptions() : {};
+    const end = this.expect(';');
+
+    return createField(name, number, type, label, map, oneof, options, start.comment || end.trailing);
+  }
+
+  parseFieldOptions() {
+    const options = {};
+    this.expect('[');
+    do {
+      const name = this.parseOptionName();
+      this.expect('=');
+      options[name] = this.parseOptionValue();
+    } while (this.skip(','));
+    this.expect(']');
+    return options;
+  }
+
+  parseEnum(scope, comment) {
+    const name = this.expectIdent();
+    const enumType = {
+      name,
+      fullName: qualify(scope, name),
+      comment: comment || null,
+      values: [],
+      options: {}
+    };
+    this.result.enums.push(enumType);
+    this.expect('{');
+
+    while (!this.skip('}')) {
+      if (this.skip(';')) continue;
+      const token = this.peek();
+      if (token.value === 'option') {
+        this.advance();
+        this.parseOptionStatement(enumType.options);
+      } else if (token.value === 'reserved') {
+        this.skipStatement();
+      } else {
+        const valueName = this.expectIdent();
+        this.expect('=');
+        const number = this.expectInteger();
+        const options = this.peekValue('[') ? this.parseFieldOptions() : {};
+        const end = this.expect(';');
+        enumType.values.push({ name: valueName, number, options, comment: token.comment || end.trailing || null });
+      }
+    }
+    return enumType;
+  }
+
+  parseService(comment) {
+    const name = this.expectIdent();
+    const service = {
+      name,
+      fullName: qualify(this.result.package, name),
+      comment: comment || null,
+      options: {},
+      methods: []
+    };
+    this.result.services.push(service);
+    this.expect('{');
+
+    while (!this.skip('}')) {
+      if (this.skip(';')) continue;
+      const token = this.advance();
+      if (token.value === 'option') {
+        this.parseOptionStatement(service.options);
+      } else if (token.value === 'rpc') {
+        service.methods.push(this.parseMethod(token.comment));
+      } else {
+        this.fail(token, `Unexpected "${token.value}" in service ${name}`);
+      }
+    }
+    return service;
+  }
+
+  parseMethod(comment) {
+    const name = this.expectIdent();
+    this.expect('(');
+    const requestStream = this.peekValue('stream') && this.peekIdentAt(1) ? Boolean(this.advance()) : false;
+    const requestType = this.expectIdent();
+    this.expect(')');
+    if (this.expectIdent() !== 'returns') this.fail(this.previous(), 'Expected "returns"');
+    this.expect('(');
+    const responseStream = this.peekValue('stream') && this.peekIdentAt(1) ? Boolean(this.advance()) : false;
+    const responseType = this.expectIdent();
+    this.expect(')');
+
+    const method = { name, comment: comment || null, requestType, requestStream, responseType, responseStream, options: {} };
+    if (this.skip('{')) {
+      while (!this.skip('}')) {
+        if (this.skip(';')) continue;
+        if (this.expectIdent() !== 'option') this.fail(this.previous(), 'Expected "option" in rpc body');
+        this.parseOptionStatement(method.options);
+      }
+    } else {
+      const end = this.expect(';');
+      method.comment = method.comment || end.trailing || null;
+    }
+    return method;
+  }
+
+  parseOptionStatement(target) {
+    const name = this.parseOptionName();
+    this.expect('=');
+    target[name] = this.parseOptionValue();
+    this.expect(';');
+  }
+
+  /**
+   * Option names without parentheses: `(google.api.http)` -> `google.api.http`,
+   * `(my.opt).field` -> `my.opt.field`
+   */
+  parseOptionName() {
+    let name;
+    if (this.skip('(')) {
+      name = this.expectIdent().replace(/^\./, '');
+      this.expect(')');
+    } else {
+      name = this.expectIdent();
+    }
+    // The `.c` suffix of `(a.b).c` tokenizes as one identifier starting with a dot
+    while (this.peek().kind === 'ident' && this.peek().value.startsWith('.')) {
+      name += this.advance().value;
+    }
+    return name;
+  }
+
+  parseOptionValue() {
+    if (this.skip('{')) return this.parseAggregate('}');
+    return this.parseConstant();
+  }
+
+  parseConstant() {
+    let sign = 1;
+    if (this.skip('-')) {
+      sign = -1;
+    } else {
+      this.skip('+');
+    }
+    const token = this.advance();
+    if (token.kind === 'string') {
+      let value = token.value;
+      while (this.peek('string')) value += this.advance().value; // adjacent literals concatenate
+      return value;
+    }
+    if (token.kind === 'number') return sign * Number(token.value);
+    if (token.kind === 'ident') {
+      if (token.value === 'true') return true;
+      if (token.value === 'false') return false;
+      if (token.value === 'inf') return sign * Infinity;
+      if (token.value === 'nan') return NaN;
+      return token.value; // enum constant
+    }
+    return this.fail(token, `Unexpected "${token.value}" in option value`);
+  }
+
+  /**
+   * Text-format aggregate: `{ key: value key2 { ... } list: [a, b] }`
+   */
+  parseAggregate(close) {
+    const object = {};
+    while (!this.skip(close)) {
+      if (this.skip(',') || this.skip(';')) continue;
+
+      let key;
+      if (this.skip('[')) {
+        key = this.expectIdent();
+        this.expect(']');
+      } else {
+        key = this.expectIdent();
+      }
+
+      let value;
+      this.skip(':');
+      if (this.skip('{')) {
+        value = this.parseAggregate('}');
+      } else if (this.skip('<')) {
+        value = this.parseAggregate('>');
+      } else if (this.skip('[')) {
+        value = [];
+        while (!this.skip(']')) {
+          if (this.skip(',')) continue;
+          value.push(this.skip('{') ? this.parseAggregate('}') : this.parseConstant());
+        }
+      } else {
+        value = this.parseConstant();
+      }
+
+      // Repeated keys collect into a list
+      if (Object.prototype.hasOwnProperty.call(object, key)) {
+        object[key] = [].concat(object[key], value);
+      } else {
+        object[key] = value;
+      }
+    }
+    return object;
+  }
+
+  skipExtend() {
+    this.expectIdent();
+    this.skipBlock();
+  }
+
+  skipStatement() {
+    while (!this.skip(';')) this.advance();
+  }
+
+  skipBlock() {
+    this.expect('{');
+    let depth = 1;
+    while (depth > 0) {
+      const token = this.advance();
+      if (token.kind === 'punct' && token.value === '{') depth++;
+      if (token.kind === 'punct' && token.value === '}') depth--;
+    }
+  }
+
+  peek(kind) {
+    const token = this.tokens[this.pos];
+    return kind ? token.kind === kind : token;
+  }
+
+  peekAt(offset) {
+    return this.tokens[Math.min(this.pos + offset, this.tokens.length - 1)];
+  }
+
+  peekValue(value) {
+    const token = this.peek();
+    return token.kind !== 'string' && token.value === value;
+  }
+
+  peekIdentAt(offset) {
+    return this.peekAt(offset).kind === 'ident';
+  }
+
+  previous() {
+    return this.tokens[this.pos - 1];
+  }
+
+  advance() {
+    const token = this.tokens[this.pos];
+    if (token.kind === 'eof') this.fail(token, 'Unexpected end of file');
+    this.pos++;
+    return token;
+  }
+
+  skip(value) {
+    const token = this.peek();
+    if (token.kind === 'punct' && token.value === value) {
+      this.pos++;
+      return true;
+    }
+    return false;
+  }
+
+  expect(value) {
+    const token = this.peek();
+    if (token.kind !== 'punct' || token.value !== value) {
+      this.fail(token, `Expected "${value}", found ${describe(token)}`);
+    }
+    return this.advance();
+  }
+
+  expectIdent() {
+    const token = this.peek();
+    if (token.kind !== 'ident') this.fail(token, `Expected identifier, found ${describe(token)}`);
+    return this.advance().value;
+  }
+
+  expectString() {
+    const token = this.peek();
+    if (token.kind !== 'string') this.fail(token, `Expected string, found ${describe(token)}`);
+    let value = this.advance().value;
+    while (this.peek('string')) value += this.advance().value;
+    return value;
+  }
+
+  expectInteger() {
+    const sign = this.skip('-') ? -1 : 1;
+    const token = this.peek();
+    if (token.kind === 'ident' && token.value === 'max') {
+      this.advance();
+      return 536870911;
+    }
+    if (token.kind !== 'number' || !/^(0x[0-9a-f]+|\d+)$/i.test(token.value)) {
+      this.fail(token, `Expected integer, found ${describe(token)}`);
+    }
+    this.advance();
+    return sign * (/^0[0-7]+$/.test(token.value) ? parseInt(token.value, 8) : Number(token.value));
+  }
+
+  fail(token, message) {
+    throw new Error(`Protobuf syntax error (${this.file}:${token.line}): ${message}`);
+  }
+}
+
+/**
+ * Split .proto source into tokens. Comments attach to the next token as
+ * `comment`, or to the previous token as `trailing` when on the same line.
+ * @private
+ */
+function tokenize(source, file) {
+  const tokens = [];
+  let i = 0;
+  let line = 1;
+  let pending = [];
+
+  const push = (kind, value) => {
+    tokens.push({ kind, value, line, comment: pending.length ? pending.join('\n') : null, trailing: null });
+    pending = [];
+  };
+  const fail = message => {
+    throw new Error(`Protobuf syntax error (${file}:${line}): ${message}`);
+  };
+
+  while (i < source.length) {
+    const ch = source[i];
+
+    if (ch === '\n') {
+      line++;
+      i++;
+      continue;
+    }
+    if (/\s/.test(ch)) {
+      i++;
+      continue;
+    }
+
+    if (source.startsWith('//', i) || source.startsWith('/*', i)) {
+      const startLine = line;
+      let text;
+      if (source[i + 1] === '/') {
+        const end = source.indexOf('\n', i);
+        text = source.slice(i + 2, end < 0 ? source.length : end);
+        i = end < 0 ? source.length : end;
+      } else {
+        const end = source.indexOf('*/', i + 2);
+        if (end < 0) fail('Unterminated comment');
+        text = source.slice(i + 2, end).split('\n').map(part => part.replace(/^\s*\*?/, '')).join('\n');
+        line += (source.slice(i, end).match(/\n/g) || []).length;
+        i = end + 2;
+      }
+      text = text.replace(/^\s*\/?\s?/, '').trimEnd();
+
+      const previous = tokens[tokens.length - 1];
+      if (previous && previous.line === startLine && !pending.length) {
+        previous.trailing = previous.trailing ? `${previous.trailing}\n${text.trim()}` : text.trim();
+      } else if (text.trim()) {
+        pending.push(text.trim());
+      }
+      continue;
+    }
+
+    if (ch === '"' || ch === "'") {
+      i++;
+      let value = '';
+      while (i < source.length && source[i] !== ch) {
+        if (source[i] === '\n') fail('Unterminated string');
+        if (source[i] === '\\') {
+          const escaped = source[i + 1];
+          value += { n: '\n', t: '\t', r: '\r', '0': '\0' }[escaped] ?? escaped;
+          i += 2;
+          continue;
+        }
+        value += source[i++];
+      }
+      if (i >= source.length) fail('Unterminated string');
+      i++;
+      push('string', value);
+      continue;
+    }
+
+    const ident = /^\.?[A-Za-z_][\w]*(\.[A-Za-z_][\w]*)*/.exec(source.slice(i, i + 512));
+    if (ident) {
+      i += ident[0].length;
+      push('ident', ident[0]);
+      continue;
+    }
+
+    const number = /^(0[xX][0-9a-fA-F]+|\d+\.?\d*([eE][+-]?\d+)?|\.\d+([eE][+-]?\d+)?)/.exec(source.slice(i, i + 64));
+    if (number) {
+      i += number[0].length;
+      push('number', number[0]);
+      continue;
+    }
+
+    if (PUNCTUATION.has(ch)) {
+      i++;
+      push('punct', ch);
+      continue;
+    }
+
+    fail(`Unexpected character "${ch}"`);
+  }
+
+  tokens.push({ kind: 'eof', value: null, line, comment: null, trailing: null });
+  return tokens;
+}
+
+function createField(name, number, type, label, map, oneof, options, comment) {
+  return {
+    name,
+    number,
+    type,
+    label,
+    map,
+    oneof: oneof ? oneof.name : null,
+    options,
+    comment: comment || null
+  };
+}
+
+function qualify(scope, name) {
+  return scope ? `${scope}.${name}` : name;
+}
+
+function describe(token) {
+  if (token.kind === 'eof') return 'end of file';
+  if (token.kind === 'string') return 'string';
+  return `"${token.value}"`;
+}
+
+module.exports = { parseProto };
@@ -0,0 +1,350 @@
+/*
+ * Importer Registry
+ * Built-in and workspace importers for `sch discover`
+ *
+ * Workspace importers are listed in app/config/importers.config.json as npm
+ * package names or paths relative to the workspace:
+ *
+ *   {
+ *     "importers": [
+ *       "@acme/sch-importer-avro",
+ *       { "module": "./tools/importers/thrift-importer.mjs", "id": "thrift", "type": "api" }
+ *     ]
+ *   }
+ *
+ * A module exports (as default or `importer`) a BaseImporter subclass, an
+ * importer instance, or a definition `{ id, manifestTypes, create(options) }`.
+ * Manifest types come from the entry's `type`, or the export's static
+ * `manifestTypes` / `manifestType`.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { createRequire } from 'module';
+import { pathToFileURL } from 'url';
+import { BUILTIN_IMPORTERS } from './builtin-importers.mjs';
+
+export const IMPORTERS_CONFIG_PATH = 'app/config/importers.config.json';
+export const MANIFEST_TYPES = ['api', 'data', 'event'];
+
+// Workspace importers are tried before built-ins unless they set a priority
+const WORKSPACE_PRIORITY = 100;
+const IMPORTER_ID_PATTERN = /^[a-z0-9][a-z0-9._-]*$/;
+
+/**
+ * Ordered set of importer definitions used for detection and import
+ */
+export class ImporterRegistry {
+  constructor() {
+    this.importers = new Map();
+    this.errors = [];
+  }
+
+  /**
+   * Register an importer definition
+   * @param {Object} definition
+   * @param {string} definition.id - Source type identifier (e.g. `openapi`)
+   * @param {Array<string>} definition.manifestTypes - Manifest types it produces; the first is the default
+   * @param {function(Object): Object} definition.create - Returns an importer with detect/import/validate
+   * @param {number} [definition.priority=0] - Detection order, highest first
+   * @param {string} [definition.name] - Display name
+   * @param {Array<string>} [definition.sources] - Example sources for help output
+   * @param {string} [definition.origin='builtin'] - builtin, npm or path
+   * @param {string} [definition.module] - Module specifier for workspace importers
+   * @param {Object} [definition.options] - Options passed to create()
+   * @returns {Object} Normalized definition
+   * @throws {Error} If the definition is incomplete or the id is taken
+   */
+  register(definition) {
+    const normalized = normalizeDefinition(definition);
+    if (this.importers.has(normalized.id)) {
+      throw new Error(`Importer "${normalized.id}" is already registered`);
+    }
+    this.importers.set(normalized.id, normalized);
+    return normalized;
+  }
+
+  get(id) {
+    return this.importers.get(id) || null;
+  }
+
+  has(id) {
+    return this.importers.has(id);
+  }
+
+  /**
+   * Definitions in detection order (priority, then registration order)
+   * @returns {Array<Object>}
+   */
+  list() {
+    return Array.from(this.importers.values())
+      .map((definition, index) => ({ definition, index }))
+      .sort((a, b) => (b.definition.priority - a.definition.priority) || (a.index - b.index))
+      .map(({ definition }) => definition);
+  }
+
+  /**
+   * Instantiate an importer
+   * @param {string} id - Importer id
+   * @returns {Object} Importer with detect/import/validate
+   * @throws {Error} If the id is unknown or create() returns no importer
+   */
+  create(id) {
+    const definition = this.get(id);
+    if (!definition) {
+      throw new Error(`Unsupported source type: ${id}`);
+    }
+
+    const importer = definition.create(definition.options || {});
+    if (!importer || typeof importer.import !== 'function') {
+      throw new Error(`Importer "${id}" did not return an object with an import() method`);
+    }
+    return importer;
+  }
+
+  /**
+   * Find the first importer whose detect() accepts the source. Importers that
+   * produce the requested manifest type are tried first.
+   * @param {string} source - Source path, URL, or connection string
+   * @param {Object} [options]
+   * @param {string} [options.manifestType] - api, data or event (auto/empty for any)
+   * @returns {Promise<Object|null>} Matching definition
+   */
+  async detect(source, options = {}) {
+    const manifestType = options.manifestType && options.manifestType !== 'auto'
+      ? options.manifestType
+      : null;
+    const ordered = this.list();
+    const candidates = manifestType
+      ? [
+        ...ordered.filter(d => d.manifestTypes.includes(manifestType)),
+        ...ordered.filter(d => !d.manifestTypes.includes(manifestType))
+      ]
+      : ordered;
+    const context = createSourceContext(source, { manifestType });
+
+    for (const definition of candidates) {
+      try {
+        const importer = this.create(definition.id);
+        if (typeof importer.detect === 'function' && await importer.detect(context)) {
+          return definition;
+        }
+      } catch (error) {
+        // A failing detect() is a non-match; other importers still get a chance
+        this.errors.push({ importer: definition.id, message: `detect() failed: ${error.message}` });
+      }
+    }
+
+    return null;
+  }
+}
+
+/**
+ * Registry with the built-in importers only
+ * @returns {ImporterRegistry}
+ */
+export function createBuiltinRegistry() {
+  const registry = new ImporterRegistry();
+  for (const definition of BUILTIN_IMPORTERS) {
+    registry.register({ ...definition, origin: 'builtin' });
+  }
+  return registry;
+}
+
+/**
+ * Registry with the built-in importers plus those listed in workspace config.
+ * Importers that fail to load are recorded in `registry.errors`.
+ * @param {Object} [options]
+ * @param {string} [options.workspace=process.cwd()] - Workspace root
+ * @param {string} [options.configPath] - Config file (defaults to app/config/importers.config.json)
+ * @returns {Promise<ImporterRegistry>}
+ */
+export async function loadImporterRegistry(options = {}) {
+  const workspace = path.resolve(options.workspace || process.cwd());
+  const configPath = path.resolve(workspace, options.configPath || IMPORTERS_CONFIG_PATH);
+  const registry = createBuiltinRegistry();
+
+  let entries;
+  try {
+    entries = readImportersConfig(configPath);
+  } catch (error) {
+    registry.errors.push({ importer: null, message: error.message });
+    return registry;
+  }
+
+  for (const entry of entries) {
+    try {
+      registry.register(await loadWorkspaceImporter(entry, workspace));
+    } catch (error) {
+      registry.errors.push({ importer: entry.id || entry.module, message: error.message });
+    }
+  }
+
+  return registry;
+}
+
+/**
+ * Detection / import context for a source (`path` for files, `url` otherwise,
+ * as read by scaffolded importers)
+ * @param {string} source - Source path, URL, or connection string
+ * @param {Object} [extra] - Additional context fields (manifestType, spinner)
+ * @returns {Object}
+ */
+export function createSourceContext(source, extra = {}) {
+  const isUrl = /^[a-z][a-z0-9+.-]*:\/\//i.test(source);
+  return {
+    source,
+    ...(isUrl ? { url: source } : { path: source }),
+    ...extra
+  };
+}
+
+/**
+ * Read importer entries from workspace config
+ * @private
+ */
+function readImportersConfig(configPath) {
+  if (!fs.existsSync(configPath)) {
+    return [];
+  }
+
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Failed to parse importer config at ${configPath}: ${error.message}`);
+  }
+
+  const importers = config?.importers ?? [];
+  if (!Array.isArray(importers)) {
+    throw new Error(`Invalid importer config at ${configPath}: "importers" must be an array`);
+  }
+
+  return importers.map((entry, index) => {
+    const normalized = typeof entry === 'string' ? { module: entry } : entry;
+    if (!normalized || typeof normalized.module !== 'string' || !normalized.module) {
+      throw new Error(`Invalid importer config at ${configPath}: importers[${index}] needs a "module"`);
+    }
+    return normalized;
+  });
+}
+
+/**
+ * Import a workspace importer module and build its definition
+ * @private
+ */
+async function loadWorkspaceImporter(entry, workspace) {
+  const specifier = entry.module;
+  const isPath = specifier.startsWith('.') || path.isAbsolute(specifier);
+  let loaded;
+
+  if (isPath) {
+    const file = path.resolve(workspace, specifier);
+    if (!fs.existsSync(file)) {
+      throw new Error(`Importer module not found: ${specifier}`);
+    }
+    loaded = await import(pathToFileURL(file).href);
+  } else {
+    // Resolve packages from the workspace first, then from the CLI install
+    let resolved = null;
+    try {
+      resolved = createRequire(path.join(workspace, 'package.json')).resolve(specifier);
+    } catch (error) {
+      resolved = null;
+    }
+    try {
+      loaded = await import(resolved ? pathToFileURL(resolved).href : specifier);
+    } catch (error) {
+      throw new Error(`Failed to load importer package "${specifier}": ${error.message}`);
+    }
+  }
+
+  const exported = loaded.default ?? loaded.importer;
+  if (!exported) {
+    throw new Error(`Importer module "${specifier}" has no default or "importer" export`);
+  }
+
+  return definitionFromExport(exported, entry, isPath ? 'path' : 'npm');
+}
+
+/**
+ * Build a definition from a class, instance or definition export, with config
+ * entry fields taking precedence
+ * @private
+ */
+function definitionFromExport(exported, entry, origin) {
+  const isClass = typeof exported === 'function';
+  const isDefinition = !isClass && typeof exported.create === 'function';
+  const declared = isClass || isDefinition ? exported : exported.constructor;
+
+  let create;
+  if (isClass) {
+    const ImporterClass = exported;
+    create = options => new ImporterClass(options);
+  } else if (isDefinition) {
+    create = options => exported.create(options);
+  } else if (typeof exported.import === 'function') {
+    create = () => exported;
+  } else {
+    throw new Error(`Importer module "${entry.module}" must export a BaseImporter subclass, instance or definition`);
+  }
+
+  const type = entry.type ?? entry.manifestTypes ?? declared.manifestTypes ?? declared.manifestType;
+
+  return {
+    id: entry.id || declared.id || idFromSpecifier(entry.module),
+    name: entry.name || declared.importerName || declared.displayName || (isClass ? exported.name : undefined),
+    description: entry.description || declared.description,
+    manifestTypes: type === undefined ? undefined : [].concat(type),
+    priority: entry.priority ?? declared.priority ?? WORKSPACE_PRIORITY,
+    sources: entry.sources || declared.sources || [],
+    options: entry.options || {},
+    origin,
+    module: entry.module,
+    create
+  };
+}
+
+/**
+ * `./importers/thrift-importer.mjs` -> `thrift`, `@acme/sch-importer-avro` -> `avro`
+ * @private
+ */
+function idFromSpecifier(specifier) {
+  return path.basename(specifier)
+    .replace(/\.(c|m)?js$/i, '')
+    .replace(/^(sch-)?importer-/, '')
+    .replace(/-importer$/, '')
+    .toLowerCase();
+}
+
+function normalizeDefinition(definition) {
+  const id = definition?.id;
+  if (typeof id !== 'string' || !IMPORTER_ID_PATTERN.test(id)) {
+    throw new Error(`Importer id must be lowercase letters, digits, ".", "_" or "-" (got ${JSON.stringify(id)})`);
+  }
+
+  const manifestTypes = definition.manifestTypes;
+  if (!Array.isArray(manifestTypes) || manifestTypes.length === 0
+    || manifestTypes.some(type => !MANIFEST_TYPES.includes(type))) {
+    throw new Error(`Importer "${id}" must declare manifest types from ${MANIFEST_TYPES.join(', ')}`);
+  }
+
+  if (typeof definition.create !== 'function') {
+    throw new Error(`Importer "${id}" must provide create()`);
+  }
+
+  const provided = Object.fromEntries(Object.entries(definition).filter(([, value]) => value !== undefined));
+  return {
+    name: id,
+    description: null,
+    priority: 0,
+    sources: [],
+    origin: 'builtin',
+    module: null,
+    options: {},
+    ...provided,
+    manifestTypes: [...manifestTypes]
+  };
+}
+
+export default ImporterRegistry;
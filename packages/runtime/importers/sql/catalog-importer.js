@@ -0,0 +1,517 @@
+/*
+ * SQL Catalog Importer
+ * Shared manifest generation for importers built on a schema introspector
+ * (MySQL, SQLite, DDL files); subclasses only open the source and map types
+ *
+ * Features:
+ * - Tables and views as datasets with keys, foreign-key lineage and URNs
+ * - PII detection with community/org/project override rules
+ * - Draft catalog manifest with provenance
+ */
+
+const path = require('path');
+const crypto = require('crypto');
+const { batchDetectPIIWithOverrides, createOverrideEngine } = require('../postgres/pii-detector-enhanced');
+
+/**
+ * Base importer: subclasses implement `_open(source)` and set `sourceType`
+ */
+class SqlCatalogImporter {
+  constructor(options = {}) {
+    this.sourceType = 'sql';
+    this.options = {
+      sampleData: true,            // Sample data for PII detection
+      includeViews: true,          // Import views as datasets
+      generateURNs: true,          // Auto-generate URNs
+      applyOverrides: true,        // Apply PII override rules
+      projectRoot: process.cwd(),  // Root for project override rules
+      ...options
+    };
+  }
+
+  /**
+   * Import a schema to a Data Protocol manifest
+   * @param {string} source - Connection string or file path
+   * @param {string} [targetSchema] - Optional specific schema to import
+   * @returns {Promise<object>} Data Protocol manifest (draft status)
+   */
+  async import(source, targetSchema = null) {
+    let opened = null;
+
+    try {
+      // Step 1: Open the source (read-only connection or parsed file)
+      opened = await this._open(source);
+      const { introspector, context } = opened;
+
+      // Step 2: Introspect schema
+      const schemaFilter = targetSchema || context.schema || null;
+      const tables = await introspector.getTables(schemaFilter);
+      const views = this.options.includeViews ? await introspector.getViews(schemaFilter) : [];
+
+      if (tables.length === 0 && views.length === 0) {
+        throw new Error(`No tables found${schemaFilter ? ` in schema '${schemaFilter}'` : ''}`);
+      }
+
+      // Step 3: Process each table and view
+      const overrideEngine = this._resolveOverrideEngine();
+      const tableManifests = [];
+
+      for (const table of tables) {
+        tableManifests.push(await this._processTable(table, introspector, overrideEngine));
+      }
+      for (const view of views) {
+        tableManifests.push(await this._processView(view, introspector, overrideEngine));
+      }
+
+      // Step 4: Generate catalog-level manifest
+      return this._generateCatalogManifest(tableManifests, context, targetSchema);
+    } catch (error) {
+      if (this.options.strictMode) {
+        throw error;
+      }
+      // Graceful fallback
+      return this._createErrorManifest(source, error);
+    } finally {
+      // Always close connection
+      if (opened?.close) {
+        await opened.close();
+      }
+    }
+  }
+
+  /**
+   * Open a source
+   * @abstract
+   * @param {string} source - Connection string or file path
+   * @returns {Promise<{introspector: object, context: object, close?: Function}>}
+   *   `context` carries kind ('connection' | 'file' | 'dump'), database, schema,
+   *   platform, hash and file for the catalog manifest
+   */
+  async _open(source) {
+    throw new Error(`${this.constructor.name} must implement _open()`);
+  }
+
+  /**
+   * Override engine from options, or a project engine when overrides are enabled
+   * @private
+   */
+  _resolveOverrideEngine() {
+    if (this.options.overrideEngine) {
+      return this.options.overrideEngine;
+    }
+    return this.options.applyOverrides ? createOverrideEngine(this.options.projectRoot) : null;
+  }
+
+  /**
+   * Process a single table into a Data Protocol manifest
+   * @private
+   */
+  async _processTable(table, introspector, overrideEngine) {
+    const schema = table.table_schema;
+    const tableName = table.table_name;
+
+    const columns = await introspector.getColumns(schema, tableName);
+    const primaryKey = await introspector.getPrimaryKey(schema, tableName);
+    const foreignKeys = await introspector.getForeignKeys(schema, tableName);
+    const uniqueConstraints = await introspector.getUniqueConstraints(schema, tableName);
+    const indexes = await introspector.getIndexes(schema, tableName);
+
+    // Sample data for PII detection
+    const samplesByColumn = {};
+    if (this.options.sampleData) {
+      const columnNames = columns.map(c => c.column_name);
+      const sampleData = await introspector.sampleData(
+        schema,
+        tableName,
+        table.estimated_rows || 1000,
+        columnNames
+      );
+
+      for (const col of columnNames) {
+        samplesByColumn[col] = sampleData.map(row => row[col]);
+      }
+    }
+    const piiResults = batchDetectPIIWithOverrides(columns, samplesByColumn, {
+      context: tableName,
+      protocol: 'data',
+      overrideEngine
+    });
+
+    const manifest = {
+      dataset: {
+        name: `${schema}.${tableName}`,
+        type: this._inferTableType(tableName, foreignKeys),
+        lifecycle: { status: 'active' },
+        description: table.table_comment || undefined
+      },
+      schema: {
+        primary_key: primaryKey.length > 0 ? primaryKey : undefined,
+        fields: this._buildFields(columns, piiResults),
+        keys: this._buildKeys(foreignKeys, uniqueConstraints, indexes)
+      },
+      lineage: this._buildLineage(foreignKeys.map(fk => ({
+        schema: fk.foreign_table_schema,
+        table: fk.foreign_table_name
+      }))),
+      quality: table.estimated_rows ? { row_count_estimate: table.estimated_rows } : undefined,
+      metadata: {
+        source: {
+          type: this.sourceType,
+          schema: schema,
+          table: tableName
+        }
+      }
+    };
+
+    if (this.options.generateURNs) {
+      manifest.dataset.urn = this._generateTableURN(schema, tableName);
+    }
+
+    this._cleanManifest(manifest);
+    return manifest;
+  }
+
+  /**
+   * Process a view into a Data Protocol manifest (lineage from FROM/JOIN sources)
+   * @private
+   */
+  async _processView(view, introspector, overrideEngine) {
+    const schema = view.table_schema;
+    const viewName = view.table_name;
+
+    const columns = await introspector.getColumns(schema, viewName);
+    const piiResults = batchDetectPIIWithOverrides(columns, {}, {
+      context: viewName,
+      protocol: 'data',
+      overrideEngine
+    });
+
+    const manifest = {
+      dataset: {
+        name: `${schema}.${viewName}`,
+        type: 'view',
+        lifecycle: { status: 'active' }
+      },
+      schema: {
+        fields: this._buildFields(columns, piiResults)
+      },
+      lineage: this._buildLineage(view.sources),
+      metadata: {
+        source: {
+          type: this.sourceType,
+          schema: schema,
+          view: viewName,
+          definition: view.view_definition || undefined
+        }
+      }
+    };
+
+    if (this.options.generateURNs) {
+      manifest.dataset.urn = this._generateTableURN(schema, viewName);
+    }
+
+    this._cleanManifest(manifest);
+    return manifest;
+  }
+
+  /**
+   * Build field definitions with PII detection
+   * @private
+   */
+  _buildFields(columns, piiResults) {
+    const fields = {};
+
+    for (const col of columns) {
+      const field = {
+        type: this._mapType(col.data_type, col.udt_name),
+        required: col.is_nullable === 'NO'
+      };
+
+      if (col.column_comment) {
+        field.description = col.column_comment;
+      }
+
+      const piiDetection = piiResults[col.column_name];
+      if (piiDetection?.detected) {
+        field.pii = true;
+        field.pii_type = piiDetection.type;
+        if (piiDetection.confidence < 1.0) {
+          field.pii_confidence = piiDetection.confidence;
+        }
+        if (piiDetection.overrideApplied) {
+          field.metadata = { pii_override: piiDetection.overrideRule };
+        }
+      }
+
+      if (this.options.generateURNs) {
+        field.urn = this._generateColumnURN(col.table_schema, col.table_name, col.column_name);
+      }
+
+      fields[col.column_name] = field;
+    }
+
+    return fields;
+  }
+
+  /**
+   * Build keys metadata (foreign keys, unique constraints, indexes)
+   * @private
+   */
+  _buildKeys(foreignKeys, uniqueConstraints, indexes) {
+    const keys = {};
+
+    const uniqueCols = uniqueConstraints.flatMap(uc => uc.columns);
+    if (uniqueCols.length > 0) {
+      keys.unique = uniqueCols;
+    }
+
+    if (foreignKeys.length > 0) {
+      keys.foreign_keys = foreignKeys.map(fk => ({
+        field: fk.column_name,
+        ref: `${fk.foreign_table_schema}.${fk.foreign_table_name}.${fk.foreign_column_name}`
+      }));
+    }
+
+    // Unique indexes are reported as unique constraints
+    const regularIndexes = indexes.filter(idx => !idx.is_unique && !idx.is_primary);
+    if (regularIndexes.length > 0) {
+      keys.indexes = regularIndexes.map(idx => ({
+        name: idx.index_name,
+        columns: idx.columns,
+        type: idx.index_type
+      }));
+    }
+
+    return Object.keys(keys).length > 0 ? keys : undefined;
+  }
+
+  /**
+   * Build lineage from referenced tables (foreign keys or view sources)
+   * @private
+   */
+  _buildLineage(references) {
+    if (!references || references.length === 0) return undefined;
+
+    const ids = [...new Set(references.map(ref => `${ref.schema}.${ref.table}`))];
+    return { sources: ids.map(id => ({ type: 'table', id })) };
+  }
+
+  /**
+   * Generate catalog-level manifest with all tables and views
+   * @private
+   */
+  _generateCatalogManifest(tableManifests, context, targetSchema) {
+    const importedAt = new Date().toISOString();
+    const dbName = context.database;
+
+    const provenance = {
+      importer: this.constructor.name,
+      importer_version: '0.1.0',
+      imported_at: importedAt
+    };
+    if (context.kind === 'connection') {
+      provenance.connection_hash = context.hash;
+    } else {
+      provenance.source_hash = context.hash;
+    }
+
+    return {
+      catalog: {
+        name: targetSchema || dbName || `${context.platform}-database`,
+        type: 'database',
+        platform: context.platform
+      },
+      datasets: tableManifests,
+      metadata: {
+        status: 'draft',
+        source: {
+          type: this.sourceType,
+          format: context.kind,
+          database: dbName,
+          schema: targetSchema,
+          file: context.file,
+          imported_at: importedAt
+        }
+      },
+      provenance
+    };
+  }
+
+  /**
+   * Infer table type from naming conventions and relationships
+   * @private
+   */
+  _inferTableType(tableName, foreignKeys) {
+    if (tableName.startsWith('dim_')) return 'dimension';
+    if (tableName.startsWith('fact_')) return 'fact-table';
+    if (tableName.includes('_view') || tableName.endsWith('_v')) return 'view';
+
+    // Count referenced tables, not key columns (composite keys list each column)
+    const referenced = new Set(foreignKeys.map(fk => fk.constraint_name));
+    if (referenced.size >= 3) return 'fact-table';
+    if (referenced.size <= 1) return 'dimension';
+
+    return 'unknown';
+  }
+
+  /**
+   * Map SQL types to Data Protocol types (ANSI, Postgres and common MySQL names)
+   * @protected
+   */
+  _mapType(dataType, udtName) {
+    if (/^tinyint\(1\)/.test(String(udtName || '').toLowerCase())) {
+      return 'boolean';
+    }
+
+    const typeMap = {
+      'tinyint': 'short',
+      'smallint': 'short',
+      'mediumint': 'integer',
+      'integer': 'integer',
+      'int': 'integer',
+      'serial': 'integer',
+      'bigint': 'long',
+      'bigserial': 'long',
+      'numeric': 'decimal',
+      'decimal': 'decimal',
+      'real': 'float',
+      'float': 'double',
+      'double precision': 'double',
+      'boolean': 'boolean',
+      'bool': 'boolean',
+      'character varying': 'string',
+      'varchar': 'string',
+      'character': 'string',
+      'char': 'string',
+      'text': 'string',
+      'tinytext': 'string',
+      'mediumtext': 'string',
+      'longtext': 'string',
+      'enum': 'string',
+      'json': 'json',
+      'jsonb': 'json',
+      'uuid': 'uuid',
+      'timestamp': 'timestamp',
+      'timestamp without time zone': 'timestamp',
+      'timestamp with time zone': 'timestamp',
+      'timestamptz': 'timestamp',
+      'datetime': 'timestamp',
+      'date': 'date',
+      'time': 'time',
+      'time without time zone': 'time',
+      'time with time zone': 'time',
+      'bytea': 'bytes',
+      'blob': 'bytes',
+      'longblob': 'bytes',
+      'binary': 'bytes',
+      'varbinary': 'bytes',
+      'inet': 'string',
+      'cidr': 'string',
+      'macaddr': 'string'
+    };
+
+    const key = String(dataType || '').toLowerCase();
+    if (key.endsWith('[]')) return 'array';
+    return typeMap[key] || key || 'unknown';
+  }
+
+  /**
+   * Generate URN for table or view
+   * @private
+   */
+  _generateTableURN(schema, table) {
+    return `urn:proto:data:${this.sourceType}/${schema}.${table}`;
+  }
+
+  /**
+   * Generate URN for column
+   * @private
+   */
+  _generateColumnURN(schema, table, column) {
+    return `urn:proto:data:${this.sourceType}/${schema}.${table}.${column}`;
+  }
+
+  /**
+   * Extract database name from connection string
+   * @private
+   */
+  _extractDatabaseName(connectionString) {
+    try {
+      const match = connectionString.match(/^[a-z0-9+]+:\/\/[^/]*\/([^/?]+)/i);
+      return match ? decodeURIComponent(match[1]) : null;
+    } catch (_) {
+      return null;
+    }
+  }
+
+  /**
+   * Hash connection string for provenance (without credentials)
+   * @private
+   */
+  _hashConnectionString(connectionString) {
+    try {
+      const sanitized = connectionString.replace(/\/\/([^:@/]+)(:[^@]*)?@/, '//***:***@');
+      return crypto.createHash('sha256').update(sanitized).digest('hex').substring(0, 16);
+    } catch (_) {
+      return null;
+    }
+  }
+
+  /**
+   * Hash file contents for provenance
+   * @private
+   */
+  _hashContent(content) {
+    return crypto.createHash('sha256').update(content).digest('hex').substring(0, 16);
+  }
+
+  /**
+   * Remove undefined and empty fields from manifest
+   * @private
+   */
+  _cleanManifest(manifest) {
+    Object.keys(manifest).forEach(key => {
+      if (manifest[key] === undefined) {
+        delete manifest[key];
+      } else if (typeof manifest[key] === 'object' && manifest[key] !== null) {
+        this._cleanManifest(manifest[key]);
+        if (Object.keys(manifest[key]).length === 0) {
+          delete manifest[key];
+        }
+      }
+    });
+  }
+
+  /**
+   * Create error manifest for failed imports
+   * @private
+   */
+  _createErrorManifest(source, error) {
+    return {
+      catalog: {
+        name: 'import-failed',
+        type: 'database',
+        platform: this.sourceType
+      },
+      datasets: [],
+      metadata: {
+        status: 'error',
+        error: {
+          message: error.message,
+          connection: this._describeSource(source),
+          timestamp: new Date().toISOString()
+        }
+      }
+    };
+  }
+
+  /**
+   * Short, credential-free label for a source
+   * @private
+   */
+  _describeSource(source) {
+    return path.basename(String(source));
+  }
+}
+
+module.exports = { SqlCatalogImporter };
@@ -0,0 +1,227 @@
+/*
+ * DDL Schema Introspection
+ * Serves a parsed DDL catalog through the same interface as the live database
+ * introspectors, so importers can treat dump files and connections alike
+ *
+ * Features:
+ * - Row shapes match information_schema results (table_schema, column_name, ...)
+ * - Sample data from INSERT statements in the dump
+ * - View columns typed from their source tables where names line up
+ */
+
+const { parseSqlDdl } = require('./ddl-parser');
+
+/**
+ * Schema introspection over parsed SQL DDL
+ */
+class DdlIntrospector {
+  /**
+   * @param {object} catalog - Catalog from parseSqlDdl()
+   */
+  constructor(catalog) {
+    this.catalog = catalog;
+  }
+
+  /**
+   * Parse SQL source and wrap the resulting catalog
+   * @param {string} sql - SQL source
+   * @param {object} [options] - parseSqlDdl() options
+   * @returns {DdlIntrospector}
+   */
+  static fromSql(sql, options = {}) {
+    return new DdlIntrospector(parseSqlDdl(sql, options));
+  }
+
+  /**
+   * Get all tables
+   * @param {string} [schema] - Restrict to one schema
+   * @returns {Promise<Array>} Table metadata
+   */
+  async getTables(schema = null) {
+    return this.catalog.tables
+      .filter(table => !schema || table.schema === schema)
+      .map(table => ({
+        table_schema: table.schema,
+        table_name: table.name,
+        size_bytes: null,
+        estimated_rows: table.rows.length || null,
+        table_comment: table.comment
+      }));
+  }
+
+  /**
+   * Get all views
+   * @param {string} [schema] - Restrict to one schema
+   * @returns {Promise<Array>} View metadata with FROM/JOIN sources
+   */
+  async getViews(schema = null) {
+    return this.catalog.views
+      .filter(view => !schema || view.schema === schema)
+      .map(view => ({
+        table_schema: view.schema,
+        table_name: view.name,
+        view_definition: view.definition,
+        sources: view.sources.map(source => ({ schema: source.schema, table: source.name }))
+      }));
+  }
+
+  /**
+   * Get columns for a table or view
+   * @param {string} schema - Schema name
+   * @param {string} table - Table or view name
+   * @returns {Promise<Array>} Column metadata
+   */
+  async getColumns(schema, table) {
+    const found = this._findTable(schema, table);
+    if (found) {
+      return found.columns.map(column => ({
+        table_schema: found.schema,
+        table_name: found.name,
+        column_name: column.name,
+        ordinal_position: column.ordinal,
+        is_nullable: column.nullable ? 'YES' : 'NO',
+        data_type: column.type,
+        udt_name: column.columnType,
+        character_maximum_length: column.length,
+        numeric_precision: column.precision,
+        numeric_scale: column.scale,
+        column_default: column.default,
+        column_comment: column.comment,
+        is_auto_increment: column.autoIncrement
+      }));
+    }
+
+    const view = this.catalog.views.find(v => v.schema === schema && v.name === table);
+    if (!view) return [];
+
+    return view.columns.map((name, index) => {
+      const source = this._findSourceColumn(view, name);
+      return {
+        table_schema: view.schema,
+        table_name: view.name,
+        column_name: name,
+        ordinal_position: index + 1,
+        is_nullable: 'YES',
+        data_type: source?.type ?? null,
+        udt_name: source?.columnType ?? null,
+        character_maximum_length: source?.length ?? null,
+        numeric_precision: source?.precision ?? null,
+        numeric_scale: source?.scale ?? null,
+        column_default: null,
+        column_comment: source?.comment ?? null,
+        is_auto_increment: false
+      };
+    });
+  }
+
+  /**
+   * Get primary key columns for a table
+   * @param {string} schema - Schema name
+   * @param {string} table - Table name
+   * @returns {Promise<Array<string>>} Primary key column names
+   */
+  async getPrimaryKey(schema, table) {
+    return [...(this._findTable(schema, table)?.primaryKey ?? [])];
+  }
+
+  /**
+   * Get foreign key relationships, one row per column pair
+   * @param {string} schema - Schema name
+   * @param {string} table - Table name
+   * @returns {Promise<Array>} Foreign key metadata
+   */
+  async getForeignKeys(schema, table) {
+    const found = this._findTable(schema, table);
+    if (!found) return [];
+
+    return found.foreignKeys.flatMap(fk => fk.columns.map((column, index) => ({
+      column_name: column,
+      foreign_table_schema: fk.refSchema ?? found.schema,
+      foreign_table_name: fk.refTable,
+      foreign_column_name: fk.refColumns[index] ?? fk.refColumns[0] ?? null,
+      constraint_name: fk.name ?? `${found.name}_${column}_fkey`,
+      on_delete: fk.onDelete,
+      on_update: fk.onUpdate
+    })));
+  }
+
+  /**
+   * Get unique constraints
+   * @param {string} schema - Schema name
+   * @param {string} table - Table name
+   * @returns {Promise<Array>} Unique constraints
+   */
+  async getUniqueConstraints(schema, table) {
+    return (this._findTable(schema, table)?.uniqueConstraints ?? []).map(constraint => ({
+      constraint_name: constraint.name,
+      columns: [...constraint.columns]
+    }));
+  }
+
+  /**
+   * Get non-unique indexes
+   * @param {string} schema - Schema name
+   * @param {string} table - Table name
+   * @returns {Promise<Array>} Index metadata
+   */
+  async getIndexes(schema, table) {
+    return (this._findTable(schema, table)?.indexes ?? []).map(index => ({
+      index_name: index.name,
+      columns: [...index.columns],
+      is_unique: index.unique,
+      is_primary: false,
+      index_type: index.type
+    }));
+  }
+
+  /**
+   * Sample rows captured from INSERT statements
+   * @param {string} schema - Schema name
+   * @param {string} table - Table name
+   * @param {number} estimatedRows - Estimated row count (unused; dumps are already bounded)
+   * @param {Array<string>} columns - Columns to sample
+   * @returns {Promise<Array>} Sample rows
+   */
+  async sampleData(schema, table, estimatedRows, columns) {
+    const rows = this._findTable(schema, table)?.rows ?? [];
+    return rows.map(row => Object.fromEntries(columns.map(column => [column, row[column] ?? null])));
+  }
+
+  /**
+   * Get all schemas present in the DDL
+   * @returns {Promise<Array<string>>} Schema names
+   */
+  async getSchemas() {
+    const schemas = [...this.catalog.tables, ...this.catalog.views].map(entry => entry.schema);
+    return [...new Set(schemas.filter(Boolean))].sort();
+  }
+
+  /**
+   * DDL sources are always available
+   * @returns {Promise<boolean>}
+   */
+  async testConnection() {
+    return true;
+  }
+
+  /**
+   * @private
+   */
+  _findTable(schema, table) {
+    return this.catalog.tables.find(t => t.name === table && (t.schema === schema || !schema));
+  }
+
+  /**
+   * @private
+   */
+  _findSourceColumn(view, columnName) {
+    for (const source of view.sources) {
+      const table = this._findTable(source.schema, source.name);
+      const column = table?.columns.find(c => c.name === columnName);
+      if (column) return column;
+    }
+    return null;
+  }
+}
+
+module.exports = { DdlIntrospector };
@@ -0,0 +1,1024 @@
+/*
+ * SQL DDL Parser
+ * Parses schema dumps (mysqldump output, hand-written DDL files) offline into a
+ * catalog of tables, columns, keys, indexes, views and sample rows
+ *
+ * Features:
+ * - Dialect-tolerant tokenizer (`backtick`, "double", [bracket] identifiers)
+ * - MySQL conditional comments (/*!40101 ... *\/) and DELIMITER blocks
+ * - Postgres dollar-quoted bodies, COMMENT ON and COPY ... FROM stdin data
+ * - CREATE TABLE / VIEW / INDEX, ALTER TABLE ADD constraints, DROP
+ * - INSERT ... VALUES and COPY rows kept as samples for PII detection
+ * - View lineage (FROM/JOIN sources) and output column names
+ */
+
+const DEFAULT_MAX_SAMPLE_ROWS = 1000;
+
+const TABLE_CONSTRAINT_KEYWORDS = new Set([
+  'PRIMARY', 'UNIQUE', 'KEY', 'INDEX', 'FULLTEXT', 'SPATIAL', 'CONSTRAINT', 'FOREIGN', 'CHECK', 'EXCLUDE', 'PERIOD'
+]);
+
+const TYPE_CONTINUATIONS = new Set([
+  'PRECISION', 'VARYING', 'WITH', 'WITHOUT', 'TIME', 'ZONE', 'UNSIGNED', 'SIGNED', 'ZEROFILL', 'LARGE', 'OBJECT'
+]);
+
+const COLUMN_CONSTRAINT_START = new Set([
+  'PRIMARY', 'NOT', 'NULL', 'DEFAULT', 'REFERENCES', 'UNIQUE', 'CHECK', 'CONSTRAINT', 'COLLATE', 'GENERATED', 'AS'
+]);
+
+// Words that start a column definition when an unquoted column shares a keyword name (`key text`)
+const SQL_TYPE_PATTERN = /^(tiny|small|medium|big)?(int|integer|serial|text|blob)$|^(var)?char(acter)?$|^(decimal|numeric|float|double|real|bit|bool|boolean|date|datetime|timestamp|time|year|json|jsonb|uuid|enum|set|binary|varbinary)$/i;
+
+/**
+ * Split SQL source into tokens, grouped by statement
+ * @param {string} sql - SQL source
+ * @returns {Array<Array<object>>} Statements as token arrays
+ */
+function tokenizeStatements(sql) {
+  const statements = [];
+  let current = [];
+  let delimiter = ';';
+  let conditionalDepth = 0;
+  let i = 0;
+  const length = sql.length;
+
+  const pushStatement = () => {
+    const statement = current.length > 0 ? current : null;
+    if (statement) {
+      statements.push(statement);
+    }
+    current = [];
+    return statement;
+  };
+
+  while (i < length) {
+    const ch = sql[i];
+    const next = sql[i + 1];
+
+    if (/\s/.test(ch)) {
+      i++;
+      continue;
+    }
+
+    // Custom delimiter (procedures/triggers in dumps)
+    if (sql.startsWith(delimiter, i)) {
+      const statement = pushStatement();
+      i += delimiter.length;
+      // COPY ... FROM stdin: the data block runs from the next line to a `\.` line
+      if (statement && isCopyFromStdin(statement)) {
+        const lineEnd = sql.indexOf('\n', i);
+        const dataStart = lineEnd === -1 ? length : lineEnd + 1;
+        const terminator = sql.indexOf('\n\\.', dataStart - 1);
+        statement.copyData = sql.slice(dataStart, terminator === -1 ? length : terminator + 1);
+        i = terminator === -1 ? length : terminator + 3;
+      }
+      continue;
+    }
+
+    // DELIMITER directive (client-side, only at statement start)
+    if (current.length === 0 && /^delimiter\s/i.test(sql.slice(i, i + 10))) {
+      const end = sql.indexOf('\n', i);
+      const line = sql.slice(i + 9, end === -1 ? length : end).trim();
+      delimiter = line || ';';
+      i = end === -1 ? length : end + 1;
+      continue;
+    }
+
+    // Comments
+    if ((ch === '-' && next === '-' && (i + 2 >= length || /\s/.test(sql[i + 2]))) || ch === '#') {
+      const end = sql.indexOf('\n', i);
+      i = end === -1 ? length : end + 1;
+      continue;
+    }
+    if (ch === '/' && next === '*') {
+      if (sql[i + 2] === '!') {
+        // MySQL conditional comment: keep the body, drop the version marker
+        i += 3;
+        while (i < length && /\d/.test(sql[i])) i++;
+        conditionalDepth++;
+        continue;
+      }
+      const end = sql.indexOf('*/', i + 2);
+      i = end === -1 ? length : end + 2;
+      continue;
+    }
+    if (ch === '*' && next === '/' && conditionalDepth > 0) {
+      conditionalDepth--;
+      i += 2;
+      continue;
+    }
+
+    // Postgres dollar-quoted strings: $$...$$, $body$...$body$
+    if (ch === '$') {
+      const tag = /^\$([A-Za-z_][A-Za-z0-9_]*)?\$/.exec(sql.slice(i, i + 64));
+      if (tag) {
+        const close = sql.indexOf(tag[0], i + tag[0].length);
+        const end = close === -1 ? length : close + tag[0].length;
+        current.push({ type: 'string', value: sql.slice(i + tag[0].length, close === -1 ? length : close), start: i, end });
+        i = end;
+        continue;
+      }
+    }
+
+    // Quoted strings and identifiers
+    if (ch === '\'' || ch === '"' || ch === '`') {
+      const { value, end } = readQuoted(sql, i, ch);
+      current.push({
+        type: ch === '\'' ? 'string' : ch === '"' ? 'quoted' : 'ident',
+        value,
+        start: i,
+        end
+      });
+      i = end;
+      continue;
+    }
+    // [bracket] identifiers; `[]` is a Postgres array suffix
+    if (ch === '[' && next !== ']') {
+      const end = sql.indexOf(']', i + 1);
+      const close = end === -1 ? length : end;
+      current.push({ type: 'ident', value: sql.slice(i + 1, close), start: i, end: close + 1 });
+      i = close + 1;
+      continue;
+    }
+
+    // Hex / bit literals: x'..', b'..', 0x..
+    if ((ch === 'x' || ch === 'X' || ch === 'b' || ch === 'B') && next === '\'') {
+      const { value, end } = readQuoted(sql, i + 1, '\'');
+      current.push({ type: 'string', value, start: i, end });
+      i = end;
+      continue;
+    }
+
+    // Numbers
+    if (/\d/.test(ch) || (ch === '.' && /\d/.test(next || ''))) {
+      const match = /^(0x[0-9a-f]+|\d*\.?\d+(e[+-]?\d+)?)/i.exec(sql.slice(i, i + 64));
+      const text = match ? match[0] : ch;
+      if (!/[A-Za-z_$]/.test(sql[i + text.length] || '') || text.startsWith('0x')) {
+        current.push({ type: 'number', value: text, start: i, end: i + text.length });
+        i += text.length;
+        continue;
+      }
+    }
+
+    // Words (keywords and bare identifiers)
+    if (/[A-Za-z0-9_$@\u0080-\uffff]/.test(ch)) {
+      let end = i + 1;
+      while (end < length && /[A-Za-z0-9_$@\u0080-\uffff]/.test(sql[end])) end++;
+      current.push({ type: 'word', value: sql.slice(i, end), start: i, end });
+      i = end;
+      continue;
+    }
+
+    // Multi-character operators that matter for skipping (casts, comparisons)
+    const pair = ch + (next || '');
+    if (['::', '<=', '>=', '<>', '!=', '||', ':='].includes(pair)) {
+      current.push({ type: 'punct', value: pair, start: i, end: i + 2 });
+      i += 2;
+      continue;
+    }
+
+    current.push({ type: 'punct', value: ch, start: i, end: i + 1 });
+    i++;
+  }
+
+  pushStatement();
+  return statements;
+}
+
+function isCopyFromStdin(tokens) {
+  const words = tokens.filter(token => token.type === 'word').map(token => token.value.toUpperCase());
+  return words[0] === 'COPY' && words.includes('FROM') && words.includes('STDIN');
+}
+
+/**
+ * Read a quoted token honouring doubled quotes and backslash escapes
+ * @private
+ */
+function readQuoted(sql, start, quote) {
+  let value = '';
+  let i = start + 1;
+  while (i < sql.length) {
+    const ch = sql[i];
+    if (ch === '\\' && quote === '\'') {
+      const escaped = sql[i + 1];
+      const map = { n: '\n', r: '\r', t: '\t', 0: '\0', Z: '\x1a' };
+      value += map[escaped] ?? escaped ?? '';
+      i += 2;
+      continue;
+    }
+    if (ch === quote) {
+      if (sql[i + 1] === quote) {
+        value += quote;
+        i += 2;
+        continue;
+      }
+      return { value, end: i + 1 };
+    }
+    value += ch;
+    i++;
+  }
+  return { value, end: sql.length };
+}
+
+/**
+ * Token cursor used by the statement parsers
+ * @private
+ */
+class Cursor {
+  constructor(tokens) {
+    this.tokens = tokens;
+    this.index = 0;
+  }
+
+  peek(offset = 0) {
+    return this.tokens[this.index + offset];
+  }
+
+  next() {
+    return this.tokens[this.index++];
+  }
+
+  done() {
+    return this.index >= this.tokens.length;
+  }
+
+  isWord(word, offset = 0) {
+    const token = this.peek(offset);
+    return token?.type === 'word' && token.value.toUpperCase() === word;
+  }
+
+  isPunct(value, offset = 0) {
+    const token = this.peek(offset);
+    return token?.type === 'punct' && token.value === value;
+  }
+
+  acceptWord(...words) {
+    if (words.some((word) => this.isWord(word))) {
+      return this.next().value.toUpperCase();
+    }
+    return null;
+  }
+
+  acceptWords(...words) {
+    if (words.every((word, offset) => this.isWord(word, offset))) {
+      this.index += words.length;
+      return true;
+    }
+    return false;
+  }
+
+  acceptPunct(value) {
+    if (this.isPunct(value)) {
+      this.next();
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Consume a balanced parenthesised group and return its inner tokens
+   */
+  group() {
+    if (!this.acceptPunct('(')) return null;
+    const start = this.index;
+    let depth = 1;
+    while (!this.done()) {
+      const token = this.next();
+      if (token.type === 'punct' && token.value === '(') depth++;
+      if (token.type === 'punct' && token.value === ')') {
+        depth--;
+        if (depth === 0) {
+          return this.tokens.slice(start, this.index - 1);
+        }
+      }
+    }
+    return this.tokens.slice(start);
+  }
+
+  /**
+   * Skip a single expression term (token or balanced group)
+   */
+  skipTerm() {
+    if (this.isPunct('(')) {
+      this.group();
+      return;
+    }
+    this.next();
+  }
+}
+
+function isIdentifierToken(token) {
+  return token && (token.type === 'ident' || token.type === 'quoted' || token.type === 'word');
+}
+
+/**
+ * Read the dot-separated parts of a name
+ * @private
+ */
+function readNameParts(cursor) {
+  const parts = [];
+  if (!isIdentifierToken(cursor.peek())) return parts;
+  parts.push(cursor.next().value);
+  while (cursor.isPunct('.') && isIdentifierToken(cursor.peek(1))) {
+    cursor.next();
+    parts.push(cursor.next().value);
+  }
+  return parts;
+}
+
+/**
+ * Read a possibly qualified name (db.schema.table)
+ * @private
+ */
+function readQualifiedName(cursor) {
+  const parts = readNameParts(cursor);
+  if (parts.length === 0) return null;
+  return {
+    schema: parts.length > 1 ? parts[parts.length - 2] : null,
+    name: parts[parts.length - 1]
+  };
+}
+
+/**
+ * Split tokens on top-level commas
+ * @private
+ */
+function splitTopLevel(tokens) {
+  const parts = [];
+  let current = [];
+  let depth = 0;
+  for (const token of tokens) {
+    if (token.type === 'punct' && token.value === '(') depth++;
+    if (token.type === 'punct' && token.value === ')') depth--;
+    if (depth === 0 && token.type === 'punct' && token.value === ',') {
+      parts.push(current);
+      current = [];
+      continue;
+    }
+    current.push(token);
+  }
+  if (current.length > 0) parts.push(current);
+  return parts;
+}
+
+/**
+ * Column names from an index/key column list, dropping prefix lengths and sort order
+ * @private
+ */
+function readColumnList(tokens) {
+  if (!tokens) return [];
+  return splitTopLevel(tokens)
+    .map((part) => {
+      // Expression keys (`lower(email)`) keep their expression text; prefix lengths (`name(50)`) are dropped
+      const isPrefixLength = part[2]?.type === 'number' && part[3]?.value === ')';
+      if (part[1]?.type === 'punct' && part[1].value === '(' && !isPrefixLength) {
+        return part.map((token) => token.value).join('');
+      }
+      return part.find(isIdentifierToken)?.value;
+    })
+    .filter(Boolean);
+}
+
+function rawText(sql, tokens) {
+  if (!tokens || tokens.length === 0) return '';
+  return sql.slice(tokens[0].start, tokens[tokens.length - 1].end).trim();
+}
+
+function tokenValue(token) {
+  if (!token) return null;
+  if (token.type === 'number') {
+    const number = Number(token.value);
+    return Number.isFinite(number) && !token.value.startsWith('0x') ? number : token.value;
+  }
+  if (token.type === 'word') {
+    const upper = token.value.toUpperCase();
+    if (upper === 'NULL') return null;
+    if (upper === 'TRUE') return true;
+    if (upper === 'FALSE') return false;
+  }
+  return token.value;
+}
+
+/**
+ * Parse a column type (name, optional arguments, modifiers)
+ * @private
+ */
+function readColumnType(cursor, sql) {
+  const startToken = cursor.peek();
+  // SQLite allows untyped columns (`id PRIMARY KEY`, `name`)
+  if (!startToken || startToken.type !== 'word' || COLUMN_CONSTRAINT_START.has(startToken.value.toUpperCase())) {
+    return { base: null, full: null, args: [] };
+  }
+  const baseParts = [cursor.next().value];
+  let args = [];
+  let unsigned = false;
+
+  while (!cursor.done()) {
+    if (cursor.isPunct('(') && args.length === 0) {
+      const inner = cursor.group();
+      args = splitTopLevel(inner).map((part) => tokenValue(part[0]));
+      continue;
+    }
+    if (cursor.isPunct('[')) {
+      cursor.next();
+      cursor.acceptPunct(']');
+      baseParts.push('[]');
+      continue;
+    }
+    const token = cursor.peek();
+    if (token.type === 'word' && TYPE_CONTINUATIONS.has(token.value.toUpperCase())) {
+      const upper = token.value.toUpperCase();
+      if (upper === 'UNSIGNED') unsigned = true;
+      // `WITH`/`WITHOUT` only continue a type when followed by `TIME ZONE`
+      if ((upper === 'WITH' || upper === 'WITHOUT') && !cursor.isWord('TIME', 1)) break;
+      cursor.next();
+      if (upper !== 'UNSIGNED' && upper !== 'SIGNED' && upper !== 'ZEROFILL') {
+        baseParts.push(token.value);
+      }
+      continue;
+    }
+    break;
+  }
+
+  const endToken = cursor.tokens[cursor.index - 1];
+  const base = baseParts.join(' ').replace(/ \[\]/g, '[]').toLowerCase();
+  return {
+    base,
+    full: sql.slice(startToken.start, endToken.end).replace(/\s+/g, ' ').toLowerCase(),
+    args,
+    unsigned
+  };
+}
+
+/**
+ * Parse a column definition inside CREATE TABLE
+ * @private
+ */
+function parseColumnDefinition(tokens, sql, table) {
+  const cursor = new Cursor(tokens);
+  const nameToken = cursor.next();
+  const type = readColumnType(cursor, sql);
+  const column = {
+    name: nameToken.value,
+    ordinal: table.columns.length + 1,
+    type: type.base,
+    columnType: type.full,
+    length: null,
+    precision: null,
+    scale: null,
+    unsigned: Boolean(type.unsigned),
+    nullable: true,
+    default: null,
+    autoIncrement: false,
+    generated: false,
+    comment: null,
+    enumValues: null
+  };
+
+  if (['char', 'varchar', 'character', 'character varying', 'binary', 'varbinary', 'nchar', 'nvarchar'].includes(type.base)) {
+    column.length = typeof type.args[0] === 'number' ? type.args[0] : null;
+  } else if (['enum', 'set'].includes(type.base)) {
+    column.enumValues = type.args.map(String);
+  } else if (typeof type.args[0] === 'number') {
+    column.precision = type.args[0];
+    column.scale = typeof type.args[1] === 'number' ? type.args[1] : null;
+  }
+
+  let constraintName = null;
+  while (!cursor.done()) {
+    if (cursor.acceptWord('CONSTRAINT')) {
+      constraintName = isIdentifierToken(cursor.peek()) ? cursor.next().value : null;
+      continue;
+    }
+    if (cursor.acceptWords('NOT', 'NULL')) {
+      column.nullable = false;
+      continue;
+    }
+    if (cursor.acceptWord('NULL')) {
+      continue;
+    }
+    if (cursor.acceptWord('DEFAULT')) {
+      const valueTokens = [];
+      const start = cursor.index;
+      cursor.skipTerm();
+      if (cursor.tokens[start]?.type === 'word' && cursor.isPunct('(')) {
+        cursor.group();
+      }
+      // Casts (`'x'::text`) and signed numbers belong to the default expression
+      while (cursor.isPunct('::')) {
+        cursor.next();
+        cursor.next();
+      }
+      valueTokens.push(...cursor.tokens.slice(start, cursor.index));
+      if (valueTokens.length === 1 && valueTokens[0].type === 'punct' && valueTokens[0].value === '-' && cursor.peek()?.type === 'number') {
+        valueTokens.push(cursor.next());
+      }
+      column.default = valueTokens.length === 1 ? tokenValue(valueTokens[0]) : rawText(sql, valueTokens);
+      continue;
+    }
+    if (cursor.acceptWord('AUTO_INCREMENT', 'AUTOINCREMENT', 'IDENTITY')) {
+      column.autoIncrement = true;
+      if (cursor.isPunct('(')) cursor.group();
+      continue;
+    }
+    if (cursor.acceptWords('PRIMARY', 'KEY')) {
+      table.primaryKey = [column.name];
+      column.nullable = false;
+      cursor.acceptWord('ASC', 'DESC');
+      if (cursor.acceptWord('AUTOINCREMENT')) {
+        column.autoIncrement = true;
+      }
+      continue;
+    }
+    if (cursor.acceptWord('UNIQUE')) {
+      cursor.acceptWord('KEY');
+      table.uniqueConstraints.push({ name: constraintName || `${table.name}_${column.name}_key`, columns: [column.name] });
+      continue;
+    }
+    if (cursor.acceptWord('REFERENCES')) {
+      const ref = readQualifiedName(cursor);
+      const refColumns = readColumnList(cursor.group());
+      table.foreignKeys.push({
+        name: constraintName,
+        columns: [column.name],
+        refSchema: ref?.schema ?? null,
+        refTable: ref?.name,
+        refColumns,
+        ...readReferentialActions(cursor)
+      });
+      continue;
+    }
+    if (cursor.acceptWord('COMMENT')) {
+      const token = cursor.next();
+      column.comment = token ? String(tokenValue(token)) : null;
+      continue;
+    }
+    if (cursor.acceptWord('GENERATED')) {
+      column.generated = true;
+      if (cursor.acceptWords('BY', 'DEFAULT') || cursor.acceptWord('ALWAYS')) {
+        if (cursor.acceptWords('AS', 'IDENTITY')) {
+          column.autoIncrement = true;
+          column.generated = false;
+          if (cursor.isPunct('(')) cursor.group();
+        }
+      }
+      continue;
+    }
+    if (cursor.acceptWord('AS')) {
+      column.generated = true;
+      cursor.skipTerm();
+      continue;
+    }
+    if (cursor.acceptWord('CHECK')) {
+      cursor.group();
+      continue;
+    }
+    if (cursor.acceptWord('ON')) {
+      // ON UPDATE CURRENT_TIMESTAMP[(n)]
+      cursor.acceptWord('UPDATE');
+      cursor.skipTerm();
+      if (cursor.isPunct('(')) cursor.group();
+      continue;
+    }
+    cursor.skipTerm();
+  }
+
+  return column;
+}
+
+function readReferentialActions(cursor) {
+  const actions = { onDelete: null, onUpdate: null };
+  while (cursor.isWord('ON') || cursor.isWord('MATCH') || cursor.isWord('DEFERRABLE') || cursor.isWord('NOT') || cursor.isWord('INITIALLY')) {
+    if (cursor.acceptWord('ON')) {
+      const event = cursor.acceptWord('DELETE', 'UPDATE');
+      const words = [];
+      while (cursor.isWord('CASCADE') || cursor.isWord('RESTRICT') || cursor.isWord('SET') || cursor.isWord('NULL') ||
+        cursor.isWord('DEFAULT') || cursor.isWord('NO') || cursor.isWord('ACTION')) {
+        words.push(cursor.next().value.toUpperCase());
+      }
+      if (event === 'DELETE') actions.onDelete = words.join(' ');
+      if (event === 'UPDATE') actions.onUpdate = words.join(' ');
+      continue;
+    }
+    cursor.next();
+    cursor.acceptWord('FULL', 'PARTIAL', 'SIMPLE', 'DEFERRED', 'IMMEDIATE', 'DEFERRABLE');
+  }
+  return actions;
+}
+
+/**
+ * Parse a table-level constraint or index definition into the table
+ * @private
+ */
+function parseTableConstraint(tokens, table) {
+  const cursor = new Cursor(tokens);
+  let constraintName = null;
+  if (cursor.acceptWord('CONSTRAINT')) {
+    if (isIdentifierToken(cursor.peek()) && !['PRIMARY', 'UNIQUE', 'FOREIGN', 'CHECK', 'EXCLUDE'].includes(cursor.peek().value.toUpperCase())) {
+      constraintName = cursor.next().value;
+    }
+  }
+
+  if (cursor.acceptWords('PRIMARY', 'KEY')) {
+    skipIndexName(cursor);
+    table.primaryKey = readColumnList(cursor.group());
+    return;
+  }
+  if (cursor.acceptWord('UNIQUE')) {
+    cursor.acceptWord('KEY', 'INDEX');
+    const name = skipIndexName(cursor) ?? constraintName;
+    const columns = readColumnList(cursor.group());
+    table.uniqueConstraints.push({ name: name || `${table.name}_${columns.join('_')}_key`, columns });
+    return;
+  }
+  if (cursor.acceptWords('FOREIGN', 'KEY')) {
+    const name = skipIndexName(cursor) ?? constraintName;
+    const columns = readColumnList(cursor.group());
+    cursor.acceptWord('REFERENCES');
+    const ref = readQualifiedName(cursor);
+    const refColumns = readColumnList(cursor.group());
+    table.foreignKeys.push({
+      name,
+      columns,
+      refSchema: ref?.schema ?? null,
+      refTable: ref?.name,
+      refColumns,
+      ...readReferentialActions(cursor)
+    });
+    return;
+  }
+  const kind = cursor.acceptWord('FULLTEXT', 'SPATIAL');
+  if (cursor.acceptWord('KEY', 'INDEX') || kind) {
+    cursor.acceptWord('KEY', 'INDEX');
+    const name = skipIndexName(cursor);
+    const columns = readColumnList(cursor.group());
+    let indexType = kind ? kind.toLowerCase() : 'btree';
+    if (cursor.acceptWord('USING')) {
+      indexType = cursor.next()?.value.toLowerCase() ?? indexType;
+    }
+    table.indexes.push({ name: name || `${table.name}_${columns.join('_')}_idx`, columns, unique: false, type: indexType });
+  }
+  // CHECK / EXCLUDE / PERIOD constraints carry no schema shape we surface
+}
+
+function skipIndexName(cursor) {
+  if (isIdentifierToken(cursor.peek()) && !cursor.isWord('USING')) {
+    return cursor.next().value;
+  }
+  if (cursor.acceptWord('USING')) {
+    cursor.next();
+  }
+  return null;
+}
+
+/**
+ * Parse table options after the column list (COMMENT, ENGINE, ...)
+ * @private
+ */
+function parseTableOptions(cursor, table) {
+  while (!cursor.done()) {
+    const word = cursor.acceptWord('COMMENT', 'ENGINE');
+    if (word) {
+      cursor.acceptPunct('=');
+      const token = cursor.next();
+      if (word === 'COMMENT') table.comment = token ? String(tokenValue(token)) : null;
+      if (word === 'ENGINE') table.engine = token?.value ?? null;
+      continue;
+    }
+    cursor.skipTerm();
+  }
+}
+
+/**
+ * Output column names and FROM/JOIN sources of a SELECT
+ * @param {Array<object>} tokens - Tokens of the SELECT statement
+ * @returns {{ columns: string[], sources: Array<{schema: string|null, name: string}> }}
+ */
+function analyzeSelect(tokens) {
+  const columns = [];
+  const sources = [];
+  const cursor = new Cursor(tokens);
+  let depth = 0;
+  let selectList = null;
+
+  while (!cursor.done()) {
+    const token = cursor.peek();
+    if (token.type === 'punct' && token.value === '(') depth++;
+    if (token.type === 'punct' && token.value === ')') depth--;
+
+    if (token.type === 'word') {
+      const upper = token.value.toUpperCase();
+      if (upper === 'SELECT' && depth === 0 && selectList === null) {
+        cursor.next();
+        cursor.acceptWord('DISTINCT', 'ALL');
+        selectList = cursor.index;
+        continue;
+      }
+      if (upper === 'FROM' && depth === 0 && selectList !== null && columns.length === 0) {
+        for (const part of splitTopLevel(tokens.slice(selectList, cursor.index))) {
+          const last = part[part.length - 1];
+          if (isIdentifierToken(last) && last.value !== '*') columns.push(last.value);
+        }
+      }
+      if (upper === 'FROM' || upper === 'JOIN') {
+        cursor.next();
+        readSources(cursor, sources);
+        continue;
+      }
+    }
+    cursor.next();
+  }
+
+  const unique = new Map(sources.map((source) => [`${source.schema ?? ''}.${source.name}`, source]));
+  return { columns, sources: [...unique.values()] };
+}
+
+function readSources(cursor, sources) {
+  do {
+    if (cursor.isPunct('(')) {
+      // Derived table or parenthesised join: scan it for nested sources
+      const inner = cursor.group() || [];
+      const innerCursor = new Cursor(inner);
+      if (!innerCursor.isWord('SELECT') && !innerCursor.isWord('WITH')) {
+        readSources(innerCursor, sources);
+      }
+      sources.push(...analyzeSelect(inner.slice(innerCursor.index)).sources);
+    } else {
+      const source = readQualifiedName(cursor);
+      if (source && !['SELECT', 'LATERAL'].includes(source.name.toUpperCase())) {
+        sources.push(source);
+      }
+    }
+    cursor.acceptWord('AS');
+    if (isIdentifierToken(cursor.peek()) && !isClauseKeyword(cursor.peek())) {
+      cursor.next();
+    }
+  } while (cursor.acceptPunct(','));
+}
+
+function isClauseKeyword(token) {
+  return token.type === 'word' && [
+    'WHERE', 'JOIN', 'INNER', 'LEFT', 'RIGHT', 'FULL', 'OUTER', 'CROSS', 'NATURAL', 'ON', 'USING', 'GROUP',
+    'ORDER', 'HAVING', 'LIMIT', 'UNION', 'WINDOW', 'STRAIGHT_JOIN', 'WITH'
+  ].includes(token.value.toUpperCase());
+}
+
+/**
+ * Parse SQL DDL (and optional INSERT samples) into a schema catalog
+ * @param {string} sql - SQL source
+ * @param {object} [options]
+ * @param {string} [options.defaultSchema] - Schema for unqualified names
+ * @param {number} [options.maxSampleRows=1000] - Rows kept per table from INSERT statements
+ * @returns {object} Catalog `{ database, tables, views }`
+ */
+function parseSqlDdl(sql, options = {}) {
+  const maxSampleRows = options.maxSampleRows ?? DEFAULT_MAX_SAMPLE_ROWS;
+  const catalog = { database: null, tables: [], views: [] };
+  let currentSchema = options.defaultSchema ?? null;
+
+  const resolveSchema = (name) => name?.schema ?? currentSchema;
+  const findTable = (name) => {
+    const schema = resolveSchema(name);
+    return catalog.tables.find((table) => table.name === name.name && (table.schema === schema || !name.schema));
+  };
+  const removeNamed = (list, name) => {
+    const schema = resolveSchema(name);
+    const index = list.findIndex((entry) => entry.name === name.name && entry.schema === schema);
+    if (index !== -1) list.splice(index, 1);
+  };
+
+  for (const tokens of tokenizeStatements(sql)) {
+    const cursor = new Cursor(tokens);
+
+    if (cursor.acceptWord('USE')) {
+      currentSchema = cursor.next()?.value ?? currentSchema;
+      catalog.database = catalog.database ?? currentSchema;
+      continue;
+    }
+
+    if (cursor.acceptWords('SET', 'SEARCH_PATH')) {
+      if (!cursor.acceptWord('TO')) cursor.acceptPunct('=');
+      const first = cursor.next();
+      if (first && (isIdentifierToken(first) || first.type === 'string') && first.value) {
+        currentSchema = first.value;
+      }
+      continue;
+    }
+
+    if (cursor.acceptWords('COMMENT', 'ON')) {
+      const target = cursor.acceptWord('TABLE', 'COLUMN', 'VIEW');
+      const parts = readNameParts(cursor);
+      if (!target || !cursor.acceptWord('IS')) continue;
+      const text = cursor.peek()?.type === 'string' ? cursor.next().value : null;
+      if (target === 'COLUMN') {
+        const column = parts.pop();
+        const table = findTable({ schema: parts.length > 1 ? parts[parts.length - 2] : null, name: parts[parts.length - 1] });
+        const found = table?.columns.find(c => c.name === column);
+        if (found) found.comment = text;
+      } else if (target === 'TABLE') {
+        const table = findTable({ schema: parts.length > 1 ? parts[parts.length - 2] : null, name: parts[parts.length - 1] });
+        if (table) table.comment = text;
+      }
+      continue;
+    }
+
+    if (cursor.acceptWord('COPY')) {
+      const name = readQualifiedName(cursor);
+      const table = name && findTable(name);
+      if (!table || !tokens.copyData || table.rows.length >= maxSampleRows) continue;
+      const columnNames = cursor.isPunct('(') ? readColumnList(cursor.group()) : table.columns.map(column => column.name);
+      for (const line of tokens.copyData.split('\n')) {
+        if (!line || table.rows.length >= maxSampleRows) continue;
+        const values = line.split('\t').map(parseCopyValue);
+        table.rows.push(Object.fromEntries(columnNames.map((column, index) => [column, values[index] ?? null])));
+      }
+      continue;
+    }
+
+    if (cursor.acceptWord('DROP')) {
+      const kind = cursor.acceptWord('TABLE', 'VIEW');
+      if (!kind) continue;
+      cursor.acceptWords('IF', 'EXISTS');
+      do {
+        const name = readQualifiedName(cursor);
+        if (name) removeNamed(kind === 'TABLE' ? catalog.tables : catalog.views, name);
+      } while (cursor.acceptPunct(','));
+      continue;
+    }
+
+    if (cursor.acceptWord('CREATE')) {
+      cursor.acceptWords('OR', 'REPLACE');
+      if (cursor.acceptWord('DATABASE', 'SCHEMA')) {
+        cursor.acceptWords('IF', 'NOT', 'EXISTS');
+        const name = cursor.next()?.value;
+        catalog.database = catalog.database ?? name ?? null;
+        continue;
+      }
+
+      // Skip view/table modifiers (ALGORITHM=..., DEFINER=..., SQL SECURITY ..., TEMPORARY, ...)
+      while (!cursor.done() && !cursor.isWord('TABLE') && !cursor.isWord('VIEW') && !cursor.isWord('INDEX') && !cursor.isWord('UNIQUE')) {
+        if (cursor.isWord('FUNCTION') || cursor.isWord('PROCEDURE') || cursor.isWord('TRIGGER') || cursor.isWord('EVENT')) break;
+        cursor.next();
+      }
+
+      if (cursor.acceptWord('TABLE')) {
+        cursor.acceptWords('IF', 'NOT', 'EXISTS');
+        const name = readQualifiedName(cursor);
+        if (!name || !cursor.isPunct('(')) continue;
+        const table = {
+          schema: resolveSchema(name),
+          name: name.name,
+          comment: null,
+          engine: null,
+          columns: [],
+          primaryKey: [],
+          uniqueConstraints: [],
+          indexes: [],
+          foreignKeys: [],
+          rows: []
+        };
+        for (const definition of splitTopLevel(cursor.group())) {
+          const first = definition[0];
+          if (!first) continue;
+          const isConstraint = isTableConstraint(definition);
+          if (isConstraint) {
+            parseTableConstraint(definition, table);
+          } else {
+            table.columns.push(parseColumnDefinition(definition, sql, table));
+          }
+        }
+        parseTableOptions(cursor, table);
+        removeNamed(catalog.tables, name);
+        catalog.tables.push(table);
+        continue;
+      }
+
+      if (cursor.acceptWord('VIEW')) {
+        cursor.acceptWords('IF', 'NOT', 'EXISTS');
+        const name = readQualifiedName(cursor);
+        if (!name) continue;
+        const declaredColumns = cursor.isPunct('(') ? readColumnList(cursor.group()) : null;
+        while (!cursor.done() && !cursor.isWord('AS')) cursor.next();
+        cursor.acceptWord('AS');
+        const selectTokens = tokens.slice(cursor.index);
+        const analysis = analyzeSelect(selectTokens);
+        removeNamed(catalog.views, name);
+        catalog.views.push({
+          schema: resolveSchema(name),
+          name: name.name,
+          columns: declaredColumns ?? analysis.columns,
+          definition: rawText(sql, selectTokens),
+          sources: analysis.sources.map((source) => ({ schema: source.schema ?? resolveSchema(name), name: source.name }))
+        });
+        continue;
+      }
+
+      const unique = Boolean(cursor.acceptWord('UNIQUE'));
+      if (cursor.acceptWord('INDEX')) {
+        cursor.acceptWord('CONCURRENTLY');
+        cursor.acceptWords('IF', 'NOT', 'EXISTS');
+        const indexName = cursor.isWord('ON') ? null : cursor.next()?.value;
+        cursor.acceptWord('ON');
+        cursor.acceptWord('ONLY');
+        const tableName = readQualifiedName(cursor);
+        let indexType = 'btree';
+        if (cursor.acceptWord('USING')) indexType = cursor.next()?.value.toLowerCase() ?? indexType;
+        const columns = readColumnList(cursor.group());
+        const table = tableName && findTable(tableName);
+        if (!table) continue;
+        if (unique) {
+          table.uniqueConstraints.push({ name: indexName, columns });
+        } else {
+          table.indexes.push({ name: indexName, columns, unique: false, type: indexType });
+        }
+      }
+      continue;
+    }
+
+    if (cursor.acceptWords('ALTER', 'TABLE')) {
+      cursor.acceptWords('IF', 'EXISTS');
+      cursor.acceptWord('ONLY');
+      const name = readQualifiedName(cursor);
+      const table = name && findTable(name);
+      if (!table) continue;
+      for (const action of splitTopLevel(tokens.slice(cursor.index))) {
+        const actionCursor = new Cursor(action);
+        if (!actionCursor.acceptWord('ADD')) continue;
+        actionCursor.acceptWord('COLUMN');
+        const rest = action.slice(actionCursor.index);
+        const first = rest[0];
+        if (first?.type === 'word' && TABLE_CONSTRAINT_KEYWORDS.has(first.value.toUpperCase())) {
+          parseTableConstraint(rest, table);
+        } else if (first) {
+          table.columns.push(parseColumnDefinition(rest, sql, table));
+        }
+      }
+      continue;
+    }
+
+    if (cursor.acceptWord('INSERT', 'REPLACE')) {
+      while (cursor.acceptWord('IGNORE', 'LOW_PRIORITY', 'DELAYED', 'HIGH_PRIORITY')) { /* modifiers */ }
+      cursor.acceptWord('INTO');
+      const name = readQualifiedName(cursor);
+      const table = name && findTable(name);
+      if (!table || table.rows.length >= maxSampleRows) continue;
+      const columnNames = cursor.isPunct('(') ? readColumnList(cursor.group()) : table.columns.map((column) => column.name);
+      if (!cursor.acceptWord('VALUES', 'VALUE')) continue;
+      do {
+        const tuple = cursor.group();
+        if (!tuple) break;
+        if (table.rows.length >= maxSampleRows) continue;
+        const values = splitTopLevel(tuple).map((part) => parseValue(part));
+        const row = {};
+        columnNames.forEach((column, index) => {
+          row[column] = values[index] ?? null;
+        });
+        table.rows.push(row);
+      } while (cursor.acceptPunct(','));
+      continue;
+    }
+  }
+
+  return catalog;
+}
+
+/**
+ * Whether a CREATE TABLE entry is a table constraint/index rather than a column
+ * @private
+ */
+function isTableConstraint(definition) {
+  const [first, second] = definition;
+  if (first.type !== 'word' || !TABLE_CONSTRAINT_KEYWORDS.has(first.value.toUpperCase())) {
+    return false;
+  }
+  // Non-reserved keywords may name columns in some dialects: `key text`, `index integer`
+  if (['KEY', 'INDEX', 'PERIOD', 'EXCLUDE'].includes(first.value.toUpperCase()) && second?.type === 'word') {
+    return !SQL_TYPE_PATTERN.test(second.value);
+  }
+  return true;
+}
+
+function parseCopyValue(field) {
+  if (field === '\\N') return null;
+  return field.replace(/\\(.)/g, (match, escaped) => ({ t: '\t', n: '\n', r: '\r', '\\': '\\' })[escaped] ?? escaped);
+}
+
+function parseValue(tokens) {
+  if (tokens.length === 0) return null;
+  // Charset introducers: _utf8mb4'text', _binary 'bytes'
+  const meaningful = tokens[0].type === 'word' && tokens[0].value.startsWith('_') && tokens.length > 1 ? tokens.slice(1) : tokens;
+  if (meaningful.length === 2 && meaningful[0].type === 'punct' && meaningful[0].value === '-' && meaningful[1].type === 'number') {
+    return -Number(meaningful[1].value);
+  }
+  if (meaningful.length === 1) {
+    return tokenValue(meaningful[0]);
+  }
+  return meaningful.map((token) => token.value).join('');
+}
+
+module.exports = {
+  parseSqlDdl,
+  analyzeSelect,
+  tokenizeStatements,
+  DEFAULT_MAX_SAMPLE_ROWS
+};
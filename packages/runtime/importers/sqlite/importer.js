@@ -0,0 +1,117 @@
+/*
+ * SQLite Database Importer
+ * Converts SQLite database files to Data Protocol manifests, fully offline
+ *
+ * Features:
+ * - Read-only file access (sqlite://path or a plain .sqlite/.db path)
+ * - Views imported as datasets with FROM/JOIN lineage
+ * - PII detection with community/org/project override rules
+ * - Relationship extraction from foreign keys
+ * - Declared types mapped through SQLite type affinity
+ * - Draft manifest with provenance
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { SQLiteSchemaIntrospector } = require('./schema-introspect');
+const { SqlCatalogImporter } = require('../sql/catalog-importer');
+
+/**
+ * SQLite to Data Protocol Importer
+ */
+class SQLiteImporter extends SqlCatalogImporter {
+  constructor(options = {}) {
+    super(options);
+    this.sourceType = 'sqlite';
+  }
+
+  /**
+   * Resolve `sqlite://path` (or a plain path) to a file path
+   * @param {string} source - Source reference
+   * @returns {string} Database file path
+   */
+  static resolvePath(source) {
+    return String(source || '').replace(/^sqlite:\/\//i, '');
+  }
+
+  /**
+   * Open the database file read-only
+   * @private
+   */
+  async _open(source) {
+    const file = SQLiteImporter.resolvePath(source);
+    if (!fs.existsSync(file)) {
+      throw new Error(`SQLite database not found: ${file}`);
+    }
+
+    const client = await this._connect(file);
+    return {
+      introspector: new SQLiteSchemaIntrospector(client),
+      context: {
+        kind: 'file',
+        database: path.basename(file, path.extname(file)),
+        platform: 'sqlite',
+        hash: await this._hashFile(file),
+        file: path.resolve(file)
+      },
+      close: () => client.end()
+    };
+  }
+
+  /**
+   * Open a read-only connection
+   * @private
+   */
+  async _connect(file) {
+    const sqlite3 = require('sqlite3');
+    const { open } = require('sqlite');
+    const db = await open({ filename: file, driver: sqlite3.Database, mode: sqlite3.OPEN_READONLY });
+
+    return {
+      query: async (sql, params = []) => ({ rows: await db.all(sql, params) }),
+      end: () => db.close()
+    };
+  }
+
+  /**
+   * Hash the database file for provenance
+   * @private
+   */
+  _hashFile(file) {
+    return new Promise((resolve, reject) => {
+      const hash = crypto.createHash('sha256');
+      fs.createReadStream(file)
+        .on('data', chunk => hash.update(chunk))
+        .on('error', reject)
+        .on('end', () => resolve(hash.digest('hex').substring(0, 16)));
+    });
+  }
+
+  /**
+   * Map SQLite declared types to Data Protocol types
+   * @private
+   */
+  _mapType(dataType, declaredType) {
+    const type = String(dataType || '').toLowerCase();
+    const declared = String(declaredType || '').toLowerCase();
+
+    if (/^(boolean|bool)$/.test(type) || /^tinyint\(1\)/.test(declared)) return 'boolean';
+    if (/^(datetime|timestamp)$/.test(type)) return 'timestamp';
+    if (type === 'date') return 'date';
+    if (type === 'time') return 'time';
+    if (/^(json|jsonb)$/.test(type)) return 'json';
+    if (type === 'uuid') return 'uuid';
+    if (type === 'bigint') return 'long';
+    if (/^(decimal|numeric)$/.test(type)) return 'decimal';
+
+    // Type affinity rules (https://www.sqlite.org/datatype3.html)
+    if (type.includes('int')) return 'integer';
+    if (/char|clob|text/.test(type)) return 'string';
+    if (!type || type.includes('blob')) return type ? 'bytes' : 'unknown';
+    if (/real|floa|doub/.test(type)) return 'double';
+    return 'decimal';
+  }
+}
+
+module.exports = { SQLiteImporter };
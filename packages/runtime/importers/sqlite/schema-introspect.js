@@ -0,0 +1,245 @@
+/*
+ * SQLite Schema Introspection
+ * Reads sqlite_master and table pragmas to extract tables, views, columns, constraints, and relationships
+ *
+ * Features:
+ * - Row shapes match the Postgres introspector (table_schema, column_name, ...)
+ * - Foreign key and index discovery via pragma table-valued functions
+ * - View definitions with FROM/JOIN lineage
+ * - Sample data extraction for pattern detection
+ */
+
+const { parseSqlDdl } = require('../sql/ddl-parser');
+
+const SCHEMA = 'main';
+
+/**
+ * Schema introspection for SQLite database files
+ */
+class SQLiteSchemaIntrospector {
+  /**
+   * @param {object} client - Connection exposing `query(sql, params) -> { rows }`
+   */
+  constructor(client) {
+    this.client = client;
+  }
+
+  /**
+   * Get all tables (excluding sqlite_* internals)
+   * @param {string} [schema] - Restrict to one schema (only `main` exists)
+   * @returns {Promise<Array>} Table metadata
+   */
+  async getTables(schema = null) {
+    if (schema && schema !== SCHEMA) return [];
+
+    const result = await this.client.query(`
+      SELECT name
+      FROM sqlite_master
+      WHERE type = 'table' AND name NOT LIKE 'sqlite_%'
+      ORDER BY name;
+    `);
+
+    const tables = [];
+    for (const row of result.rows) {
+      const count = await this.client.query(`SELECT COUNT(*) AS row_count FROM ${quoteIdentifier(row.name)};`);
+      tables.push({
+        table_schema: SCHEMA,
+        table_name: row.name,
+        size_bytes: null,
+        estimated_rows: Number(count.rows[0]?.row_count ?? 0),
+        table_comment: null
+      });
+    }
+    return tables;
+  }
+
+  /**
+   * Get all views
+   * @param {string} [schema] - Restrict to one schema (only `main` exists)
+   * @returns {Promise<Array>} View metadata with FROM/JOIN sources
+   */
+  async getViews(schema = null) {
+    if (schema && schema !== SCHEMA) return [];
+
+    const result = await this.client.query(`
+      SELECT name, sql
+      FROM sqlite_master
+      WHERE type = 'view'
+      ORDER BY name;
+    `);
+
+    return result.rows.map(row => {
+      const [view] = parseSqlDdl(row.sql || '', { defaultSchema: SCHEMA }).views;
+      return {
+        table_schema: SCHEMA,
+        table_name: row.name,
+        view_definition: view?.definition ?? null,
+        sources: (view?.sources ?? []).map(source => ({ schema: SCHEMA, table: source.name }))
+      };
+    });
+  }
+
+  /**
+   * Get columns for a table or view
+   * @param {string} schema - Schema name (always `main`)
+   * @param {string} table - Table name
+   * @returns {Promise<Array>} Column metadata
+   */
+  async getColumns(schema, table) {
+    const result = await this.client.query('SELECT * FROM pragma_table_info(?) ORDER BY cid;', [table]);
+
+    return result.rows.map(row => {
+      const declared = String(row.type || '').toLowerCase();
+      return {
+        table_schema: SCHEMA,
+        table_name: table,
+        column_name: row.name,
+        ordinal_position: row.cid + 1,
+        is_nullable: row.notnull || row.pk > 0 ? 'NO' : 'YES',
+        data_type: declared.replace(/\s*\(.*$/, '') || null,
+        udt_name: declared || null,
+        column_default: row.dflt_value,
+        column_comment: null
+      };
+    });
+  }
+
+  /**
+   * Get primary key columns for a table
+   * @param {string} schema - Schema name
+   * @param {string} table - Table name
+   * @returns {Promise<Array<string>>} Primary key column names
+   */
+  async getPrimaryKey(schema, table) {
+    const result = await this.client.query('SELECT name FROM pragma_table_info(?) WHERE pk > 0 ORDER BY pk;', [table]);
+    return result.rows.map(row => row.name);
+  }
+
+  /**
+   * Get foreign key relationships
+   * @param {string} schema - Schema name
+   * @param {string} table - Table name
+   * @returns {Promise<Array>} Foreign key metadata
+   */
+  async getForeignKeys(schema, table) {
+    const result = await this.client.query('SELECT * FROM pragma_foreign_key_list(?) ORDER BY id, seq;', [table]);
+
+    const foreignKeys = [];
+    for (const row of result.rows) {
+      // A missing `to` column references the parent's primary key
+      let foreignColumn = row.to;
+      if (!foreignColumn) {
+        const parentKey = await this.getPrimaryKey(schema, row.table);
+        foreignColumn = parentKey[row.seq] ?? parentKey[0] ?? null;
+      }
+      foreignKeys.push({
+        column_name: row.from,
+        foreign_table_schema: SCHEMA,
+        foreign_table_name: row.table,
+        foreign_column_name: foreignColumn,
+        constraint_name: `${table}_fk_${row.id}`
+      });
+    }
+    return foreignKeys;
+  }
+
+  /**
+   * Get unique constraints (UNIQUE clauses and unique indexes)
+   * @param {string} schema - Schema name
+   * @param {string} table - Table name
+   * @returns {Promise<Array>} Unique constraints
+   */
+  async getUniqueConstraints(schema, table) {
+    const indexes = await this._listIndexes(table);
+    return indexes
+      .filter(index => index.unique && index.origin !== 'pk')
+      .map(index => ({ constraint_name: index.name, columns: index.columns }));
+  }
+
+  /**
+   * Get non-unique indexes created with CREATE INDEX
+   * @param {string} schema - Schema name
+   * @param {string} table - Table name
+   * @returns {Promise<Array>} Index metadata
+   */
+  async getIndexes(schema, table) {
+    const indexes = await this._listIndexes(table);
+    return indexes
+      .filter(index => index.origin === 'c')
+      .map(index => ({
+        index_name: index.name,
+        columns: index.columns,
+        is_unique: index.unique,
+        is_primary: false,
+        index_type: 'btree'
+      }));
+  }
+
+  /**
+   * Sample data from table
+   * @param {string} schema - Schema name
+   * @param {string} table - Table name
+   * @param {number} estimatedRows - Row count
+   * @param {Array<string>} columns - Columns to sample
+   * @returns {Promise<Array>} Sample rows
+   */
+  async sampleData(schema, table, estimatedRows, columns) {
+    let sampleSize = 100;
+    if (estimatedRows >= 100000) {
+      sampleSize = 1000;
+    } else if (estimatedRows >= 1000) {
+      sampleSize = 500;
+    }
+
+    const columnList = columns.map(quoteIdentifier).join(', ');
+    const result = await this.client.query(`SELECT ${columnList} FROM ${quoteIdentifier(table)} LIMIT ${sampleSize};`);
+    return result.rows;
+  }
+
+  /**
+   * SQLite files expose a single `main` schema
+   * @returns {Promise<Array<string>>} Schema names
+   */
+  async getSchemas() {
+    return [SCHEMA];
+  }
+
+  /**
+   * Test connection
+   * @returns {Promise<boolean>} True if connected
+   */
+  async testConnection() {
+    try {
+      await this.client.query('SELECT 1');
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Indexes with their columns
+   * @private
+   */
+  async _listIndexes(table) {
+    const list = await this.client.query('SELECT * FROM pragma_index_list(?) ORDER BY seq;', [table]);
+
+    const indexes = [];
+    for (const row of list.rows) {
+      const info = await this.client.query('SELECT name FROM pragma_index_info(?) ORDER BY seqno;', [row.name]);
+      indexes.push({
+        name: row.name,
+        unique: Boolean(row.unique),
+        origin: row.origin,
+        columns: info.rows.map(column => column.name).filter(Boolean)
+      });
+    }
+    return indexes;
+  }
+}
+
+function quoteIdentifier(name) {
+  return `"${String(name).replace(/"/g, '""')}"`;
+}
+
+module.exports = { SQLiteSchemaIntrospector };
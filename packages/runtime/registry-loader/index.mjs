@@ -2,7 +2,7 @@ import fs from 'node:fs/promises';
 import path from 'node:path';
 
 import { openDb, ensureSchema } from '../registry/db.mjs';
-import { upsertManifest } from '../registry/repository.mjs';
+import { deleteManifest, upsertManifest } from '../registry/repository.mjs';
 
 import { EmbeddingService } from './embedding-service.mjs';
 import {
@@ -139,6 +139,40 @@ function extractMetadata(manifest, filePath) {
   };
 }
 
+/**
+ * Read every JSON manifest under a directory using the loader's URN and metadata rules.
+ * Unreadable or URN-less files are skipped with a warning so one bad file never blocks a load.
+ *
+ * @param {string} directory - Absolute directory to walk recursively.
+ * @param {Object} [options]
+ * @param {Object} [options.logger=console] - Logger receiving skip warnings.
+ * @returns {Promise<Array<Object>>} Extracted manifest metadata entries.
+ */
+export async function collectManifests(directory, { logger = console } = {}) {
+  const manifests = [];
+  for await (const file of walkDirectory(directory)) {
+    try {
+      const raw = await fs.readFile(file, 'utf8');
+      let parsed = JSON.parse(raw);
+      if (
+        parsed &&
+        typeof parsed === 'object' &&
+        !Array.isArray(parsed) &&
+        parsed.manifest &&
+        typeof parsed.manifest === 'object'
+      ) {
+        parsed = parsed.manifest;
+      }
+      manifests.push(extractMetadata(parsed, file));
+    } catch (error) {
+      logger.warn?.(
+        `[registry-loader] Skipping ${file}: ${error.message ?? error}`
+      );
+    }
+  }
+  return manifests;
+}
+
 export class RegistryLoader {
   constructor(options = {}) {
     this.workspace = options.workspace
@@ -236,38 +270,34 @@ export class RegistryLoader {
       throw new Error(`Registry directory not found: ${targetDirectory}`);
     }
 
-    const manifests = [];
-    for await (const file of walkDirectory(targetDirectory)) {
-      try {
-        const raw = await fs.readFile(file, 'utf8');
-        let parsed = JSON.parse(raw);
-        if (
-          parsed &&
-          typeof parsed === 'object' &&
-          !Array.isArray(parsed) &&
-          parsed.manifest &&
-          typeof parsed.manifest === 'object'
-        ) {
-          parsed = parsed.manifest;
-        }
-        manifests.push(extractMetadata(parsed, file));
-      } catch (error) {
-        this.logger.warn?.(
-          `[registry-loader] Skipping ${file}: ${error.message ?? error}`
-        );
-      }
-    }
+    const manifests = await collectManifests(targetDirectory, { logger: this.logger });
+    return this.loadManifests(manifests, { directory: targetDirectory });
+  }
 
-    if (manifests.length === 0) {
+  /**
+   * Persist already-collected manifest entries (see `collectManifests`) and optionally
+   * drop URNs that no longer have a source manifest. Used for incremental syncs.
+   *
+   * @param {Array<Object>} manifests - Entries produced by `collectManifests`.
+   * @param {Object} [options]
+   * @param {string} [options.directory] - Source directory reported in the summary.
+   * @param {string[]} [options.remove=[]] - URNs to delete from the registry and vector store.
+   * @returns {Promise<Object>} Load statistics.
+   */
+  async loadManifests(manifests, { directory = this.directory, remove = [] } = {}) {
+    const removals = Array.isArray(remove) ? remove.filter(Boolean) : [];
+
+    if (manifests.length === 0 && removals.length === 0) {
       this.logger.info?.(
-        `[registry-loader] No manifests discovered under ${targetDirectory}`
+        `[registry-loader] No manifests discovered under ${directory}`
       );
       return {
-        directory: targetDirectory,
+        directory,
         dbPath: this.dbPath,
         lancedbPath: this.lanceDbPath,
         manifestsProcessed: 0,
         embeddingsGenerated: 0,
+        manifestsRemoved: 0,
         dryRun: this.dryRun
       };
     }
@@ -294,10 +324,15 @@ export class RegistryLoader {
             source: entry.filePath
           });
         }
+        for (const urn of removals) {
+          await deleteManifest(db, urn);
+        }
       }
 
       const documents = manifests.map((entry) => entry.searchDocument);
-      const embeddings = await embeddingService.embedDocuments(documents);
+      const embeddings = documents.length > 0
+        ? await embeddingService.embedDocuments(documents)
+        : [];
 
       if (!this.dryRun) {
         const payloads = manifests.map((entry, index) => ({
@@ -312,14 +347,18 @@ export class RegistryLoader {
           }
         }));
         await vectorStore.upsert(payloads);
+        if (removals.length > 0 && typeof vectorStore.delete === 'function') {
+          await vectorStore.delete(removals);
+        }
       }
 
       return {
-        directory: targetDirectory,
+        directory,
         dbPath: this.dbPath,
         lancedbPath: this.lanceDbPath,
         manifestsProcessed: manifests.length,
         embeddingsGenerated: manifests.length,
+        manifestsRemoved: removals.length,
         dryRun: this.dryRun,
         schemaResult,
         vectorMode: vectorStore.mode,
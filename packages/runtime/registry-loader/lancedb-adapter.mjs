@@ -158,7 +158,9 @@ export class LanceDBAdapter {
     if (this.mode === 'lancedb' && this._table) {
       try {
         if (typeof this._table.delete === 'function') {
-          await this._table.delete(keys);
+          // LanceDB expects a SQL predicate rather than a list of ids.
+          const literals = keys.map((key) => `'${key.replace(/'/g, "''")}'`).join(', ');
+          await this._table.delete(`tool_id IN (${literals})`);
           return;
         }
         if (typeof this._table.deleteRows === 'function') {
@@ -0,0 +1,39 @@
+/**
+ * X-API-Key authentication shared by the registry HTTP server and the MCP HTTP transport.
+ */
+
+/**
+ * Resolve an API key from an explicit value, falling back to environment variables in order.
+ * @param {string} [apiKey]
+ * @param {string[]} [envNames=['REGISTRY_API_KEY']]
+ * @returns {string} The trimmed key, or '' when none is configured.
+ */
+export function resolveApiKey(apiKey, envNames = ['REGISTRY_API_KEY']) {
+  if (typeof apiKey === 'string' && apiKey.trim().length > 0) {
+    return apiKey.trim();
+  }
+  for (const name of envNames) {
+    const value = process.env[name];
+    if (typeof value === 'string' && value.trim().length > 0) {
+      return value.trim();
+    }
+  }
+  return '';
+}
+
+/**
+ * Express middleware that rejects requests whose X-API-Key header does not match `apiKey`.
+ * @param {string} apiKey
+ */
+export function createApiKeyMiddleware(apiKey) {
+  return (request, response, next) => {
+    const provided = request.get('X-API-Key');
+    if (!provided || provided !== apiKey) {
+      return response.status(401).json({
+        error: 'unauthorized',
+        message: 'Valid X-API-Key header is required.',
+      });
+    }
+    return next();
+  };
+}
@@ -0,0 +1,276 @@
+/**
+ * Registry change feed.
+ *
+ * Tails the append-only `manifest_changes` log (written by schema triggers, so loader and
+ * API writes are both covered) and fans new entries out to Server-Sent Event subscribers
+ * and to outbound webhooks. Webhook batches are signed with the identity-access JWS
+ * envelope and retried with the shared runtime retry policy; each webhook keeps a
+ * persisted delivery cursor, so delivery is at-least-once across restarts.
+ */
+
+import { readFileSync } from 'node:fs';
+
+import { signJws } from '../../../app/libs/signing/jws.mjs';
+import { PREDEFINED_POLICIES, createRetryPolicy } from '../runtime/retry-policies.js';
+import {
+  getDeliveryCursor,
+  getLatestChangeSeq,
+  listChanges,
+  saveDeliveryCursor,
+} from './repository.mjs';
+
+export const DEFAULT_POLL_INTERVAL_MS = 1000;
+export const CHANGE_TYPES = Object.freeze(['published', 'deleted', 'lifecycle', 'removed']);
+const BATCH_SIZE = 100;
+const DEFAULT_WEBHOOK_TIMEOUT_MS = 10000;
+
+function normalizeWebhook(entry, index) {
+  if (!entry || typeof entry !== 'object' || typeof entry.url !== 'string' || !entry.url) {
+    throw new Error(`changeFeed.webhooks[${index}] requires a \`url\`.`);
+  }
+  const events = entry.events ?? CHANGE_TYPES;
+  const unknown = events.filter((type) => !CHANGE_TYPES.includes(type));
+  if (unknown.length > 0) {
+    throw new Error(`changeFeed.webhooks[${index}] has unknown event types: ${unknown.join(', ')}.`);
+  }
+  return {
+    id: entry.id || entry.url,
+    url: entry.url,
+    events: new Set(events),
+    urnPrefix: entry.urnPrefix || entry.urn_prefix || null,
+    timeoutMs: Number(entry.timeoutMs) > 0 ? Number(entry.timeoutMs) : DEFAULT_WEBHOOK_TIMEOUT_MS,
+    startFrom: entry.startFrom === 'beginning' ? 'beginning' : 'latest',
+    inFlight: null,
+  };
+}
+
+function resolveSigning(signing = {}) {
+  const privateKey = signing.privateKey
+    ?? (signing.privateKeyPath ? readFileSync(signing.privateKeyPath, 'utf8') : null);
+  if (!privateKey || !signing.keyId) {
+    throw new Error('Change webhooks require changeFeed.signing with a privateKey (or privateKeyPath) and keyId.');
+  }
+  return { privateKey, keyId: signing.keyId, algorithm: signing.algorithm || 'EdDSA' };
+}
+
+export class RegistryChangeFeed {
+  /**
+   * @param {import('sqlite').Database} db
+   * @param {Object} [options]
+   * @param {number} [options.pollIntervalMs=1000] - How often to look for new changes.
+   * @param {Array<{id?: string, url: string, events?: string[], urnPrefix?: string, timeoutMs?: number, startFrom?: 'latest'|'beginning'}>} [options.webhooks]
+   * @param {{privateKey?: string, privateKeyPath?: string, keyId: string, algorithm?: 'EdDSA'|'ES256'}} [options.signing]
+   * @param {Object} [options.retry] - Overrides for the STANDARD retry policy.
+   * @param {Function} [options.fetchImpl=globalThis.fetch]
+   * @param {Console} [options.logger=console]
+   */
+  constructor(db, options = {}) {
+    this.db = db;
+    this.pollIntervalMs = Number(options.pollIntervalMs) > 0
+      ? Number(options.pollIntervalMs)
+      : DEFAULT_POLL_INTERVAL_MS;
+    this.webhooks = (options.webhooks ?? []).map(normalizeWebhook);
+    this.signing = this.webhooks.length > 0 ? resolveSigning(options.signing) : null;
+    this.retryPolicy = createRetryPolicy({
+      ...PREDEFINED_POLICIES.STANDARD,
+      enableLogging: false,
+      ...(options.retry ?? {}),
+    });
+    this.fetchImpl = options.fetchImpl ?? globalThis.fetch;
+    this.logger = options.logger ?? console;
+    this.subscribers = new Set();
+    this.timer = null;
+    this.ticking = null;
+    this.stopped = false;
+  }
+
+  /**
+   * Register a subscriber that receives every change after `since`.
+   * @returns {Function} unsubscribe
+   */
+  subscribe({ since = 0, urnPrefix = null, send, close }) {
+    const subscriber = { cursor: since, urnPrefix, send, close };
+    this.subscribers.add(subscriber);
+    this.ensureRunning();
+    this.notify();
+    return () => {
+      this.subscribers.delete(subscriber);
+    };
+  }
+
+  ensureRunning() {
+    if (this.timer || this.stopped) return;
+    this.timer = setInterval(() => this.notify(), this.pollIntervalMs);
+    this.timer.unref?.();
+  }
+
+  /**
+   * Start webhook delivery (SSE subscribers start the poller on demand).
+   */
+  start() {
+    if (this.webhooks.length > 0) {
+      this.ensureRunning();
+      this.notify();
+    }
+  }
+
+  /**
+   * Check for new changes now instead of waiting for the next poll.
+   */
+  notify() {
+    if (this.stopped) return this.ticking ?? Promise.resolve();
+    if (!this.ticking) {
+      this.ticking = this.tick().finally(() => {
+        this.ticking = null;
+      });
+    }
+    return this.ticking;
+  }
+
+  async tick() {
+    for (const subscriber of [...this.subscribers]) {
+      try {
+        await this.drainSubscriber(subscriber);
+      } catch (error) {
+        this.logger.warn?.(`[registry] Change stream subscriber failed: ${error.message}`);
+        this.subscribers.delete(subscriber);
+        subscriber.close?.();
+      }
+    }
+    for (const webhook of this.webhooks) {
+      if (!webhook.inFlight) {
+        webhook.inFlight = this.deliverWebhook(webhook)
+          .catch((error) => {
+            // Cursor/change reads failing (e.g. the DB closing) must not become unhandled rejections
+            this.logger.warn?.(`[registry] Change webhook ${webhook.id} delivery aborted: ${error.message}`);
+          })
+          .finally(() => {
+            webhook.inFlight = null;
+          });
+      }
+    }
+  }
+
+  async drainSubscriber(subscriber) {
+    let hasMore = true;
+    while (hasMore && this.subscribers.has(subscriber)) {
+      // eslint-disable-next-line no-await-in-loop
+      const page = await listChanges(this.db, {
+        since: subscriber.cursor,
+        limit: BATCH_SIZE,
+        urnPrefix: subscriber.urnPrefix,
+      });
+      for (const change of page.changes) {
+        subscriber.send(change);
+        subscriber.cursor = change.seq;
+      }
+      hasMore = page.hasMore;
+    }
+  }
+
+  async webhookCursor(webhook) {
+    const stored = await getDeliveryCursor(this.db, webhook.id);
+    if (stored) return stored.last_seq;
+    const initial = webhook.startFrom === 'beginning' ? 0 : await getLatestChangeSeq(this.db);
+    await saveDeliveryCursor(this.db, webhook.id, { lastSeq: initial });
+    return initial;
+  }
+
+  /**
+   * Deliver pending changes to one webhook, batch by batch. A failed batch keeps the
+   * cursor in place (recording `last_error`) and is retried on the next poll.
+   */
+  async deliverWebhook(webhook) {
+    let cursor = await this.webhookCursor(webhook);
+    let hasMore = true;
+    while (hasMore && !this.stopped) {
+      // eslint-disable-next-line no-await-in-loop
+      const page = await listChanges(this.db, { since: cursor, limit: BATCH_SIZE, urnPrefix: webhook.urnPrefix });
+      if (page.changes.length === 0) return;
+      const lastSeq = page.changes[page.changes.length - 1].seq;
+      const changes = page.changes.filter((change) => webhook.events.has(change.type));
+      try {
+        if (changes.length > 0) {
+          // eslint-disable-next-line no-await-in-loop
+          await this.retryPolicy.execute(() => this.postWebhook(webhook, changes, lastSeq));
+        }
+        // eslint-disable-next-line no-await-in-loop
+        await saveDeliveryCursor(this.db, webhook.id, { lastSeq });
+      } catch (error) {
+        const message = error.originalError?.message ?? error.message;
+        this.logger.warn?.(`[registry] Change webhook ${webhook.id} failed: ${message}`);
+        // eslint-disable-next-line no-await-in-loop
+        await saveDeliveryCursor(this.db, webhook.id, { lastSeq: cursor, lastError: message });
+        return;
+      }
+      cursor = lastSeq;
+      hasMore = page.hasMore;
+    }
+  }
+
+  async postWebhook(webhook, changes, cursor) {
+    const envelope = signJws(
+      { type: 'registry.changes', webhook: webhook.id, cursor: String(cursor), changes },
+      this.signing,
+    );
+    const controller = new AbortController();
+    const timeout = setTimeout(() => controller.abort(), webhook.timeoutMs);
+    timeout.unref?.();
+    try {
+      const response = await this.fetchImpl(webhook.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'X-Registry-Event': 'registry.changes',
+          'X-Registry-Delivery': `${webhook.id}:${cursor}`,
+          'X-Registry-Key-Id': this.signing.keyId,
+        },
+        body: JSON.stringify(envelope),
+        signal: controller.signal,
+      });
+      if (!response.ok) {
+        throw Object.assign(new Error(`Webhook responded with HTTP ${response.status}`), {
+          retryable: response.status === 429 || response.status >= 500,
+        });
+      }
+    } finally {
+      clearTimeout(timeout);
+    }
+  }
+
+  /**
+   * Delivery state per webhook (for health/diagnostics).
+   */
+  async status() {
+    const webhooks = [];
+    for (const webhook of this.webhooks) {
+      // eslint-disable-next-line no-await-in-loop
+      const cursor = await getDeliveryCursor(this.db, webhook.id);
+      webhooks.push({
+        id: webhook.id,
+        url: webhook.url,
+        last_seq: cursor?.last_seq ?? null,
+        last_error: cursor?.last_error ?? null,
+      });
+    }
+    return { subscribers: this.subscribers.size, webhooks };
+  }
+
+  /**
+   * Stop polling and close every open stream. In-flight webhook batches finish their
+   * current attempt and stop() resolves once their cursors are saved.
+   */
+  async stop() {
+    this.stopped = true;
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+    for (const subscriber of this.subscribers) {
+      subscriber.close?.();
+    }
+    this.subscribers.clear();
+    await this.ticking;
+    await Promise.allSettled(this.webhooks.map((webhook) => webhook.inFlight).filter(Boolean));
+  }
+}
@@ -5,7 +5,7 @@ import path from 'node:path';
 import { statfs, readFile } from 'node:fs/promises';
 import { fileURLToPath } from 'node:url';
 
-export const REGISTRY_SCHEMA_VERSION = 1;
+export const REGISTRY_SCHEMA_VERSION = 5;
 const DEFAULT_MIN_FREE_BYTES = 256 * 1024 * 1024; // 256 MB
 export const DEFAULT_SCHEMA_PATH = fileURLToPath(
   new URL('../../../scripts/db/schema.sql', import.meta.url),
@@ -1,6 +1,7 @@
 import crypto from 'node:crypto';
 import { parsePayload as parseEnvelopePayload } from '../security/dsse.mjs';
 import { summarizeProvenance } from '../security/provenance.mjs';
+import { OptimisticLockException } from '../../protocols/core/registration/optimistic-lock.js';
 
 function extractCapabilityStrings(manifest) {
   const values = new Set();
@@ -45,9 +46,65 @@ function extractCapabilityStrings(manifest) {
   return Array.from(values);
 }
 
+function extractSearchText(manifest) {
+  const pick = (...values) => values.find((value) => typeof value === 'string' && value.trim()) ?? null;
+  if (!manifest || typeof manifest !== 'object') {
+    return { name: null, description: null };
+  }
+  return {
+    name: pick(manifest.name, manifest.metadata?.name),
+    description: pick(manifest.description, manifest.metadata?.description),
+  };
+}
+
 const sha256 = (s) => crypto.createHash('sha256').update(s).digest('hex');
 
-export async function upsertManifest(db, urn, body, { issuer, signature, provenance } = {}) {
+/**
+ * Compute the digest the registry stores for a manifest body.
+ */
+export function computeManifestDigest(body) {
+  return sha256(typeof body === 'string' ? body : JSON.stringify(body));
+}
+
+// Tail of the write queue per connection; SQLite allows one open transaction per connection.
+const writeQueues = new WeakMap();
+
+/**
+ * Run `work` inside `BEGIN IMMEDIATE … COMMIT`, rolling back if it throws. Calls on the
+ * same connection are queued so their statements cannot interleave.
+ */
+async function withWriteTransaction(db, work) {
+  const previous = writeQueues.get(db) ?? Promise.resolve();
+  const run = previous.then(async () => {
+    await db.run('BEGIN IMMEDIATE');
+    try {
+      const result = await work();
+      await db.run('COMMIT');
+      return result;
+    } catch (error) {
+      await db.run('ROLLBACK').catch(() => {});
+      throw error;
+    }
+  });
+  writeQueues.set(db, run.catch(() => {}));
+  return run;
+}
+
+/**
+ * Insert or replace the manifest for a URN and record its revision.
+ *
+ * Pass `expectedDigest` for a compare-and-swap write: a digest string only replaces a
+ * manifest whose current digest matches, and `null` only creates a manifest that does not
+ * exist yet. A lost race throws `OptimisticLockException` with the current digest as
+ * `actualVersion` (null when the URN is absent).
+ *
+ * The manifest row, search and capability indexes and the revision commit in one transaction.
+ */
+export async function upsertManifest(db, urn, body, options = {}) {
+  return withWriteTransaction(db, () => writeManifest(db, urn, body, options));
+}
+
+async function writeManifest(db, urn, body, { issuer, signature, provenance, expectedDigest } = {}) {
   if (typeof body === 'string') {
     try {
       const parsed = JSON.parse(body);
@@ -100,19 +157,48 @@ export async function upsertManifest(db, urn, body, { issuer, signature, provena
     }
   }
 
-  await db.run(
-    `INSERT INTO manifests (urn, body, digest, issuer, signature)
-     VALUES (?, ?, ?, ?, ?)
-     ON CONFLICT(urn) DO UPDATE SET body=excluded.body, digest=excluded.digest, issuer=excluded.issuer, signature=excluded.signature, updated_at=datetime('now')`,
-    [urn, payload, digest, issuer || null, signatureValue]
-  );
+  if (expectedDigest === undefined) {
+    await db.run(
+      `INSERT INTO manifests (urn, body, digest, issuer, signature)
+       VALUES (?, ?, ?, ?, ?)
+       ON CONFLICT(urn) DO UPDATE SET body=excluded.body, digest=excluded.digest, issuer=excluded.issuer, signature=excluded.signature, updated_at=datetime('now')`,
+      [urn, payload, digest, issuer || null, signatureValue]
+    );
+  } else {
+    const write = expectedDigest === null
+      ? await db.run(
+          `INSERT INTO manifests (urn, body, digest, issuer, signature)
+           VALUES (?, ?, ?, ?, ?)
+           ON CONFLICT(urn) DO NOTHING`,
+          [urn, payload, digest, issuer || null, signatureValue]
+        )
+      : await db.run(
+          `UPDATE manifests SET body=?, digest=?, issuer=?, signature=?, updated_at=datetime('now')
+           WHERE urn=? AND digest=?`,
+          [payload, digest, issuer || null, signatureValue, urn, expectedDigest]
+        );
+    if (!write?.changes) {
+      const current = await getManifestDigest(db, urn);
+      const error = new OptimisticLockException(urn, expectedDigest, current);
+      error.retryable = false;
+      throw error;
+    }
+  }
   
-  // Extract capabilities from manifest
+  // Extract capabilities and searchable text from manifest
   let caps = [];
+  let searchText = { name: null, description: null };
   try {
     const json = JSON.parse(payload);
     caps = extractCapabilityStrings(json);
+    searchText = extractSearchText(json);
   } catch {}
+
+  await db.run("DELETE FROM manifests_fts WHERE urn=?", [urn]);
+  await db.run(
+    "INSERT INTO manifests_fts (urn, name, description) VALUES (?, ?, ?)",
+    [urn, searchText.name, searchText.description]
+  );
   
   await db.run("DELETE FROM capabilities WHERE urn=?", [urn]);
   for (const cap of caps) {
@@ -123,8 +209,37 @@ export async function upsertManifest(db, urn, body, { issuer, signature, provena
   if (provenance) {
     await insertProvenance(db, urn, digest, provenance);
   }
-  
-  return { urn, digest };
+
+  // Publishing a manifest again re-registers a tombstoned URN.
+  await db.run("DELETE FROM manifest_lifecycle WHERE urn=? AND state='tombstoned'", [urn]);
+
+  const revision = await recordRevision(db, urn, {
+    body: payload,
+    digest,
+    issuer: issuer || null,
+    signature: signatureValue,
+  });
+
+  return { urn, digest, revision };
+}
+
+/**
+ * Append an immutable revision for a URN. Re-publishing the body of the latest
+ * revision is idempotent and returns that revision number instead of a new one.
+ */
+export async function recordRevision(db, urn, { body, digest, issuer = null, signature = null }) {
+  await db.run(
+    `INSERT INTO manifest_revisions (urn, revision, body, digest, issuer, signature)
+     SELECT ?, COALESCE(MAX(revision), 0) + 1, ?, ?, ?, ?
+     FROM manifest_revisions WHERE urn = ?
+     HAVING COALESCE((SELECT digest FROM manifest_revisions WHERE urn = ? ORDER BY revision DESC LIMIT 1), '') <> ?`,
+    [urn, body, digest, issuer, signature, urn, urn, digest]
+  );
+  const latest = await db.get(
+    "SELECT revision FROM manifest_revisions WHERE urn=? ORDER BY revision DESC LIMIT 1",
+    [urn]
+  );
+  return latest?.revision ?? null;
 }
 
 /**
@@ -199,6 +314,14 @@ export async function getProvenance(db, urn) {
   });
 }
 
+/**
+ * Current digest for a URN without loading the body, or null when it is not registered.
+ */
+export async function getManifestDigest(db, urn) {
+  const row = await db.get("SELECT digest FROM manifests WHERE urn=?", [urn]);
+  return row?.digest ?? null;
+}
+
 export async function getManifest(db, urn) {
   const row = await db.get(
     "SELECT body, digest, issuer, signature, updated_at FROM manifests WHERE urn=?",
@@ -238,32 +361,194 @@ export async function getManifest(db, urn) {
   };
   
   if (provenanceRow) {
-    try {
-      const envelope = JSON.parse(provenanceRow.envelope);
-      const summary = summarizeProvenance(envelope);
-      result.provenance = {
-        ...summary,
-        builder: summary.builder || provenanceRow.issuer,
-        committedAt: provenanceRow.committed_at,
-        issuer: provenanceRow.issuer,
-        digest: provenanceRow.digest,
-        recordedAt: provenanceRow.created_at,
-      };
-    } catch {
-      result.provenance = { error: 'invalid-provenance' };
-    }
+    result.provenance = summarizeProvenanceRow(provenanceRow);
   }
   
   return result;
 }
 
-export async function queryByCapability(db, cap) {
+function summarizeProvenanceRow(provenanceRow) {
+  try {
+    const envelope = JSON.parse(provenanceRow.envelope);
+    const summary = summarizeProvenance(envelope);
+    return {
+      ...summary,
+      builder: summary.builder || provenanceRow.issuer,
+      committedAt: provenanceRow.committed_at,
+      issuer: provenanceRow.issuer,
+      digest: provenanceRow.digest,
+      recordedAt: provenanceRow.created_at,
+    };
+  } catch {
+    return { error: 'invalid-provenance' };
+  }
+}
+
+/**
+ * Latest provenance summary recorded for a specific manifest digest, or null.
+ */
+export async function getProvenanceForDigest(db, urn, digest) {
+  const provenanceRow = await db.get(
+    "SELECT envelope, digest, issuer, committed_at, created_at FROM provenance WHERE urn=? AND digest=? ORDER BY created_at DESC LIMIT 1",
+    [urn, digest]
+  );
+  return provenanceRow ? summarizeProvenanceRow(provenanceRow) : null;
+}
+
+export async function queryByCapability(db, cap, { excludeDeprecated = false } = {}) {
+  const lifecycleFilter = excludeDeprecated
+    ? " AND NOT EXISTS (SELECT 1 FROM manifest_lifecycle l WHERE l.urn=m.urn AND l.state IN ('deprecated','sunset'))"
+    : '';
   return await db.all(
-    "SELECT m.urn, m.digest FROM capabilities c JOIN manifests m ON m.urn=c.urn WHERE c.cap=?",
+    `SELECT m.urn, m.digest FROM capabilities c JOIN manifests m ON m.urn=c.urn WHERE c.cap=?${lifecycleFilter}`,
     [cap]
   );
 }
 
+function queryError(message) {
+  return Object.assign(new Error(message), { code: 'invalid_query' });
+}
+
+/**
+ * Translate a capability pattern into a case-sensitive GLOB. `*` matches any run of
+ * characters and `?` a single character, so `billing.*` is a prefix match; `[` is the
+ * only GLOB metacharacter that needs escaping.
+ */
+function capabilityGlob(pattern) {
+  return pattern.replace(/\[/g, '[[]');
+}
+
+function normalisePatterns(value, field) {
+  if (value === undefined || value === null) return [];
+  const list = Array.isArray(value) ? value : [value];
+  return list.map((entry) => {
+    if (typeof entry !== 'string' || !entry.trim()) {
+      throw queryError(`\`${field}\` must contain non-empty capability strings.`);
+    }
+    return entry.trim();
+  });
+}
+
+/**
+ * Turn free text into an FTS5 query: every word must match (implicit AND) and a
+ * trailing `*` keeps prefix matching. FTS5 operators in the input are treated as words.
+ */
+function toFtsQuery(text) {
+  const terms = String(text)
+    .split(/[^\p{L}\p{N}_*]+/u)
+    .map((term) => term.replace(/\*+(?=.)/g, ''))
+    .filter((term) => term.replace(/\*/g, '').length > 0)
+    .map((term) => (term.endsWith('*') ? `"${term.replace(/\*+$/, '')}"*` : `"${term}"`));
+  if (terms.length === 0) {
+    throw queryError('`text` must contain at least one word.');
+  }
+  return terms.join(' ');
+}
+
+function parseHighlight(value) {
+  return typeof value === 'string' && value.includes('<mark>') ? value : null;
+}
+
+/**
+ * Boolean capability and free-text search over active (non-tombstoned) manifests.
+ *
+ * Capability lists accept exact names or `*` / `?` wildcards: every `allOf` pattern
+ * must match, at least one `anyOf` pattern must match and no `noneOf` pattern may
+ * match. `text` searches manifest names and descriptions through the FTS5 index;
+ * results are then ranked by BM25 (best first) and carry `<mark>` highlights.
+ * Without `text`, results are ordered by URN.
+ *
+ * @returns {Promise<Array<{urn, digest, capabilities, score, highlights}>>}
+ * @throws {Error} `code: 'invalid_query'` when no criteria or malformed criteria are given.
+ */
+export async function searchManifests(db, {
+  allOf,
+  anyOf,
+  noneOf,
+  text,
+  excludeDeprecated = false,
+  limit = DEFAULT_PAGE_LIMIT,
+} = {}) {
+  const all = normalisePatterns(allOf, 'all_of');
+  const any = normalisePatterns(anyOf, 'any_of');
+  const none = normalisePatterns(noneOf, 'none_of');
+  const hasText = text !== undefined && text !== null && String(text).trim() !== '';
+  if (text !== undefined && text !== null && typeof text !== 'string') {
+    throw queryError('`text` must be a string.');
+  }
+  if (all.length === 0 && any.length === 0 && !hasText) {
+    throw queryError('Provide at least one of `all_of`, `any_of` or `text`.');
+  }
+  const requested = Number(limit ?? DEFAULT_PAGE_LIMIT);
+  if (!Number.isInteger(requested) || requested < 1) {
+    throw queryError('`limit` must be a positive integer.');
+  }
+
+  const where = ["NOT EXISTS (SELECT 1 FROM manifest_lifecycle l WHERE l.urn = m.urn AND l.state = 'tombstoned')"];
+  const params = [];
+  const capabilityMatch = (patterns) =>
+    `EXISTS (SELECT 1 FROM capabilities c WHERE c.urn = m.urn AND (${patterns.map(() => 'c.cap GLOB ?').join(' OR ')}))`;
+
+  for (const pattern of all) {
+    where.push(capabilityMatch([pattern]));
+    params.push(capabilityGlob(pattern));
+  }
+  if (any.length > 0) {
+    where.push(capabilityMatch(any));
+    params.push(...any.map(capabilityGlob));
+  }
+  if (none.length > 0) {
+    where.push(`NOT ${capabilityMatch(none)}`);
+    params.push(...none.map(capabilityGlob));
+  }
+  if (excludeDeprecated) {
+    where.push("NOT EXISTS (SELECT 1 FROM manifest_lifecycle l WHERE l.urn = m.urn AND l.state IN ('deprecated', 'sunset'))");
+  }
+
+  const hits = hasText
+    ? `WITH hits AS (
+         SELECT urn, bm25(manifests_fts) AS rank,
+           highlight(manifests_fts, 1, '<mark>', '</mark>') AS name_hl,
+           highlight(manifests_fts, 2, '<mark>', '</mark>') AS description_hl
+         FROM manifests_fts WHERE manifests_fts MATCH ?
+       ) `
+    : '';
+  const rows = await db.all(
+    `${hits}SELECT m.urn, m.digest${hasText ? ', hits.rank, hits.name_hl, hits.description_hl' : ''}
+     FROM manifests m${hasText ? ' JOIN hits ON hits.urn = m.urn' : ''}
+     WHERE ${where.join(' AND ')}
+     ORDER BY ${hasText ? 'hits.rank ASC, ' : ''}m.urn ASC
+     LIMIT ?`,
+    [...(hasText ? [toFtsQuery(text)] : []), ...params, Math.min(requested, MAX_PAGE_LIMIT)]
+  );
+
+  const capabilities = new Map(rows.map((row) => [row.urn, []]));
+  if (rows.length > 0) {
+    const capRows = await db.all(
+      `SELECT urn, cap FROM capabilities WHERE urn IN (${rows.map(() => '?').join(', ')}) ORDER BY cap`,
+      rows.map((row) => row.urn)
+    );
+    for (const row of capRows) {
+      capabilities.get(row.urn).push(row.cap);
+    }
+  }
+
+  return rows.map((row) => {
+    const highlights = {};
+    const name = parseHighlight(row.name_hl);
+    const description = parseHighlight(row.description_hl);
+    if (name) highlights.name = name;
+    if (description) highlights.description = description;
+    return {
+      urn: row.urn,
+      digest: row.digest,
+      capabilities: capabilities.get(row.urn),
+      score: hasText ? -row.rank : null,
+      highlights: hasText ? highlights : null,
+    };
+  });
+}
+
 export async function resolve(db, urn) {
   const m = await getManifest(db, urn);
   if (!m) return null;
@@ -272,10 +557,446 @@ export async function resolve(db, urn) {
     urn,
     manifest: m.body,
     capabilities: caps.map(x => x.cap),
-    digest: m.digest
+    digest: m.digest,
+    lifecycle: await getLifecycle(db, urn)
   };
 }
 
+/**
+ * Remove a manifest and its capability index rows. Provenance history is retained.
+ */
+export async function deleteManifest(db, urn) {
+  await db.run("DELETE FROM capabilities WHERE urn=?", [urn]);
+  await db.run("DELETE FROM manifest_lifecycle WHERE urn=?", [urn]);
+  await db.run("DELETE FROM manifests_fts WHERE urn=?", [urn]);
+  const result = await db.run("DELETE FROM manifests WHERE urn=?", [urn]);
+  return { urn, deleted: (result?.changes ?? 0) > 0 };
+}
+
+/**
+ * Every stored manifest, tombstones included, with its lifecycle `state`. Registries created
+ * before lifecycle tracking (read without `ensureSchema`) report every manifest as `active`.
+ */
 export async function listManifests(db) {
-  return await db.all("SELECT urn, digest, updated_at FROM manifests ORDER BY updated_at DESC");
+  const lifecycle = await db.get(
+    "SELECT 1 AS present FROM sqlite_master WHERE type='table' AND name='manifest_lifecycle'"
+  );
+  if (!lifecycle) {
+    return await db.all(
+      "SELECT urn, digest, updated_at, 'active' AS state FROM manifests ORDER BY updated_at DESC"
+    );
+  }
+  return await db.all(
+    `SELECT m.urn, m.digest, m.updated_at, COALESCE(l.state, 'active') AS state
+     FROM manifests m LEFT JOIN manifest_lifecycle l ON l.urn = m.urn
+     ORDER BY m.updated_at DESC`
+  );
+}
+
+export const MANIFEST_SORT_FIELDS = Object.freeze(['urn', 'updated_at', 'created_at']);
+export const DEFAULT_PAGE_LIMIT = 50;
+export const MAX_PAGE_LIMIT = 200;
+
+function encodeCursor(position) {
+  return Buffer.from(JSON.stringify(position), 'utf8').toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  try {
+    const position = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (position && typeof position === 'object' && typeof position.u === 'string') {
+      return position;
+    }
+  } catch {
+    // fall through
+  }
+  throw Object.assign(new Error('Cursor is malformed.'), { code: 'invalid_cursor' });
+}
+
+/**
+ * Convert an ISO-8601 timestamp into SQLite's `datetime('now')` text format so it
+ * compares correctly against `created_at`/`updated_at` columns.
+ */
+export function toSqliteTimestamp(value, { milliseconds = false } = {}) {
+  const parsed = new Date(value);
+  if (Number.isNaN(parsed.getTime())) {
+    return null;
+  }
+  return parsed.toISOString().replace('T', ' ').slice(0, milliseconds ? 23 : 19);
+}
+
+/**
+ * List manifests one page at a time using keyset pagination. The cursor encodes the
+ * sort column value and URN of the last row returned, so pages stay stable while rows
+ * are inserted.
+ *
+ * @param {Object} db
+ * @param {Object} [options]
+ * @param {string} [options.prefix] - Only URNs starting with this prefix.
+ * @param {string} [options.issuer] - Exact issuer match.
+ * @param {string[]|string} [options.capability] - Capabilities the manifest must all declare.
+ * @param {string} [options.updatedSince] - ISO timestamp; only rows updated at or after it.
+ * @param {string} [options.sort='updated_at'] - One of MANIFEST_SORT_FIELDS.
+ * @param {string} [options.order] - `asc` or `desc` (default `desc`, `asc` for `urn`).
+ * @param {number} [options.limit=50] - Page size (capped at MAX_PAGE_LIMIT).
+ * @param {string} [options.cursor] - `next_cursor` from a previous page.
+ * @returns {Promise<{ items: Object[], nextCursor: string|null, limit: number, sort: string, order: string }>}
+ */
+export async function listManifestsPage(db, options = {}) {
+  const sort = options.sort ?? 'updated_at';
+  if (!MANIFEST_SORT_FIELDS.includes(sort)) {
+    throw Object.assign(new Error(`Unsupported sort field '${sort}'.`), { code: 'invalid_sort' });
+  }
+  const order = String(options.order ?? (sort === 'urn' ? 'asc' : 'desc')).toLowerCase();
+  if (order !== 'asc' && order !== 'desc') {
+    throw Object.assign(new Error(`Unsupported sort order '${options.order}'.`), { code: 'invalid_sort' });
+  }
+  const requestedLimit = Number(options.limit ?? DEFAULT_PAGE_LIMIT);
+  const limit = Number.isFinite(requestedLimit) && requestedLimit > 0
+    ? Math.min(Math.floor(requestedLimit), MAX_PAGE_LIMIT)
+    : DEFAULT_PAGE_LIMIT;
+
+  const where = ["NOT EXISTS (SELECT 1 FROM manifest_lifecycle l WHERE l.urn = m.urn AND l.state = 'tombstoned')"];
+  const params = [];
+
+  if (options.prefix) {
+    where.push('substr(m.urn, 1, ?) = ?');
+    params.push(options.prefix.length, options.prefix);
+  }
+  if (options.issuer) {
+    where.push('m.issuer = ?');
+    params.push(options.issuer);
+  }
+  const capabilities = (Array.isArray(options.capability) ? options.capability : [options.capability])
+    .filter((cap) => typeof cap === 'string' && cap.trim())
+    .map((cap) => cap.trim());
+  for (const cap of capabilities) {
+    where.push('EXISTS (SELECT 1 FROM capabilities c WHERE c.urn = m.urn AND c.cap = ?)');
+    params.push(cap);
+  }
+  if (options.updatedSince) {
+    const since = toSqliteTimestamp(options.updatedSince);
+    if (!since) {
+      throw Object.assign(new Error('updated_since must be an ISO-8601 timestamp.'), { code: 'invalid_filter' });
+    }
+    where.push('m.updated_at >= ?');
+    params.push(since);
+  }
+
+  const comparator = order === 'asc' ? '>' : '<';
+  if (options.cursor) {
+    const position = decodeCursor(options.cursor);
+    if (position.s !== sort || position.o !== order) {
+      throw Object.assign(new Error('Cursor does not match the requested sort.'), { code: 'invalid_cursor' });
+    }
+    if (sort === 'urn') {
+      where.push(`m.urn ${comparator} ?`);
+      params.push(position.u);
+    } else {
+      where.push(`(m.${sort} ${comparator} ? OR (m.${sort} = ? AND m.urn ${comparator} ?))`);
+      params.push(position.v, position.v, position.u);
+    }
+  }
+
+  const direction = order.toUpperCase();
+  const orderBy = sort === 'urn' ? `m.urn ${direction}` : `m.${sort} ${direction}, m.urn ${direction}`;
+  const rows = await db.all(
+    `SELECT m.urn, m.digest, m.issuer, m.created_at, m.updated_at FROM manifests m
+     WHERE ${where.join(' AND ')}
+     ORDER BY ${orderBy}
+     LIMIT ?`,
+    [...params, limit + 1]
+  );
+
+  const page = rows.slice(0, limit);
+  const capsByUrn = new Map(page.map((row) => [row.urn, []]));
+  if (page.length > 0) {
+    const placeholders = page.map(() => '?').join(',');
+    const capRows = await db.all(
+      `SELECT urn, cap FROM capabilities WHERE urn IN (${placeholders}) ORDER BY cap`,
+      page.map((row) => row.urn)
+    );
+    for (const row of capRows) {
+      capsByUrn.get(row.urn)?.push(row.cap);
+    }
+  }
+
+  const last = page[page.length - 1];
+  return {
+    items: page.map((row) => ({ ...row, capabilities: capsByUrn.get(row.urn) ?? [] })),
+    nextCursor: rows.length > limit && last
+      ? encodeCursor({ s: sort, o: order, v: sort === 'urn' ? null : last[sort], u: last.urn })
+      : null,
+    limit,
+    sort,
+    order
+  };
+}
+
+const DIGEST_PATTERN = /^(?:sha256:)?([0-9a-f]{64})$/i;
+
+function parseStoredBody(body) {
+  try {
+    return JSON.parse(body);
+  } catch {
+    return body;
+  }
+}
+
+function toRevision(row, { includeBody = true } = {}) {
+  if (!row) return null;
+  return {
+    urn: row.urn,
+    revision: row.revision,
+    digest: row.digest,
+    issuer: row.issuer ?? null,
+    created_at: row.created_at,
+    ...(includeBody ? { body: parseStoredBody(row.body), signature: row.signature ?? null } : {}),
+  };
+}
+
+/**
+ * List the revisions recorded for a URN, newest first (bodies omitted).
+ */
+export async function listRevisions(db, urn, { limit, before } = {}) {
+  const params = [urn];
+  let filter = '';
+  if (Number.isInteger(before)) {
+    filter = ' AND revision < ?';
+    params.push(before);
+  }
+  const requested = Number(limit);
+  const cap = Number.isFinite(requested) && requested > 0 ? Math.min(Math.floor(requested), MAX_PAGE_LIMIT) : null;
+  const rows = await db.all(
+    `SELECT urn, revision, digest, issuer, created_at FROM manifest_revisions
+     WHERE urn=?${filter} ORDER BY revision DESC${cap ? ' LIMIT ?' : ''}`,
+    cap ? [...params, cap] : params
+  );
+  return rows.map((row) => toRevision(row, { includeBody: false }));
+}
+
+export async function getRevision(db, urn, revision) {
+  const row = await db.get(
+    "SELECT urn, revision, body, digest, issuer, signature, created_at FROM manifest_revisions WHERE urn=? AND revision=?",
+    [urn, revision]
+  );
+  return toRevision(row);
+}
+
+// Integer selectors at or above these are epoch times rather than revision numbers
+// (10^9 s is 2001-09-09; 10^12 ms is the same instant).
+const EPOCH_SECONDS_MIN = 1e9;
+const EPOCH_MILLISECONDS_MIN = 1e12;
+
+/**
+ * Resolve a revision selector for a URN: a revision number (`3`), a manifest digest
+ * (hex sha256, optionally `sha256:`-prefixed) or a timestamp, which picks the revision
+ * that was current at that instant. Timestamps are ISO-8601 strings or Unix epoch
+ * integers: integers from 10^9 are epoch seconds and from 10^12 epoch milliseconds,
+ * smaller ones are revision numbers. Omitted selectors resolve to the latest.
+ *
+ * @returns {Promise<Object|null>} Revision with parsed body, or null when none matches.
+ * @throws {Error} `code: 'invalid_selector'` when the selector cannot be parsed.
+ */
+export async function resolveRevision(db, urn, selector) {
+  const columns = 'urn, revision, body, digest, issuer, signature, created_at';
+  if (selector === undefined || selector === null || selector === '' || selector === 'latest') {
+    return toRevision(await db.get(
+      `SELECT ${columns} FROM manifest_revisions WHERE urn=? ORDER BY revision DESC LIMIT 1`,
+      [urn]
+    ));
+  }
+
+  const value = String(selector).trim();
+  let instant = value;
+  if (/^\d{1,15}$/.test(value)) {
+    const number = Number(value);
+    if (number < EPOCH_SECONDS_MIN) {
+      return getRevision(db, urn, number);
+    }
+    instant = number < EPOCH_MILLISECONDS_MIN ? number * 1000 : number;
+  }
+
+  const digestMatch = value.match(DIGEST_PATTERN);
+  if (digestMatch) {
+    return toRevision(await db.get(
+      `SELECT ${columns} FROM manifest_revisions WHERE urn=? AND digest=? ORDER BY revision DESC LIMIT 1`,
+      [urn, digestMatch[1].toLowerCase()]
+    ));
+  }
+
+  const at = toSqliteTimestamp(instant, { milliseconds: true });
+  if (!at) {
+    throw Object.assign(
+      new Error(`Revision selector '${value}' is not a revision number, digest, ISO-8601 timestamp or epoch time.`),
+      { code: 'invalid_selector' }
+    );
+  }
+  return toRevision(await db.get(
+    `SELECT ${columns} FROM manifest_revisions WHERE urn=? AND created_at <= ? ORDER BY revision DESC LIMIT 1`,
+    [urn, at]
+  ));
+}
+
+export const LIFECYCLE_STATES = Object.freeze(['active', 'deprecated', 'sunset', 'tombstoned']);
+
+function lifecycleError(message) {
+  return Object.assign(new Error(message), { code: 'invalid_lifecycle' });
+}
+
+/**
+ * Lifecycle state for a URN. URNs without a lifecycle row are `active`.
+ */
+export async function getLifecycle(db, urn) {
+  const row = await db.get(
+    "SELECT state, reason, sunset_at, replaced_by, tombstone_digest, updated_at FROM manifest_lifecycle WHERE urn=?",
+    [urn]
+  );
+  return {
+    state: row?.state ?? 'active',
+    reason: row?.reason ?? null,
+    sunset_at: row?.sunset_at ?? null,
+    replaced_by: row?.replaced_by ?? null,
+    ...(row?.state === 'tombstoned' ? { tombstone_digest: row.tombstone_digest } : {}),
+    updated_at: row?.updated_at ?? null,
+  };
+}
+
+/**
+ * Mark a URN `deprecated` or `sunset`, or return it to `active`. Tombstones are only
+ * written by `tombstoneManifest` and cleared by publishing the URN again.
+ *
+ * @throws {Error} `code: 'invalid_lifecycle'` for unknown states or malformed `sunsetAt`.
+ */
+export async function setLifecycleState(db, urn, { state, reason = null, sunsetAt = null, replacedBy = null } = {}) {
+  if (!['active', 'deprecated', 'sunset'].includes(state)) {
+    throw lifecycleError(`Lifecycle state must be one of active, deprecated or sunset (got '${state}').`);
+  }
+  let sunset = null;
+  if (sunsetAt !== null && sunsetAt !== undefined && sunsetAt !== '') {
+    const parsed = new Date(sunsetAt);
+    if (Number.isNaN(parsed.getTime())) {
+      throw lifecycleError(`sunset_at '${sunsetAt}' is not an ISO-8601 timestamp.`);
+    }
+    sunset = parsed.toISOString();
+  }
+
+  if (state === 'active') {
+    await db.run("DELETE FROM manifest_lifecycle WHERE urn=?", [urn]);
+  } else {
+    await db.run(
+      `INSERT INTO manifest_lifecycle (urn, state, reason, sunset_at, replaced_by, tombstone_digest)
+       VALUES (?, ?, ?, ?, ?, NULL)
+       ON CONFLICT(urn) DO UPDATE SET state=excluded.state, reason=excluded.reason, sunset_at=excluded.sunset_at,
+         replaced_by=excluded.replaced_by, tombstone_digest=NULL, updated_at=datetime('now')`,
+      [urn, state, reason || null, sunset, replacedBy || null]
+    );
+  }
+  return getLifecycle(db, urn);
+}
+
+/**
+ * Retire a URN without hard-deleting it. The tombstone document becomes the latest
+ * revision (so history and `?at=` reads keep working), capability rows are dropped and
+ * the lifecycle state moves to `tombstoned`. The write compare-and-swaps against
+ * `expectedDigest` (default: the digest read here) like a conditional PUT.
+ */
+export async function tombstoneManifest(db, urn, {
+  reason = null,
+  replacedBy = null,
+  issuer,
+  signature,
+  provenance,
+  expectedDigest,
+} = {}) {
+  return withWriteTransaction(db, async () => {
+    const previousDigest = await getManifestDigest(db, urn);
+    const tombstone = {
+      tombstone: true,
+      urn,
+      reason: reason || null,
+      replaced_by: replacedBy || null,
+      previous_digest: previousDigest,
+      deleted_at: new Date().toISOString(),
+    };
+    const result = await writeManifest(db, urn, tombstone, {
+      issuer,
+      signature,
+      provenance,
+      expectedDigest: expectedDigest === undefined ? previousDigest : expectedDigest,
+    });
+    await db.run(
+      `INSERT INTO manifest_lifecycle (urn, state, reason, sunset_at, replaced_by, tombstone_digest)
+       VALUES (?, 'tombstoned', ?, NULL, ?, ?)
+       ON CONFLICT(urn) DO UPDATE SET state='tombstoned', reason=excluded.reason, sunset_at=NULL,
+         replaced_by=excluded.replaced_by, tombstone_digest=excluded.tombstone_digest, updated_at=datetime('now')`,
+      [urn, tombstone.reason, tombstone.replaced_by, result.digest]
+    );
+    return { ...result, tombstone };
+  });
+}
+
+function changeCursorError(message) {
+  return Object.assign(new Error(message), { code: 'invalid_cursor' });
+}
+
+/**
+ * Parse a change-feed cursor (the `seq` of the last change seen). Empty means "from the start".
+ */
+export function parseChangeCursor(cursor) {
+  if (cursor === undefined || cursor === null || cursor === '') return 0;
+  const value = String(cursor).trim();
+  if (!/^\d+$/.test(value)) {
+    throw changeCursorError(`Change cursor '${value}' must be a non-negative integer.`);
+  }
+  return Number(value);
+}
+
+/**
+ * Read the change log after `since`, oldest first.
+ */
+export async function listChanges(db, { since = 0, limit = DEFAULT_PAGE_LIMIT, urnPrefix } = {}) {
+  const after = parseChangeCursor(since);
+  const requested = Number(limit ?? DEFAULT_PAGE_LIMIT);
+  if (!Number.isInteger(requested) || requested < 1) {
+    throw changeCursorError('`limit` must be a positive integer.');
+  }
+  const params = [after];
+  let prefixFilter = '';
+  if (typeof urnPrefix === 'string' && urnPrefix) {
+    prefixFilter = ' AND substr(urn, 1, ?) = ?';
+    params.push(urnPrefix.length, urnPrefix);
+  }
+  const cap = Math.min(requested, MAX_PAGE_LIMIT);
+  const rows = await db.all(
+    `SELECT seq, urn, type, digest, revision, state, created_at FROM manifest_changes
+     WHERE seq > ?${prefixFilter} ORDER BY seq ASC LIMIT ?`,
+    [...params, cap + 1]
+  );
+  const changes = rows.slice(0, cap);
+  return {
+    changes,
+    nextCursor: changes.length > 0 ? String(changes[changes.length - 1].seq) : String(after),
+    hasMore: rows.length > cap,
+  };
+}
+
+export async function getLatestChangeSeq(db) {
+  const row = await db.get("SELECT MAX(seq) AS seq FROM manifest_changes");
+  return row?.seq ?? 0;
+}
+
+export async function getDeliveryCursor(db, subscriber) {
+  return db.get(
+    "SELECT subscriber, last_seq, last_error, updated_at FROM change_deliveries WHERE subscriber=?",
+    [subscriber]
+  );
+}
+
+export async function saveDeliveryCursor(db, subscriber, { lastSeq, lastError = null }) {
+  await db.run(
+    `INSERT INTO change_deliveries (subscriber, last_seq, last_error) VALUES (?, ?, ?)
+     ON CONFLICT(subscriber) DO UPDATE SET last_seq=excluded.last_seq, last_error=excluded.last_error, updated_at=datetime('now')`,
+    [subscriber, lastSeq, lastError]
+  );
 }
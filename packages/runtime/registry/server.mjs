@@ -1,10 +1,33 @@
 import express from 'express';
 import rateLimit from 'express-rate-limit';
 import { openDb, getHealth, ensureSchema, DEFAULT_SCHEMA_PATH } from './db.mjs';
-import { upsertManifest, getManifest, queryByCapability, resolve, listManifests } from './repository.mjs';
-import { readFile } from 'node:fs/promises';
+import {
+  upsertManifest,
+  getManifest,
+  queryByCapability,
+  resolve,
+  listManifestsPage,
+  listRevisions,
+  getRevision,
+  resolveRevision,
+  getProvenanceForDigest,
+  getManifestDigest,
+  getLifecycle,
+  setLifecycleState,
+  tombstoneManifest,
+  searchManifests,
+  listChanges,
+  parseChangeCursor,
+  getLatestChangeSeq,
+} from './repository.mjs';
+import { RegistryChangeFeed } from './change-feed.mjs';
+import { createApiKeyMiddleware, resolveApiKey } from './api-key.mjs';
+import { OptimisticLockException } from '../../protocols/core/registration/optimistic-lock.js';
+import { DiffEngine } from '../../protocols/diff/engine.js';
+import { readFile, stat } from 'node:fs/promises';
 import { fileURLToPath } from 'node:url';
 import { validateProvenance, summarizeProvenance } from '../security/provenance.mjs';
+import { loadKeyring, resolveKeyState, toVerificationConfigs } from '../security/keyring.mjs';
 const DEFAULT_RATE_LIMIT_CONFIG = fileURLToPath(
   new URL('../../../app/config/security/rate-limit.config.json', import.meta.url),
 );
@@ -21,9 +44,12 @@ const WELL_KNOWN_PAYLOAD = {
   version: 'registry.ossp-agi.io/v1',
   description: 'SQLite-backed registry with WAL mode for durability',
   links: {
+    list_v1: '/v1/registry',
     register_v1: '/v1/registry/{urn}',
     resolve_v1: '/v1/resolve?urn={urn}',
     query_v1: '/v1/query',
+    changes_v1: '/v1/changes?since={cursor}',
+    changes_stream_v1: '/v1/changes/stream',
     health: '/health',
   },
   auth: { type: 'api-key', header: 'X-API-Key' },
@@ -38,6 +64,147 @@ export async function loadOpenApiSpec() {
   return JSON.parse(raw);
 }
 
+/**
+ * Manifest digests double as strong entity tags.
+ */
+function formatEtag(digest) {
+  return digest ? `"${digest}"` : null;
+}
+
+/**
+ * Parse an If-Match / If-None-Match header into `'*'` or a list of opaque tags.
+ * Weak tags compare by their opaque value; the registry only issues strong tags.
+ */
+function parseEtagHeader(value) {
+  if (typeof value !== 'string' || value.trim() === '') return null;
+  if (value.trim() === '*') return '*';
+  return value
+    .split(',')
+    .map((tag) => tag.trim().replace(/^W\//, '').replace(/^"(.*)"$/, '$1'))
+    .filter(Boolean);
+}
+
+function preconditionFailed(response, urn, currentDigest, message) {
+  if (currentDigest) {
+    response.setHeader('ETag', formatEtag(currentDigest));
+  }
+  return response.status(412).json({
+    error: 'precondition_failed',
+    message,
+    urn,
+    etag: formatEtag(currentDigest),
+  });
+}
+
+function manifestGone(response, urn, lifecycle, tombstone) {
+  return response.status(410).json({
+    error: 'gone',
+    message: `Manifest '${urn}' was deleted.`,
+    urn,
+    lifecycle,
+    tombstone: tombstone ?? null,
+  });
+}
+
+/**
+ * Advertise deprecation with the Deprecation / Sunset response headers (RFC 8594).
+ */
+function setLifecycleHeaders(response, lifecycle) {
+  if (lifecycle?.state !== 'deprecated' && lifecycle?.state !== 'sunset') return;
+  response.setHeader('Deprecation', 'true');
+  if (lifecycle.sunset_at) {
+    response.setHeader('Sunset', new Date(lifecycle.sunset_at).toUTCString());
+  }
+  if (lifecycle.replaced_by) {
+    response.setHeader('Link', `</v1/registry/${encodeURIComponent(lifecycle.replaced_by)}>; rel="successor-version"`);
+  }
+}
+
+function etagMatches(condition, digest) {
+  if (!digest) return false;
+  return condition === '*' || condition.includes(digest);
+}
+
+/**
+ * Evaluate PUT preconditions against the current digest. Returns the digest the write
+ * must compare-and-swap against (`null` = create only, `undefined` = unconditional) or
+ * `{ failed: true }` when a precondition does not hold.
+ */
+function evaluateWritePreconditions(headers, currentDigest) {
+  const ifMatch = parseEtagHeader(headers['if-match']);
+  const ifNoneMatch = parseEtagHeader(headers['if-none-match']);
+  if (!ifMatch && !ifNoneMatch) {
+    return { expectedDigest: undefined };
+  }
+  if (ifMatch && !etagMatches(ifMatch, currentDigest)) {
+    return { failed: true, reason: 'If-Match does not match the current manifest digest.' };
+  }
+  if (ifNoneMatch && etagMatches(ifNoneMatch, currentDigest)) {
+    return {
+      failed: true,
+      reason: ifNoneMatch === '*'
+        ? 'A manifest is already registered for this URN.'
+        : 'If-None-Match matches the current manifest digest.',
+    };
+  }
+  return { expectedDigest: currentDigest };
+}
+
+/**
+ * Apply the registry's provenance policy to a write (PUT or tombstone). Returns
+ * `{ summary }` for an accepted attestation (null when none was sent and none is
+ * required) or `{ rejection: { status, body } }`.
+ */
+function verifyWriteProvenance(app, provenance, urn) {
+  const requireAttestation = app.get('provenanceRequired') !== false;
+  if (!provenance) {
+    if (requireAttestation) {
+      return {
+        rejection: {
+          status: 422,
+          body: {
+            error: 'missing-provenance',
+            message: 'DSSE provenance attestation is required.',
+            urn,
+          },
+        },
+      };
+    }
+    return { summary: null };
+  }
+
+  const verifierConfigs = app.get('provenanceVerifier') || [];
+  const validation = validateProvenance(provenance, verifierConfigs);
+  if (!validation.ok) {
+    const status =
+      validation.reason === 'no-verification-keys' ||
+      validation.reason === 'no-matching-key'
+        ? 500
+        : 422;
+    return {
+      rejection: {
+        status,
+        body: {
+          error: 'invalid-provenance',
+          message: 'Provenance attestation failed validation.',
+          urn,
+          reason: validation.reason,
+        },
+      },
+    };
+  }
+  return {
+    summary: {
+      ...summarizeProvenance(provenance),
+      signature: {
+        scheme: 'dsse+jws',
+        keyId: validation.signature?.keyid ?? null,
+        algorithm: validation.signature?.alg ?? null,
+      },
+    },
+  };
+}
+
 async function loadRateLimitConfig(path) {
   if (path === null) return {};
   const configPath = path || DEFAULT_RATE_LIMIT_CONFIG;
@@ -101,14 +268,39 @@ function normalizeProvenanceKeyConfig(entry) {
     pubkey: entry.pubkey,
     alg: entry.alg || entry.algorithm || 'Ed25519',
     keyid: entry.keyid || entry.keyId || entry.kid || null,
+    ...(entry.status ? { status: entry.status } : {}),
+    ...(entry.expiresAt ? { expiresAt: entry.expiresAt } : {}),
   };
 }
 
+/**
+ * Resolve the provenance verification keys, in order of precedence: explicit
+ * `keys`, a keyring file (`keyringPath` / `PROVENANCE_KEYRING_PATH`, see
+ * `sch keys`), then a single PEM (`keyPath` / `PROVENANCE_PUBKEY_PATH`,
+ * falling back to the fixture key). Keyring entries keep their revocation
+ * status and expiry, which the DSSE verifier enforces per request; writes
+ * re-read the keyring when its file changes (see `refreshProvenanceKeyring`).
+ */
 async function loadProvenanceVerifier(options = {}) {
   if (Array.isArray(options.keys) && options.keys.length > 0) {
     return options.keys.map(normalizeProvenanceKeyConfig);
   }
 
+  const keyringPath = options.keyringPath ?? process.env.PROVENANCE_KEYRING_PATH ?? null;
+  if (keyringPath) {
+    try {
+      const keyring = await loadKeyring(keyringPath);
+      return toVerificationConfigs(keyring).map(normalizeProvenanceKeyConfig);
+    } catch (error) {
+      if (options.optional) {
+        return [];
+      }
+      throw new Error(
+        `Failed to load provenance keyring from ${keyringPath}: ${error.message}`,
+      );
+    }
+  }
+
   const keyPath =
     options.keyPath ??
     process.env.PROVENANCE_PUBKEY_PATH ??
@@ -133,6 +325,34 @@ async function loadProvenanceVerifier(options = {}) {
   }
 }
 
+async function readKeyringMtime(keyringPath) {
+  try {
+    return (await stat(keyringPath)).mtimeMs;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Reload the keyring verification keys when the keyring file has changed
+ * since they were read, so `sch keys revoke` / `rotate` take effect on the
+ * next write without a restart. A keyring that fails to load (e.g. caught
+ * mid-write) keeps the previous keys and is retried on the next write.
+ */
+async function refreshProvenanceKeyring(app) {
+  const source = app.get('provenanceKeyring');
+  if (!source) return;
+  const mtimeMs = await readKeyringMtime(source.path);
+  if (mtimeMs === null || mtimeMs === source.mtimeMs) return;
+  try {
+    const keyring = await loadKeyring(source.path);
+    app.set('provenanceVerifier', toVerificationConfigs(keyring).map(normalizeProvenanceKeyConfig));
+    source.mtimeMs = mtimeMs;
+  } catch (error) {
+    console.warn(`[registry] Failed to reload provenance keyring from ${source.path}:`, error);
+  }
+}
+
 export async function createServer(options = {}) {
   const {
     registryConfigPath,
@@ -144,22 +364,17 @@ export async function createServer(options = {}) {
     apiKey,
     jsonLimit = '512kb',
     provenanceKeyPath,
+    provenanceKeyringPath,
     provenanceKeys,
     provenanceAlgorithm = 'Ed25519',
     provenanceKeyId = null,
     requireProvenance = true,
     schemaPath,
     autoMigrate = true,
+    changeFeed: changeFeedOverrides,
   } = options;
 
-  const envApiKey =
-    typeof process.env.REGISTRY_API_KEY === 'string'
-      ? process.env.REGISTRY_API_KEY.trim()
-      : '';
-  const resolvedApiKey =
-    typeof apiKey === 'string' && apiKey.trim().length > 0
-      ? apiKey.trim()
-      : envApiKey;
+  const resolvedApiKey = resolveApiKey(apiKey);
 
   if (!resolvedApiKey) {
     throw new Error(
@@ -228,20 +443,33 @@ export async function createServer(options = {}) {
   };
   const { limiter, config: limiterConfig } = buildRateLimiter(rateLimitConfig);
 
+  const keyringPath =
+    Array.isArray(provenanceKeys) && provenanceKeys.length > 0
+      ? null
+      : provenanceKeyringPath ?? process.env.PROVENANCE_KEYRING_PATH ?? null;
+  const keyringMtime = keyringPath ? await readKeyringMtime(keyringPath) : null;
   const provenanceVerifier = await loadProvenanceVerifier({
     keyPath: provenanceKeyPath,
+    keyringPath,
     keys: provenanceKeys,
     algorithm: provenanceAlgorithm,
     keyid: provenanceKeyId,
     optional: requireProvenance === false,
   });
-  if (requireProvenance !== false && provenanceVerifier.length === 0) {
+  const usableKeys = provenanceVerifier.filter((key) => resolveKeyState(key) === 'active');
+  if (requireProvenance !== false && usableKeys.length === 0) {
     /* istanbul ignore next -- enforcement tested via integration harness */
     throw new Error(
       'Provenance enforcement enabled but no verification keys were loaded.',
     );
   }
 
+  const changeFeed = new RegistryChangeFeed(db, {
+    ...(registryConfig.changeFeed || {}),
+    ...(changeFeedOverrides || {}),
+  });
+  changeFeed.start();
+
   const app = express();
   app.disable('x-powered-by');
   app.set('db', db);
@@ -252,8 +480,10 @@ export async function createServer(options = {}) {
   app.set('rateLimitConfigRaw', rateLimitConfigFromFile || {});
   app.set('healthConfig', { minFreeBytes: minFreeBytes ?? null });
   app.set('provenanceVerifier', provenanceVerifier);
+  app.set('provenanceKeyring', keyringPath ? { path: keyringPath, mtimeMs: keyringMtime } : null);
   app.set('provenanceRequired', requireProvenance !== false);
   app.set('registryApiKey', resolvedApiKey);
+  app.set('changeFeed', changeFeed);
 
   app.use(express.json({ limit: jsonLimit }));
   
@@ -267,8 +497,9 @@ export async function createServer(options = {}) {
         if (hostname === 'localhost' || hostname === '127.0.0.1' || hostname === '::1') {
           response.setHeader('Access-Control-Allow-Origin', origin);
           response.setHeader('Vary', 'Origin');
-          response.setHeader('Access-Control-Allow-Methods', 'GET,POST,PUT,OPTIONS');
-          response.setHeader('Access-Control-Allow-Headers', 'Content-Type, X-API-Key');
+          response.setHeader('Access-Control-Allow-Methods', 'GET,POST,PUT,PATCH,DELETE,OPTIONS');
+          response.setHeader('Access-Control-Allow-Headers', 'Content-Type, X-API-Key, If-Match, If-None-Match, Last-Event-ID');
+          response.setHeader('Access-Control-Expose-Headers', 'ETag');
           response.setHeader('Access-Control-Max-Age', '600');
         }
       } catch {}
@@ -285,16 +516,7 @@ export async function createServer(options = {}) {
     next();
   });
 
-  const requireApiKey = (request, response, next) => {
-    const provided = request.get('X-API-Key');
-    if (!provided || provided !== resolvedApiKey) {
-      return response.status(401).json({
-        error: 'unauthorized',
-        message: 'Valid X-API-Key header is required.',
-      });
-    }
-    return next();
-  };
+  const requireApiKey = createApiKeyMiddleware(resolvedApiKey);
 
   app.get('/.well-known/ossp-agi.json', (request, response) => {
     response.json(WELL_KNOWN_PAYLOAD);
@@ -343,6 +565,55 @@ export async function createServer(options = {}) {
 
   const v1Router = express.Router();
 
+  v1Router.get(
+    '/registry',
+    limiter,
+    requireApiKey,
+    async (request, response, next) => {
+      const first = (value) => (Array.isArray(value) ? value[0] : value);
+      try {
+        const filters = {
+          prefix: first(request.query.prefix) || undefined,
+          issuer: first(request.query.issuer) || undefined,
+          capability: request.query.capability,
+          updatedSince: first(request.query.updated_since) || undefined,
+        };
+        const page = await listManifestsPage(db, {
+          ...filters,
+          sort: first(request.query.sort) || undefined,
+          order: first(request.query.order) || undefined,
+          limit: first(request.query.limit),
+          cursor: first(request.query.cursor) || undefined,
+        });
+        return response.json({
+          status: 'ok',
+          items: page.items,
+          page: {
+            limit: page.limit,
+            next_cursor: page.nextCursor,
+            has_more: page.nextCursor !== null,
+          },
+          sort: { field: page.sort, order: page.order },
+          filters: {
+            prefix: filters.prefix ?? null,
+            issuer: filters.issuer ?? null,
+            capability: filters.capability ?? null,
+            updated_since: filters.updatedSince ?? null,
+          },
+        });
+      } catch (error) {
+        if (['invalid_cursor', 'invalid_sort', 'invalid_filter'].includes(error?.code)) {
+          return response.status(400).json({
+            error: error.code,
+            message: error.message,
+          });
+        }
+        /* istanbul ignore next -- list errors handled by global handler */
+        return next(error);
+      }
+    },
+  );
+
   v1Router.get(
     '/registry/:urn',
     limiter,
@@ -350,6 +621,47 @@ export async function createServer(options = {}) {
     async (request, response, next) => {
       try {
         const urn = decodeURIComponent(request.params.urn);
+        const at = Array.isArray(request.query.at) ? request.query.at[0] : request.query.at;
+        if (typeof at === 'string' && at.trim().length > 0) {
+          const revision = await resolveRevision(db, urn, at);
+          if (!revision) {
+            return response.status(404).json({
+              error: 'not_found',
+              message: `No revision of '${urn}' matches '${at}'.`,
+              urn,
+            });
+          }
+          response.setHeader('ETag', formatEtag(revision.digest));
+          if (etagMatches(parseEtagHeader(request.headers['if-none-match']) ?? [], revision.digest)) {
+            return response.status(304).end();
+          }
+          return response.json({
+            urn: revision.urn,
+            body: revision.body,
+            digest: revision.digest,
+            issuer: revision.issuer,
+            signature: revision.signature,
+            revision: revision.revision,
+            created_at: revision.created_at,
+            provenance: await getProvenanceForDigest(db, urn, revision.digest),
+          });
+        }
+
+        const lifecycle = await getLifecycle(db, urn);
+        if (lifecycle.state === 'tombstoned') {
+          const tombstone = await getManifest(db, urn);
+          return manifestGone(response, urn, lifecycle, tombstone?.body);
+        }
+
+        const ifNoneMatch = parseEtagHeader(request.headers['if-none-match']);
+        if (ifNoneMatch) {
+          const currentDigest = await getManifestDigest(db, urn);
+          if (etagMatches(ifNoneMatch, currentDigest)) {
+            response.setHeader('ETag', formatEtag(currentDigest));
+            return response.status(304).end();
+          }
+        }
+
         const manifest = await getManifest(db, urn);
         if (!manifest) {
           return response.status(404).json({
@@ -358,6 +670,8 @@ export async function createServer(options = {}) {
             urn,
           });
         }
+        response.setHeader('ETag', formatEtag(manifest.digest));
+        setLifecycleHeaders(response, lifecycle);
         return response.json({
           urn: manifest.urn,
           body: manifest.body,
@@ -368,12 +682,107 @@ export async function createServer(options = {}) {
           provenance: manifest.provenance ?? null,
         });
       } catch (error) {
+        if (error?.code === 'invalid_selector') {
+          return response.status(400).json({
+            error: 'invalid_query',
+            message: error.message,
+          });
+        }
         /* istanbul ignore next -- registry lookup errors handled by global handler */
         return next(error);
       }
     },
   );
 
+  v1Router.get(
+    '/registry/:urn/history',
+    limiter,
+    requireApiKey,
+    async (request, response, next) => {
+      try {
+        const urn = decodeURIComponent(request.params.urn);
+        const revisions = await listRevisions(db, urn);
+        if (revisions.length === 0) {
+          return response.status(404).json({
+            error: 'not_found',
+            message: `No manifest found for urn '${urn}'.`,
+            urn,
+          });
+        }
+        return response.json({
+          status: 'ok',
+          urn,
+          count: revisions.length,
+          revisions,
+        });
+      } catch (error) {
+        /* istanbul ignore next -- history errors handled by global handler */
+        return next(error);
+      }
+    },
+  );
+
+  v1Router.get(
+    '/registry/:urn/diff',
+    limiter,
+    requireApiKey,
+    async (request, response, next) => {
+      const first = (value) => (Array.isArray(value) ? value[0] : value);
+      try {
+        const urn = decodeURIComponent(request.params.urn);
+        const target = await resolveRevision(db, urn, first(request.query.to));
+        if (!target) {
+          return response.status(404).json({
+            error: 'not_found',
+            message: `No revision of '${urn}' matches 'to'.`,
+            urn,
+          });
+        }
+        const fromSelector = first(request.query.from);
+        let base = null;
+        if (fromSelector) {
+          base = await resolveRevision(db, urn, fromSelector);
+        } else if (target.revision > 1) {
+          base = await getRevision(db, urn, target.revision - 1);
+        }
+        if (!base) {
+          return response.status(404).json({
+            error: 'not_found',
+            message: fromSelector
+              ? `No revision of '${urn}' matches 'from'.`
+              : `Revision ${target.revision} of '${urn}' has no predecessor to diff against.`,
+            urn,
+          });
+        }
+
+        const asObject = (body) => (body && typeof body === 'object' ? body : {});
+        const report = new DiffEngine().diff(asObject(base.body), asObject(target.body));
+        const describe = (revision) => ({
+          revision: revision.revision,
+          digest: revision.digest,
+          created_at: revision.created_at,
+        });
+        return response.json({
+          status: 'ok',
+          urn,
+          from: describe(base),
+          to: describe(target),
+          summary: report.summary,
+          changes: report.changes,
+        });
+      } catch (error) {
+        if (error?.code === 'invalid_selector') {
+          return response.status(400).json({
+            error: 'invalid_query',
+            message: error.message,
+          });
+        }
+        /* istanbul ignore next -- diff errors handled by global handler */
+        return next(error);
+      }
+    },
+  );
+
   v1Router.put(
     '/registry/:urn',
     limiter,
@@ -419,69 +828,184 @@ export async function createServer(options = {}) {
         }
 
         const provenance = payload.provenance;
-        const requireAttestation = app.get('provenanceRequired') !== false;
-        if (requireAttestation && !provenance) {
-          return response.status(422).json({
-            error: 'missing-provenance',
-            message: 'DSSE provenance attestation is required.',
-            urn,
-          });
+        await refreshProvenanceKeyring(app);
+        const attestation = verifyWriteProvenance(app, provenance, urn);
+        if (attestation.rejection) {
+          return response.status(attestation.rejection.status).json(attestation.rejection.body);
         }
+        const provenanceSummary = attestation.summary;
 
-        let provenanceSummary = null;
-        if (provenance) {
-          const verifierConfigs = app.get('provenanceVerifier') || [];
-          const validation = validateProvenance(provenance, verifierConfigs);
-          if (!validation.ok) {
-            const status =
-              validation.reason === 'no-verification-keys' ||
-              validation.reason === 'no-matching-key'
-                ? 500
-                : 422;
-            return response.status(status).json({
-              error: 'invalid-provenance',
-              message: 'Provenance attestation failed validation.',
-              urn,
-              reason: validation.reason,
-            });
-          }
-          provenanceSummary = summarizeProvenance(provenance);
-          const signatureSummary = {
-            scheme: 'dsse+jws',
-            keyId: validation.signature?.keyid ?? null,
-            algorithm: validation.signature?.alg ?? null,
-          };
-          provenanceSummary = {
-            ...provenanceSummary,
-            signature: signatureSummary,
-          };
-        } else if (requireAttestation) {
-          return response.status(422).json({
-            error: 'missing-provenance',
-            message: 'DSSE provenance attestation is required.',
-            urn,
-          });
+        const currentDigest = await getManifestDigest(db, urn);
+        const preconditions = evaluateWritePreconditions(request.headers, currentDigest);
+        if (preconditions.failed) {
+          return preconditionFailed(response, urn, currentDigest, preconditions.reason);
         }
 
         const result = await upsertManifest(db, urn, manifest, {
           issuer: payload?.issuer,
           signature: payload?.signature,
           provenance: provenance || null,
+          expectedDigest: preconditions.expectedDigest,
         });
 
+        changeFeed.notify();
+        response.setHeader('ETag', formatEtag(result.digest));
         return response.status(200).json({
           status: 'ok',
           urn: result.urn,
           digest: result.digest,
+          revision: result.revision,
           provenance: provenanceSummary,
         });
       } catch (error) {
+        if (error instanceof OptimisticLockException) {
+          return preconditionFailed(
+            response,
+            error.resourceId,
+            error.actualVersion,
+            'The manifest changed while the write was in progress.',
+          );
+        }
         /* istanbul ignore next -- registry upsert errors handled by global handler */
         return next(error);
       }
     },
   );
 
+  v1Router.delete(
+    '/registry/:urn',
+    limiter,
+    requireApiKey,
+    async (request, response, next) => {
+      try {
+        const urn = decodeURIComponent(request.params.urn);
+        const payload = request.body ?? {};
+        if (typeof payload !== 'object' || Array.isArray(payload)) {
+          return response.status(400).json({
+            error: 'invalid_request',
+            message: 'Body must be a JSON object.',
+          });
+        }
+
+        const currentDigest = await getManifestDigest(db, urn);
+        if (!currentDigest) {
+          return response.status(404).json({
+            error: 'not_found',
+            message: `No manifest found for urn '${urn}'.`,
+            urn,
+          });
+        }
+        const lifecycle = await getLifecycle(db, urn);
+        if (lifecycle.state === 'tombstoned') {
+          const tombstone = await getManifest(db, urn);
+          return manifestGone(response, urn, lifecycle, tombstone?.body);
+        }
+
+        await refreshProvenanceKeyring(app);
+        const attestation = verifyWriteProvenance(app, payload.provenance, urn);
+        if (attestation.rejection) {
+          return response.status(attestation.rejection.status).json(attestation.rejection.body);
+        }
+
+        const preconditions = evaluateWritePreconditions(request.headers, currentDigest);
+        if (preconditions.failed) {
+          return preconditionFailed(response, urn, currentDigest, preconditions.reason);
+        }
+
+        const result = await tombstoneManifest(db, urn, {
+          reason: typeof payload.reason === 'string' ? payload.reason : null,
+          replacedBy: typeof payload.replaced_by === 'string' ? payload.replaced_by : null,
+          issuer: payload.issuer,
+          signature: payload.signature,
+          provenance: payload.provenance || null,
+          expectedDigest: preconditions.expectedDigest ?? currentDigest,
+        });
+
+        changeFeed.notify();
+        response.setHeader('ETag', formatEtag(result.digest));
+        return response.status(200).json({
+          status: 'ok',
+          urn: result.urn,
+          digest: result.digest,
+          revision: result.revision,
+          tombstone: result.tombstone,
+          provenance: attestation.summary,
+        });
+      } catch (error) {
+        if (error instanceof OptimisticLockException) {
+          return preconditionFailed(
+            response,
+            error.resourceId,
+            error.actualVersion,
+            'The manifest changed while the tombstone was being written.',
+          );
+        }
+        /* istanbul ignore next -- tombstone errors handled by global handler */
+        return next(error);
+      }
+    },
+  );
+
+  v1Router.patch(
+    '/registry/:urn',
+    limiter,
+    requireApiKey,
+    async (request, response, next) => {
+      try {
+        const urn = decodeURIComponent(request.params.urn);
+        const payload = request.body;
+        if (!payload || typeof payload !== 'object' || Array.isArray(payload)) {
+          return response.status(400).json({
+            error: 'invalid_request',
+            message: 'Body must be a JSON object.',
+          });
+        }
+
+        const currentDigest = await getManifestDigest(db, urn);
+        if (!currentDigest) {
+          return response.status(404).json({
+            error: 'not_found',
+            message: `No manifest found for urn '${urn}'.`,
+            urn,
+          });
+        }
+        const current = await getLifecycle(db, urn);
+        if (current.state === 'tombstoned') {
+          const tombstone = await getManifest(db, urn);
+          return manifestGone(response, urn, current, tombstone?.body);
+        }
+
+        const preconditions = evaluateWritePreconditions(request.headers, currentDigest);
+        if (preconditions.failed) {
+          return preconditionFailed(response, urn, currentDigest, preconditions.reason);
+        }
+
+        const lifecycle = await setLifecycleState(db, urn, {
+          state: payload.state,
+          reason: payload.reason,
+          sunsetAt: payload.sunset_at,
+          replacedBy: payload.replaced_by,
+        });
+        changeFeed.notify();
+        setLifecycleHeaders(response, lifecycle);
+        return response.json({
+          status: 'ok',
+          urn,
+          lifecycle,
+        });
+      } catch (error) {
+        if (error?.code === 'invalid_lifecycle') {
+          return response.status(400).json({
+            error: 'invalid_lifecycle',
+            message: error.message,
+          });
+        }
+        /* istanbul ignore next -- lifecycle errors handled by global handler */
+        return next(error);
+      }
+    },
+  );
+
   v1Router.get(
     '/resolve',
     limiter,
@@ -504,11 +1028,16 @@ export async function createServer(options = {}) {
             urn,
           });
         }
+        if (resolved.lifecycle.state === 'tombstoned') {
+          return manifestGone(response, urn, resolved.lifecycle, resolved.manifest);
+        }
+        setLifecycleHeaders(response, resolved.lifecycle);
         return response.json({
           urn: resolved.urn,
           manifest: resolved.manifest,
           capabilities: resolved.capabilities,
           digest: resolved.digest,
+          lifecycle: resolved.lifecycle,
         });
       } catch (error) {
         /* istanbul ignore next -- resolve errors handled by global handler */
@@ -523,26 +1052,158 @@ export async function createServer(options = {}) {
     requireApiKey,
     async (request, response, next) => {
       try {
-        const { capability } = request.body;
+        const {
+          capability,
+          all_of: allOf,
+          any_of: anyOf,
+          none_of: noneOf,
+          text,
+          limit,
+          exclude_deprecated: excludeDeprecated,
+        } = request.body ?? {};
+        if (excludeDeprecated !== undefined && typeof excludeDeprecated !== 'boolean') {
+          return response.status(400).json({
+            error: 'invalid_request',
+            message: '`exclude_deprecated` must be a boolean.',
+          });
+        }
+
+        const advanced = [allOf, anyOf, noneOf, text].some((value) => value !== undefined);
+        if (advanced) {
+          if (capability !== undefined && typeof capability !== 'string') {
+            return response.status(400).json({
+              error: 'invalid_request',
+              message: '`capability` must be a string.',
+            });
+          }
+          const criteria = {
+            all_of: [...(capability ? [capability] : []), ...[].concat(allOf ?? [])],
+            any_of: anyOf ?? [],
+            none_of: noneOf ?? [],
+            text: text ?? null,
+          };
+          const results = await searchManifests(db, {
+            allOf: criteria.all_of,
+            anyOf: criteria.any_of,
+            noneOf: criteria.none_of,
+            text: criteria.text,
+            limit,
+            excludeDeprecated: excludeDeprecated === true,
+          });
+          return response.json({
+            status: 'ok',
+            query: criteria,
+            count: results.length,
+            results,
+          });
+        }
+
         if (!capability || typeof capability !== 'string') {
           return response.status(400).json({
             error: 'invalid_request',
-            message: 'Body must include a `capability` string.',
+            message: 'Body must include a `capability` string, or `all_of`, `any_of`, `none_of` or `text` criteria.',
           });
         }
-        const results = await queryByCapability(db, capability);
+        const results = await queryByCapability(db, capability, {
+          excludeDeprecated: excludeDeprecated === true,
+        });
         return response.json({
           status: 'ok',
           capability,
           results,
         });
       } catch (error) {
+        if (error?.code === 'invalid_query') {
+          return response.status(400).json({
+            error: 'invalid_query',
+            message: error.message,
+          });
+        }
         /* istanbul ignore next -- query errors handled by global handler */
         return next(error);
       }
     },
   );
 
+  v1Router.get(
+    '/changes',
+    limiter,
+    requireApiKey,
+    async (request, response, next) => {
+      const first = (value) => (Array.isArray(value) ? value[0] : value);
+      try {
+        const page = await listChanges(db, {
+          since: first(request.query.since),
+          limit: first(request.query.limit) ?? undefined,
+          urnPrefix: first(request.query.urn_prefix) || undefined,
+        });
+        return response.json({
+          status: 'ok',
+          changes: page.changes,
+          next_cursor: page.nextCursor,
+          has_more: page.hasMore,
+        });
+      } catch (error) {
+        if (error?.code === 'invalid_cursor') {
+          return response.status(400).json({
+            error: 'invalid_cursor',
+            message: error.message,
+          });
+        }
+        /* istanbul ignore next -- change log errors handled by global handler */
+        return next(error);
+      }
+    },
+  );
+
+  v1Router.get(
+    '/changes/stream',
+    limiter,
+    requireApiKey,
+    async (request, response, next) => {
+      const first = (value) => (Array.isArray(value) ? value[0] : value);
+      try {
+        const resumeFrom = request.get('Last-Event-ID') ?? first(request.query.since);
+        const since =
+          resumeFrom === undefined || resumeFrom === ''
+            ? await getLatestChangeSeq(db)
+            : parseChangeCursor(resumeFrom);
+
+        response.status(200);
+        response.setHeader('Content-Type', 'text/event-stream');
+        response.setHeader('Connection', 'keep-alive');
+        response.setHeader('X-Accel-Buffering', 'no');
+        response.flushHeaders();
+        response.write(`retry: ${changeFeed.pollIntervalMs}\n\n`);
+
+        const heartbeat = setInterval(() => response.write(': keep-alive\n\n'), 15000);
+        heartbeat.unref?.();
+        const unsubscribe = changeFeed.subscribe({
+          since,
+          urnPrefix: first(request.query.urn_prefix) || null,
+          send: (change) => {
+            response.write(`id: ${change.seq}\nevent: change\ndata: ${JSON.stringify(change)}\n\n`);
+          },
+          close: () => response.end(),
+        });
+        request.on('close', () => {
+          clearInterval(heartbeat);
+          unsubscribe();
+        });
+        return undefined;
+      } catch (error) {
+        if (error?.code === 'invalid_cursor') {
+          return response.status(400).json({
+            error: 'invalid_cursor',
+            message: error.message,
+          });
+        }
+        /* istanbul ignore next -- stream setup errors handled by global handler */
+        return next(error);
+      }
+    },
+  );
+
   app.use('/v1', v1Router);
 
   app.use((error, request, response, next) => {
@@ -595,10 +1256,12 @@ export async function startServer(options = {}) {
               : host ?? '0.0.0.0',
           address,
           server,
-          close: () =>
-            new Promise((closeResolve) => {
+          close: async () => {
+            await app.get('changeFeed').stop();
+            await new Promise((closeResolve) => {
               server.close(() => closeResolve());
-            }),
+            });
+          },
         });
       })
       .on('error', reject);
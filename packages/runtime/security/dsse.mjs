@@ -1,5 +1,7 @@
 import crypto from 'node:crypto';
 
+import { resolveKeyState } from './keyring.mjs';
+
 const DSSE_VERSION = 'DSSEv1';
 const SUPPORTED_ALGORITHMS = new Set(['Ed25519', 'ES256']);
 
@@ -53,6 +55,8 @@ function normalizeVerificationConfigs(config) {
         pubkey: entry.pubkey,
         alg,
         keyid: entry.keyid || entry.keyId || entry.kid || null,
+        status: entry.status || 'active',
+        expiresAt: entry.expiresAt || null,
       };
     })
     .filter(Boolean);
@@ -137,7 +141,13 @@ export function createEnvelope(payloadType, payload, { key, alg = 'Ed25519', key
   };
 }
 
-export function verifyEnvelope(envelope, verificationConfig) {
+/**
+ * Verify a DSSE envelope against one or more verification configs. Configs
+ * whose `status` is `revoked`, or whose `expiresAt` is at or before
+ * `options.now`, never verify; when they are the only keys matching the
+ * signature the result reports `revoked-key` / `expired-key`.
+ */
+export function verifyEnvelope(envelope, verificationConfig, options = {}) {
   try {
     if (
       !envelope ||
@@ -161,10 +171,19 @@ export function verifyEnvelope(envelope, verificationConfig) {
     }
 
     const pae = preAuthEncoding(envelope.payloadType, payloadBytes);
-    const candidates = selectSignatureConfigs(envelope.signatures, configs);
-    if (candidates.length === 0) {
+    const matches = selectSignatureConfigs(envelope.signatures, configs);
+    if (matches.length === 0) {
       return { ok: false, errorReason: 'no-matching-key' };
     }
+    const candidates = matches.filter(({ config }) => resolveKeyState(config, options.now) === 'active');
+    if (candidates.length === 0) {
+      const states = matches.map(({ config }) => resolveKeyState(config, options.now));
+      return {
+        ok: false,
+        errorReason: states.includes('revoked') ? 'revoked-key' : 'expired-key',
+        keyid: matches[0].signature.keyid || matches[0].config.keyid || null,
+      };
+    }
 
     for (const { signature, config } of candidates) {
       if (typeof signature.sig !== 'string' || signature.sig.length === 0) {
@@ -0,0 +1,143 @@
+import { signJws, verifyJws } from '../../../app/libs/signing/jws.mjs';
+import { createEnvelope, verifyEnvelope } from './dsse.mjs';
+import { readPrivateKey, resolveKeyState, selectSigningKey, toVerificationConfigs } from './keyring.mjs';
+
+/**
+ * Keyring-backed signing for DSSE and identity-access.signing.v1 (JWS)
+ * envelopes. Backs `sch context sign` / `sch context verify`.
+ */
+
+export const SIGNATURE_FORMATS = Object.freeze(['dsse', 'jws']);
+export const DEFAULT_PAYLOAD_TYPE = 'application/json';
+
+const JWS_ALGORITHMS = { Ed25519: 'EdDSA', ES256: 'ES256' };
+
+/**
+ * @param {any} envelope
+ * @returns {'dsse'|'jws'|null}
+ */
+export function detectEnvelopeFormat(envelope) {
+  if (typeof envelope?.spec === 'string' && typeof envelope.protected === 'string') {
+    return 'jws';
+  }
+  if (typeof envelope?.payloadType === 'string' && Array.isArray(envelope.signatures)) {
+    return 'dsse';
+  }
+  return null;
+}
+
+/**
+ * Sign payload bytes with a keyring key.
+ * @param {Buffer} payloadBytes - Payload; must be JSON for the `jws` format.
+ * @param {{ keyring: Object, keyringPath: string, keyid?: string, format?: 'dsse'|'jws', payloadType?: string }} options
+ * @returns {Promise<{ envelope: Object, key: Object }>}
+ */
+export async function signWithKeyring(payloadBytes, options) {
+  const format = options.format ?? 'dsse';
+  if (!SIGNATURE_FORMATS.includes(format)) {
+    throw new Error(`Unsupported signature format: ${format}. Expected one of ${SIGNATURE_FORMATS.join(', ')}.`);
+  }
+  const key = selectSigningKey(options.keyring, { keyid: options.keyid });
+  const privateKey = await readPrivateKey(options.keyringPath, key);
+
+  if (format === 'jws') {
+    let payload;
+    try {
+      payload = JSON.parse(payloadBytes.toString('utf8'));
+    } catch (error) {
+      throw new Error(`JWS signing requires a JSON payload: ${error.message}`);
+    }
+    return {
+      envelope: signJws(payload, { privateKey, keyId: key.keyid, algorithm: JWS_ALGORITHMS[key.alg] }),
+      key,
+    };
+  }
+
+  return {
+    envelope: createEnvelope(options.payloadType ?? DEFAULT_PAYLOAD_TYPE, payloadBytes, {
+      key: privateKey,
+      alg: key.alg,
+      keyid: key.keyid,
+    }),
+    key,
+  };
+}
+
+function verifyDsse(envelope, keyring, payloadBytes, now) {
+  const result = verifyEnvelope(envelope, toVerificationConfigs(keyring), { now });
+  if (!result.ok) {
+    return { valid: false, keyid: result.keyid ?? envelope.signatures[0]?.keyid ?? null, reason: result.errorReason };
+  }
+  if (payloadBytes && !Buffer.from(envelope.payload, 'base64').equals(payloadBytes)) {
+    return { valid: false, keyid: result.keyid, reason: 'payload-mismatch' };
+  }
+  return { valid: true, keyid: result.keyid, alg: result.alg, reason: null };
+}
+
+function decodeProtectedHeader(envelope) {
+  try {
+    return JSON.parse(Buffer.from(envelope.protected, 'base64url').toString('utf8'));
+  } catch {
+    return null;
+  }
+}
+
+function verifyJwsEnvelope(envelope, keyring, payloadBytes, now) {
+  const header = decodeProtectedHeader(envelope);
+  if (!header?.kid) {
+    return { valid: false, keyid: null, reason: 'malformed-envelope' };
+  }
+  const entry = keyring.keys.find((candidate) => candidate.keyid === header.kid);
+  if (!entry) {
+    return { valid: false, keyid: header.kid, reason: 'no-matching-key' };
+  }
+  const state = resolveKeyState(entry, now);
+  if (state !== 'active') {
+    return { valid: false, keyid: entry.keyid, reason: `${state}-key` };
+  }
+  if (JWS_ALGORITHMS[entry.alg] !== header.alg) {
+    return { valid: false, keyid: entry.keyid, reason: 'unsupported-algorithm' };
+  }
+
+  let expectedPayload;
+  if (payloadBytes) {
+    try {
+      expectedPayload = JSON.parse(payloadBytes.toString('utf8'));
+    } catch {
+      return { valid: false, keyid: entry.keyid, reason: 'payload-mismatch' };
+    }
+  }
+  const result = verifyJws(envelope, { publicKey: entry.publicKey, keyId: entry.keyid, expectedPayload, now });
+  if (!result.valid) {
+    const mismatch = result.errors.includes('Expected payload does not match signed payload');
+    return {
+      valid: false,
+      keyid: entry.keyid,
+      reason: mismatch ? 'payload-mismatch' : 'invalid-signature',
+      errors: result.errors,
+    };
+  }
+  return { valid: true, keyid: entry.keyid, alg: header.alg, reason: null };
+}
+
+/**
+ * Verify a DSSE or JWS envelope against a keyring. Signatures from revoked or
+ * expired keys fail with `revoked-key` / `expired-key`.
+ * @param {Object} envelope
+ * @param {{ keys: Object[] }} keyring
+ * @param {{ payload?: Buffer, now?: Date }} [options] - `payload` must equal the signed payload.
+ * @returns {{ valid: boolean, format: 'dsse'|'jws'|null, keyid: string|null, alg?: string, reason: string|null, errors?: string[] }}
+ */
+export function verifyWithKeyring(envelope, keyring, options = {}) {
+  const format = detectEnvelopeFormat(envelope);
+  if (!format) {
+    return { valid: false, format: null, keyid: null, reason: 'malformed-envelope' };
+  }
+  const payloadBytes = options.payload ?? null;
+  const now = options.now ?? new Date();
+  const result =
+    format === 'jws'
+      ? verifyJwsEnvelope(envelope, keyring, payloadBytes, now)
+      : verifyDsse(envelope, keyring, payloadBytes, now);
+  return { format, ...result };
+}
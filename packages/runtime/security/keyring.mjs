@@ -0,0 +1,321 @@
+import crypto from 'node:crypto';
+import { mkdir, readFile, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+
+/**
+ * Local signing keyring.
+ *
+ * The keyring is a JSON file listing every signing key the workspace has
+ * issued. Public keys are stored inline so the file can be handed to the
+ * registry as its verification key set; private keys live next to it under
+ * `private/<keyid>.pem` and are only ever read by the signing commands.
+ * Several keys may be active at once (e.g. during a rotation overlap); a key
+ * stops verifying once it is revoked or its `expiresAt` has passed.
+ */
+
+export const KEYRING_VERSION = 1;
+export const DEFAULT_KEYRING_PATH = 'var/keys/keyring.json';
+export const KEYRING_ALGORITHMS = Object.freeze(['Ed25519', 'ES256']);
+export const DEFAULT_ROTATION_OVERLAP_DAYS = 7;
+
+const KEYID_PATTERN = /^[A-Za-z0-9][A-Za-z0-9._:-]{0,127}$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function toDate(value) {
+  if (value instanceof Date) return value;
+  if (value === undefined || value === null) return new Date();
+  return new Date(value);
+}
+
+function addDays(date, days) {
+  return new Date(date.getTime() + days * DAY_MS).toISOString();
+}
+
+function generateKeyPair(alg) {
+  const encoding = {
+    publicKeyEncoding: { type: 'spki', format: 'pem' },
+    privateKeyEncoding: { type: 'pkcs8', format: 'pem' },
+  };
+  if (alg === 'Ed25519') {
+    return crypto.generateKeyPairSync('ed25519', encoding);
+  }
+  return crypto.generateKeyPairSync('ec', { namedCurve: 'prime256v1', ...encoding });
+}
+
+/**
+ * SHA-256 fingerprint (hex) of a PEM public key's SPKI encoding.
+ * @param {string} publicKey
+ * @returns {string}
+ */
+export function fingerprintPublicKey(publicKey) {
+  const der = crypto.createPublicKey(publicKey).export({ type: 'spki', format: 'der' });
+  return crypto.createHash('sha256').update(der).digest('hex');
+}
+
+/**
+ * @returns {{ version: number, keys: Object[] }}
+ */
+export function createKeyring() {
+  return { version: KEYRING_VERSION, keys: [] };
+}
+
+function validateKeyring(keyring, source) {
+  if (!keyring || typeof keyring !== 'object' || !Array.isArray(keyring.keys)) {
+    throw new Error(`Keyring ${source} must be an object with a \`keys\` array.`);
+  }
+  if (keyring.version !== KEYRING_VERSION) {
+    throw new Error(`Unsupported keyring version ${keyring.version} in ${source}.`);
+  }
+  const seen = new Set();
+  for (const entry of keyring.keys) {
+    if (!entry?.keyid || !entry.publicKey) {
+      throw new Error(`Keyring ${source} contains an entry without \`keyid\` and \`publicKey\`.`);
+    }
+    if (seen.has(entry.keyid)) {
+      throw new Error(`Keyring ${source} lists key "${entry.keyid}" more than once.`);
+    }
+    seen.add(entry.keyid);
+  }
+  return keyring;
+}
+
+/**
+ * Read a keyring file.
+ * @param {string} keyringPath
+ * @param {{ allowMissing?: boolean }} [options] - Return an empty keyring instead of failing when the file does not exist.
+ * @returns {Promise<{ version: number, keys: Object[] }>}
+ */
+export async function loadKeyring(keyringPath, options = {}) {
+  let raw;
+  try {
+    raw = await readFile(keyringPath, 'utf8');
+  } catch (error) {
+    if (error?.code === 'ENOENT' && options.allowMissing) {
+      return createKeyring();
+    }
+    if (error?.code === 'ENOENT') {
+      throw new Error(`Keyring not found at ${keyringPath}. Run \`sch keys generate\` to create one.`);
+    }
+    throw error;
+  }
+  let parsed;
+  try {
+    parsed = JSON.parse(raw);
+  } catch (error) {
+    throw new Error(`Keyring ${keyringPath} is not valid JSON: ${error.message}`);
+  }
+  return validateKeyring(parsed, keyringPath);
+}
+
+/**
+ * @param {string} keyringPath
+ * @param {{ version: number, keys: Object[] }} keyring
+ */
+export async function saveKeyring(keyringPath, keyring) {
+  validateKeyring(keyring, keyringPath);
+  await mkdir(path.dirname(path.resolve(keyringPath)), { recursive: true });
+  await writeFile(keyringPath, `${JSON.stringify(keyring, null, 2)}\n`, 'utf8');
+}
+
+/**
+ * State of a keyring entry (or DSSE verification config) at `now`.
+ * @param {{ status?: string, expiresAt?: string|null }} entry
+ * @param {Date|string} [now]
+ * @returns {'active'|'expired'|'revoked'}
+ */
+export function resolveKeyState(entry, now) {
+  if (entry?.status === 'revoked') {
+    return 'revoked';
+  }
+  if (entry?.expiresAt && Date.parse(entry.expiresAt) <= toDate(now).getTime()) {
+    return 'expired';
+  }
+  return 'active';
+}
+
+/**
+ * Keyring entries with their computed state, newest first.
+ * @param {{ keys: Object[] }} keyring
+ * @param {{ now?: Date|string }} [options]
+ * @returns {Object[]}
+ */
+export function listKeys(keyring, options = {}) {
+  // Keys are appended as they are issued, so reverse order breaks createdAt ties.
+  return [...keyring.keys]
+    .reverse()
+    .sort((a, b) => Date.parse(b.createdAt) - Date.parse(a.createdAt))
+    .map((entry) => ({ ...entry, state: resolveKeyState(entry, options.now) }));
+}
+
+function findKey(keyring, keyid) {
+  const entry = keyring.keys.find((candidate) => candidate.keyid === keyid);
+  if (!entry) {
+    throw new Error(`Key "${keyid}" is not in the keyring.`);
+  }
+  return entry;
+}
+
+/**
+ * Pick the key used for signing: the requested keyid, or the newest active
+ * key that has a private key on disk.
+ * @param {{ keys: Object[] }} keyring
+ * @param {{ keyid?: string, now?: Date|string }} [options]
+ * @returns {Object}
+ */
+export function selectSigningKey(keyring, options = {}) {
+  if (options.keyid) {
+    const entry = findKey(keyring, options.keyid);
+    const state = resolveKeyState(entry, options.now);
+    if (state !== 'active') {
+      throw new Error(`Key "${entry.keyid}" is ${state} and cannot sign.`);
+    }
+    if (!entry.privateKeyPath) {
+      throw new Error(`Key "${entry.keyid}" has no private key in this keyring.`);
+    }
+    return entry;
+  }
+  const entry = listKeys(keyring, options).find(
+    (candidate) => candidate.state === 'active' && candidate.privateKeyPath,
+  );
+  if (!entry) {
+    throw new Error('No active signing key in the keyring. Run `sch keys generate` or `sch keys rotate`.');
+  }
+  return findKey(keyring, entry.keyid);
+}
+
+/**
+ * @param {string} keyringPath
+ * @param {{ privateKeyPath?: string, keyid: string }} entry
+ * @returns {Promise<string>} PEM private key
+ */
+export async function readPrivateKey(keyringPath, entry) {
+  if (!entry.privateKeyPath) {
+    throw new Error(`Key "${entry.keyid}" has no private key in this keyring.`);
+  }
+  const resolved = path.resolve(path.dirname(path.resolve(keyringPath)), entry.privateKeyPath);
+  return readFile(resolved, 'utf8');
+}
+
+/**
+ * Verification key configs (DSSE `{ pubkey, alg, keyid }` shape) for every
+ * key in the keyring. Revoked and expired keys are kept, with their status,
+ * so verifiers can tell a revoked signer apart from an unknown one.
+ * @param {{ keys: Object[] }} keyring
+ * @returns {Array<{ pubkey: string, alg: string, keyid: string, status: string, expiresAt: string|null }>}
+ */
+export function toVerificationConfigs(keyring) {
+  return keyring.keys.map((entry) => ({
+    pubkey: entry.publicKey,
+    alg: entry.alg,
+    keyid: entry.keyid,
+    status: entry.status,
+    expiresAt: entry.expiresAt ?? null,
+  }));
+}
+
+/**
+ * Generate a key pair, store the private key beside the keyring and add the
+ * public key to it. Creates the keyring when it does not exist yet.
+ * @param {string} keyringPath
+ * @param {{ alg?: 'Ed25519'|'ES256', keyid?: string, expiresInDays?: number, now?: Date|string }} [options]
+ * @returns {Promise<Object>} The new keyring entry
+ */
+export async function generateKey(keyringPath, options = {}) {
+  const keyring = await loadKeyring(keyringPath, { allowMissing: true });
+  const entry = await addGeneratedKey(keyringPath, keyring, options);
+  await saveKeyring(keyringPath, keyring);
+  return entry;
+}
+
+async function addGeneratedKey(keyringPath, keyring, options) {
+  const alg = options.alg ?? 'Ed25519';
+  if (!KEYRING_ALGORITHMS.includes(alg)) {
+    throw new Error(`Unsupported algorithm: ${alg}. Expected one of ${KEYRING_ALGORITHMS.join(', ')}.`);
+  }
+  if (options.expiresInDays !== undefined && !(options.expiresInDays > 0)) {
+    throw new Error('Key expiry must be a positive number of days.');
+  }
+
+  const now = toDate(options.now);
+  const { publicKey, privateKey } = generateKeyPair(alg);
+  const fingerprint = fingerprintPublicKey(publicKey);
+  const keyid = options.keyid ?? `${alg.toLowerCase()}-${fingerprint.slice(0, 16)}`;
+  if (!KEYID_PATTERN.test(keyid)) {
+    throw new Error(`Invalid keyid "${keyid}": use letters, digits, ".", "_", ":" or "-".`);
+  }
+  if (keyring.keys.some((entry) => entry.keyid === keyid)) {
+    throw new Error(`Key "${keyid}" already exists in the keyring.`);
+  }
+
+  const privateKeyPath = path.join('private', `${keyid.replace(/:/g, '_')}.pem`);
+  const privateKeyFile = path.resolve(path.dirname(path.resolve(keyringPath)), privateKeyPath);
+  await mkdir(path.dirname(privateKeyFile), { recursive: true, mode: 0o700 });
+  await writeFile(privateKeyFile, privateKey, { mode: 0o600, flag: 'wx' });
+
+  const entry = {
+    keyid,
+    alg,
+    status: 'active',
+    createdAt: now.toISOString(),
+    expiresAt: options.expiresInDays ? addDays(now, options.expiresInDays) : null,
+    fingerprint,
+    publicKey,
+    privateKeyPath,
+  };
+  keyring.keys.push(entry);
+  return entry;
+}
+
+/**
+ * Issue a new signing key and schedule the current one to expire after an
+ * overlap window, so envelopes signed with it keep verifying while consumers
+ * pick up the new key.
+ * @param {string} keyringPath
+ * @param {{ from?: string, alg?: 'Ed25519'|'ES256', keyid?: string, expiresInDays?: number, overlapDays?: number, now?: Date|string }} [options]
+ * @returns {Promise<{ key: Object, previous: Object }>}
+ */
+export async function rotateKey(keyringPath, options = {}) {
+  const keyring = await loadKeyring(keyringPath);
+  const now = toDate(options.now);
+  const previous = selectSigningKey(keyring, { keyid: options.from, now });
+  const overlapDays = options.overlapDays ?? DEFAULT_ROTATION_OVERLAP_DAYS;
+  if (!(overlapDays >= 0)) {
+    throw new Error('Rotation overlap must be zero or more days.');
+  }
+
+  const key = await addGeneratedKey(keyringPath, keyring, {
+    alg: options.alg ?? previous.alg,
+    keyid: options.keyid,
+    expiresInDays: options.expiresInDays,
+    now,
+  });
+
+  const retiresAt = addDays(now, overlapDays);
+  if (!previous.expiresAt || Date.parse(previous.expiresAt) > Date.parse(retiresAt)) {
+    previous.expiresAt = retiresAt;
+  }
+  previous.rotatedTo = key.keyid;
+
+  await saveKeyring(keyringPath, keyring);
+  return { key, previous };
+}
+
+/**
+ * Revoke a key. Revoked keys never sign or verify again.
+ * @param {string} keyringPath
+ * @param {string} keyid
+ * @param {{ reason?: string, now?: Date|string }} [options]
+ * @returns {Promise<Object>} The revoked entry
+ */
+export async function revokeKey(keyringPath, keyid, options = {}) {
+  const keyring = await loadKeyring(keyringPath);
+  const entry = findKey(keyring, keyid);
+  if (entry.status === 'revoked') {
+    throw new Error(`Key "${keyid}" is already revoked.`);
+  }
+  entry.status = 'revoked';
+  entry.revokedAt = toDate(options.now).toISOString();
+  entry.revocationReason = options.reason ?? null;
+  await saveKeyring(keyringPath, keyring);
+  return entry;
+}
@@ -874,6 +874,8 @@ export class PerformanceOptimizer {
    */
   destroy() {
     this.metrics.destroy();
+    this.urnResolver.metrics.destroy();
+    this.protocolGraph.metrics.destroy();
     this.memoryOptimizer.destroy();
   }
 }
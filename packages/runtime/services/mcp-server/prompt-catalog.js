@@ -0,0 +1,172 @@
+/**
+ * MCP Prompt Catalog
+ *
+ * Loads prompt templates from JSON catalog files and turns them into MCP
+ * prompt definitions. Each prompt declares its arguments, the context it
+ * needs (fetched through named providers such as manifest review or diff
+ * analysis) and the message templates that context is rendered into.
+ * Later catalogs override earlier ones by prompt name, so teams can add or
+ * replace prompts without touching the server.
+ */
+
+import fs from 'fs/promises';
+import { fileURLToPath } from 'url';
+
+export const DEFAULT_PROMPT_CATALOG = fileURLToPath(
+  new URL('../../../../app/config/mcp/prompts.json', import.meta.url)
+);
+
+const PLACEHOLDER = /\{\{\s*([\w.]+)\s*\}\}/g;
+const PROMPT_NAME = /^[A-Za-z0-9_-]+$/;
+const ROLES = new Set(['user', 'assistant']);
+
+/**
+ * Prompt argument or lookup error, reported to MCP clients as invalid params (-32602)
+ */
+export class PromptError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'PromptError';
+    this.code = -32602;
+  }
+}
+
+/**
+ * Replace `{{name}}` / `{{context.name}}` placeholders; objects are rendered as indented JSON
+ * @param {string} template - Template text
+ * @param {Object} values - Placeholder values
+ * @returns {string} Rendered text
+ */
+export function renderTemplate(template, values) {
+  return template.replace(PLACEHOLDER, (match, key) => {
+    const value = key.split('.').reduce((current, part) => (current == null ? undefined : current[part]), values);
+    if (value === undefined || value === null) {
+      return '';
+    }
+    return typeof value === 'string' ? value : JSON.stringify(value, null, 2);
+  });
+}
+
+function normalizePrompt(entry, location) {
+  const fail = (message) => {
+    throw new Error(`${location}: ${message}`);
+  };
+
+  if (!entry || typeof entry !== 'object') fail('prompt must be an object');
+  if (typeof entry.name !== 'string' || !PROMPT_NAME.test(entry.name)) {
+    fail('`name` must contain only letters, digits, "_" or "-"');
+  }
+
+  const args = entry.arguments ?? [];
+  if (!Array.isArray(args) || args.some((arg) => typeof arg?.name !== 'string' || !arg.name)) {
+    fail('`arguments` must be an array of { name, description, required }');
+  }
+
+  const context = entry.context ?? [];
+  if (!Array.isArray(context) || context.some((item) => typeof item?.name !== 'string' || typeof item?.source !== 'string')) {
+    fail('`context` must be an array of { name, source, args }');
+  }
+
+  const messages = entry.messages;
+  if (!Array.isArray(messages) || messages.length === 0) fail('`messages` must be a non-empty array');
+  for (const message of messages) {
+    if (!ROLES.has(message?.role) || typeof message.text !== 'string') {
+      fail('each message needs a `role` (user|assistant) and `text`');
+    }
+  }
+
+  return {
+    name: entry.name,
+    description: typeof entry.description === 'string' ? entry.description : '',
+    arguments: args.map((arg) => ({
+      name: arg.name,
+      description: arg.description || '',
+      required: arg.required === true
+    })),
+    context: context.map((item) => ({ name: item.name, source: item.source, args: item.args || {} })),
+    messages: messages.map((message) => ({ role: message.role, text: message.text }))
+  };
+}
+
+/**
+ * Load and merge prompt catalogs
+ * @param {string[]} paths - Catalog files, in override order
+ * @param {Object} [options]
+ * @param {Function} [options.onError] - `(error, path)`; when set, a broken catalog is skipped instead of thrown
+ * @returns {Promise<Array>} Normalized prompts, each tagged with the catalog it came from
+ */
+export async function loadPromptCatalog(paths, { onError } = {}) {
+  const prompts = new Map();
+
+  for (const catalogPath of paths) {
+    try {
+      const catalog = JSON.parse(await fs.readFile(catalogPath, 'utf8'));
+      if (!Array.isArray(catalog?.prompts)) {
+        throw new Error(`${catalogPath}: expected a top-level "prompts" array`);
+      }
+      const entries = catalog.prompts.map((entry, index) =>
+        normalizePrompt(entry, `${catalogPath}#prompts[${index}]`)
+      );
+      for (const prompt of entries) {
+        prompts.set(prompt.name, { ...prompt, catalog: catalogPath });
+      }
+    } catch (error) {
+      if (!onError) {
+        throw error;
+      }
+      onError(error, catalogPath);
+    }
+  }
+
+  return Array.from(prompts.values());
+}
+
+/**
+ * Turn catalog prompts into MCP prompt definitions backed by context providers
+ * @param {Array} catalog - Prompts from loadPromptCatalog
+ * @param {Object<string, Function>} providers - Context sources: `async (args) => any`
+ * @returns {Array<{name, description, arguments, get: Function}>} Prompt definitions for the MCP server
+ */
+export function createPromptDefinitions(catalog, providers) {
+  return catalog.map((prompt) => {
+    for (const item of prompt.context) {
+      if (typeof providers[item.source] !== 'function') {
+        throw new Error(`Prompt "${prompt.name}" (${prompt.catalog}) uses unknown context source "${item.source}"`);
+      }
+    }
+
+    return {
+      name: prompt.name,
+      description: prompt.description,
+      arguments: prompt.arguments,
+      get: async (args = {}) => {
+        const missing = prompt.arguments
+          .filter((arg) => arg.required && (args[arg.name] === undefined || args[arg.name] === ''))
+          .map((arg) => arg.name);
+        if (missing.length > 0) {
+          throw new PromptError(`Missing required prompt arguments: ${missing.join(', ')}`);
+        }
+
+        const values = { ...args, context: {} };
+        for (const item of prompt.context) {
+          const sourceArgs = Object.fromEntries(
+            Object.entries(item.args).map(([key, value]) => [
+              key,
+              typeof value === 'string' ? renderTemplate(value, values) : value
+            ])
+          );
+          // eslint-disable-next-line no-await-in-loop
+          values.context[item.name] = await providers[item.source](sourceArgs);
+        }
+
+        return {
+          description: renderTemplate(prompt.description, values),
+          messages: prompt.messages.map((message) => ({
+            role: message.role,
+            content: { type: 'text', text: renderTemplate(message.text, values) }
+          }))
+        };
+      }
+    };
+  });
+}
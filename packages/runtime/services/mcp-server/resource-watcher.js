@@ -0,0 +1,97 @@
+/**
+ * MCP Resource Watcher
+ *
+ * Watches files and directories under the protocol root and emits debounced
+ * `change` events with root-relative paths, so the MCP server can send
+ * `notifications/resources/updated` to subscribed clients.
+ */
+
+import { EventEmitter } from 'events';
+import fs from 'fs';
+import path from 'path';
+
+const DEFAULT_DEBOUNCE_MS = 100;
+
+const toPosix = (value) => value.split(path.sep).join('/');
+
+export class ResourceWatcher extends EventEmitter {
+  /**
+   * @param {Object} options
+   * @param {string} options.root - Protocol root that emitted paths are relative to
+   * @param {Array<{path: string, recursive?: boolean}>} options.paths - Files or directories to watch, relative to root
+   * @param {number} [options.debounceMs=100] - Quiet period before a change is emitted
+   * @param {Object} [options.logger] - Structured logger
+   * @param {Function} [options.watch] - fs.watch replacement (tests)
+   */
+  constructor(options = {}) {
+    super();
+    this.root = path.resolve(options.root || process.cwd());
+    this.paths = options.paths || [];
+    this.debounceMs = options.debounceMs ?? DEFAULT_DEBOUNCE_MS;
+    this.logger = options.logger || null;
+    this.watch = options.watch || fs.watch;
+    this.watchers = [];
+    this.pending = new Map();
+  }
+
+  /**
+   * Start watching; targets that do not exist yet are skipped
+   * @returns {number} Number of active watchers
+   */
+  start() {
+    for (const target of this.paths) {
+      const absolute = path.resolve(this.root, target.path);
+      let stats;
+      try {
+        stats = fs.statSync(absolute);
+      } catch {
+        this.logger?.debug('Watch target missing, skipping', { path: target.path });
+        continue;
+      }
+
+      // Files are watched through their directory so atomic renames are still seen
+      const directory = stats.isDirectory() ? absolute : path.dirname(absolute);
+      const onlyFile = stats.isDirectory() ? null : path.basename(absolute);
+      try {
+        const watchOptions = { recursive: Boolean(target.recursive) && !onlyFile, persistent: false };
+        const watcher = this.watch(directory, watchOptions, (eventType, filename) => {
+          if (!filename || (onlyFile && filename.toString() !== onlyFile)) {
+            return;
+          }
+          this.#schedule(path.join(directory, filename.toString()), eventType);
+        });
+        watcher.on?.('error', (error) => this.logger?.warn('Resource watcher error', { error, path: target.path }));
+        this.watchers.push(watcher);
+      } catch (error) {
+        this.logger?.warn('Failed to watch path', { error, path: target.path });
+      }
+    }
+    return this.watchers.length;
+  }
+
+  #schedule(absolute, eventType) {
+    const relative = toPosix(path.relative(this.root, absolute));
+    clearTimeout(this.pending.get(relative));
+    const timer = setTimeout(() => {
+      this.pending.delete(relative);
+      this.emit('change', { path: relative, eventType });
+    }, this.debounceMs);
+    timer.unref?.();
+    this.pending.set(relative, timer);
+  }
+
+  close() {
+    for (const watcher of this.watchers) {
+      watcher.close();
+    }
+    this.watchers = [];
+    for (const timer of this.pending.values()) {
+      clearTimeout(timer);
+    }
+    this.pending.clear();
+  }
+}
+
+export function createResourceWatcher(options) {
+  return new ResourceWatcher(options);
+}
@@ -1,58 +1,396 @@
 /**
  * Agent Runtime Surfaces
  *
- * Sprint 21 intentionally limits the runtime MCP server to discovery
- * tooling. The agent and workflow execution surfaces remain part of the
- * public contract, but they now return explicit 501 responses with
- * guidance that points operators to supported alternatives.
+ * Workflow execution runs workflow-library definitions through the
+ * WorkflowExecutor with the runtime http/event/tool adapters, gated by the
+ * IAM delegation policy. Agent execution resolves the agent URN through the
+ * discovery registry (falling back to the URN resolver), dispatches the tool
+ * call over the transport the agent declares (A2A or MCP) behind a per-agent
+ * circuit breaker and retry policy, and returns a normalized result envelope.
  */
 
-const DOC_REF = 'docs/SPRINT_21_SURFACE_CHANGES.md#runtime-surface-triage';
+import path from 'node:path';
 
-const SURFACE_MESSAGES = {
-  agent_run:
-    'Agent execution is disabled in Sprint 21 builds. The runtime MCP server now focuses on manifest discovery and review tooling.',
-  workflow_run:
-    'Workflow execution is disabled in Sprint 21 builds. Offline workflows remain out of scope until the orchestration roadmap lands.',
-};
+import { authorize as defaultAuthorize } from '../../security/iam.mjs';
+import {
+  createWorkflowResolver,
+  loadWorkflowDefinition,
+  runWorkflowDefinition,
+} from '../../workflow-library/runner.js';
+import { createAgentDiscoveryService } from '../../runtime/agent-discovery-service.js';
+import { URNResolver } from '../../runtime/urn-resolver.js';
+import { parseAgentUrn } from '../../runtime/urn-types.js';
+import { createA2AClient } from '../../runtime/a2a-client.js';
+import { createAuthProvider } from '../../runtime/a2a-auth.js';
+import { createMCPClient } from '../../runtime/mcp-client.js';
+import { isRetryableError as isRetryableMCPError } from '../../runtime/mcp-types.js';
+import { createCircuitBreakerManager } from '../../runtime/circuit-breaker.js';
+import { CircuitBreakerError, RetryError } from '../../runtime/error-handler.js';
+import { PREDEFINED_POLICIES, createRetryPolicy } from '../../runtime/retry-policies.js';
 
-const GUIDANCE = [
-  'Use the protocol discovery and review tools exposed by the runtime MCP server for supported automation.',
-  'For scripted orchestration, follow docs/runtime/runtime-usage-guide.md and run workflows via CI pipelines or external orchestrators.',
-  'See docs/runtime/runtime-api-reference.md for the current surface area and migration notes.',
-];
+export const WORKFLOW_EXECUTOR_AGENT = 'urn:agent:runtime:workflow-executor';
+export const WORKFLOW_EXECUTE_CAPABILITY = 'execute_workflow';
+export const AGENT_TRANSPORTS = Object.freeze(['a2a', 'mcp']);
 
-function createUnsupportedResponse(surface, requested = {}) {
-  return {
-    status: 501,
-    ok: false,
-    error: `${surface}_unsupported`,
-    message: SURFACE_MESSAGES[surface] || 'This runtime surface is not available in the current build.',
-    documentation: DOC_REF,
-    guidance: GUIDANCE,
-    requested,
-    sprint: 'S21.2',
-  };
+// Shared across calls so repeated failures against one agent open its circuit
+const agentCircuitBreakers = createCircuitBreakerManager({
+  failureThreshold: 5,
+  successThreshold: 1,
+  timeout: 30000,
+  enableLogging: false,
+});
+
+/**
+ * IAM resource for a workflow file: its path relative to the protocol root, with `/` separators.
+ */
+function workflowResource(workflowPath, root) {
+  const relative = path.relative(path.resolve(root), path.resolve(workflowPath));
+  return relative.split(path.sep).join('/');
+}
+
+async function authorizeWorkflow(authorize, agentId, resource) {
+  try {
+    const decision = await authorize(agentId, WORKFLOW_EXECUTE_CAPABILITY, resource);
+    return {
+      allowed: Boolean(decision?.allowed),
+      agent: agentId,
+      capability: WORKFLOW_EXECUTE_CAPABILITY,
+      resource,
+      mode: decision?.mode ?? null,
+      reason: decision?.reason ?? null,
+    };
+  } catch (error) {
+    // Fail closed when the policy cannot be loaded
+    return {
+      allowed: false,
+      agent: agentId,
+      capability: WORKFLOW_EXECUTE_CAPABILITY,
+      resource,
+      mode: null,
+      reason: 'policy_unavailable',
+      detail: error.message,
+    };
+  }
 }
 
 /**
- * Run a workflow file with agent nodes – currently disabled.
+ * Run a workflow-library definition (JSON or YAML).
+ *
+ * The caller must be allowed `execute_workflow` on the workflow path by the IAM
+ * delegation policy. Returns per-step results and timings, retries, skipped steps
+ * and compensation outcomes; failures are reported with `ok: false` rather than thrown.
  */
-export async function runWorkflow({ workflowPath, inputs = {}, originalWorkflowPath }) {
-  return createUnsupportedResponse('workflow_run', {
+export async function runWorkflow({
+  workflowPath,
+  inputs = {},
+  originalWorkflowPath,
+  root = process.cwd(),
+  agentId,
+  authorize = defaultAuthorize,
+  adapters,
+  registry,
+}) {
+  const requested = {
     workflowPath: originalWorkflowPath ?? workflowPath,
     resolvedPath: workflowPath,
     inputs,
+  };
+
+  const authorization = await authorizeWorkflow(
+    authorize,
+    agentId || process.env.OSSP_WORKFLOW_AGENT || WORKFLOW_EXECUTOR_AGENT,
+    workflowResource(workflowPath, root),
+  );
+  if (!authorization.allowed) {
+    return {
+      status: 403,
+      ok: false,
+      error: 'workflow_run_forbidden',
+      message: `Agent '${authorization.agent}' is not allowed to execute '${authorization.resource}' (${authorization.reason}).`,
+      authorization,
+      requested,
+    };
+  }
+
+  let workflow;
+  try {
+    workflow = await loadWorkflowDefinition(workflowPath);
+  } catch (error) {
+    const missing = error.code === 'ENOENT';
+    return {
+      status: missing ? 404 : 400,
+      ok: false,
+      error: missing ? 'workflow_not_found' : 'workflow_unreadable',
+      message: missing ? `Workflow file not found: ${requested.workflowPath}` : error.message,
+      requested,
+    };
+  }
+
+  const run = await runWorkflowDefinition(workflow, {
+    inputs,
+    adapters,
+    registry,
+    context: { metadata: { workflowPath: authorization.resource } },
+    resolveWorkflow: createWorkflowResolver({ directories: [path.dirname(workflowPath)] }),
   });
+  if (!run.valid) {
+    return {
+      status: 422,
+      ok: false,
+      error: 'workflow_invalid',
+      message: 'Workflow definition failed validation.',
+      errors: run.errors,
+      warnings: run.warnings,
+      requested,
+    };
+  }
+
+  const { valid, error, ...summary } = run;
+  const ok = run.state === 'completed';
+  return {
+    status: ok ? 200 : 500,
+    ok,
+    ...(ok ? {} : { error: 'workflow_failed', message: error?.message ?? 'Workflow execution failed.', cause: error }),
+    ...summary,
+    authorization,
+    requested,
+  };
+}
+
+function describeEndpoint(endpoint) {
+  if (!endpoint || typeof endpoint === 'string') {
+    return endpoint ?? null;
+  }
+  return [endpoint.command, ...(endpoint.args || [])].filter(Boolean).join(' ');
 }
 
 /**
- * Run a specific tool on an agent – currently disabled.
+ * Pick the transport for an agent record.
+ *
+ * Agents list their transports in `communication.supported` (agent protocol) or expose
+ * `endpoints.a2a` / `endpoints.mcp`. Agents that declare neither are reached over A2A
+ * through the configured gateway (`A2A_BASE_URL`).
+ * @param {object} agent - Agent record from discovery or URN resolution
+ * @param {object} [options]
+ * @param {'a2a'|'mcp'} [options.transport] - Require a specific transport
+ * @param {string} [options.a2aBaseUrl] - A2A gateway used when the agent has no A2A endpoint
+ * @returns {{ transport: string|null, endpoint: string|object|null, supported: string[] }}
  */
-export async function runTool({ agentUrn, tool, args = {} }) {
-  return createUnsupportedResponse('agent_run', {
-    agentUrn,
-    tool,
-    args,
+export function selectAgentTransport(agent, { transport, a2aBaseUrl } = {}) {
+  const communication = agent.communication || {};
+  const endpoints = { ...(agent.endpoints || {}), ...(communication.endpoints || {}) };
+  let supported = communication.supported
+    ? communication.supported.filter((name) => AGENT_TRANSPORTS.includes(name))
+    : AGENT_TRANSPORTS.filter((name) => endpoints[name]);
+  if (!communication.supported && supported.length === 0) {
+    supported = ['a2a'];
+  }
+
+  const candidates = transport ? supported.filter((name) => name === transport) : supported;
+  for (const name of candidates) {
+    const endpoint = name === 'a2a' ? endpoints.a2a || a2aBaseUrl : endpoints.mcp;
+    if (endpoint) {
+      return { transport: name, endpoint, supported };
+    }
+  }
+  return { transport: null, endpoint: null, supported };
+}
+
+const DEFAULT_TRANSPORTS = {
+  // A2A skills are addressed as POST <base>/agents/<domain>-<name>/skills/<tool>
+  async a2a({ agentUrn, endpoint, tool, args, timeout }) {
+    const client = createA2AClient({
+      baseUrl: endpoint,
+      authProvider: createAuthProvider(),
+      maxRetries: 0,
+      enableLogging: false,
+      ...(timeout ? { timeout } : {}),
+    });
+    const response = await client.request(agentUrn, `/skills/${encodeURIComponent(tool)}`, {
+      method: 'POST',
+      body: args,
+      maxRetries: 0,
+    });
+    if (response.status >= 400) {
+      throw Object.assign(new Error(`Agent responded with HTTP ${response.status}`), {
+        status: response.status,
+        retryable: response.status === 429,
+      });
+    }
+    const data = response.data ?? {};
+    return { result: data.outputs ?? data, artifacts: data.artifacts ?? [] };
+  },
+
+  async mcp({ endpoint, tool, args, timeout }) {
+    const client = createMCPClient({
+      endpoint,
+      maxRetries: 0,
+      enableLogging: false,
+      ...(timeout ? { timeout } : {}),
+    });
+    try {
+      await client.open();
+      const outcome = await client.executeTool(tool, args);
+      return { result: outcome.content, artifacts: [] };
+    } catch (error) {
+      error.retryable = isRetryableMCPError(error);
+      throw error;
+    } finally {
+      await client.close();
+    }
+  },
+};
+
+function createDefaultDiscovery(root) {
+  const dataDir = process.env.OSSP_AGENT_REGISTRY_DIR || path.join('var', 'registry', 'agents');
+  return createAgentDiscoveryService({
+    enableLogging: false,
+    registry: { dataDir: path.resolve(root, dataDir), enableLogging: false },
   });
 }
+
+async function resolveAgent(agentUrn, { discovery, resolver }) {
+  const registered = await discovery.getAgent(agentUrn);
+  if (registered) {
+    return { ...registered, source: 'registry' };
+  }
+  const resolved = await resolver.resolveAgentUrn(agentUrn);
+  return { ...resolved.metadata, source: 'resolver' };
+}
+
+/**
+ * Run a tool on an agent.
+ *
+ * The agent URN is looked up in the discovery registry (`var/registry/agents` under the
+ * protocol root, or OSSP_AGENT_REGISTRY_DIR) and then through the URN resolver. The call is
+ * dispatched over A2A or MCP behind a per-agent circuit breaker and a FAST retry policy;
+ * failures are reported with `ok: false` rather than thrown.
+ */
+export async function runTool({
+  agentUrn,
+  tool,
+  args = {},
+  root = process.cwd(),
+  transport,
+  timeout,
+  discovery,
+  resolver,
+  transports = {},
+  circuitBreakers = agentCircuitBreakers,
+  retry = {},
+  a2aBaseUrl = process.env.A2A_BASE_URL,
+}) {
+  const requested = { agentUrn, tool, args, ...(transport ? { transport } : {}) };
+  const startedAt = Date.now();
+  const elapsed = () => Date.now() - startedAt;
+
+  if (!agentUrn || !tool || (transport && !AGENT_TRANSPORTS.includes(transport))) {
+    return {
+      status: 400,
+      ok: false,
+      error: 'agent_run_invalid',
+      message: `agent_urn and tool are required; transport must be one of ${AGENT_TRANSPORTS.join(', ')}.`,
+      requested,
+    };
+  }
+
+  try {
+    parseAgentUrn(agentUrn);
+  } catch (error) {
+    return { status: 400, ok: false, error: 'agent_urn_invalid', message: error.message, requested };
+  }
+
+  const services = {
+    discovery: discovery ?? createDefaultDiscovery(root),
+    resolver: resolver ?? new URNResolver({ enableLogging: false }),
+  };
+  let agent;
+  try {
+    agent = await resolveAgent(agentUrn, services);
+  } catch (error) {
+    return {
+      status: 404,
+      ok: false,
+      error: 'agent_not_found',
+      message: error.message,
+      durationMs: elapsed(),
+      requested,
+    };
+  } finally {
+    if (!discovery) {
+      await services.discovery.cleanup();
+    }
+  }
+
+  const selection = selectAgentTransport(agent, { transport, a2aBaseUrl });
+  const summary = {
+    urn: agent.urn || agentUrn,
+    name: agent.name ?? null,
+    version: agent.version ?? null,
+    source: agent.source,
+    transport: selection.transport,
+    endpoint: describeEndpoint(selection.endpoint),
+  };
+  if (!selection.transport) {
+    return {
+      status: 422,
+      ok: false,
+      error: 'agent_transport_unavailable',
+      message: `Agent '${summary.urn}' declares no reachable ${transport ?? 'A2A or MCP'} endpoint.`,
+      agent: { ...summary, supported: selection.supported },
+      durationMs: elapsed(),
+      requested,
+    };
+  }
+
+  const invoke = transports[selection.transport] || DEFAULT_TRANSPORTS[selection.transport];
+  const retryPolicy = createRetryPolicy({ ...PREDEFINED_POLICIES.FAST, enableLogging: false, ...retry });
+  const breaker = circuitBreakers.getBreaker(`${summary.urn}#${selection.transport}`);
+  let attempts = 0;
+  try {
+    const outcome = await breaker.execute(() => retryPolicy.execute(() => {
+      attempts += 1;
+      return invoke({ agent, agentUrn: summary.urn, endpoint: selection.endpoint, tool, args, timeout });
+    }));
+    return {
+      status: 200,
+      ok: true,
+      agent: summary,
+      tool,
+      result: outcome?.result ?? null,
+      artifacts: outcome?.artifacts ?? [],
+      attempts,
+      durationMs: elapsed(),
+      requested,
+    };
+  } catch (error) {
+    if (error instanceof CircuitBreakerError) {
+      return {
+        status: 503,
+        ok: false,
+        error: 'agent_unavailable',
+        message: `Circuit open for '${summary.urn}' over ${selection.transport}; retry after ${new Date(breaker.nextAttemptTime).toISOString()}.`,
+        circuit: breaker.getStatus().state,
+        agent: summary,
+        tool,
+        attempts,
+        durationMs: elapsed(),
+        requested,
+      };
+    }
+    const cause = error instanceof RetryError && error.cause ? error.cause : error;
+    return {
+      status: 502,
+      ok: false,
+      error: 'agent_run_failed',
+      message: cause.message,
+      cause: { name: cause.name, message: cause.message, status: cause.status ?? null },
+      circuit: breaker.getStatus().state,
+      agent: summary,
+      tool,
+      attempts,
+      durationMs: elapsed(),
+      requested,
+    };
+  }
+}
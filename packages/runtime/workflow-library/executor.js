@@ -1,9 +1,15 @@
 /**
  * Workflow Executor
- * Executes workflow definitions with support for sequential, parallel, conditional, and saga patterns
+ * Executes workflow definitions with support for sequential, parallel, conditional, loop, wait,
+ * subworkflow and saga patterns
  */
 
 import { EventEmitter } from 'events';
+import { randomUUID } from 'crypto';
+import { evaluateExpression, resolveTemplate } from './expression.js';
+
+const DEFAULT_MAX_ITERATIONS = 100;
+const MAX_SUBWORKFLOW_DEPTH = 8;
 
 /**
  * Workflow execution states
@@ -35,8 +41,9 @@ class StepResult {
  * Workflow execution context
  */
 class ExecutionContext {
-  constructor(workflowId, inputs = {}) {
+  constructor(workflowId, inputs = {}, executionId = null) {
     this.workflowId = workflowId;
+    this.executionId = executionId;
     this.inputs = inputs;
     this.outputs = {};
     this.stepResults = new Map();
@@ -44,6 +51,10 @@ class ExecutionContext {
     this.startTime = null;
     this.endTime = null;
     this.compensationStack = [];
+    // Loop variables (item, index, iteration) visible to conditions and input references
+    this.variables = {};
+    // Steps restored from the journal on resume; they are not executed again
+    this.replayedSteps = new Set();
   }
 
   setStepResult(stepId, result) {
@@ -67,8 +78,8 @@ class ExecutionContext {
     return result && result.status === 'completed';
   }
 
-  addCompensation(stepId, compensationFn) {
-    this.compensationStack.push({ stepId, compensationFn });
+  addCompensation(stepId, compensationFn, details = {}) {
+    this.compensationStack.push({ stepId, compensationFn, ...details });
   }
 
   getDuration() {
@@ -87,7 +98,13 @@ class WorkflowExecutor extends EventEmitter {
     this.options = {
       dryRun: options.dryRun || false,
       taskExecutor: options.taskExecutor || this._defaultTaskExecutor.bind(this),
-      maxConcurrency: options.maxConcurrency || 10
+      maxConcurrency: options.maxConcurrency || 10,
+      journal: options.journal || null,
+      // `(event, { timeoutMs, match }) => Promise<eventData>` used by event waits
+      waitForEvent: options.waitForEvent || null,
+      // `(urn) => Promise<workflow>` used by subworkflow steps
+      resolveWorkflow: options.resolveWorkflow || null,
+      depth: options.depth || 0
     };
   }
 
@@ -95,21 +112,100 @@ class WorkflowExecutor extends EventEmitter {
    * Execute a workflow definition
    * @param {object} workflow - The workflow definition
    * @param {object} inputs - Input parameters for the workflow
+   * @param {object} [options]
+   * @param {string} [options.executionId] - Execution identifier (generated when omitted)
    * @returns {Promise<ExecutionContext>} - The execution context with results
    */
-  async execute(workflow, inputs = {}) {
-    const context = new ExecutionContext(workflow.workflowId, inputs);
+  async execute(workflow, inputs = {}, options = {}) {
+    const context = new ExecutionContext(workflow.workflowId, inputs, options.executionId || randomUUID());
     context.state = ExecutionState.RUNNING;
     context.startTime = Date.now();
 
-    this.emit('workflow:start', { workflowId: workflow.workflowId, inputs });
+    await this._journal(context, 'workflow:start', { workflowId: workflow.workflowId, workflow, inputs });
+    this.emit('workflow:start', { workflowId: workflow.workflowId, executionId: context.executionId, inputs });
+
+    return this._run(workflow, context);
+  }
+
+  /**
+   * Resume a journaled execution.
+   *
+   * Steps the journal records as completed are restored (outputs and owed compensations) and
+   * skipped; a step that started but never completed runs again. Failed or interrupted sagas
+   * finish their remaining compensations instead of re-running forward steps.
+   * @param {string} executionId - Execution identifier
+   * @returns {Promise<ExecutionContext>} - The execution context with results
+   */
+  async resume(executionId) {
+    if (!this.options.journal) {
+      throw new Error('Resuming a workflow execution requires a journal');
+    }
+
+    const record = await this.options.journal.load(executionId);
+    if (record.state === ExecutionState.COMPLETED || record.state === ExecutionState.COMPENSATED) {
+      const error = new Error(`Workflow execution ${executionId} is already ${record.state}`);
+      error.code = 'EXECUTION_FINISHED';
+      throw error;
+    }
+
+    const { workflow } = record;
+    const context = new ExecutionContext(workflow.workflowId, record.inputs, executionId);
+    context.startTime = Date.now();
+    for (const stepId of record.completedOrder) {
+      const step = record.steps[stepId];
+      context.setStepResult(stepId, new StepResult(stepId, 'completed', step.output, null, step.duration));
+      context.replayedSteps.add(stepId);
+      const definition = this._findStepById(workflow.steps, stepId);
+      // Loop bodies are not journaled step by step; their loop step carries what they owe
+      for (const owed of step.compensations || []) {
+        const bodyStep = this._findStepById(workflow.steps, owed.stepId);
+        if (bodyStep?.compensation) {
+          const scope = this._createScope(context, stepId, owed.variables);
+          for (const [bodyStepId, output] of Object.entries(owed.outputs || {})) {
+            scope.setStepResult(bodyStepId, new StepResult(bodyStepId, 'completed', output));
+          }
+          this._registerCompensation(bodyStep, scope, workflow, owed.key);
+        }
+      }
+      if (definition?.compensation) {
+        this._registerCompensation(definition, context, workflow);
+      }
+    }
+
+    const policy = workflow.compensationPolicy;
+    const owesCompensation = Boolean(policy && policy !== 'none') &&
+      (record.state === ExecutionState.FAILED || record.state === ExecutionState.COMPENSATING);
+    context.state = owesCompensation ? ExecutionState.COMPENSATING : ExecutionState.RUNNING;
+
+    await this._journal(context, 'workflow:resume', { state: context.state, fromState: record.state });
+    this.emit('workflow:resume', {
+      workflowId: workflow.workflowId,
+      executionId,
+      fromState: record.state,
+      replayedSteps: record.completedOrder
+    });
+
+    if (owesCompensation) {
+      await this._executeCompensation(context, policy, record.compensation.done);
+      context.endTime = Date.now();
+      return context;
+    }
 
+    return this._run(workflow, context);
+  }
+
+  /**
+   * Run the workflow steps against a prepared context
+   * @private
+   */
+  async _run(workflow, context) {
     try {
       // Execute workflow steps
       await this._executeSteps(workflow.steps, context, workflow);
 
       context.state = ExecutionState.COMPLETED;
       context.endTime = Date.now();
+      await this._journal(context, 'workflow:complete', { duration: context.getDuration() });
 
       this.emit('workflow:complete', {
         workflowId: workflow.workflowId,
@@ -121,6 +217,10 @@ class WorkflowExecutor extends EventEmitter {
     } catch (error) {
       context.state = ExecutionState.FAILED;
       context.endTime = Date.now();
+      await this._journal(context, 'workflow:failed', {
+        error: this._serializeError(error),
+        duration: context.getDuration()
+      });
 
       this.emit('workflow:failed', {
         workflowId: workflow.workflowId,
@@ -133,6 +233,8 @@ class WorkflowExecutor extends EventEmitter {
         await this._executeCompensation(context, workflow.compensationPolicy);
       }
 
+      // Expose partial results (step timings, compensation state) to callers
+      error.executionContext = context;
       throw error;
     }
   }
@@ -145,6 +247,8 @@ class WorkflowExecutor extends EventEmitter {
     if (!steps || steps.length === 0) return;
 
     for (const step of steps) {
+      // Compensation steps only run when unwinding a failed saga
+      if (step.type === 'compensation') continue;
       await this._executeStep(step, context, workflow);
     }
   }
@@ -154,19 +258,28 @@ class WorkflowExecutor extends EventEmitter {
    * @private
    */
   async _executeStep(step, context, workflow) {
+    // Steps completed before a resume keep their journaled result
+    if (context.replayedSteps.has(step.stepId)) {
+      this.emit('step:replayed', { stepId: step.stepId });
+      return;
+    }
+
     // Check if step should be skipped due to dependencies
     if (!this._checkDependencies(step, context)) {
+      await this._journal(context, 'step:skipped', { stepId: step.stepId, reason: 'dependencies not met' });
       this.emit('step:skipped', { stepId: step.stepId, reason: 'dependencies not met' });
       return;
     }
 
     // Check condition for execution
     if (step.condition && !this._evaluateCondition(step.condition, context)) {
+      await this._journal(context, 'step:skipped', { stepId: step.stepId, reason: 'condition not met' });
       this.emit('step:skipped', { stepId: step.stepId, reason: 'condition not met' });
       return;
     }
 
     const startTime = Date.now();
+    await this._journal(context, 'step:start', { stepId: step.stepId, stepType: step.type });
     this.emit('step:start', { stepId: step.stepId, type: step.type });
 
     try {
@@ -185,6 +298,19 @@ class WorkflowExecutor extends EventEmitter {
         case 'compensation':
           result = await this._executeCompensationStep(step, context, workflow);
           break;
+        case 'foreach':
+        case 'map':
+          result = await this._executeForEach(step, context, workflow);
+          break;
+        case 'while':
+          result = await this._executeWhile(step, context, workflow);
+          break;
+        case 'wait':
+          result = await this._executeWait(step, context, workflow);
+          break;
+        case 'subworkflow':
+          result = await this._executeSubworkflow(step, context, workflow);
+          break;
         default:
           throw new Error(`Unknown step type: ${step.type}`);
       }
@@ -192,6 +318,13 @@ class WorkflowExecutor extends EventEmitter {
       const duration = Date.now() - startTime;
       const stepResult = new StepResult(step.stepId, 'completed', result, null, duration);
       context.setStepResult(step.stepId, stepResult);
+      const compensations = this._loopCompensations(step, context);
+      await this._journal(context, 'step:complete', {
+        stepId: step.stepId,
+        output: result,
+        duration,
+        ...(compensations.length > 0 && { compensations })
+      });
 
       this.emit('step:complete', {
         stepId: step.stepId,
@@ -201,17 +334,13 @@ class WorkflowExecutor extends EventEmitter {
 
       // Register compensation if specified
       if (step.compensation) {
-        context.addCompensation(step.stepId, async () => {
-          const compensationStep = this._findStepById(workflow.steps, step.compensation);
-          if (compensationStep) {
-            await this._executeStep(compensationStep, context, workflow);
-          }
-        });
+        this._registerCompensation(step, context, workflow);
       }
     } catch (error) {
       const duration = Date.now() - startTime;
       const stepResult = new StepResult(step.stepId, 'failed', null, error, duration);
       context.setStepResult(step.stepId, stepResult);
+      await this._journal(context, 'step:failed', { stepId: step.stepId, error: this._serializeError(error), duration });
 
       this.emit('step:failed', {
         stepId: step.stepId,
@@ -230,6 +359,54 @@ class WorkflowExecutor extends EventEmitter {
     }
   }
 
+  /**
+   * Push the compensation owed for a completed step. Inside a loop body the entry also records
+   * the iteration scope, so the outermost loop step can journal it for resume.
+   * @param {string} [key] - Journal key of a restored loop compensation
+   * @private
+   */
+  _registerCompensation(step, context, workflow, key = null) {
+    const compensationFn = async () => {
+      const compensationStep = this._findStepById(workflow.steps, step.compensation);
+      if (compensationStep) {
+        await this._executeStep(compensationStep, context, workflow);
+      }
+    };
+    if (!context.loopStepId) {
+      context.addCompensation(step.stepId, compensationFn);
+      return;
+    }
+
+    // A body step owes one compensation per iteration; the key tells them apart in the journal
+    const owed = context.compensationStack.filter((entry) => entry.stepId === step.stepId).length;
+    const loopStep = this._findStepById(workflow.steps, context.loopStepId);
+    context.addCompensation(step.stepId, compensationFn, {
+      key: key || `${step.stepId}#${owed}`,
+      loopStepId: context.loopStepId,
+      scope: {
+        variables: context.variables,
+        outputs: Object.fromEntries(
+          Array.from(context.stepResults.values())
+            .filter((result) => result.status === 'completed' && this._findStepById(loopStep.steps, result.stepId))
+            .map((result) => [result.stepId, result.output])
+        )
+      }
+    });
+  }
+
+  /**
+   * Compensations registered by the body of a journaled loop step, in journal form
+   * @private
+   */
+  _loopCompensations(step, context) {
+    if (!['foreach', 'map', 'while'].includes(step.type) || context.loopStepId) {
+      return [];
+    }
+    return context.compensationStack
+      .filter((entry) => entry.loopStepId === step.stepId)
+      .map(({ stepId, key, scope }) => ({ stepId, key, ...scope }));
+  }
+
   /**
    * Execute a task step
    * @private
@@ -249,7 +426,7 @@ class WorkflowExecutor extends EventEmitter {
     for (let attempt = 1; attempt <= maxAttempts; attempt++) {
       try {
         const result = await this._executeWithTimeout(
-          () => this.options.taskExecutor(step.task.action, inputs, context),
+          () => this.options.taskExecutor(step.task.action, inputs, context, step),
           timeout
         );
 
@@ -259,6 +436,7 @@ class WorkflowExecutor extends EventEmitter {
 
         if (attempt < maxAttempts && this._isRetryable(error, retryPolicy)) {
           const backoff = this._calculateBackoff(attempt, retryPolicy);
+          await this._journal(context, 'step:retry', { stepId: step.stepId, attempt, error: error.message });
           this.emit('step:retry', {
             stepId: step.stepId,
             attempt,
@@ -291,17 +469,27 @@ class WorkflowExecutor extends EventEmitter {
       branches: step.branches.length
     });
 
-    const branchPromises = step.branches.map(async (branch) => {
-      const branchContext = Object.create(context);
-      try {
-        await this._executeSteps(branch.steps, branchContext, workflow);
-        return { branchId: branch.branchId, success: true };
-      } catch (error) {
-        return { branchId: branch.branchId, success: false, error };
+    // Branches run up to `concurrency` (or maxConcurrency) at a time; none start after a failure
+    const concurrency = Math.min(step.concurrency || step.branches.length, this.options.maxConcurrency);
+    const outcomes = new Array(step.branches.length);
+    let next = 0;
+    let branchFailed = false;
+    const worker = async () => {
+      while (!branchFailed && next < step.branches.length) {
+        const index = next++;
+        const branch = step.branches[index];
+        const branchContext = Object.create(context);
+        try {
+          await this._executeSteps(branch.steps, branchContext, workflow);
+          outcomes[index] = { branchId: branch.branchId, success: true };
+        } catch (error) {
+          branchFailed = true;
+          outcomes[index] = { branchId: branch.branchId, success: false, error };
+        }
       }
-    });
-
-    const results = await Promise.all(branchPromises);
+    };
+    await Promise.all(Array.from({ length: concurrency }, worker));
+    const results = outcomes.filter(Boolean);
     const duration = Date.now() - startTime;
 
     const failed = results.filter(r => !r.success);
@@ -369,30 +557,203 @@ class WorkflowExecutor extends EventEmitter {
     return { compensated: true };
   }
 
+  /**
+   * Execute a foreach or map step: run the body once per item, up to `concurrency` items at a time.
+   * A map step returns the output of the body's last step for each item.
+   * @private
+   */
+  async _executeForEach(step, context, workflow) {
+    const items = Array.isArray(step.items) ? step.items : this._evaluateExpression(step.items, context);
+    if (!Array.isArray(items)) {
+      throw new Error(`${step.type} step '${step.stepId}' items did not resolve to an array`);
+    }
+
+    const variable = step.as || 'item';
+    const concurrency = Math.min(step.concurrency || 1, this.options.maxConcurrency);
+    const lastStepId = step.steps[step.steps.length - 1].stepId;
+    const startTime = Date.now();
+    this.emit('loop:start', { stepId: step.stepId, type: step.type, items: items.length, concurrency });
+
+    const results = new Array(items.length);
+    let next = 0;
+    let failure = null;
+    const worker = async () => {
+      while (!failure && next < items.length) {
+        const index = next++;
+        const scope = this._createScope(context, step.stepId, { [variable]: items[index], index });
+        this.emit('loop:iteration', { stepId: step.stepId, iteration: index });
+        try {
+          await this._executeSteps(step.steps, scope, workflow);
+          results[index] = scope.getStepOutput(lastStepId);
+        } catch (error) {
+          failure = failure || { index, error };
+        }
+      }
+    };
+    await Promise.all(Array.from({ length: Math.min(concurrency, items.length) }, worker));
+
+    if (failure) {
+      throw new Error(`${step.type} step '${step.stepId}' failed on item ${failure.index}: ${failure.error.message}`);
+    }
+
+    this.emit('loop:complete', { stepId: step.stepId, iterations: items.length, duration: Date.now() - startTime });
+    return step.type === 'map' ? results : { iterations: items.length };
+  }
+
+  /**
+   * Execute a while step: repeat the body while the condition holds, failing after `maxIterations`.
+   * Each iteration sees the body outputs of the previous one.
+   * @private
+   */
+  async _executeWhile(step, context, workflow) {
+    const maxIterations = step.maxIterations || DEFAULT_MAX_ITERATIONS;
+    const startTime = Date.now();
+    this.emit('loop:start', { stepId: step.stepId, type: step.type, maxIterations });
+
+    let iterations = 0;
+    let scope = this._createScope(context, step.stepId, { iteration: 0 });
+    while (this._evaluateCondition(step.while, scope)) {
+      if (iterations >= maxIterations) {
+        throw new Error(`while step '${step.stepId}' exceeded maxIterations (${maxIterations})`);
+      }
+      this.emit('loop:iteration', { stepId: step.stepId, iteration: iterations });
+      await this._executeSteps(step.steps, scope, workflow);
+      iterations += 1;
+      scope = this._createScope(context, step.stepId, { iteration: iterations }, scope);
+    }
+
+    this.emit('loop:complete', { stepId: step.stepId, iterations, duration: Date.now() - startTime });
+    return {
+      iterations,
+      outputs: Object.fromEntries(step.steps.map((bodyStep) => [bodyStep.stepId, scope.getStepOutput(bodyStep.stepId)]))
+    };
+  }
+
+  /**
+   * Create the scope a loop iteration runs in. Body results stay in the scope; compensations
+   * still register on the workflow's stack.
+   * @param {ExecutionContext} context - Enclosing context
+   * @param {string} loopStepId - Loop step the iteration belongs to
+   * @param {object} variables - Loop variables for this iteration
+   * @param {ExecutionContext} [seed] - Scope whose results the iteration starts from
+   * @private
+   */
+  _createScope(context, loopStepId, variables, seed = context) {
+    const scope = Object.create(context);
+    scope.stepResults = new Map(seed.stepResults);
+    scope.variables = { ...seed.variables, ...variables };
+    scope.outputs = { ...seed.outputs, ...variables };
+    scope.replayedSteps = new Set();
+    // Iterations are journaled as part of their outermost loop step, not step by step
+    scope.executionId = null;
+    scope.loopStepId = context.loopStepId || loopStepId;
+    return scope;
+  }
+
+  /**
+   * Execute a wait step: sleep for `durationMs`, or wait for an event on the event adapter
+   * @private
+   */
+  async _executeWait(step, context, workflow) {
+    const { durationMs, event, match } = step.wait;
+    const startTime = Date.now();
+    this.emit('wait:start', { stepId: step.stepId, durationMs, event });
+
+    let output;
+    if (event) {
+      const timeoutMs = step.wait.timeoutMs ?? step.timeout ?? workflow.timeout;
+      if (this.options.waitForEvent) {
+        const received = await this.options.waitForEvent(event, { timeoutMs, match });
+        output = { event, data: received?.data ?? null, waitedMs: Date.now() - startTime };
+      } else if (this.options.dryRun) {
+        output = { event, data: null, waitedMs: 0, simulated: true };
+      } else {
+        throw new Error(`Wait step '${step.stepId}' has no event source to wait for '${event}'`);
+      }
+    } else {
+      if (!this.options.dryRun) {
+        await this._sleep(durationMs);
+      }
+      output = { waitedMs: Date.now() - startTime };
+    }
+
+    this.emit('wait:complete', { stepId: step.stepId, ...output });
+    return output;
+  }
+
+  /**
+   * Execute a subworkflow step: resolve the workflow by URN and run it with a child executor.
+   * The subworkflow compensates itself on failure; its outputs become the step output.
+   * @private
+   */
+  async _executeSubworkflow(step, context, workflow) {
+    const { urn } = step.subworkflow;
+    const inputs = this._resolveInputs(step.subworkflow.inputs, context);
+
+    if (!this.options.resolveWorkflow) {
+      if (this.options.dryRun) {
+        return { urn, inputs, simulated: true };
+      }
+      throw new Error(`Subworkflow step '${step.stepId}' has no workflow resolver for ${urn}`);
+    }
+    if (this.options.depth >= MAX_SUBWORKFLOW_DEPTH) {
+      throw new Error(`Subworkflow step '${step.stepId}' exceeds the maximum nesting depth (${MAX_SUBWORKFLOW_DEPTH})`);
+    }
+
+    const definition = await this.options.resolveWorkflow(urn);
+    if (!definition) {
+      throw new Error(`Subworkflow not found: ${urn}`);
+    }
+
+    const child = new WorkflowExecutor({ ...this.options, journal: null, depth: this.options.depth + 1 });
+    const startTime = Date.now();
+    this.emit('subworkflow:start', { stepId: step.stepId, urn, workflowId: definition.workflowId });
+
+    let childContext;
+    try {
+      childContext = await child.execute(definition, inputs);
+    } catch (error) {
+      this.emit('subworkflow:failed', { stepId: step.stepId, urn, error: error.message });
+      throw new Error(`Subworkflow ${urn} failed: ${error.message}`);
+    }
+
+    this.emit('subworkflow:complete', { stepId: step.stepId, urn, duration: Date.now() - startTime });
+    return childContext.outputs;
+  }
+
   /**
    * Execute compensation stack
+   * @param {string[]} [alreadyCompensated] - Steps whose compensation a previous run finished
    * @private
    */
-  async _executeCompensation(context, policy) {
+  async _executeCompensation(context, policy, alreadyCompensated = []) {
     context.state = ExecutionState.COMPENSATING;
 
+    const compensations = policy === 'full'
+      ? context.compensationStack
+      : context.compensationStack.slice(-1);
+
+    await this._journal(context, 'compensation:start', {
+      policy,
+      stepIds: compensations.map(({ stepId, key }) => key || stepId)
+    });
     this.emit('compensation:start', {
       workflowId: context.workflowId,
       stackSize: context.compensationStack.length,
       policy
     });
 
-    const compensations = policy === 'full'
-      ? context.compensationStack
-      : context.compensationStack.slice(-1);
-
     // Execute compensations in reverse order (LIFO)
     for (let i = compensations.length - 1; i >= 0; i--) {
-      const { stepId, compensationFn } = compensations[i];
+      const { stepId, key, compensationFn } = compensations[i];
+      const journalId = key || stepId;
+      if (alreadyCompensated.includes(journalId)) continue;
       try {
         this.emit('compensation:step', { stepId });
         await compensationFn();
+        await this._journal(context, 'compensation:done', { stepId: journalId, status: 'completed' });
       } catch (error) {
+        await this._journal(context, 'compensation:done', { stepId: journalId, status: 'failed', error: error.message });
         this.emit('compensation:failed', {
           stepId,
           error: error.message
@@ -402,9 +763,27 @@ class WorkflowExecutor extends EventEmitter {
     }
 
     context.state = ExecutionState.COMPENSATED;
+    await this._journal(context, 'compensation:complete', {});
     this.emit('compensation:complete', { workflowId: context.workflowId });
   }
 
+  /**
+   * Record a transition in the execution journal, when one is configured
+   * @private
+   */
+  async _journal(context, type, data) {
+    if (!this.options.journal || !context.executionId) return;
+    await this.options.journal.append(context.executionId, { type, ...data });
+  }
+
+  /**
+   * Journal-safe error representation
+   * @private
+   */
+  _serializeError(error) {
+    return { message: error?.message ?? String(error), code: error?.code ?? null };
+  }
+
   /**
    * Check if step dependencies are satisfied
    * @private
@@ -423,14 +802,7 @@ class WorkflowExecutor extends EventEmitter {
    */
   _evaluateCondition(condition, context) {
     try {
-      // Simple expression evaluation
-      // In production, use a safe expression evaluator
-      const fn = new Function('context', `
-        with (context.outputs) {
-          return ${condition};
-        }
-      `);
-      return Boolean(fn(context));
+      return Boolean(this._evaluateExpression(condition, context));
     } catch (error) {
       this.emit('condition:error', {
         condition,
@@ -441,18 +813,43 @@ class WorkflowExecutor extends EventEmitter {
   }
 
   /**
-   * Resolve input parameters with context values
+   * Evaluate an expression against the step outputs and loop variables
+   * @private
+   */
+  _evaluateExpression(expression, context) {
+    return evaluateExpression(expression, this._expressionScope(context));
+  }
+
+  /**
+   * Names visible to expressions: step outputs by ID, loop variables, `inputs` and `steps`.
+   * A step named `inputs` takes precedence over the workflow inputs.
+   * @private
+   */
+  _expressionScope(context) {
+    return {
+      inputs: context.inputs,
+      steps: context.outputs,
+      ...context.outputs,
+      ...(context.variables || {})
+    };
+  }
+
+  /**
+   * Resolve input parameters with context values. A top-level value may be a `$name.path`
+   * reference; strings at any depth may contain `{{ expression }}` templates.
    * @private
    */
   _resolveInputs(inputs, context) {
     if (!inputs) return {};
 
+    let scope = null;
     const resolved = {};
     for (const [key, value] of Object.entries(inputs)) {
       if (typeof value === 'string' && value.startsWith('$')) {
-        // Reference to context output
-        const stepId = value.substring(1);
-        resolved[key] = context.getStepOutput(stepId);
+        resolved[key] = this._resolveReference(value, context);
+      } else if (JSON.stringify(value)?.includes('{{')) {
+        scope ||= this._expressionScope(context);
+        resolved[key] = resolveTemplate(value, scope);
       } else {
         resolved[key] = value;
       }
@@ -460,6 +857,23 @@ class WorkflowExecutor extends EventEmitter {
     return resolved;
   }
 
+  /**
+   * Resolve a `$name.path` reference to a loop variable, step output or `inputs`
+   * @private
+   */
+  _resolveReference(reference, context) {
+    const [name, ...path] = reference.substring(1).split('.');
+    let root;
+    if (name in (context.variables || {})) {
+      root = context.variables[name];
+    } else if (name === 'inputs' && !context.stepResults.has(name)) {
+      root = context.inputs;
+    } else {
+      root = context.getStepOutput(name);
+    }
+    return path.length > 0 ? this._getNestedValue(root, path.join('.')) : root;
+  }
+
   /**
    * Map task outputs
    * @private
@@ -560,6 +974,11 @@ class WorkflowExecutor extends EventEmitter {
         const found = this._findStepById(step.default, stepId);
         if (found) return found;
       }
+
+      if (step.steps) {
+        const found = this._findStepById(step.steps, stepId);
+        if (found) return found;
+      }
     }
     return null;
   }
@@ -0,0 +1,736 @@
+/**
+ * Workflow Expression Language
+ * Sandboxed, side-effect-free expressions for workflow conditions, loops and input templates
+ *
+ * Expressions are parsed into a small AST and interpreted; nothing is passed to `eval` or
+ * `Function`. They can read scope values and call the functions in EXPRESSION_FUNCTIONS, but
+ * cannot reach prototypes, globals or host objects.
+ *
+ *   validate-data.valid === true && len(records) > 0
+ *   default(order.priority, 'normal')
+ *   'Hello {{ upper(user.name) }}'            (template)
+ *
+ * Step IDs may contain hyphens (`analyze-content.type`), so subtraction needs spaces (`a - b`).
+ */
+
+const MAX_EXPRESSION_LENGTH = 4000;
+const MAX_DEPTH = 64;
+const CACHE_LIMIT = 500;
+const TEMPLATE_PATTERN = /{{([\s\S]*?)}}/g;
+const FORBIDDEN_PROPERTIES = new Set(['__proto__', 'prototype', 'constructor']);
+const KEYWORDS = new Map([
+  ['true', true],
+  ['false', false],
+  ['null', null],
+  ['undefined', undefined]
+]);
+
+class ExpressionError extends Error {
+  /**
+   * @param {string} message - What went wrong
+   * @param {string} [expression] - Expression source
+   * @param {number} [position] - Character offset of the problem
+   */
+  constructor(message, expression = null, position = null) {
+    super(position === null ? message : `${message} (at position ${position})`);
+    this.name = 'ExpressionError';
+    this.expression = expression;
+    this.position = position;
+  }
+}
+
+const isNil = (value) => value === null || value === undefined;
+
+const toArray = (value, name) => {
+  if (isNil(value)) return [];
+  if (!Array.isArray(value)) {
+    throw new ExpressionError(`${name}() expects an array`);
+  }
+  return value;
+};
+
+const toText = (value) => {
+  if (isNil(value)) return '';
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+};
+
+const readProperty = (target, key) => {
+  if (isNil(target)) return undefined;
+  const name = String(key);
+  if (FORBIDDEN_PROPERTIES.has(name)) {
+    throw new ExpressionError(`Access to "${name}" is not allowed`);
+  }
+  if (typeof target === 'string' || Array.isArray(target)) {
+    if (name === 'length') return target.length;
+    return /^\d+$/.test(name) ? target[Number(name)] : undefined;
+  }
+  if (typeof target === 'object' && Object.prototype.hasOwnProperty.call(target, name)) {
+    return target[name];
+  }
+  return undefined;
+};
+
+const compare = (a, b) => {
+  if (a === b) return 0;
+  if (isNil(a)) return -1;
+  if (isNil(b)) return 1;
+  return a < b ? -1 : 1;
+};
+
+const deepEqual = (a, b) => {
+  if (a === b) return true;
+  if (typeof a !== 'object' || typeof b !== 'object' || isNil(a) || isNil(b)) return false;
+  if (Array.isArray(a) !== Array.isArray(b)) return false;
+  const keysA = Object.keys(a);
+  const keysB = Object.keys(b);
+  return keysA.length === keysB.length && keysA.every((key) => deepEqual(a[key], b[key]));
+};
+
+/**
+ * Functions callable from expressions. Every function is pure and tolerates null inputs.
+ */
+const EXPRESSION_FUNCTIONS = Object.freeze({
+  // Values and defaults
+  default: (value, fallback) => (isNil(value) || value === '' ? fallback : value),
+  coalesce: (...values) => values.find((value) => !isNil(value)) ?? null,
+  exists: (value) => !isNil(value),
+  isEmpty: (value) => isNil(value) || value === '' || (typeof value === 'object' && Object.keys(value).length === 0),
+  type: (value) => (Array.isArray(value) ? 'array' : value === null ? 'null' : typeof value),
+  get: (target, path, fallback = null) => {
+    const value = String(path).split('.').reduce((current, key) => readProperty(current, key), target);
+    return isNil(value) ? fallback : value;
+  },
+  equals: (a, b) => deepEqual(a, b),
+
+  // Conversion
+  number: (value) => Number(value),
+  string: (value) => toText(value),
+  boolean: (value) => Boolean(value),
+  json: (value) => JSON.stringify(value ?? null),
+
+  // Numbers
+  abs: (value) => Math.abs(value),
+  round: (value, digits = 0) => {
+    const factor = 10 ** digits;
+    return Math.round(value * factor) / factor;
+  },
+  floor: (value) => Math.floor(value),
+  ceil: (value) => Math.ceil(value),
+  min: (...values) => Math.min(...(Array.isArray(values[0]) ? values[0] : values)),
+  max: (...values) => Math.max(...(Array.isArray(values[0]) ? values[0] : values)),
+  sum: (values) => toArray(values, 'sum').reduce((total, value) => total + Number(value || 0), 0),
+
+  // Strings
+  lower: (value) => toText(value).toLowerCase(),
+  upper: (value) => toText(value).toUpperCase(),
+  trim: (value) => toText(value).trim(),
+  startsWith: (value, prefix) => toText(value).startsWith(toText(prefix)),
+  endsWith: (value, suffix) => toText(value).endsWith(toText(suffix)),
+  replace: (value, search, replacement) => toText(value).split(toText(search)).join(toText(replacement)),
+  split: (value, separator = ',') => toText(value).split(toText(separator)),
+  matches: (value, pattern) => {
+    const source = toText(pattern);
+    if (source.length > 200) {
+      throw new ExpressionError('matches() patterns are limited to 200 characters');
+    }
+    return new RegExp(source).test(toText(value));
+  },
+
+  // Collections
+  len: (value) => {
+    if (isNil(value)) return 0;
+    if (typeof value === 'string' || Array.isArray(value)) return value.length;
+    return typeof value === 'object' ? Object.keys(value).length : 0;
+  },
+  contains: (collection, needle) => {
+    if (typeof collection === 'string') return collection.includes(toText(needle));
+    if (Array.isArray(collection)) return collection.some((item) => deepEqual(item, needle));
+    if (collection && typeof collection === 'object') {
+      return Object.prototype.hasOwnProperty.call(collection, String(needle));
+    }
+    return false;
+  },
+  keys: (value) => (value && typeof value === 'object' ? Object.keys(value) : []),
+  values: (value) => (value && typeof value === 'object' ? Object.values(value) : []),
+  first: (value) => (isNil(value) ? null : value[0] ?? null),
+  last: (value) => (isNil(value) ? null : value[value.length - 1] ?? null),
+  slice: (value, start, end) => (isNil(value) ? [] : value.slice(start, end)),
+  concat: (...values) => values.flatMap((value) => (isNil(value) ? [] : value)),
+  join: (values, separator = ',') => toArray(values, 'join').map(toText).join(toText(separator)),
+  unique: (values) => toArray(values, 'unique').filter(
+    (value, index, all) => all.findIndex((other) => deepEqual(other, value)) === index
+  ),
+  sort: (values, field) => [...toArray(values, 'sort')].sort((a, b) => (
+    isNil(field) ? compare(a, b) : compare(readProperty(a, field), readProperty(b, field))
+  )),
+  reverse: (values) => [...toArray(values, 'reverse')].reverse(),
+  flatten: (values) => toArray(values, 'flatten').flat(),
+  pluck: (values, field) => toArray(values, 'pluck').map((value) => readProperty(value, field)),
+  where: (values, field, expected) => toArray(values, 'where').filter(
+    (value) => deepEqual(readProperty(value, field), expected)
+  ),
+  count: (values, field, expected) => {
+    const list = toArray(values, 'count');
+    return field === undefined
+      ? list.length
+      : list.filter((value) => deepEqual(readProperty(value, field), expected)).length;
+  }
+});
+
+// ---------------------------------------------------------------------------
+// Tokenizer
+// ---------------------------------------------------------------------------
+
+const PUNCTUATORS = ['===', '!==', '?.', '??', '==', '!=', '<=', '>=', '&&', '||',
+  '+', '-', '*', '/', '%', '<', '>', '!', '?', ':', '.', ',', '(', ')', '[', ']', '{', '}'];
+
+function tokenize(source) {
+  const tokens = [];
+  let index = 0;
+
+  while (index < source.length) {
+    const char = source[index];
+
+    if (/\s/.test(char)) {
+      index += 1;
+      continue;
+    }
+
+    if (/[0-9]/.test(char) || (char === '.' && /[0-9]/.test(source[index + 1] || ''))) {
+      const match = source.slice(index).match(/^(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?/);
+      tokens.push({ type: 'number', value: Number(match[0]), position: index });
+      index += match[0].length;
+      continue;
+    }
+
+    if (char === '"' || char === "'") {
+      let value = '';
+      let cursor = index + 1;
+      while (cursor < source.length && source[cursor] !== char) {
+        if (source[cursor] === '\\') {
+          const escaped = source[cursor + 1];
+          value += { n: '\n', t: '\t', r: '\r' }[escaped] ?? escaped ?? '';
+          cursor += 2;
+        } else {
+          value += source[cursor];
+          cursor += 1;
+        }
+      }
+      if (cursor >= source.length) {
+        throw new ExpressionError('Unterminated string', source, index);
+      }
+      tokens.push({ type: 'string', value, position: index });
+      index = cursor + 1;
+      continue;
+    }
+
+    if (/[A-Za-z_$]/.test(char)) {
+      // Hyphens join identifier parts so hyphenated step IDs can be referenced directly
+      const match = source.slice(index).match(/^[A-Za-z_$][A-Za-z0-9_$]*(?:-[A-Za-z0-9_$]+)*/);
+      const name = match[0];
+      if (KEYWORDS.has(name)) {
+        tokens.push({ type: 'literal', value: KEYWORDS.get(name), position: index });
+      } else if (name === 'in') {
+        tokens.push({ type: 'punctuator', value: 'in', position: index });
+      } else {
+        tokens.push({ type: 'identifier', value: name, position: index });
+      }
+      index += name.length;
+      continue;
+    }
+
+    const punctuator = PUNCTUATORS.find((candidate) => source.startsWith(candidate, index));
+    if (!punctuator) {
+      throw new ExpressionError(`Unexpected character "${char}"`, source, index);
+    }
+    tokens.push({ type: 'punctuator', value: punctuator, position: index });
+    index += punctuator.length;
+  }
+
+  tokens.push({ type: 'end', value: null, position: source.length });
+  return tokens;
+}
+
+// ---------------------------------------------------------------------------
+// Parser (precedence climbing over a token list)
+// ---------------------------------------------------------------------------
+
+const BINARY_PRECEDENCE = [
+  ['??'],
+  ['||'],
+  ['&&'],
+  ['==', '!=', '===', '!=='],
+  ['<', '<=', '>', '>=', 'in'],
+  ['+', '-'],
+  ['*', '/', '%']
+];
+
+class Parser {
+  constructor(source) {
+    this.source = source;
+    this.tokens = tokenize(source);
+    this.index = 0;
+    this.depth = 0;
+  }
+
+  peek() {
+    return this.tokens[this.index];
+  }
+
+  next() {
+    return this.tokens[this.index++];
+  }
+
+  match(value) {
+    const token = this.peek();
+    if (token.type === 'punctuator' && token.value === value) {
+      this.index += 1;
+      return true;
+    }
+    return false;
+  }
+
+  expect(value) {
+    const token = this.peek();
+    if (!this.match(value)) {
+      throw new ExpressionError(`Expected "${value}"`, this.source, token.position);
+    }
+  }
+
+  parse() {
+    const node = this.parseExpression();
+    const token = this.peek();
+    if (token.type !== 'end') {
+      throw new ExpressionError(`Unexpected "${token.value}"`, this.source, token.position);
+    }
+    return node;
+  }
+
+  parseExpression() {
+    this.depth += 1;
+    if (this.depth > MAX_DEPTH) {
+      throw new ExpressionError('Expression is nested too deeply', this.source, this.peek().position);
+    }
+    const node = this.parseConditional();
+    this.depth -= 1;
+    return node;
+  }
+
+  parseConditional() {
+    const test = this.parseBinary(0);
+    if (!this.match('?')) return test;
+    const consequent = this.parseExpression();
+    this.expect(':');
+    const alternate = this.parseExpression();
+    return { type: 'Conditional', test, consequent, alternate };
+  }
+
+  parseBinary(level) {
+    if (level >= BINARY_PRECEDENCE.length) return this.parseUnary();
+
+    let left = this.parseBinary(level + 1);
+    for (;;) {
+      const token = this.peek();
+      if (token.type !== 'punctuator' || !BINARY_PRECEDENCE[level].includes(token.value)) {
+        return left;
+      }
+      this.next();
+      const right = this.parseBinary(level + 1);
+      left = { type: 'Binary', operator: token.value, left, right };
+    }
+  }
+
+  parseUnary() {
+    const token = this.peek();
+    if (token.type === 'punctuator' && ['!', '-', '+'].includes(token.value)) {
+      this.next();
+      this.depth += 1;
+      if (this.depth > MAX_DEPTH) {
+        throw new ExpressionError('Expression is nested too deeply', this.source, token.position);
+      }
+      const argument = this.parseUnary();
+      this.depth -= 1;
+      return { type: 'Unary', operator: token.value, argument };
+    }
+    return this.parsePostfix();
+  }
+
+  parsePostfix() {
+    let node = this.parsePrimary();
+    for (;;) {
+      const token = this.peek();
+      // Member access is always null-safe, so `?.` only differs from `.` in allowing `?.[key]`
+      const optional = this.match('?.');
+      if (optional && this.match('[')) {
+        const property = this.parseExpression();
+        this.expect(']');
+        node = { type: 'Member', object: node, property };
+      } else if (optional || this.match('.')) {
+        const property = this.next();
+        if (property.type !== 'identifier' && property.type !== 'literal') {
+          throw new ExpressionError('Expected a property name', this.source, property.position);
+        }
+        node = { type: 'Member', object: node, property: { type: 'Literal', value: String(property.value) } };
+      } else if (this.match('[')) {
+        const property = this.parseExpression();
+        this.expect(']');
+        node = { type: 'Member', object: node, property };
+      } else if (token.type === 'punctuator' && token.value === '(') {
+        if (node.type !== 'Identifier') {
+          throw new ExpressionError('Only built-in functions can be called', this.source, token.position);
+        }
+        this.next();
+        const args = [];
+        if (!this.match(')')) {
+          do {
+            args.push(this.parseExpression());
+          } while (this.match(','));
+          this.expect(')');
+        }
+        node = { type: 'Call', callee: node.name, arguments: args, position: token.position };
+      } else {
+        return node;
+      }
+    }
+  }
+
+  parsePrimary() {
+    const token = this.next();
+    switch (token.type) {
+      case 'number':
+      case 'string':
+      case 'literal':
+        return { type: 'Literal', value: token.value };
+      case 'identifier':
+        return { type: 'Identifier', name: token.value, position: token.position };
+      case 'punctuator':
+        if (token.value === '(') {
+          const node = this.parseExpression();
+          this.expect(')');
+          return node;
+        }
+        if (token.value === '[') {
+          const elements = [];
+          if (!this.match(']')) {
+            do {
+              elements.push(this.parseExpression());
+            } while (this.match(','));
+            this.expect(']');
+          }
+          return { type: 'Array', elements };
+        }
+        if (token.value === '{') {
+          const properties = [];
+          if (!this.match('}')) {
+            do {
+              const key = this.next();
+              if (!['identifier', 'string', 'number'].includes(key.type)) {
+                throw new ExpressionError('Expected an object key', this.source, key.position);
+              }
+              if (FORBIDDEN_PROPERTIES.has(String(key.value))) {
+                throw new ExpressionError(`Object key "${key.value}" is not allowed`, this.source, key.position);
+              }
+              this.expect(':');
+              properties.push({ key: String(key.value), value: this.parseExpression() });
+            } while (this.match(','));
+            this.expect('}');
+          }
+          return { type: 'Object', properties };
+        }
+        break;
+      default:
+        break;
+    }
+    const description = token.type === 'end' ? 'end of expression' : `"${token.value}"`;
+    throw new ExpressionError(`Unexpected ${description}`, this.source, token.position);
+  }
+}
+
+const astCache = new Map();
+
+/**
+ * Parse an expression into an AST (cached by source)
+ * @param {string} source - Expression source
+ * @returns {object} - AST
+ * @throws {ExpressionError} - On syntax errors
+ */
+function parseExpression(source) {
+  if (typeof source !== 'string') {
+    throw new ExpressionError('Expression must be a string');
+  }
+  if (source.length > MAX_EXPRESSION_LENGTH) {
+    throw new ExpressionError(`Expression exceeds ${MAX_EXPRESSION_LENGTH} characters`, source);
+  }
+  if (!source.trim()) {
+    throw new ExpressionError('Expression is empty', source);
+  }
+
+  let ast = astCache.get(source);
+  if (!ast) {
+    ast = new Parser(source).parse();
+    if (astCache.size >= CACHE_LIMIT) {
+      astCache.delete(astCache.keys().next().value);
+    }
+    astCache.set(source, ast);
+  }
+  return ast;
+}
+
+// ---------------------------------------------------------------------------
+// Interpreter
+// ---------------------------------------------------------------------------
+
+function evaluateNode(node, scope, source) {
+  switch (node.type) {
+    case 'Literal':
+      return node.value;
+    case 'Identifier':
+      return Object.prototype.hasOwnProperty.call(scope, node.name) ? scope[node.name] : undefined;
+    case 'Array':
+      return node.elements.map((element) => evaluateNode(element, scope, source));
+    case 'Object':
+      return Object.fromEntries(
+        node.properties.map(({ key, value }) => [key, evaluateNode(value, scope, source)])
+      );
+    case 'Member':
+      return readProperty(evaluateNode(node.object, scope, source), evaluateNode(node.property, scope, source));
+    case 'Unary': {
+      const value = evaluateNode(node.argument, scope, source);
+      if (node.operator === '!') return !value;
+      return node.operator === '-' ? -value : Number(value);
+    }
+    case 'Conditional':
+      return evaluateNode(node.test, scope, source)
+        ? evaluateNode(node.consequent, scope, source)
+        : evaluateNode(node.alternate, scope, source);
+    case 'Call': {
+      const fn = Object.prototype.hasOwnProperty.call(EXPRESSION_FUNCTIONS, node.callee)
+        ? EXPRESSION_FUNCTIONS[node.callee]
+        : null;
+      if (!fn) {
+        throw new ExpressionError(`Unknown function "${node.callee}"`, source, node.position);
+      }
+      return fn(...node.arguments.map((argument) => evaluateNode(argument, scope, source)));
+    }
+    case 'Binary':
+      return evaluateBinary(node, scope, source);
+    default:
+      throw new ExpressionError(`Unsupported expression node: ${node.type}`, source);
+  }
+}
+
+function evaluateBinary(node, scope, source) {
+  const { operator } = node;
+  const left = evaluateNode(node.left, scope, source);
+
+  // Short-circuit operators
+  if (operator === '&&') return left ? evaluateNode(node.right, scope, source) : left;
+  if (operator === '||') return left ? left : evaluateNode(node.right, scope, source);
+  if (operator === '??') return isNil(left) ? evaluateNode(node.right, scope, source) : left;
+
+  const right = evaluateNode(node.right, scope, source);
+  switch (operator) {
+    // Equality is always strict
+    case '==':
+    case '===':
+      return left === right;
+    case '!=':
+    case '!==':
+      return left !== right;
+    case '<':
+      return left < right;
+    case '<=':
+      return left <= right;
+    case '>':
+      return left > right;
+    case '>=':
+      return left >= right;
+    case 'in':
+      return EXPRESSION_FUNCTIONS.contains(right, left);
+    case '+':
+      return typeof left === 'string' || typeof right === 'string'
+        ? toText(left) + toText(right)
+        : left + right;
+    case '-':
+      return left - right;
+    case '*':
+      return left * right;
+    case '/':
+      return left / right;
+    case '%':
+      return left % right;
+    default:
+      throw new ExpressionError(`Unsupported operator "${operator}"`, source);
+  }
+}
+
+/**
+ * Evaluate an expression against a scope of plain values
+ * @param {string} source - Expression source
+ * @param {object} [scope] - Names visible to the expression
+ * @returns {*} - Expression value
+ * @throws {ExpressionError} - On syntax errors, unknown functions or forbidden access
+ */
+function evaluateExpression(source, scope = {}) {
+  const ast = parseExpression(source);
+  try {
+    return evaluateNode(ast, scope, source);
+  } catch (error) {
+    if (error instanceof ExpressionError) {
+      if (!error.expression) error.expression = source;
+      throw error;
+    }
+    throw new ExpressionError(error.message, source);
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Templates
+// ---------------------------------------------------------------------------
+
+/**
+ * List the `{{ expression }}` sources inside a string
+ * @param {string} text - Template text
+ * @returns {string[]}
+ */
+function findTemplateExpressions(text) {
+  if (typeof text !== 'string') return [];
+  return Array.from(text.matchAll(TEMPLATE_PATTERN), (match) => match[1].trim());
+}
+
+/**
+ * Resolve `{{ expression }}` templates in a value, recursing into arrays and objects.
+ * A string that is exactly one template yields the raw value (null when it resolves to
+ * nothing); otherwise each template is interpolated as text.
+ * @param {*} value - Value to resolve
+ * @param {object} scope - Names visible to the expressions
+ * @returns {*}
+ */
+function resolveTemplate(value, scope) {
+  if (typeof value === 'string') {
+    const whole = value.trim().match(/^{{([\s\S]*?)}}$/);
+    if (whole && !whole[1].includes('{{')) {
+      return evaluateExpression(whole[1].trim(), scope) ?? null;
+    }
+    if (!value.includes('{{')) return value;
+    return value.replace(TEMPLATE_PATTERN, (_, source) => toText(evaluateExpression(source.trim(), scope)));
+  }
+
+  if (Array.isArray(value)) {
+    return value.map((item) => resolveTemplate(item, scope));
+  }
+
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, nested]) => [key, resolveTemplate(nested, scope)])
+    );
+  }
+
+  return value;
+}
+
+// ---------------------------------------------------------------------------
+// Static validation
+// ---------------------------------------------------------------------------
+
+function collectReferences(node, references) {
+  switch (node.type) {
+    case 'Identifier':
+      references.identifiers.add(node.name);
+      break;
+    case 'Call':
+      references.functions.add(node.callee);
+      node.arguments.forEach((argument) => collectReferences(argument, references));
+      break;
+    case 'Member':
+      collectReferences(node.object, references);
+      collectReferences(node.property, references);
+      break;
+    case 'Array':
+      node.elements.forEach((element) => collectReferences(element, references));
+      break;
+    case 'Object':
+      node.properties.forEach(({ value }) => collectReferences(value, references));
+      break;
+    case 'Unary':
+      collectReferences(node.argument, references);
+      break;
+    case 'Binary':
+      collectReferences(node.left, references);
+      collectReferences(node.right, references);
+      break;
+    case 'Conditional':
+      collectReferences(node.test, references);
+      collectReferences(node.consequent, references);
+      collectReferences(node.alternate, references);
+      break;
+    default:
+      break;
+  }
+  return references;
+}
+
+/**
+ * Check an expression without evaluating it
+ * @param {string} source - Expression source
+ * @param {object} [options]
+ * @param {Iterable<string>} [options.identifiers] - Known root names; others are reported as unknown
+ * @returns {{ valid: boolean, errors: string[], unknownIdentifiers: string[] }}
+ */
+function validateExpression(source, options = {}) {
+  let ast;
+  try {
+    ast = parseExpression(source);
+  } catch (error) {
+    return { valid: false, errors: [error.message], unknownIdentifiers: [] };
+  }
+
+  const { identifiers, functions } = collectReferences(ast, { identifiers: new Set(), functions: new Set() });
+  const errors = [...functions]
+    .filter((name) => !Object.prototype.hasOwnProperty.call(EXPRESSION_FUNCTIONS, name))
+    .map((name) => `Unknown function "${name}"`);
+  const known = options.identifiers ? new Set(options.identifiers) : null;
+  const unknownIdentifiers = known ? [...identifiers].filter((name) => !known.has(name)) : [];
+
+  return { valid: errors.length === 0, errors, unknownIdentifiers };
+}
+
+/**
+ * Check every `{{ expression }}` in a value (strings, arrays and objects)
+ * @param {*} value - Value holding templates
+ * @param {object} [options] - As for validateExpression
+ * @returns {{ valid: boolean, errors: string[], unknownIdentifiers: string[] }}
+ */
+function validateTemplate(value, options = {}) {
+  const result = { valid: true, errors: [], unknownIdentifiers: [] };
+  const visit = (current) => {
+    if (typeof current === 'string') {
+      for (const source of findTemplateExpressions(current)) {
+        const check = validateExpression(source, options);
+        result.errors.push(...check.errors.map((message) => `{{ ${source} }}: ${message}`));
+        result.unknownIdentifiers.push(...check.unknownIdentifiers);
+      }
+    } else if (Array.isArray(current)) {
+      current.forEach(visit);
+    } else if (current && typeof current === 'object') {
+      Object.values(current).forEach(visit);
+    }
+  };
+  visit(value);
+
+  result.valid = result.errors.length === 0;
+  result.unknownIdentifiers = [...new Set(result.unknownIdentifiers)];
+  return result;
+}
+
+export {
+  ExpressionError,
+  EXPRESSION_FUNCTIONS,
+  parseExpression,
+  evaluateExpression,
+  findTemplateExpressions,
+  resolveTemplate,
+  validateExpression,
+  validateTemplate
+};
@@ -1,17 +1,43 @@
 /**
  * Workflow Library - Main Entry Point
- * Exports validator, executor, and utilities
+ * Exports validator, executor, runner, journal, expressions, and utilities
  */
 
 import WorkflowValidator from './validator.js';
 import { WorkflowExecutor, ExecutionContext, ExecutionState, StepResult } from './executor.js';
+import { WorkflowJournal } from './journal.js';
+import {
+  ExpressionError,
+  evaluateExpression,
+  resolveTemplate,
+  validateExpression
+} from './expression.js';
+import {
+  loadWorkflowDefinition,
+  resolveTaskAdapter,
+  createAdapterTaskExecutor,
+  createWorkflowResolver,
+  runWorkflowDefinition,
+  resumeWorkflowExecution
+} from './runner.js';
 
 export {
   WorkflowValidator,
   WorkflowExecutor,
   ExecutionContext,
   ExecutionState,
-  StepResult
+  StepResult,
+  WorkflowJournal,
+  ExpressionError,
+  evaluateExpression,
+  resolveTemplate,
+  validateExpression,
+  loadWorkflowDefinition,
+  resolveTaskAdapter,
+  createAdapterTaskExecutor,
+  createWorkflowResolver,
+  runWorkflowDefinition,
+  resumeWorkflowExecution
 };
 
 export default {
@@ -19,5 +45,16 @@ export default {
   WorkflowExecutor,
   ExecutionContext,
   ExecutionState,
-  StepResult
+  StepResult,
+  WorkflowJournal,
+  ExpressionError,
+  evaluateExpression,
+  resolveTemplate,
+  validateExpression,
+  loadWorkflowDefinition,
+  resolveTaskAdapter,
+  createAdapterTaskExecutor,
+  createWorkflowResolver,
+  runWorkflowDefinition,
+  resumeWorkflowExecution
 };
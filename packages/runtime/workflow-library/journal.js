@@ -0,0 +1,237 @@
+/**
+ * Workflow Execution Journal
+ * Append-only JSONL record of workflow step transitions, used to inspect and resume executions
+ */
+
+import { appendFile, mkdir, readFile, readdir } from 'fs/promises';
+import { join, resolve } from 'path';
+
+const DEFAULT_JOURNAL_DIR = join('var', 'workflows', 'executions');
+const JOURNAL_EXTENSION = '.jsonl';
+const EXECUTION_ID_PATTERN = /^[A-Za-z0-9._-]+$/;
+
+/**
+ * Fold journal entries into the execution's latest known state
+ * @param {object[]} entries - Journal entries in append order
+ * @returns {object|null} - Replayed execution record, or null when the journal has no start entry
+ */
+function replayEntries(entries) {
+  const start = entries.find((entry) => entry.type === 'workflow:start');
+  if (!start) return null;
+
+  const record = {
+    executionId: start.executionId,
+    workflowId: start.workflowId,
+    workflow: start.workflow,
+    inputs: start.inputs || {},
+    state: 'running',
+    startedAt: start.timestamp,
+    updatedAt: start.timestamp,
+    endedAt: null,
+    resumes: 0,
+    error: null,
+    steps: {},
+    completedOrder: [],
+    compensation: { policy: null, pending: [], done: [] }
+  };
+
+  for (const entry of entries) {
+    record.updatedAt = entry.timestamp;
+    const step = entry.type.startsWith('step:')
+      ? (record.steps[entry.stepId] ||= { stepId: entry.stepId, status: 'pending', attempts: 0 })
+      : null;
+
+    switch (entry.type) {
+      case 'workflow:resume':
+        record.resumes += 1;
+        record.state = entry.state || 'running';
+        record.endedAt = null;
+        record.error = null;
+        break;
+      case 'step:start':
+        step.status = 'running';
+        step.attempts += 1;
+        break;
+      case 'step:complete':
+        step.status = 'completed';
+        step.output = entry.output ?? null;
+        step.duration = entry.duration ?? 0;
+        step.error = null;
+        // Compensations owed by a loop step's body (see WorkflowExecutor#_loopCompensations)
+        step.compensations = entry.compensations ?? [];
+        if (!record.completedOrder.includes(entry.stepId)) {
+          record.completedOrder.push(entry.stepId);
+        }
+        break;
+      case 'step:failed':
+        step.status = 'failed';
+        step.error = entry.error ?? null;
+        step.duration = entry.duration ?? 0;
+        break;
+      case 'step:skipped':
+        step.status = 'skipped';
+        step.reason = entry.reason ?? null;
+        break;
+      case 'compensation:start':
+        record.state = 'compensating';
+        record.compensation.policy = entry.policy;
+        record.compensation.pending = entry.stepIds || [];
+        break;
+      case 'compensation:done':
+        if (!record.compensation.done.includes(entry.stepId)) {
+          record.compensation.done.push(entry.stepId);
+        }
+        break;
+      case 'compensation:complete':
+        record.state = 'compensated';
+        record.endedAt = entry.timestamp;
+        break;
+      case 'workflow:complete':
+        record.state = 'completed';
+        record.endedAt = entry.timestamp;
+        break;
+      case 'workflow:failed':
+        record.state = 'failed';
+        record.endedAt = entry.timestamp;
+        record.error = entry.error ?? null;
+        break;
+      default:
+        break;
+    }
+  }
+
+  record.compensation.pending = record.compensation.pending.filter(
+    (stepId) => !record.compensation.done.includes(stepId)
+  );
+  return record;
+}
+
+/**
+ * File-backed execution journal (one JSONL file per execution)
+ */
+class WorkflowJournal {
+  /**
+   * @param {object} [options]
+   * @param {string} [options.directory] - Journal directory (defaults to var/workflows/executions)
+   */
+  constructor(options = {}) {
+    this.directory = resolve(options.directory || DEFAULT_JOURNAL_DIR);
+    this._writes = new Map();
+  }
+
+  _pathFor(executionId) {
+    if (typeof executionId !== 'string' || !EXECUTION_ID_PATTERN.test(executionId)) {
+      throw new Error(`Invalid execution id: ${executionId}`);
+    }
+    return join(this.directory, `${executionId}${JOURNAL_EXTENSION}`);
+  }
+
+  /**
+   * Append an entry; writes for one execution are serialized so the file keeps transition order
+   * @param {string} executionId - Execution identifier
+   * @param {object} entry - Transition record (`type` plus event data)
+   * @returns {Promise<void>}
+   */
+  append(executionId, entry) {
+    const file = this._pathFor(executionId);
+    const line = `${JSON.stringify({ timestamp: Date.now(), executionId, ...entry })}\n`;
+    const previous = this._writes.get(executionId) || mkdir(this.directory, { recursive: true });
+    const write = previous.then(() => appendFile(file, line, 'utf8'));
+    this._writes.set(executionId, write.catch(() => {}));
+    return write;
+  }
+
+  /**
+   * Read the raw entries of an execution
+   * @param {string} executionId - Execution identifier
+   * @returns {Promise<object[]>} - Entries in append order
+   */
+  async read(executionId) {
+    let raw;
+    try {
+      raw = await readFile(this._pathFor(executionId), 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        const notFound = new Error(`Workflow execution not found: ${executionId}`);
+        notFound.code = 'EXECUTION_NOT_FOUND';
+        throw notFound;
+      }
+      throw error;
+    }
+
+    // A crash can leave a partially written final line; ignore anything unparsable
+    const entries = [];
+    for (const line of raw.split('\n')) {
+      if (!line.trim()) continue;
+      try {
+        entries.push(JSON.parse(line));
+      } catch {
+        break;
+      }
+    }
+    return entries;
+  }
+
+  /**
+   * Replay an execution's journal into its latest state
+   * @param {string} executionId - Execution identifier
+   * @returns {Promise<object>} - Replayed execution record
+   */
+  async load(executionId) {
+    const record = replayEntries(await this.read(executionId));
+    if (!record) {
+      const error = new Error(`Workflow execution journal is empty: ${executionId}`);
+      error.code = 'EXECUTION_NOT_FOUND';
+      throw error;
+    }
+    return record;
+  }
+
+  /**
+   * Summarize every journaled execution, most recently updated first
+   * @param {object} [filter]
+   * @param {string} [filter.state] - Only executions in this state
+   * @param {string} [filter.workflowId] - Only executions of this workflow
+   * @returns {Promise<object[]>}
+   */
+  async list(filter = {}) {
+    let files;
+    try {
+      files = await readdir(this.directory);
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    const summaries = [];
+    for (const file of files.filter((name) => name.endsWith(JOURNAL_EXTENSION))) {
+      const executionId = file.slice(0, -JOURNAL_EXTENSION.length);
+      const record = replayEntries(await this.read(executionId));
+      if (!record) continue;
+      if (filter.state && record.state !== filter.state) continue;
+      if (filter.workflowId && record.workflowId !== filter.workflowId) continue;
+
+      const steps = Object.values(record.steps);
+      summaries.push({
+        executionId,
+        workflowId: record.workflowId,
+        state: record.state,
+        startedAt: record.startedAt,
+        updatedAt: record.updatedAt,
+        resumes: record.resumes,
+        completedSteps: record.completedOrder.length,
+        failedSteps: steps.filter((step) => step.status === 'failed').map((step) => step.stepId),
+        lastCompletedStep: record.completedOrder[record.completedOrder.length - 1] ?? null,
+        pendingCompensations: record.compensation.pending.length
+      });
+    }
+
+    return summaries.sort((a, b) => b.updatedAt - a.updatedAt);
+  }
+}
+
+export {
+  WorkflowJournal,
+  DEFAULT_JOURNAL_DIR,
+  replayEntries
+};
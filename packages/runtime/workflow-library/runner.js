@@ -0,0 +1,295 @@
+/**
+ * Workflow Runner
+ * Loads, validates and executes workflow definitions with the runtime workflow adapters
+ */
+
+import { readFile, readdir } from 'fs/promises';
+import { extname, join } from 'path';
+import YAML from 'yaml';
+
+import WorkflowValidator from './validator.js';
+import { WorkflowExecutor } from './executor.js';
+import { WorkflowAdapterRegistry } from '../workflow/adapter-registry.js';
+import { WorkflowContext } from '../workflow/types.js';
+
+const ADAPTER_PREFIXES = ['http', 'event', 'tool'];
+const WORKFLOW_EXTENSIONS = ['.json', '.yaml', '.yml'];
+
+let sharedValidator = null;
+
+/**
+ * Load a workflow definition from a JSON or YAML file
+ * @param {string} workflowPath - Absolute path to the workflow file
+ * @returns {Promise<object>} - Parsed workflow definition
+ */
+export async function loadWorkflowDefinition(workflowPath) {
+  const raw = await readFile(workflowPath, 'utf8');
+  const extension = extname(workflowPath).toLowerCase();
+  if (extension === '.yaml' || extension === '.yml') {
+    return YAML.parse(raw);
+  }
+  return JSON.parse(raw);
+}
+
+/**
+ * Create a subworkflow resolver that finds workflow definitions by their `urn`
+ * @param {object} options
+ * @param {string[]} [options.directories] - Directories scanned (non-recursively) for workflow files
+ * @param {object[]} [options.workflows] - Definitions to register directly
+ * @returns {Function} - `(urn) => Promise<object|null>`; resolved definitions are validated
+ */
+export function createWorkflowResolver(options = {}) {
+  let index = null;
+
+  const buildIndex = async () => {
+    const byUrn = new Map();
+    for (const directory of options.directories || []) {
+      let files;
+      try {
+        files = await readdir(directory);
+      } catch (error) {
+        if (error.code === 'ENOENT') continue;
+        throw error;
+      }
+      for (const file of files.filter((name) => WORKFLOW_EXTENSIONS.includes(extname(name).toLowerCase()))) {
+        try {
+          const definition = await loadWorkflowDefinition(join(directory, file));
+          if (definition?.urn && !byUrn.has(definition.urn)) {
+            byUrn.set(definition.urn, definition);
+          }
+        } catch {
+          // Not a workflow definition; other files can share the directory
+        }
+      }
+    }
+    for (const definition of options.workflows || []) {
+      byUrn.set(definition.urn, definition);
+    }
+    return byUrn;
+  };
+
+  return async (urn) => {
+    index = index || (await buildIndex());
+    const definition = index.get(urn);
+    if (!definition) return null;
+
+    sharedValidator = sharedValidator || new WorkflowValidator();
+    const validation = sharedValidator.validate(definition);
+    if (!validation.valid) {
+      throw new Error(`Subworkflow ${urn} is invalid: ${validation.errors.map((error) => error.message).join('; ')}`);
+    }
+    return definition;
+  };
+}
+
+/**
+ * Map a task action onto an adapter invocation.
+ *
+ * `http[:METHOD]`, `event[:name]` and `tool[:name]` select an adapter explicitly; any other
+ * action (for example `urn:ossp:action:inventory:reserve`) is invoked as a tool of that name.
+ * Tool calls are not retried by the adapter; the step/workflow `retryPolicy` governs retries.
+ * @param {string} action - Task action identifier
+ * @param {object} inputs - Resolved task inputs
+ * @returns {{ kind: string, input: object }}
+ */
+export function resolveTaskAdapter(action, inputs = {}) {
+  const separator = action.indexOf(':');
+  const prefix = separator === -1 ? action : action.slice(0, separator);
+  const target = separator === -1 ? null : action.slice(separator + 1);
+
+  if (!ADAPTER_PREFIXES.includes(prefix) || (prefix === 'tool' && !target)) {
+    return { kind: 'tool', input: { tool: action, args: inputs, maxRetries: 0 } };
+  }
+
+  switch (prefix) {
+    case 'http':
+      return {
+        kind: 'http',
+        input: { ...inputs, method: (target || inputs.method || 'GET').toUpperCase() }
+      };
+    case 'event':
+      return { kind: 'event', input: { ...inputs, event: target || inputs.event } };
+    default:
+      return { kind: 'tool', input: { tool: target, args: inputs, maxRetries: 0 } };
+  }
+}
+
+/**
+ * Create a WorkflowExecutor task executor backed by the adapter registry
+ * @param {WorkflowAdapterRegistry} registry - Adapter registry
+ * @param {WorkflowContext} adapterContext - Context shared by every adapter call in a run
+ * @returns {Function} - `(action, inputs) => Promise<any>`
+ */
+export function createAdapterTaskExecutor(registry, adapterContext) {
+  return async (action, inputs) => {
+    const { kind, input } = resolveTaskAdapter(action, inputs);
+    const outcome = await registry.executeStep(kind, adapterContext, input);
+    if (kind === 'tool' && outcome && typeof outcome === 'object' && 'result' in outcome) {
+      return outcome.result;
+    }
+    return outcome;
+  };
+}
+
+function serializeError(error) {
+  if (!error) return null;
+  return {
+    message: error.message,
+    code: error.code ?? null,
+    adapter: error.adapterKind ?? null
+  };
+}
+
+/**
+ * Build an adapter-backed executor and the collectors that feed a run summary
+ * @private
+ */
+function prepareRun(workflow, options) {
+  const registry = options.registry || new WorkflowAdapterRegistry(options.adapters || {});
+  const adapterContext = new WorkflowContext(options.context || {});
+  const executor = new WorkflowExecutor({
+    taskExecutor: options.taskExecutor || createAdapterTaskExecutor(registry, adapterContext),
+    journal: options.journal || null,
+    waitForEvent: (event, waitOptions) => {
+      const adapter = registry.getAdapter('event');
+      if (typeof adapter.waitForEvent !== 'function') {
+        throw new Error('The event adapter does not support waiting for events');
+      }
+      return adapter.waitForEvent(event, waitOptions);
+    },
+    resolveWorkflow: options.resolveWorkflow || null
+  });
+
+  const skipped = [];
+  const retries = [];
+  const replayed = [];
+  const compensation = {
+    policy: workflow.compensationPolicy || 'none',
+    triggered: false,
+    steps: []
+  };
+  executor.on('step:skipped', ({ stepId, reason }) => skipped.push({ stepId, reason }));
+  executor.on('step:retry', ({ stepId, attempt, error }) => retries.push({ stepId, attempt, error }));
+  executor.on('step:replayed', ({ stepId }) => replayed.push(stepId));
+  executor.on('compensation:start', () => {
+    compensation.triggered = true;
+  });
+  executor.on('compensation:step', ({ stepId }) => {
+    const step = executor._findStepById(workflow.steps, stepId);
+    compensation.steps.push({
+      stepId,
+      compensationStepId: step?.compensation ?? null,
+      status: 'completed',
+      error: null
+    });
+  });
+  executor.on('compensation:failed', ({ stepId, error }) => {
+    const entry = compensation.steps.find((item) => item.stepId === stepId);
+    if (entry) {
+      entry.status = 'failed';
+      entry.error = error;
+    }
+  });
+
+  const summarize = (context, failure, extra = {}) => {
+    const stepResults = context ? Array.from(context.stepResults.values()) : [];
+    const steps = stepResults.map((result) => ({
+      stepId: result.stepId,
+      status: result.status,
+      durationMs: result.duration,
+      output: result.output,
+      error: serializeError(result.error)
+    }));
+
+    return {
+      valid: true,
+      workflowId: workflow.workflowId,
+      executionId: context?.executionId ?? null,
+      traceId: adapterContext.traceId,
+      state: context ? context.state : 'failed',
+      durationMs: adapterContext.getElapsedTime(),
+      steps,
+      skipped,
+      retries,
+      ...(options.journal ? { replayed } : {}),
+      compensation,
+      outputs: context && !failure ? context.outputs : {},
+      error: serializeError(failure),
+      ...extra
+    };
+  };
+
+  return { executor, summarize };
+}
+
+/**
+ * Validate and execute a workflow, collecting per-step results, timings and compensation outcomes.
+ * Execution failures are reported in the returned summary rather than thrown.
+ * @param {object} workflow - Workflow definition
+ * @param {object} options - Run options
+ * @param {object} [options.inputs] - Workflow inputs
+ * @param {WorkflowAdapterRegistry} [options.registry] - Adapter registry (defaults to http/event/tool)
+ * @param {object} [options.adapters] - Adapter configuration for a default registry
+ * @param {Function} [options.taskExecutor] - Override the adapter-backed task executor
+ * @param {object} [options.context] - WorkflowContext options (traceId, sessionId, userId, metadata)
+ * @param {WorkflowJournal} [options.journal] - Journal step transitions so the run can be resumed
+ * @param {string} [options.executionId] - Execution identifier (generated when omitted)
+ * @param {Function} [options.resolveWorkflow] - Subworkflow resolver (see createWorkflowResolver)
+ * @returns {Promise<object>} - Run summary
+ */
+export async function runWorkflowDefinition(workflow, options = {}) {
+  // Schema compilation is the expensive part of validation, so reuse one validator
+  sharedValidator = sharedValidator || new WorkflowValidator();
+  const validation = sharedValidator.validate(workflow);
+  if (!validation.valid) {
+    return {
+      valid: false,
+      errors: validation.errors,
+      warnings: validation.warnings
+    };
+  }
+
+  const { executor, summarize } = prepareRun(workflow, options);
+
+  let context = null;
+  let failure = null;
+  try {
+    context = await executor.execute(workflow, options.inputs || {}, { executionId: options.executionId });
+  } catch (error) {
+    failure = error;
+    context = error.executionContext || null;
+  }
+
+  return { ...summarize(context, failure), warnings: validation.warnings };
+}
+
+/**
+ * Resume a journaled execution with the runtime adapters, returning the same summary as a run.
+ * Completed steps are replayed from the journal (`replayed`); owed compensations are finished.
+ * @param {string} executionId - Execution identifier
+ * @param {object} options - Run options (as for runWorkflowDefinition)
+ * @param {WorkflowJournal} options.journal - Journal holding the execution
+ * @returns {Promise<object>} - Run summary with `resumed: true`
+ */
+export async function resumeWorkflowExecution(executionId, options = {}) {
+  if (!options.journal) {
+    throw new Error('resumeWorkflowExecution requires a journal');
+  }
+
+  const record = await options.journal.load(executionId);
+  const { executor, summarize } = prepareRun(record.workflow, options);
+
+  let context = null;
+  let failure = null;
+  try {
+    context = await executor.resume(executionId);
+  } catch (error) {
+    if (!error.executionContext) {
+      throw error;
+    }
+    failure = error;
+    context = error.executionContext;
+  }
+
+  return summarize(context, failure, { resumed: true, resumedFrom: record.state });
+}
@@ -8,6 +8,7 @@ import addFormats from 'ajv-formats';
 import { readFileSync } from 'fs';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
+import { validateExpression, validateTemplate } from './expression.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -15,6 +16,9 @@ const workflowSchema = JSON.parse(
   readFileSync(join(__dirname, 'schema/workflow.schema.json'), 'utf-8')
 );
 
+// Step types whose body runs in a per-iteration scope
+const LOOP_STEP_TYPES = ['foreach', 'map', 'while'];
+
 class WorkflowValidator {
   constructor() {
     this.ajv = new Ajv({
@@ -55,7 +59,7 @@ class WorkflowValidator {
     errors.push(...this._validateSemantics(workflow));
 
     return {
-      valid: errors.length === 0,
+      valid: !errors.some(e => e.severity === 'error'),
       errors: errors.filter(e => e.severity === 'error'),
       warnings: errors.filter(e => e.severity === 'warning')
     };
@@ -117,6 +121,13 @@ class WorkflowValidator {
     // Validate no circular dependencies
     this._validateNoCycles(workflow.steps, errors);
 
+    // Validate loop body scoping and subworkflow references
+    this._validateLoopScopes(workflow.steps, errors);
+    this._validateSubworkflows(workflow, errors);
+
+    // Validate conditions, loop expressions and input templates
+    this._validateExpressions(workflow.steps, stepIds, errors);
+
     // Validate timeout values
     this._validateTimeouts(workflow, errors);
 
@@ -142,27 +153,26 @@ class WorkflowValidator {
         }
       }
 
-      // Recurse into parallel branches
-      if (step.branches) {
-        for (const branch of step.branches) {
-          this._collectStepIds(branch.steps, stepIds, compensationSteps, `${path}/${step.stepId}`);
-        }
-      }
-
-      // Recurse into conditional cases
-      if (step.cases) {
-        for (const caseItem of step.cases) {
-          this._collectStepIds(caseItem.steps, stepIds, compensationSteps, `${path}/${step.stepId}`);
-        }
-      }
-
-      // Recurse into default case
-      if (step.default) {
-        this._collectStepIds(step.default, stepIds, compensationSteps, `${path}/${step.stepId}`);
+      // Recurse into branches, cases, default and loop bodies
+      for (const nested of this._nestedStepLists(step)) {
+        this._collectStepIds(nested, stepIds, compensationSteps, `${path}/${step.stepId}`);
       }
     }
   }
 
+  /**
+   * Step lists nested inside a step: parallel branches, conditional cases and default, loop bodies
+   * @private
+   */
+  _nestedStepLists(step) {
+    return [
+      ...(step.branches || []).map(branch => branch.steps),
+      ...(step.cases || []).map(caseItem => caseItem.steps),
+      step.default,
+      step.steps
+    ].filter(Boolean);
+  }
+
   /**
    * Validate that step dependencies reference valid step IDs
    * @private
@@ -184,18 +194,8 @@ class WorkflowValidator {
       }
 
       // Recurse into nested steps
-      if (step.branches) {
-        for (const branch of step.branches) {
-          this._validateStepDependencies(branch.steps, stepIds, errors, `${path}/${step.stepId}`);
-        }
-      }
-      if (step.cases) {
-        for (const caseItem of step.cases) {
-          this._validateStepDependencies(caseItem.steps, stepIds, errors, `${path}/${step.stepId}`);
-        }
-      }
-      if (step.default) {
-        this._validateStepDependencies(step.default, stepIds, errors, `${path}/${step.stepId}`);
+      for (const nested of this._nestedStepLists(step)) {
+        this._validateStepDependencies(nested, stepIds, errors, `${path}/${step.stepId}`);
       }
     }
   }
@@ -225,18 +225,8 @@ class WorkflowValidator {
       }
 
       // Recurse into nested steps
-      if (step.branches) {
-        for (const branch of step.branches) {
-          this._validateCompensationRefs(branch.steps, stepIds, compensationSteps, errors, `${path}/${step.stepId}`);
-        }
-      }
-      if (step.cases) {
-        for (const caseItem of step.cases) {
-          this._validateCompensationRefs(caseItem.steps, stepIds, compensationSteps, errors, `${path}/${step.stepId}`);
-        }
-      }
-      if (step.default) {
-        this._validateCompensationRefs(step.default, stepIds, compensationSteps, errors, `${path}/${step.stepId}`);
+      for (const nested of this._nestedStepLists(step)) {
+        this._validateCompensationRefs(nested, stepIds, compensationSteps, errors, `${path}/${step.stepId}`);
       }
     }
   }
@@ -304,22 +294,122 @@ class WorkflowValidator {
       }
 
       // Recurse into nested steps
-      if (step.branches) {
-        for (const branch of step.branches) {
-          this._buildDependencyGraph(branch.steps, graph);
-        }
+      for (const nested of this._nestedStepLists(step)) {
+        this._buildDependencyGraph(nested, graph);
       }
-      if (step.cases) {
-        for (const caseItem of step.cases) {
-          this._buildDependencyGraph(caseItem.steps, graph);
+    }
+
+    return graph;
+  }
+
+  /**
+   * Loop body steps run once per iteration in their own scope, so only steps inside the
+   * same loop can depend on them
+   * @private
+   */
+  _validateLoopScopes(steps, errors) {
+    const enclosingLoops = new Map();
+    const scoped = [];
+
+    const collect = (list, loops) => {
+      for (const step of list || []) {
+        enclosingLoops.set(step.stepId, loops);
+        scoped.push({ step, loops });
+        const inner = LOOP_STEP_TYPES.includes(step.type) ? [...loops, step.stepId] : loops;
+        for (const nested of this._nestedStepLists(step)) {
+          collect(nested, step.steps === nested ? inner : loops);
         }
       }
-      if (step.default) {
-        this._buildDependencyGraph(step.default, graph);
+    };
+    collect(steps, []);
+
+    for (const { step, loops } of scoped) {
+      const stepId = step.stepId;
+      for (const depId of step.dependsOn || []) {
+        const hidden = (enclosingLoops.get(depId) || []).find(loopId => !loops.includes(loopId));
+        if (hidden) {
+          errors.push({
+            path: `/steps/${stepId}/dependsOn`,
+            message: `Step '${stepId}' depends on '${depId}', which only exists inside loop '${hidden}'`,
+            severity: 'error'
+          });
+        }
       }
     }
+  }
 
-    return graph;
+  /**
+   * Validate subworkflow steps do not invoke their own workflow
+   * @private
+   */
+  _validateSubworkflows(workflow, errors) {
+    if (!workflow.urn) return;
+
+    const check = (steps) => {
+      for (const step of steps || []) {
+        if (step.type === 'subworkflow' && step.subworkflow?.urn === workflow.urn) {
+          errors.push({
+            path: `/steps/${step.stepId}/subworkflow/urn`,
+            message: `Subworkflow step '${step.stepId}' invokes its own workflow`,
+            severity: 'error'
+          });
+        }
+        this._nestedStepLists(step).forEach(check);
+      }
+    };
+    check(workflow.steps);
+  }
+
+  /**
+   * Statically check step expressions: syntax errors and unknown functions are errors,
+   * names that are not a step ID, `inputs`, `steps` or an enclosing loop variable are warnings
+   * @private
+   */
+  _validateExpressions(steps, stepIds, errors) {
+    const report = (path, label, result) => {
+      for (const message of result.errors) {
+        errors.push({ path, message: `Invalid ${label}: ${message}`, severity: 'error' });
+      }
+      for (const name of result.unknownIdentifiers) {
+        errors.push({ path, message: `${label.charAt(0).toUpperCase()}${label.slice(1)} references unknown name '${name}'`, severity: 'warning' });
+      }
+    };
+
+    const check = (list, variables) => {
+      for (const step of list || []) {
+        if (!step || typeof step !== 'object') continue;
+        const path = `/steps/${step.stepId}`;
+        const identifiers = [...stepIds, 'inputs', 'steps', ...variables];
+        const expressions = [
+          ['condition', step.condition],
+          ['items', typeof step.items === 'string' ? step.items : null],
+          ...(step.cases || []).map((caseItem, index) => [`cases/${index}/condition`, caseItem?.condition])
+        ];
+
+        for (const [field, source] of expressions) {
+          if (typeof source === 'string') {
+            report(`${path}/${field}`, `expression "${source}"`, validateExpression(source, { identifiers }));
+          }
+        }
+        if (typeof step.while === 'string') {
+          report(`${path}/while`, `expression "${step.while}"`, validateExpression(step.while, { identifiers: [...identifiers, 'iteration'] }));
+        }
+        for (const [field, inputs] of [['task/inputs', step.task?.inputs], ['subworkflow/inputs', step.subworkflow?.inputs]]) {
+          if (inputs) {
+            report(`${path}/${field}`, 'input template', validateTemplate(inputs, { identifiers }));
+          }
+        }
+
+        const loopVariables = LOOP_STEP_TYPES.includes(step.type)
+          ? step.type === 'while' ? ['iteration'] : [step.as || 'item', 'index']
+          : [];
+        for (const nested of this._nestedStepLists(step)) {
+          check(nested, nested === step.steps ? [...variables, ...loopVariables] : variables);
+        }
+      }
+    };
+
+    check(steps, []);
   }
 
   /**
@@ -342,18 +432,8 @@ class WorkflowValidator {
         }
 
         // Recurse into nested steps
-        if (step.branches) {
-          for (const branch of step.branches) {
-            checkStepTimeouts(branch.steps, `${path}/${step.stepId}`);
-          }
-        }
-        if (step.cases) {
-          for (const caseItem of step.cases) {
-            checkStepTimeouts(caseItem.steps, `${path}/${step.stepId}`);
-          }
-        }
-        if (step.default) {
-          checkStepTimeouts(step.default, `${path}/${step.stepId}`);
+        for (const nested of this._nestedStepLists(step)) {
+          checkStepTimeouts(nested, `${path}/${step.stepId}`);
         }
       }
     };
@@ -244,6 +244,42 @@ export class EventAdapter extends WorkflowAdapter {
     return processed;
   }
 
+  /**
+   * Wait for an event to be emitted on the event bus
+   * @param {string} event - Event name
+   * @param {Object} [options]
+   * @param {number} [options.timeoutMs] - Reject if no matching event arrives in time
+   * @param {Object} [options.match] - Fields the event `data` must equal
+   * @returns {Promise<Object>} The emitted event data
+   */
+  waitForEvent(event, options = {}) {
+    if (!this.eventBus || typeof this.eventBus.on !== 'function' || typeof this.eventBus.off !== 'function') {
+      return Promise.reject(new EventEmissionError('Event bus does not support subscriptions', null, { event }));
+    }
+
+    const match = options.match || {};
+    return new Promise((resolve, reject) => {
+      let timer = null;
+      const listener = (eventData) => {
+        const data = eventData?.data || {};
+        if (!Object.entries(match).every(([key, value]) => data[key] === value)) {
+          return;
+        }
+        clearTimeout(timer);
+        this.eventBus.off(event, listener);
+        resolve(eventData);
+      };
+
+      this.eventBus.on(event, listener);
+      if (options.timeoutMs !== undefined) {
+        timer = setTimeout(() => {
+          this.eventBus.off(event, listener);
+          reject(new EventEmissionError(`Timed out after ${options.timeoutMs}ms waiting for event: ${event}`, null, { event }));
+        }, options.timeoutMs);
+      }
+    });
+  }
+
   /**
    * Get adapter metadata
    * @returns {Object} Adapter metadata
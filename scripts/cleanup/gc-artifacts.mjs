@@ -22,6 +22,7 @@ const MS_PER_DAY = 24 * 60 * 60 * 1000;
  * @param {Object} options
  * @param {string} [options.workspace] - Workspace root (defaults to cwd).
  * @param {string} [options.configPath] - Optional override for retention config path.
+ * @param {Object} [options.policy] - Inline `{ defaults, targets }` policy used instead of a config file.
  * @param {boolean} [options.dryRun=false] - When true, no deletions are performed.
  * @param {number} [options.now=Date.now()] - Reference timestamp for age calculations.
  * @returns {Promise<Object>} summary
@@ -29,15 +30,16 @@ const MS_PER_DAY = 24 * 60 * 60 * 1000;
 export async function runRetentionGc({
   workspace = process.cwd(),
   configPath,
+  policy,
   dryRun = false,
   now = Date.now()
 } = {}) {
   const workspaceRoot = resolve(workspace);
-  const resolvedConfigPath = configPath
-    ? resolve(workspaceRoot, configPath)
-    : resolve(workspaceRoot, 'app/config/retention.json');
+  const resolvedConfigPath = policy
+    ? null
+    : resolveRetentionConfigPath(workspaceRoot, configPath);
 
-  const config = await loadConfig(resolvedConfigPath);
+  const config = policy ?? (await loadConfig(resolvedConfigPath));
   const defaults = config.defaults ?? {};
   const targets = Array.isArray(config.targets) ? config.targets : [];
 
@@ -72,6 +74,23 @@ export async function runRetentionGc({
   };
 }
 
+function resolveRetentionConfigPath(workspaceRoot, configPath) {
+  return configPath
+    ? resolve(workspaceRoot, configPath)
+    : resolve(workspaceRoot, 'app/config/retention.json');
+}
+
+/**
+ * Load the retention policy for a workspace.
+ * @param {Object} [options]
+ * @param {string} [options.workspace] - Workspace root (defaults to cwd).
+ * @param {string} [options.configPath] - Optional override for retention config path.
+ * @returns {Promise<Object>} Parsed `{ defaults, targets }` config.
+ */
+export async function loadRetentionConfig({ workspace = process.cwd(), configPath } = {}) {
+  return loadConfig(resolveRetentionConfigPath(resolve(workspace), configPath));
+}
+
 async function loadConfig(configPath) {
   let payload;
   try {
@@ -169,11 +188,16 @@ async function processTarget({ workspaceRoot, rawTarget, defaults, dryRun, now }
     return summary;
   }
 
+  const include = Array.isArray(rawTarget.include) ? new Set(rawTarget.include) : null;
+
   const entries = [];
   for (const dirent of dirEntries) {
     if (dirent.name === '.' || dirent.name === '..') {
       continue;
     }
+    if (include && !include.has(dirent.name)) {
+      continue;
+    }
     const entryPath = join(resolvedPath, dirent.name);
     const descriptor = await describeEntry(entryPath, dirent);
     descriptor.relativeToTarget = normalizeRelative(
@@ -207,6 +231,13 @@ async function processTarget({ workspaceRoot, rawTarget, defaults, dryRun, now }
     candidateMap.get(key).reasons.add(reason);
   };
 
+  // Purge targets drop every unprotected entry regardless of age or size.
+  if (rawTarget.purgeAll === true) {
+    for (const entry of entries) {
+      addCandidate(entry, 'purge');
+    }
+  }
+
   if (maxAgeDays !== null) {
     const maxAgeMs = maxAgeDays * MS_PER_DAY;
     for (const entry of entries) {
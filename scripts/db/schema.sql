@@ -1,6 +1,6 @@
 PRAGMA journal_mode=WAL;
 PRAGMA synchronous=NORMAL;
-PRAGMA user_version=1;
+PRAGMA user_version=5;
 
 CREATE TABLE IF NOT EXISTS manifests (
   urn TEXT PRIMARY KEY,
@@ -32,6 +32,10 @@ CREATE TABLE IF NOT EXISTS schema_history (
 );
 
 INSERT OR IGNORE INTO schema_history(version) VALUES (1);
+INSERT OR IGNORE INTO schema_history(version) VALUES (2);
+INSERT OR IGNORE INTO schema_history(version) VALUES (3);
+INSERT OR IGNORE INTO schema_history(version) VALUES (4);
+INSERT OR IGNORE INTO schema_history(version) VALUES (5);
 
 -- Provenance table for DSSE attestations
 CREATE TABLE IF NOT EXISTS provenance (
@@ -52,3 +56,141 @@ CREATE INDEX IF NOT EXISTS idx_prov_urn ON provenance(urn);
 CREATE INDEX IF NOT EXISTS idx_prov_issuer ON provenance(issuer);
 CREATE INDEX IF NOT EXISTS idx_prov_committed_at ON provenance(committed_at);
 
+-- Immutable manifest revisions (schema v2). One row per distinct body published for a URN.
+CREATE TABLE IF NOT EXISTS manifest_revisions (
+  urn TEXT NOT NULL,
+  revision INTEGER NOT NULL,             -- 1-based, increments per URN
+  body TEXT NOT NULL,                    -- JSON string as published
+  digest TEXT NOT NULL,                  -- sha256 of body
+  issuer TEXT,
+  signature TEXT,
+  created_at TEXT DEFAULT (strftime('%Y-%m-%d %H:%M:%f', 'now')),
+  PRIMARY KEY (urn, revision)
+);
+
+CREATE INDEX IF NOT EXISTS idx_revisions_digest ON manifest_revisions(urn, digest);
+CREATE INDEX IF NOT EXISTS idx_revisions_created_at ON manifest_revisions(urn, created_at);
+
+CREATE TRIGGER IF NOT EXISTS manifest_revisions_no_update
+BEFORE UPDATE ON manifest_revisions
+BEGIN
+  SELECT RAISE(ABORT, 'manifest revisions are immutable');
+END;
+
+CREATE TRIGGER IF NOT EXISTS manifest_revisions_no_delete
+BEFORE DELETE ON manifest_revisions
+BEGIN
+  SELECT RAISE(ABORT, 'manifest revisions are immutable');
+END;
+
+-- Backfill: manifests registered before v2 get their current body as revision 1.
+INSERT INTO manifest_revisions (urn, revision, body, digest, issuer, signature, created_at)
+SELECT m.urn, 1, m.body, m.digest, m.issuer, m.signature, m.updated_at
+FROM manifests m
+WHERE NOT EXISTS (SELECT 1 FROM manifest_revisions r WHERE r.urn = m.urn);
+
+-- Manifest lifecycle (schema v3). URNs without a row are active; tombstoned URNs keep
+-- their revisions and provenance, with the tombstone stored as the latest revision.
+CREATE TABLE IF NOT EXISTS manifest_lifecycle (
+  urn TEXT PRIMARY KEY,
+  state TEXT NOT NULL CHECK (state IN ('active', 'deprecated', 'sunset', 'tombstoned')),
+  reason TEXT,
+  sunset_at TEXT,                        -- ISO-8601 retirement date (deprecated/sunset)
+  replaced_by TEXT,                      -- successor URN, if any
+  tombstone_digest TEXT,                 -- digest of the tombstone revision
+  updated_at TEXT DEFAULT (datetime('now'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_lifecycle_state ON manifest_lifecycle(state);
+
+-- Free-text index over manifest names/descriptions (schema v4), kept in sync by upsertManifest.
+CREATE VIRTUAL TABLE IF NOT EXISTS manifests_fts USING fts5(
+  urn UNINDEXED,
+  name,
+  description,
+  tokenize = 'porter unicode61'
+);
+
+-- Backfill: index manifests registered before v4.
+INSERT INTO manifests_fts (urn, name, description)
+SELECT
+  m.urn,
+  CASE WHEN json_valid(m.body) THEN COALESCE(json_extract(m.body, '$.name'), json_extract(m.body, '$.metadata.name')) END,
+  CASE WHEN json_valid(m.body) THEN COALESCE(json_extract(m.body, '$.description'), json_extract(m.body, '$.metadata.description')) END
+FROM manifests m
+WHERE NOT EXISTS (SELECT 1 FROM manifests_fts f WHERE f.urn = m.urn);
+
+-- Append-only change log (schema v5), written by triggers so every writer is covered.
+-- type: published (new revision), deleted (tombstone revision), lifecycle (state change),
+-- removed (row hard-deleted by a loader/purge).
+CREATE TABLE IF NOT EXISTS manifest_changes (
+  seq INTEGER PRIMARY KEY AUTOINCREMENT,
+  urn TEXT NOT NULL,
+  type TEXT NOT NULL CHECK (type IN ('published', 'deleted', 'lifecycle', 'removed')),
+  digest TEXT,
+  revision INTEGER,
+  state TEXT,
+  created_at TEXT DEFAULT (strftime('%Y-%m-%d %H:%M:%f', 'now'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_changes_urn ON manifest_changes(urn, seq);
+
+CREATE TRIGGER IF NOT EXISTS manifest_changes_no_update
+BEFORE UPDATE ON manifest_changes
+BEGIN
+  SELECT RAISE(ABORT, 'manifest changes are append-only');
+END;
+
+CREATE TRIGGER IF NOT EXISTS manifest_changes_no_delete
+BEFORE DELETE ON manifest_changes
+BEGIN
+  SELECT RAISE(ABORT, 'manifest changes are append-only');
+END;
+
+CREATE TRIGGER IF NOT EXISTS manifest_changes_on_revision
+AFTER INSERT ON manifest_revisions
+BEGIN
+  INSERT INTO manifest_changes (urn, type, digest, revision, state)
+  VALUES (
+    NEW.urn,
+    CASE WHEN json_valid(NEW.body) AND json_extract(NEW.body, '$.tombstone') = 1 THEN 'deleted' ELSE 'published' END,
+    NEW.digest,
+    NEW.revision,
+    CASE WHEN json_valid(NEW.body) AND json_extract(NEW.body, '$.tombstone') = 1 THEN 'tombstoned' ELSE NULL END
+  );
+END;
+
+CREATE TRIGGER IF NOT EXISTS manifest_changes_on_lifecycle_insert
+AFTER INSERT ON manifest_lifecycle
+WHEN NEW.state <> 'tombstoned'
+BEGIN
+  INSERT INTO manifest_changes (urn, type, state) VALUES (NEW.urn, 'lifecycle', NEW.state);
+END;
+
+CREATE TRIGGER IF NOT EXISTS manifest_changes_on_lifecycle_update
+AFTER UPDATE OF state, reason, sunset_at, replaced_by ON manifest_lifecycle
+WHEN NEW.state <> 'tombstoned'
+BEGIN
+  INSERT INTO manifest_changes (urn, type, state) VALUES (NEW.urn, 'lifecycle', NEW.state);
+END;
+
+CREATE TRIGGER IF NOT EXISTS manifest_changes_on_lifecycle_delete
+AFTER DELETE ON manifest_lifecycle
+WHEN OLD.state <> 'tombstoned'
+BEGIN
+  INSERT INTO manifest_changes (urn, type, state) VALUES (OLD.urn, 'lifecycle', 'active');
+END;
+
+CREATE TRIGGER IF NOT EXISTS manifest_changes_on_remove
+AFTER DELETE ON manifests
+BEGIN
+  INSERT INTO manifest_changes (urn, type, digest) VALUES (OLD.urn, 'removed', OLD.digest);
+END;
+
+-- Delivery cursors for outbound change webhooks (last seq acknowledged per subscriber).
+CREATE TABLE IF NOT EXISTS change_deliveries (
+  subscriber TEXT PRIMARY KEY,
+  last_seq INTEGER NOT NULL DEFAULT 0,
+  last_error TEXT,
+  updated_at TEXT DEFAULT (datetime('now'))
+);
@@ -0,0 +1,458 @@
+import fs from 'node:fs/promises';
+import path from 'node:path';
+
+import { collectManifests } from '../../packages/runtime/registry-loader/index.mjs';
+import { openDb } from '../../packages/runtime/registry/db.mjs';
+import { computeManifestDigest, listManifests } from '../../packages/runtime/registry/repository.mjs';
+import { VECTOR_STORE_DRIVERS, normaliseDriver } from '../../packages/runtime/vector-store/index.mjs';
+
+/**
+ * Default locations of the derived context stores, relative to the workspace root.
+ * These mirror the defaults used by `sch registry load` and `catalog-build-graph`.
+ */
+export const DEFAULT_CONTEXT_PATHS = Object.freeze({
+  manifests: 'artifacts/protocols',
+  registryDb: 'var/registry.sqlite',
+  lancedb: 'data/lancedb',
+  qdrantFallback: 'data/qdrant',
+  collection: 'protocol_registry_vectors',
+  graph: 'artifacts/catalog-graph.json'
+});
+
+const QDRANT_DEFAULT_URL = 'http://localhost:6333';
+const QDRANT_TIMEOUT_MS = 2000;
+
+async function statOrNull(target) {
+  try {
+    return await fs.stat(target);
+  } catch {
+    return null;
+  }
+}
+
+async function latestMtime(target) {
+  const stats = await statOrNull(target);
+  if (!stats) {
+    return null;
+  }
+  if (!stats.isDirectory()) {
+    return stats.mtime;
+  }
+  let latest = stats.mtime;
+  const entries = await fs.readdir(target, { withFileTypes: true });
+  for (const entry of entries) {
+    const candidate = await latestMtime(path.join(target, entry.name));
+    if (candidate && candidate > latest) {
+      latest = candidate;
+    }
+  }
+  return latest;
+}
+
+function toIso(value) {
+  return value instanceof Date && !Number.isNaN(value.getTime()) ? value.toISOString() : null;
+}
+
+/**
+ * SQLite `datetime('now')` values are UTC without a zone designator.
+ */
+function parseSqliteTimestamp(value) {
+  if (typeof value !== 'string' || value.trim().length === 0) {
+    return null;
+  }
+  const normalised = value.includes('T') ? value : `${value.replace(' ', 'T')}Z`;
+  const parsed = new Date(normalised);
+  return Number.isNaN(parsed.getTime()) ? null : parsed;
+}
+
+/**
+ * Resolve the store locations for a workspace, applying any caller overrides.
+ *
+ * @param {Object} [options]
+ * @returns {Object} Absolute paths plus vector driver settings.
+ */
+export function resolveContextPaths(options = {}) {
+  const workspace = options.workspace ? path.resolve(options.workspace) : process.cwd();
+  const resolveIn = (value, fallback) => path.resolve(workspace, value ?? fallback);
+
+  return {
+    workspace,
+    manifests: resolveIn(options.manifests ?? options.directory, DEFAULT_CONTEXT_PATHS.manifests),
+    registryDb: resolveIn(options.db, DEFAULT_CONTEXT_PATHS.registryDb),
+    lancedb: resolveIn(options.lancedb, DEFAULT_CONTEXT_PATHS.lancedb),
+    qdrantFallback: resolveIn(options.qdrantFallback, DEFAULT_CONTEXT_PATHS.qdrantFallback),
+    graph: resolveIn(options.graph, DEFAULT_CONTEXT_PATHS.graph),
+    collection: options.collection || DEFAULT_CONTEXT_PATHS.collection,
+    vectorDriver: normaliseDriver(options.vectorDriver ?? process.env.SEMANTEXT_VECTOR_DRIVER),
+    qdrantUrl: options.qdrantUrl ?? process.env.SEMANTEXT_QDRANT_URL ?? QDRANT_DEFAULT_URL,
+    qdrantApiKey: options.qdrantApiKey ?? process.env.SEMANTEXT_QDRANT_API_KEY ?? null
+  };
+}
+
+async function inspectManifests(directory) {
+  const stats = await statOrNull(directory);
+  if (!stats?.isDirectory()) {
+    return { path: directory, present: false, count: 0, lastModified: null, entries: [], skipped: [] };
+  }
+
+  const skipped = [];
+  const logger = { warn: (message) => skipped.push(message) };
+  const manifests = await collectManifests(directory, { logger });
+
+  const entries = [];
+  let lastModified = null;
+  for (const manifest of manifests) {
+    const fileStats = await statOrNull(manifest.filePath);
+    const modifiedAt = fileStats?.mtime ?? null;
+    if (modifiedAt && (!lastModified || modifiedAt > lastModified)) {
+      lastModified = modifiedAt;
+    }
+    entries.push({
+      urn: manifest.urn,
+      name: manifest.name,
+      path: manifest.filePath,
+      digest: computeManifestDigest(manifest.manifest),
+      modifiedAt: toIso(modifiedAt)
+    });
+  }
+
+  return {
+    path: directory,
+    present: true,
+    count: entries.length,
+    lastModified: toIso(lastModified),
+    entries,
+    skipped
+  };
+}
+
+async function inspectRegistry(dbPath) {
+  const stats = await statOrNull(dbPath);
+  if (!stats?.isFile()) {
+    return { path: dbPath, present: false, count: 0, lastUpdated: null, entries: [] };
+  }
+
+  let db;
+  try {
+    db = await openDb({ dbPath });
+    // Tombstoned URNs are retired, so they are not expected on disk or in the vector index.
+    const rows = (await listManifests(db)).filter((row) => row.state !== 'tombstoned');
+    let lastUpdated = null;
+    for (const row of rows) {
+      const updated = parseSqliteTimestamp(row.updated_at);
+      if (updated && (!lastUpdated || updated > lastUpdated)) {
+        lastUpdated = updated;
+      }
+    }
+    return {
+      path: dbPath,
+      present: true,
+      count: rows.length,
+      lastUpdated: toIso(lastUpdated),
+      entries: rows.map((row) => ({
+        urn: row.urn,
+        digest: row.digest,
+        updatedAt: toIso(parseSqliteTimestamp(row.updated_at))
+      }))
+    };
+  } catch (error) {
+    return {
+      path: dbPath,
+      present: true,
+      count: 0,
+      lastUpdated: null,
+      entries: [],
+      error: error?.message ?? String(error)
+    };
+  } finally {
+    if (db?.close) {
+      await db.close();
+    }
+  }
+}
+
+async function readFallbackVectors(filePath) {
+  try {
+    const raw = await fs.readFile(filePath, 'utf8');
+    const parsed = JSON.parse(raw);
+    if (!Array.isArray(parsed)) {
+      return null;
+    }
+    return parsed
+      .map((entry) => entry?.payload?.urn ?? entry?.payload?.tool_id ?? null)
+      .filter(Boolean)
+      .map(String);
+  } catch {
+    return null;
+  }
+}
+
+async function inspectLanceDb(paths) {
+  const tableDir = path.join(paths.lancedb, `${paths.collection}.lance`);
+  const fallbackFile = path.join(paths.lancedb, `${paths.collection}.json`);
+  const base = {
+    driver: VECTOR_STORE_DRIVERS.LANCEDB,
+    path: paths.lancedb,
+    collection: paths.collection
+  };
+
+  if (await statOrNull(tableDir)) {
+    let connection;
+    try {
+      const module = await import('@lancedb/lancedb');
+      const connect = module?.connect ?? module?.default?.connect;
+      connection = await connect(paths.lancedb);
+      const table = await connection.openTable(paths.collection);
+      const rows = await table.query().select(['urn', 'tool_id']).toArray();
+      const urns = rows.map((row) => row.urn ?? row.tool_id).filter(Boolean).map(String);
+      return {
+        ...base,
+        present: true,
+        mode: 'lancedb',
+        count: urns.length,
+        lastModified: toIso(await latestMtime(tableDir)),
+        urns
+      };
+    } catch (error) {
+      return {
+        ...base,
+        present: true,
+        mode: 'lancedb',
+        count: 0,
+        lastModified: toIso(await latestMtime(tableDir)),
+        urns: null,
+        error: error?.message ?? String(error)
+      };
+    } finally {
+      connection?.close?.();
+    }
+  }
+
+  const fallbackUrns = await readFallbackVectors(fallbackFile);
+  if (fallbackUrns) {
+    return {
+      ...base,
+      present: true,
+      mode: 'fallback',
+      count: fallbackUrns.length,
+      lastModified: toIso((await statOrNull(fallbackFile))?.mtime ?? null),
+      urns: fallbackUrns
+    };
+  }
+
+  return { ...base, present: false, mode: null, count: 0, lastModified: null, urns: [] };
+}
+
+async function inspectQdrant(paths, fetchImpl) {
+  const base = {
+    driver: VECTOR_STORE_DRIVERS.QDRANT,
+    path: paths.qdrantUrl,
+    collection: paths.collection
+  };
+
+  const fetcher = fetchImpl ?? globalThis.fetch;
+  if (typeof fetcher === 'function') {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), QDRANT_TIMEOUT_MS);
+    try {
+      const headers = paths.qdrantApiKey ? { 'api-key': paths.qdrantApiKey } : {};
+      const response = await fetcher(
+        `${paths.qdrantUrl.replace(/\/$/, '')}/collections/${encodeURIComponent(paths.collection)}`,
+        { headers, signal: controller.signal }
+      );
+      if (response.status === 404) {
+        return { ...base, present: false, mode: 'qdrant', count: 0, lastModified: null, urns: [] };
+      }
+      if (response.ok) {
+        const body = await response.json();
+        return {
+          ...base,
+          present: true,
+          mode: 'qdrant',
+          count: Number(body?.result?.points_count ?? body?.result?.vectors_count ?? 0),
+          lastModified: null,
+          // Point payloads are not scanned remotely; URN-level drift is skipped for Qdrant.
+          urns: null
+        };
+      }
+    } catch {
+      // Remote unreachable; fall through to the local fallback store.
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  const fallbackFile = path.join(paths.qdrantFallback, `${paths.collection}.json`);
+  const fallbackUrns = await readFallbackVectors(fallbackFile);
+  if (fallbackUrns) {
+    return {
+      ...base,
+      path: fallbackFile,
+      present: true,
+      mode: 'fallback',
+      count: fallbackUrns.length,
+      lastModified: toIso((await statOrNull(fallbackFile))?.mtime ?? null),
+      urns: fallbackUrns
+    };
+  }
+
+  return {
+    ...base,
+    present: false,
+    mode: null,
+    count: 0,
+    lastModified: null,
+    urns: [],
+    error: `Qdrant unreachable at ${paths.qdrantUrl}`
+  };
+}
+
+async function inspectGraph(graphPath) {
+  const stats = await statOrNull(graphPath);
+  if (!stats?.isFile()) {
+    return { path: graphPath, present: false, nodeCount: 0, edgeCount: 0, generatedAt: null, inputs: [] };
+  }
+  try {
+    const graph = JSON.parse(await fs.readFile(graphPath, 'utf8'));
+    return {
+      path: graphPath,
+      present: true,
+      nodeCount: Array.isArray(graph?.nodes) ? graph.nodes.length : 0,
+      edgeCount: Array.isArray(graph?.edges) ? graph.edges.length : 0,
+      generatedAt: graph?.generatedAt ?? toIso(stats.mtime),
+      inputs: Array.isArray(graph?.metadata?.inputs) ? graph.metadata.inputs : []
+    };
+  } catch (error) {
+    return {
+      path: graphPath,
+      present: true,
+      nodeCount: 0,
+      edgeCount: 0,
+      generatedAt: toIso(stats.mtime),
+      inputs: [],
+      error: error?.message ?? String(error)
+    };
+  }
+}
+
+function computeDrift({ workspace, manifests, registry, vectors, graph }) {
+  const registryByUrn = new Map(registry.entries.map((entry) => [entry.urn, entry]));
+  const manifestUrns = new Set(manifests.entries.map((entry) => entry.urn));
+
+  const missingFromRegistry = [];
+  const digestMismatches = [];
+  for (const entry of manifests.entries) {
+    const record = registryByUrn.get(entry.urn);
+    if (!record) {
+      missingFromRegistry.push(entry.urn);
+    } else if (record.digest !== entry.digest) {
+      digestMismatches.push({
+        urn: entry.urn,
+        manifestDigest: entry.digest,
+        registryDigest: record.digest
+      });
+    }
+  }
+
+  const orphanedInRegistry = registry.entries
+    .filter((entry) => !manifestUrns.has(entry.urn))
+    .map((entry) => entry.urn);
+
+  let missingEmbeddings = [];
+  let orphanedEmbeddings = [];
+  let staleEmbeddings = [];
+  if (Array.isArray(vectors.urns)) {
+    const vectorUrns = new Set(vectors.urns);
+    missingEmbeddings = registry.entries
+      .filter((entry) => !vectorUrns.has(entry.urn))
+      .map((entry) => entry.urn);
+    orphanedEmbeddings = Array.from(vectorUrns).filter((urn) => !registryByUrn.has(urn));
+  }
+  if (vectors.lastModified) {
+    const indexedAt = new Date(vectors.lastModified);
+    staleEmbeddings = registry.entries
+      .filter((entry) => entry.updatedAt && new Date(entry.updatedAt) > indexedAt)
+      .map((entry) => entry.urn)
+      .filter((urn) => !missingEmbeddings.includes(urn));
+  }
+
+  let graphStale = false;
+  const graphMissingManifests = [];
+  if (graph.present) {
+    const inputs = new Set(graph.inputs);
+    for (const entry of manifests.entries) {
+      const relative = path.relative(workspace, entry.path).split(path.sep).join('/');
+      if (!inputs.has(relative)) {
+        graphMissingManifests.push(entry.urn);
+      }
+    }
+    graphStale =
+      graphMissingManifests.length > 0 ||
+      Boolean(manifests.lastModified && graph.generatedAt && manifests.lastModified > graph.generatedAt);
+  } else {
+    graphStale = manifests.count > 0;
+  }
+
+  return {
+    missingFromRegistry,
+    orphanedInRegistry,
+    digestMismatches,
+    missingEmbeddings,
+    orphanedEmbeddings,
+    staleEmbeddings,
+    graphStale,
+    graphMissingManifests
+  };
+}
+
+/**
+ * Inspect the workspace's cached manifests and every derived store built from them
+ * (registry SQLite, vector index, catalog graph) and report where they disagree.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.workspace] - Workspace root (defaults to cwd).
+ * @param {string} [options.manifests] - Manifest directory relative to workspace.
+ * @param {string} [options.db] - Registry SQLite path relative to workspace.
+ * @param {string} [options.lancedb] - LanceDB directory relative to workspace.
+ * @param {string} [options.collection] - Vector collection name.
+ * @param {string} [options.vectorDriver] - `lancedb` or `qdrant`.
+ * @param {string} [options.graph] - Catalog graph cache path relative to workspace.
+ * @param {Function} [options.fetchImpl] - Fetch override for Qdrant probes.
+ * @returns {Promise<Object>} Inventory report with per-store summaries and drift flags.
+ */
+export async function collectContextInventory(options = {}) {
+  const paths = resolveContextPaths(options);
+
+  const [manifests, registry, vectors, graph] = await Promise.all([
+    inspectManifests(paths.manifests),
+    inspectRegistry(paths.registryDb),
+    paths.vectorDriver === VECTOR_STORE_DRIVERS.QDRANT
+      ? inspectQdrant(paths, options.fetchImpl)
+      : inspectLanceDb(paths),
+    inspectGraph(paths.graph)
+  ]);
+
+  const drift = computeDrift({ workspace: paths.workspace, manifests, registry, vectors, graph });
+  // Registry-only URNs are reported but tolerated: they may be published over HTTP.
+  const inSync =
+    drift.missingFromRegistry.length === 0 &&
+    drift.digestMismatches.length === 0 &&
+    drift.missingEmbeddings.length === 0 &&
+    drift.orphanedEmbeddings.length === 0 &&
+    drift.staleEmbeddings.length === 0 &&
+    !drift.graphStale;
+
+  return {
+    workspace: paths.workspace,
+    generatedAt: new Date().toISOString(),
+    inSync,
+    stores: { manifests, registry, vectors, graph },
+    drift
+  };
+}
+
+export default {
+  DEFAULT_CONTEXT_PATHS,
+  resolveContextPaths,
+  collectContextInventory
+};
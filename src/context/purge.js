@@ -0,0 +1,348 @@
+import fs from 'node:fs/promises';
+import path from 'node:path';
+
+import { loadRetentionConfig, runRetentionGc } from '../../scripts/cleanup/gc-artifacts.mjs';
+import { openDb } from '../../packages/runtime/registry/db.mjs';
+import { listManifests } from '../../packages/runtime/registry/repository.mjs';
+import { VECTOR_STORE_DRIVERS } from '../../packages/runtime/vector-store/index.mjs';
+import { collectContextInventory } from './inventory.js';
+import { SYNC_MODES, invalidateSyncState, resolveSyncLayout } from './sync.js';
+
+export const PURGE_TARGETS = Object.freeze(['graphs', 'embeddings', 'diagrams', 'perf-logs', 'registry-cache']);
+
+/** Sync targets whose recorded state becomes invalid once a purge target is removed. */
+const SYNC_INVALIDATIONS = Object.freeze({
+  graphs: ['graph'],
+  embeddings: ['registry'],
+  diagrams: ['diagram'],
+  'perf-logs': [],
+  'registry-cache': ['registry']
+});
+
+/**
+ * Registry tables holding history that `sch context sync` cannot rebuild from the manifest
+ * files. Purging `registry-cache` deletes the whole database, so the plan warns about them.
+ */
+const DURABLE_REGISTRY_TABLES = Object.freeze({
+  manifest_revisions: 'revision history',
+  manifest_lifecycle: 'lifecycle states and tombstones',
+  manifest_changes: 'change log',
+  change_deliveries: 'webhook delivery cursors',
+  provenance: 'provenance records'
+});
+
+function toPosix(value) {
+  return value.split(path.sep).join('/');
+}
+
+function relativeTo(workspace, target) {
+  return toPosix(path.relative(workspace, target)) || '.';
+}
+
+/**
+ * Normalise the selected purge targets. Purging is opt-in per target, so an empty
+ * selection is rejected rather than treated as "everything".
+ */
+export function normalisePurgeTargets(targets) {
+  const list = Array.isArray(targets) ? targets : String(targets ?? '').split(',');
+  const selected = list.map((entry) => String(entry).trim().toLowerCase()).filter(Boolean);
+  if (selected.length === 0) {
+    throw new Error(`Select at least one purge target: ${PURGE_TARGETS.join(', ')}.`);
+  }
+  const unknown = selected.filter((entry) => !PURGE_TARGETS.includes(entry));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown purge target(s): ${unknown.join(', ')}. Expected one of ${PURGE_TARGETS.join(', ')}.`);
+  }
+  return PURGE_TARGETS.filter((target) => selected.includes(target));
+}
+
+function fileTarget(id, workspace, filePath, extraNames = []) {
+  const name = path.basename(filePath);
+  return {
+    id,
+    path: relativeTo(workspace, path.dirname(filePath)),
+    include: [name, ...extraNames.map((suffix) => `${name}${suffix}`)],
+    purgeAll: true
+  };
+}
+
+function directoryTarget(id, workspace, directory, include) {
+  return {
+    id,
+    path: relativeTo(workspace, directory),
+    ...(include ? { include } : {}),
+    purgeAll: true
+  };
+}
+
+/**
+ * Translate purge targets into retention-GC targets so deletion goes through the same
+ * scanner/deleter as `sch perf gc`. Each retention target id is prefixed with its purge target.
+ */
+async function buildPurgePolicy(options, selected) {
+  const live = resolveSyncLayout(options, SYNC_MODES.WSAP);
+  const canary = resolveSyncLayout(options, SYNC_MODES.CANARY);
+  const workspace = live.workspace;
+  const targets = [];
+
+  if (selected.includes('graphs')) {
+    targets.push(fileTarget('graphs:live', workspace, live.graph));
+    targets.push(fileTarget('graphs:canary', workspace, canary.graph));
+  }
+
+  if (selected.includes('embeddings')) {
+    const collectionFiles = [`${live.collection}.lance`, `${live.collection}.json`];
+    targets.push(directoryTarget('embeddings:lancedb', workspace, live.lancedb, collectionFiles));
+    targets.push(directoryTarget('embeddings:qdrant-fallback', workspace, live.qdrantFallback, [`${live.collection}.json`]));
+    targets.push(directoryTarget('embeddings:canary-lancedb', workspace, canary.lancedb));
+    targets.push(directoryTarget('embeddings:canary-qdrant-fallback', workspace, canary.qdrantFallback));
+  }
+
+  if (selected.includes('diagrams')) {
+    targets.push(directoryTarget('diagrams:live', workspace, path.dirname(live.diagram)));
+    targets.push(directoryTarget('diagrams:canary', workspace, path.dirname(canary.diagram)));
+  }
+
+  if (selected.includes('perf-logs')) {
+    const retention = await loadRetentionConfig({ workspace, configPath: options.retentionConfig });
+    const defaultProtect = Array.isArray(retention.defaults?.protect) ? retention.defaults.protect : [];
+    for (const target of retention.targets) {
+      targets.push({
+        id: `perf-logs:${target.id ?? target.path}`,
+        path: target.path,
+        protect: [...defaultProtect, ...(Array.isArray(target.protect) ? target.protect : [])],
+        purgeAll: true
+      });
+    }
+  }
+
+  if (selected.includes('registry-cache')) {
+    const sqliteSidecars = ['-wal', '-shm'];
+    targets.push(fileTarget('registry-cache:live', workspace, live.registryDb, sqliteSidecars));
+    targets.push(fileTarget('registry-cache:live-state', workspace, live.statePath));
+    targets.push(fileTarget('registry-cache:canary', workspace, canary.registryDb, sqliteSidecars));
+    targets.push(fileTarget('registry-cache:canary-state', workspace, canary.statePath));
+  }
+
+  return { live, canary, policy: { defaults: {}, targets } };
+}
+
+/**
+ * User tables of a registry database, without SQLite internals and FTS shadow tables.
+ */
+async function listRegistryTables(db) {
+  const tables = await db.all(
+    "SELECT name, sql FROM sqlite_master WHERE type='table' AND name NOT LIKE 'sqlite_%' ORDER BY name"
+  );
+  const virtual = tables
+    .filter((table) => /^CREATE VIRTUAL TABLE/i.test(table.sql ?? ''))
+    .map((table) => table.name);
+  return tables
+    .map((table) => table.name)
+    .filter((name) => !virtual.some((parent) => name.startsWith(`${parent}_`)));
+}
+
+async function describeRegistryRows(dbPath, workspace, label) {
+  try {
+    const stats = await fs.stat(dbPath);
+    if (!stats.isFile()) return [];
+  } catch {
+    return [];
+  }
+
+  let db;
+  try {
+    db = await openDb({ dbPath });
+    const rows = [];
+    for (const table of await listRegistryTables(db)) {
+      const count = (await db.get(`SELECT COUNT(*) AS count FROM "${table}"`))?.count ?? 0;
+      const entry = {
+        target: 'registry-cache',
+        store: label,
+        path: relativeTo(workspace, dbPath),
+        table,
+        count,
+        ...(DURABLE_REGISTRY_TABLES[table] ? { durable: true } : {})
+      };
+      if (table === 'manifests') {
+        entry.urns = (await listManifests(db)).map((row) => row.urn);
+      }
+      rows.push(entry);
+    }
+    return rows;
+  } catch (error) {
+    return [{
+      target: 'registry-cache',
+      store: label,
+      path: relativeTo(workspace, dbPath),
+      table: null,
+      count: 0,
+      error: error?.message ?? String(error)
+    }];
+  } finally {
+    await db?.close?.();
+  }
+}
+
+async function describeEmbeddingRows(options, live) {
+  const inventory = await collectContextInventory({ ...options, workspace: live.workspace });
+  const vectors = inventory.stores.vectors;
+  // Remote Qdrant collections are never dropped; only local stores are purged.
+  if (!vectors.present || vectors.mode === 'qdrant') {
+    return [];
+  }
+  return [{
+    target: 'embeddings',
+    store: vectors.mode === 'fallback' ? `${vectors.driver}-fallback` : vectors.driver,
+    path: relativeTo(live.workspace, vectors.path),
+    table: vectors.collection,
+    count: vectors.count,
+    urns: vectors.urns ?? []
+  }];
+}
+
+/**
+ * One warning per registry database whose purge loses history a resync cannot restore.
+ */
+function describeDurableLoss(rows) {
+  const byPath = new Map();
+  for (const row of rows) {
+    if (!row.durable || row.count === 0) continue;
+    const lost = byPath.get(row.path) ?? [];
+    lost.push(`${row.count} ${DURABLE_REGISTRY_TABLES[row.table]} row(s) (${row.table})`);
+    byPath.set(row.path, lost);
+  }
+  return Array.from(byPath, ([dbPath, lost]) =>
+    `Purging ${dbPath} also deletes ${lost.join(', ')}; \`sch context sync\` cannot rebuild them.`
+  );
+}
+
+function groupOf(retentionTargetId) {
+  return String(retentionTargetId).split(':')[0];
+}
+
+function collectFiles(retentionSummary, key) {
+  const files = [];
+  for (const target of retentionSummary.targets) {
+    const group = groupOf(target.id);
+    if (key === 'candidateEntries') {
+      for (const entry of target.candidateEntries) {
+        files.push({ target: group, path: entry.path, sizeBytes: entry.sizeBytes });
+      }
+    } else {
+      for (const entryPath of target.removedEntries) {
+        files.push({ target: group, path: entryPath });
+      }
+    }
+  }
+  return files;
+}
+
+/**
+ * Build the purge plan: every file and registry/vector row that would be removed for
+ * the selected targets, with a note for registry history that a resync cannot restore.
+ * Nothing is deleted.
+ *
+ * @param {Object} options
+ * @param {string} [options.workspace] - Workspace root.
+ * @param {string[]|string} options.targets - Subset of PURGE_TARGETS.
+ * @param {string} [options.retentionConfig] - Retention config override for `perf-logs`.
+ * @returns {Promise<Object>} Purge plan.
+ */
+export async function planContextPurge(options = {}) {
+  const selected = normalisePurgeTargets(options.targets);
+  const { live, policy } = await buildPurgePolicy(options, selected);
+
+  const retention = await runRetentionGc({
+    workspace: live.workspace,
+    policy,
+    dryRun: true,
+    now: options.now
+  });
+
+  const rows = [];
+  if (selected.includes('registry-cache')) {
+    const canary = resolveSyncLayout(options, SYNC_MODES.CANARY);
+    rows.push(...(await describeRegistryRows(live.registryDb, live.workspace, 'registry')));
+    rows.push(...(await describeRegistryRows(canary.registryDb, live.workspace, 'canary-registry')));
+  }
+  if (selected.includes('embeddings')) {
+    rows.push(...(await describeEmbeddingRows(options, live)));
+  }
+
+  const notes = describeDurableLoss(rows);
+  if (selected.includes('embeddings') && live.vectorDriver === VECTOR_STORE_DRIVERS.QDRANT) {
+    notes.push(
+      `Remote Qdrant collection "${live.collection}" at ${live.qdrantUrl} is not purged; only local fallback stores are removed.`
+    );
+  }
+
+  return {
+    workspace: live.workspace,
+    targets: selected,
+    dryRun: true,
+    files: collectFiles(retention, 'candidateEntries'),
+    rows,
+    candidateBytes: retention.candidateBytes,
+    errors: retention.targets.flatMap((target) => target.errors),
+    notes,
+    policy
+  };
+}
+
+/**
+ * Delete everything listed in a purge plan and invalidate the matching sync state so
+ * the next `sch context sync` rebuilds the purged outputs.
+ *
+ * @param {Object} plan - Result of `planContextPurge`.
+ * @param {Object} [options] - Same options passed to `planContextPurge`.
+ * @returns {Promise<Object>} Purge summary.
+ */
+export async function executeContextPurge(plan, options = {}) {
+  const retention = await runRetentionGc({
+    workspace: plan.workspace,
+    policy: plan.policy,
+    dryRun: false,
+    now: options.now
+  });
+
+  const invalidate = [...new Set(plan.targets.flatMap((target) => SYNC_INVALIDATIONS[target]))];
+  const invalidatedState = invalidate.length > 0
+    ? await invalidateSyncState({ ...options, workspace: plan.workspace }, invalidate)
+    : [];
+
+  return {
+    workspace: plan.workspace,
+    targets: plan.targets,
+    dryRun: false,
+    files: plan.files,
+    rows: plan.rows,
+    removed: collectFiles(retention, 'removedEntries'),
+    removedBytes: retention.removedBytes,
+    errors: retention.targets.flatMap((target) => target.errors),
+    notes: plan.notes,
+    invalidatedState: invalidatedState.map((statePath) => relativeTo(plan.workspace, statePath))
+  };
+}
+
+/**
+ * Plan and, unless `dryRun` is set, execute a context purge.
+ *
+ * @param {Object} options - See `planContextPurge`; also accepts `dryRun`.
+ * @returns {Promise<Object>} Purge plan (dry run) or purge summary.
+ */
+export async function purgeContext(options = {}) {
+  const plan = await planContextPurge(options);
+  if (options.dryRun) {
+    return plan;
+  }
+  return executeContextPurge(plan, options);
+}
+
+export default {
+  PURGE_TARGETS,
+  normalisePurgeTargets,
+  planContextPurge,
+  executeContextPurge,
+  purgeContext
+};
@@ -0,0 +1,445 @@
+import crypto from 'node:crypto';
+import fs from 'node:fs/promises';
+import path from 'node:path';
+
+import { writeCatalogGraph } from '../catalog/graph/artifacts.js';
+import { generateCatalogDiagram } from '../visualization/drawio/catalog.js';
+import { collectManifests, RegistryLoader } from '../../packages/runtime/registry-loader/index.mjs';
+import { computeManifestDigest } from '../../packages/runtime/registry/repository.mjs';
+import { VECTOR_STORE_DRIVERS } from '../../packages/runtime/vector-store/index.mjs';
+import { loadManifestsFromDirectory, buildGraph } from '../../packages/runtime/workflow/graph-builder.js';
+import { GovernanceGenerator } from '../../packages/protocols/core/governance/index.mjs';
+import { OverrideEngine } from '../../packages/protocols/core/overrides/index.js';
+import { resolveContextPaths } from './inventory.js';
+
+export const SYNC_MODES = Object.freeze({
+  WSAP: 'wsap',
+  CANARY: 'canary',
+  PROMOTE: 'promote'
+});
+
+export const SYNC_TARGETS = Object.freeze(['registry', 'graph', 'diagram', 'governance']);
+
+const STATE_VERSION = 1;
+const CONTEXT_STATE_DIR = 'var/context';
+const CANARY_DIR = 'canary';
+
+/**
+ * Resolve where each derived artifact lives for a sync mode. Canary builds are staged
+ * under `var/context/canary` so live outputs stay untouched until promotion.
+ *
+ * @param {Object} options - Same path overrides accepted by `resolveContextPaths`.
+ * @param {string} mode - One of SYNC_MODES.
+ * @returns {Object} Absolute output locations and the state file path.
+ */
+export function resolveSyncLayout(options = {}, mode = SYNC_MODES.WSAP) {
+  const paths = resolveContextPaths(options);
+  const stateDir = path.join(paths.workspace, CONTEXT_STATE_DIR);
+
+  if (mode === SYNC_MODES.CANARY) {
+    const root = path.join(stateDir, CANARY_DIR);
+    return {
+      ...paths,
+      mode,
+      root,
+      registryDb: path.join(root, 'registry.sqlite'),
+      lancedb: path.join(root, 'lancedb'),
+      qdrantFallback: path.join(root, 'qdrant'),
+      // Qdrant collections are shared remotely, so the canary needs its own collection.
+      collection: paths.vectorDriver === VECTOR_STORE_DRIVERS.QDRANT ? `${paths.collection}_canary` : paths.collection,
+      graph: path.join(root, 'catalog-graph.json'),
+      diagram: path.join(root, 'diagrams', 'catalog.drawio'),
+      governance: path.join(root, 'governance', 'GOVERNANCE.md'),
+      statePath: path.join(root, 'sync-state.json')
+    };
+  }
+
+  return {
+    ...paths,
+    mode,
+    root: paths.workspace,
+    diagram: path.resolve(paths.workspace, options.diagram ?? 'artifacts/diagrams/catalog.drawio'),
+    governance: path.resolve(paths.workspace, options.governance ?? 'artifacts/governance/GOVERNANCE.md'),
+    statePath: path.join(stateDir, 'sync-state.json')
+  };
+}
+
+async function pathExists(target) {
+  try {
+    await fs.access(target);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+async function readState(statePath) {
+  try {
+    const parsed = JSON.parse(await fs.readFile(statePath, 'utf8'));
+    if (parsed && typeof parsed === 'object' && parsed.version === STATE_VERSION) {
+      return parsed;
+    }
+  } catch {
+    // Missing or unreadable state forces a full rebuild.
+  }
+  return { version: STATE_VERSION, manifests: {}, targets: {} };
+}
+
+async function writeState(statePath, state) {
+  await fs.mkdir(path.dirname(statePath), { recursive: true });
+  await fs.writeFile(statePath, `${JSON.stringify(state, null, 2)}\n`, 'utf8');
+}
+
+/**
+ * Forget recorded build state for targets whose outputs were removed out-of-band (for
+ * example by `sch context purge`) so the next sync rebuilds them instead of skipping.
+ * Dropping `registry` also clears the per-URN digests, forcing a full registry reload.
+ *
+ * @param {Object} options - Same path overrides accepted by `resolveSyncLayout`.
+ * @param {string[]} targets - Subset of SYNC_TARGETS to invalidate.
+ * @returns {Promise<string[]>} State files that were updated.
+ */
+export async function invalidateSyncState(options = {}, targets = []) {
+  const updated = [];
+  for (const mode of [SYNC_MODES.WSAP, SYNC_MODES.CANARY]) {
+    const { statePath } = resolveSyncLayout(options, mode);
+    if (!(await pathExists(statePath))) {
+      continue;
+    }
+    const state = await readState(statePath);
+    const nextTargets = { ...(state.targets ?? {}) };
+    for (const target of targets) {
+      delete nextTargets[target];
+    }
+    await writeState(statePath, {
+      ...state,
+      manifests: targets.includes('registry') ? {} : state.manifests ?? {},
+      targets: nextTargets
+    });
+    updated.push(statePath);
+  }
+  return updated;
+}
+
+/**
+ * Single digest over every `urn -> digest` pair; aggregate targets rebuild when it moves.
+ */
+function aggregateDigest(digests) {
+  const lines = Object.keys(digests)
+    .sort()
+    .map((urn) => `${urn}\t${digests[urn]}`);
+  return crypto.createHash('sha256').update(lines.join('\n')).digest('hex');
+}
+
+function diffManifests(previous, current) {
+  const added = [];
+  const changed = [];
+  const removed = [];
+  for (const [urn, digest] of Object.entries(current)) {
+    if (!(urn in previous)) {
+      added.push(urn);
+    } else if (previous[urn] !== digest) {
+      changed.push(urn);
+    }
+  }
+  for (const urn of Object.keys(previous)) {
+    if (!(urn in current)) {
+      removed.push(urn);
+    }
+  }
+  return { added, changed, removed };
+}
+
+function normaliseTargets(targets) {
+  if (!targets || (Array.isArray(targets) && targets.length === 0)) {
+    return [...SYNC_TARGETS];
+  }
+  const list = Array.isArray(targets) ? targets : String(targets).split(',');
+  const selected = list.map((entry) => String(entry).trim().toLowerCase()).filter(Boolean);
+  const unknown = selected.filter((entry) => !SYNC_TARGETS.includes(entry));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown sync target(s): ${unknown.join(', ')}. Expected one of ${SYNC_TARGETS.join(', ')}.`);
+  }
+  return SYNC_TARGETS.filter((target) => selected.includes(target));
+}
+
+function normaliseMode(mode) {
+  const value = typeof mode === 'string' && mode.trim() ? mode.trim().toLowerCase() : SYNC_MODES.WSAP;
+  if (!Object.values(SYNC_MODES).includes(value)) {
+    throw new Error(`Unknown sync mode "${mode}". Expected one of ${Object.values(SYNC_MODES).join(', ')}.`);
+  }
+  return value;
+}
+
+/**
+ * Promotion is only allowed when the staged canary was built from exactly the
+ * manifests currently on disk and every target in it succeeded.
+ */
+async function assertCanaryPromotable(options, digests) {
+  const canaryLayout = resolveSyncLayout(options, SYNC_MODES.CANARY);
+  if (!(await pathExists(canaryLayout.statePath))) {
+    throw new Error('No canary sync found. Run `sch context sync --mode canary` before promoting.');
+  }
+  const canary = await readState(canaryLayout.statePath);
+  if (canary.manifestsDigest !== aggregateDigest(digests)) {
+    throw new Error('Manifests changed since the last canary sync. Re-run `sch context sync --mode canary` before promoting.');
+  }
+  const failed = Object.entries(canary.targets ?? {})
+    .filter(([, entry]) => entry?.status === 'failed')
+    .map(([target]) => target);
+  if (failed.length > 0) {
+    throw new Error(`Canary sync has failed targets (${failed.join(', ')}); refusing to promote.`);
+  }
+  return canary;
+}
+
+async function runRegistryTarget(layout, plan, entries, options) {
+  const rebuildAll = plan.force || !(await pathExists(layout.registryDb));
+  const pending = rebuildAll
+    ? entries
+    : entries.filter((entry) => plan.added.includes(entry.urn) || plan.changed.includes(entry.urn));
+  const remove = plan.removed;
+
+  if (pending.length === 0 && remove.length === 0) {
+    return { status: 'skipped', reason: 'unchanged' };
+  }
+  if (plan.dryRun) {
+    return { status: 'planned', upserts: pending.map((entry) => entry.urn), removals: remove };
+  }
+
+  const loader = new RegistryLoader({
+    workspace: layout.workspace,
+    directory: layout.manifests,
+    dbPath: layout.registryDb,
+    lancedbPath: layout.lancedb,
+    collectionName: layout.collection,
+    vectorDriver: layout.vectorDriver,
+    qdrantUrl: layout.qdrantUrl,
+    qdrantApiKey: layout.qdrantApiKey,
+    vectorOptions: layout.mode === SYNC_MODES.CANARY ? { fallbackDir: layout.qdrantFallback } : undefined,
+    embeddingService: options.embeddingService,
+    vectorStore: options.vectorStore,
+    logger: options.logger
+  });
+  const stats = await loader.loadManifests(pending, { directory: layout.manifests, remove });
+  return {
+    status: 'rebuilt',
+    upserts: pending.map((entry) => entry.urn),
+    removals: remove,
+    output: layout.registryDb,
+    vectorMode: stats.vectorMode ?? null,
+    embeddingMode: stats.embeddingMode ?? null
+  };
+}
+
+async function runGraphTarget(layout, plan) {
+  if (!plan.force && plan.previous.graph?.inputDigest === plan.manifestsDigest && (await pathExists(layout.graph))) {
+    return { status: 'skipped', reason: 'unchanged' };
+  }
+  if (plan.entries.length === 0) {
+    return { status: 'skipped', reason: 'no-manifests' };
+  }
+  if (plan.dryRun) {
+    return { status: 'planned', output: layout.graph };
+  }
+  const result = await writeCatalogGraph({
+    workspace: layout.workspace,
+    catalogPaths: [layout.manifests],
+    output: layout.graph,
+    overwrite: true,
+    pretty: true
+  });
+  return {
+    status: 'rebuilt',
+    output: result.outputPath,
+    nodeCount: result.nodeCount,
+    edgeCount: result.edgeCount,
+    graph: result.graph
+  };
+}
+
+async function runDiagramTarget(layout, plan, graphResult) {
+  const graphRebuilt = graphResult?.status === 'rebuilt' || graphResult?.status === 'planned';
+  if (graphResult?.status === 'failed') {
+    return { status: 'skipped', reason: 'graph-failed' };
+  }
+  if (!plan.force && !graphRebuilt && plan.previous.diagram?.inputDigest === plan.manifestsDigest && (await pathExists(layout.diagram))) {
+    return { status: 'skipped', reason: 'unchanged' };
+  }
+  if (!graphResult?.graph && !(await pathExists(layout.graph)) && !plan.dryRun) {
+    return { status: 'skipped', reason: 'no-graph' };
+  }
+  if (plan.dryRun) {
+    return { status: 'planned', output: layout.diagram };
+  }
+  const result = await generateCatalogDiagram({
+    workspace: layout.workspace,
+    graph: graphResult?.graph,
+    input: layout.graph,
+    output: layout.diagram,
+    overwrite: true
+  });
+  return {
+    status: 'rebuilt',
+    output: result.outputPath,
+    nodeCount: result.nodeCount,
+    edgeCount: result.edgeCount
+  };
+}
+
+async function runGovernanceTarget(layout, plan) {
+  if (!plan.force && plan.previous.governance?.inputDigest === plan.manifestsDigest && (await pathExists(layout.governance))) {
+    return { status: 'skipped', reason: 'unchanged' };
+  }
+  if (plan.entries.length === 0) {
+    return { status: 'skipped', reason: 'no-manifests' };
+  }
+  if (plan.dryRun) {
+    return { status: 'planned', output: layout.governance };
+  }
+  const loaded = (await loadManifestsFromDirectory(layout.manifests)).filter((entry) => entry.manifest);
+  const { graph } = buildGraph(loaded);
+  const generator = new GovernanceGenerator({
+    graph,
+    overrideEngine: new OverrideEngine(layout.workspace),
+    manifests: loaded.map((entry) => entry.manifest)
+  });
+  const result = await generator.generateToFile(layout.governance);
+  return { status: 'rebuilt', output: result.path, size: result.size };
+}
+
+/**
+ * Regenerate derived context artifacts (registry + vectors, catalog graph, Draw.io
+ * diagram, GOVERNANCE.md) from the workspace manifests, rebuilding only the outputs
+ * whose source manifests changed since the last sync (tracked by digest).
+ *
+ * @param {Object} [options]
+ * @param {string} [options.workspace] - Workspace root.
+ * @param {string} [options.mode='wsap'] - `wsap` (live), `canary` (staged) or `promote`.
+ * @param {string[]|string} [options.targets] - Subset of SYNC_TARGETS to run.
+ * @param {boolean} [options.force=false] - Ignore recorded digests and rebuild everything.
+ * @param {boolean} [options.dryRun=false] - Report the plan without writing anything.
+ * @param {Object} [options.embeddingService] - Embedding service override (tests).
+ * @param {Object} [options.vectorStore] - Vector store override (tests).
+ * @param {Object} [options.logger] - Logger passed to the registry loader.
+ * @returns {Promise<Object>} Machine-readable summary of what was rebuilt.
+ */
+export async function syncContext(options = {}) {
+  const mode = normaliseMode(options.mode);
+  const targets = normaliseTargets(options.targets);
+  const layout = resolveSyncLayout(options, mode);
+  const startedAt = new Date();
+
+  if (!(await pathExists(layout.manifests))) {
+    throw new Error(`Manifest directory not found: ${layout.manifests}`);
+  }
+
+  const skipped = [];
+  const entries = await collectManifests(layout.manifests, {
+    logger: { warn: (message) => skipped.push(message) }
+  });
+  const digests = Object.fromEntries(
+    entries.map((entry) => [entry.urn, computeManifestDigest(entry.manifest)])
+  );
+  const manifestsDigest = aggregateDigest(digests);
+
+  const promotedFrom = mode === SYNC_MODES.PROMOTE
+    ? await assertCanaryPromotable(options, digests)
+    : null;
+
+  const state = await readState(layout.statePath);
+  const { added, changed, removed } = diffManifests(state.manifests ?? {}, digests);
+  const plan = {
+    force: Boolean(options.force),
+    dryRun: Boolean(options.dryRun),
+    entries,
+    added,
+    changed,
+    removed,
+    manifestsDigest,
+    previous: state.targets ?? {}
+  };
+
+  const runners = {
+    registry: () => runRegistryTarget(layout, plan, entries, options),
+    graph: () => runGraphTarget(layout, plan),
+    diagram: () => runDiagramTarget(layout, plan, results.graph),
+    governance: () => runGovernanceTarget(layout, plan)
+  };
+
+  const results = {};
+  for (const target of targets) {
+    const began = Date.now();
+    try {
+      results[target] = await runners[target]();
+    } catch (error) {
+      results[target] = { status: 'failed', error: error?.message ?? String(error) };
+    }
+    results[target].durationMs = Date.now() - began;
+  }
+
+  const summary = {
+    mode,
+    workspace: layout.workspace,
+    root: layout.root,
+    dryRun: plan.dryRun,
+    startedAt: startedAt.toISOString(),
+    completedAt: new Date().toISOString(),
+    manifests: {
+      directory: layout.manifests,
+      total: entries.length,
+      added,
+      changed,
+      removed,
+      skipped
+    },
+    targets: Object.fromEntries(
+      Object.entries(results).map(([target, { graph, ...rest }]) => [target, rest])
+    ),
+    rebuilt: targets.filter((target) => results[target].status === 'rebuilt'),
+    failed: targets.filter((target) => results[target].status === 'failed'),
+    promotedFrom: promotedFrom
+      ? { statePath: resolveSyncLayout(options, SYNC_MODES.CANARY).statePath, syncedAt: promotedFrom.syncedAt }
+      : null,
+    statePath: layout.statePath
+  };
+
+  if (!plan.dryRun) {
+    const nextTargets = { ...(state.targets ?? {}) };
+    for (const target of targets) {
+      const result = results[target];
+      if (result.status === 'failed') {
+        nextTargets[target] = { status: 'failed', error: result.error, attemptedAt: summary.completedAt };
+      } else if (result.status === 'rebuilt') {
+        nextTargets[target] = {
+          status: 'ok',
+          inputDigest: manifestsDigest,
+          output: result.output ?? null,
+          builtAt: summary.completedAt
+        };
+      }
+    }
+
+    // Registry rows are per-URN; only advance recorded digests when the registry target ran cleanly.
+    const registryOk = targets.includes('registry') && results.registry.status !== 'failed';
+    await writeState(layout.statePath, {
+      version: STATE_VERSION,
+      mode,
+      syncedAt: summary.completedAt,
+      manifestsDigest,
+      manifests: registryOk ? digests : state.manifests ?? {},
+      targets: nextTargets,
+      ...(summary.promotedFrom ? { promotedFrom: summary.promotedFrom } : {})
+    });
+  }
+
+  return summary;
+}
+
+export default {
+  SYNC_MODES,
+  SYNC_TARGETS,
+  resolveSyncLayout,
+  invalidateSyncState,
+  syncContext
+};
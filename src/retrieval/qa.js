@@ -0,0 +1,373 @@
+import fs from 'node:fs/promises';
+import path from 'node:path';
+
+export const DEFAULT_QA_CUTOFFS = Object.freeze([1, 3, 5, 10]);
+export const DEFAULT_QA_DATASET_DIR = 'app/config/retrieval-qa';
+export const DEFAULT_REGRESSION_TOLERANCE = 0.01;
+
+const DATASET_VERSION = 1;
+const REPORT_VERSION = 1;
+
+function round(value) {
+  return Math.round(value * 10000) / 10000;
+}
+
+function mean(values) {
+  if (values.length === 0) return 0;
+  return values.reduce((total, value) => total + value, 0) / values.length;
+}
+
+function normaliseCutoffs(cutoffs) {
+  const list = Array.isArray(cutoffs) ? cutoffs : String(cutoffs ?? '').split(',');
+  const parsed = list
+    .map((entry) => Number.parseInt(String(entry).trim(), 10))
+    .filter((entry) => Number.isInteger(entry) && entry > 0);
+  return parsed.length > 0 ? [...new Set(parsed)].sort((a, b) => a - b) : [...DEFAULT_QA_CUTOFFS];
+}
+
+/**
+ * Normalise one query entry. `relevant` carries graded judgements (`{ urn, grade }`,
+ * grade >= 1); `expected` is shorthand for a list of URNs with grade 1.
+ */
+function normaliseQuery(entry, index) {
+  const label = entry?.id ?? `#${index + 1}`;
+  if (!entry || typeof entry.query !== 'string' || !entry.query.trim()) {
+    throw new Error(`Query ${label} is missing a "query" string.`);
+  }
+
+  const judgements = new Map();
+  for (const urn of Array.isArray(entry.expected) ? entry.expected : []) {
+    if (typeof urn === 'string' && urn.trim()) {
+      judgements.set(urn.trim(), 1);
+    }
+  }
+  for (const judgement of Array.isArray(entry.relevant) ? entry.relevant : []) {
+    const urn = typeof judgement === 'string' ? judgement : judgement?.urn;
+    const grade = typeof judgement === 'string' ? 1 : Number(judgement?.grade ?? 1);
+    if (typeof urn !== 'string' || !urn.trim()) {
+      throw new Error(`Query ${label} has a relevance judgement without a URN.`);
+    }
+    if (!Number.isFinite(grade) || grade < 0) {
+      throw new Error(`Query ${label} has an invalid grade for ${urn}.`);
+    }
+    if (grade > 0) {
+      judgements.set(urn.trim(), grade);
+    }
+  }
+
+  if (judgements.size === 0) {
+    throw new Error(`Query ${label} has no expected tool URNs.`);
+  }
+
+  return {
+    id: String(entry.id ?? `q${index + 1}`),
+    query: entry.query.trim(),
+    relevant: Object.fromEntries(judgements)
+  };
+}
+
+/**
+ * Validate and normalise a retrieval QA dataset document.
+ *
+ * @param {Object} document - Parsed dataset JSON.
+ * @param {Object} [options]
+ * @param {string} [options.source] - Path used in error messages.
+ * @returns {{ name: string, version: number, description: string|null, cutoffs: number[], queries: Object[] }}
+ */
+export function normaliseQaDataset(document, { source = 'dataset' } = {}) {
+  if (!document || typeof document !== 'object') {
+    throw new Error(`Retrieval QA dataset ${source} must be a JSON object.`);
+  }
+  if (document.version !== undefined && document.version !== DATASET_VERSION) {
+    throw new Error(`Retrieval QA dataset ${source} has unsupported version ${document.version}.`);
+  }
+  if (!Array.isArray(document.queries) || document.queries.length === 0) {
+    throw new Error(`Retrieval QA dataset ${source} must include a non-empty "queries" array.`);
+  }
+
+  const queries = document.queries.map(normaliseQuery);
+  const ids = new Set();
+  for (const query of queries) {
+    if (ids.has(query.id)) {
+      throw new Error(`Retrieval QA dataset ${source} repeats query id "${query.id}".`);
+    }
+    ids.add(query.id);
+  }
+
+  return {
+    name: document.name ?? path.basename(source, '.json'),
+    version: DATASET_VERSION,
+    description: document.description ?? null,
+    cutoffs: normaliseCutoffs(document.k),
+    queries
+  };
+}
+
+/**
+ * Resolve a dataset argument: an existing file path, or a name looked up as
+ * `<workspace>/app/config/retrieval-qa/<name>.json`.
+ */
+export function resolveQaDatasetPath(dataset = 'default', workspace = process.cwd()) {
+  const value = String(dataset);
+  if (value.endsWith('.json') || value.includes('/') || value.includes(path.sep)) {
+    return path.resolve(workspace, value);
+  }
+  return path.resolve(workspace, DEFAULT_QA_DATASET_DIR, `${value}.json`);
+}
+
+/**
+ * Default location of the stored baseline report for a dataset file.
+ */
+export function defaultBaselinePath(datasetPath) {
+  return datasetPath.replace(/\.json$/i, '') + '.baseline.json';
+}
+
+export async function loadQaDataset(datasetPath) {
+  let raw;
+  try {
+    raw = await fs.readFile(datasetPath, 'utf8');
+  } catch (error) {
+    if (error?.code === 'ENOENT') {
+      throw new Error(`Retrieval QA dataset not found: ${datasetPath}`);
+    }
+    throw error;
+  }
+  let parsed;
+  try {
+    parsed = JSON.parse(raw);
+  } catch (error) {
+    throw new Error(`Failed to parse retrieval QA dataset ${datasetPath}: ${error.message}`);
+  }
+  return normaliseQaDataset(parsed, { source: datasetPath });
+}
+
+export function recallAtK(ranked, relevant, k) {
+  const total = Object.keys(relevant).length;
+  if (total === 0) return 0;
+  const hits = ranked.slice(0, k).filter((urn) => relevant[urn] > 0).length;
+  return hits / total;
+}
+
+export function reciprocalRank(ranked, relevant) {
+  const index = ranked.findIndex((urn) => relevant[urn] > 0);
+  return index === -1 ? 0 : 1 / (index + 1);
+}
+
+function discountedGain(grades) {
+  return grades.reduce((total, grade, index) => total + (2 ** grade - 1) / Math.log2(index + 2), 0);
+}
+
+/**
+ * Graded nDCG@k with exponential gain (2^grade - 1).
+ */
+export function ndcgAtK(ranked, relevant, k) {
+  const ideal = discountedGain(Object.values(relevant).sort((a, b) => b - a).slice(0, k));
+  if (ideal === 0) return 0;
+  const actual = discountedGain(ranked.slice(0, k).map((urn) => relevant[urn] ?? 0));
+  return actual / ideal;
+}
+
+function scoreQuery(ranked, relevant, cutoffs) {
+  const recall = {};
+  const ndcg = {};
+  for (const k of cutoffs) {
+    recall[k] = round(recallAtK(ranked, relevant, k));
+    ndcg[k] = round(ndcgAtK(ranked, relevant, k));
+  }
+  return { reciprocalRank: round(reciprocalRank(ranked, relevant)), recall, ndcg };
+}
+
+/**
+ * Mean scores over every query. Queries whose search failed count as misses (score 0), so
+ * errors can never raise the aggregate.
+ */
+function aggregate(queryReports, cutoffs) {
+  const recall = {};
+  const ndcg = {};
+  for (const k of cutoffs) {
+    recall[k] = round(mean(queryReports.map((entry) => entry.metrics?.recall[k] ?? 0)));
+    ndcg[k] = round(mean(queryReports.map((entry) => entry.metrics?.ndcg[k] ?? 0)));
+  }
+  return {
+    queries: queryReports.length,
+    failed: queryReports.filter((entry) => entry.error).length,
+    mrr: round(mean(queryReports.map((entry) => entry.metrics?.reciprocalRank ?? 0))),
+    recall,
+    ndcg
+  };
+}
+
+/**
+ * Run every dataset query through the search service and score the ranked URNs.
+ *
+ * @param {Object} options
+ * @param {Object} options.dataset - Normalised dataset (see `normaliseQaDataset`).
+ * @param {Object} options.searchService - Object exposing `search({ query, limit })`
+ *   (normally `ToolHubSearchService`).
+ * @param {number[]|string} [options.cutoffs] - k values; defaults to the dataset's.
+ * @param {number} [options.limit] - Results requested per query; defaults to the largest k.
+ * @param {string} [options.datasetPath] - Recorded in the report for traceability.
+ * @returns {Promise<Object>} QA report.
+ */
+export async function runRetrievalQa({ dataset, searchService, cutoffs, limit, datasetPath = null }) {
+  if (!searchService || typeof searchService.search !== 'function') {
+    throw new Error('runRetrievalQa requires a search service with a search() method.');
+  }
+  const ks = cutoffs ? normaliseCutoffs(cutoffs) : dataset.cutoffs;
+  const requested = limit ?? Math.max(...ks);
+  const startedAt = new Date();
+
+  const queries = [];
+  for (const entry of dataset.queries) {
+    try {
+      const response = await searchService.search({ query: entry.query, limit: requested });
+      const ranked = (response?.results ?? [])
+        .map((result) => result?.urn ?? result?.tool_id ?? null)
+        .filter(Boolean);
+      const metrics = scoreQuery(ranked, entry.relevant, ks);
+      const firstRelevant = ranked.findIndex((urn) => entry.relevant[urn] > 0);
+      queries.push({
+        id: entry.id,
+        query: entry.query,
+        relevant: entry.relevant,
+        ranked,
+        firstRelevantRank: firstRelevant === -1 ? null : firstRelevant + 1,
+        missing: Object.keys(entry.relevant).filter((urn) => !ranked.includes(urn)),
+        metrics
+      });
+    } catch (error) {
+      queries.push({
+        id: entry.id,
+        query: entry.query,
+        relevant: entry.relevant,
+        ranked: [],
+        firstRelevantRank: null,
+        missing: Object.keys(entry.relevant),
+        metrics: scoreQuery([], entry.relevant, ks),
+        error: error?.message ?? String(error)
+      });
+    }
+  }
+
+  return {
+    version: REPORT_VERSION,
+    dataset: { name: dataset.name, path: datasetPath, queries: dataset.queries.length },
+    generatedAt: new Date().toISOString(),
+    durationMs: Date.now() - startedAt.getTime(),
+    cutoffs: ks,
+    limit: requested,
+    aggregate: aggregate(queries, ks),
+    queries
+  };
+}
+
+function metricEntries(summary) {
+  const entries = [['mrr', summary.mrr]];
+  for (const [k, value] of Object.entries(summary.recall ?? {})) entries.push([`recall@${k}`, value]);
+  for (const [k, value] of Object.entries(summary.ndcg ?? {})) entries.push([`ndcg@${k}`, value]);
+  return entries;
+}
+
+/**
+ * Compare a QA report against a stored baseline. Aggregate metrics that dropped by more
+ * than `tolerance`, and more failed queries than the baseline had, are regressions;
+ * per-query reciprocal-rank drops are listed so a regression can be traced back to the
+ * queries that caused it.
+ *
+ * @param {Object} baseline - Previously stored QA report.
+ * @param {Object} current - Fresh QA report.
+ * @param {Object} [options]
+ * @param {number} [options.tolerance=0.01] - Allowed absolute drop per metric.
+ * @returns {Object} Diff with `regressed`, `metrics`, `regressions`, `improvements` and `queries`.
+ */
+export function diffQaReports(baseline, current, { tolerance = DEFAULT_REGRESSION_TOLERANCE } = {}) {
+  const baselineMetrics = new Map(metricEntries(baseline.aggregate));
+  const metrics = [];
+  for (const [metric, value] of metricEntries(current.aggregate)) {
+    if (!baselineMetrics.has(metric)) continue;
+    const previous = baselineMetrics.get(metric);
+    const delta = round(value - previous);
+    const status = delta < -tolerance ? 'regressed' : delta > tolerance ? 'improved' : 'unchanged';
+    metrics.push({ metric, baseline: previous, current: value, delta, status });
+  }
+  const failedBefore = baseline.aggregate.failed ?? 0;
+  const failedNow = current.aggregate.failed ?? 0;
+  if (failedNow !== failedBefore || failedNow > 0) {
+    metrics.push({
+      metric: 'failed',
+      baseline: failedBefore,
+      current: failedNow,
+      delta: failedNow - failedBefore,
+      status: failedNow > failedBefore ? 'regressed' : failedNow < failedBefore ? 'improved' : 'unchanged'
+    });
+  }
+
+  const baselineQueries = new Map((baseline.queries ?? []).map((entry) => [entry.id, entry]));
+  const queries = [];
+  for (const entry of current.queries ?? []) {
+    const previous = baselineQueries.get(entry.id);
+    if (!previous) {
+      queries.push({ id: entry.id, status: 'added' });
+      continue;
+    }
+    const before = previous.metrics?.reciprocalRank ?? 0;
+    const after = entry.metrics?.reciprocalRank ?? 0;
+    const delta = round(after - before);
+    if (delta < -tolerance || delta > tolerance) {
+      queries.push({
+        id: entry.id,
+        status: delta < 0 ? 'regressed' : 'improved',
+        baselineRank: previous.firstRelevantRank ?? null,
+        currentRank: entry.firstRelevantRank ?? null,
+        delta
+      });
+    }
+    baselineQueries.delete(entry.id);
+  }
+  for (const id of baselineQueries.keys()) {
+    queries.push({ id, status: 'removed' });
+  }
+
+  const regressions = metrics.filter((entry) => entry.status === 'regressed');
+  return {
+    tolerance,
+    baselineGeneratedAt: baseline.generatedAt ?? null,
+    regressed: regressions.length > 0,
+    metrics,
+    regressions,
+    improvements: metrics.filter((entry) => entry.status === 'improved'),
+    queries
+  };
+}
+
+export async function readQaReport(reportPath) {
+  try {
+    return JSON.parse(await fs.readFile(reportPath, 'utf8'));
+  } catch (error) {
+    if (error?.code === 'ENOENT') {
+      return null;
+    }
+    throw new Error(`Failed to read retrieval QA report ${reportPath}: ${error.message}`);
+  }
+}
+
+export async function writeQaReport(reportPath, report) {
+  await fs.mkdir(path.dirname(reportPath), { recursive: true });
+  await fs.writeFile(reportPath, `${JSON.stringify(report, null, 2)}\n`, 'utf8');
+  return reportPath;
+}
+
+export default {
+  DEFAULT_QA_CUTOFFS,
+  normaliseQaDataset,
+  resolveQaDatasetPath,
+  defaultBaselinePath,
+  loadQaDataset,
+  recallAtK,
+  reciprocalRank,
+  ndcgAtK,
+  runRetrievalQa,
+  diffQaReports,
+  readQaReport,
+  writeQaReport
+};
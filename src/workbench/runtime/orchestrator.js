@@ -1,43 +1,79 @@
 #!/usr/bin/env node
 
 import { AgentRunner, AgentRunnerError } from './agent-runner.js';
+import WorkflowValidator from '../../../packages/runtime/workflow-library/validator.js';
+import { WorkflowExecutor } from '../../../packages/runtime/workflow-library/executor.js';
 
 function isParallelStep(step) {
   return Boolean(step && step.parallel);
 }
 
-function resolveValue(value, context) {
-  if (typeof value === 'string') {
-    const trimmed = value.trim();
-    const match = trimmed.match(/^{{\s*([^}]+)\s*}}$/);
-    if (match) {
-      const ref = match[1];
-      const record = context.get(ref);
-      return (record && record.output) ?? null;
-    }
-    return value;
-  }
+function toIdentifier(value, fallback) {
+  const identifier = String(value ?? '').replace(/[^A-Za-z0-9_-]+/g, '-').replace(/^-+|-+$/g, '');
+  return identifier || fallback;
+}
 
-  if (Array.isArray(value)) {
-    return value.map((item) => resolveValue(item, context));
-  }
+function toTaskStep(step, failFast) {
+  return {
+    stepId: step.id,
+    type: 'task',
+    onFailure: failFast ? 'fail' : 'continue',
+    ...(typeof step.timeoutMs === 'number' ? { timeout: Math.ceil(step.timeoutMs) } : {}),
+    task: {
+      action: step.agent,
+      inputs: { input: step.input, params: step.params }
+    }
+  };
+}
 
-  if (value && typeof value === 'object') {
-    const result = {};
-    for (const [key, nested] of Object.entries(value)) {
-      result[key] = resolveValue(nested, context);
+/**
+ * Translate a workbench workflow into a workflow-library definition. Agent steps become task
+ * steps (action = agent name) and parallel groups become parallel steps with one branch per agent.
+ */
+export function toWorkflowDefinition(workflow, options = {}) {
+  const steps = [];
+  workflow.steps.forEach((unit, index) => {
+    if (!isParallelStep(unit)) {
+      steps.push(toTaskStep(unit, options.failFast));
+      return;
     }
-    return result;
-  }
+    if (!Array.isArray(unit.parallel) || unit.parallel.length === 0) {
+      return;
+    }
+    steps.push({
+      stepId: toIdentifier(unit.id ?? unit.name, `parallel-${index + 1}`),
+      type: 'parallel',
+      onFailure: options.failFast ? 'fail' : 'continue',
+      ...(options.concurrency ? { concurrency: options.concurrency } : {}),
+      branches: unit.parallel.map((step) => ({
+        branchId: String(step.id),
+        steps: [toTaskStep(step, options.failFast)]
+      }))
+    });
+  });
 
-  return value;
+  return {
+    workflowId: toIdentifier(workflow.name, 'workbench-workflow'),
+    name: workflow.name || 'workbench-workflow',
+    version: '1.0.0',
+    ...(workflow.description ? { description: workflow.description } : {}),
+    steps
+  };
 }
 
-function cloneStepWithContext(step, context) {
+function failureRecord(step, message, durationMs) {
+  const completedAt = new Date();
   return {
-    ...step,
-    input: resolveValue(step.input, context),
-    params: step.params ? resolveValue(step.params, context) : undefined
+    id: step.id,
+    agent: step.agent,
+    status: 'error',
+    startedAt: new Date(completedAt.getTime() - durationMs).toISOString(),
+    completedAt: completedAt.toISOString(),
+    durationMs,
+    output: null,
+    metrics: { agent: step.agent },
+    logs: [],
+    error: { message }
   };
 }
 
@@ -100,6 +136,7 @@ export class WorkflowOrchestrator {
 
     const candidate = options.concurrencyLimit ?? this.runner.concurrencyLimit ?? 5;
     this.concurrencyLimit = Math.max(1, Math.min(candidate, this.runner.concurrencyLimit));
+    this.validator = options.validator ?? new WorkflowValidator();
   }
 
   async run(workflow, options = {}) {
@@ -107,13 +144,6 @@ export class WorkflowOrchestrator {
       throw new Error('Workflow must define at least one step');
     }
 
-    const context = new Map();
-    const runnerContext = {
-      results: new Map(),
-      metadata: workflow.metadata ?? {}
-    };
-    const steps = [];
-    const errors = [];
     const iteration = options.iteration ?? 1;
     const maxConcurrency = Math.max(
       1,
@@ -123,51 +153,101 @@ export class WorkflowOrchestrator {
       )
     );
 
-    const workflowStart = Date.now();
-    let currentOrder = 0;
-    let recordedMaxConcurrency = 1;
+    const definition = toWorkflowDefinition(workflow, {
+      failFast: options.failFast,
+      concurrency: maxConcurrency
+    });
+    const validation = this.validator.validate(definition);
+    if (!validation.valid) {
+      const details = validation.errors.map((error) => `${error.path}: ${error.message}`).join('; ');
+      throw new Error(`Workflow "${definition.name}" is invalid: ${details}`);
+    }
 
+    // Agent steps by ID, with the parallel group each one belongs to
+    const agentSteps = new Map();
     for (const unit of workflow.steps) {
       if (isParallelStep(unit)) {
-        const { records, errors: parallelErrors, peakConcurrency } = await this.runParallelGroup(
-          unit,
-          context,
-          runnerContext,
-          currentOrder,
-          maxConcurrency,
-          options.failFast
-        );
-        currentOrder += records.length;
-        recordedMaxConcurrency = Math.max(recordedMaxConcurrency, peakConcurrency);
-        for (const record of records) {
-          steps.push(record);
-          context.set(record.id, record);
-        }
-        errors.push(...parallelErrors);
-        if (options.failFast && parallelErrors.length > 0) {
-          break;
+        for (const step of unit.parallel) {
+          agentSteps.set(step.id, { step, group: unit.name ?? unit.id ?? 'parallel' });
         }
       } else {
-        const record = await this.runSingleStep(
-          unit,
-          context,
-          runnerContext,
-          currentOrder,
-          options.failFast
-        );
-        currentOrder += 1;
-        steps.push(record);
-        context.set(record.id, record);
-        if (record.status === 'error') {
-          errors.push(record);
-          if (options.failFast) {
-            break;
+        agentSteps.set(unit.id, { step: unit, group: null });
+      }
+    }
+
+    const runnerContext = {
+      results: new Map(),
+      metadata: workflow.metadata ?? {}
+    };
+    const records = new Map();
+    let active = 0;
+    let recordedMaxConcurrency = 1;
+
+    const recordStep = (id, result) => {
+      if (records.has(id)) {
+        return;
+      }
+      const { group } = agentSteps.get(id);
+      records.set(id, {
+        ...result,
+        metrics: { ...result.metrics },
+        logs: [...result.logs],
+        ...(group ? { group } : {}),
+        order: records.size
+      });
+    };
+
+    const executor = new WorkflowExecutor({
+      maxConcurrency,
+      taskExecutor: async (agent, inputs, executionContext, taskStep) => {
+        const { step } = agentSteps.get(taskStep.stepId);
+        active += 1;
+        recordedMaxConcurrency = Math.max(recordedMaxConcurrency, active);
+
+        let result;
+        try {
+          result = await this.runner.run(
+            { ...step, input: inputs.input, params: inputs.params },
+            runnerContext,
+            { failFast: options.failFast }
+          );
+        } catch (error) {
+          if (!(error instanceof AgentRunnerError && error.result)) {
+            throw error;
           }
+          result = error.result;
+        } finally {
+          active -= 1;
         }
+
+        recordStep(step.id, result);
+        if (result.status === 'error') {
+          throw new Error(result.error?.message ?? `Agent step "${step.id}" failed`);
+        }
+        return result.output;
       }
-    }
+    });
+
+    // Steps that failed before reaching the agent (unknown agent, timeout) still get a record
+    executor.on('step:failed', ({ stepId, error, duration }) => {
+      if (agentSteps.has(stepId) && !records.has(stepId)) {
+        recordStep(stepId, failureRecord(agentSteps.get(stepId).step, error, duration));
+      }
+    });
 
+    const workflowStart = Date.now();
+    try {
+      await executor.execute(definition, {});
+    } catch (error) {
+      // With failFast the executor stops at the first failed step; the records explain why
+      if (!error.executionContext) {
+        throw error;
+      }
+    }
     const workflowEnd = Date.now();
+
+    const steps = [...records.values()];
+    const errors = steps.filter((record) => record.status === 'error');
     const metrics = computeMetrics(steps, workflowEnd - workflowStart, recordedMaxConcurrency);
 
     return {
@@ -183,115 +263,6 @@ export class WorkflowOrchestrator {
       errors
     };
   }
-
-  async runSingleStep(step, context, runnerContext, order, failFast = false) {
-    const resolved = cloneStepWithContext(step, context);
-
-    try {
-      const result = await this.runner.run(resolved, runnerContext, { failFast });
-
-      return {
-        ...result,
-        metrics: { ...result.metrics },
-        logs: [...result.logs],
-        order
-      };
-    } catch (error) {
-      if (error instanceof AgentRunnerError && error.result) {
-        return {
-          ...error.result,
-          metrics: { ...error.result.metrics },
-          logs: [...error.result.logs],
-          order
-        };
-      }
-
-      return {
-        id: step.id,
-        agent: step.agent,
-        status: 'error',
-        startedAt: new Date().toISOString(),
-        completedAt: new Date().toISOString(),
-        durationMs: 0,
-        output: null,
-        metrics: { agent: step.agent },
-        logs: [],
-        error: {
-          message: error instanceof Error ? error.message : String(error),
-          stack: error instanceof Error ? error.stack : undefined
-        },
-        order
-      };
-    }
-  }
-
-  async runParallelGroup(
-    group,
-    context,
-    runnerContext,
-    startingOrder,
-    concurrencyLimit,
-    failFast = false
-  ) {
-    if (!Array.isArray(group.parallel) || group.parallel.length === 0) {
-      return { records: [], errors: [], peakConcurrency: 1 };
-    }
-
-    const queue = [...group.parallel];
-    const records = [];
-    const errors = [];
-    let active = 0;
-    let peakConcurrency = 1;
-    let order = startingOrder;
-    let aborted = false;
-
-    const runNext = async () => {
-      if (aborted) {
-        return;
-      }
-
-      const next = queue.shift();
-      if (!next) {
-        return;
-      }
-
-      active += 1;
-      peakConcurrency = Math.max(peakConcurrency, active);
-
-      try {
-        const record = await this.runSingleStep(next, context, runnerContext, order, failFast);
-        order += 1;
-        records.push(record);
-        if (record.status === 'error') {
-          errors.push(record);
-          if (failFast) {
-            aborted = true;
-          }
-        }
-      } finally {
-        active -= 1;
-      }
-
-      if (!aborted) {
-        await runNext();
-      }
-    };
-
-    const workers = [];
-    const workerCount = Math.min(concurrencyLimit, queue.length);
-    for (let i = 0; i < workerCount; i += 1) {
-      workers.push(runNext());
-    }
-
-    await Promise.all(workers);
-
-    for (const record of records) {
-      record.group = group.name ?? group.id ?? 'parallel';
-      context.set(record.id, record);
-    }
-
-    return { records, errors, peakConcurrency };
-  }
 }
 
 export default WorkflowOrchestrator;
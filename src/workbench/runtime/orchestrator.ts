@@ -1,6 +1,8 @@
 #!/usr/bin/env node
 
 import { AgentRunner, AgentRunnerError } from './agent-runner.js';
+import WorkflowValidator from '../../../packages/runtime/workflow-library/validator.js';
+import { WorkflowExecutor } from '../../../packages/runtime/workflow-library/executor.js';
 import type { AgentRuntimeContext, AgentResult } from './agent-runner.js';
 
 export interface AgentStepLike {
@@ -90,45 +92,111 @@ export interface WorkflowOrchestratorOptions {
   runner?: AgentRunner;
   concurrencyLimit?: number;
   runnerOptions?: ConstructorParameters<typeof AgentRunner>[0];
+  validator?: WorkflowValidator;
+}
+
+export interface LibraryTaskStep {
+  stepId: string;
+  type: 'task';
+  onFailure: 'fail' | 'continue';
+  timeout?: number;
+  task: {
+    action: string;
+    inputs: { input?: unknown; params?: Record<string, unknown> };
+  };
+}
+
+export interface LibraryWorkflowDefinition {
+  workflowId: string;
+  name: string;
+  version: string;
+  description?: string;
+  steps: Array<
+    | LibraryTaskStep
+    | {
+        stepId: string;
+        type: 'parallel';
+        onFailure: 'fail' | 'continue';
+        concurrency?: number;
+        branches: Array<{ branchId: string; steps: LibraryTaskStep[] }>;
+      }
+  >;
 }
 
 function isParallelStep(step: WorkflowUnit): step is ParallelWorkflowStep {
   return Boolean((step as ParallelWorkflowStep).parallel);
 }
 
-function resolveValue(value: unknown, context: Map<string, StepExecutionRecord>): unknown {
-  if (typeof value === 'string') {
-    const trimmed = value.trim();
-    const match = trimmed.match(/^{{\s*([^}]+)\s*}}$/);
-    if (match) {
-      const ref = match[1];
-      const record = context.get(ref);
-      return record?.output ?? null;
-    }
-    return value;
-  }
+function toIdentifier(value: unknown, fallback: string): string {
+  const identifier = String(value ?? '').replace(/[^A-Za-z0-9_-]+/g, '-').replace(/^-+|-+$/g, '');
+  return identifier || fallback;
+}
 
-  if (Array.isArray(value)) {
-    return value.map((item) => resolveValue(item, context));
-  }
+function toTaskStep(step: AgentStepLike, failFast?: boolean): LibraryTaskStep {
+  return {
+    stepId: step.id,
+    type: 'task',
+    onFailure: failFast ? 'fail' : 'continue',
+    ...(typeof step.timeoutMs === 'number' ? { timeout: Math.ceil(step.timeoutMs) } : {}),
+    task: {
+      action: step.agent,
+      inputs: { input: step.input, params: step.params }
+    }
+  };
+}
 
-  if (value && typeof value === 'object') {
-    const result: Record<string, unknown> = {};
-    for (const [key, nested] of Object.entries(value)) {
-      result[key] = resolveValue(nested, context);
+/**
+ * Translate a workbench workflow into a workflow-library definition. Agent steps become task
+ * steps (action = agent name) and parallel groups become parallel steps with one branch per agent.
+ */
+export function toWorkflowDefinition(
+  workflow: WorkflowDefinition,
+  options: { failFast?: boolean; concurrency?: number } = {}
+): LibraryWorkflowDefinition {
+  const steps: LibraryWorkflowDefinition['steps'] = [];
+  workflow.steps.forEach((unit, index) => {
+    if (!isParallelStep(unit)) {
+      steps.push(toTaskStep(unit, options.failFast));
+      return;
     }
-    return result;
-  }
+    if (!Array.isArray(unit.parallel) || unit.parallel.length === 0) {
+      return;
+    }
+    steps.push({
+      stepId: toIdentifier(unit.id ?? unit.name, `parallel-${index + 1}`),
+      type: 'parallel',
+      onFailure: options.failFast ? 'fail' : 'continue',
+      ...(options.concurrency ? { concurrency: options.concurrency } : {}),
+      branches: unit.parallel.map((step) => ({
+        branchId: String(step.id),
+        steps: [toTaskStep(step, options.failFast)]
+      }))
+    });
+  });
 
-  return value;
+  return {
+    workflowId: toIdentifier(workflow.name, 'workbench-workflow'),
+    name: workflow.name || 'workbench-workflow',
+    version: '1.0.0',
+    ...(workflow.description ? { description: workflow.description } : {}),
+    steps
+  };
 }
 
-function cloneStepWithContext(step: AgentStepLike, context: Map<string, StepExecutionRecord>) {
+function failureRecord(step: AgentStepLike, message: string, durationMs: number): AgentResult {
+  const completedAt = new Date();
   return {
-    ...step,
-    input: resolveValue(step.input, context),
-    params: step.params ? resolveValue(step.params, context) : undefined
-  };
+    id: step.id,
+    agent: step.agent,
+    status: 'error',
+    startedAt: new Date(completedAt.getTime() - durationMs).toISOString(),
+    completedAt: completedAt.toISOString(),
+    durationMs,
+    output: null,
+    metrics: { agent: step.agent },
+    logs: [],
+    error: { message }
+  } as AgentResult;
 }
 
 function computePercentile(values: number[], percentile: number): number {
@@ -182,6 +250,7 @@ function computeMetrics(records: StepExecutionRecord[], totalDurationMs: number,
 export class WorkflowOrchestrator {
   private runner: AgentRunner;
   private concurrencyLimit: number;
+  private validator: WorkflowValidator;
 
   constructor(options: WorkflowOrchestratorOptions = {}) {
     this.runner =
@@ -193,6 +262,7 @@ export class WorkflowOrchestrator {
 
     const candidate = options.concurrencyLimit ?? this.runner.concurrencyLimit ?? 5;
     this.concurrencyLimit = Math.max(1, Math.min(candidate, this.runner.concurrencyLimit));
+    this.validator = options.validator ?? new WorkflowValidator();
   }
 
   async run(workflow: WorkflowDefinition, options: WorkflowRunOptions = {}): Promise<WorkflowRunSummary> {
@@ -200,13 +270,6 @@ export class WorkflowOrchestrator {
       throw new Error('Workflow must define at least one step');
     }
 
-    const context = new Map<string, StepExecutionRecord>();
-    const runnerContext: AgentRuntimeContext = {
-      results: new Map<string, AgentResult>(),
-      metadata: workflow.metadata ?? {}
-    };
-    const steps: StepExecutionRecord[] = [];
-    const errors: StepExecutionRecord[] = [];
     const iteration = options.iteration ?? 1;
     const maxConcurrency = Math.max(
       1,
@@ -216,48 +279,108 @@ export class WorkflowOrchestrator {
       )
     );
 
-    const workflowStart = Date.now();
-    let currentOrder = 0;
-    let recordedMaxConcurrency = 1;
+    const definition = toWorkflowDefinition(workflow, {
+      failFast: options.failFast,
+      concurrency: maxConcurrency
+    });
+    const validation = this.validator.validate(definition);
+    if (!validation.valid) {
+      const details = validation.errors
+        .map((error: { path: string; message: string }) => `${error.path}: ${error.message}`)
+        .join('; ');
+      throw new Error(`Workflow "${definition.name}" is invalid: ${details}`);
+    }
 
+    // Agent steps by ID, with the parallel group each one belongs to
+    const agentSteps = new Map<string, { step: AgentStepLike; group: string | null }>();
     for (const unit of workflow.steps) {
       if (isParallelStep(unit)) {
-        const { records, errors: parallelErrors, peakConcurrency } = await this.runParallelGroup(
-          unit,
-          context,
-          runnerContext,
-          currentOrder,
-          maxConcurrency,
-          options.failFast
-        );
-        currentOrder += records.length;
-        recordedMaxConcurrency = Math.max(recordedMaxConcurrency, peakConcurrency);
-        for (const record of records) {
-          steps.push(record);
-          context.set(record.id, record);
+        for (const step of unit.parallel) {
+          agentSteps.set(step.id, { step, group: unit.name ?? unit.id ?? 'parallel' });
         }
-        errors.push(...parallelErrors);
       } else {
-        const record = await this.runSingleStep(
-          unit,
-          context,
-          runnerContext,
-          currentOrder,
-          options.failFast
-        );
-        currentOrder += 1;
-        steps.push(record);
-        context.set(record.id, record);
-        if (record.status === 'error') {
-          errors.push(record);
-          if (options.failFast) {
-            break;
+        agentSteps.set(unit.id, { step: unit, group: null });
+      }
+    }
+
+    const runnerContext: AgentRuntimeContext = {
+      results: new Map<string, AgentResult>(),
+      metadata: workflow.metadata ?? {}
+    };
+    const records = new Map<string, StepExecutionRecord>();
+    let active = 0;
+    let recordedMaxConcurrency = 1;
+
+    const recordStep = (id: string, result: AgentResult) => {
+      if (records.has(id)) {
+        return;
+      }
+      const { group } = agentSteps.get(id)!;
+      records.set(id, {
+        ...result,
+        metrics: { ...result.metrics },
+        logs: [...result.logs],
+        ...(group ? { group } : {}),
+        order: records.size
+      });
+    };
+
+    const executor = new WorkflowExecutor({
+      maxConcurrency,
+      taskExecutor: async (
+        _agent: string,
+        inputs: { input?: unknown; params?: Record<string, unknown> },
+        _executionContext: unknown,
+        taskStep: { stepId: string }
+      ) => {
+        const { step } = agentSteps.get(taskStep.stepId)!;
+        active += 1;
+        recordedMaxConcurrency = Math.max(recordedMaxConcurrency, active);
+
+        let result: AgentResult;
+        try {
+          result = await this.runner.run(
+            { ...step, input: inputs.input, params: inputs.params },
+            runnerContext,
+            { failFast: options.failFast }
+          );
+        } catch (error) {
+          if (!(error instanceof AgentRunnerError && error.result)) {
+            throw error;
           }
+          result = error.result;
+        } finally {
+          active -= 1;
         }
+
+        recordStep(step.id, result);
+        if (result.status === 'error') {
+          throw new Error(result.error?.message ?? `Agent step "${step.id}" failed`);
+        }
+        return result.output;
       }
-    }
+    });
+
+    // Steps that failed before reaching the agent (unknown agent, timeout) still get a record
+    executor.on('step:failed', ({ stepId, error, duration }: { stepId: string; error: string; duration: number }) => {
+      if (agentSteps.has(stepId) && !records.has(stepId)) {
+        recordStep(stepId, failureRecord(agentSteps.get(stepId)!.step, error, duration));
+      }
+    });
 
+    const workflowStart = Date.now();
+    try {
+      await executor.execute(definition, {});
+    } catch (error) {
+      // With failFast the executor stops at the first failed step; the records explain why
+      if (!(error as { executionContext?: unknown }).executionContext) {
+        throw error;
+      }
+    }
     const workflowEnd = Date.now();
+
+    const steps = [...records.values()];
+    const errors = steps.filter((record) => record.status === 'error');
     const metrics = computeMetrics(steps, workflowEnd - workflowStart, recordedMaxConcurrency);
 
     return {
@@ -273,128 +396,6 @@ export class WorkflowOrchestrator {
       errors
     };
   }
-
-  private async runSingleStep(
-    step: AgentStepLike,
-    context: Map<string, StepExecutionRecord>,
-    order: number,
-    runnerContext: AgentRuntimeContext,
-    failFast = false
-  ): Promise<StepExecutionRecord> {
-    const resolved = cloneStepWithContext(step, context);
-
-    try {
-      const result = await this.runner.run(resolved, runnerContext, { failFast });
-
-      return {
-        ...result,
-        metrics: { ...result.metrics },
-        logs: [...result.logs],
-        order
-      };
-    } catch (error) {
-      if (error instanceof AgentRunnerError && error.result) {
-        return {
-          ...error.result,
-          metrics: { ...error.result.metrics },
-          logs: [...error.result.logs],
-          order
-        };
-      }
-
-      const fallback = {
-        id: step.id,
-        agent: step.agent,
-        status: 'error' as const,
-        startedAt: new Date().toISOString(),
-        completedAt: new Date().toISOString(),
-        durationMs: 0,
-        output: null,
-        metrics: { agent: step.agent },
-        logs: [],
-        error: {
-          message: error instanceof Error ? error.message : String(error),
-          stack: error instanceof Error ? error.stack : undefined
-        },
-        order
-      };
-
-      return fallback;
-    }
-  }
-
-  private async runParallelGroup(
-    group: ParallelWorkflowStep,
-    context: Map<string, StepExecutionRecord>,
-    runnerContext: AgentRuntimeContext,
-    startingOrder: number,
-    concurrencyLimit: number,
-    failFast = false
-  ): Promise<{
-    records: StepExecutionRecord[];
-    errors: StepExecutionRecord[];
-    peakConcurrency: number;
-  }> {
-    if (!Array.isArray(group.parallel) || group.parallel.length === 0) {
-      return { records: [], errors: [], peakConcurrency: 1 };
-    }
-
-    const queue = [...group.parallel];
-    const records: StepExecutionRecord[] = [];
-    const errors: StepExecutionRecord[] = [];
-    let active = 0;
-    let peakConcurrency = 1;
-    let order = startingOrder;
-    let aborted = false;
-
-    const runNext = async (): Promise<void> => {
-      if (aborted) {
-        return;
-      }
-
-      const next = queue.shift();
-      if (!next) {
-        return;
-      }
-
-      active += 1;
-      peakConcurrency = Math.max(peakConcurrency, active);
-
-      try {
-        const record = await this.runSingleStep(next, context, runnerContext, order, failFast);
-        order += 1;
-        records.push(record);
-        if (record.status === 'error') {
-          errors.push(record);
-          if (failFast) {
-            aborted = true;
-          }
-        }
-      } finally {
-        active -= 1;
-      }
-
-      if (!aborted) {
-        await runNext();
-      }
-    };
-
-    const workers: Promise<void>[] = [];
-    const workerCount = Math.min(concurrencyLimit, queue.length);
-    for (let i = 0; i < workerCount; i += 1) {
-      workers.push(runNext());
-    }
-
-    await Promise.all(workers);
-
-    // Annotate group name for downstream reporting.
-    for (const record of records) {
-      record.group = group.name ?? group.id ?? 'parallel';
-      context.set(record.id, record);
-    }
-
-    return { records, errors, peakConcurrency };
-  }
 }
 
 export default WorkflowOrchestrator;
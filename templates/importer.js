@@ -5,7 +5,14 @@ import { BaseImporter } from '../../../../packages/runtime/importers/base-import
  * Generated on {{timestamp}}
  */
 export class {{className}}Importer extends BaseImporter {
-  constructor() {}
+  // Registry metadata for `sch discover` (see app/config/importers.config.json)
+  static id = '{{importerId}}';
+  static manifestType = '{{type}}';
+
+  constructor(options = {}) {
+    super();
+    this.options = options;
+  }
 
   /**
    * Detect if a file or data source matches this protocol
@@ -0,0 +1,288 @@
+import { afterEach, describe, expect, it } from '@jest/globals';
+import request from 'supertest';
+
+import {
+  API_KEY,
+  BASE_CARD,
+  KEY_ID,
+  cleanupRegistryTestContexts,
+  createRegistryTestContext,
+  registerManifest,
+} from './helpers/registry-context.mjs';
+import { decodeSignedPayload, verifyJws } from '../../app/libs/signing/jws.mjs';
+import { RegistryChangeFeed } from '../../packages/runtime/registry/change-feed.mjs';
+import { getDeliveryCursor } from '../../packages/runtime/registry/repository.mjs';
+
+const INVOICES = 'urn:agent:billing:invoices';
+const REFUNDS = 'urn:agent:billing:refunds';
+const SEARCH = 'urn:agent:catalog:search';
+
+const manifestVersion = (version) => ({ ...JSON.parse(JSON.stringify(BASE_CARD)), version });
+
+const changes = (app, query = {}) =>
+  request(app).get('/v1/changes').query(query).set('X-API-Key', API_KEY);
+
+const feeds = [];
+
+async function createContext(overrides = {}) {
+  const context = await createRegistryTestContext({ rateLimit: { max: 100 }, ...overrides });
+  feeds.push(context.app.get('changeFeed'));
+  return context;
+}
+
+async function publishActivity(app) {
+  await registerManifest(app, { urn: INVOICES, manifest: manifestVersion('1.0.0') });
+  await registerManifest(app, { urn: REFUNDS, manifest: manifestVersion('1.0.0') });
+  await registerManifest(app, { urn: INVOICES, manifest: manifestVersion('1.1.0') });
+  await request(app)
+    .patch(`/v1/registry/${encodeURIComponent(REFUNDS)}`)
+    .set('X-API-Key', API_KEY)
+    .send({ state: 'deprecated' })
+    .expect(200);
+  await request(app)
+    .delete(`/v1/registry/${encodeURIComponent(REFUNDS)}`)
+    .set('X-API-Key', API_KEY)
+    .send({ reason: 'Retired' })
+    .expect(200);
+}
+
+async function waitFor(predicate, timeoutMs = 3000) {
+  const deadline = Date.now() + timeoutMs;
+  while (!(await predicate())) {
+    if (Date.now() > deadline) {
+      throw new Error('Timed out waiting for condition.');
+    }
+    // eslint-disable-next-line no-await-in-loop
+    await new Promise((resolve) => setTimeout(resolve, 20));
+  }
+}
+
+afterEach(async () => {
+  await Promise.all(feeds.splice(0).map((feed) => feed.stop()));
+  await cleanupRegistryTestContexts();
+});
+
+describe('registry change feed', () => {
+  it('lists publishes, lifecycle changes and tombstones in commit order', async () => {
+    const { app } = await createContext();
+    await publishActivity(app);
+
+    const response = await changes(app).expect(200);
+    expect(response.body.changes.map((change) => [change.urn, change.type, change.state])).toEqual([
+      [INVOICES, 'published', null],
+      [REFUNDS, 'published', null],
+      [INVOICES, 'published', null],
+      [REFUNDS, 'lifecycle', 'deprecated'],
+      [REFUNDS, 'deleted', 'tombstoned'],
+    ]);
+    expect(response.body.changes[2]).toEqual(
+      expect.objectContaining({ revision: 2, digest: expect.any(String), seq: expect.any(Number) }),
+    );
+    expect(response.body.has_more).toBe(false);
+    expect(response.body.next_cursor).toBe(String(response.body.changes[4].seq));
+
+    const republished = await registerManifest(app, { urn: INVOICES, manifest: manifestVersion('1.1.0') });
+    expect(republished.status).toBe(200);
+    const unchanged = await changes(app, { since: response.body.next_cursor }).expect(200);
+    expect(unchanged.body.changes).toEqual([]);
+    expect(unchanged.body.next_cursor).toBe(response.body.next_cursor);
+  });
+
+  it('pages with cursors, filters by URN prefix and validates input', async () => {
+    const { app } = await createContext();
+    await publishActivity(app);
+    await registerManifest(app, { urn: SEARCH, manifest: manifestVersion('1.0.0') });
+
+    const first = await changes(app, { limit: 2 }).expect(200);
+    expect(first.body.changes).toHaveLength(2);
+    expect(first.body.has_more).toBe(true);
+    const second = await changes(app, { since: first.body.next_cursor, limit: 10 }).expect(200);
+    expect(second.body.changes.map((change) => change.urn)).toEqual([INVOICES, REFUNDS, REFUNDS, SEARCH]);
+
+    const catalog = await changes(app, { urn_prefix: 'urn:agent:catalog:' }).expect(200);
+    expect(catalog.body.changes.map((change) => change.urn)).toEqual([SEARCH]);
+
+    const invalid = await changes(app, { since: 'yesterday' }).expect(400);
+    expect(invalid.body.error).toBe('invalid_cursor');
+    await changes(app, { limit: 0 }).expect(400);
+  });
+
+  it('streams changes as server-sent events and resumes from Last-Event-ID', async () => {
+    const { app } = await createContext({ changeFeed: { pollIntervalMs: 25 } });
+    await registerManifest(app, { urn: INVOICES, manifest: manifestVersion('1.0.0') });
+    const { body } = await changes(app).expect(200);
+    const resumeFrom = body.next_cursor;
+
+    const server = app.listen(0);
+    const controller = new AbortController();
+    try {
+      const response = await fetch(`http://127.0.0.1:${server.address().port}/v1/changes/stream`, {
+        headers: { 'X-API-Key': API_KEY, 'Last-Event-ID': resumeFrom },
+        signal: controller.signal,
+      });
+      expect(response.status).toBe(200);
+      expect(response.headers.get('content-type')).toContain('text/event-stream');
+
+      await registerManifest(app, { urn: REFUNDS, manifest: manifestVersion('1.0.0') });
+
+      const reader = response.body.getReader();
+      const decoder = new TextDecoder();
+      let text = '';
+      while (!text.includes('event: change')) {
+        // eslint-disable-next-line no-await-in-loop
+        const chunk = await reader.read();
+        if (chunk.done) break;
+        text += decoder.decode(chunk.value);
+      }
+      const event = text.split('\n\n').find((block) => block.includes('event: change'));
+      const id = /^id: (\d+)$/m.exec(event)[1];
+      const data = JSON.parse(/^data: (.*)$/m.exec(event)[1]);
+      expect(Number(id)).toBeGreaterThan(Number(resumeFrom));
+      expect(data).toEqual(expect.objectContaining({ urn: REFUNDS, type: 'published', seq: Number(id) }));
+    } finally {
+      controller.abort();
+      await app.get('changeFeed').stop();
+      await new Promise((resolve) => server.close(resolve));
+    }
+  });
+
+  it('delivers signed webhook batches and retries transient failures', async () => {
+    const deliveries = [];
+    let attempts = 0;
+    const fetchImpl = async (url, init) => {
+      attempts += 1;
+      if (attempts === 1) {
+        return { ok: false, status: 503 };
+      }
+      deliveries.push({ url, headers: init.headers, envelope: JSON.parse(init.body) });
+      return { ok: true, status: 202 };
+    };
+    const context = await createContext();
+    const { app, privateKeyPem, publicKeyPem } = context;
+    const feed = app.get('changeFeed');
+    await feed.stop();
+
+    const webhookFeed = new RegistryChangeFeed(app.get('db'), {
+      pollIntervalMs: 25,
+      webhooks: [
+        {
+          id: 'billing',
+          url: 'https://hooks.example.test/registry',
+          urnPrefix: 'urn:agent:billing:',
+          events: ['published', 'deleted'],
+          startFrom: 'beginning',
+        },
+      ],
+      signing: { privateKey: privateKeyPem, keyId: KEY_ID },
+      retry: { maxRetries: 2, baseDelay: 5, maxDelay: 10, jitter: false },
+      fetchImpl,
+      logger: { warn: () => {} },
+    });
+    feeds.push(webhookFeed);
+
+    await publishActivity(app);
+    await registerManifest(app, { urn: SEARCH, manifest: manifestVersion('1.0.0') });
+    webhookFeed.start();
+    await waitFor(async () => {
+      const cursor = await getDeliveryCursor(app.get('db'), 'billing');
+      return cursor?.last_seq === 5;
+    });
+
+    expect(attempts).toBeGreaterThanOrEqual(2);
+    const [delivery] = deliveries;
+    expect(delivery.url).toBe('https://hooks.example.test/registry');
+    expect(delivery.headers['X-Registry-Event']).toBe('registry.changes');
+    expect(verifyJws(delivery.envelope, { publicKey: publicKeyPem, keyId: KEY_ID }).valid).toBe(true);
+
+    const delivered = deliveries.flatMap(({ envelope }) => decodeSignedPayload(envelope).changes);
+    expect(delivered.map((change) => [change.urn, change.type])).toEqual([
+      [INVOICES, 'published'],
+      [REFUNDS, 'published'],
+      [INVOICES, 'published'],
+      [REFUNDS, 'deleted'],
+    ]);
+    expect((await webhookFeed.status()).webhooks[0]).toEqual(
+      expect.objectContaining({ id: 'billing', last_error: null }),
+    );
+  });
+
+  it('keeps the webhook cursor in place when delivery is rejected', async () => {
+    const { app, privateKeyPem } = await createContext();
+    await app.get('changeFeed').stop();
+    const webhookFeed = new RegistryChangeFeed(app.get('db'), {
+      webhooks: [{ id: 'strict', url: 'https://hooks.example.test/strict', startFrom: 'beginning' }],
+      signing: { privateKey: privateKeyPem, keyId: KEY_ID },
+      retry: { maxRetries: 3, baseDelay: 5, jitter: false },
+      fetchImpl: async () => ({ ok: false, status: 400 }),
+      logger: { warn: () => {} },
+    });
+    feeds.push(webhookFeed);
+    await registerManifest(app, { urn: INVOICES, manifest: manifestVersion('1.0.0') });
+
+    await webhookFeed.deliverWebhook(webhookFeed.webhooks[0]);
+    const cursor = await getDeliveryCursor(app.get('db'), 'strict');
+    expect(cursor).toEqual(expect.objectContaining({ last_seq: 0, last_error: 'Webhook responded with HTTP 400' }));
+
+    expect(() => new RegistryChangeFeed(app.get('db'), { webhooks: [{ url: 'https://hooks.example.test' }] })).toThrow(
+      /signing/,
+    );
+  });
+
+  it('waits for in-flight webhook deliveries when stopped', async () => {
+    const { app, privateKeyPem } = await createContext();
+    await app.get('changeFeed').stop();
+    let release;
+    const released = new Promise((resolve) => {
+      release = resolve;
+    });
+    let posted = false;
+    const webhookFeed = new RegistryChangeFeed(app.get('db'), {
+      webhooks: [{ id: 'slow', url: 'https://hooks.example.test/slow', startFrom: 'beginning' }],
+      signing: { privateKey: privateKeyPem, keyId: KEY_ID },
+      fetchImpl: async () => {
+        posted = true;
+        await released;
+        return { ok: true, status: 200 };
+      },
+      logger: { warn: () => {} },
+    });
+    feeds.push(webhookFeed);
+    await registerManifest(app, { urn: INVOICES, manifest: manifestVersion('1.0.0') });
+
+    webhookFeed.start();
+    await waitFor(() => posted);
+    let stopped = false;
+    const stopping = webhookFeed.stop().then(() => {
+      stopped = true;
+    });
+    await new Promise((resolve) => setTimeout(resolve, 50));
+    expect(stopped).toBe(false);
+
+    release();
+    await stopping;
+    const cursor = await getDeliveryCursor(app.get('db'), 'slow');
+    expect(cursor.last_seq).toBeGreaterThan(0);
+    expect(webhookFeed.webhooks[0].inFlight).toBeNull();
+  });
+
+  it('logs webhook delivery failures outside the retry loop instead of rejecting', async () => {
+    const { privateKeyPem } = await createContext();
+    const failingDb = new Proxy({}, {
+      get: () => async () => {
+        throw new Error('database is closed');
+      },
+    });
+    const warnings = [];
+    const webhookFeed = new RegistryChangeFeed(failingDb, {
+      webhooks: [{ id: 'broken', url: 'https://hooks.example.test/broken' }],
+      signing: { privateKey: privateKeyPem, keyId: KEY_ID },
+      fetchImpl: async () => ({ ok: true, status: 200 }),
+      logger: { warn: (message) => warnings.push(message) },
+    });
+
+    await webhookFeed.tick();
+    await webhookFeed.stop();
+
+    expect(warnings).toEqual([expect.stringContaining('Change webhook broken delivery aborted: database is closed')]);
+  });
+});
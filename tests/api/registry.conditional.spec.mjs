@@ -0,0 +1,116 @@
+import { afterEach, describe, expect, it } from '@jest/globals';
+import request from 'supertest';
+
+import {
+  API_KEY,
+  BASE_CARD,
+  cleanupRegistryTestContexts,
+  createRegistryTestContext,
+  registerManifest,
+} from './helpers/registry-context.mjs';
+import { upsertManifest } from '../../packages/runtime/registry/repository.mjs';
+
+const URN = 'urn:agent:billing:invoices';
+const encodedUrn = encodeURIComponent(URN);
+
+function manifestVersion(version) {
+  return { ...JSON.parse(JSON.stringify(BASE_CARD)), version };
+}
+
+const put = (app, version, headers = {}) => {
+  let call = request(app)
+    .put(`/v1/registry/${encodedUrn}`)
+    .set('X-API-Key', API_KEY)
+    .set('Content-Type', 'application/json');
+  for (const [name, value] of Object.entries(headers)) {
+    call = call.set(name, value);
+  }
+  return call.send({ manifest: manifestVersion(version), issuer: 'test-key' });
+};
+
+const get = (app, headers = {}) => {
+  let call = request(app).get(`/v1/registry/${encodedUrn}`).set('X-API-Key', API_KEY);
+  for (const [name, value] of Object.entries(headers)) {
+    call = call.set(name, value);
+  }
+  return call;
+};
+
+afterEach(async () => {
+  await cleanupRegistryTestContexts();
+});
+
+describe('registry conditional requests', () => {
+  it('returns the manifest digest as a strong ETag on PUT and GET', async () => {
+    const { app } = await createRegistryTestContext({ rateLimit: { max: 100 } });
+
+    const created = await registerManifest(app, { urn: URN });
+    expect(created.status).toBe(200);
+    expect(created.headers.etag).toBe(`"${created.body.digest}"`);
+
+    const fetched = await get(app).expect(200);
+    expect(fetched.headers.etag).toBe(`"${created.body.digest}"`);
+  });
+
+  it('answers GET If-None-Match with 304 until the manifest changes', async () => {
+    const { app } = await createRegistryTestContext({ rateLimit: { max: 100 } });
+    const created = await put(app, '1.0.0').expect(200);
+    const etag = created.headers.etag;
+
+    const unchanged = await get(app, { 'If-None-Match': etag }).expect(304);
+    expect(unchanged.headers.etag).toBe(etag);
+    expect(unchanged.text).toBe('');
+
+    await put(app, '1.1.0').expect(200);
+    const changed = await get(app, { 'If-None-Match': etag }).expect(200);
+    expect(changed.body.body.version).toBe('1.1.0');
+  });
+
+  it('rejects a PUT whose If-Match no longer matches', async () => {
+    const { app } = await createRegistryTestContext({ rateLimit: { max: 100 } });
+    const created = await put(app, '1.0.0').expect(200);
+    const etag = created.headers.etag;
+
+    const first = await put(app, '1.1.0', { 'If-Match': etag }).expect(200);
+    const stale = await put(app, '1.2.0', { 'If-Match': etag }).expect(412);
+
+    expect(stale.body).toEqual(
+      expect.objectContaining({ error: 'precondition_failed', urn: URN, etag: first.headers.etag }),
+    );
+    expect(stale.headers.etag).toBe(first.headers.etag);
+    const current = await get(app).expect(200);
+    expect(current.body.body.version).toBe('1.1.0');
+
+    await request(app)
+      .put(`/v1/registry/${encodeURIComponent('urn:agent:missing')}`)
+      .set('X-API-Key', API_KEY)
+      .set('If-Match', '*')
+      .send({ manifest: manifestVersion('1.0.0') })
+      .expect(412);
+  });
+
+  it('supports create-only writes with If-None-Match: *', async () => {
+    const { app } = await createRegistryTestContext({ rateLimit: { max: 100 } });
+
+    await put(app, '1.0.0', { 'If-None-Match': '*' }).expect(200);
+    const duplicate = await put(app, '2.0.0', { 'If-None-Match': '*' }).expect(412);
+    expect(duplicate.body.error).toBe('precondition_failed');
+
+    const current = await get(app).expect(200);
+    expect(current.body.body.version).toBe('1.0.0');
+  });
+
+  it('reports a lost compare-and-swap race from the repository', async () => {
+    const { app } = await createRegistryTestContext();
+    const db = app.get('db');
+    const first = await upsertManifest(db, URN, manifestVersion('1.0.0'));
+    await upsertManifest(db, URN, manifestVersion('1.1.0'), { expectedDigest: first.digest });
+
+    await expect(
+      upsertManifest(db, URN, manifestVersion('1.2.0'), { expectedDigest: first.digest }),
+    ).rejects.toMatchObject({ name: 'OptimisticLockException', expectedVersion: first.digest });
+    await expect(
+      upsertManifest(db, URN, manifestVersion('2.0.0'), { expectedDigest: null }),
+    ).rejects.toMatchObject({ name: 'OptimisticLockException', actualVersion: expect.any(String) });
+  });
+});
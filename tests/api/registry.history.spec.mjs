@@ -0,0 +1,128 @@
+import { afterEach, describe, expect, it } from '@jest/globals';
+import request from 'supertest';
+
+import {
+  API_KEY,
+  BASE_CARD,
+  cleanupRegistryTestContexts,
+  createRegistryTestContext,
+  registerManifest,
+} from './helpers/registry-context.mjs';
+
+const URN = 'urn:agent:billing:invoices';
+const encodedUrn = encodeURIComponent(URN);
+
+function manifestWithEndpoints(version, endpoints) {
+  const manifest = JSON.parse(JSON.stringify(BASE_CARD));
+  manifest.version = version;
+  manifest.metadata = { kind: 'api', version };
+  manifest.catalog = { endpoints: endpoints.map((path) => ({ method: 'GET', path })) };
+  return manifest;
+}
+
+const get = (app, path, query = {}) =>
+  request(app).get(`/v1/registry/${encodedUrn}${path}`).query(query).set('X-API-Key', API_KEY);
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+async function publishRevisions() {
+  const context = await createRegistryTestContext({ rateLimit: { max: 100 } });
+  const { app } = context;
+  const first = await registerManifest(app, {
+    urn: URN,
+    manifest: manifestWithEndpoints('1.0.0', ['/invoices', '/invoices/{id}']),
+  });
+  await sleep(20);
+  const between = new Date().toISOString();
+  await sleep(20);
+  const second = await registerManifest(app, {
+    urn: URN,
+    manifest: manifestWithEndpoints('1.1.0', ['/invoices']),
+  });
+  expect([first.status, second.status]).toEqual([200, 200]);
+  return { ...context, first: first.body, second: second.body, between };
+}
+
+afterEach(async () => {
+  await cleanupRegistryTestContexts();
+});
+
+describe('registry revision history', () => {
+  it('records a revision per distinct PUT and skips identical re-publishes', async () => {
+    const { app, first, second } = await publishRevisions();
+    expect(first.revision).toBe(1);
+    expect(second.revision).toBe(2);
+
+    const republished = await registerManifest(app, {
+      urn: URN,
+      manifest: manifestWithEndpoints('1.1.0', ['/invoices']),
+    });
+    expect(republished.status).toBe(200);
+    expect(republished.body.revision).toBe(2);
+
+    const history = await get(app, '/history').expect(200);
+    expect(history.body.count).toBe(2);
+    expect(history.body.revisions.map((entry) => entry.revision)).toEqual([2, 1]);
+    expect(history.body.revisions[1]).toEqual(
+      expect.objectContaining({ digest: first.digest, issuer: 'test-key', created_at: expect.any(String) }),
+    );
+    expect(history.body.revisions[0].body).toBeUndefined();
+
+    await request(app)
+      .get(`/v1/registry/${encodeURIComponent('urn:agent:missing')}/history`)
+      .set('X-API-Key', API_KEY)
+      .expect(404);
+  });
+
+  it('serves the manifest as of a timestamp, digest or revision number', async () => {
+    const { app, first, second, between } = await publishRevisions();
+
+    const byTime = await get(app, '', { at: between }).expect(200);
+    expect(byTime.body).toEqual(expect.objectContaining({ revision: 1, digest: first.digest }));
+    expect(byTime.body.body.version).toBe('1.0.0');
+
+    const byDigest = await get(app, '', { at: `sha256:${second.digest}` }).expect(200);
+    expect(byDigest.body.revision).toBe(2);
+
+    const byNumber = await get(app, '', { at: '1' }).expect(200);
+    expect(byNumber.body.digest).toBe(first.digest);
+
+    const betweenMs = Date.parse(between);
+    const byEpochMs = await get(app, '', { at: String(betweenMs) }).expect(200);
+    expect(byEpochMs.body.digest).toBe(first.digest);
+    const byEpochSeconds = await get(app, '', { at: String(Math.floor(betweenMs / 1000) + 60) }).expect(200);
+    expect(byEpochSeconds.body.digest).toBe(second.digest);
+    await get(app, '', { at: '1000000000' }).expect(404);
+
+    const latest = await get(app, '').expect(200);
+    expect(latest.body.digest).toBe(second.digest);
+  });
+
+  it('rejects unparseable selectors and reports missing revisions', async () => {
+    const { app } = await publishRevisions();
+
+    const invalid = await get(app, '', { at: 'last tuesday' }).expect(400);
+    expect(invalid.body.error).toBe('invalid_query');
+
+    await get(app, '', { at: '2000-01-01T00:00:00Z' }).expect(404);
+    await get(app, '', { at: 'f'.repeat(64) }).expect(404);
+  });
+
+  it('diffs revisions with the protocol diff engine', async () => {
+    const { app, first, second } = await publishRevisions();
+
+    const diff = await get(app, '/diff').expect(200);
+    expect(diff.body.from).toEqual(expect.objectContaining({ revision: 1, digest: first.digest }));
+    expect(diff.body.to).toEqual(expect.objectContaining({ revision: 2, digest: second.digest }));
+    expect(diff.body.summary.hasBreakingChanges).toBe(true);
+    expect(diff.body.changes.breaking.map((change) => change.path)).toContain(
+      'catalog.endpoints[GET /invoices/{id}]',
+    );
+
+    const reverse = await get(app, '/diff', { from: '2', to: '1' }).expect(200);
+    expect(reverse.body.summary.hasBreakingChanges).toBe(false);
+
+    const single = await get(app, '/diff', { to: '1' }).expect(404);
+    expect(single.body.error).toBe('not_found');
+  });
+});
@@ -0,0 +1,160 @@
+import { afterEach, describe, expect, it } from '@jest/globals';
+import request from 'supertest';
+
+import {
+  API_KEY,
+  BASE_CARD,
+  cleanupRegistryTestContexts,
+  createRegistryTestContext,
+  registerManifest,
+} from './helpers/registry-context.mjs';
+
+const URN = 'urn:agent:billing:invoices';
+const SUCCESSOR = 'urn:agent:billing:invoices-v2';
+const encodedUrn = encodeURIComponent(URN);
+
+function manifestWith(id, capability) {
+  const manifest = JSON.parse(JSON.stringify(BASE_CARD));
+  manifest.id = id;
+  manifest.capabilities.tools = [{ name: capability, capability }];
+  return manifest;
+}
+
+async function seed(overrides = {}) {
+  const context = await createRegistryTestContext({ rateLimit: { max: 100 }, ...overrides });
+  const provenance = overrides.requireProvenance ? context.createProvenance() : null;
+  await registerManifest(context.app, { urn: URN, manifest: manifestWith('invoices', 'billing.read'), provenance });
+  await registerManifest(context.app, { urn: SUCCESSOR, manifest: manifestWith('invoices-v2', 'billing.read'), provenance });
+  return context;
+}
+
+const remove = (app, body = {}) =>
+  request(app).delete(`/v1/registry/${encodedUrn}`).set('X-API-Key', API_KEY).send(body);
+
+const patch = (app, body) =>
+  request(app).patch(`/v1/registry/${encodedUrn}`).set('X-API-Key', API_KEY).send(body);
+
+const resolveUrn = (app) =>
+  request(app).get('/v1/resolve').query({ urn: URN }).set('X-API-Key', API_KEY);
+
+const query = (app, body) =>
+  request(app).post('/v1/query').set('X-API-Key', API_KEY).send({ capability: 'billing.read', ...body });
+
+afterEach(async () => {
+  await cleanupRegistryTestContexts();
+});
+
+describe('registry manifest lifecycle', () => {
+  it('deprecates a manifest and surfaces the state through resolve and query', async () => {
+    const { app } = await seed();
+
+    const updated = await patch(app, {
+      state: 'deprecated',
+      reason: 'Superseded by v2',
+      sunset_at: '2030-01-01T00:00:00Z',
+      replaced_by: SUCCESSOR,
+    }).expect(200);
+    expect(updated.body.lifecycle).toEqual(
+      expect.objectContaining({ state: 'deprecated', sunset_at: '2030-01-01T00:00:00.000Z', replaced_by: SUCCESSOR }),
+    );
+
+    const resolved = await resolveUrn(app).expect(200);
+    expect(resolved.body.lifecycle).toEqual(expect.objectContaining({ state: 'deprecated', reason: 'Superseded by v2' }));
+    expect(resolved.headers.deprecation).toBe('true');
+    expect(resolved.headers.sunset).toBe('Tue, 01 Jan 2030 00:00:00 GMT');
+
+    const all = await query(app).expect(200);
+    expect(all.body.results.map((row) => row.urn).sort()).toEqual([URN, SUCCESSOR]);
+    const current = await query(app, { exclude_deprecated: true }).expect(200);
+    expect(current.body.results.map((row) => row.urn)).toEqual([SUCCESSOR]);
+
+    await patch(app, { state: 'active' }).expect(200);
+    const reactivated = await resolveUrn(app).expect(200);
+    expect(reactivated.body.lifecycle.state).toBe('active');
+    expect(reactivated.headers.deprecation).toBeUndefined();
+  });
+
+  it('rejects unknown lifecycle states and malformed sunset dates', async () => {
+    const { app } = await seed();
+
+    const badState = await patch(app, { state: 'retired' }).expect(400);
+    expect(badState.body.error).toBe('invalid_lifecycle');
+    await patch(app, { state: 'tombstoned' }).expect(400);
+    await patch(app, { state: 'sunset', sunset_at: 'soon' }).expect(400);
+    await request(app)
+      .patch(`/v1/registry/${encodeURIComponent('urn:agent:missing')}`)
+      .set('X-API-Key', API_KEY)
+      .send({ state: 'deprecated' })
+      .expect(404);
+  });
+
+  it('writes a tombstone revision instead of hard-deleting', async () => {
+    const { app } = await seed();
+
+    const deleted = await remove(app, { reason: 'Retired', replaced_by: SUCCESSOR }).expect(200);
+    expect(deleted.body).toEqual(
+      expect.objectContaining({
+        status: 'ok',
+        revision: 2,
+        tombstone: expect.objectContaining({ tombstone: true, urn: URN, reason: 'Retired', replaced_by: SUCCESSOR }),
+      }),
+    );
+
+    const gone = await request(app).get(`/v1/registry/${encodedUrn}`).set('X-API-Key', API_KEY).expect(410);
+    expect(gone.body.lifecycle.state).toBe('tombstoned');
+    const goneResolve = await resolveUrn(app).expect(410);
+    expect(goneResolve.body.tombstone.previous_digest).toBe(deleted.body.tombstone.previous_digest);
+
+    const results = await query(app).expect(200);
+    expect(results.body.results.map((row) => row.urn)).toEqual([SUCCESSOR]);
+    const listed = await request(app).get('/v1/registry').set('X-API-Key', API_KEY).expect(200);
+    expect(listed.body.items.map((item) => item.urn)).toEqual([SUCCESSOR]);
+
+    const history = await request(app).get(`/v1/registry/${encodedUrn}/history`).set('X-API-Key', API_KEY).expect(200);
+    expect(history.body.count).toBe(2);
+    const before = await request(app).get(`/v1/registry/${encodedUrn}`).query({ at: '1' }).set('X-API-Key', API_KEY).expect(200);
+    expect(before.body.body.id).toBe('invoices');
+
+    await remove(app).expect(410);
+    await patch(app, { state: 'deprecated' }).expect(410);
+
+    const republished = await registerManifest(app, { urn: URN, manifest: manifestWith('invoices', 'billing.read') });
+    expect(republished.status).toBe(200);
+    const revived = await resolveUrn(app).expect(200);
+    expect(revived.body.lifecycle.state).toBe('active');
+  });
+
+  it('applies the PUT provenance policy to tombstones', async () => {
+    const { app, createProvenance } = await seed({ requireProvenance: true });
+
+    const missing = await remove(app).expect(422);
+    expect(missing.body.error).toBe('missing-provenance');
+
+    const tampered = createProvenance();
+    tampered.signatures[0].sig = Buffer.from('tampered').toString('base64');
+    const invalid = await remove(app, { provenance: tampered }).expect(422);
+    expect(invalid.body.error).toBe('invalid-provenance');
+
+    await request(app).get(`/v1/registry/${encodedUrn}`).set('X-API-Key', API_KEY).expect(200);
+
+    const signed = await remove(app, { provenance: createProvenance() }).expect(200);
+    expect(signed.body.provenance).toEqual(
+      expect.objectContaining({ signature: expect.objectContaining({ scheme: 'dsse+jws' }) }),
+    );
+    const gone = await request(app).get(`/v1/registry/${encodedUrn}`).query({ at: signed.body.digest }).set('X-API-Key', API_KEY).expect(200);
+    expect(gone.body.provenance).toEqual(expect.objectContaining({ digest: signed.body.digest }));
+  });
+
+  it('honours If-Match on DELETE', async () => {
+    const { app } = await seed();
+
+    const stale = await request(app)
+      .delete(`/v1/registry/${encodedUrn}`)
+      .set('X-API-Key', API_KEY)
+      .set('If-Match', `"${'0'.repeat(64)}"`)
+      .send({})
+      .expect(412);
+    expect(stale.body.error).toBe('precondition_failed');
+    await resolveUrn(app).expect(200);
+  });
+});
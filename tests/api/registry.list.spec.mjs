@@ -0,0 +1,117 @@
+import { afterEach, describe, expect, it } from '@jest/globals';
+import request from 'supertest';
+
+import {
+  API_KEY,
+  BASE_CARD,
+  cleanupRegistryTestContexts,
+  createRegistryTestContext,
+  registerManifest,
+} from './helpers/registry-context.mjs';
+
+const cloneCard = () => JSON.parse(JSON.stringify(BASE_CARD));
+
+function manifestWith(id, capabilities = []) {
+  const manifest = cloneCard();
+  manifest.id = id;
+  manifest.capabilities.tools = capabilities.map((capability) => ({ name: capability, capability }));
+  return manifest;
+}
+
+async function seedRegistry() {
+  const context = await createRegistryTestContext({ rateLimit: { max: 100 } });
+  const { app } = context;
+  await registerManifest(app, { urn: 'urn:agent:billing:invoices', manifest: manifestWith('invoices', ['billing.read']) });
+  await registerManifest(app, { urn: 'urn:agent:billing:refunds', manifest: manifestWith('refunds', ['billing.read', 'billing.write']) });
+  await registerManifest(app, { urn: 'urn:agent:catalog:search', manifest: manifestWith('search', ['catalog.read']), issuer: 'other-issuer' });
+  return context;
+}
+
+const list = (app, query = {}) =>
+  request(app).get('/v1/registry').query(query).set('X-API-Key', API_KEY);
+
+afterEach(async () => {
+  await cleanupRegistryTestContexts();
+});
+
+describe('GET /v1/registry', () => {
+  it('requires an API key', async () => {
+    const { app } = await createRegistryTestContext();
+    await request(app).get('/v1/registry').expect(401);
+  });
+
+  it('lists manifests with capabilities and pagination metadata', async () => {
+    const { app } = await seedRegistry();
+
+    const response = await list(app, { sort: 'urn' }).expect(200);
+
+    expect(response.body.status).toBe('ok');
+    expect(response.body.items.map((item) => item.urn)).toEqual([
+      'urn:agent:billing:invoices',
+      'urn:agent:billing:refunds',
+      'urn:agent:catalog:search',
+    ]);
+    expect(response.body.items[1]).toEqual(
+      expect.objectContaining({
+        digest: expect.any(String),
+        issuer: 'test-key',
+        capabilities: ['billing.read', 'billing.write'],
+      }),
+    );
+    expect(response.body.page).toEqual({ limit: 50, next_cursor: null, has_more: false });
+    expect(response.body.sort).toEqual({ field: 'urn', order: 'asc' });
+  });
+
+  it('walks every page with the returned cursor', async () => {
+    const { app } = await seedRegistry();
+
+    const seen = [];
+    let cursor;
+    do {
+      // eslint-disable-next-line no-await-in-loop
+      const response = await list(app, { limit: 2, ...(cursor ? { cursor } : {}) }).expect(200);
+      seen.push(...response.body.items.map((item) => item.urn));
+      cursor = response.body.page.next_cursor;
+    } while (cursor);
+
+    expect(seen).toHaveLength(3);
+    expect(new Set(seen).size).toBe(3);
+  });
+
+  it('filters by prefix, issuer, capability and updated_since', async () => {
+    const { app } = await seedRegistry();
+
+    const byPrefix = await list(app, { prefix: 'urn:agent:billing:' }).expect(200);
+    expect(byPrefix.body.items).toHaveLength(2);
+
+    const byIssuer = await list(app, { issuer: 'other-issuer' }).expect(200);
+    expect(byIssuer.body.items.map((item) => item.urn)).toEqual(['urn:agent:catalog:search']);
+
+    const byCapabilities = await list(app, { capability: ['billing.read', 'billing.write'] }).expect(200);
+    expect(byCapabilities.body.items.map((item) => item.urn)).toEqual(['urn:agent:billing:refunds']);
+
+    const future = new Date(Date.now() + 60 * 60 * 1000).toISOString();
+    const none = await list(app, { updated_since: future }).expect(200);
+    expect(none.body.items).toEqual([]);
+
+    const past = await list(app, { updated_since: '2020-01-01T00:00:00Z' }).expect(200);
+    expect(past.body.items).toHaveLength(3);
+  });
+
+  it('rejects invalid sort fields, timestamps and cursors', async () => {
+    const { app } = await seedRegistry();
+
+    const badSort = await list(app, { sort: 'body' }).expect(400);
+    expect(badSort.body.error).toBe('invalid_sort');
+
+    const badSince = await list(app, { updated_since: 'yesterday' }).expect(400);
+    expect(badSince.body.error).toBe('invalid_filter');
+
+    const badCursor = await list(app, { cursor: 'not-a-cursor' }).expect(400);
+    expect(badCursor.body.error).toBe('invalid_cursor');
+
+    const page = await list(app, { limit: 1, sort: 'urn' }).expect(200);
+    const mismatched = await list(app, { cursor: page.body.page.next_cursor, sort: 'updated_at' }).expect(400);
+    expect(mismatched.body.error).toBe('invalid_cursor');
+  });
+});
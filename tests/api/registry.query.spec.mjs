@@ -0,0 +1,149 @@
+import { afterEach, describe, expect, it } from '@jest/globals';
+import request from 'supertest';
+
+import {
+  API_KEY,
+  BASE_CARD,
+  cleanupRegistryTestContexts,
+  createRegistryTestContext,
+  registerManifest,
+} from './helpers/registry-context.mjs';
+
+function manifestWith({ id, name, description, capabilities }) {
+  const manifest = JSON.parse(JSON.stringify(BASE_CARD));
+  manifest.id = id;
+  manifest.name = name;
+  manifest.description = description;
+  manifest.capabilities.tools = capabilities.map((capability) => ({ name: capability, capability }));
+  return manifest;
+}
+
+const AGENTS = {
+  'urn:agent:billing:invoices': {
+    id: 'invoices',
+    name: 'Invoice Manager',
+    description: 'Creates invoices and sends payment reminders',
+    capabilities: ['billing.read', 'billing.write', 'email.send'],
+  },
+  'urn:agent:billing:refunds': {
+    id: 'refunds',
+    name: 'Refund Desk',
+    description: 'Issues refunds for disputed invoices',
+    capabilities: ['billing.read', 'billing.refund'],
+  },
+  'urn:agent:catalog:search': {
+    id: 'search',
+    name: 'Catalog Search',
+    description: 'Full-text product lookup',
+    capabilities: ['catalog.read', 'search[beta]'],
+  },
+};
+
+async function seedRegistry() {
+  const context = await createRegistryTestContext({ rateLimit: { max: 100 } });
+  for (const [urn, agent] of Object.entries(AGENTS)) {
+    // eslint-disable-next-line no-await-in-loop
+    await registerManifest(context.app, { urn, manifest: manifestWith(agent) });
+  }
+  return context;
+}
+
+const query = (app, body) => request(app).post('/v1/query').set('X-API-Key', API_KEY).send(body);
+const urns = (response) => response.body.results.map((result) => result.urn);
+
+afterEach(async () => {
+  await cleanupRegistryTestContexts();
+});
+
+describe('POST /v1/query advanced criteria', () => {
+  it('combines all-of, any-of and none-of capability sets', async () => {
+    const { app } = await seedRegistry();
+
+    const allOf = await query(app, { all_of: ['billing.read', 'billing.write'] }).expect(200);
+    expect(urns(allOf)).toEqual(['urn:agent:billing:invoices']);
+    expect(allOf.body.results[0].capabilities).toEqual(['billing.read', 'billing.write', 'email.send']);
+
+    const anyOf = await query(app, { any_of: ['billing.refund', 'catalog.read'] }).expect(200);
+    expect(urns(anyOf)).toEqual(['urn:agent:billing:refunds', 'urn:agent:catalog:search']);
+
+    const noneOf = await query(app, { all_of: ['billing.read'], none_of: ['email.send'] }).expect(200);
+    expect(urns(noneOf)).toEqual(['urn:agent:billing:refunds']);
+    expect(noneOf.body.query).toEqual({
+      all_of: ['billing.read'],
+      any_of: [],
+      none_of: ['email.send'],
+      text: null,
+    });
+  });
+
+  it('matches capability prefixes and wildcards', async () => {
+    const { app } = await seedRegistry();
+
+    const prefix = await query(app, { all_of: ['billing.*'], none_of: ['billing.re*'] }).expect(200);
+    expect(urns(prefix)).toEqual([]);
+
+    const wildcard = await query(app, { any_of: ['*.send', 'billing.?efund'] }).expect(200);
+    expect(urns(wildcard)).toEqual(['urn:agent:billing:invoices', 'urn:agent:billing:refunds']);
+
+    const literalBracket = await query(app, { all_of: ['search[beta]'] }).expect(200);
+    expect(urns(literalBracket)).toEqual(['urn:agent:catalog:search']);
+
+    const merged = await query(app, { capability: 'billing.read', any_of: ['*.refund'] }).expect(200);
+    expect(urns(merged)).toEqual(['urn:agent:billing:refunds']);
+  });
+
+  it('ranks free-text matches and highlights the matched fields', async () => {
+    const { app } = await seedRegistry();
+
+    const response = await query(app, { text: 'invoices' }).expect(200);
+    expect(urns(response)).toEqual(['urn:agent:billing:invoices', 'urn:agent:billing:refunds']);
+    expect(response.body.results[0].score).toBeGreaterThan(response.body.results[1].score);
+    expect(response.body.results[0].highlights).toEqual({
+      name: '<mark>Invoice</mark> Manager',
+      description: 'Creates <mark>invoices</mark> and sends payment reminders',
+    });
+
+    const combined = await query(app, { text: 'refund*', none_of: ['email.*'] }).expect(200);
+    expect(urns(combined)).toEqual(['urn:agent:billing:refunds']);
+
+    const operators = await query(app, { text: 'NEAR("invoices' }).expect(200);
+    expect(urns(operators)).toEqual([]);
+  });
+
+  it('keeps the single-capability response shape and validates criteria', async () => {
+    const { app } = await seedRegistry();
+
+    const legacy = await query(app, { capability: 'catalog.read' }).expect(200);
+    expect(legacy.body).toEqual({
+      status: 'ok',
+      capability: 'catalog.read',
+      results: [{ urn: 'urn:agent:catalog:search', digest: expect.any(String) }],
+    });
+
+    const onlyExclusions = await query(app, { none_of: ['billing.read'] }).expect(400);
+    expect(onlyExclusions.body.error).toBe('invalid_query');
+    await query(app, { all_of: [''] }).expect(400);
+    await query(app, { text: '!!!' }).expect(400);
+    await query(app, { text: 'invoice', limit: 0 }).expect(400);
+  });
+
+  it('leaves tombstoned manifests out and honours exclude_deprecated', async () => {
+    const { app } = await seedRegistry();
+    await request(app)
+      .patch(`/v1/registry/${encodeURIComponent('urn:agent:billing:refunds')}`)
+      .set('X-API-Key', API_KEY)
+      .send({ state: 'deprecated' })
+      .expect(200);
+    await request(app)
+      .delete(`/v1/registry/${encodeURIComponent('urn:agent:catalog:search')}`)
+      .set('X-API-Key', API_KEY)
+      .send({})
+      .expect(200);
+
+    const all = await query(app, { any_of: ['*'] }).expect(200);
+    expect(urns(all)).toEqual(['urn:agent:billing:invoices', 'urn:agent:billing:refunds']);
+
+    const current = await query(app, { any_of: ['*'], exclude_deprecated: true }).expect(200);
+    expect(urns(current)).toEqual(['urn:agent:billing:invoices']);
+  });
+});
@@ -1,6 +1,9 @@
 import { afterEach, describe, expect, it } from '@jest/globals';
 import request from 'supertest';
 import { randomUUID } from 'node:crypto';
+import { mkdtemp, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
 
 import {
   API_KEY,
@@ -10,11 +13,17 @@ import {
   createRegistryTestContext,
   registerManifest,
 } from './helpers/registry-context.mjs';
+import { createEnvelope } from '../../packages/runtime/security/dsse.mjs';
+import { createProvenancePayload } from '../../packages/runtime/security/provenance.mjs';
+import { generateKey, readPrivateKey, revokeKey } from '../../packages/runtime/security/keyring.mjs';
 
 const cloneCard = () => JSON.parse(JSON.stringify(BASE_CARD));
 
+const keyringDirs = [];
+
 afterEach(async () => {
   await cleanupRegistryTestContexts();
+  await Promise.all(keyringDirs.splice(0).map((dir) => rm(dir, { recursive: true, force: true })));
 });
 
 describe('Runtime registry provenance enforcement', () => {
@@ -80,4 +89,50 @@ describe('Runtime registry provenance enforcement', () => {
     expect(response.status).toBe(422);
     expect(response.body.error).toBe('invalid-provenance');
   });
+
+  it('applies keyring revocations while the server is running', async () => {
+    const dir = await mkdtemp(join(tmpdir(), 'registry-keyring-'));
+    keyringDirs.push(dir);
+    const keyringPath = join(dir, 'keyring.json');
+    const primary = await generateKey(keyringPath, { keyid: 'primary' });
+    const { app } = await createRegistryTestContext({
+      requireProvenance: true,
+      provenanceKeys: [],
+      provenanceKeyringPath: keyringPath,
+    });
+
+    const signWith = async (entry, urn) =>
+      createEnvelope(
+        'application/vnd.in-toto+json',
+        createProvenancePayload({
+          builderId: 'registry.test.builder',
+          commit: `commit-${Date.now()}`,
+          materials: [],
+          buildTool: 'registry-test-suite',
+          timestamp: new Date().toISOString(),
+          inputs: [],
+          outputs: [{ uri: urn, digest: { sha256: 'abcd1234' } }],
+        }),
+        { key: await readPrivateKey(keyringPath, entry), alg: entry.alg, keyid: entry.keyid },
+      );
+    const register = async (entry) => {
+      const urn = `urn:agent:registry:keyring:${randomUUID()}`;
+      return registerManifest(app, {
+        urn,
+        manifest: cloneCard(),
+        provenance: await signWith(entry, urn),
+        issuer: entry.keyid,
+      });
+    };
+
+    expect((await register(primary)).status).toBe(200);
+
+    await revokeKey(keyringPath, 'primary');
+    const secondary = await generateKey(keyringPath, { keyid: 'secondary' });
+
+    const revoked = await register(primary);
+    expect(revoked.status).toBe(422);
+    expect(revoked.body.reason).toBe('revoked-key');
+    expect((await register(secondary)).status).toBe(200);
+  });
 });
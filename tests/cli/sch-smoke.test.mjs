@@ -46,11 +46,18 @@ describe('sch CLI smoke tests', () => {
     expect(result.stdout).toContain('Display performance status summary');
   });
 
-  test('context status stub resolves without failure', async () => {
-    const result = await runCli(['context', 'status']);
+  test('context status reports the workspace inventory as JSON', async () => {
+    const result = await runCli(['context', 'status', '--json']);
     expect(result.code).toBe(0);
-    expect(result.stdout).toContain('[stub]');
-    expect(result.stdout).toContain('SCH-CLI-001');
-    expect(result.stderr).toBe('');
+    const report = JSON.parse(result.stdout);
+    expect(report.stores).toEqual(
+      expect.objectContaining({
+        manifests: expect.any(Object),
+        registry: expect.any(Object),
+        vectors: expect.any(Object),
+        graph: expect.any(Object)
+      })
+    );
+    expect(typeof report.inSync).toBe('boolean');
   });
 });
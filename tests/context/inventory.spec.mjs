@@ -0,0 +1,185 @@
+import { afterEach, beforeEach, describe, expect, jest, test } from '@jest/globals';
+import { mkdtemp, mkdir, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+
+import { collectContextInventory } from '../../src/context/inventory.js';
+import { contextStatusCommand } from '../../cli/commands/context-status.js';
+import { openDb, ensureSchema } from '../../packages/runtime/registry/db.mjs';
+import { tombstoneManifest, upsertManifest } from '../../packages/runtime/registry/repository.mjs';
+
+const ALPHA = { urn: 'urn:proto:api:test/alpha@1.0.0', name: 'Alpha API' };
+const BETA = { urn: 'urn:proto:api:test/beta@1.0.0', name: 'Beta API' };
+const GAMMA = { urn: 'urn:proto:api:test/gamma@1.0.0', name: 'Gamma API' };
+
+async function writeManifest(workspace, name, manifest) {
+  const dir = join(workspace, 'artifacts', 'protocols', name);
+  await mkdir(dir, { recursive: true });
+  await writeFile(join(dir, 'manifest.json'), JSON.stringify(manifest), 'utf8');
+}
+
+async function seedRegistry(workspace, entries, { tombstoned = [] } = {}) {
+  const db = await openDb({ dbPath: join(workspace, 'var', 'registry.sqlite') });
+  await ensureSchema(db);
+  for (const [urn, body] of entries) {
+    await upsertManifest(db, urn, body);
+  }
+  for (const urn of tombstoned) {
+    await tombstoneManifest(db, urn, { reason: 'Retired' });
+  }
+  await db.close();
+}
+
+async function seedVectors(workspace, urns) {
+  const dir = join(workspace, 'data', 'lancedb');
+  await mkdir(dir, { recursive: true });
+  await writeFile(
+    join(dir, 'protocol_registry_vectors.json'),
+    JSON.stringify(urns.map((urn) => ({ vector: [1, 0], payload: { tool_id: urn, urn } }))),
+    'utf8'
+  );
+}
+
+describe('context inventory', () => {
+  let workspace;
+
+  beforeEach(async () => {
+    workspace = await mkdtemp(join(tmpdir(), 'context-inventory-'));
+  });
+
+  afterEach(async () => {
+    await rm(workspace, { recursive: true, force: true });
+  });
+
+  test('reports missing stores for an empty workspace', async () => {
+    const report = await collectContextInventory({ workspace });
+
+    expect(report.inSync).toBe(true);
+    expect(report.stores.manifests.present).toBe(false);
+    expect(report.stores.registry.present).toBe(false);
+    expect(report.stores.vectors.present).toBe(false);
+    expect(report.stores.graph.present).toBe(false);
+  });
+
+  test('flags registry, embedding and graph drift', async () => {
+    await writeManifest(workspace, 'alpha', ALPHA);
+    await writeManifest(workspace, 'beta', BETA);
+    await seedRegistry(workspace, [
+      [ALPHA.urn, ALPHA],
+      [GAMMA.urn, GAMMA],
+    ]);
+    await seedVectors(workspace, [GAMMA.urn, 'urn:proto:api:test/orphan@1.0.0']);
+
+    const report = await collectContextInventory({ workspace });
+
+    expect(report.inSync).toBe(false);
+    expect(report.stores.manifests.count).toBe(2);
+    expect(report.stores.registry.count).toBe(2);
+    expect(report.stores.vectors.mode).toBe('fallback');
+    expect(report.drift.missingFromRegistry).toEqual([BETA.urn]);
+    expect(report.drift.orphanedInRegistry).toEqual([GAMMA.urn]);
+    expect(report.drift.missingEmbeddings).toEqual([ALPHA.urn]);
+    expect(report.drift.orphanedEmbeddings).toEqual(['urn:proto:api:test/orphan@1.0.0']);
+    expect(report.drift.graphStale).toBe(true);
+  });
+
+  test('detects digest mismatches between disk and registry', async () => {
+    await writeManifest(workspace, 'alpha', { ...ALPHA, name: 'Alpha API v2' });
+    await seedRegistry(workspace, [[ALPHA.urn, ALPHA]]);
+
+    const report = await collectContextInventory({ workspace });
+
+    expect(report.drift.digestMismatches).toEqual([
+      expect.objectContaining({ urn: ALPHA.urn }),
+    ]);
+    expect(report.drift.digestMismatches[0].manifestDigest).not.toBe(
+      report.drift.digestMismatches[0].registryDigest
+    );
+  });
+
+  test('ignores tombstoned registry entries when computing drift', async () => {
+    await writeManifest(workspace, 'alpha', ALPHA);
+    await seedRegistry(
+      workspace,
+      [
+        [ALPHA.urn, ALPHA],
+        [GAMMA.urn, GAMMA],
+      ],
+      { tombstoned: [GAMMA.urn] }
+    );
+    await seedVectors(workspace, [ALPHA.urn]);
+
+    const report = await collectContextInventory({ workspace });
+
+    expect(report.stores.registry.count).toBe(1);
+    expect(report.stores.registry.entries.map((entry) => entry.urn)).toEqual([ALPHA.urn]);
+    expect(report.drift.orphanedInRegistry).toEqual([]);
+    expect(report.drift.missingEmbeddings).toEqual([]);
+  });
+
+  test('reads registries created before lifecycle tracking', async () => {
+    await writeManifest(workspace, 'alpha', ALPHA);
+    const db = await openDb({ dbPath: join(workspace, 'var', 'registry.sqlite') });
+    await db.exec(`
+      CREATE TABLE manifests (
+        urn TEXT PRIMARY KEY, body TEXT NOT NULL, digest TEXT NOT NULL, issuer TEXT, signature TEXT,
+        created_at TEXT DEFAULT (datetime('now')), updated_at TEXT DEFAULT (datetime('now'))
+      );
+      PRAGMA user_version=1;
+    `);
+    await db.run('INSERT INTO manifests (urn, body, digest) VALUES (?, ?, ?)', [
+      GAMMA.urn,
+      JSON.stringify(GAMMA),
+      'legacy-digest',
+    ]);
+    await db.close();
+
+    const report = await collectContextInventory({ workspace });
+
+    expect(report.stores.registry.error).toBeUndefined();
+    expect(report.stores.registry.count).toBe(1);
+    expect(report.drift.missingFromRegistry).toEqual([ALPHA.urn]);
+    expect(report.drift.orphanedInRegistry).toEqual([GAMMA.urn]);
+  });
+
+  test('reports a fully synchronised workspace', async () => {
+    await writeManifest(workspace, 'alpha', ALPHA);
+    await seedRegistry(workspace, [[ALPHA.urn, ALPHA]]);
+    await seedVectors(workspace, [ALPHA.urn]);
+    await writeFile(
+      join(workspace, 'artifacts', 'catalog-graph.json'),
+      JSON.stringify({
+        generatedAt: new Date(Date.now() + 60_000).toISOString(),
+        nodes: [{ urn: ALPHA.urn }],
+        edges: [],
+        metadata: { inputs: ['artifacts/protocols/alpha/manifest.json'] },
+      }),
+      'utf8'
+    );
+
+    const report = await collectContextInventory({ workspace });
+
+    expect(report.drift.staleEmbeddings).toEqual([]);
+    expect(report.drift.graphStale).toBe(false);
+    expect(report.inSync).toBe(true);
+    expect(report.stores.graph.nodeCount).toBe(1);
+  });
+
+  test('context status command emits a JSON report without per-entry listings', async () => {
+    await writeManifest(workspace, 'alpha', ALPHA);
+    const logSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    try {
+      const result = await contextStatusCommand({ workspace, json: true });
+      const printed = JSON.parse(logSpy.mock.calls.at(-1)[0]);
+
+      expect(printed).toEqual(result);
+      expect(printed.inSync).toBe(false);
+      expect(printed.stores.manifests.count).toBe(1);
+      expect(printed.stores.manifests.entries).toBeUndefined();
+      expect(printed.drift.missingFromRegistry).toEqual([ALPHA.urn]);
+    } finally {
+      logSpy.mockRestore();
+    }
+  });
+});
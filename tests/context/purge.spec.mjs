@@ -0,0 +1,161 @@
+import { afterEach, beforeEach, describe, expect, test } from '@jest/globals';
+import { access, mkdtemp, mkdir, readFile, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+
+import { planContextPurge, purgeContext } from '../../src/context/purge.js';
+import { syncContext } from '../../src/context/sync.js';
+
+class StubEmbeddingService {
+  constructor() {
+    this.mode = 'stub';
+  }
+
+  async initialize() {}
+
+  async embedDocuments(documents) {
+    return documents.map((doc) => [doc.length, 1]);
+  }
+}
+
+class StubVectorStore {
+  constructor() {
+    this.mode = 'stub';
+    this.records = new Map();
+  }
+
+  async initialize() {}
+
+  async upsert(records) {
+    for (const record of records) {
+      this.records.set(record.payload.urn, record);
+    }
+  }
+
+  async delete(ids) {
+    for (const id of ids) {
+      this.records.delete(id);
+    }
+  }
+
+  async close() {}
+}
+
+const ALPHA = { urn: 'urn:proto:api:test/alpha@1.0.0', name: 'Alpha API', metadata: { kind: 'api' } };
+const BETA = { urn: 'urn:proto:api:test/beta@1.0.0', name: 'Beta API', metadata: { kind: 'api' } };
+
+const exists = (target) => access(target).then(() => true, () => false);
+
+describe('context purge', () => {
+  let workspace;
+  let syncOptions;
+
+  async function writeFileIn(relativePath, contents) {
+    const target = join(workspace, relativePath);
+    await mkdir(join(target, '..'), { recursive: true });
+    await writeFile(target, contents, 'utf8');
+  }
+
+  beforeEach(async () => {
+    workspace = await mkdtemp(join(tmpdir(), 'context-purge-'));
+    syncOptions = {
+      workspace,
+      embeddingService: new StubEmbeddingService(),
+      vectorStore: new StubVectorStore(),
+      logger: { info() {}, warn() {} }
+    };
+    await writeFileIn('artifacts/protocols/alpha/manifest.json', JSON.stringify(ALPHA));
+    await writeFileIn('artifacts/protocols/beta/manifest.json', JSON.stringify(BETA));
+    await syncContext(syncOptions);
+  });
+
+  afterEach(async () => {
+    await rm(workspace, { recursive: true, force: true });
+  });
+
+  test('dry run lists files and registry rows without deleting anything', async () => {
+    const plan = await planContextPurge({ workspace, targets: ['graphs', 'registry-cache'] });
+
+    expect(plan.dryRun).toBe(true);
+    expect(plan.files.map((file) => file.path).sort()).toEqual([
+      'artifacts/catalog-graph.json',
+      'var/context/sync-state.json',
+      'var/registry.sqlite'
+    ]);
+    const manifestRows = plan.rows.find((row) => row.table === 'manifests');
+    expect(manifestRows.count).toBe(2);
+    expect(manifestRows.urns.sort()).toEqual([ALPHA.urn, BETA.urn]);
+    expect(plan.rows.map((row) => row.table)).toEqual(expect.arrayContaining([
+      'capabilities',
+      'change_deliveries',
+      'manifest_changes',
+      'manifest_lifecycle',
+      'manifest_revisions',
+      'manifests_fts',
+      'provenance'
+    ]));
+    expect(plan.rows.some((row) => row.table.startsWith('manifests_fts_'))).toBe(false);
+    expect(plan.rows.find((row) => row.table === 'manifest_revisions')).toMatchObject({ count: 2, durable: true });
+    expect(plan.notes).toEqual([
+      'Purging var/registry.sqlite also deletes 2 change log row(s) (manifest_changes), ' +
+        '2 revision history row(s) (manifest_revisions); `sch context sync` cannot rebuild them.'
+    ]);
+    expect(await exists(join(workspace, 'artifacts', 'catalog-graph.json'))).toBe(true);
+    expect(await exists(join(workspace, 'var', 'registry.sqlite'))).toBe(true);
+  });
+
+  test('removes only the selected targets', async () => {
+    const summary = await purgeContext({ workspace, targets: 'diagrams,graphs' });
+
+    expect(summary.dryRun).toBe(false);
+    expect(summary.errors).toEqual([]);
+    expect(summary.removed.map((file) => file.path).sort()).toEqual([
+      'artifacts/catalog-graph.json',
+      'artifacts/diagrams/catalog.drawio'
+    ]);
+    expect(await exists(join(workspace, 'artifacts', 'governance', 'GOVERNANCE.md'))).toBe(true);
+    expect(await exists(join(workspace, 'var', 'registry.sqlite'))).toBe(true);
+  });
+
+  test('invalidates sync state so the next sync rebuilds purged embeddings', async () => {
+    await writeFileIn('data/lancedb/protocol_registry_vectors.json', JSON.stringify([
+      { id: ALPHA.urn, payload: { urn: ALPHA.urn } }
+    ]));
+    await writeFileIn('data/lancedb/unrelated.json', '[]');
+
+    const summary = await purgeContext({ workspace, targets: ['embeddings'] });
+
+    expect(summary.removed.map((file) => file.path)).toEqual(['data/lancedb/protocol_registry_vectors.json']);
+    expect(await exists(join(workspace, 'data', 'lancedb', 'unrelated.json'))).toBe(true);
+    expect(summary.invalidatedState).toEqual(['var/context/sync-state.json']);
+
+    const state = JSON.parse(await readFile(join(workspace, 'var', 'context', 'sync-state.json'), 'utf8'));
+    expect(state.manifests).toEqual({});
+    expect(state.targets.registry).toBeUndefined();
+
+    const resync = await syncContext(syncOptions);
+    expect(resync.targets.registry.status).toBe('rebuilt');
+    expect(resync.targets.registry.upserts.sort()).toEqual([ALPHA.urn, BETA.urn]);
+  });
+
+  test('perf-logs purge keeps entries protected by the retention config', async () => {
+    await writeFileIn('app/config/retention.json', JSON.stringify({
+      defaults: { keepLatest: 5, protect: ['README.md'] },
+      targets: [{ id: 'perf', path: 'artifacts/perf', protect: ['latest.jsonl'] }]
+    }));
+    await writeFileIn('artifacts/perf/README.md', '# perf');
+    await writeFileIn('artifacts/perf/latest.jsonl', '{}');
+    await writeFileIn('artifacts/perf/session-1/metrics.jsonl', '{}');
+
+    const summary = await purgeContext({ workspace, targets: ['perf-logs'] });
+
+    expect(summary.removed).toEqual([{ target: 'perf-logs', path: 'artifacts/perf/session-1' }]);
+    expect(await exists(join(workspace, 'artifacts', 'perf', 'README.md'))).toBe(true);
+    expect(await exists(join(workspace, 'artifacts', 'perf', 'latest.jsonl'))).toBe(true);
+  });
+
+  test('rejects empty or unknown target selections', async () => {
+    await expect(planContextPurge({ workspace, targets: [] })).rejects.toThrow(/Select at least one purge target/);
+    await expect(planContextPurge({ workspace, targets: ['caches'] })).rejects.toThrow(/Unknown purge target/);
+  });
+});
@@ -0,0 +1,150 @@
+import { afterEach, beforeEach, describe, expect, test } from '@jest/globals';
+import { access, mkdtemp, mkdir, readFile, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+
+import { syncContext } from '../../src/context/sync.js';
+
+class StubEmbeddingService {
+  constructor() {
+    this.mode = 'stub';
+  }
+
+  async initialize() {}
+
+  async embedDocuments(documents) {
+    return documents.map((doc) => [doc.length, 1]);
+  }
+}
+
+class StubVectorStore {
+  constructor() {
+    this.mode = 'stub';
+    this.records = new Map();
+  }
+
+  async initialize() {}
+
+  async upsert(records) {
+    for (const record of records) {
+      this.records.set(record.payload.urn, record);
+    }
+  }
+
+  async delete(ids) {
+    for (const id of ids) {
+      this.records.delete(id);
+    }
+  }
+
+  async close() {}
+}
+
+const ALPHA = { urn: 'urn:proto:api:test/alpha@1.0.0', name: 'Alpha API', metadata: { kind: 'api' } };
+const BETA = { urn: 'urn:proto:api:test/beta@1.0.0', name: 'Beta API', metadata: { kind: 'api' } };
+
+const exists = (target) => access(target).then(() => true, () => false);
+
+describe('context sync', () => {
+  let workspace;
+  let vectorStore;
+  let baseOptions;
+
+  async function writeManifest(name, manifest) {
+    const dir = join(workspace, 'artifacts', 'protocols', name);
+    await mkdir(dir, { recursive: true });
+    await writeFile(join(dir, 'manifest.json'), JSON.stringify(manifest), 'utf8');
+  }
+
+  beforeEach(async () => {
+    workspace = await mkdtemp(join(tmpdir(), 'context-sync-'));
+    vectorStore = new StubVectorStore();
+    baseOptions = {
+      workspace,
+      embeddingService: new StubEmbeddingService(),
+      vectorStore,
+      logger: { info() {}, warn() {} },
+    };
+    await writeManifest('alpha', ALPHA);
+    await writeManifest('beta', BETA);
+  });
+
+  afterEach(async () => {
+    await rm(workspace, { recursive: true, force: true });
+  });
+
+  test('rebuilds every target on first sync and records state', async () => {
+    const summary = await syncContext(baseOptions);
+
+    expect(summary.mode).toBe('wsap');
+    expect(summary.rebuilt).toEqual(['registry', 'graph', 'diagram', 'governance']);
+    expect(summary.failed).toEqual([]);
+    expect(summary.manifests.added.sort()).toEqual([ALPHA.urn, BETA.urn]);
+    expect(Array.from(vectorStore.records.keys()).sort()).toEqual([ALPHA.urn, BETA.urn]);
+    expect(await exists(join(workspace, 'artifacts', 'catalog-graph.json'))).toBe(true);
+    expect(await exists(join(workspace, 'artifacts', 'diagrams', 'catalog.drawio'))).toBe(true);
+    expect(await exists(join(workspace, 'artifacts', 'governance', 'GOVERNANCE.md'))).toBe(true);
+
+    const state = JSON.parse(await readFile(summary.statePath, 'utf8'));
+    expect(Object.keys(state.manifests).sort()).toEqual([ALPHA.urn, BETA.urn]);
+  });
+
+  test('skips unchanged targets and only re-embeds changed manifests', async () => {
+    await syncContext(baseOptions);
+
+    const unchanged = await syncContext(baseOptions);
+    expect(unchanged.rebuilt).toEqual([]);
+    expect(unchanged.targets.registry).toEqual(expect.objectContaining({ status: 'skipped', reason: 'unchanged' }));
+
+    await writeManifest('alpha', { ...ALPHA, name: 'Alpha API v2' });
+    const changed = await syncContext(baseOptions);
+    expect(changed.manifests.changed).toEqual([ALPHA.urn]);
+    expect(changed.targets.registry.upserts).toEqual([ALPHA.urn]);
+    expect(changed.rebuilt).toEqual(['registry', 'graph', 'diagram', 'governance']);
+  });
+
+  test('removes registry and vector entries for deleted manifests', async () => {
+    await syncContext(baseOptions);
+    await rm(join(workspace, 'artifacts', 'protocols', 'beta'), { recursive: true });
+
+    const summary = await syncContext(baseOptions);
+
+    expect(summary.manifests.removed).toEqual([BETA.urn]);
+    expect(summary.targets.registry.removals).toEqual([BETA.urn]);
+    expect(Array.from(vectorStore.records.keys())).toEqual([ALPHA.urn]);
+  });
+
+  test('dry run reports the plan without writing outputs', async () => {
+    const summary = await syncContext({ ...baseOptions, dryRun: true });
+
+    expect(summary.targets.graph.status).toBe('planned');
+    expect(summary.rebuilt).toEqual([]);
+    expect(await exists(summary.statePath)).toBe(false);
+    expect(await exists(join(workspace, 'artifacts', 'catalog-graph.json'))).toBe(false);
+  });
+
+  test('canary builds into a staging root that promote requires', async () => {
+    await expect(syncContext({ ...baseOptions, mode: 'promote' })).rejects.toThrow(/No canary sync found/);
+
+    const canary = await syncContext({ ...baseOptions, mode: 'canary' });
+    expect(canary.root).toBe(join(workspace, 'var', 'context', 'canary'));
+    expect(await exists(join(canary.root, 'catalog-graph.json'))).toBe(true);
+    expect(await exists(join(workspace, 'artifacts', 'catalog-graph.json'))).toBe(false);
+
+    const promoted = await syncContext({ ...baseOptions, mode: 'promote' });
+    expect(promoted.promotedFrom).toEqual(expect.objectContaining({ syncedAt: canary.completedAt }));
+    expect(await exists(join(workspace, 'artifacts', 'catalog-graph.json'))).toBe(true);
+  });
+
+  test('refuses to promote a canary built from different manifests', async () => {
+    await syncContext({ ...baseOptions, mode: 'canary' });
+    await writeManifest('alpha', { ...ALPHA, name: 'Alpha API v3' });
+
+    await expect(syncContext({ ...baseOptions, mode: 'promote' })).rejects.toThrow(/Manifests changed/);
+  });
+
+  test('rejects unknown modes and targets', async () => {
+    await expect(syncContext({ ...baseOptions, mode: 'nightly' })).rejects.toThrow(/Unknown sync mode/);
+    await expect(syncContext({ ...baseOptions, targets: 'graph,search' })).rejects.toThrow(/Unknown sync target/);
+  });
+});
@@ -11,7 +11,7 @@ function parseMCPContent(result: any): any {
 }
 
 describe('MCP E2E smoke path', () => {
-  test('list_test_files → discover_local → docs_mermaid; agent_run + workflow_run return 501 guidance', async () => {
+  test('list_test_files → discover_local → docs_mermaid; agent_run dispatches over A2A; workflow_run is IAM-gated', async () => {
     const pgMockPath = path.join(process.cwd(), 'tests', '_helpers', 'pg-mock.cjs');
     const nodeOptions = [process.env.NODE_OPTIONS, `--require ${pgMockPath}`].filter(Boolean).join(' ');
 
@@ -119,22 +119,21 @@ describe('MCP E2E smoke path', () => {
       expect(mermaidObj.nodeCount).toBeGreaterThanOrEqual(1);
       expect(mermaidObj.edgeCount).toBeGreaterThanOrEqual(0);
 
-      // 5) agent_run now returns explicit 501 guidance
+      // 5) agent_run resolves the URN and dispatches over A2A through the stub gateway
       const agentRunRes = await client.executeTool('agent_run', {
         agent_urn: 'urn:agent:runtime:agent@latest',
         tool: 'echo',
         args: { message: 'hello' }
       });
       const agentRunObj = parseMCPContent(agentRunRes);
-      expect(agentRunObj.status).toBe(501);
-      expect(agentRunObj.ok).toBe(false);
-      expect(agentRunObj.error).toBe('agent_run_unsupported');
+      expect(agentRunObj.status).toBe(200);
+      expect(agentRunObj.ok).toBe(true);
+      expect(agentRunObj.agent.transport).toBe('a2a');
+      expect(agentRunObj.result).toEqual({ ok: true, skill: 'echo', endpoint: 'runtime-agent', input: { message: 'hello' } });
+      expect(agentRunObj.attempts).toBe(1);
       expect(agentRunObj.requested.agentUrn).toBe('urn:agent:runtime:agent@latest');
-      expect(agentRunObj.requested.tool).toBe('echo');
-      expect(Array.isArray(agentRunObj.guidance)).toBe(true);
-      expect(agentRunObj.documentation).toContain('docs/SPRINT_21_SURFACE_CHANGES.md');
 
-      // 6) workflow_run also returns explicit 501 guidance
+      // 6) workflow_run is gated by the IAM delegation policy (tests/_tmp is not an approved resource)
       const tmpDir = path.join(process.cwd(), 'tests', '_tmp');
       await fs.mkdir(tmpDir, { recursive: true });
       const wfPath = path.join(tmpDir, 'workflow.json');
@@ -162,12 +161,12 @@ describe('MCP E2E smoke path', () => {
       const workflowRelativePath = path.relative(process.cwd(), wfPath);
       const wfRes = await client.executeTool('workflow_run', { workflow_path: workflowRelativePath });
       const wfObj = parseMCPContent(wfRes);
-      expect(wfObj.status).toBe(501);
+      expect(wfObj.status).toBe(403);
       expect(wfObj.ok).toBe(false);
-      expect(wfObj.error).toBe('workflow_run_unsupported');
+      expect(wfObj.error).toBe('workflow_run_forbidden');
+      expect(wfObj.authorization.capability).toBe('execute_workflow');
       expect(wfObj.requested.workflowPath).toBe(workflowRelativePath);
       expect(wfObj.requested.resolvedPath).toContain('tests/_tmp/workflow.json');
-      expect(Array.isArray(wfObj.guidance)).toBe(true);
 
     } finally {
       await stop();
@@ -0,0 +1,36 @@
+import fs from 'fs';
+import { BaseImporter } from '../../../../packages/runtime/importers/base-importer.mjs';
+
+/**
+ * Minimal workspace importer: Avro record schemas (.avsc) to event manifests
+ */
+export default class AvroImporter extends BaseImporter {
+  static manifestType = 'event';
+  static sources = ['./schema.avsc'];
+
+  constructor(options = {}) {
+    super();
+    this.options = options;
+  }
+
+  async detect(context) {
+    return /\.avsc$/i.test(context?.path || '');
+  }
+
+  async import(context) {
+    const schema = JSON.parse(fs.readFileSync(context.path, 'utf8'));
+    return {
+      protocol: 'event-protocol/v1',
+      urn: `urn:events:${this.options.domain || 'avro'}:${schema.name.toLowerCase()}`,
+      event: { name: schema.name, version: '1.0.0' },
+      schema: { format: 'avro', payload: schema },
+      metadata: { status: 'draft', manifest_type: context.manifestType }
+    };
+  }
+
+  async validate(manifest) {
+    return manifest.schema?.payload?.type === 'record'
+      ? { valid: true, errors: [] }
+      : { valid: false, errors: ['schema.payload must be an Avro record'] };
+  }
+}
@@ -0,0 +1 @@
+export const notAnImporter = true;
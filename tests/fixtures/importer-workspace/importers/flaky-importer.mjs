@@ -0,0 +1,16 @@
+import { BaseImporter } from '../../../../packages/runtime/importers/base-importer.mjs';
+
+/**
+ * Workspace importer that loads but fails while sniffing sources
+ */
+export default class FlakyImporter extends BaseImporter {
+  static manifestType = 'data';
+
+  async detect() {
+    throw new Error('schema cache is unavailable');
+  }
+
+  async import() {
+    throw new Error('FlakyImporter cannot import');
+  }
+}
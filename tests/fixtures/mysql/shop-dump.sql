@@ -0,0 +1,121 @@
+-- MySQL dump 10.13  Distrib 8.0.36, for Linux (x86_64)
+--
+-- Host: localhost    Database: shop
+-- ------------------------------------------------------
+-- Server version	8.0.36
+
+/*!40101 SET @OLD_CHARACTER_SET_CLIENT=@@CHARACTER_SET_CLIENT */;
+/*!50503 SET NAMES utf8mb4 */;
+/*!40014 SET @OLD_FOREIGN_KEY_CHECKS=@@FOREIGN_KEY_CHECKS, FOREIGN_KEY_CHECKS=0 */;
+
+--
+-- Current Database: `shop`
+--
+
+CREATE DATABASE /*!32312 IF NOT EXISTS*/ `shop` /*!40100 DEFAULT CHARACTER SET utf8mb4 */;
+
+USE `shop`;
+
+--
+-- Table structure for table `customers`
+--
+
+DROP TABLE IF EXISTS `customers`;
+/*!40101 SET @saved_cs_client     = @@character_set_client */;
+CREATE TABLE `customers` (
+  `id` int unsigned NOT NULL AUTO_INCREMENT,
+  `email` varchar(255) NOT NULL COMMENT 'Login email',
+  `full_name` varchar(120) DEFAULT NULL,
+  `phone` varchar(32) DEFAULT NULL,
+  `is_active` tinyint(1) NOT NULL DEFAULT '1',
+  `tier` enum('free','pro','enterprise') NOT NULL DEFAULT 'free',
+  `created_at` datetime NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  `updated_at` timestamp NULL DEFAULT NULL ON UPDATE CURRENT_TIMESTAMP,
+  PRIMARY KEY (`id`),
+  UNIQUE KEY `uq_customers_email` (`email`),
+  KEY `idx_customers_name` (`full_name`(50))
+) ENGINE=InnoDB AUTO_INCREMENT=4 DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_0900_ai_ci COMMENT='Registered shoppers';
+/*!40101 SET character_set_client = @saved_cs_client */;
+
+--
+-- Dumping data for table `customers`
+--
+
+LOCK TABLES `customers` WRITE;
+/*!40000 ALTER TABLE `customers` DISABLE KEYS */;
+INSERT INTO `customers` VALUES (1,'ada@example.com','Ada Lovelace','+1-555-0100',1,'pro','2024-01-02 10:00:00',NULL),(2,'alan@example.org','Alan Turing','+1-555-0101',1,'free','2024-01-03 11:30:00',NULL),(3,'grace@example.net','Grace O\'Hopper',NULL,0,'enterprise','2024-01-04 09:15:00','2024-02-01 08:00:00');
+/*!40000 ALTER TABLE `customers` ENABLE KEYS */;
+UNLOCK TABLES;
+
+--
+-- Table structure for table `orders`
+--
+
+DROP TABLE IF EXISTS `orders`;
+CREATE TABLE `orders` (
+  `id` bigint NOT NULL AUTO_INCREMENT,
+  `customer_id` int unsigned NOT NULL,
+  `total` decimal(10,2) NOT NULL DEFAULT '0.00',
+  `status` varchar(20) NOT NULL DEFAULT 'pending',
+  `shipping_address` text,
+  `payload` json DEFAULT NULL,
+  `placed_at` datetime NOT NULL,
+  PRIMARY KEY (`id`),
+  KEY `idx_orders_customer` (`customer_id`,`placed_at`),
+  FULLTEXT KEY `ft_orders_address` (`shipping_address`),
+  CONSTRAINT `fk_orders_customer` FOREIGN KEY (`customer_id`) REFERENCES `customers` (`id`) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+
+LOCK TABLES `orders` WRITE;
+INSERT INTO `orders` VALUES (10,1,19.99,'shipped','1 Analytical Way; London',_utf8mb4'{\"gift\": false}','2024-03-01 12:00:00'),(11,2,-5.00,'refunded',NULL,NULL,'2024-03-02 12:00:00');
+UNLOCK TABLES;
+
+--
+-- Table structure for table `order_items`
+--
+
+DROP TABLE IF EXISTS `order_items`;
+CREATE TABLE `order_items` (
+  `order_id` bigint NOT NULL,
+  `line_no` smallint NOT NULL,
+  `sku` char(12) NOT NULL,
+  `quantity` int NOT NULL DEFAULT '1',
+  `thumbnail` blob,
+  PRIMARY KEY (`order_id`,`line_no`),
+  CONSTRAINT `fk_items_order` FOREIGN KEY (`order_id`) REFERENCES `orders` (`id`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+
+--
+-- Temporary view structure for view `active_customers`
+--
+
+DROP TABLE IF EXISTS `active_customers`;
+/*!50001 DROP VIEW IF EXISTS `active_customers`*/;
+SET @saved_cs_client     = @@character_set_client;
+/*!50503 SET character_set_client = utf8mb4 */;
+/*!50001 CREATE VIEW `active_customers` AS SELECT
+ 1 AS `id`,
+ 1 AS `email`,
+ 1 AS `order_count` */;
+SET character_set_client = @saved_cs_client;
+
+DELIMITER ;;
+/*!50003 CREATE*/ /*!50017 DEFINER=`root`@`localhost`*/ /*!50003 TRIGGER `orders_touch` BEFORE UPDATE ON `orders` FOR EACH ROW BEGIN
+  SET NEW.status = LOWER(NEW.status);
+END */;;
+DELIMITER ;
+
+--
+-- Final view structure for view `active_customers`
+--
+
+/*!50001 DROP VIEW IF EXISTS `active_customers`*/;
+/*!50001 SET @saved_cs_client          = @@character_set_client */;
+/*!50001 CREATE ALGORITHM=UNDEFINED */
+/*!50013 DEFINER=`root`@`localhost` SQL SECURITY DEFINER */
+/*!50001 VIEW `active_customers` AS select `c`.`id` AS `id`,`c`.`email` AS `email`,count(`o`.`id`) AS `order_count` from (`customers` `c` left join `orders` `o` on((`o`.`customer_id` = `c`.`id`))) where (`c`.`is_active` = 1) group by `c`.`id`,`c`.`email` */;
+/*!50001 SET character_set_client      = @saved_cs_client */;
+
+/*!40014 SET FOREIGN_KEY_CHECKS=@OLD_FOREIGN_KEY_CHECKS */;
+
+-- Dump completed on 2024-03-05 10:00:00
@@ -0,0 +1,79 @@
+--
+-- PostgreSQL database dump
+--
+
+SET statement_timeout = 0;
+SET client_encoding = 'UTF8';
+SELECT pg_catalog.set_config('search_path', '', false);
+
+CREATE SCHEMA billing;
+
+CREATE FUNCTION billing.touch_updated() RETURNS trigger
+    LANGUAGE plpgsql
+    AS $$
+BEGIN
+  NEW.updated_at := now();
+  RETURN NEW;
+END;
+$$;
+
+CREATE TABLE billing.customers (
+    id bigint NOT NULL,
+    email character varying(255) NOT NULL,
+    ssn text,
+    created_at timestamp with time zone DEFAULT now() NOT NULL,
+    updated_at timestamp with time zone
+);
+
+COMMENT ON TABLE billing.customers IS 'Billing accounts';
+COMMENT ON COLUMN billing.customers.email IS 'Invoice recipient';
+
+CREATE TABLE billing.invoices (
+    id bigint NOT NULL,
+    customer_id bigint NOT NULL,
+    amount numeric(12,2) NOT NULL,
+    currency character(3) DEFAULT 'USD'::bpchar NOT NULL,
+    tags text[],
+    metadata jsonb
+);
+
+CREATE TABLE billing.invoice_lines (
+    invoice_id bigint NOT NULL,
+    line_no integer NOT NULL,
+    description text
+);
+
+CREATE VIEW billing.open_invoices AS
+ SELECT i.id,
+    c.email
+   FROM (billing.invoices i
+     JOIN billing.customers c ON ((c.id = i.customer_id)));
+
+COPY billing.customers (id, email, ssn, created_at, updated_at) FROM stdin;
+1	ada@example.com	123-45-6789	2024-01-02 10:00:00+00	\N
+2	alan@example.org	\N	2024-01-03 11:30:00+00	\N
+\.
+
+ALTER TABLE ONLY billing.customers
+    ADD CONSTRAINT customers_pkey PRIMARY KEY (id);
+
+ALTER TABLE ONLY billing.customers
+    ADD CONSTRAINT customers_email_key UNIQUE (email);
+
+ALTER TABLE ONLY billing.invoices
+    ADD CONSTRAINT invoices_pkey PRIMARY KEY (id);
+
+ALTER TABLE ONLY billing.invoice_lines
+    ADD CONSTRAINT invoice_lines_pkey PRIMARY KEY (invoice_id, line_no);
+
+CREATE INDEX invoices_customer_idx ON billing.invoices USING btree (customer_id);
+
+ALTER TABLE ONLY billing.invoices
+    ADD CONSTRAINT invoices_customer_id_fkey FOREIGN KEY (customer_id) REFERENCES billing.customers(id);
+
+ALTER TABLE ONLY billing.invoice_lines
+    ADD CONSTRAINT invoice_lines_invoice_id_fkey FOREIGN KEY (invoice_id) REFERENCES billing.invoices(id) ON DELETE CASCADE;
+
+--
+-- PostgreSQL database dump complete
+--
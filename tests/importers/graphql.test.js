@@ -0,0 +1,165 @@
+/*
+ * Tests for the GraphQL importer
+ * SDL files and introspection results to API and Event Protocol manifests
+ */
+
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+import { GraphQLImporter } from '../../packages/runtime/importers/graphql/importer.js';
+import { parseSdl, unwrapTypeRef } from '../../packages/runtime/importers/graphql/schema-parser.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const SDL_PATH = path.join(__dirname, '../fixtures/graphql/shop.graphql');
+const INTROSPECTION_PATH = path.join(__dirname, '../fixtures/graphql/inventory-introspection.json');
+
+const endpointFor = (manifest, operation, field) =>
+  manifest.interface.endpoints.find(e => e.graphql.operation === operation && e.graphql.field === field);
+
+describe('GraphQL schema parser', () => {
+  test('parses type system definitions with descriptions and directives', () => {
+    const schema = parseSdl(`
+      """
+      Block
+        description
+      """
+      type Query { books(limit: Int = 20): [Book!]! @deprecated }
+      type Book { id: ID! }
+      extend type Book { title: String }
+    `);
+
+    expect(schema.queryType).toBe('Query');
+    const query = schema.types.find(t => t.name === 'Query');
+    expect(query.description).toBe('Block\n  description');
+    expect(query.fields[0]).toMatchObject({
+      name: 'books',
+      isDeprecated: true,
+      deprecationReason: 'No longer supported',
+      args: [{ name: 'limit', defaultValue: '20' }]
+    });
+    expect(unwrapTypeRef(query.fields[0].type)).toEqual({ name: 'Book', required: true, list: true, itemRequired: true });
+    expect(schema.types.find(t => t.name === 'Book').fields.map(f => f.name)).toEqual(['id', 'title']);
+  });
+
+  test('reports syntax errors with line numbers', () => {
+    expect(() => parseSdl('type Query {\n  name String\n}')).toThrow('GraphQL syntax error (line 2)');
+    expect(() => parseSdl('query { me { id } }')).toThrow('Executable definitions');
+  });
+});
+
+describe('GraphQLImporter', () => {
+  let manifest;
+
+  beforeAll(async () => {
+    manifest = await new GraphQLImporter({ strictMode: true }).import(SDL_PATH);
+  });
+
+  test('maps root operation fields to API endpoints', () => {
+    expect(manifest.service).toEqual({
+      name: 'shop',
+      version: '1.0.0',
+      urn: 'urn:proto:api:shop/service@1.0.0',
+      description: 'Storefront API used by the web and mobile clients.'
+    });
+    expect(manifest.interface.endpoints.map(e => `${e.graphql.operation}.${e.operationId}`)).toEqual([
+      'query.customer',
+      'query.orders',
+      'query.search',
+      'query.legacyOrders',
+      'mutation.placeOrder',
+      'mutation.cancelOrder',
+      'subscription.orderStatusChanged',
+      'subscription.customerCreated'
+    ]);
+
+    const placeOrder = endpointFor(manifest, 'mutation', 'placeOrder');
+    expect(placeOrder).toMatchObject({
+      method: 'POST',
+      path: '/graphql',
+      summary: 'Place an order for a customer.',
+      urn: 'urn:proto:api.endpoint:shop/op/mutation.place-order@1.0.0',
+      request: {
+        contentType: 'application/json',
+        required: true,
+        schema: { properties: { input: { $ref: '#/validation/schemas/PlaceOrderInput' } }, required: ['input'] }
+      },
+      responses: [{ status: 200, schema: { $ref: '#/validation/schemas/Order' } }]
+    });
+  });
+
+  test('detects pagination and deprecation', () => {
+    expect(endpointFor(manifest, 'query', 'orders').pagination).toEqual({
+      style: 'cursor',
+      params: { cursor: 'after', limit: 'first' }
+    });
+    expect(endpointFor(manifest, 'query', 'legacyOrders')).toMatchObject({
+      pagination: { style: 'page', params: { page: 'page', limit: 'pageSize' } },
+      deprecated: true,
+      deprecation_reason: 'Use orders'
+    });
+  });
+
+  test('carries type definitions into schemas with PII annotations', () => {
+    const { schemas } = manifest.validation;
+    expect(Object.keys(schemas)).not.toContain('Query');
+    expect(schemas.OrderStatus).toEqual({ type: 'string', enum: ['PENDING', 'PAID', 'SHIPPED', 'CANCELLED', 'REFUNDED'] });
+    expect(schemas.SearchResult.oneOf).toEqual([
+      { $ref: '#/validation/schemas/Customer' },
+      { $ref: '#/validation/schemas/Order' }
+    ]);
+    expect(schemas.OrderLineInput.required).toEqual(['sku']);
+
+    const customer = schemas.Customer;
+    expect(customer['x-graphql-implements']).toEqual(['Node']);
+    expect(customer.properties.email['x-pii']).toMatchObject({ category: 'email', tier: 'definite' });
+    expect(customer.properties.loyaltyCode['x-pii']).toMatchObject({ tier: 'explicit' });
+    expect(customer.properties.id['x-pii']).toBeUndefined();
+    expect(schemas.Order.properties.placedAt).toEqual({ type: 'string', format: 'date-time' });
+  });
+
+  test('links subscription endpoints to event URNs', () => {
+    expect(endpointFor(manifest, 'subscription', 'orderStatusChanged').event_urn).toBe('urn:events:shop:order:status-changed');
+  });
+
+  test('imports subscriptions as Event Protocol channels', async () => {
+    const { manifests, metadata } = await new GraphQLImporter().importEvents(SDL_PATH);
+
+    expect(metadata).toMatchObject({ source_format: 'sdl', channel_count: 2 });
+    const [orderStatus, customerCreated] = manifests;
+    expect(orderStatus).toMatchObject({
+      protocol: 'event-protocol/v1',
+      urn: 'urn:events:shop:order:status-changed',
+      event: { name: 'orderStatusChanged', lifecycle: { status: 'active' } },
+      delivery: { contract: { transport: 'graphql-subscription', topic: 'orderStatusChanged' } },
+      governance: { policy: { classification: 'pii' } }
+    });
+    expect(orderStatus.delivery.contract.filters.required).toEqual(['orderId']);
+    // Payloads are expanded inline so nested PII is found
+    expect(orderStatus.schema.fields.map(f => f.name)).toEqual(expect.arrayContaining([
+      'customer.email',
+      'shippingAddress.postalCode'
+    ]));
+    expect(customerCreated.urn).toBe('urn:events:shop:customer:created');
+  });
+
+  test('imports introspection results', async () => {
+    const fromJson = await new GraphQLImporter({ strictMode: true, serviceName: 'inventory' }).import(INTROSPECTION_PATH);
+
+    expect(fromJson.metadata.source).toMatchObject({ type: 'graphql', format: 'introspection', input_type: 'file' });
+    expect(fromJson.provenance).toMatchObject({ importer: 'GraphQLImporter', spec_hash: expect.stringMatching(/^[0-9a-f]{16}$/) });
+    expect(fromJson.interface.endpoints.map(e => e.operationId)).toEqual(['product', 'stockLevelChanged']);
+    expect(fromJson.validation.schemas.Product.properties.tags).toEqual({ type: 'array', items: { type: 'string' } });
+    expect(Object.keys(fromJson.validation.schemas)).not.toContain('__Schema');
+
+    const { manifests } = await new GraphQLImporter({ serviceName: 'inventory' }).importEvents(INTROSPECTION_PATH);
+    expect(manifests[0].urn).toBe('urn:events:inventory:stock:level-changed');
+  });
+
+  test('returns an error manifest for invalid schemas', async () => {
+    const result = await new GraphQLImporter().import('type Query {\n  broken(: String\n}');
+
+    expect(result.metadata.status).toBe('error');
+    expect(result.metadata.error.message).toContain('GraphQL syntax error (line 2)');
+  });
+});
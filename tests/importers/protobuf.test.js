@@ -0,0 +1,203 @@
+/*
+ * Tests for the Protobuf importer
+ * .proto files and directories to API and Event Protocol manifests
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+import { ProtobufImporter } from '../../packages/runtime/importers/protobuf/importer.js';
+import { BaseImporter } from '../../packages/runtime/importers/base-importer.mjs';
+import { BUILTIN_IMPORTERS } from '../../packages/runtime/importers/builtin-importers.mjs';
+import { parseProto } from '../../packages/runtime/importers/protobuf/proto-parser.js';
+import { loadProtoSchema } from '../../packages/runtime/importers/protobuf/proto-loader.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const PROTO_ROOT = path.join(__dirname, '../fixtures/protobuf');
+const ORDERS_PROTO = path.join(PROTO_ROOT, 'shop/orders/v1/orders.proto');
+
+const endpointFor = (manifest, method) =>
+  manifest.interface.endpoints.find(e => e.grpc.method === method);
+
+describe('Protobuf parser', () => {
+  test('parses messages, services, streaming and options', () => {
+    const file = parseProto(`
+      syntax = "proto3";
+      package demo.v1;
+
+      // Greeter service
+      service Greeter {
+        rpc Chat(stream Hello) returns (stream Hello) { option deprecated = true; }
+      }
+
+      message Hello {
+        option (kafka.topic) = "demo.hello";
+        string name = 1 [json_name = "n"];
+        map<string, int64> counts = 2;
+        oneof kind { bool formal = 3; }
+      }
+    `);
+
+    expect(file.package).toBe('demo.v1');
+    expect(file.services[0]).toMatchObject({ fullName: 'demo.v1.Greeter', comment: 'Greeter service' });
+    expect(file.services[0].methods[0]).toMatchObject({
+      name: 'Chat',
+      requestStream: true,
+      responseStream: true,
+      options: { deprecated: true }
+    });
+
+    const hello = file.messages[0];
+    expect(hello.options['kafka.topic']).toBe('demo.hello');
+    expect(hello.fields.map(f => f.name)).toEqual(['name', 'counts', 'formal']);
+    expect(hello.fields[1].map).toEqual({ keyType: 'string', valueType: 'int64' });
+    expect(hello.fields[2].oneof).toBe('kind');
+  });
+
+  test('reports syntax errors with file and line', () => {
+    expect(() => parseProto('syntax = "proto3";\nmessage Broken {\n  string = 1;\n}', { file: 'broken.proto' }))
+      .toThrow(/Protobuf syntax error \(broken\.proto:3\)/);
+  });
+});
+
+describe('Protobuf loader', () => {
+  test('follows imports from a single file to sibling packages', async () => {
+    const schema = await loadProtoSchema(ORDERS_PROTO);
+
+    expect(schema.types.has('shop.common.v1.Money')).toBe(true);
+    expect(schema.files.map(f => f.entry)).toContain(false);
+    expect(schema.warnings).toEqual([]);
+
+    const order = schema.types.get('shop.orders.v1.Order').definition;
+    expect(order.fields.find(f => f.name === 'total').resolvedType).toBe('shop.common.v1.Money');
+    expect(order.fields.find(f => f.name === 'created_at').resolvedType).toBe('google.protobuf.Timestamp');
+  });
+
+  test('warns about unresolved imports and types', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'proto-'));
+    try {
+      fs.writeFileSync(path.join(dir, 'a.proto'),
+        'syntax = "proto3";\nimport "missing.proto";\nmessage A { Unknown ref = 1; }\n');
+      const schema = await loadProtoSchema(dir);
+
+      expect(schema.warnings).toEqual([
+        'Import "missing.proto" not found (imported by a.proto)',
+        'Type "Unknown" not found (referenced by A.ref)'
+      ]);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
+
+describe('ProtobufImporter', () => {
+  test('implements the BaseImporter contract', async () => {
+    const importer = new ProtobufImporter();
+
+    expect(BUILTIN_IMPORTERS.find(entry => entry.id === 'protobuf').create()).toBeInstanceOf(BaseImporter);
+    await expect(importer.detect(ORDERS_PROTO)).resolves.toBe(true);
+    await expect(importer.detect(PROTO_ROOT)).resolves.toBe(true);
+    await expect(importer.detect({ content: 'syntax = "proto3";\nmessage A {}' })).resolves.toBe(true);
+    await expect(importer.detect(path.join(__dirname, '../fixtures/graphql'))).resolves.toBe(false);
+    await expect(importer.detect('./spec.yaml')).resolves.toBe(false);
+  });
+
+  test('imports RPCs as endpoints with streaming modes', async () => {
+    const manifest = await new ProtobufImporter().import(PROTO_ROOT);
+
+    expect(manifest.service).toMatchObject({
+      name: 'shop.orders.v1.OrderService',
+      version: '1.0.0',
+      urn: 'urn:proto:api:shop-orders-v1-order-service/service@1.0.0',
+      description: 'Order lifecycle management'
+    });
+    expect(manifest.interface.endpoints.map(e => [e.grpc.method, e.grpc.streaming])).toEqual([
+      ['GetOrder', 'unary'],
+      ['CreateOrder', 'unary'],
+      ['WatchOrder', 'server'],
+      ['ImportLineItems', 'client'],
+      ['Checkout', 'bidirectional']
+    ]);
+
+    const getOrder = endpointFor(manifest, 'GetOrder');
+    expect(getOrder).toMatchObject({
+      method: 'POST',
+      path: '/shop.orders.v1.OrderService/GetOrder',
+      operationId: 'OrderService.GetOrder',
+      summary: 'Fetch a single order',
+      http: { method: 'GET', path: '/v1/orders/{order_id}' },
+      request: { contentType: 'application/grpc', schema: { $ref: '#/validation/schemas/shop.orders.v1.GetOrderRequest' } }
+    });
+
+    const watch = endpointFor(manifest, 'WatchOrder');
+    expect(watch.responses[0].schema).toEqual({
+      type: 'array',
+      items: { $ref: '#/validation/schemas/shop.orders.v1.OrderEvent' },
+      'x-stream': true
+    });
+    expect(endpointFor(manifest, 'Checkout').deprecated).toBe(true);
+    expect(endpointFor(manifest, 'CreateOrder').event_urns).toEqual(['urn:events:shop:orders:created']);
+
+    await expect(new ProtobufImporter().validate(manifest)).resolves.toEqual({ valid: true, errors: [] });
+  });
+
+  test('maps messages to schemas with PII annotations', async () => {
+    const manifest = await new ProtobufImporter().import(ORDERS_PROTO);
+    const { schemas } = manifest.validation;
+
+    expect(Object.keys(schemas)).toEqual(expect.arrayContaining([
+      'shop.orders.v1.Order', 'shop.orders.v1.OrderStatus', 'shop.common.v1.Money'
+    ]));
+    expect(manifest.metadata.source.files).toEqual(['orders.proto']);
+
+    const order = schemas['shop.orders.v1.Order'].properties;
+    expect(order.items).toMatchObject({ type: 'array', items: { $ref: '#/validation/schemas/shop.orders.v1.LineItem' } });
+    expect(order.created_at).toMatchObject({ type: 'string', format: 'date-time' });
+    expect(order.labels).toMatchObject({ type: 'object', additionalProperties: { type: 'string' } });
+    expect(order.status.enum).toContain('ORDER_STATUS_SHIPPED');
+    expect(order.customer_email['x-pii']).toMatchObject({ category: 'email', tier: 'definite' });
+    expect(order.tax_id['x-pii']).toMatchObject({ tier: 'explicit' });
+    expect(schemas['shop.common.v1.Money'].properties.units).toEqual({ type: 'string', format: 'int64', 'x-proto-number': 2 });
+    expect(schemas['shop.orders.v1.CheckoutCommand'].properties.confirm['x-oneof']).toBe('command');
+  });
+
+  test('imports topic options as event manifests', async () => {
+    const { manifests, metadata } = await new ProtobufImporter().importEvents(PROTO_ROOT);
+
+    expect(metadata.channel_count).toBe(2);
+    const [pubsub, kafka] = manifests;
+
+    expect(pubsub.delivery.contract).toMatchObject({
+      transport: 'pubsub',
+      topic: 'projects/shop/topics/order-status-changed',
+      option: 'pubsub.topic.name'
+    });
+    expect(pubsub.schema.message).toBe('shop.orders.v1.OrderEvent');
+    expect(pubsub.schema.payload.properties.changed_at.format).toBe('date-time');
+
+    expect(kafka).toMatchObject({
+      protocol: 'event-protocol/v1',
+      urn: 'urn:events:shop:orders:created',
+      schema: { format: 'protobuf', message: 'shop.orders.v1.CreateOrderRequest' },
+      delivery: { contract: { transport: 'kafka', topic: 'shop.orders.created' } },
+      governance: { policy: { classification: 'pii' } }
+    });
+    expect(kafka.schema.payload.properties.items.items.properties.price.properties.units.format).toBe('int64');
+    expect(kafka.schema.fields.map(f => f.name)).toContain('customer_email');
+
+    await expect(new ProtobufImporter().validate(kafka)).resolves.toEqual({ valid: true, errors: [] });
+  });
+
+  test('returns an error manifest unless strict', async () => {
+    const manifest = await new ProtobufImporter().import(path.join(PROTO_ROOT, 'missing.proto'));
+
+    expect(manifest.metadata.status).toBe('error');
+    expect(manifest.metadata.error.message).toContain('Protobuf source not found');
+    await expect(new ProtobufImporter().validate(manifest)).resolves.toMatchObject({ valid: false });
+    await expect(new ProtobufImporter({ strictMode: true }).import(path.join(PROTO_ROOT, 'missing.proto')))
+      .rejects.toThrow('Protobuf source not found');
+  });
+});
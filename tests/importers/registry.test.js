@@ -0,0 +1,183 @@
+/*
+ * Tests for the importer registry
+ * Built-in definitions, workspace importers and detect()-driven discovery
+ */
+
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+import {
+  ImporterRegistry,
+  createBuiltinRegistry,
+  loadImporterRegistry
+} from '../../packages/runtime/importers/registry.mjs';
+import { BaseImporter } from '../../packages/runtime/importers/base-importer.mjs';
+import {
+  discoverCommand,
+  listImportersCommand
+} from '../../packages/runtime/cli/commands/discover.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const WORKSPACE = path.join(__dirname, '../fixtures/importer-workspace');
+const AVRO_SCHEMA = path.join(WORKSPACE, 'schemas/invoice.avsc');
+
+class StubImporter extends BaseImporter {
+  constructor(matches) {
+    super();
+    this.matches = matches;
+  }
+
+  async detect(context) {
+    return this.matches(context.source);
+  }
+}
+
+describe('ImporterRegistry', () => {
+  test('lists built-ins in detection order', () => {
+    const ids = createBuiltinRegistry().list().map(importer => importer.id);
+
+    expect(ids[0]).toBe('postgres');
+    expect(ids.indexOf('asyncapi-url')).toBeLessThan(ids.indexOf('openapi-url'));
+    expect(ids.indexOf('mysql')).toBeLessThan(ids.indexOf('ddl'));
+    expect(ids[ids.length - 1]).toBe('openapi');
+  });
+
+  test('detect() prefers importers producing the requested manifest type', async () => {
+    const registry = new ImporterRegistry();
+    registry.register({ id: 'generic', manifestTypes: ['api'], priority: 10, create: () => new StubImporter(() => true) });
+    registry.register({ id: 'events', manifestTypes: ['event'], priority: 1, create: () => new StubImporter(() => true) });
+
+    expect((await registry.detect('./spec.json')).id).toBe('generic');
+    expect((await registry.detect('./spec.json', { manifestType: 'event' })).id).toBe('events');
+    expect((await registry.detect('./spec.json', { manifestType: 'auto' })).id).toBe('generic');
+  });
+
+  test('treats a throwing detect() as a non-match', async () => {
+    const registry = new ImporterRegistry();
+    registry.register({
+      id: 'flaky',
+      manifestTypes: ['data'],
+      priority: 5,
+      create: () => new StubImporter(() => { throw new Error('boom'); })
+    });
+    registry.register({ id: 'fallback', manifestTypes: ['data'], create: () => new StubImporter(() => true) });
+
+    expect((await registry.detect('./db.sql')).id).toBe('fallback');
+    expect(registry.errors).toEqual([{ importer: 'flaky', message: 'detect() failed: boom' }]);
+  });
+
+  test('rejects invalid and duplicate definitions', () => {
+    const registry = createBuiltinRegistry();
+    const create = () => new StubImporter(() => false);
+
+    expect(() => registry.register({ id: 'openapi', manifestTypes: ['api'], create }))
+      .toThrow('Importer "openapi" is already registered');
+    expect(() => registry.register({ id: 'Bad Id', manifestTypes: ['api'], create }))
+      .toThrow('Importer id must be lowercase');
+    expect(() => registry.register({ id: 'thrift', manifestTypes: ['rpc'], create }))
+      .toThrow('must declare manifest types from api, data, event');
+  });
+});
+
+describe('workspace importers', () => {
+  test('loads importers listed in app/config/importers.config.json', async () => {
+    const registry = await loadImporterRegistry({ workspace: WORKSPACE });
+    const avro = registry.get('avro');
+
+    expect(avro).toMatchObject({
+      name: 'AvroImporter',
+      manifestTypes: ['event'],
+      priority: 100,
+      origin: 'path',
+      module: './importers/avro-importer.mjs',
+      sources: ['./schema.avsc']
+    });
+    expect(registry.list()[0].id).toBe('avro');
+    expect(registry.errors).toEqual([{
+      importer: './importers/broken-importer.mjs',
+      message: 'Importer module "./importers/broken-importer.mjs" has no default or "importer" export'
+    }]);
+
+    expect((await registry.detect(AVRO_SCHEMA)).id).toBe('avro');
+    expect((await registry.detect('./openapi.json')).id).toBe('openapi');
+  });
+
+  test('records unreadable config without dropping built-ins', async () => {
+    const workspace = await fs.mkdtemp(path.join(os.tmpdir(), 'importer-ws-'));
+    try {
+      await fs.outputFile(path.join(workspace, 'app/config/importers.config.json'), '{ "importers": {} }');
+      const registry = await loadImporterRegistry({ workspace });
+
+      expect(registry.has('openapi')).toBe(true);
+      expect(registry.errors[0].message).toContain('"importers" must be an array');
+    } finally {
+      await fs.remove(workspace);
+    }
+  });
+
+  test('discovers with a workspace importer and runs its validate()', async () => {
+    const output = await fs.mkdtemp(path.join(os.tmpdir(), 'importer-out-'));
+    const logSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+    const warnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    try {
+      const manifest = await discoverCommand('auto', AVRO_SCHEMA, { workspace: WORKSPACE, output, format: 'json' });
+
+      expect(manifest).toMatchObject({
+        urn: 'urn:events:billing:invoiceissued',
+        metadata: { manifest_type: 'event', status: 'draft' }
+      });
+      expect(await fs.pathExists(path.join(output, 'event-manifest.draft.json'))).toBe(true);
+      expect(process.exitCode).toBeUndefined();
+
+      const forced = await discoverCommand('event', AVRO_SCHEMA, { workspace: WORKSPACE, output, importer: 'openapi' });
+      expect(forced).toBeNull();
+      expect(errorSpy.mock.calls.flat().join('\n')).toContain('Event discovery requires AsyncAPI specification');
+    } finally {
+      process.exitCode = undefined;
+      logSpy.mockRestore();
+      warnSpy.mockRestore();
+      errorSpy.mockRestore();
+      await fs.remove(output);
+    }
+  });
+
+  test('reports detect() failures when no importer accepts the source', async () => {
+    const warnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    try {
+      const manifest = await discoverCommand('auto', './unknown.thrift', { workspace: WORKSPACE });
+      const warnings = warnSpy.mock.calls.flat().join('\n');
+
+      expect(manifest).toBeNull();
+      expect(process.exitCode).toBe(1);
+      expect(warnings).toContain('Importer flaky unavailable: detect() failed: schema cache is unavailable');
+      expect(warnings).toContain('./importers/broken-importer.mjs');
+      expect(errorSpy.mock.calls.flat().join('\n')).toContain('Could not detect source type');
+    } finally {
+      process.exitCode = undefined;
+      warnSpy.mockRestore();
+      errorSpy.mockRestore();
+    }
+  });
+
+  test('--list-importers reports importers and load errors as JSON', async () => {
+    const logSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+    try {
+      const importers = await listImportersCommand({ workspace: WORKSPACE, json: true });
+      const printed = JSON.parse(logSpy.mock.calls[0][0]);
+
+      expect(importers.map(importer => importer.id)).toEqual(printed.importers.map(importer => importer.id));
+      expect(printed.importers[0]).toMatchObject({ id: 'avro', origin: 'path' });
+      expect(printed.importers.find(importer => importer.id === 'protobuf').manifestTypes).toEqual(['api', 'event']);
+      expect(printed.errors).toHaveLength(1);
+    } finally {
+      logSpy.mockRestore();
+    }
+  });
+});
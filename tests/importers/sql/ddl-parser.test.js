@@ -0,0 +1,67 @@
+/*
+ * Tests for the SQL DDL parser
+ */
+
+import { parseSqlDdl, tokenizeStatements } from '../../../packages/runtime/importers/sql/ddl-parser.js';
+import { DdlIntrospector } from '../../../packages/runtime/importers/sql/ddl-introspector.js';
+
+describe('SQL DDL parser', () => {
+  test('keeps conditional comment bodies and honours DELIMITER blocks', () => {
+    const statements = tokenizeStatements([
+      '/*!40101 SET NAMES utf8mb4 */;',
+      '-- a comment; with a semicolon',
+      'DELIMITER ;;',
+      'CREATE TRIGGER t BEFORE INSERT ON x FOR EACH ROW BEGIN SET NEW.a = 1; END ;;',
+      'DELIMITER ;',
+      "SELECT 'a;b';"
+    ].join('\n'));
+
+    expect(statements).toHaveLength(3);
+    expect(statements[0].map(token => token.value)).toEqual(['SET', 'NAMES', 'utf8mb4']);
+    expect(statements[1].map(token => token.value)).toContain('END');
+    expect(statements[2][1]).toMatchObject({ type: 'string', value: 'a;b' });
+  });
+
+  test('parses ANSI-quoted DDL with inline and ALTER TABLE constraints', () => {
+    const catalog = parseSqlDdl(`
+      CREATE TABLE "public"."users" (
+        id serial PRIMARY KEY,
+        key text,
+        email text NOT NULL UNIQUE,
+        org_id integer REFERENCES orgs (id) ON DELETE SET NULL,
+        created timestamp with time zone DEFAULT now() NOT NULL
+      );
+      CREATE INDEX users_created_idx ON public.users USING brin (created);
+      ALTER TABLE ONLY public.users ADD CONSTRAINT users_owner_fk FOREIGN KEY (owner_id) REFERENCES public.owners(id);
+    `);
+    const [users] = catalog.tables;
+
+    expect(users.schema).toBe('public');
+    expect(users.columns.map(column => column.name)).toEqual(['id', 'key', 'email', 'org_id', 'created']);
+    expect(users.columns[4]).toMatchObject({ type: 'timestamp with time zone', nullable: false, default: 'now()' });
+    expect(users.primaryKey).toEqual(['id']);
+    expect(users.uniqueConstraints).toEqual([{ name: 'users_email_key', columns: ['email'] }]);
+    expect(users.indexes).toEqual([{ name: 'users_created_idx', columns: ['created'], unique: false, type: 'brin' }]);
+    expect(users.foreignKeys.map(fk => [fk.columns[0], fk.refTable, fk.onDelete])).toEqual([
+      ['org_id', 'orgs', 'SET NULL'],
+      ['owner_id', 'owners', null]
+    ]);
+  });
+
+  test('replaces placeholder tables with the final view definition', async () => {
+    const introspector = DdlIntrospector.fromSql(`
+      CREATE TABLE \`v\` (\`id\` tinyint NOT NULL) ENGINE=MyISAM;
+      CREATE TABLE \`t\` (\`id\` int NOT NULL, PRIMARY KEY (\`id\`));
+      INSERT INTO \`t\` VALUES (1),(2),(3);
+      DROP TABLE IF EXISTS \`v\`;
+      CREATE VIEW \`v\` AS select \`t\`.\`id\` AS \`id\` from \`t\` join (select 1 AS x from \`other\`) \`d\`;
+    `, { defaultSchema: 'app', maxSampleRows: 2 });
+
+    expect((await introspector.getTables()).map(table => table.table_name)).toEqual(['t']);
+    expect(await introspector.sampleData('app', 't', 2, ['id'])).toEqual([{ id: 1 }, { id: 2 }]);
+
+    const [view] = await introspector.getViews();
+    expect(view.sources).toEqual([{ schema: 'app', table: 't' }, { schema: 'app', table: 'other' }]);
+    expect((await introspector.getColumns('app', 'v'))[0]).toMatchObject({ column_name: 'id', data_type: 'int' });
+  });
+});
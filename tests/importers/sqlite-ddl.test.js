@@ -0,0 +1,152 @@
+/*
+ * Tests for the offline data importers
+ * SQLite database files (sqlite://) and SQL DDL files (ddl://)
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import sqlite3 from 'sqlite3';
+import { open } from 'sqlite';
+
+import { SQLiteImporter } from '../../packages/runtime/importers/sqlite/importer.js';
+import { DdlImporter } from '../../packages/runtime/importers/sql/ddl-importer.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const DDL_PATH = path.join(__dirname, '../fixtures/sql/billing-schema.sql');
+
+const datasetNamed = (manifest, name) => manifest.datasets.find(d => d.dataset.name === name);
+
+describe('SQLiteImporter', () => {
+  let dir;
+  let dbPath;
+
+  beforeAll(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sqlite-importer-'));
+    dbPath = path.join(dir, 'shop.db');
+    const db = await open({ filename: dbPath, driver: sqlite3.Database });
+    await db.exec(`
+      CREATE TABLE users (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        email TEXT NOT NULL UNIQUE,
+        display_name VARCHAR(80),
+        active BOOLEAN DEFAULT 1,
+        created_at DATETIME
+      );
+      CREATE TABLE orders (
+        id INTEGER PRIMARY KEY,
+        user_id INTEGER NOT NULL REFERENCES users,
+        total NUMERIC(10,2),
+        note
+      );
+      CREATE INDEX idx_orders_user ON orders (user_id);
+      CREATE VIEW big_orders AS SELECT o.id, u.email FROM orders o JOIN users u ON u.id = o.user_id WHERE o.total > 100;
+      INSERT INTO users (email, display_name) VALUES ('ada@example.com', 'Ada'), ('alan@example.org', 'Alan');
+    `);
+    await db.close();
+  });
+
+  afterAll(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('imports tables, keys and views from a database file', async () => {
+    const manifest = await new SQLiteImporter({ strictMode: true, applyOverrides: false }).import(`sqlite://${dbPath}`);
+
+    expect(manifest.catalog).toEqual({ name: 'shop', type: 'database', platform: 'sqlite' });
+    expect(manifest.metadata.source).toMatchObject({ type: 'sqlite', format: 'file', file: dbPath });
+    expect(manifest.provenance).toMatchObject({ importer: 'SQLiteImporter', source_hash: expect.stringMatching(/^[0-9a-f]{16}$/) });
+
+    const users = datasetNamed(manifest, 'main.users');
+    expect(users.dataset.urn).toBe('urn:proto:data:sqlite/main.users');
+    expect(users.schema.primary_key).toEqual(['id']);
+    expect(users.schema.keys.unique).toEqual(['email']);
+    expect(users.schema.fields.email).toMatchObject({ type: 'string', required: true, pii: true, pii_type: 'email' });
+    expect(users.schema.fields.active.type).toBe('boolean');
+    expect(users.schema.fields.created_at.type).toBe('timestamp');
+    expect(users.quality.row_count_estimate).toBe(2);
+
+    const orders = datasetNamed(manifest, 'main.orders');
+    // REFERENCES without a column resolves to the parent primary key
+    expect(orders.schema.keys.foreign_keys).toEqual([{ field: 'user_id', ref: 'main.users.id' }]);
+    expect(orders.schema.keys.indexes).toEqual([{ name: 'idx_orders_user', columns: ['user_id'], type: 'btree' }]);
+    expect(orders.lineage.sources).toEqual([{ type: 'table', id: 'main.users' }]);
+    expect(orders.schema.fields.total.type).toBe('decimal');
+    expect(orders.schema.fields.note.type).toBe('unknown');
+
+    const view = datasetNamed(manifest, 'main.big_orders');
+    expect(view.dataset.type).toBe('view');
+    expect(view.lineage.sources).toEqual([
+      { type: 'table', id: 'main.orders' },
+      { type: 'table', id: 'main.users' }
+    ]);
+  });
+
+  test('does not create missing database files', async () => {
+    const missing = path.join(dir, 'missing.db');
+    const manifest = await new SQLiteImporter().import(`sqlite://${missing}`);
+
+    expect(manifest.metadata.status).toBe('error');
+    expect(manifest.metadata.error.message).toContain('SQLite database not found');
+    expect(fs.existsSync(missing)).toBe(false);
+  });
+});
+
+describe('DdlImporter', () => {
+  let manifest;
+
+  beforeAll(async () => {
+    manifest = await new DdlImporter({ strictMode: true, applyOverrides: false }).import(`ddl://${DDL_PATH}`);
+  });
+
+  test('parses pg_dump schema files without a connection', () => {
+    expect(manifest.catalog).toEqual({ name: 'billing', type: 'database', platform: 'postgresql' });
+    expect(manifest.provenance.importer).toBe('DdlImporter');
+    expect(manifest.datasets.map(d => [d.dataset.name, d.dataset.type])).toEqual([
+      ['billing.customers', 'dimension'],
+      ['billing.invoices', 'dimension'],
+      ['billing.invoice_lines', 'dimension'],
+      ['billing.open_invoices', 'view']
+    ]);
+  });
+
+  test('keeps the live importer field and key shape', () => {
+    const customers = datasetNamed(manifest, 'billing.customers');
+    expect(customers.dataset.description).toBe('Billing accounts');
+    expect(customers.schema.primary_key).toEqual(['id']);
+    expect(customers.schema.keys).toEqual({ unique: ['email'] });
+    expect(customers.schema.fields.email).toEqual({
+      type: 'string',
+      required: true,
+      description: 'Invoice recipient',
+      pii: true,
+      pii_type: 'email',
+      urn: 'urn:proto:data:ddl/billing.customers.email'
+    });
+    expect(customers.schema.fields.created_at).toMatchObject({ type: 'timestamp', required: true });
+
+    const invoices = datasetNamed(manifest, 'billing.invoices');
+    expect(invoices.schema.fields.tags.type).toBe('array');
+    expect(invoices.schema.fields.metadata.type).toBe('json');
+    expect(invoices.schema.keys.indexes).toEqual([{ name: 'invoices_customer_idx', columns: ['customer_id'], type: 'btree' }]);
+  });
+
+  test('emits foreign-key edges for the graph', () => {
+    expect(datasetNamed(manifest, 'billing.invoices').schema.keys.foreign_keys).toEqual([
+      { field: 'customer_id', ref: 'billing.customers.id' }
+    ]);
+    expect(datasetNamed(manifest, 'billing.invoice_lines').lineage.sources).toEqual([
+      { type: 'table', id: 'billing.invoices' }
+    ]);
+    expect(datasetNamed(manifest, 'billing.open_invoices').lineage.sources).toEqual([
+      { type: 'table', id: 'billing.invoices' },
+      { type: 'table', id: 'billing.customers' }
+    ]);
+  });
+
+  test('flags PII from COPY sample rows', () => {
+    expect(datasetNamed(manifest, 'billing.customers').schema.fields.ssn).toMatchObject({ pii: true, pii_type: 'ssn' });
+  });
+});
@@ -1,10 +1,20 @@
 import { describe, expect, jest, test } from '@jest/globals';
+import { mkdtemp, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
 
-import { upsertManifest } from '../../packages/runtime/registry/repository.mjs';
+import { ensureSchema, openDb } from '../../packages/runtime/registry/db.mjs';
+import {
+  getManifest,
+  listRevisions,
+  tombstoneManifest,
+  upsertManifest,
+} from '../../packages/runtime/registry/repository.mjs';
 
 function createDbMock() {
   return {
     run: jest.fn(async () => {}),
+    get: jest.fn(async () => undefined),
   };
 }
 
@@ -84,3 +94,55 @@ describe('registry repository capability extraction', () => {
     expect(insertedCaps).toEqual(['urn:cap:wrapped']);
   });
 });
+
+describe('registry repository write transactions', () => {
+  async function withRegistry(fn) {
+    const dir = await mkdtemp(join(tmpdir(), 'registry-repo-'));
+    const db = await openDb({ dbPath: join(dir, 'registry.sqlite') });
+    try {
+      await ensureSchema(db);
+      await fn(db);
+    } finally {
+      await db.close();
+      await rm(dir, { recursive: true, force: true });
+    }
+  }
+
+  const capsFor = (prefix, count) =>
+    Array.from({ length: count }, (_, index) => `urn:cap:${prefix}:${index}`);
+
+  test('keeps the manifest, capability index and latest revision consistent under concurrent PUTs', async () => {
+    await withRegistry(async (db) => {
+      const urn = 'urn:demo:race';
+      const a = { id: 'a', capabilities: capsFor('a', 30) };
+      const b = { id: 'b', capabilities: capsFor('b', 2) };
+
+      await Promise.all([upsertManifest(db, urn, a), upsertManifest(db, urn, b)]);
+
+      const row = await db.get('SELECT body, digest FROM manifests WHERE urn=?', [urn]);
+      const [latest] = await listRevisions(db, urn, { limit: 1 });
+      const caps = await db.all('SELECT cap FROM capabilities WHERE urn=?', [urn]);
+      const stored = JSON.parse(row.body);
+
+      expect(latest.digest).toBe(row.digest);
+      expect(caps.map(({ cap }) => cap).sort()).toEqual([...stored.capabilities].sort());
+    });
+  });
+
+  test('rolls back every write when the compare-and-swap fails', async () => {
+    await withRegistry(async (db) => {
+      const urn = 'urn:demo:cas';
+      const { digest } = await upsertManifest(db, urn, { id: 'v1', capabilities: ['urn:cap:v1'] });
+
+      await expect(
+        upsertManifest(db, urn, { id: 'v2' }, { expectedDigest: 'stale' }),
+      ).rejects.toThrow();
+      await expect(tombstoneManifest(db, urn, { expectedDigest: 'stale' })).rejects.toThrow();
+
+      expect((await getManifest(db, urn)).digest).toBe(digest);
+      expect(await listRevisions(db, urn)).toHaveLength(1);
+      expect(await db.get("SELECT state FROM manifest_lifecycle WHERE urn=?", [urn])).toBeUndefined();
+      await upsertManifest(db, urn, { id: 'v3' });
+    });
+  });
+});
@@ -0,0 +1,170 @@
+import { afterEach, beforeEach, describe, expect, test } from '@jest/globals';
+import { mkdtemp, mkdir, readFile, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+
+import {
+  diffQaReports,
+  ndcgAtK,
+  normaliseQaDataset,
+  recallAtK,
+  reciprocalRank,
+  runRetrievalQa
+} from '../../src/retrieval/qa.js';
+import { retrievalQaCommand } from '../../cli/commands/retrieval-qa.js';
+
+const DATASET = {
+  name: 'unit',
+  k: [1, 3],
+  queries: [
+    {
+      id: 'orders',
+      query: 'order api',
+      relevant: [
+        { urn: 'urn:a', grade: 3 },
+        { urn: 'urn:b', grade: 1 }
+      ]
+    },
+    { id: 'payments', query: 'payments', expected: ['urn:c'] }
+  ]
+};
+
+function stubSearch(rankings) {
+  return {
+    async search({ query, limit }) {
+      const urns = rankings[query] ?? [];
+      return { ok: true, results: urns.slice(0, limit).map((urn, index) => ({ rank: index + 1, urn })) };
+    }
+  };
+}
+
+describe('retrieval QA metrics', () => {
+  test('computes recall@k, reciprocal rank and graded nDCG', () => {
+    const relevant = { 'urn:a': 3, 'urn:b': 1 };
+
+    expect(recallAtK(['urn:x', 'urn:a', 'urn:b'], relevant, 2)).toBe(0.5);
+    expect(recallAtK(['urn:x', 'urn:a', 'urn:b'], relevant, 3)).toBe(1);
+    expect(reciprocalRank(['urn:x', 'urn:a'], relevant)).toBe(0.5);
+    expect(reciprocalRank(['urn:x'], relevant)).toBe(0);
+    expect(ndcgAtK(['urn:a', 'urn:b'], relevant, 2)).toBeCloseTo(1);
+    expect(ndcgAtK(['urn:b', 'urn:a'], relevant, 2)).toBeLessThan(1);
+  });
+
+  test('normalises datasets and rejects queries without judgements', () => {
+    const dataset = normaliseQaDataset(DATASET);
+
+    expect(dataset.cutoffs).toEqual([1, 3]);
+    expect(dataset.queries[1].relevant).toEqual({ 'urn:c': 1 });
+    expect(() => normaliseQaDataset({ queries: [{ id: 'empty', query: 'x' }] })).toThrow(/no expected tool URNs/);
+    expect(() => normaliseQaDataset({ queries: [] })).toThrow(/non-empty "queries"/);
+  });
+
+  test('runs queries through the search service and aggregates scores', async () => {
+    const dataset = normaliseQaDataset(DATASET);
+    const report = await runRetrievalQa({
+      dataset,
+      searchService: stubSearch({ 'order api': ['urn:a', 'urn:x', 'urn:b'], payments: ['urn:x', 'urn:y'] })
+    });
+
+    expect(report.limit).toBe(3);
+    expect(report.aggregate.mrr).toBe(0.5);
+    expect(report.aggregate.recall[3]).toBe(0.5);
+    expect(report.queries[0].firstRelevantRank).toBe(1);
+    expect(report.queries[1].missing).toEqual(['urn:c']);
+  });
+
+  test('flags aggregate and per-query regressions against a baseline', async () => {
+    const dataset = normaliseQaDataset(DATASET);
+    const baseline = await runRetrievalQa({
+      dataset,
+      searchService: stubSearch({ 'order api': ['urn:a', 'urn:b'], payments: ['urn:c'] })
+    });
+    const current = await runRetrievalQa({
+      dataset,
+      searchService: stubSearch({ 'order api': ['urn:a', 'urn:b'], payments: ['urn:x', 'urn:y', 'urn:c'] })
+    });
+
+    const diff = diffQaReports(baseline, current);
+
+    expect(diff.regressed).toBe(true);
+    expect(diff.regressions.map((entry) => entry.metric)).toEqual(expect.arrayContaining(['mrr', 'recall@1']));
+    expect(diff.queries).toEqual([
+      expect.objectContaining({ id: 'payments', status: 'regressed', baselineRank: 1, currentRank: 3 })
+    ]);
+    expect(diffQaReports(baseline, baseline).regressed).toBe(false);
+  });
+
+  test('scores failed searches as misses and flags new failures as a regression', async () => {
+    const dataset = normaliseQaDataset(DATASET);
+    const baseline = await runRetrievalQa({
+      dataset,
+      searchService: stubSearch({ 'order api': ['urn:a', 'urn:b'], payments: ['urn:x', 'urn:y', 'urn:c'] })
+    });
+    const flaky = stubSearch({ 'order api': ['urn:a', 'urn:b'] });
+    const current = await runRetrievalQa({
+      dataset,
+      searchService: {
+        async search(request) {
+          if (request.query === 'payments') throw new Error('vector store unavailable');
+          return flaky.search(request);
+        }
+      }
+    });
+
+    expect(current.aggregate).toMatchObject({ failed: 1, mrr: 0.5 });
+    expect(current.aggregate.recall[3]).toBe(0.5);
+
+    const diff = diffQaReports(baseline, current);
+    expect(diff.regressed).toBe(true);
+    expect(diff.regressions.map((entry) => entry.metric)).toEqual(expect.arrayContaining(['mrr', 'failed']));
+    expect(diff.regressions.find((entry) => entry.metric === 'failed')).toMatchObject({ baseline: 0, current: 1 });
+  });
+});
+
+describe('sch retrieval qa command', () => {
+  let workspace;
+  let previousExitCode;
+
+  beforeEach(async () => {
+    previousExitCode = process.exitCode;
+    workspace = await mkdtemp(join(tmpdir(), 'retrieval-qa-'));
+    await mkdir(join(workspace, 'app', 'config', 'retrieval-qa'), { recursive: true });
+    await writeFile(join(workspace, 'app', 'config', 'retrieval-qa', 'unit.json'), JSON.stringify(DATASET), 'utf8');
+  });
+
+  afterEach(async () => {
+    process.exitCode = previousExitCode;
+    await rm(workspace, { recursive: true, force: true });
+  });
+
+  test('stores a baseline, writes reports and fails on regression', async () => {
+    const good = stubSearch({ 'order api': ['urn:a', 'urn:b'], payments: ['urn:c'] });
+    const worse = stubSearch({ 'order api': ['urn:b', 'urn:a'], payments: [] });
+
+    await retrievalQaCommand({
+      workspace,
+      dataset: 'unit',
+      updateBaseline: true,
+      json: true,
+      searchServiceFactory: () => good
+    });
+    const baseline = JSON.parse(
+      await readFile(join(workspace, 'app', 'config', 'retrieval-qa', 'unit.baseline.json'), 'utf8')
+    );
+    expect(baseline.aggregate.mrr).toBe(1);
+
+    const { diff } = await retrievalQaCommand({
+      workspace,
+      dataset: 'unit',
+      output: 'reports/qa.json',
+      json: true,
+      searchServiceFactory: () => worse
+    });
+
+    expect(diff.regressed).toBe(true);
+    expect(process.exitCode).toBe(1);
+    const written = JSON.parse(await readFile(join(workspace, 'reports', 'qa.json'), 'utf8'));
+    expect(written.diff.regressed).toBe(true);
+    expect(written.dataset.path).toBe('app/config/retrieval-qa/unit.json');
+  });
+});
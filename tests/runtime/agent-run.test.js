@@ -0,0 +1,192 @@
+/**
+ * Tests for agent_run dispatch (runtime surface)
+ */
+
+import { describe, it, expect } from '@jest/globals';
+
+import { runTool, selectAgentTransport } from '../../packages/runtime/src/agents/runtime.js';
+import { createCircuitBreakerManager } from '../../packages/runtime/runtime/circuit-breaker.js';
+import { URNResolutionError } from '../../packages/runtime/runtime/urn-types.js';
+
+const BILLING = 'urn:agent:billing:invoices@1.0.0';
+
+const fastRetry = { maxRetries: 2, baseDelay: 1, maxDelay: 2, jitter: false };
+
+function createDiscovery(agents = {}) {
+  return {
+    getAgent: async (urn) => agents[urn] ?? null,
+    cleanup: async () => {}
+  };
+}
+
+const unresolvable = {
+  resolveAgentUrn: async (urn) => {
+    throw new URNResolutionError(`Failed to resolve URN ${urn}`, null, urn);
+  }
+};
+
+function runBilling(agent, overrides = {}) {
+  return runTool({
+    agentUrn: BILLING,
+    tool: 'create_invoice',
+    args: { amount: 42 },
+    discovery: createDiscovery({ [BILLING]: agent }),
+    resolver: unresolvable,
+    circuitBreakers: createCircuitBreakerManager({ enableLogging: false }),
+    retry: fastRetry,
+    ...overrides
+  });
+}
+
+describe('runTool', () => {
+  it('dispatches over the transport declared in the agent manifest', async () => {
+    const calls = [];
+    const result = await runBilling(
+      {
+        urn: BILLING,
+        name: 'invoices',
+        version: '1.0.0',
+        communication: { supported: ['mcp', 'a2a'], endpoints: { mcp: { command: 'billing-mcp' } } }
+      },
+      {
+        transports: {
+          mcp: async ({ endpoint, tool, args }) => {
+            calls.push({ endpoint, tool, args });
+            return { result: [{ type: 'text', text: 'INV-1' }] };
+          }
+        }
+      }
+    );
+
+    expect(result).toMatchObject({
+      status: 200,
+      ok: true,
+      agent: { urn: BILLING, source: 'registry', transport: 'mcp', endpoint: 'billing-mcp' },
+      tool: 'create_invoice',
+      result: [{ type: 'text', text: 'INV-1' }],
+      artifacts: [],
+      attempts: 1
+    });
+    expect(calls).toEqual([{ endpoint: { command: 'billing-mcp' }, tool: 'create_invoice', args: { amount: 42 } }]);
+  });
+
+  it('retries transient failures and reports the attempts', async () => {
+    let attempts = 0;
+    const result = await runBilling(
+      { urn: BILLING, endpoints: { a2a: 'https://billing.example.test' } },
+      {
+        transports: {
+          a2a: async ({ endpoint }) => {
+            attempts += 1;
+            if (attempts < 3) {
+              throw Object.assign(new Error('upstream unavailable'), { retryable: true });
+            }
+            return { result: { invoiceId: 'INV-2', endpoint } };
+          }
+        }
+      }
+    );
+
+    expect(result).toMatchObject({
+      status: 200,
+      ok: true,
+      agent: { transport: 'a2a' },
+      result: { invoiceId: 'INV-2', endpoint: 'https://billing.example.test' },
+      attempts: 3
+    });
+  });
+
+  it('opens the circuit after repeated failures', async () => {
+    const circuitBreakers = createCircuitBreakerManager({ failureThreshold: 2, timeout: 60000, enableLogging: false });
+    const agent = { urn: BILLING, endpoints: { a2a: 'https://billing.example.test' } };
+    let calls = 0;
+    const transports = {
+      a2a: async () => {
+        calls += 1;
+        throw Object.assign(new Error('Agent responded with HTTP 400'), { status: 400, retryable: false });
+      }
+    };
+
+    const first = await runBilling(agent, { transports, circuitBreakers });
+    expect(first).toMatchObject({
+      status: 502,
+      ok: false,
+      error: 'agent_run_failed',
+      cause: { message: 'Agent responded with HTTP 400', status: 400 },
+      attempts: 1
+    });
+    await runBilling(agent, { transports, circuitBreakers });
+
+    const rejected = await runBilling(agent, { transports, circuitBreakers });
+    expect(rejected).toMatchObject({ status: 503, error: 'agent_unavailable', circuit: 'open', attempts: 0 });
+    expect(calls).toBe(2);
+  });
+
+  it('falls back to URN resolution and the A2A gateway', async () => {
+    const resolver = {
+      resolveAgentUrn: async (urn) => ({ metadata: { urn, name: 'search', version: 'latest', endpoints: {} } })
+    };
+    const seen = [];
+    const result = await runTool({
+      agentUrn: 'urn:agent:catalog:search',
+      tool: 'query',
+      discovery: createDiscovery(),
+      resolver,
+      a2aBaseUrl: 'http://gateway.example.test',
+      transports: {
+        a2a: async ({ agentUrn, endpoint }) => {
+          seen.push([agentUrn, endpoint]);
+          return { result: { hits: [] }, artifacts: ['report.json'] };
+        }
+      }
+    });
+
+    expect(result).toMatchObject({
+      status: 200,
+      agent: { source: 'resolver', transport: 'a2a', endpoint: 'http://gateway.example.test' },
+      artifacts: ['report.json']
+    });
+    expect(seen).toEqual([['urn:agent:catalog:search', 'http://gateway.example.test']]);
+  });
+
+  it('reports invalid, unknown and unreachable agents', async () => {
+    const invalid = await runTool({ agentUrn: 'not-a-urn', tool: 'x', discovery: createDiscovery(), resolver: unresolvable });
+    expect(invalid).toMatchObject({ status: 400, error: 'agent_urn_invalid' });
+
+    const missing = await runTool({
+      agentUrn: 'urn:agent:billing:refunds',
+      tool: 'x',
+      discovery: createDiscovery(),
+      resolver: unresolvable
+    });
+    expect(missing).toMatchObject({ status: 404, error: 'agent_not_found' });
+
+    const unreachable = await runBilling({ urn: BILLING, communication: { supported: ['mcp'] } });
+    expect(unreachable).toMatchObject({
+      status: 422,
+      error: 'agent_transport_unavailable',
+      agent: { transport: null, supported: ['mcp'] }
+    });
+
+    expect(await runTool({ agentUrn: BILLING })).toMatchObject({ status: 400, error: 'agent_run_invalid' });
+  });
+
+  it('selects transports from communication.supported, endpoints or the gateway', () => {
+    expect(selectAgentTransport({ endpoints: { mcp: 'billing-mcp' } })).toEqual({
+      transport: 'mcp',
+      endpoint: 'billing-mcp',
+      supported: ['mcp']
+    });
+    expect(
+      selectAgentTransport(
+        { communication: { supported: ['a2a', 'mcp'], endpoints: { mcp: 'billing-mcp' } } },
+        { transport: 'a2a', a2aBaseUrl: 'http://gateway.example.test' }
+      )
+    ).toEqual({ transport: 'a2a', endpoint: 'http://gateway.example.test', supported: ['a2a', 'mcp'] });
+    expect(selectAgentTransport({ communication: { supported: ['custom'] } }, { a2aBaseUrl: 'http://gw' })).toEqual({
+      transport: null,
+      endpoint: null,
+      supported: []
+    });
+  });
+});
@@ -0,0 +1,225 @@
+import { afterEach, describe, expect, it } from '@jest/globals';
+import { execFile } from 'node:child_process';
+import { fileURLToPath } from 'node:url';
+import request from 'supertest';
+
+import { createHttpServer, SESSION_HEADER } from '../../packages/runtime/bin/mcp/http-transport.js';
+import { createMetricsEndpoint } from '../../packages/runtime/services/mcp-server/metrics-endpoint.js';
+
+const API_KEY = 'mcp-http-test-key';
+const SERVER_BIN = fileURLToPath(new URL('../../packages/runtime/bin/protocol-mcp-server.js', import.meta.url));
+
+const tools = [
+  {
+    name: 'echo',
+    description: 'Echo the message back',
+    inputSchema: { type: 'object', properties: { message: { type: 'string' } } },
+    handler: async ({ message }) => ({ echoed: message }),
+  },
+];
+
+const resources = [
+  {
+    uriTemplate: 'notes://{id}',
+    name: 'Notes',
+    mimeType: 'text/plain',
+    read: async ({ id }) => ({ content: `note ${id}` }),
+  },
+];
+
+const servers = [];
+const metricsEndpoints = [];
+
+function createServer(overrides = {}) {
+  const server = createHttpServer({ name: 'test-mcp', tools, resources, apiKey: API_KEY, ...overrides });
+  servers.push(server);
+  return server;
+}
+
+const rpc = (app, body, sessionId) => {
+  const call = request(app).post('/mcp').set('X-API-Key', API_KEY).send(body);
+  return sessionId ? call.set(SESSION_HEADER, sessionId) : call;
+};
+
+async function initialize(app) {
+  const response = await rpc(app, {
+    jsonrpc: '2.0',
+    id: 1,
+    method: 'initialize',
+    params: { protocolVersion: '2025-03-26' },
+  }).expect(200);
+  return response.headers[SESSION_HEADER.toLowerCase()];
+}
+
+async function openStream(url, sessionId) {
+  const controller = new AbortController();
+  const response = await fetch(url, {
+    headers: { 'X-API-Key': API_KEY, [SESSION_HEADER]: sessionId, Accept: 'text/event-stream' },
+    signal: controller.signal,
+  });
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = decoder.decode((await reader.read()).value);
+  return {
+    response,
+    // Resolves with the next `event: message` payload
+    async next() {
+      while (!buffer.includes('\n\n') || !/^data: .*$/m.test(buffer)) {
+        // eslint-disable-next-line no-await-in-loop
+        buffer += decoder.decode((await reader.read()).value);
+      }
+      const match = /^data: (.*)$/m.exec(buffer);
+      buffer = buffer.slice(buffer.indexOf('\n\n', match.index) + 2);
+      return JSON.parse(match[1]);
+    },
+    close: () => controller.abort(),
+  };
+}
+
+afterEach(async () => {
+  await Promise.all(servers.splice(0).map((server) => server.close()));
+  metricsEndpoints.splice(0).forEach((endpoint) => endpoint.destroy());
+});
+
+describe('MCP HTTP transport', () => {
+  it('issues a session on initialize and serves tools and resources', async () => {
+    const { app, sessions } = createServer();
+    const sessionId = await initialize(app);
+    expect(sessions.get(sessionId)).toEqual(expect.objectContaining({ protocolVersion: '2025-03-26' }));
+
+    const listed = await rpc(app, { jsonrpc: '2.0', id: 2, method: 'tools/list' }, sessionId).expect(200);
+    expect(listed.body.result.tools.map((tool) => tool.name)).toEqual(['echo']);
+
+    const [called, read] = (
+      await rpc(
+        app,
+        [
+          { jsonrpc: '2.0', id: 3, method: 'tools/call', params: { name: 'echo', arguments: { message: 'hi' } } },
+          { jsonrpc: '2.0', id: 4, method: 'resources/read', params: { uri: 'notes://7' } },
+        ],
+        sessionId,
+      ).expect(200)
+    ).body;
+    expect(JSON.parse(called.result.content[0].text)).toEqual({ echoed: 'hi' });
+    expect(read).toEqual(expect.objectContaining({ id: 4, result: { contents: [expect.objectContaining({ text: 'note 7' })] } }));
+
+    await rpc(app, { jsonrpc: '2.0', method: 'notifications/initialized' }, sessionId).expect(202);
+  });
+
+  it('requires the API key and a known session', async () => {
+    const { app } = createServer();
+    const unauthorized = await request(app).post('/mcp').send({ jsonrpc: '2.0', id: 1, method: 'tools/list' }).expect(401);
+    expect(unauthorized.body.error).toBe('unauthorized');
+
+    const missing = await rpc(app, { jsonrpc: '2.0', id: 1, method: 'tools/list' }).expect(400);
+    expect(missing.body.error.code).toBe(-32000);
+    await rpc(app, { jsonrpc: '2.0', id: 1, method: 'tools/list' }, 'unknown-session').expect(404);
+
+    const sessionId = await initialize(app);
+    await request(app).delete('/mcp').set('X-API-Key', API_KEY).set(SESSION_HEADER, sessionId).expect(204);
+    await rpc(app, { jsonrpc: '2.0', id: 2, method: 'tools/list' }, sessionId).expect(404);
+
+    expect(() => createHttpServer({ name: 'test-mcp', tools })).toThrow(/API key/);
+  });
+
+  it('rejects malformed requests and foreign origins', async () => {
+    const { app } = createServer();
+    const malformed = await request(app)
+      .post('/mcp')
+      .set('X-API-Key', API_KEY)
+      .set('Content-Type', 'application/json')
+      .send('{"jsonrpc":"2.0","id":1')
+      .expect(400);
+    expect(malformed.body.error.code).toBe(-32700);
+
+    const invalid = await rpc(app, { id: 1, method: 'tools/list' }).expect(400);
+    expect(invalid.body.error.code).toBe(-32600);
+
+    await request(app)
+      .post('/mcp')
+      .set('Origin', 'https://attacker.example')
+      .set('X-API-Key', API_KEY)
+      .send({ jsonrpc: '2.0', id: 1, method: 'initialize', params: {} })
+      .expect(403);
+  });
+
+  it('streams notifications to the session over server-sent events', async () => {
+    const server = createServer();
+    const { url } = await server.listen({ port: 0 });
+    const sessionId = await initialize(server.app);
+
+    const stream = await openStream(url, sessionId);
+    try {
+      expect(stream.response.status).toBe(200);
+      expect(stream.response.headers.get('content-type')).toContain('text/event-stream');
+
+      expect(server.notify({ jsonrpc: '2.0', method: 'notifications/tools/list_changed' }, sessionId)).toBe(1);
+      expect((await stream.next()).method).toBe('notifications/tools/list_changed');
+    } finally {
+      stream.close();
+    }
+  });
+
+  it('delivers resource updates to subscribed sessions and tool list changes to all', async () => {
+    const server = createServer();
+    const { url } = await server.listen({ port: 0 });
+    const subscriber = await initialize(server.app);
+    const bystander = await initialize(server.app);
+
+    const subscribed = await rpc(
+      server.app,
+      { jsonrpc: '2.0', id: 2, method: 'resources/subscribe', params: { uri: 'notes://7' } },
+      subscriber,
+    ).expect(200);
+    expect(subscribed.body.result).toEqual({});
+    const unknown = await rpc(
+      server.app,
+      { jsonrpc: '2.0', id: 3, method: 'resources/subscribe', params: { uri: 'missing://x' } },
+      subscriber,
+    ).expect(200);
+    expect(unknown.body.error.code).toBe(-32602);
+
+    const stream = await openStream(url, subscriber);
+    try {
+      expect(server.mcp.notifyResourceUpdated('notes://8')).toBe(0);
+      expect(server.mcp.notifyResourceUpdated('notes://7')).toBe(1);
+      expect(await stream.next()).toEqual({
+        jsonrpc: '2.0',
+        method: 'notifications/resources/updated',
+        params: { uri: 'notes://7' },
+      });
+
+      server.mcp.registerTool({ name: 'shout', inputSchema: { type: 'object' }, handler: async () => 'HI' });
+      expect((await stream.next()).method).toBe('notifications/tools/list_changed');
+      const listed = await rpc(server.app, { jsonrpc: '2.0', id: 4, method: 'tools/list' }, bystander).expect(200);
+      expect(listed.body.result.tools.map((tool) => tool.name)).toEqual(['echo', 'shout']);
+    } finally {
+      stream.close();
+    }
+
+    await request(server.app).delete('/mcp').set('X-API-Key', API_KEY).set(SESSION_HEADER, subscriber).expect(204);
+    expect(server.mcp.notifyResourceUpdated('notes://7')).toBe(0);
+  });
+
+  it('mounts the metrics endpoint behind the API key', async () => {
+    const metricsEndpoint = createMetricsEndpoint({ enableLogging: false });
+    metricsEndpoints.push(metricsEndpoint);
+    metricsEndpoint.recordRequest('echo', 'mcp', 12, true);
+    const { app } = createServer({ metricsEndpoint });
+
+    await request(app).get('/metrics').expect(401);
+    const response = await request(app).get('/metrics').set('X-API-Key', API_KEY).expect(200);
+    expect(response.body.server.requests.total).toBe(1);
+  });
+
+  it('reports an unknown --transport without starting the server', async () => {
+    const result = await new Promise((resolve) => {
+      const child = execFile(process.execPath, [SERVER_BIN, '--transport', 'bogus'], { timeout: 30000 }, (error, stdout, stderr) => {
+        resolve({ code: child.exitCode, stderr });
+      });
+    });
+
+    expect(result.code).toBe(1);
+    expect(result.stderr).toBe('Unknown transport "bogus" (expected stdio or http)\n');
+  }, 40000);
+});
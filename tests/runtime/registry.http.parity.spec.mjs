@@ -205,6 +205,7 @@ describe('Runtime Registry HTTP Parity', () => {
         status: 'ok',
         urn: testUrn,
         digest: expect.stringMatching(/^[a-f0-9]{64}$/),
+        revision: expect.any(Number),
         provenance: null,
       });
     });
@@ -399,6 +400,7 @@ describe('Runtime Registry HTTP Parity', () => {
         manifest: testManifest,
         capabilities: expect.arrayContaining(['resolve.a', 'resolve.b']),
         digest: expect.stringMatching(/^[a-f0-9]{64}$/),
+        lifecycle: expect.objectContaining({ state: 'active' }),
       });
     });
 
@@ -4,6 +4,7 @@ import { tmpdir } from 'node:os';
 import path from 'node:path';
 
 import { createServer } from '../../packages/runtime/registry/server.mjs';
+import { generateKey, revokeKey } from '../../packages/runtime/security/keyring.mjs';
 
 const cleanupDirs = [];
 
@@ -93,6 +94,49 @@ describe('Registry server configuration edge cases', () => {
     ).rejects.toThrow(/Failed to load provenance verification key/);
   });
 
+  it('loads every keyring key, keeping revocation state for the verifier', async () => {
+    const dbPath = await createTempDbPath();
+    const keyringPath = path.join(path.dirname(dbPath), 'keys', 'keyring.json');
+    await generateKey(keyringPath, { keyid: 'current' });
+    await generateKey(keyringPath, { keyid: 'retired', alg: 'ES256' });
+    await revokeKey(keyringPath, 'retired');
+
+    const app = await createServer({
+      apiKey: 'coverage-key',
+      dbPath,
+      provenanceKeyringPath: keyringPath,
+    });
+
+    try {
+      const verifier = app.get('provenanceVerifier');
+      expect(verifier.map(({ keyid, alg, status }) => ({ keyid, alg, status }))).toEqual([
+        { keyid: 'current', alg: 'Ed25519', status: 'active' },
+        { keyid: 'retired', alg: 'ES256', status: 'revoked' },
+      ]);
+    } finally {
+      await app.get('changeFeed').stop();
+      await app.get('db').close();
+    }
+  });
+
+  it('refuses to enforce provenance when every keyring key is revoked', async () => {
+    const dbPath = await createTempDbPath();
+    const keyringPath = path.join(path.dirname(dbPath), 'keyring.json');
+    await generateKey(keyringPath, { keyid: 'only' });
+    await revokeKey(keyringPath, 'only');
+
+    await expect(
+      createServer({ apiKey: 'coverage-key', dbPath, provenanceKeyringPath: keyringPath }),
+    ).rejects.toThrow('Provenance enforcement enabled but no verification keys were loaded.');
+    await expect(
+      createServer({
+        apiKey: 'coverage-key',
+        dbPath,
+        provenanceKeyringPath: path.join(path.dirname(dbPath), 'missing.json'),
+      }),
+    ).rejects.toThrow(/Failed to load provenance keyring .*Keyring not found/);
+  });
+
   it('fails fast when API key is missing', async () => {
     const dbPath = await createTempDbPath();
     await expect(
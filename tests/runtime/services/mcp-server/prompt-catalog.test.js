@@ -0,0 +1,164 @@
+import { describe, test, expect, beforeEach, afterEach } from '@jest/globals';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import {
+  DEFAULT_PROMPT_CATALOG,
+  loadPromptCatalog,
+  createPromptDefinitions,
+  renderTemplate
+} from '../../../../packages/runtime/services/mcp-server/prompt-catalog.js';
+import { createMCPServer } from '../../../../packages/runtime/bin/mcp/shim.js';
+
+const providers = {
+  manifest: async ({ manifest_path }) => ({ metadata: { urn: `urn:proto:api:${manifest_path}` } }),
+  review: async ({ manifest_path }) => ({ valid: false, totalIssues: 1, issues: [{ rule: 'owner', manifest_path }] }),
+  diff: async ({ old_manifest_path, new_manifest_path }) => ({
+    summary: { totalChanges: 2, breaking: 1 },
+    changes: { breaking: [{ path: 'paths./users' }] },
+    breaking: { riskScore: 70, compared: [old_manifest_path, new_manifest_path] }
+  }),
+  migration: async () => ({ strategy: 'parallel-run', effort: 'medium' })
+};
+
+let tempDir;
+
+async function writeCatalog(name, catalog) {
+  const file = path.join(tempDir, name);
+  await fs.writeFile(file, typeof catalog === 'string' ? catalog : JSON.stringify(catalog));
+  return file;
+}
+
+beforeEach(async () => {
+  tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'mcp-prompts-'));
+});
+
+afterEach(async () => {
+  await fs.rm(tempDir, { recursive: true, force: true });
+});
+
+describe('renderTemplate', () => {
+  test('substitutes arguments and nested context, rendering objects as JSON', () => {
+    const text = renderTemplate('{{ name }}: {{context.review.totalIssues}} {{context.review.issues}}{{missing}}', {
+      name: 'review',
+      context: { review: { totalIssues: 1, issues: [{ rule: 'owner' }] } }
+    });
+    expect(text).toBe('review: 1 [\n  {\n    "rule": "owner"\n  }\n]');
+  });
+});
+
+describe('built-in prompt catalog', () => {
+  test('declares the review, breaking-change and migration prompts', async () => {
+    const catalog = await loadPromptCatalog([DEFAULT_PROMPT_CATALOG]);
+    expect(catalog.map((prompt) => prompt.name)).toEqual([
+      'review_manifest',
+      'explain_breaking_changes',
+      'draft_migration_plan'
+    ]);
+  });
+
+  test('renders context from the providers into the prompt messages', async () => {
+    const prompts = createPromptDefinitions(await loadPromptCatalog([DEFAULT_PROMPT_CATALOG]), providers);
+    const plan = prompts.find((prompt) => prompt.name === 'draft_migration_plan');
+
+    const result = await plan.get({ old_manifest_path: 'v1.json', new_manifest_path: 'v2.json' });
+    expect(result.messages).toHaveLength(1);
+    expect(result.messages[0]).toMatchObject({ role: 'user', content: { type: 'text' } });
+    expect(result.messages[0].content.text).toContain('from v1.json to v2.json');
+    expect(result.messages[0].content.text).toContain('"riskScore": 70');
+    expect(result.messages[0].content.text).toContain('"strategy": "parallel-run"');
+  });
+
+  test('rejects missing required arguments with invalid params', async () => {
+    const prompts = createPromptDefinitions(await loadPromptCatalog([DEFAULT_PROMPT_CATALOG]), providers);
+    const review = prompts.find((prompt) => prompt.name === 'review_manifest');
+    await expect(review.get({})).rejects.toMatchObject({
+      code: -32602,
+      message: 'Missing required prompt arguments: manifest_path'
+    });
+  });
+});
+
+describe('loadPromptCatalog', () => {
+  test('lets later catalogs override and extend earlier ones', async () => {
+    const team = await writeCatalog('team.json', {
+      prompts: [
+        { name: 'review_manifest', description: 'Team review', messages: [{ role: 'user', text: 'Review {{manifest_path}}' }] },
+        { name: 'release_notes', messages: [{ role: 'assistant', text: 'Notes' }] }
+      ]
+    });
+
+    const catalog = await loadPromptCatalog([DEFAULT_PROMPT_CATALOG, team]);
+    expect(catalog.map((prompt) => prompt.name)).toEqual([
+      'review_manifest',
+      'explain_breaking_changes',
+      'draft_migration_plan',
+      'release_notes'
+    ]);
+    expect(catalog[0]).toMatchObject({ description: 'Team review', context: [], catalog: team });
+  });
+
+  test('skips invalid catalogs when an error handler is provided', async () => {
+    const broken = await writeCatalog('broken.json', { prompts: [{ name: 'bad name', messages: [] }] });
+    const malformed = await writeCatalog('malformed.json', '{ "prompts": [');
+    const errors = [];
+
+    const catalog = await loadPromptCatalog([broken, malformed, DEFAULT_PROMPT_CATALOG], {
+      onError: (error, catalogPath) => errors.push(catalogPath)
+    });
+    expect(errors).toEqual([broken, malformed]);
+    expect(catalog).toHaveLength(3);
+    await expect(loadPromptCatalog([broken])).rejects.toThrow('`name` must contain only letters');
+  });
+
+  test('fails fast on unknown context sources', async () => {
+    const custom = await writeCatalog('custom.json', {
+      prompts: [{ name: 'lineage', context: [{ name: 'graph', source: 'lineage' }], messages: [{ role: 'user', text: 'x' }] }]
+    });
+    const catalog = await loadPromptCatalog([custom]);
+    expect(() => createPromptDefinitions(catalog, providers)).toThrow(
+      'uses unknown context source "lineage"'
+    );
+  });
+});
+
+describe('MCP server prompts', () => {
+  const rpc = (server, method, params) => server.handleRequest({ jsonrpc: '2.0', id: 1, method, params });
+
+  test('lists prompts and renders them through prompts/get', async () => {
+    const prompts = createPromptDefinitions(await loadPromptCatalog([DEFAULT_PROMPT_CATALOG]), providers);
+    const server = createMCPServer({ name: 'test', prompts });
+
+    const init = await rpc(server, 'initialize', {});
+    expect(init.result.capabilities.prompts).toEqual({});
+
+    const list = await rpc(server, 'prompts/list');
+    expect(list.result.prompts[0]).toEqual({
+      name: 'review_manifest',
+      description: 'Review a protocol manifest for governance and cross-protocol issues',
+      arguments: [{ name: 'manifest_path', description: 'Manifest path relative to the protocol root', required: true }]
+    });
+
+    const got = await rpc(server, 'prompts/get', { name: 'review_manifest', arguments: { manifest_path: 'api.json' } });
+    expect(got.result.messages[0].content.text).toContain('found 1 issue(s)');
+
+    const missing = await rpc(server, 'prompts/get', { name: 'review_manifest' });
+    expect(missing.error.code).toBe(-32602);
+
+    const unknown = await rpc(server, 'prompts/get', { name: 'nope' });
+    expect(unknown.error).toEqual({ code: -32602, message: 'Prompt not found: nope' });
+  });
+
+  test('reports provider failures as internal errors', async () => {
+    const prompts = createPromptDefinitions(await loadPromptCatalog([DEFAULT_PROMPT_CATALOG]), {
+      ...providers,
+      review: async () => {
+        throw new Error('ENOENT: api.json');
+      }
+    });
+    const server = createMCPServer({ name: 'test', prompts });
+
+    const failed = await rpc(server, 'prompts/get', { name: 'review_manifest', arguments: { manifest_path: 'api.json' } });
+    expect(failed.error).toEqual({ code: -32603, message: 'ENOENT: api.json' });
+  });
+});
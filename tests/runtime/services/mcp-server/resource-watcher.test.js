@@ -0,0 +1,78 @@
+import { describe, test, expect, beforeEach, afterEach } from '@jest/globals';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { createResourceWatcher } from '../../../../packages/runtime/services/mcp-server/resource-watcher.js';
+
+let root;
+let watcher;
+
+const nextChange = (target) =>
+  new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error('Timed out waiting for change event')), 5000);
+    target.once('change', (change) => {
+      clearTimeout(timer);
+      resolve(change);
+    });
+  });
+
+beforeEach(async () => {
+  root = await fs.mkdtemp(path.join(os.tmpdir(), 'mcp-watch-'));
+  await fs.mkdir(path.join(root, 'artifacts', 'protocols', 'billing'), { recursive: true });
+  await fs.writeFile(path.join(root, 'artifacts', 'index.json'), '{}');
+});
+
+afterEach(async () => {
+  watcher?.close();
+  watcher = null;
+  await fs.rm(root, { recursive: true, force: true });
+});
+
+describe('ResourceWatcher', () => {
+  test('emits root-relative paths for watched files and nested manifests', async () => {
+    watcher = createResourceWatcher({
+      root,
+      debounceMs: 10,
+      paths: [
+        { path: 'artifacts/index.json' },
+        { path: 'artifacts/protocols', recursive: true },
+        { path: 'artifacts/missing' }
+      ]
+    });
+    expect(watcher.start()).toBe(2);
+
+    let change = nextChange(watcher);
+    await fs.writeFile(path.join(root, 'artifacts', 'index.json'), '{"protocols":[]}');
+    await expect(change).resolves.toMatchObject({ path: 'artifacts/index.json' });
+
+    change = nextChange(watcher);
+    await fs.writeFile(path.join(root, 'artifacts', 'protocols', 'billing', 'manifest.json'), '{}');
+    await expect(change).resolves.toMatchObject({ path: 'artifacts/protocols/billing/manifest.json' });
+  });
+
+  test('ignores siblings of watched files and debounces bursts', async () => {
+    const calls = [];
+    const handlers = [];
+    watcher = createResourceWatcher({
+      root,
+      debounceMs: 10,
+      paths: [{ path: 'artifacts/index.json' }],
+      watch: (directory, options, listener) => {
+        calls.push({ directory, options });
+        handlers.push(listener);
+        return { close: () => {} };
+      }
+    });
+    watcher.start();
+    expect(calls).toEqual([{ directory: path.join(root, 'artifacts'), options: { recursive: false, persistent: false } }]);
+
+    const changes = [];
+    watcher.on('change', (change) => changes.push(change));
+    handlers[0]('change', 'GOVERNANCE.md');
+    handlers[0]('change', 'index.json');
+    handlers[0]('rename', 'index.json');
+    await new Promise((resolve) => setTimeout(resolve, 50));
+
+    expect(changes).toEqual([{ path: 'artifacts/index.json', eventType: 'rename' }]);
+  });
+});
@@ -131,4 +131,32 @@ describe('scripts/cleanup/gc-artifacts', () => {
     expect(await exists('artifacts/perf/session-recent')).toBe(true);
     expect(await exists('artifacts/perf/latest.jsonl')).toBe(true);
   });
+  it('purges every included, unprotected entry with an inline policy', async () => {
+    await createSession('session-recent', { ageDays: 0, sizeBytes: 10 });
+    await createSession('session-other', { ageDays: 0, sizeBytes: 10 });
+    await createLatestPointer(0);
+
+    const summary = await runRetentionGc({
+      workspace,
+      policy: {
+        defaults: {},
+        targets: [
+          {
+            id: 'purge',
+            path: 'artifacts/perf',
+            include: ['session-recent', 'latest.jsonl'],
+            protect: ['latest.jsonl'],
+            purgeAll: true
+          }
+        ]
+      },
+      now
+    });
+
+    expect(summary.configPath).toBeNull();
+    expect(summary.targets[0].removedEntries).toEqual(['artifacts/perf/session-recent']);
+    expect(await exists('artifacts/perf/session-recent')).toBe(false);
+    expect(await exists('artifacts/perf/session-other')).toBe(true);
+    expect(await exists('artifacts/perf/latest.jsonl')).toBe(true);
+  });
 });
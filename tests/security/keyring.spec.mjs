@@ -0,0 +1,160 @@
+import { afterEach, beforeEach, describe, expect, it } from '@jest/globals';
+import { mkdtemp, readFile, rm, stat } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+
+import {
+  generateKey,
+  listKeys,
+  loadKeyring,
+  revokeKey,
+  rotateKey,
+  selectSigningKey,
+  toVerificationConfigs,
+} from '../../packages/runtime/security/keyring.mjs';
+import { signWithKeyring, verifyWithKeyring } from '../../packages/runtime/security/envelope-signing.mjs';
+import { createProvenancePayload, validateProvenance } from '../../packages/runtime/security/provenance.mjs';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('Signing keyring', () => {
+  let dir;
+  let keyringPath;
+
+  beforeEach(async () => {
+    dir = await mkdtemp(path.join(tmpdir(), 'keyring-'));
+    keyringPath = path.join(dir, 'keyring.json');
+  });
+
+  afterEach(async () => {
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  describe('key lifecycle', () => {
+    it('creates the keyring and stores private keys beside it', async () => {
+      const entry = await generateKey(keyringPath, { expiresInDays: 30 });
+
+      expect(entry.keyid).toMatch(/^ed25519-[0-9a-f]{16}$/);
+      expect(entry.publicKey).toContain('BEGIN PUBLIC KEY');
+      expect(Date.parse(entry.expiresAt) - Date.parse(entry.createdAt)).toBe(30 * DAY_MS);
+
+      const keyring = JSON.parse(await readFile(keyringPath, 'utf8'));
+      expect(keyring.version).toBe(1);
+      expect(keyring.keys[0]).not.toHaveProperty('privateKey');
+      const privateStat = await stat(path.join(dir, entry.privateKeyPath));
+      expect(privateStat.mode & 0o777).toBe(0o600);
+    });
+
+    it('rejects duplicate keyids and unsupported algorithms', async () => {
+      await generateKey(keyringPath, { keyid: 'release' });
+      await expect(generateKey(keyringPath, { keyid: 'release' })).rejects.toThrow('already exists');
+      await expect(generateKey(keyringPath, { alg: 'RSA' })).rejects.toThrow('Unsupported algorithm');
+      await expect(generateKey(keyringPath, { keyid: '../escape' })).rejects.toThrow('Invalid keyid');
+    });
+
+    it('signs with the newest active key while older keys stay active', async () => {
+      const now = Date.now();
+      await generateKey(keyringPath, { keyid: 'old', now: new Date(now - 1000) });
+      await generateKey(keyringPath, { keyid: 'new', alg: 'ES256', now: new Date(now) });
+      const keyring = await loadKeyring(keyringPath);
+
+      expect(selectSigningKey(keyring).keyid).toBe('new');
+      expect(selectSigningKey(keyring, { keyid: 'old' }).keyid).toBe('old');
+      expect(listKeys(keyring).map((key) => key.state)).toEqual(['active', 'active']);
+    });
+
+    it('expires the rotated key after the overlap window', async () => {
+      const now = new Date();
+      await generateKey(keyringPath, { keyid: 'v1', now });
+      const { key, previous } = await rotateKey(keyringPath, { keyid: 'v2', overlapDays: 2, now });
+
+      expect(key.alg).toBe('Ed25519');
+      expect(previous.rotatedTo).toBe('v2');
+      expect(Date.parse(previous.expiresAt)).toBe(now.getTime() + 2 * DAY_MS);
+
+      const keyring = await loadKeyring(keyringPath);
+      const later = new Date(now.getTime() + 3 * DAY_MS);
+      expect(listKeys(keyring, { now: later }).map((entry) => [entry.keyid, entry.state])).toEqual([
+        ['v2', 'active'],
+        ['v1', 'expired'],
+      ]);
+      expect(() => selectSigningKey(keyring, { keyid: 'v1', now: later })).toThrow('Key "v1" is expired');
+    });
+
+    it('revokes keys permanently', async () => {
+      await generateKey(keyringPath, { keyid: 'leaked' });
+      const entry = await revokeKey(keyringPath, 'leaked', { reason: 'key compromise' });
+
+      expect(entry.status).toBe('revoked');
+      expect(entry.revocationReason).toBe('key compromise');
+      await expect(revokeKey(keyringPath, 'leaked')).rejects.toThrow('already revoked');
+      await expect(revokeKey(keyringPath, 'missing')).rejects.toThrow('not in the keyring');
+      const keyring = await loadKeyring(keyringPath);
+      expect(() => selectSigningKey(keyring)).toThrow('No active signing key');
+    });
+
+    it('reports a missing keyring', async () => {
+      await expect(loadKeyring(keyringPath)).rejects.toThrow(/Keyring not found/);
+      await expect(loadKeyring(keyringPath, { allowMissing: true })).resolves.toEqual({ version: 1, keys: [] });
+    });
+  });
+
+  describe('envelopes', () => {
+    const payload = Buffer.from(JSON.stringify({ urn: 'urn:proto:api:demo@1.0.0' }));
+
+    it('round-trips DSSE and JWS envelopes', async () => {
+      await generateKey(keyringPath, { keyid: 'ed' });
+      await generateKey(keyringPath, { keyid: 'ec', alg: 'ES256', now: new Date(Date.now() + 1000) });
+      const keyring = await loadKeyring(keyringPath);
+
+      const dsse = await signWithKeyring(payload, { keyring, keyringPath, keyid: 'ed' });
+      expect(dsse.envelope.signatures[0]).toMatchObject({ keyid: 'ed', alg: 'Ed25519' });
+      expect(verifyWithKeyring(dsse.envelope, keyring, { payload })).toMatchObject({
+        valid: true,
+        format: 'dsse',
+        keyid: 'ed',
+      });
+
+      const jws = await signWithKeyring(payload, { keyring, keyringPath, format: 'jws' });
+      expect(jws.envelope.header).toMatchObject({ kid: 'ec', alg: 'ES256' });
+      expect(verifyWithKeyring(jws.envelope, keyring, { payload })).toMatchObject({ valid: true, format: 'jws' });
+      expect(verifyWithKeyring(jws.envelope, keyring, { payload: Buffer.from('{}') }).reason).toBe('payload-mismatch');
+    });
+
+    it('rejects signatures from revoked and expired keys', async () => {
+      await generateKey(keyringPath, { keyid: 'short', expiresInDays: 1 });
+      await generateKey(keyringPath, { keyid: 'doomed', now: new Date(Date.now() + 1000) });
+      let keyring = await loadKeyring(keyringPath);
+      const expiring = await signWithKeyring(payload, { keyring, keyringPath, keyid: 'short' });
+      const revoked = await signWithKeyring(payload, { keyring, keyringPath, keyid: 'doomed', format: 'jws' });
+
+      await revokeKey(keyringPath, 'doomed');
+      keyring = await loadKeyring(keyringPath);
+      const later = new Date(Date.now() + 2 * DAY_MS);
+
+      expect(verifyWithKeyring(expiring.envelope, keyring).valid).toBe(true);
+      expect(verifyWithKeyring(expiring.envelope, keyring, { now: later })).toMatchObject({
+        valid: false,
+        reason: 'expired-key',
+        keyid: 'short',
+      });
+      expect(verifyWithKeyring(revoked.envelope, keyring)).toMatchObject({ valid: false, reason: 'revoked-key' });
+    });
+
+    it('surfaces revoked keys through provenance validation', async () => {
+      await generateKey(keyringPath, { keyid: 'builder' });
+      const keyring = await loadKeyring(keyringPath);
+      const statement = createProvenancePayload({ builderId: 'ci', commit: 'abc123', materials: ['file:///m.json'] });
+      const { envelope } = await signWithKeyring(Buffer.from(JSON.stringify(statement)), {
+        keyring,
+        keyringPath,
+        payloadType: 'application/vnd.in-toto+json',
+      });
+
+      expect(validateProvenance(envelope, toVerificationConfigs(keyring)).ok).toBe(true);
+      await revokeKey(keyringPath, 'builder');
+      const revoked = toVerificationConfigs(await loadKeyring(keyringPath));
+      expect(validateProvenance(envelope, revoked)).toEqual({ ok: false, reason: 'revoked-key' });
+    });
+  });
+});
@@ -5,7 +5,9 @@ import { spawn } from 'child_process';
 import { fileURLToPath } from 'url';
 import YAML from 'yaml';
 
-import WorkflowOrchestrator from '../../src/workbench/runtime/orchestrator.js';
+import WorkflowOrchestrator, { toWorkflowDefinition } from '../../src/workbench/runtime/orchestrator.js';
+import WorkflowValidator from '../../packages/runtime/workflow-library/validator.js';
+import { AgentRunner } from '../../src/workbench/runtime/agent-runner.js';
 
 const __dirnameLocal = path.dirname(fileURLToPath(import.meta.url));
 const CLI_PATH = path.join(__dirnameLocal, '..', '..', 'cli', 'index.js');
@@ -92,6 +94,93 @@ describe('Integration Workbench orchestration', () => {
     expect(aggregate?.output).toBeTruthy();
   });
 
+  test('WorkflowOrchestrator resolves expression templates in step inputs', async () => {
+    const orchestrator = new WorkflowOrchestrator();
+    const result = await orchestrator.run({
+      name: 'expression-workflow',
+      steps: [
+        { id: 'api-step', agent: 'api', params: { durationMs: 5 } },
+        {
+          id: 'report',
+          agent: 'data',
+          input: {
+            summary: 'Called {{ api-step.kind }} agent {{ upper(api-step.id) }}',
+            status: "{{ steps['api-step'].kind == 'API' ? 'healthy' : 'degraded' }}",
+            missing: '{{ unknown-step }}'
+          },
+          params: { durationMs: 5 }
+        }
+      ]
+    });
+
+    const report = result.steps.find((step) => step.id === 'report');
+    expect((report?.output as { input: unknown }).input).toEqual({
+      summary: 'Called API agent API-STEP',
+      status: 'healthy',
+      missing: null
+    });
+
+    await expect(
+      orchestrator.run({ name: 'invalid', steps: [{ id: 'bad', agent: 'api', input: '{{ api-step. }}' }] })
+    ).rejects.toThrow('Workflow "invalid" is invalid: /steps/bad/task/inputs: Invalid input template');
+  });
+
+  test('WorkflowOrchestrator records failures and stops at the first one with failFast', async () => {
+    const runner = new AgentRunner({
+      concurrencyLimit: 2,
+      adapters: {
+        broken: async () => {
+          throw new Error('agent offline');
+        }
+      }
+    });
+    const orchestrator = new WorkflowOrchestrator({ runner });
+    const workflow = {
+      name: 'failing-workflow',
+      steps: [
+        { id: 'first', agent: 'api', params: { durationMs: 5 } },
+        {
+          id: 'group',
+          parallel: [
+            { id: 'bad', agent: 'broken' },
+            { id: 'missing-agent', agent: 'unknown' },
+            { id: 'good', agent: 'event', params: { durationMs: 5 } }
+          ]
+        },
+        { id: 'last', agent: 'data', input: '{{ bad }}', params: { durationMs: 5 } }
+      ]
+    };
+
+    const tolerant = await orchestrator.run(workflow);
+    expect(tolerant.steps.map((step) => step.id)).toEqual(expect.arrayContaining(['first', 'bad', 'missing-agent', 'good', 'last']));
+    expect(tolerant.errors.map((step) => step.id).sort()).toEqual(['bad', 'missing-agent']);
+    expect(tolerant.errors.find((step) => step.id === 'missing-agent')?.error?.message).toBe(
+      'No adapter registered for agent "unknown"'
+    );
+    expect(tolerant.steps.find((step) => step.id === 'good')?.group).toBe('group');
+    expect((tolerant.steps.find((step) => step.id === 'last')?.output as { input: unknown }).input).toBeNull();
+    expect(tolerant.metrics).toMatchObject({ stepCount: 5, successCount: 3, failureCount: 2, maxConcurrent: 2 });
+
+    const failFast = await orchestrator.run(workflow, { failFast: true, concurrency: 1 });
+    expect(failFast.steps.map((step) => step.id)).toEqual(['first', 'bad']);
+    expect(failFast.metrics.maxConcurrent).toBe(1);
+  });
+
+  test('workbench workflows validate with the workflow-library validator', () => {
+    const definition = toWorkflowDefinition({
+      name: 'Release checks',
+      steps: [
+        { id: 'api-step', agent: 'api', input: { version: '1.2.0' } },
+        { id: 'fan out', parallel: [{ id: 'emit', agent: 'event' }] },
+        { id: 'publish', agent: 'data', input: '{{ api-step.kind }}' }
+      ]
+    });
+
+    expect(definition.workflowId).toBe('Release-checks');
+    expect(definition.steps[1]).toMatchObject({ stepId: 'fan-out', type: 'parallel', branches: [{ branchId: 'emit' }] });
+    expect(new WorkflowValidator().validate(definition)).toMatchObject({ valid: true, warnings: [] });
+  });
+
   test('CLI workbench run executes workflow definition and returns metrics', async () => {
     const tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'workbench-run-'));
     const workflowPath = path.join(tempDir, 'workflow.yaml');
@@ -0,0 +1,128 @@
+/**
+ * Workflow Expression Language Tests
+ * Parsing, sandboxed evaluation, templates and static validation
+ */
+
+import {
+  ExpressionError,
+  evaluateExpression,
+  findTemplateExpressions,
+  parseExpression,
+  resolveTemplate,
+  validateExpression,
+  validateTemplate
+} from '../../packages/runtime/workflow-library/expression.js';
+
+const scope = {
+  'analyze-content': { type: 'image', size: 6000000 },
+  order: { id: 'o-1', total: 42.5, priority: null, tags: ['rush', 'gift'] },
+  items: [
+    { sku: 'a', qty: 2, status: 'ok' },
+    { sku: 'b', qty: 5, status: 'ok' },
+    { sku: 'c', qty: 1, status: 'held' }
+  ],
+  user: { name: 'Ada' },
+  count: 3
+};
+
+describe('Workflow Expressions', () => {
+  describe('Evaluation', () => {
+    test('should compare values and combine them with boolean logic', () => {
+      expect(evaluateExpression("analyze-content.type === 'image'", scope)).toBe(true);
+      expect(evaluateExpression('analyze-content.size > 5000000 && count >= 3', scope)).toBe(true);
+      expect(evaluateExpression('!(count < 2) || missing', scope)).toBe(true);
+      expect(evaluateExpression("count == '3'", scope)).toBe(false);
+      expect(evaluateExpression("order.status != 'closed'", scope)).toBe(true);
+    });
+
+    test('should apply arithmetic, ternaries and defaults', () => {
+      expect(evaluateExpression('count * 2 + 1', scope)).toBe(7);
+      expect(evaluateExpression('count - 1', scope)).toBe(2);
+      expect(evaluateExpression("count > 2 ? 'many' : 'few'", scope)).toBe('many');
+      expect(evaluateExpression("order.priority ?? 'normal'", scope)).toBe('normal');
+      expect(evaluateExpression("default(order.missing, 'fallback')", scope)).toBe('fallback');
+      expect(evaluateExpression("'Hello ' + user.name", scope)).toBe('Hello Ada');
+    });
+
+    test('should read members safely', () => {
+      expect(evaluateExpression('items[1].sku', scope)).toBe('b');
+      expect(evaluateExpression('order.tags.length', scope)).toBe(2);
+      expect(evaluateExpression('missing.deeply.nested', scope)).toBeUndefined();
+      expect(evaluateExpression("order?.['id']", scope)).toBe('o-1');
+    });
+
+    test('should build array and object literals', () => {
+      expect(evaluateExpression('[1, count, { id: "a", value: count + 1 }]', scope)).toEqual([
+        1, 3, { id: 'a', value: 4 }
+      ]);
+      expect(evaluateExpression("'gift' in order.tags", scope)).toBe(true);
+    });
+
+    test('should call collection and string functions', () => {
+      expect(evaluateExpression('len(items)', scope)).toBe(3);
+      expect(evaluateExpression("pluck(where(items, 'status', 'ok'), 'sku')", scope)).toEqual(['a', 'b']);
+      expect(evaluateExpression("sum(pluck(items, 'qty'))", scope)).toBe(8);
+      expect(evaluateExpression("join(sort(pluck(items, 'sku')), '|')", scope)).toBe('a|b|c');
+      expect(evaluateExpression("upper(trim('  ok '))", scope)).toBe('OK');
+      expect(evaluateExpression("contains(order.tags, 'rush')", scope)).toBe(true);
+      expect(evaluateExpression('unique([1, 1, 2])', scope)).toEqual([1, 2]);
+      expect(evaluateExpression('round(order.total / 4, 1)', scope)).toBe(10.6);
+    });
+
+    test('should not reach prototypes, globals or host functions', () => {
+      expect(evaluateExpression('order.toString', scope)).toBeUndefined();
+      expect(evaluateExpression('process', scope)).toBeUndefined();
+      expect(() => evaluateExpression('order.constructor', scope)).toThrow(ExpressionError);
+      expect(() => evaluateExpression("order['__proto__']", scope)).toThrow('Access to "__proto__" is not allowed');
+      expect(() => evaluateExpression('eval("1")', scope)).toThrow('Unknown function "eval"');
+      expect(() => evaluateExpression('user.name()', scope)).toThrow('Only built-in functions can be called');
+    });
+
+    test('should report syntax errors with their position', () => {
+      expect(() => parseExpression('count >')).toThrow('Unexpected end of expression (at position 7)');
+      expect(() => parseExpression("'open")).toThrow('Unterminated string');
+      expect(() => parseExpression('count = 1')).toThrow('Unexpected character "="');
+      expect(() => parseExpression('')).toThrow('Expression is empty');
+    });
+  });
+
+  describe('Templates', () => {
+    test('should return the raw value of a whole-string template', () => {
+      expect(resolveTemplate('{{ items[0] }}', scope)).toEqual({ sku: 'a', qty: 2, status: 'ok' });
+      expect(resolveTemplate('{{ missing }}', scope)).toBeNull();
+    });
+
+    test('should interpolate templates inside strings, arrays and objects', () => {
+      const resolved = resolveTemplate({
+        greeting: 'Hello {{ user.name }}, you have {{ len(items) }} items{{ missing }}',
+        tags: ['{{ first(order.tags) }}', 'static'],
+        count: 3
+      }, scope);
+
+      expect(resolved).toEqual({
+        greeting: 'Hello Ada, you have 3 items',
+        tags: ['rush', 'static'],
+        count: 3
+      });
+    });
+
+    test('should list the expressions in a template', () => {
+      expect(findTemplateExpressions('{{ a }} and {{ b.c }}')).toEqual(['a', 'b.c']);
+    });
+  });
+
+  describe('Static Validation', () => {
+    test('should flag unknown functions and names without evaluating', () => {
+      const result = validateExpression('size(order) > limit', { identifiers: ['order'] });
+      expect(result.valid).toBe(false);
+      expect(result.errors).toEqual(['Unknown function "size"']);
+      expect(result.unknownIdentifiers).toEqual(['limit']);
+    });
+
+    test('should report syntax errors in templates', () => {
+      const result = validateTemplate({ body: 'Total: {{ order.total * }}', id: '{{ order.id }}' });
+      expect(result.valid).toBe(false);
+      expect(result.errors[0]).toMatch(/^{{ order\.total \* }}: Unexpected end of expression/);
+    });
+  });
+});
@@ -0,0 +1,281 @@
+/**
+ * Workflow Journal Tests
+ * Journaled executions, resume from the last completed step and saga crash recovery
+ */
+
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { WorkflowExecutor, ExecutionState } from '../../packages/runtime/workflow-library/executor.js';
+import { WorkflowJournal, replayEntries } from '../../packages/runtime/workflow-library/journal.js';
+import { resumeWorkflowExecution, runWorkflowDefinition } from '../../packages/runtime/workflow-library/runner.js';
+
+const sequentialWorkflow = {
+  workflowId: 'journal-sequence',
+  name: 'Journal Sequence',
+  version: '1.0.0',
+  steps: [
+    { stepId: 'fetch', type: 'task', task: { action: 'fetch', inputs: { id: 7 } } },
+    { stepId: 'transform', type: 'task', dependsOn: ['fetch'], task: { action: 'transform', inputs: {} } },
+    { stepId: 'publish', type: 'task', dependsOn: ['transform'], task: { action: 'publish', inputs: {} } }
+  ]
+};
+
+const sagaWorkflow = {
+  workflowId: 'journal-saga',
+  name: 'Journal Saga',
+  version: '1.0.0',
+  compensationPolicy: 'full',
+  steps: [
+    { stepId: 'reserve', type: 'task', task: { action: 'reserve', inputs: {} }, compensation: 'release' },
+    { stepId: 'release', type: 'compensation', task: { action: 'release', inputs: {} } },
+    { stepId: 'charge', type: 'task', dependsOn: ['reserve'], task: { action: 'charge', inputs: {} }, compensation: 'refund' },
+    { stepId: 'refund', type: 'compensation', task: { action: 'refund', inputs: {} } },
+    { stepId: 'ship', type: 'task', dependsOn: ['charge'], task: { action: 'ship', inputs: {} } }
+  ]
+};
+
+const loopSagaWorkflow = {
+  workflowId: 'journal-loop-saga',
+  name: 'Journal Loop Saga',
+  version: '1.0.0',
+  compensationPolicy: 'full',
+  steps: [
+    {
+      stepId: 'reserve-seats',
+      type: 'foreach',
+      items: [1, 2],
+      as: 'seat',
+      steps: [{ stepId: 'reserve', type: 'task', task: { action: 'reserve', inputs: { seat: '$seat' } }, compensation: 'undo' }]
+    },
+    { stepId: 'undo', type: 'compensation', task: { action: 'undo', inputs: { seat: '$seat' } } },
+    { stepId: 'charge', type: 'task', dependsOn: ['reserve-seats'], task: { action: 'charge', inputs: {} } }
+  ]
+};
+
+function recordingExecutor(calls, failOn = []) {
+  return async (action, inputs) => {
+    calls.push(action);
+    if (failOn.includes(action)) {
+      throw new Error(`${action} failed`);
+    }
+    return { action, inputs };
+  };
+}
+
+describe('Workflow Journal', () => {
+  let directory;
+  let journal;
+
+  beforeEach(async () => {
+    directory = await fs.mkdtemp(path.join(os.tmpdir(), 'workflow-journal-'));
+    journal = new WorkflowJournal({ directory });
+  });
+
+  afterEach(async () => {
+    await fs.rm(directory, { recursive: true, force: true });
+  });
+
+  test('journals every step transition of a run', async () => {
+    const executor = new WorkflowExecutor({ journal, taskExecutor: recordingExecutor([]) });
+    const context = await executor.execute(sequentialWorkflow, { id: 7 }, { executionId: 'run-1' });
+
+    expect(context.executionId).toBe('run-1');
+    const entries = await journal.read('run-1');
+    expect(entries.map((entry) => entry.type)).toEqual([
+      'workflow:start',
+      'step:start', 'step:complete',
+      'step:start', 'step:complete',
+      'step:start', 'step:complete',
+      'workflow:complete'
+    ]);
+
+    const record = await journal.load('run-1');
+    expect(record.state).toBe(ExecutionState.COMPLETED);
+    expect(record.inputs).toEqual({ id: 7 });
+    expect(record.completedOrder).toEqual(['fetch', 'transform', 'publish']);
+    expect(record.steps.fetch.output).toEqual({ action: 'fetch', inputs: { id: 7 } });
+  });
+
+  test('resumes a failed run from the last completed step', async () => {
+    const firstCalls = [];
+    const failing = new WorkflowExecutor({ journal, taskExecutor: recordingExecutor(firstCalls, ['publish']) });
+    await expect(failing.execute(sequentialWorkflow, { id: 7 }, { executionId: 'run-2' })).rejects.toThrow('publish failed');
+    expect(firstCalls).toEqual(['fetch', 'transform', 'publish']);
+
+    const resumeCalls = [];
+    const replayed = [];
+    const resumer = new WorkflowExecutor({ journal, taskExecutor: recordingExecutor(resumeCalls) });
+    resumer.on('step:replayed', ({ stepId }) => replayed.push(stepId));
+
+    const context = await resumer.resume('run-2');
+    expect(context.state).toBe(ExecutionState.COMPLETED);
+    expect(resumeCalls).toEqual(['publish']);
+    expect(replayed).toEqual(['fetch', 'transform']);
+    expect(context.getStepResult('fetch').output).toEqual({ action: 'fetch', inputs: { id: 7 } });
+
+    const record = await journal.load('run-2');
+    expect(record.state).toBe(ExecutionState.COMPLETED);
+    expect(record.resumes).toBe(1);
+    expect(record.steps.publish.attempts).toBe(2);
+  });
+
+  test('re-runs a step that started but never completed', async () => {
+    const executor = new WorkflowExecutor({ journal, taskExecutor: recordingExecutor([]) });
+    await executor.execute(sequentialWorkflow, { id: 1 }, { executionId: 'run-3' });
+
+    // Simulate a crash while "transform" was running
+    const file = path.join(directory, 'run-3.jsonl');
+    const lines = (await fs.readFile(file, 'utf8')).trim().split('\n');
+    await fs.writeFile(file, `${lines.slice(0, 4).join('\n')}\n{"type":"step:comp`);
+
+    const calls = [];
+    const resumer = new WorkflowExecutor({ journal, taskExecutor: recordingExecutor(calls) });
+    const context = await resumer.resume('run-3');
+    expect(context.state).toBe(ExecutionState.COMPLETED);
+    expect(calls).toEqual(['transform', 'publish']);
+  });
+
+  test('finishes the remaining compensations of an interrupted saga exactly once', async () => {
+    const firstCalls = [];
+    const executor = new WorkflowExecutor({ journal, taskExecutor: recordingExecutor(firstCalls, ['ship']) });
+    await expect(executor.execute(sagaWorkflow, {}, { executionId: 'saga-1' })).rejects.toThrow('ship failed');
+    expect(firstCalls).toEqual(['reserve', 'charge', 'ship', 'refund', 'release']);
+
+    // Cut the journal right after the refund compensation was recorded
+    const file = path.join(directory, 'saga-1.jsonl');
+    const lines = (await fs.readFile(file, 'utf8')).trim().split('\n');
+    const refundDone = lines.findIndex((line) => {
+      const entry = JSON.parse(line);
+      return entry.type === 'compensation:done' && entry.stepId === 'charge';
+    });
+    await fs.writeFile(file, `${lines.slice(0, refundDone + 1).join('\n')}\n`);
+
+    const interrupted = await journal.load('saga-1');
+    expect(interrupted.state).toBe(ExecutionState.COMPENSATING);
+    expect(interrupted.compensation.pending).toEqual(['reserve']);
+
+    const resumeCalls = [];
+    const resumer = new WorkflowExecutor({ journal, taskExecutor: recordingExecutor(resumeCalls) });
+    const context = await resumer.resume('saga-1');
+    expect(context.state).toBe(ExecutionState.COMPENSATED);
+    expect(resumeCalls).toEqual(['release']);
+
+    const record = await journal.load('saga-1');
+    expect(record.state).toBe(ExecutionState.COMPENSATED);
+    expect(record.compensation.done).toEqual(['charge', 'reserve']);
+    await expect(resumer.resume('saga-1')).rejects.toMatchObject({ code: 'EXECUTION_FINISHED' });
+  });
+
+  test('does not repeat a compensation step that completed before the crash', async () => {
+    const executor = new WorkflowExecutor({ journal, taskExecutor: recordingExecutor([], ['ship']) });
+    await expect(executor.execute(sagaWorkflow, {}, { executionId: 'saga-2' })).rejects.toThrow();
+
+    // The refund step completed but its compensation:done entry was never written
+    const file = path.join(directory, 'saga-2.jsonl');
+    const lines = (await fs.readFile(file, 'utf8')).trim().split('\n');
+    const refundComplete = lines.findIndex((line) => {
+      const entry = JSON.parse(line);
+      return entry.type === 'step:complete' && entry.stepId === 'refund';
+    });
+    await fs.writeFile(file, `${lines.slice(0, refundComplete + 1).join('\n')}\n`);
+
+    const calls = [];
+    const resumer = new WorkflowExecutor({ journal, taskExecutor: recordingExecutor(calls) });
+    await resumer.resume('saga-2');
+    expect(calls).toEqual(['release']);
+  });
+
+  test('restores the compensations owed by a loop body on resume', async () => {
+    const seatExecutor = (calls, failOn = []) => async (action, inputs) => {
+      calls.push(inputs.seat ? `${action}:${inputs.seat}` : action);
+      if (failOn.includes(action)) {
+        throw new Error(`${action} failed`);
+      }
+      return { action, inputs };
+    };
+
+    const firstCalls = [];
+    const executor = new WorkflowExecutor({ journal, taskExecutor: seatExecutor(firstCalls, ['charge']) });
+    await expect(executor.execute(loopSagaWorkflow, {}, { executionId: 'loop-saga' })).rejects.toThrow('charge failed');
+    expect(firstCalls).toEqual(['reserve:1', 'reserve:2', 'charge', 'undo:2', 'undo:1']);
+
+    const file = path.join(directory, 'loop-saga.jsonl');
+    const lines = (await fs.readFile(file, 'utf8')).trim().split('\n');
+    const entries = lines.map((line) => JSON.parse(line));
+    const loopComplete = entries.findIndex((entry) => entry.type === 'step:complete' && entry.stepId === 'reserve-seats');
+    expect(entries[loopComplete].compensations).toEqual([
+      { stepId: 'reserve', key: 'reserve#0', variables: { seat: 1, index: 0 }, outputs: { reserve: { action: 'reserve', inputs: { seat: 1 } } } },
+      { stepId: 'reserve', key: 'reserve#1', variables: { seat: 2, index: 1 }, outputs: { reserve: { action: 'reserve', inputs: { seat: 2 } } } }
+    ]);
+
+    // Crash before "charge" ran: resuming re-runs it and still unwinds both reservations
+    await fs.writeFile(file, `${lines.slice(0, loopComplete + 1).join('\n')}\n`);
+    const resumeCalls = [];
+    const resumer = new WorkflowExecutor({ journal, taskExecutor: seatExecutor(resumeCalls, ['charge']) });
+    await expect(resumer.resume('loop-saga')).rejects.toThrow('charge failed');
+    expect(resumeCalls).toEqual(['charge', 'undo:2', 'undo:1']);
+
+    // Crash after the first undo: only the second reservation is still owed
+    const resumed = (await fs.readFile(file, 'utf8')).trim().split('\n');
+    const firstUndo = resumed.findIndex((line) => JSON.parse(line).type === 'compensation:done');
+    await fs.writeFile(file, `${resumed.slice(0, firstUndo + 1).join('\n')}\n`);
+    expect((await journal.load('loop-saga')).compensation.pending).toEqual(['reserve#0']);
+
+    const finalCalls = [];
+    const finisher = new WorkflowExecutor({ journal, taskExecutor: seatExecutor(finalCalls) });
+    const context = await finisher.resume('loop-saga');
+    expect(context.state).toBe(ExecutionState.COMPENSATED);
+    expect(finalCalls).toEqual(['undo:1']);
+  });
+
+  test('lists execution summaries filtered by state', async () => {
+    const ok = new WorkflowExecutor({ journal, taskExecutor: recordingExecutor([]) });
+    await ok.execute(sequentialWorkflow, {}, { executionId: 'list-ok' });
+    const failing = new WorkflowExecutor({ journal, taskExecutor: recordingExecutor([], ['transform']) });
+    await expect(failing.execute(sequentialWorkflow, {}, { executionId: 'list-failed' })).rejects.toThrow();
+
+    const all = await journal.list();
+    expect(all.map((execution) => execution.executionId).sort()).toEqual(['list-failed', 'list-ok']);
+
+    const failed = await journal.list({ state: ExecutionState.FAILED });
+    expect(failed).toEqual([
+      expect.objectContaining({
+        executionId: 'list-failed',
+        workflowId: 'journal-sequence',
+        completedSteps: 1,
+        lastCompletedStep: 'fetch',
+        failedSteps: ['transform'],
+        pendingCompensations: 0
+      })
+    ]);
+  });
+
+  test('rejects unknown executions and unsafe identifiers', async () => {
+    await expect(journal.load('missing')).rejects.toMatchObject({ code: 'EXECUTION_NOT_FOUND' });
+    expect(() => journal.append('../escape', { type: 'workflow:start' })).toThrow('Invalid execution id');
+    expect(replayEntries([{ type: 'step:start', stepId: 'a' }])).toBeNull();
+  });
+
+  test('runner summaries report the execution id and replayed steps', async () => {
+    const first = await runWorkflowDefinition(sequentialWorkflow, {
+      journal,
+      executionId: 'runner-1',
+      taskExecutor: recordingExecutor([], ['publish'])
+    });
+    expect(first).toMatchObject({ executionId: 'runner-1', state: ExecutionState.FAILED, replayed: [] });
+
+    const resumed = await resumeWorkflowExecution('runner-1', {
+      journal,
+      taskExecutor: recordingExecutor([])
+    });
+    expect(resumed).toMatchObject({
+      executionId: 'runner-1',
+      state: ExecutionState.COMPLETED,
+      resumed: true,
+      resumedFrom: ExecutionState.FAILED,
+      replayed: ['fetch', 'transform']
+    });
+    expect(resumed.steps.map((step) => step.stepId)).toEqual(['fetch', 'transform', 'publish']);
+  });
+});
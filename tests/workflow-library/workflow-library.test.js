@@ -408,6 +408,41 @@ describe('Workflow Library', () => {
 
       await expect(failingExecutor.execute(workflow)).rejects.toThrow();
     });
+
+    test('should run at most `concurrency` branches at once and pass the step to the task executor', async () => {
+      let active = 0;
+      let peak = 0;
+      const seen = [];
+      const limited = new WorkflowExecutor({
+        taskExecutor: async (action, inputs, context, step) => {
+          seen.push(step.stepId);
+          active += 1;
+          peak = Math.max(peak, active);
+          await new Promise(resolve => setTimeout(resolve, 10));
+          active -= 1;
+          return { action };
+        }
+      });
+
+      const context = await limited.execute({
+        workflowId: 'limited-parallel',
+        name: 'Limited Parallel',
+        version: '1.0.0',
+        steps: [{
+          stepId: 'fan-out',
+          type: 'parallel',
+          concurrency: 2,
+          branches: ['a', 'b', 'c', 'd'].map(id => ({
+            branchId: id,
+            steps: [{ stepId: `task-${id}`, type: 'task', task: { action: id, inputs: {} } }]
+          }))
+        }]
+      });
+
+      expect(peak).toBe(2);
+      expect(seen.sort()).toEqual(['task-a', 'task-b', 'task-c', 'task-d']);
+      expect(context.getStepOutput('fan-out').branches.map(b => b.branchId)).toEqual(['a', 'b', 'c', 'd']);
+    });
   });
 
   describe('Conditional Execution', () => {
@@ -689,6 +724,424 @@ describe('Workflow Library', () => {
     });
   });
 
+  describe('Loop Execution', () => {
+    test('should map items with bounded concurrency and bind the item variable', async () => {
+      let active = 0;
+      let peak = 0;
+      const loopExecutor = new WorkflowExecutor({
+        taskExecutor: async (action, inputs) => {
+          active++;
+          peak = Math.max(peak, active);
+          await new Promise(resolve => setTimeout(resolve, 10));
+          active--;
+          return { id: inputs.id, doubled: inputs.value * 2 };
+        }
+      });
+
+      const workflow = {
+        workflowId: 'map-test',
+        name: 'Map Test',
+        version: '1.0.0',
+        steps: [
+          {
+            stepId: 'load',
+            type: 'task',
+            task: { action: 'load', inputs: {} }
+          },
+          {
+            stepId: 'enrich',
+            type: 'map',
+            dependsOn: ['load'],
+            items: '[{ id: "a", value: 1 }, { id: "b", value: 2 }, { id: "c", value: 3 }, { id: "d", value: 4 }]',
+            as: 'record',
+            concurrency: 2,
+            steps: [
+              {
+                stepId: 'double',
+                type: 'task',
+                task: { action: 'double', inputs: { id: '$record.id', value: '$record.value' } }
+              }
+            ]
+          }
+        ]
+      };
+
+      const context = await loopExecutor.execute(workflow);
+      expect(context.state).toBe(ExecutionState.COMPLETED);
+      expect(context.getStepOutput('enrich').map(result => result.doubled)).toEqual([2, 4, 6, 8]);
+      expect(peak).toBe(2);
+      // Body results stay inside their iteration
+      expect(context.getStepResult('double')).toBeUndefined();
+    });
+
+    test('should iterate over a previous step output and fail on a failing item', async () => {
+      const processed = [];
+      const loopExecutor = new WorkflowExecutor({
+        taskExecutor: async (action, inputs) => {
+          if (action === 'list') return { ids: [1, 2, 3] };
+          if (inputs.id === 2) throw new Error('bad record');
+          processed.push(inputs.id);
+          return { ok: true };
+        }
+      });
+
+      const workflow = {
+        workflowId: 'foreach-test',
+        name: 'Foreach Test',
+        version: '1.0.0',
+        steps: [
+          { stepId: 'list', type: 'task', task: { action: 'list', inputs: {} } },
+          {
+            stepId: 'each',
+            type: 'foreach',
+            dependsOn: ['list'],
+            items: 'list.ids',
+            steps: [{ stepId: 'process', type: 'task', task: { action: 'process', inputs: { id: '$item' } } }]
+          }
+        ]
+      };
+
+      await expect(loopExecutor.execute(workflow)).rejects.toThrow("foreach step 'each' failed on item 1: bad record");
+      expect(processed).toEqual([1]);
+    });
+
+    test('should repeat a while loop until its condition fails', async () => {
+      const loopExecutor = new WorkflowExecutor({
+        taskExecutor: async (action, inputs) => ({ page: inputs.iteration + 1, more: inputs.iteration < 2 })
+      });
+
+      const workflow = {
+        workflowId: 'while-test',
+        name: 'While Test',
+        version: '1.0.0',
+        steps: [
+          {
+            stepId: 'paginate',
+            type: 'while',
+            while: 'iteration === 0 || fetchPage.more',
+            steps: [{ stepId: 'fetchPage', type: 'task', task: { action: 'fetch', inputs: { iteration: '$iteration' } } }]
+          }
+        ]
+      };
+
+      const context = await loopExecutor.execute(workflow);
+      expect(context.getStepOutput('paginate')).toEqual({
+        iterations: 3,
+        outputs: { fetchPage: { page: 3, more: false } }
+      });
+    });
+
+    test('should fail a while loop that exceeds maxIterations', async () => {
+      const loopExecutor = new WorkflowExecutor({ taskExecutor: async () => ({ more: true }) });
+
+      const workflow = {
+        workflowId: 'while-guard-test',
+        name: 'While Guard Test',
+        version: '1.0.0',
+        steps: [
+          {
+            stepId: 'forever',
+            type: 'while',
+            while: 'true',
+            maxIterations: 3,
+            steps: [{ stepId: 'poll', type: 'task', task: { action: 'poll', inputs: {} } }]
+          }
+        ]
+      };
+
+      await expect(loopExecutor.execute(workflow)).rejects.toThrow("while step 'forever' exceeded maxIterations (3)");
+    });
+  });
+
+  describe('Wait Steps', () => {
+    test('should wait for a duration', async () => {
+      const waitExecutor = new WorkflowExecutor({ taskExecutor: async () => ({}) });
+      const workflow = {
+        workflowId: 'wait-duration-test',
+        name: 'Wait Duration Test',
+        version: '1.0.0',
+        steps: [{ stepId: 'pause', type: 'wait', wait: { durationMs: 20 } }]
+      };
+
+      const context = await waitExecutor.execute(workflow);
+      expect(context.getStepOutput('pause').waitedMs).toBeGreaterThanOrEqual(15);
+    });
+
+    test('should wait for a matching event from the event source', async () => {
+      const requests = [];
+      const waitExecutor = new WorkflowExecutor({
+        taskExecutor: async () => ({}),
+        waitForEvent: async (event, options) => {
+          requests.push({ event, options });
+          return { event, data: { orderId: 'o-1', status: 'paid' } };
+        }
+      });
+
+      const workflow = {
+        workflowId: 'wait-event-test',
+        name: 'Wait Event Test',
+        version: '1.0.0',
+        steps: [
+          {
+            stepId: 'await-payment',
+            type: 'wait',
+            timeout: 5000,
+            wait: { event: 'payment.settled', match: { orderId: 'o-1' } }
+          }
+        ]
+      };
+
+      const context = await waitExecutor.execute(workflow);
+      expect(requests).toEqual([{ event: 'payment.settled', options: { timeoutMs: 5000, match: { orderId: 'o-1' } } }]);
+      expect(context.getStepOutput('await-payment')).toMatchObject({
+        event: 'payment.settled',
+        data: { orderId: 'o-1', status: 'paid' }
+      });
+    });
+
+    test('should fail an event wait without an event source', async () => {
+      const waitExecutor = new WorkflowExecutor({ taskExecutor: async () => ({}) });
+      const workflow = {
+        workflowId: 'wait-no-source-test',
+        name: 'Wait No Source Test',
+        version: '1.0.0',
+        steps: [{ stepId: 'await', type: 'wait', wait: { event: 'never' } }]
+      };
+
+      await expect(waitExecutor.execute(workflow)).rejects.toThrow("has no event source to wait for 'never'");
+    });
+  });
+
+  describe('Subworkflows', () => {
+    const child = {
+      workflowId: 'child',
+      urn: 'urn:proto:workflow:test/child@1.0.0',
+      name: 'Child',
+      version: '1.0.0',
+      steps: [{ stepId: 'greet', type: 'task', task: { action: 'greet', inputs: { name: '$inputs.name' } } }]
+    };
+
+    test('should run a subworkflow resolved by URN and expose its outputs', async () => {
+      const subExecutor = new WorkflowExecutor({
+        taskExecutor: async (action, inputs) => (action === 'lookup' ? { name: 'Ada' } : { message: `hi ${inputs.name}` }),
+        resolveWorkflow: async (urn) => (urn === child.urn ? child : null)
+      });
+
+      const workflow = {
+        workflowId: 'parent',
+        name: 'Parent',
+        version: '1.0.0',
+        steps: [
+          { stepId: 'lookup', type: 'task', task: { action: 'lookup', inputs: {} } },
+          {
+            stepId: 'invoke',
+            type: 'subworkflow',
+            dependsOn: ['lookup'],
+            subworkflow: { urn: child.urn, inputs: { name: '$lookup.name' } }
+          }
+        ]
+      };
+
+      const context = await subExecutor.execute(workflow);
+      expect(context.getStepOutput('invoke')).toEqual({ greet: { message: 'hi Ada' } });
+    });
+
+    test('should fail when the subworkflow cannot be resolved', async () => {
+      const subExecutor = new WorkflowExecutor({
+        taskExecutor: async () => ({}),
+        resolveWorkflow: async () => null
+      });
+      const workflow = {
+        workflowId: 'parent-missing',
+        name: 'Parent Missing',
+        version: '1.0.0',
+        steps: [{ stepId: 'invoke', type: 'subworkflow', subworkflow: { urn: 'urn:proto:workflow:test/missing@1.0.0' } }]
+      };
+
+      await expect(subExecutor.execute(workflow)).rejects.toThrow('Subworkflow not found: urn:proto:workflow:test/missing@1.0.0');
+    });
+  });
+
+  describe('Loop, Wait and Subworkflow Validation', () => {
+    test('should require items and a body for foreach steps', () => {
+      const result = validator.validate({
+        workflowId: 'foreach-invalid',
+        name: 'Foreach Invalid',
+        version: '1.0.0',
+        steps: [{ stepId: 'each', type: 'foreach' }]
+      });
+      expect(result.valid).toBe(false);
+      expect(result.errors.map(e => e.message)).toEqual(
+        expect.arrayContaining(['Missing required field: items', 'Missing required field: steps'])
+      );
+    });
+
+    test('should require a duration or an event for wait steps', () => {
+      const result = validator.validate({
+        workflowId: 'wait-invalid',
+        name: 'Wait Invalid',
+        version: '1.0.0',
+        steps: [{ stepId: 'pause', type: 'wait', wait: { timeoutMs: 100 } }]
+      });
+      expect(result.valid).toBe(false);
+    });
+
+    test('should reject dependencies on steps inside a loop body', () => {
+      const result = validator.validate({
+        workflowId: 'loop-scope',
+        name: 'Loop Scope',
+        version: '1.0.0',
+        steps: [
+          {
+            stepId: 'each',
+            type: 'foreach',
+            items: '[1, 2]',
+            steps: [
+              { stepId: 'inner', type: 'task', task: { action: 'a', inputs: {} } },
+              { stepId: 'inner-next', type: 'task', dependsOn: ['inner'], task: { action: 'b', inputs: {} } }
+            ]
+          },
+          { stepId: 'after', type: 'task', dependsOn: ['inner'], task: { action: 'c', inputs: {} } }
+        ]
+      });
+      expect(result.valid).toBe(false);
+      expect(result.errors).toEqual([
+        expect.objectContaining({ message: "Step 'after' depends on 'inner', which only exists inside loop 'each'" })
+      ]);
+    });
+
+    test('should reject a subworkflow step that invokes its own workflow', () => {
+      const result = validator.validate({
+        workflowId: 'recursive',
+        urn: 'urn:proto:workflow:test/recursive@1.0.0',
+        name: 'Recursive',
+        version: '1.0.0',
+        steps: [{ stepId: 'again', type: 'subworkflow', subworkflow: { urn: 'urn:proto:workflow:test/recursive@1.0.0' } }]
+      });
+      expect(result.errors.map(e => e.message)).toContain("Subworkflow step 'again' invokes its own workflow");
+    });
+  });
+
+  describe('Expressions', () => {
+    test('should resolve input templates against step outputs, inputs and loop variables', async () => {
+      const calls = [];
+      const templated = new WorkflowExecutor({
+        taskExecutor: async (action, inputs) => {
+          calls.push({ action, inputs });
+          return action === 'fetch-order' ? { id: 'o-7', lines: [{ qty: 2 }, { qty: 3 }] } : { ok: true };
+        }
+      });
+
+      await templated.execute({
+        workflowId: 'templates',
+        name: 'Templates',
+        version: '1.0.0',
+        steps: [
+          { stepId: 'fetch-order', type: 'task', task: { action: 'fetch-order', inputs: {} } },
+          {
+            stepId: 'notify',
+            type: 'task',
+            dependsOn: ['fetch-order'],
+            task: {
+              action: 'notify',
+              inputs: {
+                order: '{{ fetch-order }}',
+                message: "Order {{ fetch-order.id }} has {{ sum(pluck(fetch-order.lines, 'qty')) }} units",
+                channel: "{{ default(inputs.channel, 'email') }}",
+                tags: ['{{ upper(inputs.region) }}']
+              }
+            }
+          }
+        ]
+      }, { region: 'eu' });
+
+      expect(calls[1].inputs).toEqual({
+        order: { id: 'o-7', lines: [{ qty: 2 }, { qty: 3 }] },
+        message: 'Order o-7 has 5 units',
+        channel: 'email',
+        tags: ['EU']
+      });
+    });
+
+    test('should not evaluate host code in conditions', async () => {
+      const errors = [];
+      const skipped = [];
+      executor.on('condition:error', ({ error }) => errors.push(error));
+      executor.on('step:skipped', ({ stepId }) => skipped.push(stepId));
+
+      await executor.execute({
+        workflowId: 'sandboxed',
+        name: 'Sandboxed',
+        version: '1.0.0',
+        steps: [
+          { stepId: 'escape', type: 'task', condition: "constructor.constructor('return process')()", task: { action: 'a', inputs: {} } }
+        ]
+      });
+
+      expect(skipped).toEqual(['escape']);
+      expect(errors).toEqual(['Only built-in functions can be called (at position 23)']);
+    });
+
+    test('should reject invalid expressions at validate time', () => {
+      const result = validator.validate({
+        workflowId: 'bad-expressions',
+        name: 'Bad Expressions',
+        version: '1.0.0',
+        steps: [
+          { stepId: 'load', type: 'task', task: { action: 'load', inputs: {} } },
+          { stepId: 'check', type: 'task', dependsOn: ['load'], condition: 'load.count >', task: { action: 'c', inputs: {} } },
+          {
+            stepId: 'send',
+            type: 'task',
+            dependsOn: ['load'],
+            condition: 'isBig(load)',
+            task: { action: 's', inputs: { to: '{{ lod.email }}' } }
+          }
+        ]
+      });
+
+      expect(result.valid).toBe(false);
+      expect(result.errors).toEqual([
+        expect.objectContaining({
+          path: '/steps/check/condition',
+          message: 'Invalid expression "load.count >": Unexpected end of expression (at position 12)'
+        }),
+        expect.objectContaining({
+          path: '/steps/send/condition',
+          message: 'Invalid expression "isBig(load)": Unknown function "isBig"'
+        })
+      ]);
+      expect(result.warnings).toEqual([
+        expect.objectContaining({
+          path: '/steps/send/task/inputs',
+          message: "Input template references unknown name 'lod'"
+        })
+      ]);
+    });
+
+    test('should know loop variables inside loop bodies only', () => {
+      const result = validator.validate({
+        workflowId: 'loop-expressions',
+        name: 'Loop Expressions',
+        version: '1.0.0',
+        steps: [
+          {
+            stepId: 'each',
+            type: 'foreach',
+            items: '[1, 2]',
+            as: 'order',
+            steps: [{ stepId: 'ship', type: 'task', condition: 'order > index', task: { action: 'ship', inputs: {} } }]
+          },
+          { stepId: 'poll', type: 'while', while: 'iteration < 3', steps: [{ stepId: 'tick', type: 'task', task: { action: 't', inputs: {} } }] },
+          { stepId: 'after', type: 'task', condition: 'order > 1', task: { action: 'a', inputs: {} } }
+        ]
+      });
+
+      expect(result.valid).toBe(true);
+      expect(result.warnings.map(w => w.message)).toEqual(["Expression \"order > 1\" references unknown name 'order'"]);
+    });
+  });
+
   describe('Example Workflows', () => {
     const examplesDir = path.join(__dirname, '../../packages/runtime/workflow-library/examples');
 
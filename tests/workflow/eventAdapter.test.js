@@ -267,6 +267,31 @@ describe('EventAdapter', () => {
     });
   });
 
+  describe('waitForEvent', () => {
+    it('should resolve with the first event whose data matches', async () => {
+      const defaultAdapter = new EventAdapter();
+      const waiting = defaultAdapter.waitForEvent('order.paid', { match: { orderId: 'o-2' }, timeoutMs: 1000 });
+
+      await defaultAdapter.execute({ traceId: 't-1' }, { event: 'order.paid', data: { orderId: 'o-1' } });
+      await defaultAdapter.execute({ traceId: 't-1' }, { event: 'order.paid', data: { orderId: 'o-2' } });
+
+      await expect(waiting).resolves.toMatchObject({ event: 'order.paid', data: { orderId: 'o-2' } });
+    });
+
+    it('should reject and unsubscribe when the timeout elapses', async () => {
+      await expect(adapter.waitForEvent('never', { timeoutMs: 10 })).rejects.toThrow(
+        'Timed out after 10ms waiting for event: never'
+      );
+      expect(mockEventBus.on).toHaveBeenCalledWith('never', expect.any(Function));
+      expect(mockEventBus.off).toHaveBeenCalledWith('never', mockEventBus.on.mock.calls[0][1]);
+    });
+
+    it('should reject when the event bus cannot subscribe', async () => {
+      const emitOnly = new EventAdapter({ eventBus: { emit: jest.fn() } });
+      await expect(emitOnly.waitForEvent('order.paid')).rejects.toThrow('Event bus does not support subscriptions');
+    });
+  });
+
   describe('getMetadata', () => {
     it('should return adapter metadata', () => {
       const metadata = adapter.getMetadata();
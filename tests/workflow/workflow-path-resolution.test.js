@@ -12,7 +12,7 @@ import { runFullValidation } from '../../packages/runtime/workflow/validation-se
 import { parseURN, isValidURN } from '../../packages/protocols/core/graph/urn-utils.js';
 import fs from 'fs-extra';
 import path from 'path';
-import yaml from 'js-yaml';
+import YAML from 'yaml';
 
 describe('Workflow Path Resolution Regression Tests', () => {
   const examplesDir = path.join(process.cwd(), 'src/examples');
@@ -51,24 +51,25 @@ describe('Workflow Path Resolution Regression Tests', () => {
     });
   });
 
-  function expectWorkflowDisabled(result, workflowPath) {
+  // The research pipeline is a workflow-protocol manifest, not a workflow-library
+  // definition, so execution resolves and loads the file and then stops at validation.
+  const allowAll = async () => ({ allowed: true, mode: 'enforce', reason: 'allowed_by_policy' });
+
+  function expectWorkflowRejected(result, workflowPath) {
     expect(result).toBeDefined();
     expect(result).toMatchObject({
-      status: 501,
+      status: 422,
       ok: false,
-      error: 'workflow_run_unsupported',
-      sprint: 'S21.2',
+      error: 'workflow_invalid',
     });
-    expect(result.message).toContain('Workflow execution is disabled');
-    expect(result.documentation).toContain('docs/SPRINT_21_SURFACE_CHANGES.md');
-    expect(Array.isArray(result.guidance)).toBe(true);
-    expect(result.guidance.length).toBeGreaterThan(0);
+    expect(Array.isArray(result.errors)).toBe(true);
+    expect(result.errors.length).toBeGreaterThan(0);
     expect(result.requested).toBeDefined();
     expect(result.requested.workflowPath).toContain(path.basename(workflowPath));
     expect(result.requested.resolvedPath).toContain(path.basename(workflowPath));
   }
 
-  describe('Workflow Execution (Surface Disabled in S21)', () => {
+  describe('Workflow Execution', () => {
     test('should execute workflow-research-pipeline.yaml without path resolution errors', async () => {
       const workflowPath = path.join(examplesDir, 'workflow-research-pipeline.yaml');
       
@@ -79,10 +80,11 @@ describe('Workflow Path Resolution Regression Tests', () => {
       const result = await runWorkflow({ 
         workflowPath, 
         inputs: {}, 
-        root: process.cwd() 
+        root: process.cwd(),
+        authorize: allowAll
       });
       
-      expectWorkflowDisabled(result, workflowPath);
+      expectWorkflowRejected(result, workflowPath);
     });
 
     test('should handle workflow with relative path references', async () => {
@@ -99,10 +101,11 @@ describe('Workflow Path Resolution Regression Tests', () => {
         const result = await runWorkflow({ 
           workflowPath, 
           inputs: {}, 
-          root 
+          root,
+          authorize: allowAll
         });
         
-        expectWorkflowDisabled(result, workflowPath);
+        expectWorkflowRejected(result, workflowPath);
       }
     });
   });
@@ -111,7 +114,7 @@ describe('Workflow Path Resolution Regression Tests', () => {
     test('should validate workflow-research-pipeline.yaml without structural errors', async () => {
       const manifestPath = path.join(examplesDir, 'workflow-research-pipeline.yaml');
       const manifestContent = await fs.readFile(manifestPath, 'utf8');
-      const manifest = yaml.load(manifestContent);
+      const manifest = YAML.parse(manifestContent);
       
       const result = await runFullValidation({ manifestPath, manifest });
       
@@ -127,7 +130,7 @@ describe('Workflow Path Resolution Regression Tests', () => {
     test('should detect unresolved URN references as warnings', async () => {
       const manifestPath = path.join(examplesDir, 'workflow-research-pipeline.yaml');
       const manifestContent = await fs.readFile(manifestPath, 'utf8');
-      const manifest = yaml.load(manifestContent);
+      const manifest = YAML.parse(manifestContent);
       
       const result = await runFullValidation({ manifestPath, manifest });
       
@@ -154,7 +157,7 @@ describe('Workflow Path Resolution Regression Tests', () => {
         
         if (await fs.pathExists(manifestPath)) {
           const manifestContent = await fs.readFile(manifestPath, 'utf8');
-          const manifest = yaml.load(manifestContent);
+          const manifest = YAML.parse(manifestContent);
           
           const result = await runFullValidation({ manifestPath, manifest });
           
@@ -170,7 +173,7 @@ describe('Workflow Path Resolution Regression Tests', () => {
     test('should handle workflow URNs in cross-protocol validation', async () => {
       const manifestPath = path.join(examplesDir, 'workflow-research-pipeline.yaml');
       const manifestContent = await fs.readFile(manifestPath, 'utf8');
-      const manifest = yaml.load(manifestContent);
+      const manifest = YAML.parse(manifestContent);
       
       const result = await runFullValidation({ manifestPath, manifest });
       
@@ -188,7 +191,7 @@ describe('Workflow Path Resolution Regression Tests', () => {
     test('should extract URNs from workflow spec correctly', async () => {
       const manifestPath = path.join(examplesDir, 'workflow-research-pipeline.yaml');
       const manifestContent = await fs.readFile(manifestPath, 'utf8');
-      const manifest = yaml.load(manifestContent);
+      const manifest = YAML.parse(manifestContent);
       
       const result = await runFullValidation({ manifestPath, manifest });
       
@@ -217,7 +220,7 @@ describe('Workflow Path Resolution Regression Tests', () => {
     test('workflow validation should complete within performance threshold', async () => {
       const manifestPath = path.join(examplesDir, 'workflow-research-pipeline.yaml');
       const manifestContent = await fs.readFile(manifestPath, 'utf8');
-      const manifest = yaml.load(manifestContent);
+      const manifest = YAML.parse(manifestContent);
       
       const startTime = performance.now();
       const result = await runFullValidation({ manifestPath, manifest });
@@ -230,22 +233,23 @@ describe('Workflow Path Resolution Regression Tests', () => {
       expect(result.combined.valid).toBe(true);
     });
 
-    test('workflow execution should exit quickly with unsupported surface response', async () => {
+    test('workflow execution should reject invalid definitions quickly', async () => {
       const workflowPath = path.join(examplesDir, 'workflow-research-pipeline.yaml');
       
       const startTime = performance.now();
       const result = await runWorkflow({ 
         workflowPath, 
         inputs: {}, 
-        root: process.cwd() 
+        root: process.cwd(),
+        authorize: allowAll
       });
       const endTime = performance.now();
       
       const duration = endTime - startTime;
       
-      // Disabled surfaces should fail fast (< 10ms under typical load)
+      // Invalid definitions should fail fast (< 10ms under typical load)
       expect(duration).toBeLessThan(10);
-      expectWorkflowDisabled(result, workflowPath);
+      expectWorkflowRejected(result, workflowPath);
     });
   });
 });
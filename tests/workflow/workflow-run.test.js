@@ -0,0 +1,261 @@
+/**
+ * Tests for workflow_run execution (runtime surface + workflow-library runner)
+ */
+
+import { describe, it, expect, beforeAll, afterAll } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+import { runWorkflow } from '../../packages/runtime/src/agents/runtime.js';
+import { resolveTaskAdapter } from '../../packages/runtime/workflow-library/runner.js';
+
+const allowAll = async () => ({ allowed: true, mode: 'enforce', reason: 'allowed_by_policy' });
+
+function createToolRegistry(handlers) {
+  const tools = new Map(
+    Object.entries(handlers).map(([name, execute]) => [name, { name, execute }])
+  );
+  return {
+    getTool: (name) => tools.get(name),
+    listTools: () => Array.from(tools.keys())
+  };
+}
+
+describe('runWorkflow', () => {
+  let root;
+  const calls = [];
+
+  const adapters = {
+    tool: {
+      toolRegistry: createToolRegistry({
+        'reserve': async ({ items }) => {
+          calls.push('reserve');
+          return { result: { reservationId: 'r-1', count: items.length } };
+        },
+        'release': async ({ reservation }) => {
+          calls.push(`release:${reservation.reservationId}`);
+          return { result: { released: true } };
+        },
+        'charge': async () => {
+          calls.push('charge');
+          throw new Error('card declined');
+        },
+        'urn:ossp:action:notify': async ({ message }) => ({ result: { delivered: message } })
+      })
+    }
+  };
+
+  function writeWorkflow(relativePath, workflow) {
+    const target = path.join(root, relativePath);
+    fs.mkdirSync(path.dirname(target), { recursive: true });
+    fs.writeFileSync(target, typeof workflow === 'string' ? workflow : JSON.stringify(workflow));
+    return target;
+  }
+
+  beforeAll(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'workflow-run-'));
+    fs.writeFileSync(
+      path.join(root, 'policy.json'),
+      JSON.stringify({
+        mode: 'enforce',
+        agents: {
+          'urn:agent:runtime:workflow-executor': {
+            allow: ['execute_workflow'],
+            resources: ['approved/*']
+          }
+        }
+      })
+    );
+    process.env.DELEGATION_POLICY_PATH = path.join(root, 'policy.json');
+    process.env.DELEGATION_AUDIT_LOG = path.join(root, 'audit.jsonl');
+  });
+
+  afterAll(() => {
+    delete process.env.DELEGATION_POLICY_PATH;
+    delete process.env.DELEGATION_AUDIT_LOG;
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  it('executes tasks through the adapters and reports per-step results', async () => {
+    const workflowPath = writeWorkflow('approved/notify.yaml', [
+      'workflowId: notify',
+      'name: Notify',
+      'version: 1.0.0',
+      'steps:',
+      '  - stepId: reserve',
+      '    type: task',
+      '    task:',
+      '      action: tool:reserve',
+      '      inputs: { items: [a, b] }',
+      '  - stepId: notify',
+      '    type: task',
+      '    dependsOn: [reserve]',
+      '    task:',
+      '      action: urn:ossp:action:notify',
+      '      inputs: { message: sent }',
+      '      outputs: { delivered: delivered }'
+    ].join('\n'));
+
+    const result = await runWorkflow({ workflowPath, root, adapters });
+
+    expect(result).toMatchObject({
+      status: 200,
+      ok: true,
+      workflowId: 'notify',
+      state: 'completed',
+      outputs: { reserve: { reservationId: 'r-1', count: 2 }, notify: { delivered: 'sent' } },
+      authorization: { allowed: true, resource: 'approved/notify.yaml', reason: 'allowed_by_policy' }
+    });
+    expect(result.steps.map((step) => [step.stepId, step.status])).toEqual([
+      ['reserve', 'completed'],
+      ['notify', 'completed']
+    ]);
+    expect(result.steps[0].durationMs).toEqual(expect.any(Number));
+    expect(result.durationMs).toEqual(expect.any(Number));
+    expect(result.compensation).toEqual({ policy: 'none', triggered: false, steps: [] });
+  });
+
+  it('runs compensations when a saga step fails', async () => {
+    calls.length = 0;
+    const workflowPath = writeWorkflow('approved/saga.json', {
+      workflowId: 'saga',
+      name: 'Saga',
+      version: '1.0.0',
+      compensationPolicy: 'full',
+      steps: [
+        {
+          stepId: 'reserve',
+          type: 'task',
+          task: { action: 'tool:reserve', inputs: { items: ['a'] } },
+          compensation: 'undo-reserve'
+        },
+        {
+          stepId: 'undo-reserve',
+          type: 'compensation',
+          task: { action: 'tool:release', inputs: { reservation: '$reserve' } }
+        },
+        {
+          stepId: 'charge',
+          type: 'task',
+          dependsOn: ['reserve'],
+          onFailure: 'compensate',
+          task: { action: 'tool:charge' }
+        }
+      ]
+    });
+
+    const result = await runWorkflow({ workflowPath, root, adapters });
+
+    expect(result).toMatchObject({ status: 500, ok: false, error: 'workflow_failed', state: 'compensated' });
+    expect(result.message).toContain('card declined');
+    expect(calls).toEqual(['reserve', 'charge', 'release:r-1']);
+    expect(result.compensation).toEqual({
+      policy: 'full',
+      triggered: true,
+      steps: [{ stepId: 'reserve', compensationStepId: 'undo-reserve', status: 'completed', error: null }]
+    });
+    expect(result.steps.find((step) => step.stepId === 'charge')).toMatchObject({
+      status: 'failed',
+      error: expect.objectContaining({ adapter: 'tool' })
+    });
+  });
+
+  it('runs subworkflows found next to the workflow and waits for events on the event adapter', async () => {
+    calls.length = 0;
+    writeWorkflow('approved/reserve-items.json', {
+      workflowId: 'reserve-items',
+      urn: 'urn:proto:workflow:test/reserve-items@1.0.0',
+      name: 'Reserve Items',
+      version: '1.0.0',
+      steps: [{ stepId: 'reserve', type: 'task', task: { action: 'tool:reserve', inputs: { items: '$inputs.items' } } }]
+    });
+    const workflowPath = writeWorkflow('approved/fulfil.json', {
+      workflowId: 'fulfil',
+      name: 'Fulfil',
+      version: '1.0.0',
+      steps: [
+        {
+          stepId: 'fan-out',
+          type: 'parallel',
+          branches: [
+            {
+              branchId: 'listen',
+              steps: [{ stepId: 'await-ready', type: 'wait', wait: { event: 'order.ready', match: { orderId: 'o-1' }, timeoutMs: 2000 } }]
+            },
+            {
+              branchId: 'announce',
+              steps: [
+                { stepId: 'settle', type: 'wait', wait: { durationMs: 20 } },
+                {
+                  stepId: 'emit-ready',
+                  type: 'task',
+                  dependsOn: ['settle'],
+                  task: { action: 'event:order.ready', inputs: { data: { orderId: 'o-1' } } }
+                }
+              ]
+            }
+          ]
+        },
+        {
+          stepId: 'reserve-all',
+          type: 'subworkflow',
+          dependsOn: ['fan-out'],
+          subworkflow: { urn: 'urn:proto:workflow:test/reserve-items@1.0.0', inputs: { items: ['a', 'b', 'c'] } }
+        }
+      ]
+    });
+
+    const result = await runWorkflow({ workflowPath, root, adapters });
+
+    expect(result).toMatchObject({ status: 200, ok: true, state: 'completed' });
+    expect(result.outputs['await-ready']).toMatchObject({ event: 'order.ready', data: { orderId: 'o-1' } });
+    expect(result.outputs['reserve-all']).toEqual({ reserve: { reservationId: 'r-1', count: 3 } });
+    expect(calls).toEqual(['reserve']);
+  });
+
+  it('denies execution outside the IAM policy resources', async () => {
+    const workflowPath = writeWorkflow('drafts/notify.json', { workflowId: 'x' });
+
+    const result = await runWorkflow({ workflowPath, root, adapters });
+
+    expect(result).toMatchObject({
+      status: 403,
+      ok: false,
+      error: 'workflow_run_forbidden',
+      authorization: { allowed: false, resource: 'drafts/notify.json', reason: 'resource_not_matched' }
+    });
+    const audit = fs.readFileSync(process.env.DELEGATION_AUDIT_LOG, 'utf8');
+    expect(audit).toContain('drafts/notify.json');
+  });
+
+  it('reports validation errors and missing files', async () => {
+    const invalidPath = writeWorkflow('approved/invalid.json', { workflowId: 'bad id', steps: [] });
+    const invalid = await runWorkflow({ workflowPath: invalidPath, root, authorize: allowAll });
+    expect(invalid).toMatchObject({ status: 422, ok: false, error: 'workflow_invalid' });
+    expect(invalid.errors.length).toBeGreaterThan(0);
+
+    const missing = await runWorkflow({
+      workflowPath: path.join(root, 'approved/missing.json'),
+      originalWorkflowPath: 'approved/missing.json',
+      root,
+      authorize: allowAll
+    });
+    expect(missing).toMatchObject({ status: 404, error: 'workflow_not_found' });
+  });
+
+  it('maps task actions onto adapter kinds', () => {
+    expect(resolveTaskAdapter('http:post', { url: 'https://example.test' })).toEqual({
+      kind: 'http',
+      input: { url: 'https://example.test', method: 'POST' }
+    });
+    expect(resolveTaskAdapter('event:order.created', { payload: { id: 1 } })).toEqual({
+      kind: 'event',
+      input: { payload: { id: 1 }, event: 'order.created' }
+    });
+    expect(resolveTaskAdapter('urn:ossp:action:fetch', { a: 1 })).toEqual({
+      kind: 'tool',
+      input: { tool: 'urn:ossp:action:fetch', args: { a: 1 }, maxRetries: 0 }
+    });
+  });
+});